@@ -742,6 +742,10 @@ exports.getAllUsers = async (req, res) => {
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
+
+    // KYC numbers are masked in listings
+    const { maskKycNumbers } = require('../utils/kycDocuments');
+    const maskedUsers = users.map(user => maskKycNumbers(user.toObject()));
     
     // Get total count for pagination
     const total = await User.countDocuments(query);
@@ -752,7 +756,7 @@ exports.getAllUsers = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        users,
+        users: maskedUsers,
         pagination: {
           currentPage: page,
           totalPages: Math.ceil(total / limit),
@@ -790,8 +794,9 @@ exports.getUserById = async (req, res) => {
     if (!user) {
       return res.status(404).json({ success: false, message: 'User not found' });
     }
-    
-    res.status(200).json({ success: true, data: user });
+
+    const { maskKycNumbers } = require('../utils/kycDocuments');
+    res.status(200).json({ success: true, data: maskKycNumbers(user.toObject()) });
   } catch (error) {
     console.error('Get user by ID error:', error);
     res.status(500).json({
@@ -1346,26 +1351,9 @@ exports.getCompanyUsers = async (req, res) => {
       .skip(skip)
       .limit(limitNum);
 
-    // Add signed URLs to document fields for users with interviewerProfile
-    const { getSignedUrl } = require('../utils/cloudStorage');
-    const usersWithSignedUrls = await Promise.all(users.map(async (user) => {
-      const userObj = user.toObject ? user.toObject() : user;
-      if (userObj.interviewerProfile) {
-        const docFields = ['cvUpload', 'aadhaarDocument', 'panDocument', 'passportPhoto', 'bankDocumentUpload'];
-        for (const field of docFields) {
-          if (userObj.interviewerProfile[field]) {
-            try {
-              const signedUrl = await getSignedUrl(userObj.interviewerProfile[field], 3600);
-              userObj.interviewerProfile[field + 'SignedUrl'] = signedUrl;
-            } catch (error) {
-              console.error(`Error generating signed URL for ${field}:`, error);
-              // Continue without signed URL
-            }
-          }
-        }
-      }
-      return userObj;
-    }));
+    // KYC documents are opened through /api/kyc-documents links; numbers are masked
+    const { maskKycNumbers } = require('../utils/kycDocuments');
+    const maskedUsers = users.map(user => maskKycNumbers(user.toObject()));
 
     // Get total count
     const totalUsers = await User.countDocuments(query);
@@ -1383,7 +1371,7 @@ exports.getCompanyUsers = async (req, res) => {
     res.status(200).json({
       success: true,
       data: {
-        users: usersWithSignedUrls,
+        users: maskedUsers,
         pagination: {
           currentPage: pageNum,
           totalPages: Math.ceil(totalUsers / limitNum),
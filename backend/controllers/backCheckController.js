@@ -0,0 +1,666 @@
+const mongoose = require('mongoose');
+const BackCheck = require('../models/BackCheck');
+const SurveyResponse = require('../models/SurveyResponse');
+const Survey = require('../models/Survey');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const {
+  MAX_CALL_ATTEMPTS,
+  CLAIM_MINUTES,
+  evaluateBackCheck,
+  recordBackCheckResult,
+  applyBackCheckAction
+} = require('../utils/backCheck');
+
+const TASK_STATUSES = ['pending', 'completed', 'unreachable', 'cancelled'];
+const UNREACHED_OUTCOMES = ['no_answer', 'busy', 'switched_off', 'wrong_number', 'call_back_later'];
+const OPEN_RESPONSE_STATUSES = ['Pending_Approval', 'Approved'];
+
+// The list shows the last four digits; the full number comes with a claim
+const maskPhone = (phone) => (phone ? `******${phone.slice(-4)}` : '');
+
+const toListItem = (task) => {
+  const item = task.toObject ? task.toObject() : { ...task };
+  item.phone = maskPhone(item.phone);
+  return item;
+};
+
+/**
+ * The survey if the user may work its back-checks: company admins and project managers of the
+ * survey's company, and quality agents assigned to it
+ * @returns {Promise<{survey: Object|null, status: Number, message: String}>}
+ */
+const findCheckableSurvey = async (surveyId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(surveyId)) {
+    return { survey: null, status: 404, message: 'Survey not found' };
+  }
+
+  const survey = await Survey.findById(surveyId).select('surveyName company assignedQualityAgents');
+  if (!survey) {
+    return { survey: null, status: 404, message: 'Survey not found' };
+  }
+
+  if (user.userType === 'quality_agent') {
+    const assigned = (survey.assignedQualityAgents || [])
+      .some(assignment => assignment.qualityAgent?.toString() === user._id.toString());
+    if (!assigned) {
+      return { survey: null, status: 403, message: 'You are not assigned to this survey' };
+    }
+  } else if (!survey.company || !user.company || survey.company.toString() !== user.company.toString()) {
+    return { survey: null, status: 403, message: 'You are not authorized to back-check this survey' };
+  }
+
+  return { survey, status: 200 };
+};
+
+/**
+ * The task if the user may work it
+ * @returns {Promise<{task: Object|null, status: Number, message: String}>}
+ */
+const findCheckableTask = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { task: null, status: 404, message: 'Back-check not found' };
+  }
+
+  const task = await BackCheck.findById(id);
+  if (!task) {
+    return { task: null, status: 404, message: 'Back-check not found' };
+  }
+
+  const access = await findCheckableSurvey(task.survey, user);
+  if (!access.survey) {
+    return { task: null, status: access.status, message: access.message };
+  }
+
+  return { task, status: 200 };
+};
+
+// Someone else is on the phone with this respondent
+const isClaimedByOther = (task, user) => (
+  task.claim?.claimedBy &&
+  task.claim.expiresAt > new Date() &&
+  task.claim.claimedBy.toString() !== user._id.toString()
+);
+
+/**
+ * @desc    Get the surveys the user can back-check, with their pending call counts
+ * @route   GET /api/back-checks/surveys
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const getCheckableSurveys = async (req, res) => {
+  try {
+    const filter = req.user.userType === 'quality_agent'
+      ? { 'assignedQualityAgents.qualityAgent': req.user._id }
+      : { company: req.user.company };
+
+    const surveys = await Survey.find({ ...filter, status: { $in: ['active', 'paused', 'draft', 'completed'] } })
+      .select('surveyName status mode')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const pendingCounts = await BackCheck.aggregate([
+      { $match: { survey: { $in: surveys.map(survey => survey._id) }, status: 'pending' } },
+      { $group: { _id: '$survey', count: { $sum: 1 } } }
+    ]);
+    const pendingBySurvey = new Map(pendingCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        surveys: surveys.map(survey => ({
+          ...survey,
+          pendingBackChecks: pendingBySurvey.get(survey._id.toString()) || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching surveys for back-checks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch surveys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the company's back-check sampling rate
+ * @route   GET /api/back-checks/settings
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const getSettings = async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company).select('qualitySettings.callbackVerificationRate');
+
+    res.json({
+      success: true,
+      data: {
+        callbackVerificationRate: company?.qualitySettings?.callbackVerificationRate ?? 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching back-check settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch back-check settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Set the share of CAPI interviews sampled for back-checks
+ * @route   PUT /api/back-checks/settings
+ * @access  Private (Company Admin)
+ */
+const updateSettings = async (req, res) => {
+  try {
+    const rate = Number(req.body.callbackVerificationRate);
+
+    if (!Number.isFinite(rate) || rate < 0 || rate > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'callbackVerificationRate must be a percentage between 0 and 100'
+      });
+    }
+
+    const company = await Company.findByIdAndUpdate(
+      req.user.company,
+      { $set: { 'qualitySettings.callbackVerificationRate': rate } },
+      { new: true }
+    ).select('qualitySettings.callbackVerificationRate');
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Back-checks will sample ${rate}% of new CAPI interviews`,
+      data: {
+        callbackVerificationRate: company.qualitySettings.callbackVerificationRate
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating back-check settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update back-check settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a survey's back-checks, with counts per status and results per interviewer
+ * @route   GET /api/back-checks/survey/:surveyId
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const getBackChecksBySurvey = async (req, res) => {
+  try {
+    const { surveyId } = req.params;
+    const { status = 'pending' } = req.query;
+
+    const access = await findCheckableSurvey(surveyId, req.user);
+    if (!access.survey) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+
+    if (status !== 'all' && !TASK_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of: all, ${TASK_STATUSES.join(', ')}`
+      });
+    }
+
+    const filter = { survey: access.survey._id };
+    if (status !== 'all') filter.status = status;
+
+    const [tasks, statusCounts, interviewerResults] = await Promise.all([
+      BackCheck.find(filter)
+        .populate('interviewer', 'firstName lastName memberId')
+        .populate('response', 'responseId status')
+        .populate('claim.claimedBy', 'firstName lastName')
+        .populate('completedBy', 'firstName lastName')
+        // Oldest calls first while pending, latest results first otherwise
+        .sort(status === 'pending' ? { createdAt: 1 } : { updatedAt: -1 })
+        .limit(500),
+      BackCheck.aggregate([
+        { $match: { survey: access.survey._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      BackCheck.aggregate([
+        { $match: { survey: access.survey._id, result: { $exists: true } } },
+        { $group: { _id: { interviewer: '$interviewer', result: '$result' }, count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { pending: 0, completed: 0, unreachable: 0, cancelled: 0 };
+    statusCounts.forEach(entry => { counts[entry._id] = entry.count; });
+
+    const interviewers = await User.find({ _id: { $in: interviewerResults.map(entry => entry._id.interviewer) } })
+      .select('firstName lastName memberId')
+      .lean();
+    const interviewerById = new Map(interviewers.map(user => [String(user._id), user]));
+    const byInterviewer = {};
+    interviewerResults.forEach(({ _id, count }) => {
+      const key = String(_id.interviewer);
+      byInterviewer[key] = byInterviewer[key] || {
+        interviewer: interviewerById.get(key) || { _id: _id.interviewer },
+        passed: 0,
+        failed: 0,
+        inconclusive: 0
+      };
+      byInterviewer[key][_id.result] = count;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        survey: { _id: access.survey._id, surveyName: access.survey.surveyName },
+        backChecks: tasks.map(toListItem),
+        counts,
+        interviewerResults: Object.values(byInterviewer)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching back-checks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch back-checks',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Take a pending back-check to call: holds it for CLAIM_MINUTES and returns the phone number
+ * @route   POST /api/back-checks/:id/claim
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const claimBackCheck = async (req, res) => {
+  try {
+    const access = await findCheckableTask(req.params.id, req.user);
+    if (!access.task) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+    const { task } = access;
+
+    if (task.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Back-check is already ${task.status}`
+      });
+    }
+
+    // The interview was rejected or removed since it was sampled: nothing left to verify
+    const response = await SurveyResponse.findById(task.response).select('status');
+    if (!response || !OPEN_RESPONSE_STATUSES.includes(response.status)) {
+      task.status = 'cancelled';
+      task.claim = undefined;
+      await task.save();
+      return res.status(409).json({
+        success: false,
+        message: 'The interview is no longer pending or approved; the back-check was cancelled'
+      });
+    }
+
+    const now = new Date();
+    const claimed = await BackCheck.findOneAndUpdate(
+      {
+        _id: task._id,
+        status: 'pending',
+        $or: [
+          { 'claim.claimedBy': { $exists: false } },
+          { 'claim.claimedBy': null },
+          { 'claim.claimedBy': req.user._id },
+          { 'claim.expiresAt': { $lt: now } }
+        ]
+      },
+      {
+        $set: {
+          claim: {
+            claimedBy: req.user._id,
+            expiresAt: new Date(now.getTime() + CLAIM_MINUTES * 60 * 1000)
+          }
+        }
+      },
+      { new: true }
+    )
+      .populate('interviewer', 'firstName lastName memberId')
+      .populate('response', 'responseId status');
+    if (!claimed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Someone else is calling this respondent'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        backCheck: claimed,
+        maxAttempts: MAX_CALL_ATTEMPTS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error claiming back-check:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to claim back-check',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record a call that did not reach the respondent. A wrong number, or the last of
+ *          MAX_CALL_ATTEMPTS calls, closes the back-check as unreachable (inconclusive).
+ * @route   POST /api/back-checks/:id/attempt
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const recordAttempt = async (req, res) => {
+  try {
+    const { outcome, note } = req.body;
+
+    if (!UNREACHED_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid outcome. Use one of: ${UNREACHED_OUTCOMES.join(', ')}; record a reached call with /complete`
+      });
+    }
+
+    const access = await findCheckableTask(req.params.id, req.user);
+    if (!access.task) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+    const { task } = access;
+
+    if (task.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Back-check is already ${task.status}`
+      });
+    }
+    if (isClaimedByOther(task, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Someone else is calling this respondent'
+      });
+    }
+
+    task.attempts.push({
+      outcome,
+      note: note ? String(note).trim() : undefined,
+      calledBy: req.user._id
+    });
+    task.claim = undefined;
+
+    const closed = outcome === 'wrong_number' || task.attempts.length >= MAX_CALL_ATTEMPTS;
+    if (closed) {
+      task.status = 'unreachable';
+      task.result = 'inconclusive';
+      task.reasons = [outcome === 'wrong_number' ? 'wrong_number' : 'unreachable'];
+      task.completedBy = req.user._id;
+      task.completedAt = new Date();
+    }
+    await task.save();
+
+    if (closed) {
+      await recordBackCheckResult(task);
+    }
+
+    res.json({
+      success: true,
+      message: closed
+        ? 'Back-check closed: respondent could not be reached'
+        : `Call recorded (${task.attempts.length} of ${MAX_CALL_ATTEMPTS} attempts)`,
+      data: {
+        backCheck: toListItem(task)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error recording back-check attempt:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to record call attempt',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Record the verification script answered on a call that reached the respondent, and
+ *          optionally reject (failed only) or reopen (failed or inconclusive) the interview
+ * @route   POST /api/back-checks/:id/complete
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const completeBackCheck = async (req, res) => {
+  try {
+    const { answers = {}, action = 'none' } = req.body;
+
+    if (!['yes', 'no', 'not_sure'].includes(answers.interviewHappened)) {
+      return res.status(400).json({
+        success: false,
+        message: 'answers.interviewHappened must be "yes", "no" or "not_sure"'
+      });
+    }
+    if (answers.genderMatches !== undefined && typeof answers.genderMatches !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        message: 'answers.genderMatches must be true or false'
+      });
+    }
+    const reportedAge = answers.reportedAge === undefined || answers.reportedAge === '' ? undefined : Number(answers.reportedAge);
+    const reportedDurationMinutes = answers.reportedDurationMinutes === undefined || answers.reportedDurationMinutes === ''
+      ? undefined
+      : Number(answers.reportedDurationMinutes);
+    if ((reportedAge !== undefined && !(reportedAge >= 0 && reportedAge <= 120)) ||
+        (reportedDurationMinutes !== undefined && !(reportedDurationMinutes >= 0))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reported age and duration must be valid numbers'
+      });
+    }
+    if (!['none', 'reject', 'reopen'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be "none", "reject" or "reopen"'
+      });
+    }
+
+    const access = await findCheckableTask(req.params.id, req.user);
+    if (!access.task) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+    const { task } = access;
+
+    if (task.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: `Back-check is already ${task.status}`
+      });
+    }
+    if (isClaimedByOther(task, req.user)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Someone else is calling this respondent'
+      });
+    }
+
+    const recorded = {
+      interviewHappened: answers.interviewHappened,
+      genderMatches: answers.genderMatches,
+      reportedAge,
+      reportedDurationMinutes,
+      notes: answers.notes ? String(answers.notes).trim() : undefined
+    };
+    const { result, reasons } = evaluateBackCheck(recorded, task.expected);
+
+    if (action === 'reject' && result !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a failed back-check can reject the interview'
+      });
+    }
+    if (action === 'reopen' && result === 'passed') {
+      return res.status(400).json({
+        success: false,
+        message: 'A passed back-check cannot reopen the interview'
+      });
+    }
+
+    // Close the task first so two callers cannot both record a result
+    const now = new Date();
+    const completed = await BackCheck.findOneAndUpdate(
+      { _id: task._id, status: 'pending' },
+      {
+        $set: {
+          status: 'completed',
+          answers: recorded,
+          result,
+          reasons,
+          completedBy: req.user._id,
+          completedAt: now
+        },
+        $push: { attempts: { outcome: 'reached', calledBy: req.user._id, calledAt: now } },
+        $unset: { claim: '' }
+      },
+      { new: true }
+    );
+    if (!completed) {
+      return res.status(409).json({
+        success: false,
+        message: 'This back-check was completed by someone else'
+      });
+    }
+
+    await recordBackCheckResult(completed);
+
+    const taken = action !== 'none' ? await applyBackCheckAction(completed, action, req.user) : null;
+    if (taken) {
+      completed.action = taken;
+      await completed.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Back-check ${result}${taken ? `, interview ${taken}` : ''}`,
+      data: {
+        backCheck: toListItem(completed)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error completing back-check:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete back-check',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Reject the interview of a failed back-check, or reopen a failed or inconclusive one
+ *          for QC review, after the call
+ * @route   POST /api/back-checks/:id/action
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const actOnBackCheck = async (req, res) => {
+  try {
+    const { action } = req.body;
+
+    if (!['reject', 'reopen'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be "reject" or "reopen"'
+      });
+    }
+
+    const access = await findCheckableTask(req.params.id, req.user);
+    if (!access.task) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+    const { task } = access;
+
+    if (!task.result || task.result === 'passed') {
+      return res.status(400).json({
+        success: false,
+        message: task.result ? 'A passed back-check cannot reject or reopen the interview' : 'Back-check has no result yet'
+      });
+    }
+    if (action === 'reject' && task.result !== 'failed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only a failed back-check can reject the interview'
+      });
+    }
+    if (task.action !== 'none') {
+      return res.status(400).json({
+        success: false,
+        message: `The interview was already ${task.action}`
+      });
+    }
+
+    const taken = await applyBackCheckAction(task, action, req.user);
+    if (!taken) {
+      return res.status(409).json({
+        success: false,
+        message: 'The interview is no longer pending or approved'
+      });
+    }
+    task.action = taken;
+    await task.save();
+
+    res.json({
+      success: true,
+      message: `Interview ${taken}`,
+      data: {
+        backCheck: toListItem(task)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error acting on back-check:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update the interview',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCheckableSurveys,
+  getSettings,
+  updateSettings,
+  getBackChecksBySurvey,
+  claimBackCheck,
+  recordAttempt,
+  completeBackCheck,
+  actOnBackCheck
+};
@@ -5,224 +5,13 @@ const CatiCall = require('../models/CatiCall');
 const InterviewSession = require('../models/InterviewSession');
 const SurveyResponse = require('../models/SurveyResponse');
 const mongoose = require('mongoose');
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
 const fs = require('fs').promises;
 const path = require('path');
-
-// AC Priority Map (cached, reloaded on each request to ensure freshness)
-let acPriorityMap = null;
-let acPriorityMapLastLoad = null;
-const AC_PRIORITY_CACHE_TTL = 60000; // 1 minute cache
-
-/**
- * Load AC priority mapping from JSON file
- * @returns {Object} Map of AC name to priority (number), or null if file not found
- */
-const loadACPriorityMap = async () => {
-  try {
-    // Check if cache is still valid
-    const now = Date.now();
-    if (acPriorityMap && acPriorityMapLastLoad && (now - acPriorityMapLastLoad) < AC_PRIORITY_CACHE_TTL) {
-      return acPriorityMap;
-    }
-
-    const priorityFilePath = path.join(__dirname, '..', 'data', 'CATI_AC_Priority.json');
-    
-    try {
-      await fs.access(priorityFilePath);
-      const fileContent = await fs.readFile(priorityFilePath, 'utf8');
-      const priorityData = JSON.parse(fileContent);
-      
-      // Build map: AC_Name -> Priority (as number)
-      const map = {};
-      if (Array.isArray(priorityData)) {
-        priorityData.forEach(item => {
-          if (item.AC_Name && item.Priority !== undefined) {
-            // Convert Priority to number (handle string "0", "1", etc.)
-            const priority = typeof item.Priority === 'string' ? parseInt(item.Priority, 10) : item.Priority;
-            if (!isNaN(priority)) {
-              map[item.AC_Name] = priority;
-            }
-          }
-        });
-      }
-      
-      acPriorityMap = map;
-      acPriorityMapLastLoad = now;
-      console.log('✅ Loaded AC priority map:', Object.keys(map).length, 'ACs');
-      console.log('📋 AC Priority Map:', map);
-      return map;
-    } catch (fileError) {
-      console.log('⚠️  AC Priority file not found or error reading:', fileError.message);
-      // Return empty map (no priorities) instead of null
-      acPriorityMap = {};
-      acPriorityMapLastLoad = now;
-      return {};
-    }
-  } catch (error) {
-    console.error('❌ Error loading AC priority map:', error);
-    return {};
-  }
-};
-
-/**
- * Normalize AC name for comparison (trim, lowercase)
- * @param {String} acName - Assembly Constituency name
- * @returns {String} Normalized AC name
- */
-const normalizeACName = (acName) => {
-  if (!acName) return '';
-  return String(acName).trim().toLowerCase();
-};
-
-/**
- * Get AC priority for a given AC name
- * @param {String} acName - Assembly Constituency name
- * @returns {Number|null} Priority number, or null if not in priority list
- */
-const getACPriority = async (acName) => {
-  if (!acName) return null;
-  
-  const priorityMap = await loadACPriorityMap();
-  const normalizedAC = normalizeACName(acName);
-  
-  // Try exact match first, then normalized match
-  if (priorityMap[acName] !== undefined) {
-    return priorityMap[acName];
-  }
-  
-  // Try normalized match
-  for (const [mapAC, priority] of Object.entries(priorityMap)) {
-    if (normalizeACName(mapAC) === normalizedAC) {
-      return priority;
-    }
-  }
-  
-  return null;
-};
-
-// DeepCall API Configuration
-const DEEPCALL_API_BASE_URL = 'https://s-ct3.sarv.com/v2/clickToCall/para';
-const DEEPCALL_USER_ID = process.env.DEEPCALL_USER_ID || '89130240';
-const DEEPCALL_TOKEN = process.env.DEEPCALL_TOKEN || '6GQJuwW6lB8ZBHntzaRU';
-const WEBHOOK_BASE_URL = process.env.WEBHOOK_BASE_URL || 'https://opine.exypnossolutions.com';
-
-// Helper function to make call via DeepCall API
-const initiateDeepCall = async (fromNumber, toNumber, fromType = 'Number', toType = 'Number', fromRingTime = 30, toRingTime = 30) => {
-  try {
-    const cleanFrom = fromNumber.replace(/[^0-9]/g, '');
-    const cleanTo = toNumber.replace(/[^0-9]/g, '');
-
-    const params = {
-      user_id: DEEPCALL_USER_ID,
-      token: DEEPCALL_TOKEN,
-      from: cleanFrom,
-      to: cleanTo,
-      fromType: fromType,
-      toType: toType,
-      fromRingTime: parseInt(fromRingTime),
-      toRingTime: parseInt(toRingTime)
-    };
-
-    const queryString = new URLSearchParams(params).toString();
-    const fullUrl = `${DEEPCALL_API_BASE_URL}?${queryString}`;
-
-    console.log(`📞 Making CATI call: ${fromNumber} -> ${toNumber}`);
-
-    const response = await axios.get(fullUrl, {
-      timeout: 30000,
-      headers: {
-        'Content-Type': 'application/json',
-        'Accept': 'application/json'
-      }
-    });
-
-    const apiResponse = response.data;
-    console.log('📞 DeepCall API raw response:', apiResponse);
-    
-    // Normalize common fields
-    const status = typeof apiResponse?.status === 'string'
-      ? apiResponse.status.toLowerCase()
-      : apiResponse?.status;
-    const code = apiResponse?.code ?? apiResponse?.statusCode ?? apiResponse?.status_code;
-
-    // Treat as error only when status explicitly indicates error or when we have a clear non‑success code
-    const isExplicitErrorStatus = status === 'error' || status === 'failed' || status === 'failure';
-    const isErrorCode = code !== undefined && !['0', 0, '200', 200].includes(code);
-
-    if (isExplicitErrorStatus || isErrorCode) {
-      const errorMessage =
-        apiResponse.message ||
-        (typeof apiResponse.error === 'string' ? apiResponse.error : apiResponse.error?.message) ||
-        `DeepCall API Error: ${code || 'Unknown error'}`;
-      return {
-        success: false,
-        message: errorMessage,
-        error: {
-          message: errorMessage,
-          code,
-          status: apiResponse.status,
-          details: apiResponse
-        },
-        statusCode: code
-      };
-    }
-    
-    const callId = apiResponse?.callId || apiResponse?.id || apiResponse?.call_id || apiResponse?.data?.callId;
-
-    if (!callId) {
-      return {
-        success: false,
-        message: 'API response does not contain call ID',
-        error: {
-          message: 'API response does not contain call ID',
-          details: apiResponse
-        },
-        apiResponse: apiResponse
-      };
-    }
-
-    return {
-      success: true,
-      callId: callId,
-      data: {
-        callId: callId,
-        fromNumber: fromNumber,
-        toNumber: toNumber,
-        apiResponse: apiResponse
-      }
-    };
-
-  } catch (error) {
-    console.error('Error initiating DeepCall:', error);
-    console.error('Error details:', {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-      statusText: error.response?.statusText
-    });
-    
-    // Extract error message from various possible formats
-    const errorMessage = error.response?.data?.message || 
-                        error.response?.data?.error?.message || 
-                        (typeof error.response?.data?.error === 'string' ? error.response?.data?.error : null) ||
-                        error.message || 
-                        'Failed to initiate call';
-    
-    return {
-      success: false,
-      message: errorMessage,
-      error: {
-        message: errorMessage,
-        code: error.response?.data?.code || error.response?.data?.error?.code || error.response?.status,
-        status: error.response?.data?.status,
-        details: error.response?.data || error.message
-      },
-      statusCode: error.response?.status
-    };
-  }
-};
+const { claimNextRespondent, markReservationDialled } = require('../utils/catiQueueHelper');
+const { RETRYABLE_STATUSES, getRetryPolicy, isWithinCallingHours, scheduleNextAttempt } = require('../utils/catiRetryPolicy');
+const { getTelephonyProvider, getProviderForCall } = require('../utils/telephony');
+const { assignQuotaCells } = require('../utils/quotaEngine');
 
 // @desc    Start CATI interview session and get next respondent from queue
 // @route   POST /api/cati-interview/start/:surveyId
@@ -283,6 +72,32 @@ const startCatiInterview = async (req, res) => {
       });
     }
 
+    // Surveys may require a passed, unexpired training certification
+    const { getCertificationBlock } = require('../utils/training');
+    const certificationBlock = await getCertificationBlock(survey, interviewerId);
+    if (certificationBlock) {
+      return res.status(403).json({
+        success: false,
+        message: certificationBlock.message,
+        data: { certificationRequired: true, expiredAt: certificationBlock.expiredAt }
+      });
+    }
+
+    // Respondents may only be dialled inside the survey's allowed calling hours
+    const retryPolicy = getRetryPolicy(survey);
+    if (retryPolicy.enabled && !isWithinCallingHours(retryPolicy)) {
+      console.log('❌ Outside allowed calling hours, returning');
+      return res.status(200).json({
+        success: false,
+        message: `Calls are only allowed between ${retryPolicy.callingHours.start} and ${retryPolicy.callingHours.end}`,
+        data: {
+          outsideCallingHours: true,
+          callingHours: retryPolicy.callingHours,
+          timezone: retryPolicy.timezone
+        }
+      });
+    }
+
     // Check if AC selection is required (same logic as CAPI)
     const requiresACSelection = survey.assignACs && 
                                assignment.assignedACs && 
@@ -368,31 +183,15 @@ const startCatiInterview = async (req, res) => {
 
     // Initialize queue if not already done
     console.log('🔍 Initializing respondent queue...');
-    await initializeRespondentQueue(surveyId, respondentContacts);
+    await initializeRespondentQueue(surveyId, respondentContacts, retryPolicy);
     console.log('🔍 Queue initialized');
 
-    // Get next available respondent from queue with AC priority-based selection
-    console.log('🔍 Finding next respondent in queue with AC priority logic...');
-    
-    // Load AC priority map
-    const acPriorityMap = await loadACPriorityMap();
-    console.log('📋 AC Priority Map loaded:', Object.keys(acPriorityMap).length, 'ACs');
-    
-    // Create normalized priority map for case-insensitive matching
-    const normalizedPriorityMap = {};
-    Object.entries(acPriorityMap).forEach(([acName, priority]) => {
-      normalizedPriorityMap[normalizeACName(acName)] = priority;
-    });
-    
-    // Get all pending respondents
-    const allPendingRespondents = await CatiRespondentQueue.find({
-      survey: surveyId,
-      status: 'pending'
-    }).lean(); // Use lean() for better performance
-    
-    console.log('🔍 Total pending respondents:', allPendingRespondents.length);
-    
-    if (allPendingRespondents.length === 0) {
+    // Atomically claim the next respondent (AC priority-based selection).
+    // The claim is a reservation: it returns to the pool if the caller never dials.
+    console.log('🔍 Claiming next respondent in queue with AC priority logic...');
+    const { respondent: nextRespondent, reused, isCallback } = await claimNextRespondent(surveyId, interviewerId);
+
+    if (!nextRespondent) {
       console.log('⚠️  No pending respondents available');
       return res.status(200).json({
         success: false,
@@ -403,116 +202,7 @@ const startCatiInterview = async (req, res) => {
         }
       });
     }
-    
-    // Group respondents by AC priority
-    const respondentsByPriority = {};
-    const excludedACs = new Set(); // Priority 0 ACs (use Set to avoid duplicates)
-    const nonPrioritizedRespondents = [];
-    
-    allPendingRespondents.forEach(respondent => {
-      const acName = respondent.respondentContact?.ac;
-      if (!acName) {
-        // No AC specified, treat as non-prioritized
-        nonPrioritizedRespondents.push(respondent);
-        return;
-      }
-      
-      // Try exact match first, then normalized match
-      let priority = acPriorityMap[acName];
-      if (priority === undefined) {
-        priority = normalizedPriorityMap[normalizeACName(acName)];
-      }
-      
-      if (priority === undefined || priority === null) {
-        // AC not in priority list, treat as non-prioritized
-        nonPrioritizedRespondents.push(respondent);
-      } else if (priority === 0) {
-        // Priority 0 = excluded from assignment
-        excludedACs.add(acName);
-        console.log(`🚫 Excluding respondent from Priority 0 AC: ${acName}`);
-      } else {
-        // AC has a priority (1, 2, 3, etc.)
-        if (!respondentsByPriority[priority]) {
-          respondentsByPriority[priority] = [];
-        }
-        respondentsByPriority[priority].push(respondent);
-      }
-    });
-    
-    console.log('📊 Respondents grouped by priority:', Object.keys(respondentsByPriority).map(p => `Priority ${p}: ${respondentsByPriority[p].length}`).join(', '));
-    console.log('📊 Non-prioritized respondents:', nonPrioritizedRespondents.length);
-    console.log('🚫 Excluded ACs (Priority 0):', excludedACs.size > 0 ? Array.from(excludedACs).join(', ') : 'None');
-    
-    // Find the highest priority that has pending respondents
-    let selectedRespondent = null;
-    const sortedPriorities = Object.keys(respondentsByPriority)
-      .map(p => parseInt(p, 10))
-      .filter(p => !isNaN(p) && p > 0)
-      .sort((a, b) => a - b); // Sort ascending (1, 2, 3...)
-    
-    console.log('🔍 Sorted priorities with pending respondents:', sortedPriorities);
-    
-    // Select from highest priority (lowest number = highest priority)
-    for (const priority of sortedPriorities) {
-      const priorityRespondents = respondentsByPriority[priority];
-      if (priorityRespondents && priorityRespondents.length > 0) {
-        // Randomly select from this priority group to get a mix of ACs
-        const randomIndex = Math.floor(Math.random() * priorityRespondents.length);
-        selectedRespondent = priorityRespondents[randomIndex];
-        console.log(`✅ Selected respondent from Priority ${priority} AC (random selection from ${priorityRespondents.length} respondents)`);
-        console.log(`📍 Selected AC: ${selectedRespondent.respondentContact?.ac}`);
-        break;
-      }
-    }
-    
-    // If no prioritized ACs have pending respondents, select from non-prioritized
-    if (!selectedRespondent && nonPrioritizedRespondents.length > 0) {
-      // Randomly select from non-prioritized respondents
-      const randomIndex = Math.floor(Math.random() * nonPrioritizedRespondents.length);
-      selectedRespondent = nonPrioritizedRespondents[randomIndex];
-      console.log(`✅ Selected respondent from non-prioritized ACs (random selection from ${nonPrioritizedRespondents.length} respondents)`);
-      console.log(`📍 Selected AC: ${selectedRespondent.respondentContact?.ac || 'No AC specified'}`);
-    }
-    
-    // If still no respondent found, fall back to original logic (shouldn't happen, but safety check)
-    if (!selectedRespondent) {
-      console.log('⚠️  No respondent found with priority logic, falling back to original query...');
-      const fallbackRespondent = await CatiRespondentQueue.findOne({
-        survey: surveyId,
-        status: 'pending'
-      }).sort({ priority: -1, createdAt: 1 });
-      
-      if (!fallbackRespondent) {
-        console.log('⚠️  No pending respondents available');
-        return res.status(200).json({
-          success: false,
-          message: 'No Pending Respondents',
-          data: {
-            message: 'All respondents have been processed or are currently assigned. Please check back later or contact your administrator.',
-            hasPendingRespondents: false
-          }
-        });
-      }
-      selectedRespondent = fallbackRespondent;
-    }
-    
-    // Convert lean document back to Mongoose document for saving
-    const nextRespondent = await CatiRespondentQueue.findById(selectedRespondent._id);
-    
-    console.log('🔍 Next respondent found:', nextRespondent ? 'Yes' : 'No');
-    if (!nextRespondent) {
-      console.log('⚠️  Could not load respondent document');
-      return res.status(500).json({
-        success: false,
-        message: 'Error loading respondent from queue'
-      });
-    }
-
-    // Assign respondent to interviewer
-    nextRespondent.status = 'assigned';
-    nextRespondent.assignedTo = interviewerId;
-    nextRespondent.assignedAt = new Date();
-    await nextRespondent.save();
+    console.log(`🔍 Respondent ${nextRespondent._id} ${reused ? 're-served from existing reservation' : 'claimed'}`);
 
     // Get interviewer phone number
     const interviewer = await User.findById(interviewerId).select('phone firstName lastName');
@@ -536,7 +226,7 @@ const startCatiInterview = async (req, res) => {
         browser: req.body.browser || 'unknown'
       },
       metadata: {
-        surveyVersion: survey.version || '1.0',
+        surveyVersion: survey.currentVersion || null, // Questionnaire version the interview runs against
         startMethod: 'cati',
         respondentQueueId: nextRespondent._id,
         respondentPhone: nextRespondent.respondentContact.phone
@@ -558,6 +248,7 @@ const startCatiInterview = async (req, res) => {
           description: survey.description,
           sections: survey.sections,
           questions: survey.questions,
+          languages: survey.languages,
           mode: survey.mode
         },
         respondent: {
@@ -567,8 +258,12 @@ const startCatiInterview = async (req, res) => {
           countryCode: nextRespondent.respondentContact.countryCode,
           ac: nextRespondent.respondentContact.ac || null, // AC from respondent contact
           pc: nextRespondent.respondentContact.pc || null, // PC from respondent contact
-          ps: nextRespondent.respondentContact.ps || null  // Polling Station from respondent contact
+          ps: nextRespondent.respondentContact.ps || null,  // Polling Station from respondent contact
+          isCallback: isCallback, // Scheduled "call later" respondent
+          callLaterDate: isCallback ? nextRespondent.callLaterDate : null,
+          previousNotes: isCallback ? (nextRespondent.abandonmentNotes || null) : null
         },
+        reservationExpiresAt: nextRespondent.reservationExpiresAt,
         interviewer: {
           phone: interviewer.phone,
           name: `${interviewer.firstName} ${interviewer.lastName}`
@@ -620,13 +315,26 @@ const makeCallToRespondent = async (req, res) => {
       });
     }
 
-    if (queueEntry.assignedTo._id.toString() !== interviewerId.toString()) {
+    if (!queueEntry.assignedTo || queueEntry.assignedTo._id.toString() !== interviewerId.toString()) {
       return res.status(403).json({
         success: false,
         message: 'You are not assigned to this respondent'
       });
     }
 
+    // Hold the reservation while dialling so the expiry sweep cannot release it mid-call
+    const heldEntry = await CatiRespondentQueue.findOneAndUpdate(
+      { _id: queueEntry._id, assignedTo: interviewerId },
+      { $set: { reservationExpiresAt: null } },
+      { new: true }
+    );
+    if (!heldEntry) {
+      return res.status(409).json({
+        success: false,
+        message: 'Your reservation for this respondent has expired. Please start again to get the next respondent.'
+      });
+    }
+
     // Get interviewer phone
     const interviewer = await User.findById(interviewerId).select('phone');
     if (!interviewer || !interviewer.phone) {
@@ -640,8 +348,16 @@ const makeCallToRespondent = async (req, res) => {
     const fromNumber = interviewer.phone.replace(/[^0-9]/g, '');
     const toNumber = queueEntry.respondentContact.phone.replace(/[^0-9]/g, '');
 
-    // Make the call using DeepCall API
-    const callResult = await initiateDeepCall(fromNumber, toNumber, 'Number', 'Number', 30, 30);
+    // Make the call through the configured telephony provider
+    const provider = getTelephonyProvider();
+    const callResult = await provider.initiateCall({
+      fromNumber,
+      toNumber,
+      fromType: 'Number',
+      toType: 'Number',
+      fromRingTime: 30,
+      toRingTime: 30
+    });
 
     if (!callResult.success) {
       // Update queue entry status and move to end of queue
@@ -649,6 +365,7 @@ const makeCallToRespondent = async (req, res) => {
       queueEntry.priority = -1; // Set to lowest priority to move to end
       queueEntry.assignedTo = null; // Unassign so it can be picked up later
       queueEntry.assignedAt = null;
+      queueEntry.reservationExpiresAt = null;
       queueEntry.currentAttemptNumber += 1;
       
       // Extract detailed error message
@@ -686,6 +403,7 @@ const makeCallToRespondent = async (req, res) => {
       try {
         tempCallRecord = new CatiCall({
           callId: callResult.callId,
+          provider: provider.name,
           survey: queueEntry.survey._id,
           queueEntry: queueEntry._id,
           company: null, // Will be set from webhook if available
@@ -709,6 +427,7 @@ const makeCallToRespondent = async (req, res) => {
 
     // Update queue entry
     queueEntry.status = 'calling';
+    markReservationDialled(queueEntry);
     queueEntry.currentAttemptNumber += 1;
     queueEntry.lastAttemptedAt = new Date();
     queueEntry.callAttempts.push({
@@ -748,6 +467,7 @@ const makeCallToRespondent = async (req, res) => {
         queueEntry.priority = -1;
         queueEntry.assignedTo = null;
         queueEntry.assignedAt = null;
+        queueEntry.reservationExpiresAt = null;
         queueEntry.currentAttemptNumber += 1;
         queueEntry.callAttempts.push({
           attemptNumber: queueEntry.currentAttemptNumber,
@@ -775,6 +495,67 @@ const makeCallToRespondent = async (req, res) => {
   }
 };
 
+// @desc    Hang up the current call to a respondent
+// @route   POST /api/cati-interview/hangup/:queueId
+// @access  Private (Interviewer)
+const hangupCall = async (req, res) => {
+  try {
+    const { queueId } = req.params;
+    const interviewerId = req.user._id;
+
+    const queueEntry = await CatiRespondentQueue.findById(queueId).populate('callRecord');
+    if (!queueEntry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Respondent queue entry not found'
+      });
+    }
+
+    if (!queueEntry.assignedTo || queueEntry.assignedTo.toString() !== interviewerId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this respondent'
+      });
+    }
+
+    // Prefer the linked call record, fall back to the latest attempt's callId
+    let call = queueEntry.callRecord;
+    if (!call) {
+      const lastAttempt = queueEntry.callAttempts[queueEntry.callAttempts.length - 1];
+      if (lastAttempt?.callId) {
+        call = await CatiCall.findOne({ callId: lastAttempt.callId });
+      }
+    }
+    if (!call) {
+      return res.status(404).json({
+        success: false,
+        message: 'No call found for this respondent'
+      });
+    }
+
+    const result = await getProviderForCall(call).hangupCall(call.callId);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.message,
+      data: { callId: call.callId }
+    });
+  } catch (error) {
+    console.error('Error hanging up call:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to hang up call',
+      error: error.message
+    });
+  }
+};
+
 // @desc    Handle interview abandonment
 // @route   POST /api/cati-interview/abandon/:queueId
 // @access  Private (Interviewer)
@@ -814,37 +595,60 @@ const abandonInterview = async (req, res) => {
       'not_reachable': 'not_reachable',
       'does_not_exist': 'does_not_exist',
       'rejected': 'rejected',
+      'quota_full': 'quota_full',
       'technical_issue': 'call_failed',
       'other': 'call_failed'
     };
 
     const newStatus = reason ? (statusMap[reason] || 'call_failed') : 'call_failed';
 
+    // Per-survey retry policy decides when (and whether) this respondent is dialled again
+    const policySurvey = await Survey.findById(queueEntry.survey).select('catiRetryPolicy').lean();
+    const retryPolicy = getRetryPolicy(policySurvey);
+
     // Update queue entry
     queueEntry.status = newStatus;
+    queueEntry.reservationExpiresAt = null;
     // Map consent_refused to rejected status for queue entry
     const queueAbandonmentReason = reason === 'consent_refused' ? 'rejected' : reason;
     queueEntry.abandonmentReason = queueAbandonmentReason;
     queueEntry.abandonmentNotes = notes;
     if (reason === 'call_later' && callLaterDate) {
       queueEntry.callLaterDate = new Date(callLaterDate);
-      // If call later, add back to queue with higher priority
-      queueEntry.status = 'pending';
-      queueEntry.priority = 10; // Higher priority for scheduled calls
       queueEntry.assignedTo = null;
       queueEntry.assignedAt = null;
+      if (retryPolicy.enabled) {
+        // Held until the callback scheduler releases it at the promised time,
+        // then offered first to the caller who promised it
+        queueEntry.status = 'call_later';
+        queueEntry.callbackAssignedTo = interviewerId;
+        queueEntry.callbackExclusiveUntil = null;
+      } else {
+        // If call later, add back to queue with higher priority
+        queueEntry.status = 'pending';
+        queueEntry.priority = 10; // Higher priority for scheduled calls
+      }
     } else if (reason === 'consent_refused') {
       // If consent refused, mark as rejected (don't retry)
       queueEntry.status = 'rejected';
       queueEntry.assignedTo = null;
       queueEntry.assignedAt = null;
-    } else if (newStatus === 'call_failed') {
+    } else if (reason === 'quota_full') {
+      // Respondent's quota cell is full - screened out, don't retry
+      queueEntry.assignedTo = null;
+      queueEntry.assignedAt = null;
+    } else if (newStatus === 'call_failed' && !retryPolicy.enabled) {
       // If call failed, add back to queue for retry
       queueEntry.status = 'pending';
       queueEntry.assignedTo = null;
       queueEntry.assignedAt = null;
     }
 
+    if (queueEntry.status !== 'call_later') {
+      queueEntry.callbackAssignedTo = null;
+      queueEntry.callbackExclusiveUntil = null;
+    }
+
     // Update last attempt
     if (queueEntry.callAttempts.length > 0) {
       const lastAttempt = queueEntry.callAttempts[queueEntry.callAttempts.length - 1];
@@ -856,6 +660,10 @@ const abandonInterview = async (req, res) => {
       }
     }
 
+    if (retryPolicy.enabled && RETRYABLE_STATUSES.includes(queueEntry.status)) {
+      scheduleNextAttempt(queueEntry, retryPolicy);
+    }
+
     await queueEntry.save();
 
     // ALWAYS create a SurveyResponse for abandoned interviews to track call status stats
@@ -887,7 +695,8 @@ const abandonInterview = async (req, res) => {
           'does_not_exist': 'number_does_not_exist',
           'technical_issue': 'didnt_get_call',
           'call_failed': 'didnt_get_call',
-          'consent_refused': 'call_connected' // If consent was refused, call was connected
+          'consent_refused': 'call_connected', // If consent was refused, call was connected
+          'quota_full': 'call_connected' // Screened out on quota after connecting
         };
         finalCallStatus = reasonToCallStatusMap[reason] || 'unknown';
       }
@@ -961,6 +770,8 @@ const abandonInterview = async (req, res) => {
       let abandonedReason = null;
       if (reason === 'consent_refused') {
         abandonedReason = 'Consent_Form_Disagree';
+      } else if (reason === 'quota_full') {
+        abandonedReason = 'Quota_Full';
       } else if (finalCallStatus && finalCallStatus !== 'call_connected' && finalCallStatus !== 'success' && finalCallStatus !== 'unknown') {
         // Call not connected - map to Call_Not_Connected
         // This covers cases where call status question was answered with non-connected status
@@ -1430,6 +1241,11 @@ const completeCatiInterview = async (req, res) => {
       surveyResponse.setNumber = finalSetNumber;
       surveyResponse.markModified('setNumber');
       
+      // Place a completed interview in its quota cells (abandoned calls count towards none)
+      if (!shouldMarkAsAbandoned) {
+        await assignQuotaCells(surveyResponse, queueEntry.survey);
+      }
+      
       await surveyResponse.save();
       
       // CRITICAL: Use MongoDB's native collection.updateOne to FORCE save setNumber
@@ -1584,12 +1400,14 @@ const completeCatiInterview = async (req, res) => {
         }
       }
       
+      const { getSessionSurveyVersion } = require('../utils/surveyVersioning');
       surveyResponse = new SurveyResponse({
         responseId,
         survey: queueEntry.survey._id,
         interviewer: interviewerId,
         sessionId: session.sessionId,
         interviewMode: 'cati',
+        surveyVersion: getSessionSurveyVersion(session),
         call_id: callId || null, // Store DeepCall callId
         setNumber: (finalSetNumber !== null && finalSetNumber !== undefined && !isNaN(Number(finalSetNumber))) ? Number(finalSetNumber) : null, // Save which Set was shown in this CATI interview (ensure it's a proper Number type or null)
         knownCallStatus: finalKnownCallStatus, // Store call status - 'call_connected' if call was connected, even if consent is "No"
@@ -1625,6 +1443,11 @@ const completeCatiInterview = async (req, res) => {
       // Verify setNumber is set before saving
       console.log(`🔴🔴🔴 SurveyResponse object created - setNumber before save: ${surveyResponse.setNumber}, type: ${typeof surveyResponse.setNumber}`);
 
+      // Place a completed interview in its quota cells (abandoned calls count towards none)
+      if (!shouldMarkAsAbandoned) {
+        await assignQuotaCells(surveyResponse, queueEntry.survey);
+      }
+
       try {
         // Log before saving
         console.log(`🔴🔴🔴 About to save NEW SurveyResponse - setNumber in object: ${surveyResponse.setNumber}, type: ${typeof surveyResponse.setNumber}`);
@@ -1755,7 +1578,7 @@ const completeCatiInterview = async (req, res) => {
     }
 
     // Update queue entry based on call status
-    if (finalCallStatus === 'success') {
+    if (isCallConnected) {
       // Call was successful - mark as interview success
     queueEntry.status = 'interview_success';
       queueEntry.response = surveyResponse._id;
@@ -1765,26 +1588,37 @@ const completeCatiInterview = async (req, res) => {
       queueEntry.status = 'does_not_exist';
       // Optionally delete the queue entry or mark it as inactive
       // For now, just mark as does_not_exist so it won't be picked up again
-    } else if (finalCallStatus === 'busy' || finalCallStatus === 'did_not_pick_up') {
-      // Busy or didn't pick up - send to end of queue for retry
-      queueEntry.status = 'pending';
-      queueEntry.priority = -1; // Lowest priority to move to end
+    } else {
+      // Busy, didn't pick up, switched off, ... - the survey's retry policy decides when
+      // (and whether) this respondent is dialled again
+      const dispositionMap = {
+        'busy': 'busy',
+        'did_not_pick_up': 'no_answer',
+        'switched_off': 'switched_off',
+        'not_reachable': 'not_reachable',
+        'didnt_get_call': 'call_failed'
+      };
+      const disposition = dispositionMap[finalCallStatus] || 'call_failed';
+      const retryPolicy = getRetryPolicy(queueEntry.survey);
+
+      queueEntry.status = disposition;
       queueEntry.assignedTo = null;
       queueEntry.assignedAt = null;
-      queueEntry.createdAt = new Date(); // Update createdAt to move to end
-    } else {
-      // Other statuses (switched_off, not_reachable, didnt_get_call, etc.) - mark appropriately
-      queueEntry.status = finalCallStatus === 'switched_off' ? 'switched_off' :
-                         finalCallStatus === 'not_reachable' ? 'not_reachable' :
-                         'pending'; // Default to pending for other statuses
-      if (finalCallStatus !== 'didnt_get_call') {
-        // For all except "didnt_get_call", send to end of queue
-        queueEntry.priority = -1;
-        queueEntry.assignedTo = null;
-        queueEntry.assignedAt = null;
-        queueEntry.createdAt = new Date();
+      queueEntry.reservationExpiresAt = null;
+
+      // The attempt counts towards the policy's per-disposition limits
+      if (queueEntry.callAttempts.length > 0) {
+        queueEntry.callAttempts[queueEntry.callAttempts.length - 1].status = disposition;
+      }
+
+      if (retryPolicy.enabled) {
+        scheduleNextAttempt(queueEntry, retryPolicy);
+      } else {
+        // No retry policy - send to end of queue for retry
+        queueEntry.status = 'pending';
+        queueEntry.priority = -1; // Lowest priority to move to end
+        queueEntry.createdAt = new Date(); // Update createdAt to move to end
       }
-      // "didnt_get_call" is API failure, don't retry immediately but keep in queue
     }
     
     queueEntry.response = surveyResponse._id;
@@ -2032,7 +1866,7 @@ const completeCatiInterview = async (req, res) => {
 };
 
 // Helper function to initialize respondent queue
-const initializeRespondentQueue = async (surveyId, respondentContacts) => {
+const initializeRespondentQueue = async (surveyId, respondentContacts, retryPolicy) => {
   try {
     // Check if queue already has pending entries for this survey
     const pendingCount = await CatiRespondentQueue.countDocuments({ 
@@ -2066,21 +1900,32 @@ const initializeRespondentQueue = async (surveyId, respondentContacts) => {
     
     if (newContacts.length === 0) {
       console.log(`⚠️  All respondents are already in queue, but none are pending`);
-      // Reset all non-success entries back to pending for retry
-      const resetCount = await CatiRespondentQueue.updateMany(
-        { 
-          survey: surveyId, 
-          status: { $ne: 'interview_success' } 
-        },
-        { 
-          $set: { 
-            status: 'pending',
-            assignedTo: null,
-            assignedAt: null
-          } 
-        }
-      );
-      console.log(`🔄 Reset ${resetCount.modifiedCount} entries back to pending status`);
+      // Only respondents the retry policy considers dialable now go back to pending;
+      // claimed and in-call entries, future callbacks and exhausted retries stay as they are
+      if (retryPolicy.enabled) {
+        const { releaseDueCallbacks, processRetries } = require('../jobs/catiCallbackScheduler');
+        const now = new Date();
+        const callbacks = await releaseDueCallbacks(surveyId, retryPolicy, now);
+        const { retried } = await processRetries(surveyId, retryPolicy, now);
+        console.log(`🔄 Released ${callbacks} due callback(s) and ${retried} due retr${retried === 1 ? 'y' : 'ies'} back to pending status`);
+      } else {
+        // No retry policy - failed attempts go straight back to pending
+        const resetCount = await CatiRespondentQueue.updateMany(
+          { 
+            survey: surveyId, 
+            status: { $in: RETRYABLE_STATUSES }
+          },
+          { 
+            $set: { 
+              status: 'pending',
+              assignedTo: null,
+              assignedAt: null,
+              reservationExpiresAt: null
+            } 
+          }
+        );
+        console.log(`🔄 Reset ${resetCount.modifiedCount} entries back to pending status`);
+      }
       return;
     }
 
@@ -2114,6 +1959,7 @@ const initializeRespondentQueue = async (surveyId, respondentContacts) => {
 module.exports = {
   startCatiInterview,
   makeCallToRespondent,
+  hangupCall,
   abandonInterview,
   completeCatiInterview
 };
@@ -0,0 +1,395 @@
+const mongoose = require('mongoose');
+const DuplicateFlag = require('../models/DuplicateFlag');
+const SurveyResponse = require('../models/SurveyResponse');
+const Survey = require('../models/Survey');
+const { enqueueJob } = require('../utils/jobQueue');
+
+const FLAG_TYPES = ['answer_similarity', 'phone', 'name', 'time_overlap', 'gps_cluster'];
+const FLAG_STATUSES = ['open', 'confirmed', 'dismissed'];
+
+/**
+ * The survey if the user may review its duplicate flags: company admins and project managers of
+ * the survey's company, and quality agents assigned to it
+ * @returns {Promise<{survey: Object|null, status: Number, message: String}>}
+ */
+const findReviewableSurvey = async (surveyId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(surveyId)) {
+    return { survey: null, status: 404, message: 'Survey not found' };
+  }
+
+  const survey = await Survey.findById(surveyId).select('surveyName company assignedQualityAgents');
+  if (!survey) {
+    return { survey: null, status: 404, message: 'Survey not found' };
+  }
+
+  if (user.userType === 'quality_agent') {
+    const assigned = (survey.assignedQualityAgents || [])
+      .some(assignment => assignment.qualityAgent?.toString() === user._id.toString());
+    if (!assigned) {
+      return { survey: null, status: 403, message: 'You are not assigned to this survey' };
+    }
+  } else if (!survey.company || !user.company || survey.company.toString() !== user.company.toString()) {
+    return { survey: null, status: 403, message: 'You are not authorized to review this survey' };
+  }
+
+  return { survey, status: 200 };
+};
+
+/**
+ * @desc    Get the surveys the user can review duplicates for, with their open flag counts
+ * @route   GET /api/duplicate-flags/surveys
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const getReviewableSurveys = async (req, res) => {
+  try {
+    const filter = req.user.userType === 'quality_agent'
+      ? { 'assignedQualityAgents.qualityAgent': req.user._id }
+      : { company: req.user.company };
+
+    const surveys = await Survey.find({ ...filter, status: { $in: ['active', 'paused', 'draft', 'completed'] } })
+      .select('surveyName status mode')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const openCounts = await DuplicateFlag.aggregate([
+      { $match: { survey: { $in: surveys.map(survey => survey._id) }, status: 'open' } },
+      { $group: { _id: '$survey', count: { $sum: 1 } } }
+    ]);
+    const openBySurvey = new Map(openCounts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      data: {
+        surveys: surveys.map(survey => ({
+          ...survey,
+          openFlags: openBySurvey.get(survey._id.toString()) || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching surveys for duplicate review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch surveys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the duplicate flags of a survey
+ * @route   GET /api/duplicate-flags/survey/:surveyId
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const getFlagsBySurvey = async (req, res) => {
+  try {
+    const { surveyId } = req.params;
+    const { status = 'open', type } = req.query;
+
+    const access = await findReviewableSurvey(surveyId, req.user);
+    if (!access.survey) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+
+    if (status !== 'all' && !FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid status. Use one of: all, ${FLAG_STATUSES.join(', ')}`
+      });
+    }
+    if (type && !FLAG_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid type. Use one of: ${FLAG_TYPES.join(', ')}`
+      });
+    }
+
+    const filter = { survey: access.survey._id };
+    if (status !== 'all') filter.status = status;
+    if (type) filter.type = type;
+
+    const [flags, statusCounts, openTypeCounts] = await Promise.all([
+      DuplicateFlag.find(filter)
+        .populate('interviewers', 'firstName lastName memberId')
+        .populate('resolution.resolvedBy', 'firstName lastName')
+        .sort({ lastDetectedAt: -1 })
+        .limit(500),
+      DuplicateFlag.aggregate([
+        { $match: { survey: access.survey._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]),
+      DuplicateFlag.aggregate([
+        { $match: { survey: access.survey._id, status: 'open' } },
+        { $group: { _id: '$type', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const counts = { open: 0, confirmed: 0, dismissed: 0 };
+    statusCounts.forEach(entry => { counts[entry._id] = entry.count; });
+    const openByType = {};
+    openTypeCounts.forEach(entry => { openByType[entry._id] = entry.count; });
+
+    res.json({
+      success: true,
+      data: {
+        survey: { _id: access.survey._id, surveyName: access.survey.surveyName },
+        flags,
+        counts,
+        openByType
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching duplicate flags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duplicate flags',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a duplicate flag with its responses side by side
+ * @route   GET /api/duplicate-flags/:id
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const getFlagById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate flag not found'
+      });
+    }
+
+    const flag = await DuplicateFlag.findById(id)
+      .populate('interviewers', 'firstName lastName memberId phone')
+      .populate('resolution.resolvedBy', 'firstName lastName');
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate flag not found'
+      });
+    }
+
+    const access = await findReviewableSurvey(flag.survey, req.user);
+    if (!access.survey) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+
+    const responses = await SurveyResponse.find({ _id: { $in: flag.responses } })
+      .select('responseId status interviewer interviewMode startTime endTime totalTimeSpent createdAt selectedAC selectedPollingStation location responses.questionId responses.questionText responses.questionType responses.response responses.isSkipped riskScore')
+      .populate('interviewer', 'firstName lastName memberId')
+      .sort({ createdAt: 1 })
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        flag,
+        responses
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching duplicate flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch duplicate flag',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Resolve a duplicate flag: confirm it (optionally rejecting some of its responses) or
+ *          dismiss it as a false alarm
+ * @route   POST /api/duplicate-flags/:id/resolve
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const resolveFlag = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { action, note, rejectResponseIds = [] } = req.body;
+
+    if (!['confirm', 'dismiss'].includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Action must be "confirm" or "dismiss"'
+      });
+    }
+    if (!Array.isArray(rejectResponseIds)) {
+      return res.status(400).json({
+        success: false,
+        message: 'rejectResponseIds must be an array'
+      });
+    }
+    if (action === 'dismiss' && rejectResponseIds.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'A dismissed flag cannot reject responses'
+      });
+    }
+
+    const flag = await DuplicateFlag.findById(mongoose.Types.ObjectId.isValid(id) ? id : null);
+    if (!flag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Duplicate flag not found'
+      });
+    }
+
+    const access = await findReviewableSurvey(flag.survey, req.user);
+    if (!access.survey) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+
+    if (flag.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: `Flag is already ${flag.status}`
+      });
+    }
+
+    const flagged = new Set(flag.responses.map(String));
+    const toReject = [...new Set(rejectResponseIds.map(String))];
+    if (toReject.some(responseId => !flagged.has(responseId))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only responses in this flag can be rejected'
+      });
+    }
+
+    // Claim the flag first so two reviewers cannot resolve it at once
+    const now = new Date();
+    const resolved = await DuplicateFlag.findOneAndUpdate(
+      { _id: flag._id, status: 'open' },
+      {
+        $set: {
+          status: action === 'confirm' ? 'confirmed' : 'dismissed',
+          resolution: {
+            note: note ? String(note).trim() : undefined,
+            rejectedResponses: toReject,
+            resolvedBy: req.user._id,
+            resolvedAt: now
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!resolved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This flag was resolved by someone else'
+      });
+    }
+
+    let rejectedCount = 0;
+    if (toReject.length > 0) {
+      const feedback = `Duplicate interview (${flag.summary || flag.type})${note ? `: ${String(note).trim()}` : ''}`;
+      const result = await SurveyResponse.updateMany(
+        { _id: { $in: toReject }, status: { $ne: 'Rejected' } },
+        {
+          $set: {
+            status: 'Rejected',
+            'verificationData.reviewer': req.user._id,
+            'verificationData.reviewedAt': now,
+            'verificationData.feedback': feedback
+          },
+          $unset: { reviewAssignment: '' }
+        },
+        { runValidators: false }
+      );
+      rejectedCount = result.modifiedCount || 0;
+
+      if (rejectedCount > 0) {
+        const { queueTrustScoreUpdate } = require('../utils/trustScore');
+        const interviewerIds = await SurveyResponse.distinct('interviewer', { _id: { $in: toReject } });
+        await Promise.all(interviewerIds.map(queueTrustScoreUpdate));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: action === 'confirm'
+        ? `Flag confirmed${rejectedCount ? `, ${rejectedCount} response(s) rejected` : ''}`
+        : 'Flag dismissed',
+      data: {
+        flag: resolved,
+        rejectedCount
+      }
+    });
+
+  } catch (error) {
+    console.error('Error resolving duplicate flag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resolve duplicate flag',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Queue duplicate detection for a survey now instead of waiting for the nightly run
+ * @route   POST /api/duplicate-flags/survey/:surveyId/detect
+ * @access  Private (Company Admin, Project Manager, Quality Agent)
+ */
+const runDetection = async (req, res) => {
+  try {
+    const { surveyId } = req.params;
+
+    const access = await findReviewableSurvey(surveyId, req.user);
+    if (!access.survey) {
+      return res.status(access.status).json({
+        success: false,
+        message: access.message
+      });
+    }
+
+    // One queued run per survey; asking again while it waits returns the same job
+    const job = await enqueueJob('qc.detectDuplicates', { surveyId: access.survey._id.toString() }, {
+      key: `qc.detectDuplicates:${access.survey._id}`,
+      company: access.survey.company,
+      createdBy: req.user._id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Duplicate detection queued',
+      data: {
+        jobId: job._id,
+        status: job.status
+      }
+    });
+
+  } catch (error) {
+    console.error('Error queueing duplicate detection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to queue duplicate detection',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReviewableSurveys,
+  getFlagsBySurvey,
+  getFlagById,
+  resolveFlag,
+  runDetection
+};
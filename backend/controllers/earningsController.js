@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutCycle = require('../models/PayoutCycle');
+const Company = require('../models/Company');
+const { getEarningsSummary, syncEarnings } = require('../utils/earningsLedger');
+const {
+  getLatestPeriodEnd,
+  generatePayoutCycle,
+  buildBankTransferCsv,
+  markPayoutCyclePaid
+} = require('../utils/payoutCycles');
+const { IST_OFFSET_MS } = require('../utils/qcBatchHelper');
+
+// Only the bank transfer file has full account numbers; responses show the last four digits
+const maskAccount = (accountNumber) => (accountNumber ? `****${String(accountNumber).slice(-4)}` : '');
+
+const toCycleSummary = (cycle) => ({
+  _id: cycle._id,
+  schedule: cycle.schedule,
+  periodStart: cycle.periodStart,
+  periodEnd: cycle.periodEnd,
+  status: cycle.status,
+  totalAmount: cycle.totalAmount,
+  interviewerCount: cycle.lines.length,
+  missingBankDetails: cycle.lines.filter(line => line.status === 'missing_bank_details').length,
+  exportedAt: cycle.exportedAt,
+  paidAt: cycle.paidAt,
+  paymentReference: cycle.paymentReference,
+  createdAt: cycle.createdAt
+});
+
+/**
+ * The company's cycle if it exists
+ * @returns {Promise<{cycle: Object|null, status: Number, message: String}>}
+ */
+const findCompanyCycle = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { cycle: null, status: 404, message: 'Payout cycle not found' };
+  }
+  const cycle = await PayoutCycle.findById(id);
+  if (!cycle) {
+    return { cycle: null, status: 404, message: 'Payout cycle not found' };
+  }
+  if (!user.company || cycle.company.toString() !== user.company.toString()) {
+    return { cycle: null, status: 403, message: 'You are not authorized to access this payout cycle' };
+  }
+  return { cycle, status: 200 };
+};
+
+/**
+ * @desc    Get the interviewer's earnings statement: balances, ledger entries and payouts
+ * @route   GET /api/earnings/me
+ * @access  Private (Interviewer)
+ */
+const getMyEarnings = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const interviewer = req.user._id;
+
+    const [summary, entries, totalEntries, cycles] = await Promise.all([
+      getEarningsSummary(interviewer),
+      EarningEntry.find({ interviewer })
+        .populate('survey', 'surveyName')
+        .populate('response', 'responseId')
+        .select('survey response type amount pricing payoutCycle createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EarningEntry.countDocuments({ interviewer }),
+      PayoutCycle.find({ 'lines.interviewer': interviewer })
+        .select('periodStart periodEnd status paidAt lines')
+        .sort({ periodEnd: -1 })
+        .limit(12)
+        .lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        summary,
+        entries,
+        payouts: cycles.map(cycle => {
+          const line = cycle.lines.find(candidate => candidate.interviewer.toString() === interviewer.toString());
+          return {
+            _id: cycle._id,
+            periodStart: cycle.periodStart,
+            periodEnd: cycle.periodEnd,
+            paidAt: cycle.paidAt,
+            amount: line.amount,
+            entryCount: line.entryCount,
+            status: line.status,
+            accountNumber: maskAccount(line.bank?.accountNumber)
+          };
+        }),
+        pagination: {
+          page,
+          limit,
+          total: totalEntries,
+          pages: Math.ceil(totalEntries / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching earnings statement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch earnings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the company's payout cycles and the balance not yet in a cycle
+ * @route   GET /api/earnings/payout-cycles
+ * @access  Private (Company Admin)
+ */
+const getPayoutCycles = async (req, res) => {
+  try {
+    const company = await Company.findById(req.user.company).select('paymentConfig.payoutSchedule paymentConfig.payoutDay').lean();
+    if (!company) {
+      return res.status(404).json({
+        success: false,
+        message: 'Company not found'
+      });
+    }
+
+    const [cycles, unassigned] = await Promise.all([
+      PayoutCycle.find({ company: company._id }).sort({ periodEnd: -1 }).limit(52),
+      EarningEntry.aggregate([
+        { $match: { company: company._id, payoutCycle: { $exists: false } } },
+        { $group: { _id: null, amount: { $sum: '$amount' }, interviewers: { $addToSet: '$interviewer' } } }
+      ])
+    ]);
+
+    const schedule = company.paymentConfig?.payoutSchedule || 'weekly';
+    res.json({
+      success: true,
+      data: {
+        schedule,
+        payoutDay: company.paymentConfig?.payoutDay,
+        latestPeriodEnd: getLatestPeriodEnd(schedule, company.paymentConfig?.payoutDay),
+        unassigned: {
+          amount: Math.round((unassigned[0]?.amount || 0) * 100) / 100,
+          interviewerCount: unassigned[0]?.interviewers.length || 0
+        },
+        cycles: cycles.map(toCycleSummary)
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching payout cycles:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout cycles',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a payout cycle with its lines
+ * @route   GET /api/earnings/payout-cycles/:id
+ * @access  Private (Company Admin)
+ */
+const getPayoutCycle = async (req, res) => {
+  try {
+    const { cycle, status, message } = await findCompanyCycle(req.params.id, req.user);
+    if (!cycle) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        cycle: {
+          ...toCycleSummary(cycle),
+          lines: cycle.lines.map(line => ({
+            interviewer: line.interviewer,
+            name: line.name,
+            memberId: line.memberId,
+            amount: line.amount,
+            entryCount: line.entryCount,
+            status: line.status,
+            bankName: line.bank?.bankName,
+            ifscCode: line.bank?.ifscCode,
+            accountNumber: maskAccount(line.bank?.accountNumber)
+          }))
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching payout cycle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch payout cycle',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Generate the payout cycle for the latest ended period now instead of waiting for the nightly run
+ * @route   POST /api/earnings/payout-cycles/generate
+ * @access  Private (Company Admin)
+ */
+const generateCycleNow = async (req, res) => {
+  try {
+    await syncEarnings();
+    const cycle = await generatePayoutCycle(req.user.company, { createdBy: req.user._id });
+    if (!cycle) {
+      return res.json({
+        success: true,
+        message: 'Nothing to pay out: the latest period already has a cycle or no interviewer has an unpaid balance',
+        data: { cycle: null }
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Payout cycle generated for ${cycle.lines.length} interviewer(s)`,
+      data: { cycle: toCycleSummary(cycle) }
+    });
+
+  } catch (error) {
+    console.error('Error generating payout cycle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to generate payout cycle',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Download a payout cycle's bank transfer file (CSV)
+ * @route   GET /api/earnings/payout-cycles/:id/export
+ * @access  Private (Company Admin)
+ */
+const exportPayoutCycle = async (req, res) => {
+  try {
+    const { cycle, status, message } = await findCompanyCycle(req.params.id, req.user);
+    if (!cycle) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const csv = buildBankTransferCsv(cycle);
+    if (cycle.status === 'open') {
+      cycle.status = 'exported';
+      cycle.exportedAt = new Date();
+      cycle.exportedBy = req.user._id;
+      await cycle.save();
+    }
+
+    const periodEnd = new Date(cycle.periodEnd.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'text/csv');
+    res.setHeader('Content-Disposition', `attachment; filename="payouts_${periodEnd}.csv"`);
+    res.send(csv);
+
+  } catch (error) {
+    console.error('Error exporting payout cycle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export payout cycle',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Confirm a payout cycle's bank transfer
+ * @route   POST /api/earnings/payout-cycles/:id/mark-paid
+ * @access  Private (Company Admin)
+ */
+const markCyclePaid = async (req, res) => {
+  try {
+    const { cycle, status, message } = await findCompanyCycle(req.params.id, req.user);
+    if (!cycle) {
+      return res.status(status).json({ success: false, message });
+    }
+    if (cycle.status === 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'This payout cycle is already paid'
+      });
+    }
+    if (cycle.status !== 'exported') {
+      return res.status(400).json({
+        success: false,
+        message: 'Export the bank transfer file before marking the cycle paid'
+      });
+    }
+
+    const paid = await markPayoutCyclePaid(cycle, req.user, req.body.paymentReference);
+
+    res.json({
+      success: true,
+      message: 'Payout cycle marked paid',
+      data: { cycle: toCycleSummary(paid) }
+    });
+
+  } catch (error) {
+    console.error('Error marking payout cycle paid:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to mark payout cycle paid',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getMyEarnings,
+  getPayoutCycles,
+  getPayoutCycle,
+  generateCycleNow,
+  exportPayoutCycle,
+  markCyclePaid
+};
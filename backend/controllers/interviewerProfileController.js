@@ -49,22 +49,16 @@ const getInterviewerProfileById = async (req, res) => {
       return res.status(400).json({ message: 'User is not an interviewer' });
     }
 
-    // Add signed URLs to document fields
-    const { getSignedUrl } = require('../utils/cloudStorage');
-    const profileObj = user.toObject ? user.toObject() : user;
-    if (profileObj.interviewerProfile) {
-      const docFields = ['cvUpload', 'aadhaarDocument', 'panDocument', 'passportPhoto', 'bankDocumentUpload'];
-      for (const field of docFields) {
-        if (profileObj.interviewerProfile[field]) {
-          try {
-            const signedUrl = await getSignedUrl(profileObj.interviewerProfile[field], 3600);
-            profileObj.interviewerProfile[field + 'SignedUrl'] = signedUrl;
-          } catch (error) {
-            console.error(`Error generating signed URL for ${field}:`, error);
-            // Continue without signed URL
-          }
-        }
-      }
+    // KYC details are for the interviewer, their company admins and super admins only
+    const { canAccessKycDocuments, maskKycNumbers } = require('../utils/kycDocuments');
+    if (!canAccessKycDocuments(req.user, user)) {
+      return res.status(403).json({ message: 'Unauthorized to view this profile' });
+    }
+
+    // Documents are opened through /api/kyc-documents links; admins see masked numbers
+    const profileObj = user.toObject();
+    if (profileObj._id.toString() !== req.user._id.toString()) {
+      maskKycNumbers(profileObj);
     }
 
     res.json({
@@ -254,30 +248,13 @@ const getPendingProfiles = async (req, res) => {
       'interviewerProfile.approvalStatus': 'pending'
     }).select('firstName lastName email phone interviewerProfile');
 
-    // Add signed URLs to document fields
-    const { getSignedUrl } = require('../utils/cloudStorage');
-    const profilesWithSignedUrls = await Promise.all(pendingProfiles.map(async (profile) => {
-      const profileObj = profile.toObject ? profile.toObject() : profile;
-      if (profileObj.interviewerProfile) {
-        const docFields = ['cvUpload', 'aadhaarDocument', 'panDocument', 'passportPhoto', 'bankDocumentUpload'];
-        for (const field of docFields) {
-          if (profileObj.interviewerProfile[field]) {
-            try {
-              const signedUrl = await getSignedUrl(profileObj.interviewerProfile[field], 3600);
-              profileObj.interviewerProfile[field + 'SignedUrl'] = signedUrl;
-            } catch (error) {
-              console.error(`Error generating signed URL for ${field}:`, error);
-              // Continue without signed URL
-            }
-          }
-        }
-      }
-      return profileObj;
-    }));
+    // Documents are opened through /api/kyc-documents links; reviewers see masked numbers
+    const { maskKycNumbers } = require('../utils/kycDocuments');
+    const maskedProfiles = pendingProfiles.map(profile => maskKycNumbers(profile.toObject()));
 
     res.json({
       success: true,
-      data: profilesWithSignedUrls
+      data: maskedProfiles
     });
   } catch (error) {
     console.error('Error fetching pending profiles:', error);
@@ -338,30 +315,13 @@ const getIndependentInterviewerProfiles = async (req, res) => {
       'interviewerProfile.approvalStatus': 'pending'
     }).select('firstName lastName email phone interviewerProfile');
 
-    // Add signed URLs to document fields
-    const { getSignedUrl } = require('../utils/cloudStorage');
-    const profilesWithSignedUrls = await Promise.all(pendingProfiles.map(async (profile) => {
-      const profileObj = profile.toObject ? profile.toObject() : profile;
-      if (profileObj.interviewerProfile) {
-        const docFields = ['cvUpload', 'aadhaarDocument', 'panDocument', 'passportPhoto', 'bankDocumentUpload'];
-        for (const field of docFields) {
-          if (profileObj.interviewerProfile[field]) {
-            try {
-              const signedUrl = await getSignedUrl(profileObj.interviewerProfile[field], 3600);
-              profileObj.interviewerProfile[field + 'SignedUrl'] = signedUrl;
-            } catch (error) {
-              console.error(`Error generating signed URL for ${field}:`, error);
-              // Continue without signed URL
-            }
-          }
-        }
-      }
-      return profileObj;
-    }));
+    // Documents are opened through /api/kyc-documents links; reviewers see masked numbers
+    const { maskKycNumbers } = require('../utils/kycDocuments');
+    const maskedProfiles = pendingProfiles.map(profile => maskKycNumbers(profile.toObject()));
 
     res.json({
       success: true,
-      data: profilesWithSignedUrls
+      data: maskedProfiles
     });
   } catch (error) {
     console.error('Error fetching independent interviewer profiles:', error);
@@ -0,0 +1,212 @@
+const mongoose = require('mongoose');
+const BackgroundJob = require('../models/BackgroundJob');
+const jobQueue = require('../utils/jobQueue');
+
+// 'scheduled' is a view of queued jobs that are not due yet (next recurring runs, retries
+// waiting out their backoff); 'queued' lists the ones waiting for a free worker
+const buildStatusFilter = (status, now) => {
+  switch (status) {
+    case 'scheduled':
+      return { status: 'queued', runAt: { $gt: now } };
+    case 'queued':
+      return { status: 'queued', runAt: { $lte: now } };
+    case 'running':
+    case 'completed':
+    case 'failed':
+    case 'cancelled':
+      return { status };
+    default:
+      return {};
+  }
+};
+
+// @desc    List background jobs
+// @route   GET /api/jobs
+// @access  Private (Super Admin only)
+const getJobs = async (req, res) => {
+  try {
+    const { status = 'running', name, page = 1, limit = 50 } = req.query;
+    const now = new Date();
+
+    const filter = buildStatusFilter(status, now);
+    if (name) {
+      filter.name = name;
+    }
+
+    const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+    // Scheduled jobs are listed by when they will run, the rest newest first
+    const sort = status === 'scheduled' || status === 'queued' ? { runAt: 1 } : { updatedAt: -1 };
+
+    const [jobs, total, statusCounts, scheduledCount] = await Promise.all([
+      BackgroundJob.find(filter)
+        .select('-payload -result -history')
+        .sort(sort)
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .populate('company', 'companyName')
+        .populate('createdBy', 'firstName lastName')
+        .populate('rerunBy', 'firstName lastName')
+        .lean(),
+      BackgroundJob.countDocuments(filter),
+      BackgroundJob.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }]),
+      BackgroundJob.countDocuments(buildStatusFilter('scheduled', now))
+    ]);
+
+    const counts = statusCounts.reduce((acc, item) => {
+      acc[item._id] = item.count;
+      return acc;
+    }, {});
+    counts.scheduled = scheduledCount;
+    counts.queued = (counts.queued || 0) - scheduledCount;
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        counts,
+        definitions: jobQueue.getJobDefinitions(),
+        pagination: {
+          currentPage: pageNum,
+          totalPages: Math.ceil(total / limitNum),
+          total,
+          limit: limitNum
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching background jobs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching background jobs',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Get a background job with its payload and attempt history
+// @route   GET /api/jobs/:id
+// @access  Private (Super Admin only)
+const getJobById = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const job = await BackgroundJob.findById(req.params.id)
+      .populate('company', 'companyName')
+      .populate('createdBy', 'firstName lastName')
+      .populate('rerunBy', 'firstName lastName')
+      .lean();
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Error fetching background job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching background job',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Queue a completed, failed or cancelled job to run again
+// @route   POST /api/jobs/:id/rerun
+// @access  Private (Super Admin only)
+const rerunJob = async (req, res) => {
+  try {
+    const existing = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BackgroundJob.findById(req.params.id).select('status')
+      : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const job = await jobQueue.rerunJob(existing._id, req.user._id);
+    if (!job) {
+      return res.status(400).json({
+        success: false,
+        message: `Only finished jobs can be re-run (this job is ${existing.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job queued to run again',
+      data: { job }
+    });
+  } catch (error) {
+    if (error.code === 'DUPLICATE') {
+      return res.status(409).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error re-running background job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error re-running background job',
+      error: error.message
+    });
+  }
+};
+
+// @desc    Cancel a job that has not started
+// @route   POST /api/jobs/:id/cancel
+// @access  Private (Super Admin only)
+const cancelJob = async (req, res) => {
+  try {
+    const existing = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await BackgroundJob.findById(req.params.id).select('status')
+      : null;
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found'
+      });
+    }
+
+    const job = await jobQueue.cancelJob(existing._id);
+    if (!job) {
+      return res.status(400).json({
+        success: false,
+        message: `Only queued jobs can be cancelled (this job is ${existing.status})`
+      });
+    }
+
+    res.json({
+      success: true,
+      message: job.recurring ? 'Run skipped; the next one is scheduled' : 'Job cancelled',
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Error cancelling background job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling background job',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getJobs,
+  getJobById,
+  rerunJob,
+  cancelJob
+};
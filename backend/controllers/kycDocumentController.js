@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const KycAccessLog = require('../models/KycAccessLog');
+const {
+  KYC_DOCUMENT_FIELDS,
+  LINK_TTL_SECONDS,
+  canAccessKycDocuments,
+  createDocumentToken,
+  verifyDocumentToken,
+  resolveLocalKycFile,
+  logKycAccess
+} = require('../utils/kycDocuments');
+
+// S3 links handed out after the token check only need to survive the redirect
+const S3_REDIRECT_TTL_SECONDS = 60;
+
+/**
+ * The document owner, if the viewer may see their documents
+ * @returns {Promise<{owner: Object|null, status: Number, message: String}>}
+ */
+const findAccessibleOwner = async (userId, viewer) => {
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return { owner: null, status: 404, message: 'User not found' };
+  }
+  const owner = await User.findById(userId).select('company interviewerProfile').lean();
+  if (!owner) {
+    return { owner: null, status: 404, message: 'User not found' };
+  }
+  if (!canAccessKycDocuments(viewer, owner)) {
+    return { owner: null, status: 403, message: 'You are not authorized to access this user\'s documents' };
+  }
+  return { owner, status: 200 };
+};
+
+/**
+ * @desc    Get a short-lived link to a KYC document (own documents, or as company/super admin)
+ * @route   GET /api/kyc-documents/link?field=&userId=
+ * @access  Private
+ */
+const getDocumentLink = async (req, res) => {
+  try {
+    const { field } = req.query;
+    const userId = req.query.userId || req.user._id.toString();
+
+    if (!KYC_DOCUMENT_FIELDS.includes(field)) {
+      return res.status(400).json({
+        success: false,
+        message: `field must be one of: ${KYC_DOCUMENT_FIELDS.join(', ')}`
+      });
+    }
+
+    const { owner, status, message } = await findAccessibleOwner(userId, req.user);
+    if (!owner) {
+      if (status === 403) {
+        await logKycAccess({ owner: userId, field, viewer: req.user, action: 'denied', reason: 'not_authorized', req });
+      }
+      return res.status(status).json({ success: false, message });
+    }
+    if (!owner.interviewerProfile?.[field]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not uploaded'
+      });
+    }
+
+    const { token, expiresAt } = createDocumentToken(owner._id, field, req.user._id);
+    await logKycAccess({ owner: owner._id, field, viewer: req.user, action: 'link_issued', req });
+
+    res.json({
+      success: true,
+      data: {
+        url: `/api/kyc-documents/view?token=${encodeURIComponent(token)}`,
+        expiresAt,
+        expiresIn: LINK_TTL_SECONDS
+      }
+    });
+
+  } catch (error) {
+    console.error('Error creating KYC document link:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create document link',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Serve a KYC document through a signed link
+ * @route   GET /api/kyc-documents/view?token=
+ * @access  Signed link (opened in a new tab or preview, so no Authorization header)
+ */
+const viewDocument = async (req, res) => {
+  try {
+    const claims = verifyDocumentToken(req.query.token);
+    if (!claims) {
+      return res.status(403).json({
+        success: false,
+        message: 'This document link is invalid or has expired'
+      });
+    }
+
+    // Access is checked again: the viewer may have been deactivated or moved since the link was issued
+    const viewer = await User.findById(claims.viewerId).select('userType company status').lean();
+    if (!viewer || viewer.status === 'inactive' || viewer.status === 'suspended') {
+      await logKycAccess({ owner: claims.ownerId, field: claims.field, viewer: claims.viewerId, action: 'denied', reason: 'viewer_inactive', req });
+      return res.status(403).json({
+        success: false,
+        message: 'This document link is no longer valid'
+      });
+    }
+
+    const { owner, status, message } = await findAccessibleOwner(claims.ownerId, viewer);
+    if (!owner) {
+      if (status === 403) {
+        await logKycAccess({ owner: claims.ownerId, field: claims.field, viewer, action: 'denied', reason: 'not_authorized', req });
+      }
+      return res.status(status).json({ success: false, message });
+    }
+
+    const stored = owner.interviewerProfile?.[claims.field];
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not uploaded'
+      });
+    }
+
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    // Local uploads are stored by file name, S3 uploads by key (documents/...)
+    if (!stored.includes('/')) {
+      const filePath = resolveLocalKycFile(stored);
+      if (!filePath) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document file not found'
+        });
+      }
+      await logKycAccess({ owner: owner._id, field: claims.field, viewer, action: 'viewed', req });
+      return res.sendFile(filePath);
+    }
+
+    const { getSignedUrl } = require('../utils/cloudStorage');
+    const signedUrl = await getSignedUrl(stored, S3_REDIRECT_TTL_SECONDS);
+    await logKycAccess({ owner: owner._id, field: claims.field, viewer, action: 'viewed', req });
+    res.redirect(signedUrl);
+
+  } catch (error) {
+    console.error('Error serving KYC document:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load document',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get who asked for and opened a user's KYC documents
+ * @route   GET /api/kyc-documents/access-log?userId=
+ * @access  Private (the user, their company admins, super admin)
+ */
+const getAccessLog = async (req, res) => {
+  try {
+    const userId = req.query.userId || req.user._id.toString();
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const { owner, status, message } = await findAccessibleOwner(userId, req.user);
+    if (!owner) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const entries = await KycAccessLog.find({ owner: owner._id })
+      .populate('viewer', 'firstName lastName memberId userType')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
+
+    res.json({
+      success: true,
+      data: { entries }
+    });
+
+  } catch (error) {
+    console.error('Error fetching KYC access log:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch access log',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDocumentLink,
+  viewDocument,
+  getAccessLog
+};
@@ -1,6 +1,7 @@
 const SurveyResponse = require('../models/SurveyResponse');
 const Survey = require('../models/Survey');
 const User = require('../models/User');
+const EarningEntry = require('../models/EarningEntry');
 const mongoose = require('mongoose');
 
 // @desc    Get interviewer performance analytics
@@ -111,8 +112,7 @@ exports.getInterviewerPerformance = async (req, res) => {
           },
           averageCompletionTime: { $avg: '$totalTimeSpent' },
           averageCompletionPercentage: { $avg: '$completionPercentage' },
-          averageQualityScore: { $avg: '$qualityMetrics.dataQualityScore' },
-          totalEarnings: { $sum: { $ifNull: ['$metadata.earnings', 0] } }
+          averageQualityScore: { $avg: '$qualityMetrics.dataQualityScore' }
         }
       }
     ]);
@@ -136,13 +136,33 @@ exports.getInterviewerPerformance = async (req, res) => {
             $sum: { $cond: [{ $eq: ['$status', 'Rejected'] }, 1, 0] }
           },
           averageTime: { $avg: '$totalTimeSpent' },
-          averageQuality: { $avg: '$qualityMetrics.dataQualityScore' },
-          earnings: { $sum: { $ifNull: ['$metadata.earnings', 0] } }
+          averageQuality: { $avg: '$qualityMetrics.dataQualityScore' }
         }
       },
       { $sort: { date: 1 } }
     ]);
 
+    // Earnings come from the ledger (utils/earningsLedger.js), dated when credited or reversed
+    const dailyEarnings = await EarningEntry.aggregate([
+      { $match: { ...dateFilter, ...surveyFilter, interviewer: baseFilter.interviewer } },
+      {
+        $group: {
+          _id: {
+            year: { $year: '$createdAt' },
+            month: { $month: '$createdAt' },
+            day: { $dayOfMonth: '$createdAt' }
+          },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]);
+    const dayKey = ({ year, month, day }) => `${year}-${month}-${day}`;
+    const earningsByDay = new Map(dailyEarnings.map(entry => [dayKey(entry._id), entry.amount]));
+    dailyPerformance.forEach(day => {
+      day.earnings = earningsByDay.get(dayKey(day._id)) || 0;
+    });
+    const totalEarnings = Math.round(dailyEarnings.reduce((sum, entry) => sum + entry.amount, 0) * 100) / 100;
+
     // Get survey-wise performance
     const surveyPerformance = await SurveyResponse.aggregate([
       { $match: baseFilter },
@@ -210,9 +230,9 @@ exports.getInterviewerPerformance = async (req, res) => {
       pendingInterviews: 0,
       averageCompletionTime: 0,
       averageCompletionPercentage: 0,
-      averageQualityScore: 0,
-      totalEarnings: 0
+      averageQualityScore: 0
     };
+    overviewData.totalEarnings = totalEarnings;
 
     const approvalRate = overviewData.totalInterviews > 0 
       ? (overviewData.approvedInterviews / overviewData.totalInterviews) * 100 
@@ -1,5 +1,6 @@
 const QCBatchConfig = require('../models/QCBatchConfig');
 const Survey = require('../models/Survey');
+const { SAMPLING_STRATEGIES } = require('../utils/qcSampling');
 
 /**
  * @desc    Get active QC batch configuration for a survey
@@ -51,7 +52,7 @@ const getConfigBySurvey = async (req, res) => {
  */
 const createOrUpdateConfig = async (req, res) => {
   try {
-    const { surveyId, samplePercentage, approvalRules, notes } = req.body;
+    const { surveyId, samplePercentage, approvalRules, notes, batching, sampling, escalationBatches, trustedSamplePercentage } = req.body;
     const companyId = req.user.company;
     const userId = req.user.id;
     const userType = req.user.userType;
@@ -116,6 +117,55 @@ const createOrUpdateConfig = async (req, res) => {
       }
     }
     
+    // Validate batch boundaries (optional; model defaults apply when omitted)
+    if (batching) {
+      if (batching.mode && !['day', 'count', 'time_window'].includes(batching.mode)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Batching mode must be one of: day, count, time_window'
+        });
+      }
+      if (batching.batchSize !== undefined && (!Number.isInteger(Number(batching.batchSize)) || batching.batchSize < 1 || batching.batchSize > 5000)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Batch size must be a whole number between 1 and 5000'
+        });
+      }
+      if (batching.windowHours !== undefined && (!Number.isInteger(Number(batching.windowHours)) || batching.windowHours < 1 || batching.windowHours > 24)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Time window must be a whole number of hours between 1 and 24'
+        });
+      }
+      if (batching.maxOpenHours !== undefined && (!Number.isInteger(Number(batching.maxOpenHours)) || batching.maxOpenHours < 1 || batching.maxOpenHours > 24 * 14)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Maximum open time must be a whole number of hours between 1 and 336'
+        });
+      }
+    }
+    
+    if (sampling?.strategy && !SAMPLING_STRATEGIES.includes(sampling.strategy)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sampling strategy must be one of: ${SAMPLING_STRATEGIES.join(', ')}`
+      });
+    }
+    
+    if (escalationBatches !== undefined && (!Number.isInteger(Number(escalationBatches)) || escalationBatches < 1 || escalationBatches > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Escalation length must be between 1 and 100 batches'
+      });
+    }
+
+    if (trustedSamplePercentage !== undefined && (trustedSamplePercentage < 1 || trustedSamplePercentage > 100)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trusted interviewer sample percentage must be between 1 and 100'
+      });
+    }
+    
     // Check if survey exists and belongs to company (if surveyId provided)
     if (surveyId) {
       const survey = await Survey.findOne({
@@ -149,6 +199,10 @@ const createOrUpdateConfig = async (req, res) => {
       company: companyId,
       samplePercentage,
       approvalRules: rulesArray,
+      batching,
+      sampling,
+      escalationBatches,
+      trustedSamplePercentage,
       notes,
       isActive: true,
       createdBy: userId
@@ -2,7 +2,9 @@ const QCBatch = require('../models/QCBatch');
 const SurveyResponse = require('../models/SurveyResponse');
 const Survey = require('../models/Survey');
 const QCBatchConfig = require('../models/QCBatchConfig');
-const { processQCBatches, processBatch } = require('../jobs/qcBatchProcessor');
+const QCEscalation = require('../models/QCEscalation');
+const { processBatch } = require('../jobs/qcBatchProcessor');
+const { enqueueJob } = require('../utils/jobQueue');
 
 /**
  * @desc    Get all QC batches for a survey
@@ -178,7 +180,7 @@ const getBatchById = async (req, res) => {
 };
 
 /**
- * @desc    Manually trigger batch processing (for testing/admin use)
+ * @desc    Queue a batch processing run now (for testing/admin use)
  * @route   POST /api/qc-batches/process
  * @access  Private (Company Admin, Super Admin)
  */
@@ -196,19 +198,23 @@ const triggerBatchProcessing = async (req, res) => {
     
     console.log('🔄 Manual batch processing triggered by:', req.user.email);
     
-    // Process batches
-    await processQCBatches();
+    // Runs on the job queue; a second request while one is waiting returns the same job
+    const job = await enqueueJob('qc.processBatches', {}, {
+      key: 'qc.processBatches:manual',
+      createdBy: req.user._id
+    });
     
-    res.json({
+    res.status(202).json({
       success: true,
-      message: 'Batch processing completed successfully'
+      message: 'Batch processing queued',
+      data: { jobId: job._id, status: job.status }
     });
     
   } catch (error) {
     console.error('Error in manual batch processing:', error);
     res.status(500).json({
       success: false,
-      message: 'Batch processing failed',
+      message: 'Failed to queue batch processing',
       error: error.message
     });
   }
@@ -274,16 +280,25 @@ const sendBatchToQC = async (req, res) => {
     console.log(`🔄 Manually processing batch ${batchId} with ${batch.totalResponses} responses`);
     
     // Process the batch
-    await processBatch(batch, config);
+    const processed = await processBatch(batch, config);
+    if (!processed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Batch was already closed and is being processed'
+      });
+    }
     
     // Refresh batch to get updated status
-    await batch.populate('interviewer', 'firstName lastName email');
+    await processed.populate([
+      { path: 'survey', select: 'surveyName company' },
+      { path: 'interviewer', select: 'firstName lastName email' }
+    ]);
     
     res.json({
       success: true,
-      message: `Batch processed successfully. ${batch.sampleSize} responses sent to QC.`,
+      message: `Batch processed successfully. ${processed.sampleSize} responses sent to QC.`,
       data: {
-        batch: batch.toObject()
+        batch: processed.toObject()
       }
     });
     
@@ -297,10 +312,122 @@ const sendBatchToQC = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Get interviewers on escalated (100%) QC for a survey
+ * @route   GET /api/qc-batches/survey/:surveyId/escalations
+ * @access  Private (Company Admin, Project Manager)
+ */
+const getEscalationsBySurvey = async (req, res) => {
+  try {
+    const { surveyId } = req.params;
+    const { status = 'active' } = req.query;
+    const companyId = req.user.company;
+    
+    // Verify survey belongs to company
+    const survey = await Survey.findOne({
+      _id: surveyId,
+      company: companyId
+    });
+    
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+    
+    const filter = { survey: surveyId };
+    if (status !== 'all') {
+      filter.status = status;
+    }
+    
+    const escalations = await QCEscalation.find(filter)
+      .populate('interviewer', 'firstName lastName email memberId')
+      .populate('triggerBatch', 'batchDate totalResponses qcStats')
+      .populate('clearedBy', 'firstName lastName')
+      .sort({ updatedAt: -1 })
+      .limit(200);
+    
+    res.json({
+      success: true,
+      data: {
+        escalations
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error fetching QC escalations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch QC escalations',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Take an interviewer off escalated QC before their escalated batches are used up
+ * @route   POST /api/qc-batches/escalations/:escalationId/clear
+ * @access  Private (Company Admin, Project Manager)
+ */
+const clearEscalation = async (req, res) => {
+  try {
+    const { escalationId } = req.params;
+    const companyId = req.user.company;
+    
+    const escalation = await QCEscalation.findById(escalationId)
+      .populate('survey', 'company');
+    
+    if (!escalation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Escalation not found'
+      });
+    }
+    
+    // Verify escalation belongs to company
+    if (!escalation.survey || escalation.survey.company.toString() !== companyId.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not authorized to clear this escalation'
+      });
+    }
+    
+    if (escalation.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: `Escalation is not active. Current status: ${escalation.status}`
+      });
+    }
+    
+    escalation.status = 'cleared';
+    escalation.clearedBy = req.user._id;
+    escalation.clearedAt = new Date();
+    await escalation.save();
+    
+    res.json({
+      success: true,
+      message: 'Escalation cleared. New batches use the normal sample size.',
+      data: {
+        escalation
+      }
+    });
+    
+  } catch (error) {
+    console.error('Error clearing QC escalation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to clear escalation',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getBatchesBySurvey,
   getBatchById,
   triggerBatchProcessing,
-  sendBatchToQC
+  sendBatchToQC,
+  getEscalationsBySurvey,
+  clearEscalation
 };
-
@@ -1,297 +1,211 @@
 const { exec } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const multer = require('multer');
 const util = require('util');
 const execPromise = util.promisify(exec);
 
-// Configure multer for Excel file uploads
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    const uploadPath = path.join(__dirname, '../../uploads/reports');
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
-    cb(null, uploadPath);
-  },
-  filename: function (req, file, cb) {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, 'excel-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
-
-const fileFilter = (req, file, cb) => {
-  // Allow Excel files
-  const allowedTypes = /xlsx|xls/;
-  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
-  const mimetype = file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' || 
-                   file.mimetype === 'application/vnd.ms-excel' ||
-                   file.mimetype === 'application/octet-stream';
-  
-  if (mimetype && extname) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only Excel files (.xlsx, .xls) are allowed!'), false);
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 800 * 1024 * 1024 // 800MB limit for large Excel files
-  },
-  fileFilter: fileFilter
-});
-
 // Paths
 const REPORT_UTILS_DIR = path.join(__dirname, '../utils/report-generation');
 const TEMPLATE_PPT_PATH = path.join(REPORT_UTILS_DIR, 'template.pptx');
 const TEMPLATE_EXCEL_PATH = path.join(REPORT_UTILS_DIR, 'template.xlsx');
 
-// @desc    Upload Excel file and generate report
+// @desc    Queue a report generated from live survey data
 // @route   POST /api/reports/generate
 // @access  Private (Company Admin only)
 const generateReport = async (req, res) => {
-  // Set timeout for this request to 2 hours for very large files
-  req.setTimeout(7200000);
-  res.setTimeout(7200000);
-  
   try {
-    const { referenceDate } = req.body;
-    
-    if (!req.file) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Excel file is required' 
-      });
-    }
-    
-    console.log(`📤 Received file: ${req.file.originalname} (${(req.file.size / 1024 / 1024).toFixed(2)} MB)`);
+    const Survey = require('../models/Survey');
+    const ReportJob = require('../models/ReportJob');
+    const { validateReportParams, startReportJob } = require('../utils/reportJobRunner');
 
-    const excelPath = req.file.path;
-    const excelFileName = req.file.filename; // Store the filename for audit trail
-    const outputDir = path.join(__dirname, '../../uploads/reports/output');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
+    const { params, errors } = validateReportParams(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid report request',
+        errors
+      });
     }
 
-    const timestamp = Date.now();
-    const outputPath = path.join(outputDir, `report_${timestamp}.pptx`);
-
-    // Check if template PPT exists
-    if (!fs.existsSync(TEMPLATE_PPT_PATH)) {
-      return res.status(500).json({
+    const survey = await Survey.findById(req.body.surveyId).select('company surveyName');
+    if (!survey) {
+      return res.status(404).json({
         success: false,
-        message: 'Template PPT file not found. Please ensure template.pptx is in the report-generation directory.'
+        message: 'Survey not found'
       });
     }
 
-    // Build Python command
-    const pythonScript = path.join(REPORT_UTILS_DIR, 'generate_complete_report.py');
-    let command = `python3 "${pythonScript}" "${excelPath}" --template "${TEMPLATE_PPT_PATH}" --output "${outputPath}"`;
-    
-    if (referenceDate) {
-      command += ` --date "${referenceDate}"`;
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only generate reports for surveys from your company.'
+      });
     }
 
-    console.log(`Executing: ${command}`);
-    console.log(`⏱️  Starting report generation for file: ${req.file.originalname}`);
-
-    // Execute Python script with increased buffer and timeout for very large files
-    const startTime = Date.now();
-    const { stdout, stderr } = await execPromise(command, {
-      cwd: REPORT_UTILS_DIR,
-      maxBuffer: 500 * 1024 * 1024, // 500MB buffer for very large file processing
-      timeout: 7200000 // 2 hours timeout for very large files
+    const job = await ReportJob.create({
+      company: survey.company,
+      survey: survey._id,
+      requestedBy: req.user.id,
+      params
     });
-    
-    const executionTime = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
-    console.log(`✅ Report generation completed in ${executionTime} minutes`);
-
-    if (stderr && !stderr.includes('Warning')) {
-      console.error('Python script stderr:', stderr);
-    }
+    await startReportJob(job);
 
-    console.log('Python script stdout:', stdout);
+    res.status(202).json({
+      success: true,
+      message: 'Report queued',
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Error queueing report:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error queueing report',
+      error: error.message
+    });
+  }
+};
 
-    // Check if output file was created
-    if (!fs.existsSync(outputPath)) {
-      return res.status(500).json({
-        success: false,
-        message: 'Report generation failed. Output file was not created.',
-        error: stderr || 'Unknown error'
-      });
-    }
+// @desc    List the company's report jobs, newest first
+// @route   GET /api/reports/jobs
+// @access  Private (Company Admin only)
+const listReportJobs = async (req, res) => {
+  try {
+    const ReportJob = require('../models/ReportJob');
 
-    // Upload report to S3 if configured
-    const { uploadToS3, isS3Configured, generateReportKey, getSignedUrl } = require('../utils/cloudStorage');
-    let reportUrl = `/api/reports/download/${path.basename(outputPath)}`;
-    let reportKey = null;
+    const filter = { company: req.user.company };
+    if (req.query.surveyId) filter.survey = req.query.surveyId;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
 
-    if (isS3Configured()) {
-      try {
-        // Generate S3 key for report
-        const s3Key = generateReportKey('survey-reports', path.basename(outputPath));
-        
-        // Upload to S3
-        const uploadResult = await uploadToS3(outputPath, s3Key, {
-          contentType: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
-          metadata: {
-            reportType: 'survey-report',
-            generatedAt: new Date().toISOString(),
-            excelSource: excelFileName
-          }
-        });
-        
-        reportKey = uploadResult.key;
-        
-        // Generate signed URL for immediate download
-        reportUrl = await getSignedUrl(reportKey, 3600); // 1 hour expiry
-        
-        console.log('✅ Report uploaded to S3:', reportKey);
-        
-        // Optionally delete local file after upload (or keep as backup)
-        // fs.unlinkSync(outputPath);
-      } catch (s3Error) {
-        console.error('❌ S3 upload failed for report, using local storage:', s3Error.message);
-        // Continue with local file path
-      }
-    }
+    const jobs = await ReportJob.find(filter)
+      .select('-query')
+      .populate('survey', 'surveyName')
+      .populate('requestedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .lean();
 
-    // Return success with file path
     res.json({
       success: true,
-      message: 'Report generated successfully',
-      filePath: reportUrl, // S3 signed URL or local path
-      fileName: path.basename(outputPath),
-      excelPath: excelFileName, // Return the uploaded Excel filename for audit trail
-      s3Key: reportKey // Include S3 key if uploaded
+      data: { jobs }
     });
-
   } catch (error) {
-    console.error('Error generating report:', error);
+    console.error('Error listing report jobs:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating report',
+      message: 'Error listing report jobs',
       error: error.message
     });
   }
 };
 
-// @desc    Generate calculation audit trail
-// @route   POST /api/reports/audit
+// @desc    Get a report job with its query and data snapshot
+// @route   GET /api/reports/jobs/:id
 // @access  Private (Company Admin only)
-const generateAuditTrail = async (req, res) => {
+const getReportJob = async (req, res) => {
   try {
-    const { excelPath, referenceDate } = req.body;
-    
-    if (!excelPath) {
-      return res.status(400).json({
+    const ReportJob = require('../models/ReportJob');
+
+    const job = await ReportJob.findOne({ _id: req.params.id, company: req.user.company })
+      .populate('survey', 'surveyName')
+      .populate('requestedBy', 'firstName lastName')
+      .lean();
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        message: 'Excel file path is required'
+        message: 'Report job not found'
       });
     }
 
-    // Validate that the file exists - check both uploads/reports and uploads/reports/output
-    let fullExcelPath = path.join(__dirname, '../../uploads/reports', excelPath);
-    if (!fs.existsSync(fullExcelPath)) {
-      // Try in the output directory
-      fullExcelPath = path.join(__dirname, '../../uploads/reports/output', excelPath);
-      if (!fs.existsSync(fullExcelPath)) {
-        // Try just the filename in uploads/reports
-        const justFilename = path.basename(excelPath);
-        fullExcelPath = path.join(__dirname, '../../uploads/reports', justFilename);
-        if (!fs.existsSync(fullExcelPath)) {
-          return res.status(404).json({
-            success: false,
-            message: 'Excel file not found'
-          });
-        }
-      }
-    }
-
-    const outputDir = path.join(__dirname, '../../uploads/reports/output');
-    if (!fs.existsSync(outputDir)) {
-      fs.mkdirSync(outputDir, { recursive: true });
-    }
+    res.json({
+      success: true,
+      data: { job }
+    });
+  } catch (error) {
+    console.error('Error fetching report job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching report job',
+      error: error.message
+    });
+  }
+};
 
-    const timestamp = Date.now();
-    const outputPath = path.join(outputDir, `audit_trail_${timestamp}.txt`);
+// @desc    Cancel a queued or running report job
+// @route   POST /api/reports/jobs/:id/cancel
+// @access  Private (Company Admin only)
+const cancelReportJob = async (req, res) => {
+  try {
+    const ReportJob = require('../models/ReportJob');
+    const { cancelReportJob: requestCancel } = require('../utils/reportJobRunner');
 
-    // Build Python command
-    const pythonScript = path.join(REPORT_UTILS_DIR, 'calculation_audit_trail.py');
-    let command = `python3 "${pythonScript}" --excel "${fullExcelPath}" --output "${outputPath}"`;
-    
-    if (referenceDate) {
-      command += ` --date "${referenceDate}"`;
+    const existing = await ReportJob.findOne({ _id: req.params.id, company: req.user.company }).select('status');
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Report job not found'
+      });
     }
 
-    console.log(`Executing: ${command}`);
-    console.log(`⏱️  Starting audit trail generation for file: ${excelPath}`);
+    const job = await requestCancel(existing._id);
+    if (!job) {
+      return res.status(409).json({
+        success: false,
+        message: `The report has already ${existing.status === 'completed' ? 'completed' : 'stopped'}`
+      });
+    }
 
-    // Execute Python script with increased buffer and timeout for very large files
-    const startTime = Date.now();
-    const { stdout, stderr } = await execPromise(command, {
-      cwd: REPORT_UTILS_DIR,
-      maxBuffer: 500 * 1024 * 1024, // 500MB buffer for very large file processing
-      timeout: 7200000 // 2 hours timeout for very large files
+    res.json({
+      success: true,
+      message: job.status === 'cancelled' ? 'Report cancelled' : 'Cancelling report',
+      data: { job }
     });
-    
-    const executionTime = ((Date.now() - startTime) / 1000 / 60).toFixed(2);
-    console.log(`✅ Audit trail generation completed in ${executionTime} minutes`);
-
-    if (stderr && !stderr.includes('Warning')) {
-      console.error('Python script stderr:', stderr);
-    }
+  } catch (error) {
+    console.error('Error cancelling report job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error cancelling report job',
+      error: error.message
+    });
+  }
+};
 
-    console.log('Python script stdout:', stdout);
+// @desc    Download a report job's file (pptx, xlsx data snapshot or audit trail)
+// @route   GET /api/reports/jobs/:id/files/:kind
+// @access  Private (Company Admin only)
+const downloadReportJobFile = async (req, res) => {
+  try {
+    const ReportJob = require('../models/ReportJob');
+    const { REPORT_OUTPUT_DIR, CONTENT_TYPES } = require('../utils/reportJobRunner');
 
-    // Check if output file was created
-    if (!fs.existsSync(outputPath)) {
-      return res.status(500).json({
+    const job = await ReportJob.findOne({ _id: req.params.id, company: req.user.company }).select('files').lean();
+    const file = job?.files?.find(candidate => candidate.kind === req.params.kind);
+    if (!file) {
+      return res.status(404).json({
         success: false,
-        message: 'Audit trail generation failed. Output file was not created.',
-        error: stderr || 'Unknown error'
+        message: 'File not found'
       });
     }
 
-    // Upload audit trail to S3 if configured
-    const { uploadToS3: uploadAuditToS3, isS3Configured: isS3ConfiguredAudit, generateReportKey: generateAuditKey, getSignedUrl: getAuditSignedUrl } = require('../utils/cloudStorage');
-    let auditUrl = `/api/reports/download/${path.basename(outputPath)}`;
-    let auditKey = null;
-
-    if (isS3ConfiguredAudit()) {
-      try {
-        const s3Key = generateAuditKey('audit-trails', path.basename(outputPath));
-        const uploadResult = await uploadAuditToS3(outputPath, s3Key, {
-          contentType: 'text/plain',
-          metadata: {
-            reportType: 'audit-trail',
-            generatedAt: new Date().toISOString()
-          }
-        });
-        auditKey = uploadResult.key;
-        auditUrl = await getAuditSignedUrl(auditKey, 3600);
-        console.log('✅ Audit trail uploaded to S3:', auditKey);
-      } catch (s3Error) {
-        console.error('❌ S3 upload failed for audit trail:', s3Error.message);
+    const filePath = path.join(REPORT_OUTPUT_DIR, path.basename(file.fileName));
+    if (!fs.existsSync(filePath)) {
+      const { getSignedUrl, isS3Configured } = require('../utils/cloudStorage');
+      if (file.s3Key && isS3Configured()) {
+        return res.redirect(await getSignedUrl(file.s3Key, 3600));
       }
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
     }
 
-    // Return success with file path
-    res.json({
-      success: true,
-      message: 'Audit trail generated successfully',
-      filePath: auditUrl,
-      fileName: path.basename(outputPath),
-      s3Key: auditKey
-    });
-
+    res.setHeader('Content-Type', CONTENT_TYPES[file.kind]);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.fileName}"`);
+    fs.createReadStream(filePath).pipe(res);
   } catch (error) {
-    console.error('Error generating audit trail:', error);
+    console.error('Error downloading report job file:', error);
     res.status(500).json({
       success: false,
-      message: 'Error generating audit trail',
+      message: 'Error downloading file',
       error: error.message
     });
   }
@@ -345,6 +259,8 @@ const downloadReport = async (req, res) => {
     let contentType = 'application/octet-stream';
     if (filename.endsWith('.pptx')) {
       contentType = 'application/vnd.openxmlformats-officedocument.presentationml.presentation';
+    } else if (filename.endsWith('.xlsx')) {
+      contentType = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
     } else if (filename.endsWith('.txt')) {
       contentType = 'text/plain';
     }
@@ -453,10 +369,12 @@ const downloadTemplate = async (req, res) => {
 
 module.exports = {
   generateReport,
-  generateAuditTrail,
+  listReportJobs,
+  getReportJob,
+  cancelReportJob,
+  downloadReportJobFile,
   downloadReport,
-  downloadTemplate,
-  upload
+  downloadTemplate
 };
 
 
@@ -43,7 +43,8 @@ exports.createSurvey = async (req, res) => {
       modeQuotas,
       modeGigWorkers,
       respondentContacts,
-      sets
+      sets,
+      languages
     } = req.body;
 
     console.log('🔍 Backend received mode:', mode, 'type:', typeof mode);
@@ -77,6 +78,16 @@ exports.createSurvey = async (req, res) => {
       });
     }
 
+    const { normalizeLanguages } = require('../utils/languageVariants');
+    const languageCheck = normalizeLanguages(languages);
+    if (languageCheck.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid survey languages',
+        errors: languageCheck.errors
+      });
+    }
+
     // Clean targetAudience data to handle new structure
     const cleanTargetAudience = (targetAudience) => {
       console.log('🔍 Backend received targetAudience:', JSON.stringify(targetAudience, null, 2));
@@ -158,7 +169,8 @@ exports.createSurvey = async (req, res) => {
       acAssignmentCountry: acAssignmentCountry || '',
       acAssignmentState: acAssignmentState || '',
       respondentContacts: respondentContacts || [],
-      sets: sets || []
+      sets: sets || [],
+      languages: languageCheck.languages
     };
 
     // Create the survey
@@ -587,6 +599,10 @@ exports.publishSurvey = async (req, res) => {
     survey.lastModifiedBy = currentUser._id;
     await survey.save();
 
+    // Freeze the questionnaire as the version responses will be pinned to
+    const { publishSurveyVersion } = require('../utils/surveyVersioning');
+    await publishSurveyVersion(survey, { userId: currentUser._id, changeNote: 'Published' });
+
     // Populate the updated survey
     const publishedSurvey = await Survey.findById(survey._id)
       .populate('company', 'companyName companyCode')
@@ -628,7 +644,8 @@ exports.assignInterviewers = async (req, res) => {
       capiStateAssignments,
       catiStateAssignments,
       capiCountryAssignments,
-      catiCountryAssignments
+      catiCountryAssignments,
+      requireCertification
     } = req.body;
 
     // Get current user and their company
@@ -680,6 +697,42 @@ exports.assignInterviewers = async (req, res) => {
       }
     }
 
+    // Interviewers below the company's minimum trust score cannot be newly assigned; those
+    // already on the survey keep their assignment
+    const requestedIds = isMultiMode
+      ? [...(capiInterviewerIds || []), ...(catiInterviewerIds || [])]
+      : interviewerIds;
+    const assignedIds = new Set(
+      [...(survey.assignedInterviewers || []), ...(survey.capiInterviewers || []), ...(survey.catiInterviewers || [])]
+        .map(assignment => assignment.interviewer?.toString())
+    );
+    const { findUntrustedInterviewers } = require('../utils/trustScore');
+    const untrusted = await findUntrustedInterviewers(
+      [...new Set(requestedIds.map(String))].filter(interviewerId => !assignedIds.has(interviewerId)),
+      currentUser.company
+    );
+    if (untrusted.length > 0) {
+      const names = untrusted.map(user => `${user.firstName} ${user.lastName}${user.memberId ? ` (${user.memberId})` : ''}`);
+      return res.status(400).json({
+        success: false,
+        message: `Trust score below the company minimum of ${currentUser.company.qualitySettings.minimumTrustScore}: ${names.join(', ')}`,
+        data: {
+          untrustedInterviewers: untrusted.map(user => ({
+            _id: user._id,
+            name: `${user.firstName} ${user.lastName}`,
+            memberId: user.memberId,
+            trustScore: user.performance?.trustScore
+          }))
+        }
+      });
+    }
+
+    // Optionally require a passed, unexpired certification (utils/training.js) before interviews start;
+    // omitted leaves the survey's setting as it is
+    if (requireCertification !== undefined) {
+      survey.set('training.requireCertification', !!requireCertification);
+    }
+
     if (isMultiMode) {
       // Handle multi-mode assignments
       const capiAssignments = [];
@@ -844,10 +897,24 @@ exports.assignInterviewers = async (req, res) => {
         .populate('assignedInterviewers.assignedBy', 'firstName lastName email');
     }
 
+    // Assigned interviewers who still need training; they can be assigned but cannot start yet
+    let uncertifiedInterviewers = [];
+    if (survey.training?.requireCertification) {
+      const { findUncertifiedInterviewers } = require('../utils/training');
+      const uncertified = await findUncertifiedInterviewers([...new Set(requestedIds.map(String))], survey._id);
+      uncertifiedInterviewers = uncertified.map(user => ({
+        _id: user._id,
+        name: `${user.firstName} ${user.lastName}`,
+        memberId: user.memberId
+      }));
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Interviewers assigned successfully',
-      data: { survey: updatedSurvey }
+      message: uncertifiedInterviewers.length > 0
+        ? `Interviewers assigned successfully. ${uncertifiedInterviewers.length} must complete the survey's training before starting interviews.`
+        : 'Interviewers assigned successfully',
+      data: { survey: updatedSurvey, uncertifiedInterviewers }
     });
 
   } catch (error) {
@@ -1130,7 +1197,8 @@ exports.updateSurvey = async (req, res) => {
       modeQuotas,
       modeGigWorkers,
       respondentContacts,
-      sets
+      sets,
+      languages
     } = req.body;
 
     // Find the survey
@@ -1151,6 +1219,21 @@ exports.updateSurvey = async (req, res) => {
       });
     }
 
+    const { normalizeLanguages } = require('../utils/languageVariants');
+    const languageCheck = normalizeLanguages(languages);
+    if (languageCheck.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid survey languages',
+        errors: languageCheck.errors
+      });
+    }
+
+    // Published surveys are edited by adding a version; surveys published before versioning
+    // first get their current questionnaire recorded so existing responses keep it
+    const { ensureBaselineVersion, publishSurveyVersion } = require('../utils/surveyVersioning');
+    await ensureBaselineVersion(survey, user._id);
+
     // Clean targetAudience data for update
     const cleanTargetAudience = (targetAudience) => {
       console.log('🔍 Backend received targetAudience for update:', JSON.stringify(targetAudience, null, 2));
@@ -1270,6 +1353,7 @@ exports.updateSurvey = async (req, res) => {
       acAssignmentState: assignACs ? acAssignmentState : '',
       respondentContacts: respondentContacts !== undefined ? respondentContacts : survey.respondentContacts,
       sets: sets !== undefined ? sets : survey.sets,
+      languages: languages !== undefined ? languageCheck.languages : survey.languages,
       updatedAt: new Date()
     };
 
@@ -1284,11 +1368,25 @@ exports.updateSurvey = async (req, res) => {
      .populate('assignedInterviewers.interviewer', 'firstName lastName email phone')
      .populate('assignedQualityAgents.qualityAgent', 'firstName lastName email phone');
 
+    // Questionnaire edits to a published survey become a new immutable version
+    let versionInfo = null;
+    if (updatedSurvey.status !== 'draft') {
+      const { version, created } = await publishSurveyVersion(updatedSurvey, {
+        userId: user._id,
+        changeNote: req.body.changeNote
+      });
+      updatedSurvey.currentVersion = version.version;
+      versionInfo = { version: version.version, created };
+    }
+
     res.status(200).json({
       success: true,
-      message: 'Survey updated successfully',
+      message: versionInfo?.created && versionInfo.version > 1
+        ? `Survey updated successfully. Questionnaire changes were published as version ${versionInfo.version}.`
+        : 'Survey updated successfully',
       data: {
-        survey: updatedSurvey
+        survey: updatedSurvey,
+        version: versionInfo
       }
     });
 
@@ -1411,6 +1509,7 @@ exports.getAvailableSurveys = async (req, res) => {
     }
 
     // Transform the data to include assignment-specific information
+    const { getValidCertification } = require('../utils/training');
     const transformedSurveys = surveys.map(survey => {
       console.log(`🔍 Processing survey ${survey._id} (mode: ${survey.mode})`);
       let assignment = null;
@@ -1457,7 +1556,10 @@ exports.getAvailableSurveys = async (req, res) => {
         selectedCountry: assignment ? assignment.selectedCountry : null,
         maxInterviews: assignment ? assignment.maxInterviews : 0,
         completedInterviews: assignment ? assignment.completedInterviews : 0,
-        assignedMode: assignedMode // Add the assigned mode for multi-mode surveys
+        assignedMode: assignedMode, // Add the assigned mode for multi-mode surveys
+        // Interviews cannot start until the survey's training is passed
+        trainingRequired: !!survey.training?.requireCertification &&
+          !getValidCertification(currentUser.training, survey._id)
       };
     });
 
@@ -2403,6 +2505,9 @@ exports.getCatiStats = async (req, res) => {
       ];
     }
 
+    // Report metric definitions shared with the other reports
+    const { REPORT_METRICS, getCallStatus: getResponseCallStatus, isConnectedCallStatus, toMetricRow } = require('../utils/reportMetrics');
+
     // Get CATI responses to extract call status from metadata
     const catiResponsesQuery = {
       survey: surveyObjectId,
@@ -2416,7 +2521,8 @@ exports.getCatiStats = async (req, res) => {
     
     let catiResponses = await SurveyResponse.find(catiResponsesQuery)
       .populate('interviewer', 'firstName lastName phone memberId')
-      .select('_id interviewer metadata callStatus responses totalTimeSpent status createdAt knownCallStatus');
+      .populate('qcBatch', 'status remainingDecision')
+      .select('_id interviewer metadata callStatus responses totalTimeSpent status createdAt knownCallStatus interviewMode qcBatch isSampleResponse verificationData');
     
     // Additional safety filter: For project managers, ensure we only include responses from assigned interviewers
     // This catches any edge cases where the query filter might not work correctly
@@ -2861,14 +2967,13 @@ exports.getCatiStats = async (req, res) => {
         }
       }
       
-      // Get call status from metadata.callStatus (stored when response was submitted)
-      const callStatus = response.metadata?.callStatus || 
-                        (response.responses?.find(r => r.questionId === 'call-status')?.response);
+      // Get call status recorded for the response (reportMetrics.getCallStatus)
+      const callStatus = getResponseCallStatus(response);
       
       if (!callStatus) return; // Skip if no call status
       
       // Count based on call status from responses
-      if (callStatus === 'success' || callStatus === 'call_connected') {
+      if (isConnectedCallStatus(callStatus)) {
         callsConnectedFromResponses++;
         ringingFromResponses++; // Success counts as ringing
       } else if (callStatus === 'busy' || callStatus === 'did_not_pick_up') {
@@ -3134,71 +3239,22 @@ exports.getCatiStats = async (req, res) => {
       }
       
       const stat = interviewerStatsMap.get(interviewerId);
-        
-      // Get call status from response - PRIORITY ORDER:
-      // 1. knownCallStatus field (dedicated field for call status)
-      // 2. metadata.callStatus (legacy)
-      // 3. responses array (from call-status question)
-      let callStatus = null;
-      
-      // Priority 1: knownCallStatus field (most reliable)
-      if (response.knownCallStatus) {
-        callStatus = response.knownCallStatus;
-      }
-      // Priority 2: metadata.callStatus (legacy)
-      else if (response.metadata && response.metadata.callStatus) {
-        callStatus = response.metadata.callStatus;
-      } 
-      // Priority 3: Check responses array (from call-status question)
-      else if (response.responses && Array.isArray(response.responses)) {
-        const callStatusResponse = response.responses.find(r => 
-          r.questionId === 'call-status' || r.questionId === 'call_status'
-        );
-        if (callStatusResponse && callStatusResponse.response) {
-          callStatus = callStatusResponse.response;
-        }
-      }
-      
-      // Normalize call status
-      const normalizedCallStatus = callStatus ? callStatus.toLowerCase().trim() : 'unknown';
+      const metricRow = toMetricRow(response);
       
       // Count ALL dials INCLUDING "didnt_get_call" 
       // This includes ALL statuses: call_connected, busy, switched_off, not_reachable, 
       // number_does_not_exist, did_not_pick_up, didnt_get_call, abandoned mid-way, etc.
       // Even if call status is 'unknown', count it as a dial attempt
       // IMPORTANT: Number of Dials = Ringing + Not Ringing + Call Not Received to Telecaller
-      stat.numberOfDials += 1;
+      stat.numberOfDials += REPORT_METRICS.dials.value(metricRow);
       
-      // Count Calls Connected: From ALL dials, count those with knownCallStatus = 'call_connected' or 'success'
+      // Count Calls Connected: From ALL dials, count those whose call connected
       // This must be counted from the same set of responses as Number of Dials
-      const isCallConnected = normalizedCallStatus === 'call_connected' || normalizedCallStatus === 'success';
-      if (isCallConnected) {
-        stat.callsConnected += 1;
-      }
+      stat.callsConnected += REPORT_METRICS.callsConnected.value(metricRow);
     });
     
-    // Step 3: Fetch batch information for all responses to determine QC status
-    const QCBatch = require('../models/QCBatch');
-    const batchIds = [...new Set(catiResponses
-      .filter(r => r.qcBatch)
-      .map(r => {
-        if (typeof r.qcBatch === 'string') {
-          return mongoose.Types.ObjectId.isValid(r.qcBatch) ? new mongoose.Types.ObjectId(r.qcBatch) : null;
-        }
-        return r.qcBatch;
-      })
-      .filter(id => id !== null)
-    )];
-    
-    const batchesMap = new Map();
-    if (batchIds.length > 0) {
-      const batches = await QCBatch.find({ _id: { $in: batchIds } })
-        .select('_id status remainingDecision')
-        .lean();
-      batches.forEach(batch => {
-        batchesMap.set(batch._id.toString(), batch);
-      });
-    }
+    // Step 3: QC batches are populated on the responses, so Under QC Queue / Processing in Batch
+    // follow the batch each Pending_Approval response is in (see REPORT_METRICS)
     
     // Step 4: Process SurveyResponse objects to get interview outcomes
     // Include BOTH completed interviews AND abandoned interviews (with call status)
@@ -3296,39 +3352,9 @@ exports.getCatiStats = async (req, res) => {
       
       const stat = interviewerStatsMap.get(interviewerId);
       
-      // Get call status from response - PRIORITY ORDER:
-      // 1. knownCallStatus field (dedicated field for call status)
-      // 2. metadata.callStatus (legacy)
-      // 3. responses array (from call-status question)
-      let callStatus = null;
-      
-      // Priority 1: knownCallStatus field (most reliable)
-      if (response.knownCallStatus) {
-        callStatus = response.knownCallStatus;
-      }
-      // Priority 2: metadata.callStatus (legacy)
-      else if (response.metadata && response.metadata.callStatus) {
-        callStatus = response.metadata.callStatus;
-      } 
-      // Priority 3: Check responses array (from call-status question)
-      else if (response.responses && Array.isArray(response.responses)) {
-        const callStatusResponse = response.responses.find(r => 
-          r.questionId === 'call-status' || r.questionId === 'call_status'
-        );
-        if (callStatusResponse && callStatusResponse.response) {
-          callStatus = callStatusResponse.response;
-        }
-      }
-      
-      // IMPORTANT: Include ALL responses, even if no call status (for abandoned without status)
-      // But prioritize responses WITH call status for accurate stats
-      if (!callStatus) {
-        // If no call status but response exists, it might be an old abandoned response
-        // Still count it but mark as 'unknown'
-        callStatus = 'unknown';
-      }
-      
-      const normalizedCallStatus = callStatus.toLowerCase().trim();
+      // Call status recorded for the response; responses without one (old abandoned
+      // responses) are still counted, as 'unknown'
+      const normalizedCallStatus = getResponseCallStatus(response) || 'unknown';
       
       // NOTE: Calls Connected is now counted in Step 2 (where Number of Dials is counted)
       // This ensures it counts from the exact same set of responses as Number of Dials
@@ -3341,114 +3367,22 @@ exports.getCatiStats = async (req, res) => {
         responseToCallIdMap.set(response._id.toString(), { callRecordId, callId });
       }
       
-      // Get response status (normalized) - check early for rejected responses
-      const responseStatus = response.status ? response.status.trim() : '';
-      const normalizedResponseStatus = responseStatus.toLowerCase();
+      // Interview outcome, by the shared report metric definitions:
+      // - Completed: Approved, Rejected or Pending_Approval (regardless of call status)
+      // - Under QC Queue / Processing in Batch: Pending_Approval, split by the state of its QC batch
+      // - Incomplete: call connected but the interview was not completed (abandoned, terminated, etc.)
+      const metricRow = toMetricRow(response);
+      const completed = REPORT_METRICS.interviewsCompleted.value(metricRow);
+      stat.completed += completed;
+      stat.approved += REPORT_METRICS.approved.value(metricRow);
+      stat.rejected += REPORT_METRICS.rejected.value(metricRow);
+      stat.underQCQueue += REPORT_METRICS.underQCQueue.value(metricRow);
+      stat.processingInBatch += REPORT_METRICS.processingInBatch.value(metricRow);
+      stat.incomplete += REPORT_METRICS.incomplete.value(metricRow);
       
-      // SIMPLIFIED "Completed" CALCULATION: Match Top CATI Responses logic
-      // Count ONLY based on status: Approved, Rejected, or Pending_Approval
-      // This matches the frontend calculation: filteredResponses with status filter 'approved_rejected_pending'
-      if (normalizedResponseStatus === 'rejected') {
-        stat.rejected += 1;
-        stat.completed += 1; // Rejected responses are completed interviews
-        
-        // Form Duration - Sum of all CATI interview durations (totalTimeSpent from timer)
-        if (response.totalTimeSpent) {
-          stat.formDuration += (response.totalTimeSpent || 0);
-          console.log(`⏱️  Adding form duration: ${response.totalTimeSpent || 0}s for interviewer ${interviewerId}, total now: ${stat.formDuration}s`);
-        }
-        // Skip to call status breakdown - don't process as completed/incomplete again
-        // Rejected responses are already counted in "Completed", so skip the isCompleted block
-        // Continue to call status breakdown for stats
-        // DO NOT count in incomplete - they are already in completed
-      } else if (normalizedResponseStatus === 'approved') {
-        // Approved: SurveyResponse with Approved status (from completed interviews)
-        // Count in "Approved" and "Completed" regardless of call status
-        // Approved responses are completed interviews, even if call status is missing
-        stat.approved += 1;
-        stat.completed += 1; // Approved responses are also completed interviews
-        
-        // Form Duration - Sum of all CATI interview durations (totalTimeSpent from timer)
-        if (response.totalTimeSpent) {
-          stat.formDuration += (response.totalTimeSpent || 0);
-          console.log(`⏱️  Adding form duration: ${response.totalTimeSpent || 0}s for interviewer ${interviewerId}, total now: ${stat.formDuration}s`);
-        }
-        // Skip to call status breakdown - don't process as completed/incomplete again
-        // Approved responses are already counted in "Completed", so skip the isCompleted block
-        // Continue to call status breakdown for stats
-        // DO NOT count in incomplete - they are already in completed
-      } else if (normalizedResponseStatus === 'pending_approval') {
-        // Pending_Approval: Count in "Completed" and categorize by batch status
-        // IMPORTANT: Count ALL Pending_Approval responses as completed, regardless of call status
-        stat.completed += 1;
-        
-        // Form Duration - Sum of all CATI interview durations (totalTimeSpent from timer)
-        if (response.totalTimeSpent) {
-          stat.formDuration += (response.totalTimeSpent || 0);
-          console.log(`⏱️  Adding form duration: ${response.totalTimeSpent || 0}s for interviewer ${interviewerId}, total now: ${stat.formDuration}s`);
-        }
-        
-        // Categorize Pending_Approval responses into: Under QC Queue, or Processing in Batch
-        {
-          // Split Under QC into two categories based on batch status (only for Pending_Approval responses)
-          let batchId = null;
-          if (response.qcBatch) {
-            if (typeof response.qcBatch === 'object' && response.qcBatch._id) {
-              batchId = response.qcBatch._id.toString();
-            } else if (typeof response.qcBatch === 'object') {
-              batchId = response.qcBatch.toString();
-            } else {
-              batchId = response.qcBatch.toString();
-            }
-          }
-          const batch = batchId ? batchesMap.get(batchId) : null;
-          const isSampleResponse = response.isSampleResponse || false;
-          
-          if (batch) {
-            const batchStatus = batch.status;
-            const remainingDecision = batch.remainingDecision?.decision;
-            
-            // "Under QC Queue": Batches completed and sent to review
-            // - Responses in batches with status 'queued_for_qc'
-            // - Sample responses (40%) in batches with status 'qc_in_progress' or 'completed'
-            // - Remaining responses (60%) in batches where remainingDecision is 'queued_for_qc'
-            if (batchStatus === 'queued_for_qc' ||
-                (isSampleResponse && (batchStatus === 'qc_in_progress' || batchStatus === 'completed')) ||
-                (!isSampleResponse && remainingDecision === 'queued_for_qc')) {
-              stat.underQCQueue += 1;
-            }
-            // "Processing in Batch": Responses still in collecting phase
-            // - Responses in batches with status 'collecting'
-            // - Responses in batches with status 'processing' that are not sample responses
-            else if (batchStatus === 'collecting' ||
-                     (batchStatus === 'processing' && !isSampleResponse)) {
-              stat.processingInBatch += 1;
-            }
-            // For other statuses, default to processingInBatch (safer fallback)
-            else {
-              stat.processingInBatch += 1;
-            }
-          } else {
-            // Response not in any batch (legacy) - count as processingInBatch
-            stat.processingInBatch += 1;
-          }
-        }
-      } else {
-        // Incomplete: Only count responses that are NOT Approved, Rejected, or Pending_Approval
-        // AND have knownCallStatus = 'call_connected' or 'success'
-        // This means: Among connected calls only, count those that were not completed
-        // 
-        // Check if call was connected
-        const isCallConnected = normalizedCallStatus === 'call_connected' || normalizedCallStatus === 'success';
-        
-        // Only count as incomplete if:
-        // 1. Call was connected (knownCallStatus = 'call_connected' or 'success')
-        // 2. Response status is NOT Approved, Rejected, or Pending_Approval
-        if (isCallConnected) {
-          // This response had a connected call but was not completed (abandoned, terminated, etc.)
-          stat.incomplete += 1;
-        }
-        // If call was not connected, don't count in incomplete (it's already counted in other statuses)
+      // Form Duration - Sum of all completed CATI interview durations (totalTimeSpent from timer)
+      if (completed && response.totalTimeSpent) {
+        stat.formDuration += response.totalTimeSpent;
       }
         
       // Call Status Breakdown
@@ -3549,9 +3483,7 @@ exports.getCatiStats = async (req, res) => {
     // 4. Not Ringing = Total count of "Not Ringing" from all filtered interviewers
     const totalNotRingingFromStats = interviewerStats.reduce((sum, stat) => sum + (stat.notRinging || 0), 0);
     
-    // 3. Calls Connected = Total count of knownCallStatus = "call_connected" in filtered responses
-    // Check both 'call_connected' and 'success' (legacy value)
-    // Also check metadata.callStatus as fallback
+    // 3. Calls Connected = filtered responses whose call connected (REPORT_METRICS.callsConnected)
     // For project managers, only count responses from assigned interviewers
     const totalCallsConnectedFromResponses = catiResponses.filter(response => {
       // For project managers, only count responses from assigned interviewers
@@ -3566,23 +3498,7 @@ exports.getCatiStats = async (req, res) => {
         }
       }
       
-      const knownStatus = response.knownCallStatus;
-      const metadataStatus = response.metadata?.callStatus;
-      
-      // Check knownCallStatus field first (primary source)
-      if (knownStatus === 'call_connected' || knownStatus === 'success') {
-        return true;
-      }
-      
-      // Fallback to metadata.callStatus if knownCallStatus is not set
-      if (!knownStatus && metadataStatus) {
-        const normalizedMetadataStatus = String(metadataStatus).toLowerCase().trim();
-        return normalizedMetadataStatus === 'call_connected' || 
-               normalizedMetadataStatus === 'success' || 
-               normalizedMetadataStatus === 'connected';
-      }
-      
-      return false;
+      return REPORT_METRICS.callsConnected.value(toMetricRow(response)) > 0;
     }).length;
     
     console.log(`🔍 getCatiStats - Total CATI responses: ${catiResponses.length}`);
@@ -3736,7 +3652,7 @@ exports.getCatiStats = async (req, res) => {
   }
 };
 
-// @desc    Get survey analytics (optimized with aggregation)
+// @desc    Get survey analytics (served from the analytics store)
 // @route   GET /api/surveys/:surveyId/analytics
 // @access  Private (Company Admin, Project Manager)
 exports.getSurveyAnalytics = async (req, res) => {
@@ -3751,12 +3667,17 @@ exports.getSurveyAnalytics = async (req, res) => {
       ac,
       district,
       lokSabha,
-      interviewerIds,
       interviewerMode = 'include'
     } = req.query;
+    const {
+      resolveDayRange,
+      resolveStatuses,
+      getAssignedInterviewerIds,
+      getSurveyAnalyticsReport
+    } = require('../utils/surveyAnalyticsStore');
 
     // Verify survey exists
-    const survey = await Survey.findById(surveyId);
+    const survey = await Survey.findById(surveyId).select('company sampleSize');
     if (!survey) {
       return res.status(404).json({
         success: false,
@@ -3764,912 +3685,46 @@ exports.getSurveyAnalytics = async (req, res) => {
       });
     }
 
-    // Build match filter
-    const matchFilter = { survey: mongoose.Types.ObjectId(surveyId) };
-
-    // Status filter
-    if (status && status !== 'all') {
-      if (status === 'approved_rejected_pending') {
-        matchFilter.status = { $in: ['Approved', 'Rejected', 'Pending_Approval'] };
-      } else if (status === 'approved_pending') {
-        matchFilter.status = { $in: ['Approved', 'Pending_Approval'] };
-      } else if (status === 'pending') {
-        matchFilter.status = 'Pending_Approval';
-      } else {
-        matchFilter.status = status;
-      }
-    } else {
-      // Default: Approved, Rejected, and Pending_Approval (matching frontend default)
-      matchFilter.status = { $in: ['Approved', 'Rejected', 'Pending_Approval'] };
-    }
-
-    // Interview mode filter
-    if (interviewMode) {
-      matchFilter.interviewMode = interviewMode.toLowerCase();
-    }
-
-    // Date range filter
-    if (dateRange && dateRange !== 'all') {
-      const now = new Date();
-      let dateStart, dateEnd;
-
-      switch (dateRange) {
-        case 'today':
-          dateStart = new Date(now);
-          dateStart.setHours(0, 0, 0, 0);
-          dateEnd = new Date(now);
-          dateEnd.setHours(23, 59, 59, 999);
-          break;
-        case 'yesterday':
-          dateStart = new Date(now);
-          dateStart.setDate(dateStart.getDate() - 1);
-          dateStart.setHours(0, 0, 0, 0);
-          dateEnd = new Date(dateStart);
-          dateEnd.setHours(23, 59, 59, 999);
-          break;
-        case 'week':
-          dateStart = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-          dateStart.setHours(0, 0, 0, 0);
-          dateEnd = new Date(now);
-          dateEnd.setHours(23, 59, 59, 999);
-          break;
-        case 'month':
-          dateStart = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-          dateStart.setHours(0, 0, 0, 0);
-          dateEnd = new Date(now);
-          dateEnd.setHours(23, 59, 59, 999);
-          break;
-      }
-
-      if (dateStart && dateEnd) {
-        matchFilter.createdAt = { $gte: dateStart, $lte: dateEnd };
-      }
-    } else if (startDate && endDate) {
-      const dateStart = new Date(startDate);
-      dateStart.setHours(0, 0, 0, 0);
-      const dateEnd = new Date(endDate);
-      dateEnd.setHours(23, 59, 59, 999);
-      matchFilter.createdAt = { $gte: dateStart, $lte: dateEnd };
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
     }
 
-    // Interviewer filter
-    if (interviewerIds && Array.isArray(interviewerIds) && interviewerIds.length > 0) {
-      const interviewerObjectIds = interviewerIds
-        .filter(id => id)
-        .map(id => mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : id);
+    const interviewerIds = [].concat(req.query.interviewerIds || []).filter(Boolean).map(String);
+    const { from, to } = resolveDayRange({ dateRange, startDate, endDate });
+    const query = {
+      statuses: resolveStatuses(status),
+      dayFrom: from,
+      dayTo: to,
+      interviewMode,
+      ac,
+      district,
+      lokSabha
+    };
 
+    if (interviewerIds.length > 0) {
       if (interviewerMode === 'exclude') {
-        matchFilter.interviewer = { $nin: interviewerObjectIds };
+        query.interviewerNotIn = interviewerIds;
       } else {
-        matchFilter.interviewer = { $in: interviewerObjectIds };
+        query.interviewerIn = interviewerIds;
       }
     }
 
-    // For project managers: filter by assigned interviewers
+    // For project managers: only their assigned interviewers
     if (req.user.userType === 'project_manager') {
-      const currentUser = await User.findById(req.user.id);
-      if (currentUser && currentUser.assignedTeamMembers && currentUser.assignedTeamMembers.length > 0) {
-        const assignedIds = currentUser.assignedTeamMembers.map(id => 
-          mongoose.Types.ObjectId.isValid(id) ? new mongoose.Types.ObjectId(id) : id
-        );
-        if (!matchFilter.interviewer) {
-          matchFilter.interviewer = { $in: assignedIds };
-        } else if (matchFilter.interviewer.$in) {
-          // Intersect with assigned interviewers
-          matchFilter.interviewer.$in = matchFilter.interviewer.$in.filter(id => 
-            assignedIds.some(assignedId => assignedId.toString() === id.toString())
-          );
-        }
-      }
+      const assignedIds = await getAssignedInterviewerIds(req.user.id);
+      query.interviewerIn = query.interviewerIn
+        ? query.interviewerIn.filter(id => assignedIds.includes(id))
+        : assignedIds;
     }
 
-    // Import respondent info utilities (mirrors frontend logic)
-    const { getRespondentInfo, findQuestionResponse, getMainTextValue } = require('../utils/respondentInfoUtils');
-    const { getMainText } = require('../utils/genderUtils');
-
-    // Stage 1: Match filtered responses
-    const matchStage = { $match: matchFilter };
-
-    // Stage 2: Add computed fields for demographics extraction
-    const addFieldsStage = {
-      $addFields: {
-        // Extract AC (priority: selectedAC > selectedPollingStation.acName > responses array)
-        extractedAC: {
-          $cond: {
-            if: { $and: [{ $ne: ['$selectedAC', null] }, { $ne: ['$selectedAC', ''] }] },
-            then: '$selectedAC',
-            else: {
-              $cond: {
-                if: { $and: [{ $ne: ['$selectedPollingStation.acName', null] }, { $ne: ['$selectedPollingStation.acName', ''] }] },
-                then: '$selectedPollingStation.acName',
-                else: null
-              }
-            }
-          }
-        },
-        // Extract gender from responses array
-        genderResponse: {
-          $arrayElemAt: [
-            {
-              $filter: {
-                input: '$responses',
-                as: 'resp',
-                cond: {
-                  $or: [
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'gender' } },
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'sex' } },
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionId', ''] } }, regex: 'gender' } }
-                  ]
-                }
-              }
-            },
-            0
-          ]
-        },
-        // Extract age from responses array
-        ageResponse: {
-          $arrayElemAt: [
-            {
-              $filter: {
-                input: '$responses',
-                as: 'resp',
-                cond: {
-                  $or: [
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'age' } },
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'year' } }
-                  ]
-                }
-              }
-            },
-            0
-          ]
-        },
-        // Extract phone from responses array
-        phoneResponse: {
-          $arrayElemAt: [
-            {
-              $filter: {
-                input: '$responses',
-                as: 'resp',
-                cond: {
-                  $or: [
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'phone' } },
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'mobile' } }
-                  ]
-                }
-              }
-            },
-            0
-          ]
-        },
-        // Extract caste from responses array (for specific survey)
-        casteResponse: surveyId === '68fd1915d41841da463f0d46' ? {
-          $arrayElemAt: [
-            {
-              $filter: {
-                input: '$responses',
-                as: 'resp',
-                cond: {
-                  $or: [
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'caste' } },
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'scheduled cast' } },
-                    { $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'category' } }
-                  ]
-                }
-              }
-            },
-            0
-          ]
-        } : null,
-        // Extract religion from responses array
-        religionResponse: {
-          $arrayElemAt: [
-            {
-              $filter: {
-                input: '$responses',
-                as: 'resp',
-                cond: {
-                  $regexMatch: { input: { $toLower: { $ifNull: ['$$resp.questionText', ''] } }, regex: 'religion' }
-                }
-              }
-            },
-            0
-          ]
-        },
-        // Extract polling station info
-        pollingStationKey: {
-          $cond: {
-            if: { $and: [{ $ne: ['$selectedPollingStation.stationName', null] }] },
-            then: {
-              $concat: [
-                { $ifNull: ['$selectedPollingStation.stationName', ''] },
-                { $ifNull: [{ $concat: ['-', '$selectedPollingStation.groupName'] }, ''] }
-              ]
-            },
-            else: null
-          }
-        }
-      }
-    };
-
-    // Stage 3: Group by AC for AC stats
-    const acGroupStage = {
-      $group: {
-        _id: {
-          $ifNull: ['$extractedAC', 'N/A']
-        },
-        total: { $sum: 1 },
-        capi: {
-          $sum: {
-            $cond: [{ $eq: [{ $toUpper: { $ifNull: ['$interviewMode', ''] } }, 'CAPI'] }, 1, 0]
-          }
-        },
-        cati: {
-          $sum: {
-            $cond: [{ $eq: [{ $toUpper: { $ifNull: ['$interviewMode', ''] } }, 'CATI'] }, 1, 0]
-          }
-        },
-        approved: {
-          $sum: { $cond: [{ $eq: ['$status', 'Approved'] }, 1, 0] }
-        },
-        rejected: {
-          $sum: { $cond: [{ $eq: ['$status', 'Rejected'] }, 1, 0] }
-        },
-        autoRejected: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $eq: ['$status', 'Rejected'] },
-                  {
-                    $or: [
-                      { $eq: ['$verificationData.autoRejected', true] },
-                      { $gt: [{ $size: { $ifNull: ['$verificationData.autoRejectionReasons', []] } }, 0] }
-                    ]
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        manualRejected: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $eq: ['$status', 'Rejected'] },
-                  {
-                    $or: [
-                      { $ne: ['$verificationData.autoRejected', true] },
-                      { $eq: [{ $size: { $ifNull: ['$verificationData.autoRejectionReasons', []] } }, 0] }
-                    ]
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        underQC: {
-          $sum: { $cond: [{ $eq: ['$status', 'Pending_Approval'] }, 1, 0] }
-        },
-        femaleCount: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$genderResponse', null] },
-                  {
-                    $or: [
-                      { $regexMatch: { input: { $toLower: { $toString: { $ifNull: ['$genderResponse.response', ''] } } }, regex: 'female' } },
-                      { $eq: [{ $toLower: { $toString: { $ifNull: ['$genderResponse.response', ''] } } }, 'f'] },
-                      { $eq: [{ $toLower: { $toString: { $ifNull: ['$genderResponse.response', ''] } } }, '2'] }
-                    ]
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        withoutPhoneCount: {
-          $sum: {
-            $cond: [
-              {
-                $or: [
-                  { $eq: ['$phoneResponse', null] },
-                  { $eq: [{ $toString: { $ifNull: ['$phoneResponse.response', ''] } }, ''] },
-                  { $eq: [{ $toLower: { $toString: { $ifNull: ['$phoneResponse.response', ''] } } }, 'n/a'] },
-                  { $eq: [{ $toString: { $ifNull: ['$phoneResponse.response', ''] } }, '0'] }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        scCount: surveyId === '68fd1915d41841da463f0d46' ? {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$casteResponse', null] },
-                  {
-                    $regexMatch: {
-                      input: { $toLower: { $toString: { $ifNull: ['$casteResponse.response', ''] } } },
-                      regex: '(scheduled cast|sc|scheduled caste)'
-                    }
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        } : { $literal: 0 },
-        muslimCount: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$religionResponse', null] },
-                  {
-                    $regexMatch: {
-                      input: { $toLower: { $toString: { $ifNull: ['$religionResponse.response', ''] } } },
-                      regex: '(muslim|islam)'
-                    }
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        age18to24Count: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$ageResponse', null] },
-                  {
-                    $let: {
-                      vars: {
-                        age: {
-                          $toInt: {
-                            $arrayElemAt: [
-                              {
-                                $regexFind: {
-                                  input: { $toString: { $ifNull: ['$ageResponse.response', ''] } },
-                                  regex: /(\d+)/
-                                }
-                              },
-                              1
-                            ]
-                          }
-                        }
-                      },
-                      in: {
-                        $and: [
-                          { $gte: ['$$age', 18] },
-                          { $lte: ['$$age', 24] }
-                        ]
-                      }
-                    }
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        age50PlusCount: {
-          $sum: {
-            $cond: [
-              {
-                $and: [
-                  { $ne: ['$ageResponse', null] },
-                  {
-                    $let: {
-                      vars: {
-                        age: {
-                          $toInt: {
-                            $arrayElemAt: [
-                              {
-                                $regexFind: {
-                                  input: { $toString: { $ifNull: ['$ageResponse.response', ''] } },
-                                  regex: /(\d+)/
-                                }
-                              },
-                              1
-                            ]
-                          }
-                        }
-                      },
-                      in: { $gte: ['$$age', 50] }
-                    }
-                  }
-                ]
-              },
-              1,
-              0
-            ]
-          }
-        },
-        pollingStations: { $addToSet: '$pollingStationKey' },
-        interviewers: { $addToSet: '$interviewer' },
-        totalResponseTime: {
-          $sum: {
-            $reduce: {
-              input: { $ifNull: ['$responses', []] },
-              initialValue: 0,
-              in: { $add: ['$$value', { $ifNull: ['$$this.responseTime', 0] }] }
-            }
-          }
-        }
-      }
-    };
-
-    // Run aggregation for AC stats
-    const acStatsPipeline = [
-      matchStage,
-      addFieldsStage,
-      acGroupStage,
-      {
-        $project: {
-          _id: 0,
-          ac: '$_id',
-          count: '$total',
-          capi: '$capi',
-          cati: '$cati',
-          approved: '$approved',
-          rejected: '$rejected',
-          autoRejected: '$autoRejected',
-          manualRejected: '$manualRejected',
-          underQC: '$underQC',
-          interviewersCount: { $size: { $ifNull: ['$interviewers', []] } },
-          psCovered: { $size: { $filter: { input: { $ifNull: ['$pollingStations', []] }, cond: { $ne: ['$$this', null] } } } },
-          femaleCount: '$femaleCount',
-          withoutPhoneCount: '$withoutPhoneCount',
-          scCount: '$scCount',
-          muslimCount: '$muslimCount',
-          age18to24Count: '$age18to24Count',
-          age50PlusCount: '$age50PlusCount',
-          totalResponseTime: '$totalResponseTime'
-        }
-      }
-    ];
-
-    // For accurate AC extraction, we need to use JavaScript processing
-    // Fetch minimal data: responses array, selectedAC, selectedPollingStation, interviewer, status, interviewMode, createdAt, verificationData
-    // This is still much faster than fetching full documents
-    const minimalResponses = await SurveyResponse.find(matchFilter)
-      .select('responses selectedAC selectedPollingStation interviewer status interviewMode createdAt verificationData')
-      .populate('interviewer', 'firstName lastName memberId')
-      .lean();
-
-    // Process responses using same logic as frontend
-    const acMap = new Map();
-    const districtMap = new Map();
-    const lokSabhaMap = new Map();
-    const interviewerMap = new Map();
-    const genderMap = new Map();
-    const ageMap = new Map();
-    const dailyMap = new Map();
-    let totalResponseTime = 0;
-
-    minimalResponses.forEach(response => {
-      const respondentInfo = getRespondentInfo(response.responses || [], response, survey);
-      const responseData = response.responses || [];
-      
-      // Extract AC
-      const ac = respondentInfo.ac;
-      if (ac && ac !== 'N/A') {
-        const currentCount = acMap.get(ac) || {
-          total: 0,
-          capi: 0,
-          cati: 0,
-          interviewers: new Set(),
-          approved: 0,
-          rejected: 0,
-          autoRejected: 0,
-          manualRejected: 0,
-          underQC: 0,
-          femaleCount: 0,
-          withoutPhoneCount: 0,
-          scCount: 0,
-          muslimCount: 0,
-          age18to24Count: 0,
-          age50PlusCount: 0,
-          pollingStations: new Set()
-        };
-        
-        currentCount.total += 1;
-        
-        // Polling station
-        if (response.selectedPollingStation?.stationName) {
-          const psKey = `${response.selectedPollingStation.stationName}${response.selectedPollingStation.groupName ? `-${response.selectedPollingStation.groupName}` : ''}`;
-          currentCount.pollingStations.add(psKey);
-        }
-        
-        // Interview mode
-        const interviewMode = response.interviewMode?.toUpperCase();
-        if (interviewMode === 'CAPI') {
-          currentCount.capi += 1;
-        } else if (interviewMode === 'CATI') {
-          currentCount.cati += 1;
-        }
-        
-        // Interviewers
-        if (response.interviewer?._id) {
-          currentCount.interviewers.add(response.interviewer._id.toString());
-        }
-        
-        // Status
-        if (response.status === 'Approved') {
-          currentCount.approved += 1;
-        } else if (response.status === 'Rejected') {
-          const isAutoRejected = response.verificationData?.autoRejected === true ||
-                                (response.verificationData?.autoRejectionReasons && response.verificationData.autoRejectionReasons.length > 0) ||
-                                (response.verificationData?.feedback && (
-                                  response.verificationData.feedback.includes('Interview Too Short') ||
-                                  response.verificationData.feedback.includes('Not Voter') ||
-                                  response.verificationData.feedback.includes('Not a Registered Voter') ||
-                                  response.verificationData.feedback.includes('Duplicate Response')
-                                ));
-          if (isAutoRejected) {
-            currentCount.autoRejected += 1;
-          } else {
-            currentCount.manualRejected += 1;
-          }
-          currentCount.rejected += 1;
-        } else if (response.status === 'Pending_Approval') {
-          currentCount.underQC += 1;
-        }
-        
-        // Demographics
-        const genderResponse = require('../utils/genderUtils').findGenderResponse(responseData, survey) || findQuestionResponse(responseData, ['gender', 'sex']);
-        if (genderResponse?.response) {
-          const normalizedGender = require('../utils/genderUtils').normalizeGenderResponse(genderResponse.response);
-          if (normalizedGender === 'female') {
-            currentCount.femaleCount += 1;
-          }
-        }
-        
-        // Phone
-        let phoneResponse = responseData.find(r => {
-          const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
-          return questionText.includes('mobile number') ||
-                 questionText.includes('phone number') ||
-                 questionText.includes('share your mobile') ||
-                 questionText.includes('would you like to share your mobile');
-        });
-        if (!phoneResponse) {
-          phoneResponse = findQuestionResponse(responseData, ['phone', 'mobile', 'contact', 'number']);
-        }
-        if (!phoneResponse?.response ||
-            String(phoneResponse.response).trim() === '' ||
-            String(phoneResponse.response).trim() === 'N/A' ||
-            String(phoneResponse.response).trim() === '0') {
-          currentCount.withoutPhoneCount += 1;
-        }
-        
-        // SC (for specific survey)
-        if (surveyId === '68fd1915d41841da463f0d46') {
-          const casteResponse = findQuestionResponse(responseData, ['caste', 'scheduled cast', 'sc', 'category']);
-          if (casteResponse?.response) {
-            const casteValue = getMainTextValue(String(casteResponse.response)).toLowerCase();
-            if (casteValue.includes('scheduled cast') ||
-                casteValue.includes('sc') ||
-                casteValue.includes('scheduled caste')) {
-              currentCount.scCount += 1;
-            }
-          }
-        }
-        
-        // Muslim
-        const religionResponse = findQuestionResponse(responseData, ['religion', 'muslim', 'hindu', 'christian']);
-        if (religionResponse?.response) {
-          const religionValue = getMainTextValue(String(religionResponse.response)).toLowerCase();
-          if (religionValue.includes('muslim') || religionValue.includes('islam')) {
-            currentCount.muslimCount += 1;
-          }
-        }
-        
-        // Age groups
-        const ageResponse = findQuestionResponse(responseData, ['age', 'year']);
-        if (ageResponse?.response) {
-          const age = parseInt(ageResponse.response);
-          if (!isNaN(age) && age > 0 && age < 150) {
-            if (age >= 18 && age <= 24) {
-              currentCount.age18to24Count += 1;
-            }
-            if (age >= 50) {
-              currentCount.age50PlusCount += 1;
-            }
-          }
-        }
-        
-        acMap.set(ac, currentCount);
-      }
-      
-      // District
-      const district = respondentInfo.district;
-      if (district && district !== 'N/A') {
-        districtMap.set(district, (districtMap.get(district) || 0) + 1);
-      }
-      
-      // Lok Sabha
-      const lokSabha = respondentInfo.lokSabha;
-      if (lokSabha && lokSabha !== 'N/A') {
-        lokSabhaMap.set(lokSabha, (lokSabhaMap.get(lokSabha) || 0) + 1);
-      }
-      
-      // Interviewer stats
-      if (response.interviewer) {
-        const interviewerName = `${response.interviewer.firstName} ${response.interviewer.lastName}`;
-        const interviewerMemberId = response.interviewer.memberId || '';
-        const currentCount = interviewerMap.get(interviewerName) || {
-          total: 0,
-          capi: 0,
-          cati: 0,
-          approved: 0,
-          rejected: 0,
-          autoRejected: 0,
-          manualRejected: 0,
-          pending: 0,
-          pollingStations: new Set(),
-          femaleCount: 0,
-          withoutPhoneCount: 0,
-          scCount: 0,
-          muslimCount: 0,
-          age18to24Count: 0,
-          age50PlusCount: 0,
-          memberId: interviewerMemberId
-        };
-        
-        if (!currentCount.memberId && interviewerMemberId) {
-          currentCount.memberId = interviewerMemberId;
-        }
-        currentCount.total += 1;
-        
-        // Polling station
-        if (response.selectedPollingStation?.stationName) {
-          const psKey = `${response.selectedPollingStation.stationName}${response.selectedPollingStation.groupName ? `-${response.selectedPollingStation.groupName}` : ''}`;
-          currentCount.pollingStations.add(psKey);
-        }
-        
-        // Interview mode
-        if (interviewMode === 'CAPI') {
-          currentCount.capi += 1;
-        } else if (interviewMode === 'CATI') {
-          currentCount.cati += 1;
-        }
-        
-        // Status
-        if (response.status === 'Approved') {
-          currentCount.approved += 1;
-        } else if (response.status === 'Rejected') {
-          const isAutoRejected = response.verificationData?.autoRejected === true ||
-                                (response.verificationData?.autoRejectionReasons && response.verificationData.autoRejectionReasons.length > 0) ||
-                                (response.verificationData?.feedback && (
-                                  response.verificationData.feedback.includes('Interview Too Short') ||
-                                  response.verificationData.feedback.includes('Not Voter') ||
-                                  response.verificationData.feedback.includes('Not a Registered Voter') ||
-                                  response.verificationData.feedback.includes('Duplicate Response')
-                                ));
-          if (isAutoRejected) {
-            currentCount.autoRejected += 1;
-          } else {
-            currentCount.manualRejected += 1;
-          }
-          currentCount.rejected += 1;
-        } else if (response.status === 'Pending_Approval') {
-          currentCount.pending += 1;
-        }
-        
-        // Demographics for interviewer
-        const genderResponseForInterviewer = require('../utils/genderUtils').findGenderResponse(responseData, survey) || findQuestionResponse(responseData, ['gender', 'sex']);
-        if (genderResponseForInterviewer?.response) {
-          const normalizedGender = require('../utils/genderUtils').normalizeGenderResponse(genderResponseForInterviewer.response);
-          if (normalizedGender === 'female') {
-            currentCount.femaleCount += 1;
-          }
-        }
-        
-        // Phone for interviewer
-        let phoneResponseForInterviewer = responseData.find(r => {
-          const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
-          return questionText.includes('mobile number') ||
-                 questionText.includes('phone number') ||
-                 questionText.includes('share your mobile') ||
-                 questionText.includes('would you like to share your mobile');
-        });
-        if (!phoneResponseForInterviewer) {
-          phoneResponseForInterviewer = findQuestionResponse(responseData, ['phone', 'mobile', 'contact', 'number']);
-        }
-        if (!phoneResponseForInterviewer?.response ||
-            String(phoneResponseForInterviewer.response).trim() === '' ||
-            String(phoneResponseForInterviewer.response).trim() === 'N/A' ||
-            String(phoneResponseForInterviewer.response).trim() === '0') {
-          currentCount.withoutPhoneCount += 1;
-        }
-        
-        // SC for interviewer
-        if (surveyId === '68fd1915d41841da463f0d46') {
-          const casteResponseForInterviewer = findQuestionResponse(responseData, ['caste', 'scheduled cast', 'sc', 'category']);
-          if (casteResponseForInterviewer?.response) {
-            const casteValue = getMainTextValue(String(casteResponseForInterviewer.response)).toLowerCase();
-            if (casteValue.includes('scheduled cast') ||
-                casteValue.includes('sc') ||
-                casteValue.includes('scheduled caste')) {
-              currentCount.scCount += 1;
-            }
-          }
-        }
-        
-        // Muslim for interviewer
-        const religionResponseForInterviewer = findQuestionResponse(responseData, ['religion', 'muslim', 'hindu', 'christian']);
-        if (religionResponseForInterviewer?.response) {
-          const religionValue = getMainTextValue(String(religionResponseForInterviewer.response)).toLowerCase();
-          if (religionValue.includes('muslim') || religionValue.includes('islam')) {
-            currentCount.muslimCount += 1;
-          }
-        }
-        
-        // Age for interviewer
-        const ageResponseForInterviewer = findQuestionResponse(responseData, ['age', 'year']);
-        if (ageResponseForInterviewer?.response) {
-          const age = parseInt(ageResponseForInterviewer.response);
-          if (!isNaN(age) && age > 0 && age < 150) {
-            if (age >= 18 && age <= 24) {
-              currentCount.age18to24Count += 1;
-            }
-            if (age >= 50) {
-              currentCount.age50PlusCount += 1;
-            }
-          }
-        }
-        
-        interviewerMap.set(interviewerName, currentCount);
-      }
-      
-      // Gender stats
-      const gender = respondentInfo.gender;
-      if (gender && gender !== 'N/A') {
-        const genderText = getMainText(gender);
-        genderMap.set(genderText, (genderMap.get(genderText) || 0) + 1);
-      }
-      
-      // Age stats
-      const age = parseInt(respondentInfo.age);
-      if (!isNaN(age)) {
-        const ageGroup = Math.floor(age / 10) * 10;
-        ageMap.set(ageGroup, (ageMap.get(ageGroup) || 0) + 1);
-      }
-      
-      // Daily stats
-      const date = new Date(response.createdAt).toDateString();
-      dailyMap.set(date, (dailyMap.get(date) || 0) + 1);
-      
-      // Response time
-      totalResponseTime += (response.responses?.reduce((sum, resp) => sum + (resp.responseTime || 0), 0) || 0);
-    });
-
-    // Calculate total responses
-    const totalResponses = minimalResponses.length;
-    const capiResponses = minimalResponses.filter(r => r.interviewMode?.toUpperCase() === 'CAPI').length;
-    const catiResponses = minimalResponses.filter(r => r.interviewMode?.toUpperCase() === 'CATI').length;
-    const capiApproved = minimalResponses.filter(r => r.interviewMode?.toUpperCase() === 'CAPI' && r.status === 'Approved').length;
-    const capiRejected = minimalResponses.filter(r => r.interviewMode?.toUpperCase() === 'CAPI' && r.status === 'Rejected').length;
-
-    // Format AC stats
-    const acStats = Array.from(acMap.entries()).map(([ac, data]) => ({
-      ac: ac,
-      count: data.total,
-      capi: data.capi,
-      cati: data.cati,
-      percentage: totalResponses > 0 ? (data.total / totalResponses) * 100 : 0,
-      interviewersCount: data.interviewers ? data.interviewers.size : 0,
-      approved: data.approved,
-      rejected: data.rejected,
-      autoRejected: data.autoRejected,
-      manualRejected: data.manualRejected,
-      underQC: data.underQC,
-      psCovered: data.pollingStations ? data.pollingStations.size : 0,
-      femalePercentage: data.total > 0 ? (data.femaleCount / data.total) * 100 : 0,
-      withoutPhonePercentage: data.total > 0 ? (data.withoutPhoneCount / data.total) * 100 : 0,
-      scPercentage: data.total > 0 ? (data.scCount / data.total) * 100 : 0,
-      muslimPercentage: data.total > 0 ? (data.muslimCount / data.total) * 100 : 0,
-      age18to24Percentage: data.total > 0 ? (data.age18to24Count / data.total) * 100 : 0,
-      age50PlusPercentage: data.total > 0 ? (data.age50PlusCount / data.total) * 100 : 0
-    })).sort((a, b) => b.count - a.count);
-
-    // District and Lok Sabha stats are already calculated from minimalResponses processing above
-    const districtStats = Array.from(districtMap.entries())
-      .map(([district, count]) => ({
-        district,
-        count: count,
-        percentage: totalResponses > 0 ? (count / totalResponses) * 100 : 0
-      }))
-      .sort((a, b) => b.count - a.count);
+    const analytics = await getSurveyAnalyticsReport(survey, query);
 
-    const lokSabhaStats = Array.from(lokSabhaMap.entries())
-      .map(([lokSabha, count]) => ({
-        lokSabha,
-        count: count,
-        percentage: totalResponses > 0 ? (count / totalResponses) * 100 : 0
-      }))
-      .sort((a, b) => b.count - a.count);
-
-    // Format interviewer stats
-    const interviewerStats = Array.from(interviewerMap.entries()).map(([interviewer, data]) => ({
-      interviewer: interviewer,
-      interviewerId: null, // Will be populated if needed
-      memberId: data.memberId || '',
-      count: data.total,
-      capi: data.capi,
-      cati: data.cati,
-      approved: data.approved,
-      rejected: data.rejected,
-      autoRejected: data.autoRejected,
-      manualRejected: data.manualRejected,
-      pending: data.pending,
-      underQC: data.pending,
-      percentage: totalResponses > 0 ? (data.total / totalResponses) * 100 : 0,
-      psCovered: data.pollingStations ? data.pollingStations.size : 0,
-      femalePercentage: data.total > 0 ? (data.femaleCount / data.total) * 100 : 0,
-      withoutPhonePercentage: data.total > 0 ? (data.withoutPhoneCount / data.total) * 100 : 0,
-      scPercentage: data.total > 0 ? (data.scCount / data.total) * 100 : 0,
-      muslimPercentage: data.total > 0 ? (data.muslimCount / data.total) * 100 : 0,
-      age18to24Percentage: data.total > 0 ? (data.age18to24Count / data.total) * 100 : 0,
-      age50PlusPercentage: data.total > 0 ? (data.age50PlusCount / data.total) * 100 : 0
-    })).sort((a, b) => b.count - a.count);
-
-    // Basic stats are already calculated from minimalResponses
-
-    // Gender and Age stats are already calculated from minimalResponses
-    const genderStats = Object.fromEntries(genderMap);
-    const ageStats = Object.fromEntries(ageMap);
-
-    // Daily stats are already calculated from minimalResponses
-    const dailyStats = Array.from(dailyMap.entries())
-      .map(([date, count]) => ({ date, count }))
-      .sort((a, b) => new Date(a.date) - new Date(b.date));
-
-    // Calculate completion rate and average response time
-    const completionRate = survey?.sampleSize ? (basicStats.totalResponses / survey.sampleSize) * 100 : 0;
-    const averageResponseTime = basicStats.totalResponses > 0 
-      ? (basicStats.totalResponseTime / basicStats.totalResponses) 
-      : 0;
-
-    // Return analytics data
     res.status(200).json({
       success: true,
-      data: {
-        totalResponses: basicStats.totalResponses,
-        capiResponses: basicStats.capiResponses,
-        catiResponses: basicStats.catiResponses,
-        completionRate,
-        averageResponseTime,
-        acStats,
-        districtStats,
-        lokSabhaStats,
-        interviewerStats,
-        genderStats: genderMap,
-        ageStats: ageMap,
-        dailyStats,
-        capiPerformance: {
-          approved: basicStats.capiApproved,
-          rejected: basicStats.capiRejected,
-          total: basicStats.capiResponses
-        }
-      }
+      data: analytics
     });
 
   } catch (error) {
@@ -4682,5 +3737,1102 @@ exports.getSurveyAnalytics = async (req, res) => {
   }
 };
 
+// @desc    Queue a rebuild of a survey's analytics store from its responses
+// @route   POST /api/surveys/:id/analytics/rebuild
+// @access  Private (Company Admin)
+exports.rebuildSurveyAnalytics = async (req, res) => {
+  try {
+    const { enqueueJob } = require('../utils/jobQueue');
+
+    const survey = await Survey.findById(req.params.id).select('company');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // One queued rebuild per survey; asking again while it waits returns the same job
+    const job = await enqueueJob('analytics.rebuildSurvey', {
+      surveyId: survey._id.toString(),
+      reason: `requested by ${req.user.id}`
+    }, {
+      key: `analytics.rebuildSurvey:${survey._id}`,
+      company: survey.company,
+      createdBy: req.user.id
+    });
+
+    res.status(202).json({
+      success: true,
+      message: 'Analytics rebuild queued',
+      data: {
+        jobId: job._id,
+        status: job.status
+      }
+    });
+  } catch (error) {
+    console.error('Rebuild survey analytics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Evaluate report metrics (utils/reportMetrics.js) for a survey
+// @route   GET /api/surveys/:id/metrics
+// @access  Private (Company Admin, Project Manager)
+exports.getSurveyMetrics = async (req, res) => {
+  try {
+    const { parseMetricsQuery, evaluateSurveyMetrics, describeMetrics } = require('../utils/reportMetrics');
+    const { getAssignedInterviewerIds } = require('../utils/surveyAnalyticsStore');
+
+    const { metrics, groupBy, filter, errors } = parseMetricsQuery(req.query);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid metrics request',
+        errors
+      });
+    }
+
+    const survey = await Survey.findById(req.params.id).select('company');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // For project managers: only their assigned interviewers
+    const restrictToInterviewers = req.user.userType === 'project_manager'
+      ? await getAssignedInterviewerIds(req.user.id)
+      : null;
+
+    const result = await evaluateSurveyMetrics(survey._id, { filter, metrics, groupBy, restrictToInterviewers });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        filter,
+        definitions: describeMetrics().filter(definition => metrics.includes(definition.key))
+      }
+    });
+  } catch (error) {
+    console.error('Get survey metrics error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the effective CATI retry policy for a survey
+// @route   GET /api/surveys/:id/cati-retry-policy
+// @access  Private (Company Admin, Project Manager)
+exports.getCatiRetryPolicy = async (req, res) => {
+  try {
+    const { getRetryPolicy, DEFAULT_RETRY_POLICY } = require('../utils/catiRetryPolicy');
+
+    const survey = await Survey.findById(req.params.id).select('company catiRetryPolicy');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        policy: getRetryPolicy(survey),
+        defaults: DEFAULT_RETRY_POLICY
+      }
+    });
+  } catch (error) {
+    console.error('Get CATI retry policy error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Update the CATI retry policy for a survey
+// @route   PUT /api/surveys/:id/cati-retry-policy
+// @access  Private (Company Admin, Project Manager)
+exports.updateCatiRetryPolicy = async (req, res) => {
+  try {
+    const { getRetryPolicy, RETRYABLE_STATUSES } = require('../utils/catiRetryPolicy');
+
+    const survey = await Survey.findById(req.params.id);
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update surveys from your company.'
+      });
+    }
+
+    const {
+      enabled,
+      maxAttemptsByDisposition,
+      minGapMinutes,
+      maxFailedAttempts,
+      callingHours,
+      timezone,
+      callbackExclusiveMinutes
+    } = req.body;
+
+    if (timezone !== undefined && timezone !== null) {
+      try {
+        new Intl.DateTimeFormat('en-GB', { timeZone: timezone });
+      } catch (tzError) {
+        return res.status(400).json({
+          success: false,
+          message: `Invalid timezone: ${timezone}`
+        });
+      }
+    }
+
+    const unknownDispositions = Object.keys(maxAttemptsByDisposition || {})
+      .filter(status => !RETRYABLE_STATUSES.includes(status));
+    if (unknownDispositions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Unknown dispositions: ${unknownDispositions.join(', ')}. Allowed: ${RETRYABLE_STATUSES.join(', ')}`
+      });
+    }
+
+    const current = survey.catiRetryPolicy?.toObject ? survey.catiRetryPolicy.toObject() : {};
+    survey.catiRetryPolicy = {
+      ...current,
+      ...(enabled !== undefined && { enabled }),
+      ...(maxAttemptsByDisposition && {
+        maxAttemptsByDisposition: { ...(current.maxAttemptsByDisposition || {}), ...maxAttemptsByDisposition }
+      }),
+      ...(minGapMinutes !== undefined && { minGapMinutes }),
+      ...(maxFailedAttempts !== undefined && { maxFailedAttempts }),
+      ...(callingHours && { callingHours: { ...(current.callingHours || {}), ...callingHours } }),
+      ...(timezone !== undefined && { timezone }),
+      ...(callbackExclusiveMinutes !== undefined && { callbackExclusiveMinutes })
+    };
+    survey.lastModifiedBy = req.user.id;
+    await survey.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'CATI retry policy updated successfully',
+      data: {
+        policy: getRetryPolicy(survey)
+      }
+    });
+  } catch (error) {
+    console.error('Update CATI retry policy error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get the auto-rejection rules for a survey
+// @route   GET /api/surveys/:id/auto-rejection-rules
+// @access  Private (Company Admin, Project Manager)
+exports.getAutoRejectionRules = async (req, res) => {
+  try {
+    const {
+      getAutoRejectionRules,
+      getDefaultRules,
+      RULE_TYPES,
+      OPERATORS_BY_TYPE,
+      INTERVIEW_MODES,
+      MATCH_ON
+    } = require('../utils/autoRejectionHelper');
+
+    const survey = await Survey.findById(req.params.id).select('company autoRejectionRules');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ruleSet: {
+          ...getAutoRejectionRules(survey),
+          updatedAt: survey.autoRejectionRules?.updatedAt || null
+        },
+        defaults: getDefaultRules(),
+        options: {
+          types: RULE_TYPES,
+          operatorsByType: OPERATORS_BY_TYPE,
+          modes: INTERVIEW_MODES,
+          matchOn: MATCH_ON
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get auto-rejection rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Save a new version of the auto-rejection rules for a survey
+// @route   PUT /api/surveys/:id/auto-rejection-rules
+// @access  Private (Company Admin, Project Manager)
+exports.updateAutoRejectionRules = async (req, res) => {
+  try {
+    const { validateRules, getAutoRejectionRules, queueDuplicateIndex } = require('../utils/autoRejectionHelper');
+    const AutoRejectionRuleVersion = require('../models/AutoRejectionRuleVersion');
+
+    const survey = await Survey.findById(req.params.id).select('company autoRejectionRules');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update surveys from your company.'
+      });
+    }
+
+    const { enabled, rules, changeNote, expectedVersion } = req.body;
+    const { rules: validRules, errors } = validateRules(rules);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid auto-rejection rules',
+        errors
+      });
+    }
+
+    const currentVersion = survey.autoRejectionRules?.version || 0;
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+      return res.status(409).json({
+        success: false,
+        message: `The rules were changed by someone else (now version ${currentVersion}). Reload and try again.`
+      });
+    }
+
+    const nextVersion = currentVersion + 1;
+    const ruleSet = {
+      enabled: enabled !== false,
+      version: nextVersion,
+      rules: validRules,
+      updatedBy: req.user.id,
+      updatedAt: new Date()
+    };
+
+    // Only apply if nobody saved in between; unset version counts as 0
+    const updated = await Survey.findOneAndUpdate(
+      {
+        _id: survey._id,
+        'autoRejectionRules.version': currentVersion === 0 ? { $in: [0, null] } : currentVersion
+      },
+      { $set: { autoRejectionRules: ruleSet, lastModifiedBy: req.user.id } },
+      { new: true, runValidators: true }
+    ).select('autoRejectionRules');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The rules were changed by someone else. Reload and try again.'
+      });
+    }
+
+    await AutoRejectionRuleVersion.create({
+      survey: survey._id,
+      company: survey.company,
+      version: nextVersion,
+      enabled: ruleSet.enabled,
+      rules: validRules,
+      changeNote,
+      createdBy: req.user.id
+    });
+
+    // Duplicate checks look answers up by rule, so re-index the responses when those rules change
+    const hasDuplicateRules = (list) => list.some(rule => rule.type === 'duplicate_answer');
+    if (hasDuplicateRules(validRules) || hasDuplicateRules(getAutoRejectionRules(survey).rules)) {
+      await queueDuplicateIndex(survey, req.user.id);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Auto-rejection rules saved as version ${nextVersion}`,
+      data: {
+        ruleSet: {
+          enabled: ruleSet.enabled,
+          version: nextVersion,
+          rules: validRules,
+          isDefault: false,
+          updatedAt: ruleSet.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Update auto-rejection rules error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Dry-run auto-rejection rules against a survey's existing responses
+// @route   POST /api/surveys/:id/auto-rejection-rules/dry-run
+// @access  Private (Company Admin, Project Manager)
+exports.dryRunAutoRejectionRules = async (req, res) => {
+  try {
+    const { getAutoRejectionRules, validateRules, dryRunAutoRejection } = require('../utils/autoRejectionHelper');
+
+    const survey = await Survey.findById(req.params.id).select('company autoRejectionRules');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    // Without rules in the body the saved rule set is tested
+    let ruleSet = getAutoRejectionRules(survey);
+    if (req.body.rules !== undefined) {
+      const { rules: validRules, errors } = validateRules(req.body.rules);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid auto-rejection rules',
+          errors
+        });
+      }
+      ruleSet = { enabled: req.body.enabled !== false, version: null, rules: validRules };
+    }
+
+    const startedAt = Date.now();
+    const summary = await dryRunAutoRejection(survey._id, ruleSet, {
+      limit: req.body.limit,
+      sampleSize: req.body.sampleSize
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...summary,
+        ruleVersion: ruleSet.version,
+        durationMs: Date.now() - startedAt
+      }
+    });
+  } catch (error) {
+    console.error('Dry-run auto-rejection rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    List saved versions of a survey's auto-rejection rules with how many responses each rejected
+// @route   GET /api/surveys/:id/auto-rejection-rules/versions
+// @access  Private (Company Admin, Project Manager)
+exports.getAutoRejectionRuleVersions = async (req, res) => {
+  try {
+    const AutoRejectionRuleVersion = require('../models/AutoRejectionRuleVersion');
+
+    const survey = await Survey.findById(req.params.id).select('company autoRejectionRules');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    const [versions, rejectionCounts] = await Promise.all([
+      AutoRejectionRuleVersion.find({ survey: survey._id })
+        .sort({ version: -1 })
+        .populate('createdBy', 'firstName lastName email')
+        .lean(),
+      SurveyResponse.aggregate([
+        { $match: { survey: survey._id, 'verificationData.autoRejected': true } },
+        {
+          $group: {
+            _id: { $ifNull: ['$verificationData.autoRejectionRuleVersion', 0] },
+            count: { $sum: 1 },
+            lastRejectedAt: { $max: '$verificationData.reviewedAt' }
+          }
+        }
+      ])
+    ]);
+
+    const countsByVersion = rejectionCounts.reduce((acc, row) => {
+      acc[row._id] = { rejectedCount: row.count, lastRejectedAt: row.lastRejectedAt };
+      return acc;
+    }, {});
+    const withCounts = (version) => ({
+      rejectedCount: countsByVersion[version]?.rejectedCount || 0,
+      lastRejectedAt: countsByVersion[version]?.lastRejectedAt || null
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        currentVersion: survey.autoRejectionRules?.version || 0,
+        versions: [
+          ...versions.map(version => ({ ...version, ...withCounts(version.version) })),
+          // Version 0 is the built-in default rule set (also covers responses rejected before versioning)
+          { version: 0, isDefault: true, ...withCounts(0) }
+        ]
+      }
+    });
+  } catch (error) {
+    console.error('Get auto-rejection rule versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a survey's quota cells with achieved vs target per cell
+// @route   GET /api/surveys/:id/quotas
+// @access  Private (Company Admin, Project Manager)
+exports.getSurveyQuotas = async (req, res) => {
+  try {
+    const { buildQuotaReport, DIMENSION_SOURCES, FULL_CELL_ACTIONS } = require('../utils/quotaEngine');
+
+    const survey = await Survey.findById(req.params.id)
+      .select('company surveyName sampleSize sections questions targetAudience.quotaManagement quotas');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    // Questions a quota dimension can be built on
+    const questions = [];
+    (survey.sections || []).forEach(section => {
+      (section.questions || []).forEach(question => {
+        questions.push({
+          id: question.id,
+          text: question.text,
+          type: question.type,
+          options: (question.options || []).map(option => (typeof option === 'object' ? option.text : option))
+        });
+      });
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        surveyName: survey.surveyName,
+        sampleSize: survey.sampleSize,
+        quotaManagement: !!survey.targetAudience?.quotaManagement,
+        report: await buildQuotaReport(survey),
+        questions,
+        options: {
+          sources: DIMENSION_SOURCES,
+          fullCellActions: FULL_CELL_ACTIONS
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get survey quotas error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Save a survey's quota cells and re-place existing responses in them
+// @route   PUT /api/surveys/:id/quotas
+// @access  Private (Company Admin, Project Manager)
+exports.updateSurveyQuotas = async (req, res) => {
+  try {
+    const { validateQuotaConfig, recomputeSurveyQuotas, buildQuotaReport } = require('../utils/quotaEngine');
+
+    const survey = await Survey.findById(req.params.id)
+      .select('company sections questions targetAudience quotas');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update surveys from your company.'
+      });
+    }
+
+    const { enabled, expectedVersion } = req.body;
+    const { quotas, errors } = validateQuotaConfig(req.body, survey);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid quota configuration',
+        errors
+      });
+    }
+
+    const currentVersion = survey.quotas?.version || 0;
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+      return res.status(409).json({
+        success: false,
+        message: `The quotas were changed by someone else (now version ${currentVersion}). Reload and try again.`
+      });
+    }
+
+    // Only apply if nobody saved in between; unset version counts as 0
+    const updated = await Survey.findOneAndUpdate(
+      {
+        _id: survey._id,
+        'quotas.version': currentVersion === 0 ? { $in: [0, null] } : currentVersion
+      },
+      {
+        $set: {
+          quotas: {
+            ...quotas,
+            version: currentVersion + 1,
+            updatedBy: req.user.id,
+            updatedAt: new Date()
+          },
+          'targetAudience.quotaManagement': enabled !== undefined ? !!enabled : !!survey.targetAudience?.quotaManagement,
+          lastModifiedBy: req.user.id
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('sections questions targetAudience quotas');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The quotas were changed by someone else. Reload and try again.'
+      });
+    }
+
+    // Cells and targets changed: place every existing response again so counts match the new cells
+    const recomputed = await recomputeSurveyQuotas(updated);
+
+    res.status(200).json({
+      success: true,
+      message: `Quotas saved as version ${currentVersion + 1}`,
+      data: {
+        quotaManagement: !!updated.targetAudience?.quotaManagement,
+        report: await buildQuotaReport(updated),
+        recomputed
+      }
+    });
+  } catch (error) {
+    console.error('Update survey quotas error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get a survey's weighting configuration
+// @route   GET /api/surveys/:id/weighting
+// @access  Private (Company Admin, Project Manager)
+exports.getSurveyWeighting = async (req, res) => {
+  try {
+    const { DIMENSION_SOURCES } = require('../utils/quotaEngine');
+
+    const survey = await Survey.findById(req.params.id)
+      .select('company surveyName sections questions weighting');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    // Questions a dimension can be built on, or estimated
+    const questions = [];
+    (survey.sections || []).forEach(section => {
+      (section.questions || []).forEach(question => {
+        questions.push({
+          id: question.id,
+          text: question.text,
+          type: question.type,
+          options: (question.options || []).map(option => (typeof option === 'object' ? option.text : option))
+        });
+      });
+    });
+
+    const weighting = survey.weighting?.toObject ? survey.weighting.toObject() : (survey.weighting || {});
+    res.status(200).json({
+      success: true,
+      data: {
+        surveyName: survey.surveyName,
+        weighting: {
+          enabled: !!weighting.enabled,
+          dimensions: weighting.dimensions || [],
+          outcomeQuestions: weighting.outcomeQuestions || [],
+          maxIterations: weighting.maxIterations ?? 50,
+          tolerance: weighting.tolerance ?? 0.1,
+          trimMin: weighting.trimMin ?? 0.2,
+          trimMax: weighting.trimMax ?? 5,
+          version: weighting.version || 0,
+          updatedAt: weighting.updatedAt || null
+        },
+        questions,
+        options: {
+          sources: DIMENSION_SOURCES
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get survey weighting error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Save a survey's weighting configuration
+// @route   PUT /api/surveys/:id/weighting
+// @access  Private (Company Admin, Project Manager)
+exports.updateSurveyWeighting = async (req, res) => {
+  try {
+    const { validateWeightingConfig } = require('../utils/weightingEngine');
+
+    const survey = await Survey.findById(req.params.id)
+      .select('company sections questions weighting');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only update surveys from your company.'
+      });
+    }
+
+    const { expectedVersion } = req.body;
+    const { weighting, errors } = validateWeightingConfig(req.body, survey);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid weighting configuration',
+        errors
+      });
+    }
+
+    const currentVersion = survey.weighting?.version || 0;
+    if (expectedVersion !== undefined && expectedVersion !== null && Number(expectedVersion) !== currentVersion) {
+      return res.status(409).json({
+        success: false,
+        message: `The weighting was changed by someone else (now version ${currentVersion}). Reload and try again.`
+      });
+    }
+
+    // Only apply if nobody saved in between; unset version counts as 0
+    const updated = await Survey.findOneAndUpdate(
+      {
+        _id: survey._id,
+        'weighting.version': currentVersion === 0 ? { $in: [0, null] } : currentVersion
+      },
+      {
+        $set: {
+          weighting: {
+            ...weighting,
+            version: currentVersion + 1,
+            updatedBy: req.user.id,
+            updatedAt: new Date()
+          },
+          lastModifiedBy: req.user.id
+        }
+      },
+      { new: true, runValidators: true }
+    ).select('weighting');
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: 'The weighting was changed by someone else. Reload and try again.'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `Weighting saved as version ${currentVersion + 1}`,
+      data: {
+        weighting: updated.weighting
+      }
+    });
+  } catch (error) {
+    console.error('Update survey weighting error:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get weighted estimates (shares, effective sample size, margin of error) for a survey's outcome questions
+// @route   GET /api/surveys/:id/weighted-estimates
+// @access  Private (Company Admin, Project Manager)
+exports.getWeightedEstimates = async (req, res) => {
+  try {
+    const { parseReportFilter, toList } = require('../utils/reportMetrics');
+    const { getWeightedEstimates } = require('../utils/weightingEngine');
+    const { getAssignedInterviewerIds, ANALYTICS_TIMEZONE } = require('../utils/surveyAnalyticsStore');
+
+    const errors = [];
+    const filter = parseReportFilter(req.query, errors);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid estimates request',
+        errors
+      });
+    }
+
+    const survey = await Survey.findById(req.params.id)
+      .select('company surveyName sections questions languages weighting');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    // For project managers: only their assigned interviewers
+    const restrictToInterviewers = req.user.userType === 'project_manager'
+      ? await getAssignedInterviewerIds(req.user.id)
+      : null;
+
+    const result = await getWeightedEstimates(survey, {
+      filter,
+      questionIds: toList(req.query.questionIds),
+      restrictToInterviewers
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        filter,
+        meta: {
+          generatedAt: new Date(),
+          timezone: ANALYTICS_TIMEZONE
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get weighted estimates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    List a survey's published questionnaire versions with response counts
+// @route   GET /api/surveys/:id/versions
+// @access  Private (Company Admin, Project Manager)
+exports.getSurveyVersions = async (req, res) => {
+  try {
+    const SurveyVersion = require('../models/SurveyVersion');
+
+    const survey = await Survey.findById(req.params.id).select('company surveyName status currentVersion');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    const [versions, responseCounts] = await Promise.all([
+      SurveyVersion.find({ survey: survey._id })
+        .select('-snapshot.sections -snapshot.questions -snapshot.languages')
+        .sort({ version: -1 })
+        .populate('publishedBy', 'firstName lastName email')
+        .lean(),
+      SurveyResponse.aggregate([
+        { $match: { survey: survey._id } },
+        { $group: { _id: '$surveyVersion', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const countsByVersion = responseCounts.reduce((acc, row) => {
+      acc[row._id ?? 'unpinned'] = row.count;
+      return acc;
+    }, {});
+
+    res.status(200).json({
+      success: true,
+      data: {
+        surveyName: survey.surveyName,
+        status: survey.status,
+        currentVersion: survey.currentVersion || 0,
+        unpinnedResponses: countsByVersion.unpinned || 0,
+        versions: versions.map(version => ({
+          ...version,
+          responseCount: countsByVersion[version.version] || 0
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Get survey versions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Get one questionnaire version with its snapshot
+// @route   GET /api/surveys/:id/versions/:version
+// @access  Private (Company Admin, Project Manager)
+exports.getSurveyVersion = async (req, res) => {
+  try {
+    const SurveyVersion = require('../models/SurveyVersion');
+
+    const version = parseInt(req.params.version, 10);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'Version must be a positive integer'
+      });
+    }
+
+    const survey = await Survey.findById(req.params.id).select('company');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    const surveyVersion = await SurveyVersion.findOne({ survey: survey._id, version })
+      .populate('publishedBy', 'firstName lastName email')
+      .lean();
+    if (!surveyVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${version} not found`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: surveyVersion
+    });
+  } catch (error) {
+    console.error('Get survey version error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
+// @desc    Compare two questionnaire versions
+// @route   GET /api/surveys/:id/versions/diff?from=1&to=2
+// @access  Private (Company Admin, Project Manager)
+exports.getSurveyVersionDiff = async (req, res) => {
+  try {
+    const SurveyVersion = require('../models/SurveyVersion');
+    const { diffSnapshots } = require('../utils/surveyVersioning');
+
+    const survey = await Survey.findById(req.params.id).select('company currentVersion');
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.company.toString() !== req.user.company?.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. You can only view surveys from your company.'
+      });
+    }
+
+    // Defaults: the current version against the one before it
+    const to = req.query.to !== undefined ? parseInt(req.query.to, 10) : survey.currentVersion;
+    const from = req.query.from !== undefined ? parseInt(req.query.from, 10) : to - 1;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be existing version numbers'
+      });
+    }
+
+    const versions = await SurveyVersion.find({ survey: survey._id, version: { $in: [from, to] } })
+      .select('version changeNote createdAt snapshot')
+      .lean();
+    const fromVersion = versions.find(version => version.version === from);
+    const toVersion = versions.find(version => version.version === to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({
+        success: false,
+        message: `Version ${!fromVersion ? from : to} not found`
+      });
+    }
+
+    const describe = ({ version, changeNote, createdAt }) => ({ version, changeNote, createdAt });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        from: describe(fromVersion),
+        to: describe(toVersion),
+        diff: diffSnapshots(fromVersion.snapshot, toVersion.snapshot)
+      }
+    });
+  } catch (error) {
+    console.error('Get survey version diff error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+};
+
 // Export multer middleware for use in routes
 exports.uploadRespondentContactsMiddleware = upload.single('file');
@@ -6,6 +6,11 @@ const User = require('../models/User');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const { addResponseToBatch } = require('../utils/qcBatchHelper');
+const { assignQuotaCells } = require('../utils/quotaEngine');
+
+// Interviews accepted per offline sync request; devices send their queue in batches
+const OFFLINE_SYNC_BATCH_LIMIT = 20;
+const CLIENT_INTERVIEW_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
 
 // Start a new interview session
 const startInterview = async (req, res) => {
@@ -74,6 +79,17 @@ const startInterview = async (req, res) => {
       });
     }
 
+    // Surveys may require a passed, unexpired training certification
+    const { getCertificationBlock } = require('../utils/training');
+    const certificationBlock = await getCertificationBlock(survey, interviewerId);
+    if (certificationBlock) {
+      return res.status(403).json({
+        success: false,
+        message: certificationBlock.message,
+        data: { certificationRequired: true, expiredAt: certificationBlock.expiredAt }
+      });
+    }
+
     // Check if AC selection is required
     // For survey "68fd1915d41841da463f0d46": Always require AC selection for CAPI interviews,
     // even if interviewer has no assigned ACs (they can select from all ACs)
@@ -151,7 +167,7 @@ const startInterview = async (req, res) => {
       interviewMode: interviewMode,
       deviceInfo,
       metadata: {
-        surveyVersion: survey.version || '1.0',
+        surveyVersion: survey.currentVersion || null, // Questionnaire version the interview runs against
         startMethod: 'manual',
         surveyMode: survey.mode, // Store the original survey mode for reference
         assignedMode: assignedMode // Store the assigned mode for multi-mode surveys
@@ -174,6 +190,7 @@ const startInterview = async (req, res) => {
           description: survey.description,
           sections: survey.sections,
           questions: survey.questions,
+          languages: survey.languages,
           mode: survey.mode
         },
         currentPosition: {
@@ -442,6 +459,61 @@ const resumeInterview = async (req, res) => {
   }
 };
 
+// Link the recording, run auto-rejection on a newly completed response and queue it for QC
+// if it survived. Returns true when the response was auto-rejected.
+const finalizeCompletedResponse = async (surveyResponse, responses, surveyId, interviewerId) => {
+  // Attach the chunked audio upload of this interview, if the recorder used one
+  try {
+    const { linkUploadToResponse } = require('../utils/audioUploadHelper');
+    await linkUploadToResponse(surveyResponse);
+  } catch (linkError) {
+    console.error('Error linking audio upload to response:', linkError);
+  }
+
+  // Check for auto-rejection conditions
+  const { checkAutoRejection, applyAutoRejection } = require('../utils/autoRejectionHelper');
+  let wasAutoRejected = false;
+  try {
+    const rejectionInfo = await checkAutoRejection(surveyResponse, responses, surveyId);
+    if (rejectionInfo) {
+      await applyAutoRejection(surveyResponse, rejectionInfo);
+      wasAutoRejected = true;
+    }
+  } catch (autoRejectError) {
+    console.error('Error checking auto-rejection:', autoRejectError);
+    // Continue even if auto-rejection check fails
+  }
+  
+  // CRITICAL: Double-check status before adding to batch
+  // Reload response to ensure we have the latest status
+  const latestResponse = await SurveyResponse.findById(surveyResponse._id);
+  const isAutoRejected = wasAutoRejected || 
+                        (latestResponse && latestResponse.status === 'Rejected') || 
+                        (latestResponse && latestResponse.verificationData?.autoRejected === true);
+  
+  // Add response to QC batch only if NOT auto-rejected
+  // Auto-rejected responses are already decided and don't need QC processing
+  if (!isAutoRejected) {
+    try {
+      await addResponseToBatch(surveyResponse._id, surveyId, interviewerId);
+    } catch (batchError) {
+      console.error('Error adding response to batch:', batchError);
+      // Continue even if batch addition fails - response is still saved
+    }
+  } else {
+    console.log(`⏭️  Skipping batch addition for auto-rejected response ${surveyResponse._id} (status: ${latestResponse?.status})`);
+  }
+
+  // Analyse a recording that arrived with the response (chunked uploads queue this when they link)
+  if (!isAutoRejected && latestResponse?.audioRecording?.hasAudio && latestResponse.audioRecording.audioUrl &&
+      latestResponse.audioRecording.uploadStatus !== 'uploading') {
+    const { queueAudioAnalysis } = require('../utils/audioAnalysis');
+    await queueAudioAnalysis(surveyResponse._id);
+  }
+
+  return isAutoRejected;
+};
+
 // Complete interview and save final response
 const completeInterview = async (req, res) => {
   try {
@@ -496,6 +568,7 @@ const completeInterview = async (req, res) => {
     // CRITICAL: Use startTime from metadata if provided (for offline synced interviews)
     // Otherwise use session.startTime (for online interviews)
     const actualStartTime = metadata?.startTime ? new Date(metadata.startTime) : session.startTime;
+    const { getSessionSurveyVersion } = require('../utils/surveyVersioning');
     
     console.log(`📊 Creating survey response - startTime: ${actualStartTime.toISOString()}, endTime: ${endTime.toISOString()}, totalTimeSpent: ${totalTimeSpent} seconds`);
     
@@ -516,51 +589,19 @@ const completeInterview = async (req, res) => {
       qualityMetrics,
       setNumber: metadata?.setNumber || null, // Save set number for CATI interviews
       OldinterviewerID: oldInterviewerID, // Save old interviewer ID
+      // CAPI clients send their interview ID so an interview queued after a lost response is not synced twice
+      clientInterviewId: CLIENT_INTERVIEW_ID_PATTERN.test(metadata?.clientInterviewId || '') ? metadata.clientInterviewId : undefined,
+      surveyVersion: getSessionSurveyVersion(session),
       metadata: {
         ...session.metadata,
         ...metadata
       }
     });
 
+    await assignQuotaCells(surveyResponse, session.survey);
     await surveyResponse.save();
     
-    // Check for auto-rejection conditions
-    const { checkAutoRejection, applyAutoRejection } = require('../utils/autoRejectionHelper');
-    let wasAutoRejected = false;
-    try {
-      const rejectionInfo = await checkAutoRejection(surveyResponse, responses, session.survey._id);
-      if (rejectionInfo) {
-        await applyAutoRejection(surveyResponse, rejectionInfo);
-        wasAutoRejected = true;
-        // Refresh the response to get updated status
-        await surveyResponse.populate('survey');
-        // Reload from database to ensure status is updated
-        await surveyResponse.constructor.findById(surveyResponse._id);
-      }
-    } catch (autoRejectError) {
-      console.error('Error checking auto-rejection:', autoRejectError);
-      // Continue even if auto-rejection check fails
-    }
-    
-    // CRITICAL: Double-check status before adding to batch
-    // Reload response to ensure we have the latest status
-    const latestResponse = await SurveyResponse.findById(surveyResponse._id);
-    const isAutoRejected = wasAutoRejected || 
-                          (latestResponse && latestResponse.status === 'Rejected') || 
-                          (latestResponse && latestResponse.verificationData?.autoRejected === true);
-    
-    // Add response to QC batch only if NOT auto-rejected
-    // Auto-rejected responses are already decided and don't need QC processing
-    if (!isAutoRejected) {
-      try {
-        await addResponseToBatch(surveyResponse._id, session.survey._id, session.interviewer.toString());
-      } catch (batchError) {
-        console.error('Error adding response to batch:', batchError);
-        // Continue even if batch addition fails - response is still saved
-      }
-    } else {
-      console.log(`⏭️  Skipping batch addition for auto-rejected response ${surveyResponse._id} (status: ${latestResponse.status})`);
-    }
+    await finalizeCompletedResponse(surveyResponse, responses, session.survey._id, session.interviewer.toString());
 
     // Mark session as abandoned (cleanup)
     session.abandonSession();
@@ -652,6 +693,7 @@ const abandonInterview = async (req, res) => {
       
       // Extract abandonment reason from metadata
       const abandonedReason = metadata?.abandonedReason || null;
+      const { getSessionSurveyVersion } = require('../utils/surveyVersioning');
       
       // Create terminated survey response
       const surveyResponse = await SurveyResponse.createCompleteResponse({
@@ -676,6 +718,7 @@ const abandonInterview = async (req, res) => {
         },
         setNumber: metadata?.setNumber || null,
         abandonedReason: abandonedReason, // Store abandonment reason
+        surveyVersion: getSessionSurveyVersion(session),
         metadata: {
           ...session.metadata,
           ...metadata,
@@ -772,26 +815,9 @@ const getGenderResponseCounts = async (req, res) => {
       });
     }
 
-    // Get gender response counts from completed responses
-    // Use genderUtils to find gender responses (including registered voter question equivalence)
-    const { findGenderResponse, normalizeGenderResponse } = require('../utils/genderUtils');
-    
-    const allResponses = await SurveyResponse.find({
-      survey: survey._id,
-      status: { $in: ['Pending_Approval', 'Approved', 'completed'] }
-    }).select('responses survey').populate('survey');
-    
-    // Count gender responses using normalized values
-    const genderResponseCounts = {};
-    allResponses.forEach(response => {
-      const genderResp = findGenderResponse(response.responses, response.survey);
-      if (genderResp && genderResp.response) {
-        const normalizedGender = normalizeGenderResponse(genderResp.response);
-        // Map normalized values to standard format
-        const genderKey = normalizedGender === 'male' ? 'male' : (normalizedGender === 'female' ? 'female' : normalizedGender);
-        genderResponseCounts[genderKey] = (genderResponseCounts[genderKey] || 0) + 1;
-      }
-    });
+    // Count gender responses (normalized values, including registered voter question equivalence)
+    const { countResponsesByDimension } = require('../utils/quotaEngine');
+    const genderResponseCounts = await countResponsesByDimension(survey, { key: 'gender', source: 'gender' });
 
     // Get target audience gender requirements
     const genderRequirements = survey.targetAudience?.demographics?.genderRequirements || {};
@@ -838,7 +864,71 @@ const getGenderResponseCounts = async (req, res) => {
   }
 };
 
+// Check the respondent against the survey's quota cells while the interview is running
+const checkInterviewQuota = async (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const { responses, selectedAC, selectedPollingStation } = req.body;
+    const interviewerId = req.user.id;
+
+    const session = await InterviewSession.findOne({
+      sessionId,
+      interviewer: interviewerId
+    }).populate('survey', 'sections questions targetAudience.quotaManagement quotas');
+
+    if (!session || !session.survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const { evaluateQuota } = require('../utils/quotaEngine');
+    const result = await evaluateQuota(session.survey, Array.isArray(responses) ? responses : [], {
+      selectedAC,
+      selectedPollingStation
+    });
+
+    // Questions whose answers can move the respondent into a cell, so the client knows when to re-check
+    const dimensions = result.enabled ? session.survey.quotas.dimensions : [];
+    const triggers = {
+      questionIds: dimensions.filter(dimension => dimension.source === 'question').map(dimension => dimension.questionId),
+      gender: dimensions.some(dimension => dimension.source === 'gender'),
+      ac: dimensions.some(dimension => dimension.source === 'ac')
+    };
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...result,
+        triggers,
+        message: result.isFull
+          ? `Quota full for ${result.fullCells.map(cell => cell.label).join(', ')}`
+          : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Error checking interview quota:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check quota',
+      error: error.message
+    });
+  }
+};
+
 // Upload audio file for interview
+// Audio may be uploaded for the interviewer's own session, or for an interview captured offline
+// (no server session; keyed by its client interview ID)
+const canUploadAudioForSession = async (sessionId, clientInterviewId, interviewerId) => {
+  if (clientInterviewId && sessionId === `offline-${clientInterviewId}`) {
+    return true;
+  }
+  const session = await InterviewSession.exists({ sessionId, interviewer: interviewerId });
+  return !!session;
+};
+
 const uploadAudioFile = async (req, res) => {
   try {
     console.log('📤 Audio upload request received:', {
@@ -872,95 +962,22 @@ const uploadAudioFile = async (req, res) => {
       });
     }
 
-    // Check if session exists and belongs to interviewer
-    const session = await InterviewSession.findOne({
-      sessionId,
-      interviewer: interviewerId
-    });
-
-    if (!session) {
+    if (!(await canUploadAudioForSession(sessionId, req.body.clientInterviewId, interviewerId))) {
       return res.status(404).json({
         success: false,
         message: 'Session not found'
       });
     }
 
-    // Generate unique filename based on uploaded file extension
-    const timestamp = Date.now();
-    const originalExt = path.extname(req.file.originalname) || '.webm';
-    const filename = `interview_${sessionId}_${timestamp}${originalExt}`;
-    
-    const fs = require('fs');
-    const { uploadToS3, isS3Configured, generateAudioKey } = require('../utils/cloudStorage');
-    
-    let audioUrl; // Will store S3 key, not full URL
-    let storageType = 'local';
-    
-    // Try to upload to S3 if configured, otherwise use local storage
-    if (isS3Configured()) {
-      try {
-        // Generate S3 key with organized folder structure
-        const s3Key = generateAudioKey(sessionId, filename);
-        const metadata = {
-          sessionId,
-          surveyId,
-          interviewerId: interviewerId.toString(),
-          uploadedBy: 'interview-interface',
-          originalFilename: req.file.originalname
-        };
-        
-        const uploadResult = await uploadToS3(req.file.path, s3Key, {
-          contentType: req.file.mimetype || 'audio/webm',
-          metadata
-        });
-        
-        // Store S3 key (not full URL) - we'll generate signed URLs when needed
-        audioUrl = uploadResult.key;
-        storageType = 's3';
-        
-        console.log('✅ Audio uploaded to S3:', audioUrl);
-        
-        // Clean up local temp file
-        if (fs.existsSync(req.file.path)) {
-        fs.unlinkSync(req.file.path);
-        }
-        
-      } catch (s3Error) {
-        console.error('❌ S3 upload failed:', s3Error.message);
-        console.error('S3 Error details:', s3Error);
-        console.error('S3 Error stack:', s3Error.stack);
-        // Fall back to local storage
-        storageType = 'local';
-        console.log('🔄 Falling back to local storage...');
-      }
-    }
-    
-    // Use local storage if S3 is not configured or failed
-    if (storageType === 'local') {
-      // Ensure uploads directory exists
-      const uploadDir = path.join(__dirname, '../../uploads/audio');
-      if (!fs.existsSync(uploadDir)) {
-        fs.mkdirSync(uploadDir, { recursive: true });
-      }
-      
-      // Move file from temp location to permanent location
-      const tempPath = req.file.path;
-      const finalPath = path.join(uploadDir, filename);
-      
-      console.log('Moving file from:', tempPath, 'to:', finalPath);
-      
-      // Check if temp file exists
-      if (fs.existsSync(tempPath)) {
-        fs.renameSync(tempPath, finalPath);
-        console.log('File moved successfully');
-      } else {
-        console.error('Temp file does not exist:', tempPath);
-        throw new Error(`Temporary file not found at: ${tempPath}. File may not have been uploaded correctly.`);
-      }
-      
-      // Generate URL for accessing the file
-      audioUrl = `/uploads/audio/${filename}`;
-    }
+    const { storeAudioFile } = require('../utils/audioUploadHelper');
+    const { audioUrl, storageType, filename } = await storeAudioFile(req.file.path, {
+      sessionId,
+      surveyId,
+      interviewerId,
+      originalFilename: req.file.originalname,
+      mimeType: req.file.mimetype,
+      uploadedBy: 'interview-interface'
+    });
     
     console.log('✅ Upload successful - File size:', req.file.size, 'bytes');
     console.log('✅ Audio URL:', audioUrl);
@@ -992,6 +1009,282 @@ const uploadAudioFile = async (req, res) => {
   }
 };
 
+const audioUploadSummary = (upload) => ({
+  uploadId: upload.uploadId,
+  status: upload.status,
+  receivedChunks: upload.chunks.map(chunk => chunk.index).sort((a, b) => a - b),
+  audioUrl: upload.audioUrl || null,
+  checksum: upload.checksum || null,
+  size: upload.totalSize || null
+});
+
+// Start (or resume) a chunked audio upload for an interview
+const startAudioUpload = async (req, res) => {
+  try {
+    const { sessionId, surveyId, clientInterviewId, mimeType, uploadId } = req.body;
+    const interviewerId = req.user.id;
+    const AudioUpload = require('../models/AudioUpload');
+    const { AUDIO_CHUNK_MAX_BYTES } = require('../utils/audioUploadHelper');
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        message: 'sessionId is required'
+      });
+    }
+
+    // Resuming after a reload: the client kept the uploadId and asks what the server already has
+    if (uploadId) {
+      const existing = await AudioUpload.findOne({ uploadId, interviewer: interviewerId });
+      if (existing && existing.sessionId === sessionId) {
+        return res.status(200).json({
+          success: true,
+          data: { ...audioUploadSummary(existing), maxChunkSize: AUDIO_CHUNK_MAX_BYTES }
+        });
+      }
+    }
+
+    if (!(await canUploadAudioForSession(sessionId, clientInterviewId, interviewerId))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    const upload = await AudioUpload.create({
+      uploadId: uuidv4(),
+      interviewer: interviewerId,
+      survey: mongoose.Types.ObjectId.isValid(surveyId) ? surveyId : undefined,
+      sessionId,
+      clientInterviewId: clientInterviewId || undefined,
+      mimeType: mimeType || 'audio/webm',
+      lastChunkAt: new Date()
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { ...audioUploadSummary(upload), maxChunkSize: AUDIO_CHUNK_MAX_BYTES }
+    });
+  } catch (error) {
+    console.error('Error starting audio upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to start audio upload',
+      error: error.message
+    });
+  }
+};
+
+// Get which chunks of an audio upload the server has
+const getAudioUploadStatus = async (req, res) => {
+  try {
+    const AudioUpload = require('../models/AudioUpload');
+    const upload = await AudioUpload.findOne({ uploadId: req.params.uploadId, interviewer: req.user.id });
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audio upload not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: audioUploadSummary(upload)
+    });
+  } catch (error) {
+    console.error('Error getting audio upload status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get audio upload status',
+      error: error.message
+    });
+  }
+};
+
+// Receive one chunk of an audio upload. Resending a chunk replaces it, so retries are safe
+const uploadAudioChunk = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const index = Number(req.params.index);
+    const AudioUpload = require('../models/AudioUpload');
+    const { writeChunk, sha256: hashChunk } = require('../utils/audioUploadHelper');
+
+    if (!Number.isInteger(index) || index < 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Chunk index must be a non-negative integer'
+      });
+    }
+
+    if (!req.file || req.file.size === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No chunk data provided'
+      });
+    }
+
+    const upload = await AudioUpload.findOne({ uploadId, interviewer: req.user.id })
+      .select('status chunks.index chunks.sha256');
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audio upload not found'
+      });
+    }
+
+    if (upload.status === 'assembled') {
+      return res.status(409).json({
+        success: false,
+        message: 'Audio upload is already complete'
+      });
+    }
+
+    // Verify before writing so a corrupted resend never replaces a good chunk
+    const expectedChecksum = req.body.checksum ? String(req.body.checksum).toLowerCase() : null;
+    const receivedChecksum = hashChunk(req.file.buffer);
+    if (expectedChecksum && expectedChecksum !== receivedChecksum) {
+      return res.status(422).json({
+        success: false,
+        message: `Chunk ${index} checksum mismatch; please resend it`,
+        data: { index, receivedChecksum }
+      });
+    }
+
+    const { size, sha256 } = await writeChunk(uploadId, index, req.file.buffer);
+
+    const chunk = { index, size, sha256, receivedAt: new Date() };
+    const replaced = await AudioUpload.updateOne(
+      { _id: upload._id, 'chunks.index': index },
+      { $set: { 'chunks.$': chunk, lastChunkAt: chunk.receivedAt } }
+    );
+    if (replaced.matchedCount === 0) {
+      await AudioUpload.updateOne(
+        { _id: upload._id, 'chunks.index': { $ne: index } },
+        { $push: { chunks: chunk }, $set: { lastChunkAt: chunk.receivedAt } }
+      );
+    }
+
+    res.status(200).json({
+      success: true,
+      data: { index, size, checksum: sha256 }
+    });
+  } catch (error) {
+    console.error('Error receiving audio chunk:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to receive audio chunk',
+      error: error.message
+    });
+  }
+};
+
+// Assemble, checksum and store a chunked audio upload, then link it to the interview's response
+const completeAudioUpload = async (req, res) => {
+  try {
+    const { uploadId } = req.params;
+    const totalChunks = Number(req.body.totalChunks);
+    const expectedChecksum = req.body.checksum ? String(req.body.checksum).toLowerCase() : null;
+    const fs = require('fs');
+    const AudioUpload = require('../models/AudioUpload');
+    const {
+      TEMP_DIR,
+      getExtension,
+      assembleChunks,
+      removeChunks,
+      storeAudioFile,
+      applyUploadToResponse,
+      findResponseForUpload
+    } = require('../utils/audioUploadHelper');
+
+    const upload = await AudioUpload.findOne({ uploadId, interviewer: req.user.id });
+    if (!upload) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audio upload not found'
+      });
+    }
+
+    // Completing twice (e.g. the first response was lost) returns the stored file again
+    if (upload.status === 'assembled') {
+      return res.status(200).json({
+        success: true,
+        message: 'Audio upload already complete',
+        data: audioUploadSummary(upload)
+      });
+    }
+
+    if (!Number.isInteger(totalChunks) || totalChunks < 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'totalChunks must be a positive integer'
+      });
+    }
+
+    const missingChunks = upload.getMissingChunks(totalChunks);
+    if (missingChunks.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Missing ${missingChunks.length} chunk(s); resend them and complete again`,
+        data: { missingChunks }
+      });
+    }
+
+    if (!fs.existsSync(TEMP_DIR)) {
+      fs.mkdirSync(TEMP_DIR, { recursive: true });
+    }
+    const assembledPath = path.join(TEMP_DIR, `${uploadId}${getExtension(upload.mimeType)}`);
+    const { size, checksum } = await assembleChunks(uploadId, totalChunks, assembledPath);
+
+    if (expectedChecksum && expectedChecksum !== checksum) {
+      fs.unlinkSync(assembledPath);
+      return res.status(422).json({
+        success: false,
+        message: 'Assembled audio does not match the recording checksum',
+        data: { checksum }
+      });
+    }
+
+    const { audioUrl, storageType } = await storeAudioFile(assembledPath, {
+      sessionId: upload.sessionId,
+      surveyId: upload.survey,
+      interviewerId: upload.interviewer,
+      mimeType: upload.mimeType,
+      uploadedBy: 'interview-interface-chunked'
+    });
+
+    upload.status = 'assembled';
+    upload.totalChunks = totalChunks;
+    upload.totalSize = size;
+    upload.checksum = checksum;
+    upload.audioUrl = audioUrl;
+    upload.storageType = storageType;
+    upload.assembledAt = new Date();
+    upload.issue = null;
+    await upload.save();
+    await removeChunks(uploadId);
+
+    // The response exists already when the upload finishes after the interview was submitted
+    let linked = false;
+    const surveyResponse = await findResponseForUpload(upload);
+    if (surveyResponse) {
+      linked = await applyUploadToResponse(upload, surveyResponse);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Audio upload complete',
+      data: { ...audioUploadSummary(upload), storageType, linked }
+    });
+  } catch (error) {
+    console.error('Error completing audio upload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete audio upload',
+      error: error.message
+    });
+  }
+};
+
 // Get all interviews conducted by the logged-in interviewer
 const getMyInterviews = async (req, res) => {
   try {
@@ -2274,7 +2567,7 @@ const getNextReviewAssignment = async (req, res) => {
       }
     }
 
-    // Find the next available response (oldest first)
+    // Find the next available response (highest risk score first, then oldest)
     let availableResponses = await SurveyResponse.find(query)
       .populate({
         path: 'survey',
@@ -2288,12 +2581,31 @@ const getNextReviewAssignment = async (req, res) => {
         path: 'interviewer',
         select: 'firstName lastName email phone memberId'
       })
-      .sort({ createdAt: 1 }) // Oldest first
+      .sort({ 'riskScore.score': -1, createdAt: 1 }) // Riskiest first, then oldest
       .lean();
 
     // Filter out null surveys (shouldn't happen now, but keep as safety check)
     availableResponses = availableResponses.filter(response => response.survey !== null);
 
+    // Score responses the background job has not reached yet so they queue in the right place
+    const unscored = availableResponses.filter(response => response.riskScore?.score === undefined);
+    if (unscored.length > 0) {
+      try {
+        const { scoreResponses } = require('../utils/responseRiskScore');
+        const scores = await scoreResponses(unscored.slice(0, 200));
+        availableResponses.forEach(response => {
+          const riskScore = scores.get(response._id.toString());
+          if (riskScore) response.riskScore = riskScore;
+        });
+        availableResponses.sort((a, b) =>
+          (b.riskScore?.score ?? -1) - (a.riskScore?.score ?? -1) ||
+          new Date(a.createdAt) - new Date(b.createdAt)
+        );
+      } catch (error) {
+        console.error('Error scoring responses for review queue (non-critical):', error);
+      }
+    }
+
     // If quality agent, filter by AC assignments
     if (userType === 'quality_agent') {
       availableResponses = availableResponses.filter(response => {
@@ -3028,6 +3340,10 @@ const submitVerification = async (req, res) => {
       console.log('✅ submitVerification - Status update successful!');
     }
 
+    // The reviewer's decision feeds the interviewer's trust score
+    const { queueTrustScoreUpdate } = require('../utils/trustScore');
+    await queueTrustScoreUpdate(surveyResponse.interviewer);
+
     res.status(200).json({
       success: true,
       message: `Survey response ${status} successfully`,
@@ -3339,9 +3655,12 @@ const getSurveyResponses = async (req, res) => {
     console.log('🔍 getSurveyResponses - Found responses:', responses.length);
     console.log('🔍 getSurveyResponses - Response statuses:', responses.map(r => r.status));
     
-    // Add signed URLs to audio recordings
+    // Add signed URLs to audio recordings, and what each response counts towards in the
+    // report metrics (utils/reportMetrics.js) so the report pages need not repeat the rules
     const { getAudioSignedUrl } = require('../utils/cloudStorage');
+    const { getResponseMetricValues } = require('../utils/reportMetrics');
     responses = await Promise.all(responses.map(async (response) => {
+      response.metricValues = getResponseMetricValues(response);
       if (response.audioRecording && response.audioRecording.audioUrl) {
         const audioUrl = response.audioRecording.audioUrl;
         // Skip mock URLs
@@ -3569,8 +3888,6 @@ const setPendingApproval = async (req, res) => {
 const getACPerformanceStats = async (req, res) => {
   try {
     const { surveyId } = req.params;
-    const { getGroupsForAC } = require('../utils/pollingStationHelper');
-    const QCBatch = require('../models/QCBatch');
 
     // Get survey
     const survey = await Survey.findById(surveyId);
@@ -3593,8 +3910,6 @@ const getACPerformanceStats = async (req, res) => {
       });
     }
 
-    const state = survey.acAssignmentState || 'West Bengal';
-
     // Build response filter - for project managers, filter by assigned interviewers
     const responseFilter = { survey: surveyId };
     if (isProjectManager && !isCompanyAdmin) {
@@ -3655,384 +3970,35 @@ const getACPerformanceStats = async (req, res) => {
       }
     }
 
-    // Get all responses for this survey (filtered by project manager if applicable)
-    const allResponses = await SurveyResponse.find(responseFilter)
-      .populate('interviewer', 'firstName lastName')
-      .populate('qcBatch', 'status')
-      .lean();
-
-    // Get all batches with 'collecting' status for this survey
-    const collectingBatches = await QCBatch.find({ 
-      survey: surveyId, 
-      status: 'collecting' 
-    }).select('_id responses').lean();
-    
-    const collectingBatchIds = new Set(collectingBatches.map(b => b._id.toString()));
-    const responsesInCollectingBatches = new Set();
-    collectingBatches.forEach(batch => {
-      batch.responses.forEach(respId => {
-        responsesInCollectingBatches.add(respId.toString());
-      });
+    // Served from the analytics store, with the same counting rules as the reports page
+    const { getSurveyAnalyticsReport } = require('../utils/surveyAnalyticsStore');
+    const report = await getSurveyAnalyticsReport(survey, {
+      statuses: null,
+      interviewerIn: responseFilter.interviewer ? responseFilter.interviewer.$in.map(String) : undefined
     });
 
-    // Helper to get PC from AC
-    const getPCFromAC = (acName) => {
-      if (!acName) return null;
-      // Ensure acName is a string
-      const acNameStr = typeof acName === 'string' ? acName : String(acName || '');
-      if (!acNameStr || acNameStr === 'N/A' || acNameStr.trim() === '') return null;
-      // Clean up the AC name - remove translation suffixes like _{হ্যাঁ।}
-      const cleanedAcName = getMainTextValue(acNameStr);
-      if (!cleanedAcName || cleanedAcName === 'N/A') return null;
-      const acData = getGroupsForAC(state, cleanedAcName);
-      return acData?.pc_name || null;
-    };
-
-    // Helper to find question response by keywords
-    const findQuestionResponse = (responses, keywords) => {
-      if (!responses || !Array.isArray(responses)) return null;
-      const normalizedKeywords = keywords.map(k => k.toLowerCase());
-      return responses.find(r => {
-        const questionText = (r.questionText || '').toLowerCase();
-        return normalizedKeywords.some(keyword => questionText.includes(keyword));
-      });
-    };
-
-    // Helper to get main text (strip translations)
-    // Handles both single and nested translations: "Main Text {Translation}" or "Main Text {Translation1{Translation2}}"
-    // Always returns the first language (main text)
-    const getMainTextValue = (text) => {
-      // Ensure we always return a string
-      if (!text) return '';
-      if (typeof text !== 'string') {
-        // Convert to string if it's not already
-        text = String(text);
-      }
-      
-      // Find the first opening brace
-      const openBraceIndex = text.indexOf('{');
-      
-      if (openBraceIndex === -1) {
-        // No translations, return as-is
-        return text.trim();
-      }
-      
-      // Return everything before the first opening brace
-      return text.substring(0, openBraceIndex).trim();
-    };
-
-    // Helper to validate if a value is a valid AC name (not yes/no/consent answers)
-    const isValidACName = (value) => {
-      if (!value || typeof value !== 'string') return false;
-      const cleaned = getMainTextValue(value).trim();
-      if (!cleaned || cleaned === 'N/A' || cleaned === '') return false;
-      
-      const lower = cleaned.toLowerCase();
-      // Reject common non-AC values
-      const invalidValues = ['yes', 'no', 'y', 'n', 'true', 'false', 'ok', 'okay', 'sure', 'agree', 'disagree', 'consent'];
-      if (invalidValues.includes(lower)) return false;
-      if (lower.startsWith('yes') || lower.startsWith('no')) return false;
-      if (lower.match(/^yes[_\s]/i) || lower.match(/^no[_\s]/i)) return false;
-      
-      // Must be longer than 2 characters
-      if (cleaned.length <= 2) return false;
-      
-      // Try to validate against known ACs in the state
-      const acData = getGroupsForAC(state, cleaned);
-      if (acData && acData.ac_name) {
-        return true; // Found in AC database
-      }
-      
-      // If not found in database, still accept if it looks like a valid name (has capital letters, multiple words, etc.)
-      // This handles cases where AC might not be in the database yet
-      const hasCapitalLetters = /[A-Z]/.test(cleaned);
-      const hasMultipleWords = cleaned.split(/\s+/).length > 1;
-      const looksLikeName = hasCapitalLetters || hasMultipleWords;
-      
-      return looksLikeName;
-    };
-
-    // Comprehensive AC extraction function
-    const extractACFromResponse = (response) => {
-      // Priority 1: Check selectedAC field
-      if (response.selectedAC && isValidACName(response.selectedAC)) {
-        return getMainTextValue(response.selectedAC).trim();
-      }
-      
-      // Priority 2: Check selectedPollingStation.acName
-      if (response.selectedPollingStation?.acName && isValidACName(response.selectedPollingStation.acName)) {
-        return getMainTextValue(response.selectedPollingStation.acName).trim();
-      }
-      
-      // Priority 3: Check responses array for questionId === 'ac-selection'
-      if (response.responses && Array.isArray(response.responses)) {
-        const acSelectionResponse = response.responses.find(r => 
-          r.questionId === 'ac-selection' && r.response
-        );
-        if (acSelectionResponse && isValidACName(acSelectionResponse.response)) {
-          return getMainTextValue(acSelectionResponse.response).trim();
-        }
-        
-        // Priority 4: Check for questionType that indicates AC selection
-        const acTypeResponse = response.responses.find(r => 
-          (r.questionType === 'ac_selection' || 
-           r.questionType === 'assembly_constituency' ||
-           r.questionType === 'ac') && 
-          r.response
-        );
-        if (acTypeResponse && isValidACName(acTypeResponse.response)) {
-          return getMainTextValue(acTypeResponse.response).trim();
-        }
-        
-        // Priority 5: Search by question text containing "assembly" or "constituency"
-        // BUT exclude questions that are consent/agreement questions
-        const acTextResponses = response.responses.filter(r => {
-          if (!r.questionText || !r.response) return false;
-          const questionText = (r.questionText || '').toLowerCase();
-          const hasAssembly = questionText.includes('assembly');
-          const hasConstituency = questionText.includes('constituency');
-          
-          // Exclude consent/agreement questions
-          const isConsentQuestion = questionText.includes('consent') || 
-                                    questionText.includes('agree') ||
-                                    questionText.includes('participate') ||
-                                    questionText.includes('willing');
-          
-          return (hasAssembly || hasConstituency) && !isConsentQuestion;
-        });
-        
-        // Try each potential AC response and validate it
-        for (const acResponse of acTextResponses) {
-          if (isValidACName(acResponse.response)) {
-            return getMainTextValue(acResponse.response).trim();
-          }
-        }
-      }
-      
-      return null;
-    };
-
-    // Group responses by AC
-    const acMap = new Map();
-
-    allResponses.forEach(response => {
-      // Use comprehensive extraction function
-      let ac = extractACFromResponse(response);
-
-      // If still no AC found, skip this response
-      if (!ac) {
-        return;
-      }
-
-      if (!acMap.has(ac)) {
-        acMap.set(ac, {
-          ac,
-          responses: [],
-          pollingStations: new Set(),
-          interviewers: new Set(),
-          systemRejections: 0,
-          pendingQC: 0,
-          inBatches: 0
-        });
-      }
-
-      const acData = acMap.get(ac);
-      acData.responses.push(response);
-
-      // Track polling stations
-      if (response.selectedPollingStation?.stationName) {
-        acData.pollingStations.add(response.selectedPollingStation.stationName);
-      }
-
-      // Track interviewers
-      if (response.interviewer?._id) {
-        acData.interviewers.add(response.interviewer._id.toString());
-      }
-
-      // System rejections (auto-rejected, too short, etc.)
-      // Check verificationData.feedback or metadata for system rejection indicators
-      if (response.status === 'Rejected') {
-        const feedback = (response.verificationData?.feedback || '').toLowerCase();
-        const metadata = response.metadata || {};
-        const isAutoRejected = metadata.autoRejected || 
-                              metadata.isSystemRejection ||
-                              feedback.includes('too short') || 
-                              feedback.includes('system') || 
-                              feedback.includes('auto') ||
-                              feedback.includes('automatic') ||
-                              feedback.includes('duration') ||
-                              feedback.includes('minimum time');
-        
-        if (isAutoRejected) {
-          acData.systemRejections += 1;
-        }
-      }
-
-      // Under QC: Pending + In batches
-      if (response.status === 'Pending_Approval') {
-        acData.pendingQC += 1;
-      }
-      
-      // Check if in collecting batches
-      if (response.qcBatch && 
-          (collectingBatchIds.has(response.qcBatch._id?.toString()) || 
-           collectingBatchIds.has(response.qcBatch.toString()) ||
-           responsesInCollectingBatches.has(response._id.toString()))) {
-        acData.inBatches += 1;
-      }
-    });
-
-    // Calculate stats for each AC
-    const acStats = Array.from(acMap.entries())
-      .map(([ac, acData]) => {
-        try {
-          // Ensure ac is a valid string
-          if (!ac || typeof ac !== 'string') {
-            console.warn(`Invalid AC name found: ${ac}, skipping...`);
-            return null;
-          }
-          
-          const responses = acData.responses;
-          const totalResponses = responses.length;
-
-          // Get PC - wrap in try-catch to handle any errors
-          let pcName = null;
-          try {
-            pcName = getPCFromAC(ac) || 
-                     responses.find(r => r.selectedPollingStation?.pcName)?.selectedPollingStation?.pcName || 
-                     null;
-          } catch (pcError) {
-            console.warn(`Error getting PC for AC ${ac}:`, pcError.message);
-            // Continue without PC name
-          }
-
-      // Count by status
-      const approved = responses.filter(r => r.status === 'Approved').length;
-      const rejected = responses.filter(r => r.status === 'Rejected').length;
-      const pending = responses.filter(r => r.status === 'Pending_Approval').length;
-
-      // Completed Interviews = Total (Approved + Rejected + Pending)
-      const completedInterviews = totalResponses;
-
-      // Counts after Terminated and System Rejection = Total - System Rejections
-      const countsAfterRejection = totalResponses - acData.systemRejections;
-
-      // Under QC = Pending + In batches (for now, just pending)
-      const underQC = acData.pendingQC + acData.inBatches;
-
-      // PS Covered
-      const psCovered = acData.pollingStations.size;
-
-      // CAPI and CATI counts
-      const capi = responses.filter(r => (r.interviewMode || '').toUpperCase() === 'CAPI').length;
-      const cati = responses.filter(r => (r.interviewMode || '').toUpperCase() === 'CATI').length;
-
-      // Demographic calculations
-      let femaleCount = 0;
-      let withoutPhoneCount = 0;
-      let scCount = 0;
-      let muslimCount = 0;
-      let age18to24Count = 0;
-      let age50PlusCount = 0;
-
-      responses.forEach(response => {
-        const responseData = response.responses || [];
-
-        // Female count - use genderUtils to find and normalize gender response
-        const { findGenderResponse, normalizeGenderResponse } = require('../utils/genderUtils');
-        const genderResponse = findGenderResponse(responseData, survey) || findQuestionResponse(responseData, ['gender', 'sex']);
-        if (genderResponse?.response) {
-          const normalizedGender = normalizeGenderResponse(genderResponse.response);
-          if (normalizedGender === 'female') {
-            femaleCount += 1;
-          }
-        }
-
-        // Phone number check
-        const phoneResponse = findQuestionResponse(responseData, ['phone', 'mobile', 'contact', 'number']);
-        if (!phoneResponse?.response || 
-            String(phoneResponse.response).trim() === '' || 
-            String(phoneResponse.response).trim() === 'N/A') {
-          withoutPhoneCount += 1;
-        }
-
-        // SC count (only for survey 68fd1915d41841da463f0d46)
-        if (surveyId === '68fd1915d41841da463f0d46') {
-          const casteResponse = findQuestionResponse(responseData, ['caste', 'scheduled cast', 'sc', 'category']);
-          if (casteResponse?.response) {
-            const casteValue = getMainTextValue(String(casteResponse.response)).toLowerCase();
-            if (casteValue.includes('scheduled cast') || 
-                casteValue.includes('sc') || 
-                casteValue.includes('scheduled caste')) {
-              scCount += 1;
-            }
-          }
-        }
-
-        // Muslim count
-        const religionResponse = findQuestionResponse(responseData, ['religion', 'muslim', 'hindu', 'christian']);
-        if (religionResponse?.response) {
-          const religionValue = getMainTextValue(String(religionResponse.response)).toLowerCase();
-          if (religionValue.includes('muslim') || religionValue.includes('islam')) {
-            muslimCount += 1;
-          }
-        }
-
-        // Age groups
-        const ageResponse = findQuestionResponse(responseData, ['age', 'year']);
-        if (ageResponse?.response) {
-          const age = parseInt(ageResponse.response);
-          if (!isNaN(age)) {
-            if (age >= 18 && age <= 24) {
-              age18to24Count += 1;
-            }
-            if (age >= 50) {
-              age50PlusCount += 1;
-            }
-          }
-        }
-      });
-
-      // Calculate percentages
-      const femalePercentage = totalResponses > 0 ? (femaleCount / totalResponses) * 100 : 0;
-      const withoutPhonePercentage = totalResponses > 0 ? (withoutPhoneCount / totalResponses) * 100 : 0;
-      const scPercentage = totalResponses > 0 ? (scCount / totalResponses) * 100 : 0;
-      const muslimPercentage = totalResponses > 0 ? (muslimCount / totalResponses) * 100 : 0;
-      const age18to24Percentage = totalResponses > 0 ? (age18to24Count / totalResponses) * 100 : 0;
-      const age50PlusPercentage = totalResponses > 0 ? (age50PlusCount / totalResponses) * 100 : 0;
-
-      return {
-        ac,
-        pcName: pcName || '',
-        interviewersCount: acData.interviewers.size,
-        approved,
-        rejected,
-        underQC,
-        totalResponses: completedInterviews,
-        capi,
-        cati,
-        psCovered,
-        systemRejections: acData.systemRejections,
-        countsAfterRejection,
-        gpsPending: 0, // As requested
-        gpsFail: 0, // As requested
-        femalePercentage: parseFloat(femalePercentage.toFixed(2)),
-        withoutPhonePercentage: parseFloat(withoutPhonePercentage.toFixed(2)),
-        scPercentage: parseFloat(scPercentage.toFixed(2)),
-        muslimPercentage: parseFloat(muslimPercentage.toFixed(2)),
-        age18to24Percentage: parseFloat(age18to24Percentage.toFixed(2)),
-        age50PlusPercentage: parseFloat(age50PlusPercentage.toFixed(2))
-      };
-        } catch (error) {
-          console.error(`Error processing AC ${ac}:`, error);
-          // Return null to filter out this AC
-          return null;
-        }
-      })
-      .filter(stat => stat !== null); // Remove any null entries
-
-    // Sort by total responses (descending)
-    acStats.sort((a, b) => b.totalResponses - a.totalResponses);
+    const acStats = report.acStats.map(stat => ({
+      ac: stat.ac,
+      pcName: stat.pcName || '',
+      interviewersCount: stat.interviewersCount,
+      approved: stat.approved,
+      rejected: stat.rejected,
+      underQC: stat.underQC,
+      totalResponses: stat.count,
+      capi: stat.capi,
+      cati: stat.cati,
+      psCovered: stat.psCovered,
+      systemRejections: stat.autoRejected,
+      countsAfterRejection: stat.count - stat.autoRejected,
+      gpsPending: 0, // As requested
+      gpsFail: 0, // As requested
+      femalePercentage: parseFloat(stat.femalePercentage.toFixed(2)),
+      withoutPhonePercentage: parseFloat(stat.withoutPhonePercentage.toFixed(2)),
+      scPercentage: parseFloat(stat.scPercentage.toFixed(2)),
+      muslimPercentage: parseFloat(stat.muslimPercentage.toFixed(2)),
+      age18to24Percentage: parseFloat(stat.age18to24Percentage.toFixed(2)),
+      age50PlusPercentage: parseFloat(stat.age50PlusPercentage.toFixed(2))
+    }));
 
     res.json({
       success: true,
@@ -4056,7 +4022,6 @@ const getInterviewerPerformanceStats = async (req, res) => {
   try {
     const mongoose = require('mongoose');
     const { surveyId } = req.params;
-    const QCBatch = require('../models/QCBatch');
 
     // Get survey
     const survey = await Survey.findById(surveyId);
@@ -4119,246 +4084,35 @@ const getInterviewerPerformanceStats = async (req, res) => {
       }
     }
 
-    // Get all responses for this survey (filtered by project manager if applicable)
-    const allResponses = await SurveyResponse.find(responseFilter)
-      .populate('interviewer', 'firstName lastName')
-      .populate('qcBatch', 'status')
-      .lean();
-
-    // Get all batches with 'collecting' status for this survey
-    const collectingBatches = await QCBatch.find({ 
-      survey: surveyId, 
-      status: 'collecting' 
-    }).select('_id responses').lean();
-    
-    const collectingBatchIds = new Set(collectingBatches.map(b => b._id.toString()));
-    const responsesInCollectingBatches = new Set();
-    collectingBatches.forEach(batch => {
-      batch.responses.forEach(respId => {
-        responsesInCollectingBatches.add(respId.toString());
-      });
-    });
-
-    // Helper to find question response by keywords
-    const findQuestionResponse = (responses, keywords) => {
-      if (!responses || !Array.isArray(responses)) return null;
-      const normalizedKeywords = keywords.map(k => k.toLowerCase());
-      return responses.find(r => {
-        const questionText = (r.questionText || '').toLowerCase();
-        return normalizedKeywords.some(keyword => questionText.includes(keyword));
-      });
-    };
-
-    // Helper to get main text (strip translations)
-    // Handles both single and nested translations: "Main Text {Translation}" or "Main Text {Translation1{Translation2}}"
-    // Always returns the first language (main text)
-    const getMainTextValue = (text) => {
-      // Ensure we always return a string
-      if (!text) return '';
-      if (typeof text !== 'string') {
-        // Convert to string if it's not already
-        text = String(text);
-      }
-      
-      // Find the first opening brace
-      const openBraceIndex = text.indexOf('{');
-      
-      if (openBraceIndex === -1) {
-        // No translations, return as-is
-        return text.trim();
-      }
-      
-      // Return everything before the first opening brace
-      return text.substring(0, openBraceIndex).trim();
-    };
-
-    // Group responses by interviewer
-    const interviewerMap = new Map();
-
-    allResponses.forEach(response => {
-      if (!response.interviewer || !response.interviewer._id) return;
-
-      const interviewerId = response.interviewer._id.toString();
-      const interviewerName = `${response.interviewer.firstName} ${response.interviewer.lastName}`;
-
-      if (!interviewerMap.has(interviewerId)) {
-        interviewerMap.set(interviewerId, {
-          interviewerId,
-          interviewerName,
-          responses: [],
-          pollingStations: new Set(),
-          systemRejections: 0,
-          pendingQC: 0,
-          inBatches: 0
-        });
-      }
-
-      const interviewerData = interviewerMap.get(interviewerId);
-      interviewerData.responses.push(response);
-
-      // Track polling stations
-      if (response.selectedPollingStation?.stationName) {
-        interviewerData.pollingStations.add(response.selectedPollingStation.stationName);
-      }
-
-      // System rejections (auto-rejected, too short, etc.)
-      if (response.status === 'Rejected') {
-        const feedback = (response.verificationData?.feedback || '').toLowerCase();
-        const metadata = response.metadata || {};
-        const isAutoRejected = metadata.autoRejected || 
-                              metadata.isSystemRejection ||
-                              feedback.includes('too short') || 
-                              feedback.includes('system') || 
-                              feedback.includes('auto') ||
-                              feedback.includes('automatic') ||
-                              feedback.includes('duration') ||
-                              feedback.includes('minimum time');
-        
-        if (isAutoRejected) {
-          interviewerData.systemRejections += 1;
-        }
-      }
-
-      // Under QC: Pending + In batches
-      if (response.status === 'Pending_Approval') {
-        interviewerData.pendingQC += 1;
-      }
-      
-      // Check if in collecting batches
-      if (response.qcBatch && 
-          (collectingBatchIds.has(response.qcBatch._id?.toString()) || 
-           collectingBatchIds.has(response.qcBatch.toString()) ||
-           responsesInCollectingBatches.has(response._id.toString()))) {
-        interviewerData.inBatches += 1;
-      }
+    // Served from the analytics store, with the same counting rules as the reports page
+    const { getSurveyAnalyticsReport } = require('../utils/surveyAnalyticsStore');
+    const report = await getSurveyAnalyticsReport(survey, {
+      statuses: null,
+      interviewerIn: responseFilter.interviewer ? responseFilter.interviewer.$in.map(String) : undefined
     });
 
-    // Calculate stats for each interviewer
-    const interviewerStats = Array.from(interviewerMap.entries()).map(([interviewerId, interviewerData]) => {
-      const responses = interviewerData.responses;
-      const totalResponses = responses.length;
-
-      // Count by status
-      const approved = responses.filter(r => r.status === 'Approved').length;
-      const rejected = responses.filter(r => r.status === 'Rejected').length;
-      const pending = responses.filter(r => r.status === 'Pending_Approval').length;
-
-      // Completed Interviews = Total (Approved + Rejected + Pending)
-      const completedInterviews = totalResponses;
-
-      // Counts after Terminated and System Rejection = Total - System Rejections
-      const countsAfterRejection = totalResponses - interviewerData.systemRejections;
-
-      // Under QC = Pending + In batches
-      const underQC = interviewerData.pendingQC + interviewerData.inBatches;
-
-      // PS Covered
-      const psCovered = interviewerData.pollingStations.size;
-
-      // CAPI and CATI counts
-      const capi = responses.filter(r => (r.interviewMode || '').toUpperCase() === 'CAPI').length;
-      const cati = responses.filter(r => (r.interviewMode || '').toUpperCase() === 'CATI').length;
-
-      // Demographic calculations
-      let femaleCount = 0;
-      let withoutPhoneCount = 0;
-      let scCount = 0;
-      let muslimCount = 0;
-      let age18to24Count = 0;
-      let age50PlusCount = 0;
-
-      responses.forEach(response => {
-        const responseData = response.responses || [];
-
-        // Female count - use genderUtils to find and normalize gender response
-        const { findGenderResponse, normalizeGenderResponse } = require('../utils/genderUtils');
-        const genderResponse = findGenderResponse(responseData, survey) || findQuestionResponse(responseData, ['gender', 'sex']);
-        if (genderResponse?.response) {
-          const normalizedGender = normalizeGenderResponse(genderResponse.response);
-          if (normalizedGender === 'female') {
-            femaleCount += 1;
-          }
-        }
-
-        // Phone number check
-        const phoneResponse = findQuestionResponse(responseData, ['phone', 'mobile', 'contact', 'number']);
-        if (!phoneResponse?.response || 
-            String(phoneResponse.response).trim() === '' || 
-            String(phoneResponse.response).trim() === 'N/A') {
-          withoutPhoneCount += 1;
-        }
-
-        // SC count (only for survey 68fd1915d41841da463f0d46)
-        if (surveyId === '68fd1915d41841da463f0d46') {
-          const casteResponse = findQuestionResponse(responseData, ['caste', 'scheduled cast', 'sc', 'category']);
-          if (casteResponse?.response) {
-            const casteValue = getMainTextValue(String(casteResponse.response)).toLowerCase();
-            if (casteValue.includes('scheduled cast') || 
-                casteValue.includes('sc') || 
-                casteValue.includes('scheduled caste')) {
-              scCount += 1;
-            }
-          }
-        }
-
-        // Muslim count
-        const religionResponse = findQuestionResponse(responseData, ['religion', 'muslim', 'hindu', 'christian']);
-        if (religionResponse?.response) {
-          const religionValue = getMainTextValue(String(religionResponse.response)).toLowerCase();
-          if (religionValue.includes('muslim') || religionValue.includes('islam')) {
-            muslimCount += 1;
-          }
-        }
-
-        // Age groups
-        const ageResponse = findQuestionResponse(responseData, ['age', 'year']);
-        if (ageResponse?.response) {
-          const age = parseInt(ageResponse.response);
-          if (!isNaN(age)) {
-            if (age >= 18 && age <= 24) {
-              age18to24Count += 1;
-            }
-            if (age >= 50) {
-              age50PlusCount += 1;
-            }
-          }
-        }
-      });
-
-      // Calculate percentages
-      const femalePercentage = totalResponses > 0 ? (femaleCount / totalResponses) * 100 : 0;
-      const withoutPhonePercentage = totalResponses > 0 ? (withoutPhoneCount / totalResponses) * 100 : 0;
-      const scPercentage = totalResponses > 0 ? (scCount / totalResponses) * 100 : 0;
-      const muslimPercentage = totalResponses > 0 ? (muslimCount / totalResponses) * 100 : 0;
-      const age18to24Percentage = totalResponses > 0 ? (age18to24Count / totalResponses) * 100 : 0;
-      const age50PlusPercentage = totalResponses > 0 ? (age50PlusCount / totalResponses) * 100 : 0;
-
-      return {
-        interviewer: interviewerData.interviewerName,
-        interviewerId,
-        psCovered,
-        completedInterviews,
-        systemRejections: interviewerData.systemRejections,
-        countsAfterRejection,
-        gpsPending: 0, // As requested
-        gpsFail: 0, // As requested
-        approved,
-        rejected,
-        underQC,
-        capi,
-        cati,
-        totalResponses,
-        femalePercentage: parseFloat(femalePercentage.toFixed(2)),
-        withoutPhonePercentage: parseFloat(withoutPhonePercentage.toFixed(2)),
-        scPercentage: parseFloat(scPercentage.toFixed(2)),
-        muslimPercentage: parseFloat(muslimPercentage.toFixed(2)),
-        age18to24Percentage: parseFloat(age18to24Percentage.toFixed(2)),
-        age50PlusPercentage: parseFloat(age50PlusPercentage.toFixed(2))
-      };
-    });
-
-    // Sort by total responses (descending)
-    interviewerStats.sort((a, b) => b.totalResponses - a.totalResponses);
+    const interviewerStats = report.interviewerStats.map(stat => ({
+      interviewer: stat.interviewer,
+      interviewerId: stat.interviewerId,
+      psCovered: stat.psCovered,
+      completedInterviews: stat.count,
+      systemRejections: stat.autoRejected,
+      countsAfterRejection: stat.count - stat.autoRejected,
+      gpsPending: 0, // As requested
+      gpsFail: 0, // As requested
+      approved: stat.approved,
+      rejected: stat.rejected,
+      underQC: stat.underQC,
+      capi: stat.capi,
+      cati: stat.cati,
+      totalResponses: stat.count,
+      femalePercentage: parseFloat(stat.femalePercentage.toFixed(2)),
+      withoutPhonePercentage: parseFloat(stat.withoutPhonePercentage.toFixed(2)),
+      scPercentage: parseFloat(stat.scPercentage.toFixed(2)),
+      muslimPercentage: parseFloat(stat.muslimPercentage.toFixed(2)),
+      age18to24Percentage: parseFloat(stat.age18to24Percentage.toFixed(2)),
+      age50PlusPercentage: parseFloat(stat.age50PlusPercentage.toFixed(2))
+    }));
 
     res.json({
       success: true,
@@ -4417,6 +4171,14 @@ const getAudioSignedUrl = async (req, res) => {
       });
     }
 
+    // KYC documents have their own access checks (/api/kyc-documents)
+    if (audioUrlToUse.replace(/^\/*(uploads\/+)?/, '').startsWith('documents/')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Documents cannot be accessed through this endpoint'
+      });
+    }
+
     const { getAudioSignedUrl: getSignedUrl } = require('../utils/cloudStorage');
     const signedUrl = await getSignedUrl(audioUrlToUse, 3600); // 1 hour expiry
 
@@ -4442,6 +4204,293 @@ const getAudioSignedUrl = async (req, res) => {
   }
 };
 
+// Get everything a device needs to run CAPI interviews for a survey without connectivity
+const getOfflineBundle = async (req, res) => {
+  try {
+    const { surveyId } = req.params;
+    const interviewerId = req.user.id;
+    const {
+      computeSurveyRevision,
+      findInterviewerAssignment,
+      resolveInterviewMode,
+      buildPollingStationBundle,
+      buildACMasterDataBundle
+    } = require('../utils/offlineSyncHelper');
+
+    const survey = await Survey.findById(surveyId)
+      .select('-respondentContacts -contactList -assignedQualityAgents')
+      .lean();
+    if (!survey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Survey not found'
+      });
+    }
+
+    if (survey.status !== 'active') {
+      return res.status(400).json({
+        success: false,
+        message: 'Survey is not active'
+      });
+    }
+
+    const match = findInterviewerAssignment(survey, interviewerId);
+    if (!match) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not assigned to this survey'
+      });
+    }
+
+    if (resolveInterviewMode(survey, match.assignedMode) !== 'capi') {
+      return res.status(400).json({
+        success: false,
+        message: 'Offline interviewing is only available for CAPI interviews'
+      });
+    }
+
+    // Same certification requirement as startInterview
+    const { getCertificationBlock } = require('../utils/training');
+    const certificationBlock = await getCertificationBlock(survey, interviewerId);
+    if (certificationBlock) {
+      return res.status(403).json({
+        success: false,
+        message: certificationBlock.message,
+        data: { certificationRequired: true, expiredAt: certificationBlock.expiredAt }
+      });
+    }
+
+    // Same AC selection rules as startInterview
+    const assignedACs = match.assignment.assignedACs || [];
+    const isTargetSurvey = survey._id.toString() === '68fd1915d41841da463f0d46';
+    const requiresACSelection = !!survey.assignACs && (assignedACs.length > 0 || isTargetSurvey);
+    const state = survey.acAssignmentState || 'West Bengal';
+
+    const { assignedInterviewers, capiInterviewers, catiInterviewers, ...surveyDefinition } = survey;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        surveyRevision: computeSurveyRevision(survey),
+        generatedAt: new Date(),
+        survey: {
+          ...surveyDefinition,
+          assignedMode: match.assignedMode
+        },
+        requiresACSelection,
+        assignedACs: requiresACSelection ? assignedACs : [],
+        pollingStations: requiresACSelection ? buildPollingStationBundle(state, assignedACs) : { state, acs: {} },
+        acMasterData: buildACMasterDataBundle()
+      }
+    });
+  } catch (error) {
+    console.error('Error building offline bundle:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to prepare survey for offline use',
+      error: error.message
+    });
+  }
+};
+
+// Save one offline-captured interview; returns a per-interview sync result
+const syncOfflineInterview = async (interview, interviewerId, surveyCache) => {
+  const {
+    computeSurveyRevision,
+    findSyncConflicts,
+    findInterviewerAssignment,
+    resolveInterviewMode
+  } = require('../utils/offlineSyncHelper');
+  const { findVersionForRevision } = require('../utils/surveyVersioning');
+  const { getCertificationBlock } = require('../utils/training');
+
+  const clientInterviewId = String(interview?.clientInterviewId || '').trim();
+  if (!CLIENT_INTERVIEW_ID_PATTERN.test(clientInterviewId)) {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'clientInterviewId is missing or invalid' };
+  }
+
+  // Idempotency: an interview that already synced is reported again, never saved twice
+  const existing = await SurveyResponse.findOne({ clientInterviewId }).select('responseId interviewer status');
+  if (existing) {
+    if (existing.interviewer.toString() !== interviewerId.toString()) {
+      return { clientInterviewId, status: 'error', retryable: false, message: 'This interview ID belongs to another interviewer' };
+    }
+    return { clientInterviewId, status: 'duplicate', responseId: existing.responseId, mongoId: existing._id };
+  }
+
+  const { responses } = interview;
+  if (!Array.isArray(responses) || responses.length === 0) {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'Interview has no responses' };
+  }
+
+  const startTime = new Date(interview.startTime);
+  const endTime = new Date(interview.endTime);
+  if (isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || endTime < startTime) {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'Interview start/end time is invalid' };
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(interview.surveyId)) {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'surveyId is invalid' };
+  }
+  const surveyKey = String(interview.surveyId);
+  if (!surveyCache.has(surveyKey)) {
+    surveyCache.set(surveyKey, await Survey.findById(surveyKey)
+      .select('status mode sections questions assignedInterviewers capiInterviewers catiInterviewers targetAudience.quotaManagement quotas training.requireCertification')
+      .lean());
+  }
+  const survey = surveyCache.get(surveyKey);
+  if (!survey) {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'Survey not found' };
+  }
+
+  const match = findInterviewerAssignment(survey, interviewerId);
+  if (!match) {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'You are not assigned to this survey' };
+  }
+  const interviewMode = resolveInterviewMode(survey, match.assignedMode);
+  if (interviewMode !== 'capi') {
+    return { clientInterviewId, status: 'error', retryable: false, message: 'Offline sync is only available for CAPI interviews' };
+  }
+
+  // Interviews are only accepted from interviewers certified for the survey, as when starting one online
+  const certificationBlock = await getCertificationBlock(survey, interviewerId);
+  if (certificationBlock) {
+    return { clientInterviewId, status: 'error', retryable: false, certificationRequired: true, message: certificationBlock.message };
+  }
+
+  // Conflicts: the survey was closed or its structure changed while the device was offline
+  const serverRevision = computeSurveyRevision(survey);
+  const conflicts = [];
+  if (survey.status !== 'active') {
+    conflicts.push({ type: 'survey_inactive', questionId: null, message: `Survey is now ${survey.status}` });
+  }
+  if (interview.surveyRevision !== serverRevision) {
+    conflicts.push(...findSyncConflicts(survey, responses));
+  }
+  if (conflicts.length > 0 && interview.acceptConflicts !== true) {
+    return { clientInterviewId, status: 'conflict', serverRevision, conflicts };
+  }
+
+  const metadata = interview.metadata || {};
+  const interviewerIdResponse = responses.find(r => r.questionId === 'interviewer-id');
+  const oldInterviewerID = metadata.OldinterviewerID ||
+    (interviewerIdResponse && interviewerIdResponse.response !== '' ? interviewerIdResponse.response : null);
+
+  const surveyResponse = await SurveyResponse.createCompleteResponse({
+    survey: survey._id,
+    interviewer: interviewerId,
+    sessionId: `offline-${clientInterviewId}`,
+    startTime,
+    endTime,
+    totalTimeSpent: metadata.totalTimeSpent,
+    responses,
+    interviewMode,
+    deviceInfo: metadata.deviceInfo || {},
+    audioRecording: metadata.audioRecording || {},
+    selectedAC: metadata.selectedAC || null,
+    selectedPollingStation: metadata.selectedPollingStation || null,
+    location: metadata.location || null,
+    qualityMetrics: interview.qualityMetrics,
+    setNumber: metadata.setNumber || null,
+    OldinterviewerID: oldInterviewerID ? String(oldInterviewerID) : null,
+    metadata: {},
+    // Pin to the version the device's cached survey belonged to
+    surveyVersion: await findVersionForRevision(survey._id, interview.surveyRevision, startTime),
+    clientInterviewId,
+    offlineSync: {
+      capturedOffline: true,
+      surveyRevision: interview.surveyRevision || null,
+      serverRevision,
+      conflicts,
+      conflictsAccepted: conflicts.length > 0,
+      syncedAt: new Date()
+    }
+  });
+
+  await assignQuotaCells(surveyResponse, survey);
+  try {
+    await surveyResponse.save();
+  } catch (error) {
+    // Two deliveries of the same interview raced; the other one won
+    if (error.code === 11000) {
+      const winner = await SurveyResponse.findOne({ clientInterviewId }).select('responseId');
+      if (winner) {
+        return { clientInterviewId, status: 'duplicate', responseId: winner.responseId, mongoId: winner._id };
+      }
+    }
+    throw error;
+  }
+
+  await finalizeCompletedResponse(surveyResponse, responses, survey._id, interviewerId.toString());
+
+  return {
+    clientInterviewId,
+    status: 'created',
+    responseId: surveyResponse.responseId,
+    mongoId: surveyResponse._id,
+    conflicts
+  };
+};
+
+// Sync interviews captured offline. Safe to retry: interviews are deduplicated on clientInterviewId
+const syncOfflineInterviews = async (req, res) => {
+  try {
+    const { interviews } = req.body;
+    const interviewerId = req.user.id;
+
+    if (!Array.isArray(interviews) || interviews.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'interviews must be a non-empty array'
+      });
+    }
+
+    if (interviews.length > OFFLINE_SYNC_BATCH_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${OFFLINE_SYNC_BATCH_LIMIT} interviews can be synced per request`
+      });
+    }
+
+    const surveyCache = new Map();
+    const results = [];
+    for (const interview of interviews) {
+      try {
+        results.push(await syncOfflineInterview(interview, interviewerId, surveyCache));
+      } catch (error) {
+        console.error(`Error syncing offline interview ${interview?.clientInterviewId}:`, error);
+        results.push({
+          clientInterviewId: interview?.clientInterviewId,
+          status: 'error',
+          retryable: true,
+          message: error.message
+        });
+      }
+    }
+
+    const summary = results.reduce((counts, result) => {
+      counts[result.status] = (counts[result.status] || 0) + 1;
+      return counts;
+    }, { created: 0, duplicate: 0, conflict: 0, error: 0 });
+
+    res.status(200).json({
+      success: true,
+      message: `${summary.created} interview(s) synced, ${summary.duplicate} already synced, ${summary.conflict} conflict(s), ${summary.error} error(s)`,
+      data: {
+        results,
+        summary
+      }
+    });
+  } catch (error) {
+    console.error('Error syncing offline interviews:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sync offline interviews',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getLastCatiSetNumber,
   startInterview,
@@ -4454,6 +4503,7 @@ module.exports = {
   completeInterview,
   abandonInterview,
   getGenderResponseCounts,
+  checkInterviewQuota,
   uploadAudioFile,
   getAudioSignedUrl,
   getMyInterviews,
@@ -4470,5 +4520,11 @@ module.exports = {
   setPendingApproval,
   getACPerformanceStats,
   getInterviewerPerformanceStats,
-  getLastCatiSetNumber
+  getLastCatiSetNumber,
+  getOfflineBundle,
+  syncOfflineInterviews,
+  startAudioUpload,
+  getAudioUploadStatus,
+  uploadAudioChunk,
+  completeAudioUpload
 };
\ No newline at end of file
@@ -0,0 +1,618 @@
+const mongoose = require('mongoose');
+const TrainingModule = require('../models/TrainingModule');
+const Survey = require('../models/Survey');
+const User = require('../models/User');
+const {
+  getQuestionnaire,
+  scoreQuiz,
+  checkMockInterview,
+  getTrainingStatus,
+  recordModuleResult
+} = require('../utils/training');
+
+const MODULE_TYPES = ['walkthrough', 'mock_interview', 'quiz'];
+const SURVEY_TRAINING_FIELDS = 'surveyName status mode company training assignedInterviewers capiInterviewers catiInterviewers';
+
+// Interviewers on the survey in any mode, with an active assignment
+const getAssignedInterviewerIds = (survey) => [
+  ...new Set(
+    [...(survey.assignedInterviewers || []), ...(survey.capiInterviewers || []), ...(survey.catiInterviewers || [])]
+      .filter(assignment => assignment.status === 'assigned' && assignment.interviewer)
+      .map(assignment => assignment.interviewer.toString())
+  )
+];
+
+/**
+ * The survey if it belongs to the user's company
+ * @returns {Promise<{survey: Object|null, status: Number, message: String}>}
+ */
+const findCompanySurvey = async (surveyId, user) => {
+  if (!mongoose.Types.ObjectId.isValid(surveyId)) {
+    return { survey: null, status: 404, message: 'Survey not found' };
+  }
+  const survey = await Survey.findById(surveyId).select(SURVEY_TRAINING_FIELDS);
+  if (!survey) {
+    return { survey: null, status: 404, message: 'Survey not found' };
+  }
+  if (!user.company || survey.company.toString() !== user.company.toString()) {
+    return { survey: null, status: 403, message: 'You are not authorized to manage training for this survey' };
+  }
+  return { survey, status: 200 };
+};
+
+/**
+ * The module if it belongs to the user's company
+ * @returns {Promise<{module: Object|null, status: Number, message: String}>}
+ */
+const findCompanyModule = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { module: null, status: 404, message: 'Training module not found' };
+  }
+  const module = await TrainingModule.findById(id);
+  if (!module) {
+    return { module: null, status: 404, message: 'Training module not found' };
+  }
+  if (!user.company || module.company.toString() !== user.company.toString()) {
+    return { module: null, status: 403, message: 'You are not authorized to manage this training module' };
+  }
+  return { module, status: 200 };
+};
+
+/**
+ * A published module of a survey the interviewer is assigned to, with the survey
+ * @returns {Promise<{module: Object|null, survey: Object|null, status: Number, message: String}>}
+ */
+const findAssignedModule = async (id, user) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return { module: null, status: 404, message: 'Training module not found' };
+  }
+  const module = await TrainingModule.findOne({ _id: id, status: 'published' });
+  if (!module) {
+    return { module: null, status: 404, message: 'Training module not found' };
+  }
+  const survey = await Survey.findById(module.survey)
+    .select(`${SURVEY_TRAINING_FIELDS} sections questions`)
+    .lean();
+  if (!survey || !getAssignedInterviewerIds(survey).includes(user._id.toString())) {
+    return { module: null, status: 403, message: 'You are not assigned to this survey' };
+  }
+  return { module, survey, status: 200 };
+};
+
+/**
+ * Check module fields from the request body
+ * @returns {{errors: Array<String>, fields: Object}}
+ */
+const parseModuleBody = (body, existing = {}) => {
+  const errors = [];
+  const fields = {};
+
+  const type = body.type !== undefined ? body.type : existing.type;
+  if (!MODULE_TYPES.includes(type)) {
+    errors.push(`type must be one of: ${MODULE_TYPES.join(', ')}`);
+  }
+  fields.type = type;
+
+  if (body.title !== undefined || !existing.title) {
+    if (!body.title || !String(body.title).trim()) {
+      errors.push('Title is required');
+    }
+    fields.title = body.title;
+  }
+  ['description', 'order', 'required'].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (body.status !== undefined) {
+    if (!['draft', 'published'].includes(body.status)) {
+      errors.push('status must be draft or published');
+    }
+    fields.status = body.status;
+  }
+
+  if (body.questionNotes !== undefined) {
+    if (body.questionNotes && (typeof body.questionNotes !== 'object' || Array.isArray(body.questionNotes))) {
+      errors.push('questionNotes must map question ids to notes');
+    } else {
+      // Empty notes are dropped so the walkthrough only shows what the trainer wrote
+      fields.questionNotes = Object.fromEntries(
+        Object.entries(body.questionNotes || {})
+          .filter(([, note]) => typeof note === 'string' && note.trim())
+          .map(([questionId, note]) => [questionId, note.trim()])
+      );
+    }
+  }
+
+  if (type === 'quiz') {
+    if (body.passMark !== undefined) {
+      const passMark = Number(body.passMark);
+      if (!Number.isFinite(passMark) || passMark < 0 || passMark > 100) {
+        errors.push('Pass mark must be between 0 and 100');
+      }
+      fields.passMark = passMark;
+    }
+
+    const quizQuestions = body.quizQuestions !== undefined ? body.quizQuestions : existing.quizQuestions;
+    if (!Array.isArray(quizQuestions) || quizQuestions.length === 0) {
+      errors.push('A quiz needs at least one question');
+    } else if (body.quizQuestions !== undefined) {
+      quizQuestions.forEach((question, index) => {
+        const options = (question.options || []).map(option => String(option || '').trim());
+        if (!question.question || !String(question.question).trim()) {
+          errors.push(`Question ${index + 1} has no text`);
+        }
+        if (options.length < 2 || options.some(option => !option)) {
+          errors.push(`Question ${index + 1} needs at least two options, none of them empty`);
+        }
+        const correctOption = Number(question.correctOption);
+        if (!Number.isInteger(correctOption) || correctOption < 0 || correctOption >= options.length) {
+          errors.push(`Question ${index + 1} needs a correct option`);
+        }
+      });
+      fields.quizQuestions = quizQuestions.map(question => ({
+        question: question.question,
+        options: (question.options || []).map(option => String(option || '').trim()),
+        correctOption: Number(question.correctOption),
+        explanation: question.explanation
+      }));
+    }
+  }
+
+  return { errors, fields };
+};
+
+/**
+ * @desc    Get the company's surveys with their training settings and module counts
+ * @route   GET /api/training/surveys
+ * @access  Private (Company Admin)
+ */
+const getTrainingSurveys = async (req, res) => {
+  try {
+    const surveys = await Survey.find({ company: req.user.company, status: { $in: ['active', 'paused', 'draft'] } })
+      .select('surveyName status mode training')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const moduleCounts = await TrainingModule.aggregate([
+      { $match: { survey: { $in: surveys.map(survey => survey._id) } } },
+      {
+        $group: {
+          _id: '$survey',
+          modules: { $sum: 1 },
+          published: { $sum: { $cond: [{ $eq: ['$status', 'published'] }, 1, 0] } }
+        }
+      }
+    ]);
+    const countsBySurvey = new Map(moduleCounts.map(entry => [entry._id.toString(), entry]));
+
+    res.json({
+      success: true,
+      data: {
+        surveys: surveys.map(survey => ({
+          ...survey,
+          modules: countsBySurvey.get(survey._id.toString())?.modules || 0,
+          publishedModules: countsBySurvey.get(survey._id.toString())?.published || 0
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching training surveys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch surveys',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a survey's training modules, questionnaire and interviewer progress
+ * @route   GET /api/training/surveys/:surveyId
+ * @access  Private (Company Admin)
+ */
+const getSurveyTraining = async (req, res) => {
+  try {
+    const { survey, status, message } = await findCompanySurvey(req.params.surveyId, req.user);
+    if (!survey) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const [modules, questionnaireSource] = await Promise.all([
+      TrainingModule.find({ survey: survey._id }).sort({ order: 1, createdAt: 1 }).lean(),
+      Survey.findById(survey._id).select('sections questions').lean()
+    ]);
+    const published = modules.filter(module => module.status === 'published');
+
+    const interviewers = await User.find({ _id: { $in: getAssignedInterviewerIds(survey) } })
+      .select('firstName lastName memberId training')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        survey: {
+          _id: survey._id,
+          surveyName: survey.surveyName,
+          status: survey.status,
+          training: survey.training
+        },
+        modules,
+        questionnaire: getQuestionnaire(questionnaireSource),
+        progress: interviewers.map(interviewer => ({
+          interviewer: {
+            _id: interviewer._id,
+            name: `${interviewer.firstName} ${interviewer.lastName}`,
+            memberId: interviewer.memberId
+          },
+          ...getTrainingStatus(interviewer.training, survey, published)
+        }))
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching survey training:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch survey training',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update whether a survey requires certification, and for how long one lasts
+ * @route   PUT /api/training/surveys/:surveyId/settings
+ * @access  Private (Company Admin)
+ */
+const updateSurveyTrainingSettings = async (req, res) => {
+  try {
+    const { survey, status, message } = await findCompanySurvey(req.params.surveyId, req.user);
+    if (!survey) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { requireCertification, certificationValidityDays } = req.body;
+    if (certificationValidityDays !== undefined) {
+      const days = Number(certificationValidityDays);
+      if (!Number.isInteger(days) || days < 1 || days > 730) {
+        return res.status(400).json({
+          success: false,
+          message: 'Certification validity must be between 1 and 730 days'
+        });
+      }
+      survey.set('training.certificationValidityDays', days);
+    }
+    if (requireCertification !== undefined) {
+      survey.set('training.requireCertification', !!requireCertification);
+    }
+    survey.lastModifiedBy = req.user._id;
+    await survey.save();
+
+    res.json({
+      success: true,
+      message: 'Training settings updated',
+      data: { training: survey.training }
+    });
+
+  } catch (error) {
+    console.error('Error updating training settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update training settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Create a training module for a survey
+ * @route   POST /api/training/surveys/:surveyId/modules
+ * @access  Private (Company Admin)
+ */
+const createModule = async (req, res) => {
+  try {
+    const { survey, status, message } = await findCompanySurvey(req.params.surveyId, req.user);
+    if (!survey) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { errors, fields } = parseModuleBody(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    const module = await TrainingModule.create({
+      ...fields,
+      survey: survey._id,
+      company: survey.company,
+      createdBy: req.user._id,
+      lastModifiedBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Training module created',
+      data: { module }
+    });
+
+  } catch (error) {
+    console.error('Error creating training module:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create training module',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Update a training module
+ * @route   PUT /api/training/modules/:id
+ * @access  Private (Company Admin)
+ */
+const updateModule = async (req, res) => {
+  try {
+    const { module, status, message } = await findCompanyModule(req.params.id, req.user);
+    if (!module) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const { errors, fields } = parseModuleBody(req.body, module);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: errors[0],
+        errors
+      });
+    }
+
+    module.set(fields);
+    module.lastModifiedBy = req.user._id;
+    await module.save();
+
+    res.json({
+      success: true,
+      message: 'Training module updated',
+      data: { module }
+    });
+
+  } catch (error) {
+    console.error('Error updating training module:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update training module',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Delete a training module (interviewers' results and certifications stay)
+ * @route   DELETE /api/training/modules/:id
+ * @access  Private (Company Admin)
+ */
+const deleteModule = async (req, res) => {
+  try {
+    const { module, status, message } = await findCompanyModule(req.params.id, req.user);
+    if (!module) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    await module.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Training module deleted'
+    });
+
+  } catch (error) {
+    console.error('Error deleting training module:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete training module',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get the interviewer's training: assigned surveys with published modules, results and certification
+ * @route   GET /api/training/my
+ * @access  Private (Interviewer)
+ */
+const getMyTraining = async (req, res) => {
+  try {
+    const userId = req.user._id;
+    const surveys = await Survey.find({
+      status: { $in: ['active', 'paused', 'draft'] },
+      $or: [
+        { assignedInterviewers: { $elemMatch: { interviewer: userId, status: 'assigned' } } },
+        { capiInterviewers: { $elemMatch: { interviewer: userId, status: 'assigned' } } },
+        { catiInterviewers: { $elemMatch: { interviewer: userId, status: 'assigned' } } }
+      ]
+    })
+      .select('surveyName status mode training')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    const [modules, user] = await Promise.all([
+      TrainingModule.find({ survey: { $in: surveys.map(survey => survey._id) }, status: 'published' })
+        .select('survey title description type order required passMark quizQuestions')
+        .sort({ order: 1, createdAt: 1 })
+        .lean(),
+      User.findById(userId).select('training').lean()
+    ]);
+
+    const trainings = surveys
+      .map(survey => {
+        const surveyModules = modules.filter(module => module.survey.toString() === survey._id.toString());
+        const status = getTrainingStatus(user.training, survey, surveyModules);
+        return {
+          survey: { _id: survey._id, surveyName: survey.surveyName, status: survey.status, mode: survey.mode },
+          certification: status.certification,
+          modules: surveyModules.map((module, index) => ({
+            _id: module._id,
+            title: module.title,
+            description: module.description,
+            type: module.type,
+            required: module.required,
+            passMark: module.type === 'quiz' ? module.passMark : undefined,
+            questionCount: module.type === 'quiz' ? module.quizQuestions.length : undefined,
+            result: status.modules[index]
+          }))
+        };
+      })
+      // Surveys without training only matter when certification is required (nobody can start yet)
+      .filter(training => training.modules.length > 0 || training.certification.required);
+
+    res.json({
+      success: true,
+      data: { trainings }
+    });
+
+  } catch (error) {
+    console.error('Error fetching training:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch training',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Get a training module to take (quiz answers are not included)
+ * @route   GET /api/training/my/modules/:id
+ * @access  Private (Interviewer)
+ */
+const getMyModule = async (req, res) => {
+  try {
+    const { module, survey, status, message } = await findAssignedModule(req.params.id, req.user);
+    if (!module) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const content = {
+      _id: module._id,
+      title: module.title,
+      description: module.description,
+      type: module.type,
+      required: module.required,
+      survey: { _id: survey._id, surveyName: survey.surveyName }
+    };
+
+    if (module.type === 'quiz') {
+      content.passMark = module.passMark;
+      content.quizQuestions = module.quizQuestions.map(question => ({
+        _id: question._id,
+        question: question.question,
+        options: question.options
+      }));
+    } else {
+      const notes = module.questionNotes ? Object.fromEntries(module.questionNotes) : {};
+      content.questionnaire = getQuestionnaire(survey).map(question => ({
+        ...question,
+        trainerNote: module.type === 'walkthrough' ? notes[question.id] : undefined
+      }));
+    }
+
+    res.json({
+      success: true,
+      data: { module: content }
+    });
+
+  } catch (error) {
+    console.error('Error fetching training module:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch training module',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @desc    Submit a training module: quiz answers, mock interview answers, or a finished walkthrough
+ * @route   POST /api/training/my/modules/:id/submit
+ * @access  Private (Interviewer)
+ */
+const submitMyModule = async (req, res) => {
+  try {
+    const { module, survey, status, message } = await findAssignedModule(req.params.id, req.user);
+    if (!module) {
+      return res.status(status).json({ success: false, message });
+    }
+
+    const answers = req.body.answers || {};
+    if (typeof answers !== 'object' || Array.isArray(answers)) {
+      return res.status(400).json({
+        success: false,
+        message: 'answers must map question ids to answers'
+      });
+    }
+
+    let result;
+    if (module.type === 'quiz') {
+      result = scoreQuiz(module, answers);
+    } else if (module.type === 'mock_interview') {
+      const check = checkMockInterview(getQuestionnaire(survey), answers);
+      if (!check.passed) {
+        return res.status(400).json({
+          success: false,
+          message: `Answer every question to finish the mock interview (${check.answered} of ${check.total} answered)`,
+          data: check
+        });
+      }
+      result = { ...check, score: 100 };
+    } else {
+      if (!req.body.acknowledged) {
+        return res.status(400).json({
+          success: false,
+          message: 'Confirm that you have gone through the questionnaire'
+        });
+      }
+      result = { passed: true, score: 100 };
+    }
+
+    const training = await recordModuleResult(req.user._id, module, survey, {
+      score: result.score,
+      passed: result.passed
+    });
+
+    res.json({
+      success: true,
+      message: result.passed
+        ? (training.certification.certified ? 'Module passed. You are certified for this survey.' : 'Module passed')
+        : `Score ${result.score}% is below the pass mark of ${module.passMark}%`,
+      data: {
+        result,
+        certification: training.certification
+      }
+    });
+
+  } catch (error) {
+    console.error('Error submitting training module:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit training module',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTrainingSurveys,
+  getSurveyTraining,
+  updateSurveyTrainingSettings,
+  createModule,
+  updateModule,
+  deleteModule,
+  getMyTraining,
+  getMyModule,
+  submitMyModule
+};
@@ -0,0 +1,94 @@
+const SurveyResponse = require('../models/SurveyResponse');
+const SurveyAnalytics = require('../models/SurveyAnalytics');
+const SurveyAnalyticsBucket = require('../models/SurveyAnalyticsBucket');
+const {
+  RULES_VERSION,
+  STALE_REBUILD_MINUTES,
+  syncResponseAnalytics,
+  rebuildSurveyAnalytics
+} = require('../utils/surveyAnalyticsStore');
+
+// Responses changed within this window are re-synced on every run, in case their background
+// sync was lost (e.g. the server restarted before the queue was flushed)
+const RESYNC_WINDOW_MINUTES = 120;
+const MAX_RESYNC_PER_SURVEY = 5000;
+
+/**
+ * Compare a survey's bucket counts per status with its responses
+ * @returns {Promise<Boolean>} Whether they differ
+ */
+const hasCountDrift = async (surveyId) => {
+  const [actual, stored] = await Promise.all([
+    SurveyResponse.aggregate([
+      { $match: { survey: surveyId } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    SurveyAnalyticsBucket.aggregate([
+      { $match: { survey: surveyId } },
+      { $group: { _id: '$status', count: { $sum: '$count' } } }
+    ])
+  ]);
+
+  const toMap = (rows) => new Map(rows.filter(row => row.count > 0).map(row => [String(row._id || ''), row.count]));
+  const actualCounts = toMap(actual);
+  const storedCounts = toMap(stored);
+  if (actualCounts.size !== storedCounts.size) return true;
+  return [...actualCounts.entries()].some(([status, count]) => storedCounts.get(status) !== count);
+};
+
+/**
+ * Keep every survey's analytics store consistent with its responses:
+ * - recently changed responses, and responses never counted, are re-synced
+ * - stores built with older rules, left half-built by a crashed rebuild, or whose counts no
+ *   longer match the responses are rebuilt
+ * @param {Object} options
+ * @param {Date} options.now
+ * @returns {Promise<{checked: Number, resynced: Number, rebuilt: Number}>}
+ */
+const reconcileSurveyAnalytics = async ({ now = new Date() } = {}) => {
+  const summary = { checked: 0, resynced: 0, rebuilt: 0 };
+  const staleBefore = new Date(now.getTime() - STALE_REBUILD_MINUTES * 60000);
+  const resyncSince = new Date(now.getTime() - RESYNC_WINDOW_MINUTES * 60000);
+
+  const headers = await SurveyAnalytics.find().select('survey rulesVersion rebuilding rebuildStartedAt').lean();
+  for (const header of headers) {
+    try {
+      summary.checked++;
+      let reason = null;
+
+      if (header.rebuilding) {
+        if (header.rebuildStartedAt && header.rebuildStartedAt >= staleBefore) continue;
+        reason = 'stale rebuild';
+      } else if (header.rulesVersion !== RULES_VERSION) {
+        reason = 'rules changed';
+      } else {
+        const candidates = await SurveyResponse.find({
+          survey: header.survey,
+          $or: [{ updatedAt: { $gte: resyncSince } }, { analyticsFacts: { $exists: false } }]
+        }).select('_id').limit(MAX_RESYNC_PER_SURVEY).lean();
+        for (const candidate of candidates) {
+          if (await syncResponseAnalytics(candidate._id)) summary.resynced++;
+        }
+
+        if (await hasCountDrift(header.survey)) reason = 'count drift';
+      }
+
+      if (reason) {
+        const result = await rebuildSurveyAnalytics(header.survey, { reason });
+        if (result) summary.rebuilt++;
+      }
+    } catch (error) {
+      console.error(`❌ Analytics reconciliation failed for survey ${header.survey}:`, error);
+    }
+  }
+
+  if (summary.resynced || summary.rebuilt) {
+    console.log(`📊 Analytics reconciliation: ${summary.checked} survey(s) checked, ${summary.resynced} response(s) re-synced, ${summary.rebuilt} rebuilt`);
+  }
+  return summary;
+};
+
+module.exports = {
+  reconcileSurveyAnalytics,
+  RESYNC_WINDOW_MINUTES
+};
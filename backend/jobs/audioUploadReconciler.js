@@ -0,0 +1,146 @@
+const AudioUpload = require('../models/AudioUpload');
+const SurveyResponse = require('../models/SurveyResponse');
+const { applyUploadToResponse, findResponseForUpload } = require('../utils/audioUploadHelper');
+
+// An upload that has not received a chunk for this long is considered abandoned
+const STALE_UPLOAD_MINUTES = 60;
+
+/**
+ * Describe what is missing from an upload that never completed
+ * @param {Object} upload - AudioUpload document
+ * @returns {String}
+ */
+const describeIncompleteUpload = (upload) => {
+  const received = upload.chunks.length;
+  if (received === 0) {
+    return 'Audio upload started but no chunks arrived';
+  }
+  const missing = upload.getMissingChunks();
+  const gaps = missing.length > 0 ? `; missing chunk(s) ${missing.slice(0, 20).join(', ')}${missing.length > 20 ? ', ...' : ''}` : '';
+  return `Audio upload never completed: ${received} chunk(s) received, last at ${upload.lastChunkAt?.toISOString()}${gaps}`;
+};
+
+/**
+ * Flag a response whose recording never fully arrived. A response with audio from another
+ * upload (e.g. the single-shot fallback) is not flagged.
+ * @returns {Promise<Boolean>} Whether the response was flagged
+ */
+const flagResponse = async (surveyResponse, uploadId, issue) => {
+  const audio = surveyResponse.audioRecording || {};
+  if (audio.hasAudio && audio.audioUrl && audio.uploadId !== uploadId) {
+    return false;
+  }
+
+  const result = await SurveyResponse.updateOne(
+    { _id: surveyResponse._id, 'audioRecording.uploadStatus': { $ne: 'complete' } },
+    {
+      $set: {
+        'audioRecording.uploadId': uploadId,
+        'audioRecording.uploadStatus': 'incomplete',
+        'audioRecording.uploadIssue': issue
+      }
+    }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Reconcile chunked audio uploads with survey responses:
+ * - uploads that stopped receiving chunks are marked incomplete and their response flagged
+ * - assembled uploads that were never linked (response created later) are linked
+ * - responses still waiting on an upload that does not exist or never finished are flagged
+ * Chunks of incomplete uploads are kept on disk for manual recovery; a late completion still
+ * assembles the upload and clears the flag.
+ * @param {Object} options
+ * @param {Number} options.staleMinutes
+ * @param {Date} options.now
+ * @returns {Promise<{incomplete: Number, linked: Number, flagged: Number}>}
+ */
+const reconcileAudioUploads = async ({ staleMinutes = STALE_UPLOAD_MINUTES, now = new Date() } = {}) => {
+  const staleBefore = new Date(now.getTime() - staleMinutes * 60000);
+  const summary = { incomplete: 0, linked: 0, flagged: 0 };
+
+  // 1. Uploads abandoned mid-way
+  const staleUploads = await AudioUpload.find({
+    status: 'uploading',
+    lastChunkAt: { $lt: staleBefore }
+  });
+  for (const upload of staleUploads) {
+    try {
+      const issue = describeIncompleteUpload(upload);
+      upload.status = 'incomplete';
+      upload.issue = issue;
+      upload.reconciledAt = now;
+      await upload.save();
+      summary.incomplete++;
+
+      const surveyResponse = await findResponseForUpload(upload);
+      if (surveyResponse && await flagResponse(surveyResponse, upload.uploadId, issue)) {
+        summary.flagged++;
+      }
+    } catch (error) {
+      console.error(`❌ Audio reconciliation failed for upload ${upload.uploadId}:`, error);
+    }
+  }
+
+  // 2. Assembled uploads whose response did not exist yet when they completed
+  const unlinked = await AudioUpload.find({
+    status: 'assembled',
+    surveyResponse: null,
+    assembledAt: { $lt: staleBefore },
+    reconciledAt: null // Checked once; responses created later link themselves on save
+  });
+  for (const upload of unlinked) {
+    try {
+      const surveyResponse = await findResponseForUpload(upload);
+      if (surveyResponse && await applyUploadToResponse(upload, surveyResponse)) {
+        summary.linked++;
+      } else {
+        upload.reconciledAt = now;
+        await upload.save();
+      }
+    } catch (error) {
+      console.error(`❌ Audio reconciliation failed to link upload ${upload.uploadId}:`, error);
+    }
+  }
+
+  // 3. Responses submitted while their upload was still running, whose upload never finished
+  const waiting = await SurveyResponse.find({
+    'audioRecording.uploadStatus': 'uploading',
+    createdAt: { $lt: staleBefore }
+  });
+  for (const surveyResponse of waiting) {
+    try {
+      const uploadId = surveyResponse.audioRecording.uploadId;
+      const upload = uploadId ? await AudioUpload.findOne({ uploadId }) : null;
+
+      if (upload && upload.status === 'assembled') {
+        if (await applyUploadToResponse(upload, surveyResponse)) {
+          summary.linked++;
+        }
+        continue;
+      }
+      if (upload && upload.status === 'uploading') {
+        continue; // Still receiving chunks; step 1 handles it once it goes stale
+      }
+
+      const issue = upload ? (upload.issue || describeIncompleteUpload(upload)) : `Audio upload ${uploadId} not found`;
+      if (await flagResponse(surveyResponse, uploadId, issue)) {
+        summary.flagged++;
+      }
+    } catch (error) {
+      console.error(`❌ Audio reconciliation failed for response ${surveyResponse._id}:`, error);
+    }
+  }
+
+  if (summary.incomplete || summary.linked || summary.flagged) {
+    console.log(`🎙️ Audio reconciliation: ${summary.incomplete} upload(s) incomplete, ${summary.linked} linked, ${summary.flagged} response(s) flagged`);
+  }
+  return summary;
+};
+
+module.exports = {
+  reconcileAudioUploads,
+  describeIncompleteUpload,
+  STALE_UPLOAD_MINUTES
+};
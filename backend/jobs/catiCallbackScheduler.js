@@ -0,0 +1,150 @@
+const CatiRespondentQueue = require('../models/CatiRespondentQueue');
+const Survey = require('../models/Survey');
+const {
+  RETRYABLE_STATUSES,
+  getRetryPolicy,
+  isWithinCallingHours,
+  evaluateRetry
+} = require('../utils/catiRetryPolicy');
+
+// Priority given to due callbacks so they are claimed ahead of fresh respondents
+const CALLBACK_PRIORITY = 10;
+
+/**
+ * Move "call later" respondents whose promised time has arrived back into the
+ * dialable pool, reserved for the caller who scheduled them for a short window.
+ * @param {String} surveyId - Survey ID
+ * @param {Object} policy - Effective retry policy
+ * @param {Date} now
+ * @returns {Promise<Number>} Number of callbacks released
+ */
+const releaseDueCallbacks = async (surveyId, policy, now) => {
+  const exclusiveUntil = new Date(now.getTime() + (policy.callbackExclusiveMinutes || 0) * 60000);
+
+  const result = await CatiRespondentQueue.updateMany(
+    {
+      survey: surveyId,
+      status: 'call_later',
+      callLaterDate: { $lte: now }
+    },
+    {
+      $set: {
+        status: 'pending',
+        priority: CALLBACK_PRIORITY,
+        assignedTo: null,
+        assignedAt: null,
+        reservationExpiresAt: null,
+        callbackExclusiveUntil: exclusiveUntil
+      }
+    }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Apply the retry policy to respondents in a retryable status (busy, no answer, ...):
+ * due ones go back to 'pending', ones over their limits are marked exhausted.
+ * @param {String} surveyId - Survey ID
+ * @param {Object} policy - Effective retry policy
+ * @param {Date} now
+ * @returns {Promise<{retried: Number, exhausted: Number}>}
+ */
+const processRetries = async (surveyId, policy, now) => {
+  let retried = 0;
+  let exhausted = 0;
+
+  const cursor = CatiRespondentQueue.find({
+    survey: surveyId,
+    status: { $in: RETRYABLE_STATUSES },
+    retryExhaustedAt: null,
+    $or: [
+      { nextAttemptAt: null },
+      { nextAttemptAt: { $lte: now } }
+    ]
+  })
+    .select('status callAttempts lastAttemptedAt updatedAt nextAttemptAt')
+    .lean()
+    .cursor();
+
+  for await (const entry of cursor) {
+    const decision = evaluateRetry(entry, policy, now);
+
+    // Guard on the status we read so a concurrent change always wins
+    if (decision.action === 'retry') {
+      const result = await CatiRespondentQueue.updateOne(
+        { _id: entry._id, status: entry.status },
+        {
+          $set: {
+            status: 'pending',
+            assignedTo: null,
+            assignedAt: null,
+            reservationExpiresAt: null,
+            nextAttemptAt: null
+          }
+        }
+      );
+      retried += result.modifiedCount;
+    } else if (decision.action === 'exhausted') {
+      const result = await CatiRespondentQueue.updateOne(
+        { _id: entry._id, status: entry.status },
+        { $set: { retryExhaustedAt: now, retryExhaustedReason: decision.reason, nextAttemptAt: null } }
+      );
+      exhausted += result.modifiedCount;
+    } else if (!entry.nextAttemptAt) {
+      // Legacy entry without a schedule - persist it so it is not re-evaluated every tick
+      await CatiRespondentQueue.updateOne(
+        { _id: entry._id, status: entry.status },
+        { $set: { nextAttemptAt: decision.nextAttemptAt } }
+      );
+    }
+  }
+
+  return { retried, exhausted };
+};
+
+/**
+ * Scheduler tick: for every active survey with CATI respondents, release due
+ * callbacks and retries - but only inside the survey's allowed calling hours.
+ */
+const processCatiCallbacks = async () => {
+  const now = new Date();
+  const surveyIds = await CatiRespondentQueue.distinct('survey', {
+    status: { $in: ['call_later', ...RETRYABLE_STATUSES] }
+  });
+  if (surveyIds.length === 0) {
+    return;
+  }
+
+  const surveys = await Survey.find({ _id: { $in: surveyIds }, status: 'active' })
+    .select('catiRetryPolicy')
+    .lean();
+
+  for (const survey of surveys) {
+    try {
+      const policy = getRetryPolicy(survey);
+      if (!policy.enabled) {
+        continue;
+      }
+      if (!isWithinCallingHours(policy, now)) {
+        continue;
+      }
+
+      const callbacks = await releaseDueCallbacks(survey._id, policy, now);
+      const { retried, exhausted } = await processRetries(survey._id, policy, now);
+
+      if (callbacks || retried || exhausted) {
+        console.log(`📞 CATI scheduler - Survey ${survey._id}: ${callbacks} callback(s) due, ${retried} retr${retried === 1 ? 'y' : 'ies'} released, ${exhausted} exhausted`);
+      }
+    } catch (error) {
+      console.error(`❌ CATI scheduler failed for survey ${survey._id}:`, error);
+    }
+  }
+};
+
+module.exports = {
+  processCatiCallbacks,
+  releaseDueCallbacks,
+  processRetries,
+  CALLBACK_PRIORITY
+};
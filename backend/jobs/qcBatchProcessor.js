@@ -1,7 +1,11 @@
 const mongoose = require('mongoose');
 const QCBatch = require('../models/QCBatch');
 const QCBatchConfig = require('../models/QCBatchConfig');
+const QCEscalation = require('../models/QCEscalation');
 const SurveyResponse = require('../models/SurveyResponse');
+const { SAMPLING_FIELDS, selectSample } = require('../utils/qcSampling');
+const { IST_OFFSET_MS, getBatchingSettings } = require('../utils/qcBatchHelper');
+const { getTrustedSamplePercentage, queueTrustScoreUpdate } = require('../utils/trustScore');
 
 // Helper to convert ObjectId strings to ObjectIds
 const toObjectId = (id) => {
@@ -15,6 +19,7 @@ const toObjectId = (id) => {
  * Process a single batch - select sample and send to QC
  * @param {QCBatch} batch - The batch to process
  * @param {Object} config - The QC batch configuration to use
+ * @returns {Promise<QCBatch|null>} The processed batch, or null if it was not collecting any more
  */
 const processBatch = async (batch, config) => {
   try {
@@ -24,25 +29,52 @@ const processBatch = async (batch, config) => {
     
     if (batch.totalResponses === 0) {
       console.log(`   ⚠️  Batch has no responses, skipping...`);
-      return;
+      return null;
     }
-    
+
+    // Claim the batch so it is closed only once (closing job, full batch, manual send) and no
+    // more responses land in it; the claimed copy has every response added up to this point
+    const claimed = await QCBatch.findOneAndUpdate(
+      { _id: batch._id, status: 'collecting', totalResponses: { $gt: 0 } },
+      { $set: { status: 'processing', processingStartedAt: new Date() } },
+      { new: true }
+    );
+    if (!claimed) {
+      console.log(`   ℹ️  Batch is no longer collecting, skipping...`);
+      return null;
+    }
+
+    // An interviewer on escalated QC has the whole batch checked. The escalation is looked up
+    // again here: it may have been cleared, or started, while the batch was collecting.
+    const escalation = await QCEscalation.findOneAndUpdate(
+      { survey: claimed.survey, interviewer: claimed.interviewer, status: 'active' },
+      { $inc: { batchesRemaining: -1 }, $addToSet: { batches: claimed._id } },
+      { new: true }
+    );
+    if (escalation && escalation.batchesRemaining <= 0) {
+      await QCEscalation.updateOne(
+        { _id: escalation._id, status: 'active', batchesRemaining: { $lte: 0 } },
+        { $set: { status: 'completed' } }
+      );
+    }
+    // A trusted interviewer (trust score at the company's auto-approval threshold) is sampled less
+    const trustedPercentage = escalation ? null : await getTrustedSamplePercentage(config, claimed.interviewer);
+    const samplePercentage = escalation ? 100 : (trustedPercentage ?? config.samplePercentage);
+    const strategy = config.sampling?.strategy || 'random';
+
     // Calculate sample size based on config
-    const sampleSize = Math.ceil(batch.totalResponses * (config.samplePercentage / 100));
-    console.log(`   📊 Sample size (${config.samplePercentage}%): ${sampleSize}`);
-    
-    // Randomly select sample responses
-    const allResponseIds = batch.responses.map(id => id.toString());
-    const shuffled = [...allResponseIds].sort(() => Math.random() - 0.5);
-    const sampleResponseIds = shuffled.slice(0, sampleSize);
-    const remainingResponseIds = shuffled.slice(sampleSize);
+    const sampleSize = Math.ceil(claimed.totalResponses * (samplePercentage / 100));
+    console.log(`   📊 Sample size (${samplePercentage}%${escalation ? ', escalated' : ''}${trustedPercentage ? ', trusted interviewer' : ''}, ${strategy}): ${sampleSize}`);
     
-    console.log(`   ✅ Selected ${sampleResponseIds.length} responses for QC sample`);
-    console.log(`   📝 Remaining responses: ${remainingResponseIds.length}`);
+    const responses = await SurveyResponse.find({ _id: { $in: claimed.responses } })
+      .select(SAMPLING_FIELDS)
+      .lean();
+    const { sample, remaining, strata } = selectSample(responses, sampleSize, strategy);
+    const sampleObjectIds = sample.map(response => toObjectId(response._id));
+    const remainingObjectIds = remaining.map(response => toObjectId(response._id));
     
-    // Convert string IDs to ObjectIds
-    const sampleObjectIds = sampleResponseIds.map(id => toObjectId(id));
-    const remainingObjectIds = remainingResponseIds.map(id => toObjectId(id));
+    console.log(`   ✅ Selected ${sampleObjectIds.length} responses for QC sample`);
+    console.log(`   📝 Remaining responses: ${remainingObjectIds.length}`);
     
     // Mark sample responses
     await SurveyResponse.updateMany(
@@ -67,22 +99,28 @@ const processBatch = async (batch, config) => {
     );
     
     // Update batch with sample and config snapshot
-    batch.sampleResponses = sampleResponseIds;
-    batch.sampleSize = sampleResponseIds.length;
-    batch.remainingResponses = remainingResponseIds;
-    batch.remainingSize = remainingResponseIds.length;
-    batch.status = 'qc_in_progress';
-    batch.processingStartedAt = new Date();
-    batch.batchConfig = {
-      samplePercentage: config.samplePercentage,
+    claimed.sampleResponses = sampleObjectIds;
+    claimed.sampleSize = sampleObjectIds.length;
+    claimed.remainingResponses = remainingObjectIds;
+    claimed.remainingSize = remainingObjectIds.length;
+    claimed.status = 'qc_in_progress';
+    claimed.escalation = escalation ? escalation._id : undefined;
+    claimed.sampling = { strategy, strata };
+    claimed.batchConfig = {
+      samplePercentage,
       approvalRules: config.approvalRules || [],
+      batching: claimed.batchConfig?.batching?.mode ? claimed.batchConfig.batching : getBatchingSettings(config),
+      samplingStrategy: strategy,
+      escalationBatches: config.escalationBatches || 3,
+      trustedSample: Boolean(trustedPercentage),
       configId: config._id || null
     };
     
-    await batch.save();
+    await claimed.save();
     
-    console.log(`   ✅ Batch ${batch._id} processed successfully`);
-    console.log(`   📊 ${sampleSize} responses sent to QC queue`);
+    console.log(`   ✅ Batch ${claimed._id} processed successfully`);
+    console.log(`   📊 ${claimed.sampleSize} responses sent to QC queue`);
+    return claimed;
     
   } catch (error) {
     console.error(`   ❌ Error processing batch ${batch._id}:`, error);
@@ -90,6 +128,37 @@ const processBatch = async (batch, config) => {
   }
 };
 
+/**
+ * Put a batch's interviewer on 100% QC for the survey's next escalationBatches batches, or top up
+ * an escalation already running
+ * @param {QCBatch} batch - The batch whose approval rate matched an escalating rule
+ * @param {Object} config - The batch's config snapshot
+ * @param {Object} rule - The matched approval rule
+ * @param {Number} approvalRate
+ */
+const escalateInterviewer = async (batch, config, rule, approvalRate) => {
+  const Survey = require('../models/Survey');
+  const survey = await Survey.findById(batch.survey).select('company');
+  const batches = config.escalationBatches || 3;
+
+  const escalation = await QCEscalation.findOneAndUpdate(
+    { survey: batch.survey, interviewer: batch.interviewer, status: 'active' },
+    {
+      $max: { batchesRemaining: batches },
+      $set: {
+        triggerBatch: batch._id,
+        triggerApprovalRate: approvalRate,
+        reason: `${approvalRate.toFixed(2)}% approval rate matched "${rule.description || rule.action}"`
+      },
+      $setOnInsert: { company: survey?.company }
+    },
+    { upsert: true, new: true }
+  );
+
+  console.log(`   🚨 Interviewer ${batch.interviewer} escalated to 100% QC for ${escalation.batchesRemaining} batches`);
+  return escalation;
+};
+
 /**
  * Make decision on remaining responses based on approval rate and config rules
  * @param {QCBatch} batch - The batch to process
@@ -235,9 +304,14 @@ const makeDecisionOnRemaining = async (batch) => {
       
       console.log(`   ❌ Rejected ${remainingObjectIds.length} remaining responses`);
     }
+
+    if (matchedRule.escalateInterviewer) {
+      await escalateInterviewer(batch, config, matchedRule, approvalRate);
+    }
     
     batch.processingCompletedAt = new Date();
     await batch.save();
+    await queueTrustScoreUpdate(batch.interviewer);
     
   } catch (error) {
     console.error(`   ❌ Error making decision for batch ${batch._id}:`, error);
@@ -316,45 +390,53 @@ const checkBatchesInProgress = async () => {
 };
 
 /**
- * Main batch processing function (called by cron at midnight)
+ * Close the collecting batches whose boundary has passed and send their samples to QC
+ * @param {Date} now
+ */
+const closeDueBatches = async (now = new Date()) => {
+  // Batches created before closesAt existed close at the midnight (IST) after their batchDate
+  const istNow = now.getTime() + IST_OFFSET_MS;
+  const startOfTodayIST = new Date(istNow - (istNow % (24 * 60 * 60 * 1000)) - IST_OFFSET_MS);
+
+  const batchesToProcess = await QCBatch.find({
+    status: 'collecting',
+    totalResponses: { $gt: 0 },
+    $or: [
+      { closesAt: { $lte: now } },
+      { closesAt: { $exists: false }, batchDate: { $lt: startOfTodayIST } }
+    ]
+  }).sort({ batchDate: 1 });
+
+  console.log(`📦 Found ${batchesToProcess.length} batches to process`);
+
+  const Survey = require('../models/Survey');
+  // Process each batch
+  for (const batch of batchesToProcess) {
+    try {
+      const survey = await Survey.findById(batch.survey).select('company');
+      if (!survey) continue;
+
+      const config = await QCBatchConfig.getActiveConfig(batch.survey, survey.company);
+
+      await processBatch(batch, config);
+    } catch (error) {
+      console.error(`   ❌ Error processing batch ${batch._id}:`, error);
+    }
+  }
+
+  return batchesToProcess.length;
+};
+
+/**
+ * Main batch processing function (run by the 'qc.processBatches' background job)
  */
 const processQCBatches = async () => {
   try {
-    console.log('🔄 Starting QC Batch Processing Job (Midnight)...');
+    console.log('🔄 Starting QC Batch Processing Job...');
     
-    // This function is called at midnight to:
-    // 1. Process batches from previous day that are still collecting
+    // 1. Close batches whose day, time window or open time has ended
     // 2. Check batches in progress and make decisions
-    
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Find batches from before today that are still collecting
-    const batchesToProcess = await QCBatch.find({
-      batchDate: { $lt: today },
-      status: 'collecting',
-      totalResponses: { $gt: 0 }
-    }).populate('survey').sort({ batchDate: 1 });
-    
-    console.log(`📦 Found ${batchesToProcess.length} batches to process`);
-    
-    // Process each batch
-    for (const batch of batchesToProcess) {
-      try {
-        const Survey = require('../models/Survey');
-        const survey = await Survey.findById(batch.survey._id || batch.survey).populate('company');
-        if (!survey) continue;
-        
-        const config = await QCBatchConfig.getActiveConfig(
-          batch.survey._id || batch.survey,
-          survey.company._id || survey.company
-        );
-        
-        await processBatch(batch, config);
-      } catch (error) {
-        console.error(`   ❌ Error processing batch ${batch._id}:`, error);
-      }
-    }
+    await closeDueBatches();
     
     // Check batches in progress
     await checkBatchesInProgress();
@@ -370,6 +452,7 @@ const processQCBatches = async () => {
 module.exports = {
   processQCBatches,
   processPreviousBatch,
+  closeDueBatches,
   checkBatchesInProgress,
   processBatch,
   makeDecisionOnRemaining
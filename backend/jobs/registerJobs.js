@@ -0,0 +1,312 @@
+const { defineJob } = require('../utils/jobQueue');
+
+/**
+ * Register every background job handler with the queue (utils/jobQueue.js).
+ * server.js loads this once before starting the worker.
+ */
+
+// How often collecting QC batches are checked against their closing time (closesAt)
+const QC_BATCH_CLOSE_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * The next QC batch closing run: the first 5-minute boundary strictly after a time
+ * @param {Date} after
+ * @returns {Date}
+ */
+const nextBatchCloseRun = (after) => (
+  new Date((Math.floor(after.getTime() / QC_BATCH_CLOSE_INTERVAL_MS) + 1) * QC_BATCH_CLOSE_INTERVAL_MS)
+);
+
+// Close batches whose day, time window or open time has ended and decide on batches whose sample is QCed
+defineJob('qc.processBatches', async () => {
+  const { processQCBatches } = require('./qcBatchProcessor');
+  await processQCBatches();
+}, {
+  description: 'QC batch processing: close and sample due batches, decide on QCed ones',
+  maxAttempts: 3,
+  backoffMs: 60 * 1000,
+  schedule: {
+    nextRunAt: nextBatchCloseRun,
+    description: 'Every 5 minutes'
+  }
+});
+
+// Queued when a new batch is created, in case a batch in progress can now be decided
+defineJob('qc.checkBatchesInProgress', async () => {
+  const { checkBatchesInProgress } = require('./qcBatchProcessor');
+  await checkBatchesInProgress();
+}, {
+  description: 'Decide on QC batches whose sample has been fully reviewed',
+  maxAttempts: 3,
+  backoffMs: 60 * 1000
+});
+
+// Survey report from live data (utils/reportJobRunner.js)
+defineJob('reports.generate', async ({ reportJobId }, job) => {
+  const ReportJob = require('../models/ReportJob');
+  const { runReportJob } = require('../utils/reportJobRunner');
+
+  // An admin re-ran a failed queue job: give the report another go as well
+  if (job.rerunAt) {
+    await ReportJob.updateOne(
+      { _id: reportJobId, status: 'failed' },
+      { $set: { status: 'queued', cancelRequested: false }, $unset: { error: '', finishedAt: '' } }
+    );
+  }
+
+  const reportJob = await runReportJob(reportJobId);
+  return reportJob ? { status: reportJob.status, error: reportJob.error } : { skipped: 'Report was cancelled or already finished' };
+}, {
+  description: 'Survey report generation from live responses',
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  onFailed: async ({ reportJobId }, error) => {
+    const { failReportJob } = require('../utils/reportJobRunner');
+    await failReportJob(reportJobId, error.message);
+  }
+});
+
+// Score new pending responses for the review queue and refresh old scores
+defineJob('qc.scoreResponses', async () => {
+  const { scorePendingResponses } = require('../utils/responseRiskScore');
+  return { scored: await scorePendingResponses() };
+}, {
+  description: 'Risk-score pending responses for the QC review queue',
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  schedule: {
+    nextRunAt: (after) => new Date(after.getTime() + 2 * 60 * 1000),
+    description: 'Every 2 minutes'
+  }
+});
+
+// India has no daylight saving, so IST times of day are fixed UTC offsets
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+/**
+ * The first given hour (IST) strictly after a time
+ * @param {Number} hour - 0-23
+ * @returns {Function} (after: Date) => Date
+ */
+const dailyAtIST = (hour) => (after) => {
+  const ist = new Date(after.getTime() + IST_OFFSET_MS);
+  const next = new Date(ist);
+  next.setUTCHours(hour, 0, 0, 0);
+  if (next <= ist) next.setUTCDate(next.getUTCDate() + 1);
+  return new Date(next.getTime() - IST_OFFSET_MS);
+};
+
+/**
+ * The first given minute past the hour (IST) strictly after a time
+ * @param {Number} minute - 0-59
+ * @returns {Function} (after: Date) => Date
+ */
+const hourlyAtIST = (minute) => (after) => {
+  const ist = new Date(after.getTime() + IST_OFFSET_MS);
+  const next = new Date(ist);
+  next.setUTCMinutes(minute, 0, 0);
+  if (next <= ist) next.setUTCHours(next.getUTCHours() + 1);
+  return new Date(next.getTime() - IST_OFFSET_MS);
+};
+
+// Flag duplicate and fabricated interviews; queued for one survey from the review page, or
+// nightly for every survey with recent responses
+defineJob('qc.detectDuplicates', async ({ surveyId } = {}) => {
+  const { detectDuplicates, detectDuplicatesForActiveSurveys } = require('../utils/duplicateDetection');
+  return surveyId ? detectDuplicates(surveyId) : detectDuplicatesForActiveSurveys();
+}, {
+  description: 'Duplicate and fabricated interview detection',
+  maxAttempts: 2,
+  backoffMs: 10 * 60 * 1000,
+  schedule: {
+    nextRunAt: dailyAtIST(1),
+    description: 'Daily at 1:00 AM IST'
+  }
+});
+
+// Re-index a survey's answers for duplicate auto-rejection rules, queued when its rules are saved
+// or when a response is checked against rules the survey is not indexed for yet
+defineJob('autoRejection.indexDuplicateAnswers', async ({ surveyId }) => {
+  const { indexDuplicateAnswers } = require('../utils/autoRejectionHelper');
+  return indexDuplicateAnswers(surveyId);
+}, {
+  description: 'Duplicate answer index for auto-rejection rules',
+  maxAttempts: 3,
+  backoffMs: 5 * 60 * 1000
+});
+
+// Speech/silence analysis of an interview recording, queued when the recording reaches its response
+defineJob('audio.analyze', async ({ responseId }) => {
+  const { analyzeResponseAudio } = require('../utils/audioAnalysis');
+  return analyzeResponseAudio(responseId);
+}, {
+  description: 'Interview recording analysis: talk time, silence and duration checks',
+  maxAttempts: 3,
+  backoffMs: 5 * 60 * 1000
+});
+
+// Flag interview recordings whose chunked upload never fully arrived
+defineJob('audio.reconcileUploads', async () => {
+  const { reconcileAudioUploads } = require('./audioUploadReconciler');
+  return reconcileAudioUploads();
+}, {
+  description: 'Flag responses whose recording upload never completed',
+  maxAttempts: 2,
+  backoffMs: 5 * 60 * 1000,
+  schedule: {
+    nextRunAt: hourlyAtIST(15),
+    description: 'Hourly at :15'
+  }
+});
+
+// Recordings whose analysis was never queued (or that an older analysis version looked at)
+defineJob('audio.analyzePending', async () => {
+  const { queuePendingAudioAnalysis } = require('../utils/audioAnalysis');
+  return { queued: await queuePendingAudioAnalysis() };
+}, {
+  description: 'Queue analysis of recent recordings that have none',
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  schedule: {
+    nextRunAt: (after) => new Date(after.getTime() + 15 * 60 * 1000),
+    description: 'Every 15 minutes'
+  }
+});
+
+// Sample new CAPI interviews for respondent callbacks at each company's verification rate
+defineJob('qc.sampleBackChecks', async () => {
+  const { sampleBackChecks } = require('../utils/backCheck');
+  return sampleBackChecks();
+}, {
+  description: 'Back-check sampling: create callback tasks for new CAPI interviews',
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  schedule: {
+    nextRunAt: (after) => new Date(after.getTime() + 30 * 60 * 1000),
+    description: 'Every 30 minutes'
+  }
+});
+
+// Recalculate one interviewer's trust score, queued a few minutes after a new QC outcome
+defineJob('trust.updateInterviewer', async ({ interviewerId }) => {
+  const { updateTrustScore } = require('../utils/trustScore');
+  return updateTrustScore(interviewerId);
+}, {
+  description: 'Interviewer trust score update after a QC outcome',
+  maxAttempts: 3,
+  backoffMs: 60 * 1000
+});
+
+// Recalculate every recently active interviewer, so old outcomes decay and missed updates land
+defineJob('trust.updateScores', async () => {
+  const { updateAllTrustScores } = require('../utils/trustScore');
+  return updateAllTrustScores();
+}, {
+  description: 'Interviewer trust scores from QC outcomes',
+  maxAttempts: 2,
+  backoffMs: 10 * 60 * 1000,
+  schedule: {
+    nextRunAt: dailyAtIST(2),
+    description: 'Daily at 2:00 AM IST'
+  }
+});
+
+// Credit approved interviews to the earnings ledger and reverse credits of rejected ones
+defineJob('earnings.sync', async () => {
+  const { syncEarnings } = require('../utils/earningsLedger');
+  return syncEarnings();
+}, {
+  description: 'Earnings ledger: credits and reversals from QC decisions',
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  schedule: {
+    nextRunAt: (after) => new Date(after.getTime() + 10 * 60 * 1000),
+    description: 'Every 10 minutes'
+  }
+});
+
+// Close ended payout periods into payout cycles (periods end at midnight IST)
+defineJob('payouts.generateCycles', async () => {
+  const { syncEarnings } = require('../utils/earningsLedger');
+  const { generateDuePayoutCycles } = require('../utils/payoutCycles');
+  await syncEarnings();
+  return generateDuePayoutCycles();
+}, {
+  description: 'Interviewer payout cycles per company payout schedule',
+  maxAttempts: 3,
+  backoffMs: 10 * 60 * 1000,
+  schedule: {
+    nextRunAt: dailyAtIST(3),
+    description: 'Daily at 3:00 AM IST'
+  }
+});
+
+// Telephony status callback; the route only queues it so the provider gets its reply at once
+defineJob('cati.webhook', async (delivery) => {
+  const { dispatchStatusCallback } = require('../utils/telephony');
+  await dispatchStatusCallback(delivery);
+}, {
+  description: 'Record and apply a telephony webhook delivery',
+  maxAttempts: 5,
+  backoffMs: 30 * 1000,
+  concurrency: 4
+});
+
+// Return CATI respondents whose caller never dialled back to the pending pool
+defineJob('cati.releaseExpiredReservations', async () => {
+  const { releaseExpiredReservations } = require('../utils/catiQueueHelper');
+  return releaseExpiredReservations();
+}, {
+  description: 'Release CATI respondents whose reservation expired',
+  maxAttempts: 2,
+  backoffMs: 30 * 1000,
+  schedule: {
+    nextRunAt: (after) => new Date(after.getTime() + 60 * 1000),
+    description: 'Every minute'
+  }
+});
+
+// Bring due "call later" callbacks and policy retries back into the dialable pool
+defineJob('cati.processCallbacks', async () => {
+  const { processCatiCallbacks } = require('./catiCallbackScheduler');
+  return processCatiCallbacks();
+}, {
+  description: 'Release due CATI callbacks and retries',
+  maxAttempts: 2,
+  backoffMs: 60 * 1000,
+  schedule: {
+    nextRunAt: (after) => new Date(after.getTime() + 5 * 60 * 1000),
+    description: 'Every 5 minutes'
+  }
+});
+
+// Re-sync recently changed responses into the analytics store and rebuild stores that drifted
+defineJob('analytics.reconcile', async () => {
+  const { reconcileSurveyAnalytics } = require('./analyticsReconciler');
+  return reconcileSurveyAnalytics();
+}, {
+  description: 'Survey analytics store reconciliation',
+  maxAttempts: 2,
+  backoffMs: 10 * 60 * 1000,
+  schedule: {
+    nextRunAt: hourlyAtIST(45),
+    description: 'Hourly at :45'
+  }
+});
+
+// Rebuild one survey's analytics store, queued by an admin
+defineJob('analytics.rebuildSurvey', async ({ surveyId, reason }) => {
+  const { rebuildSurveyAnalytics } = require('../utils/surveyAnalyticsStore');
+  const result = await rebuildSurveyAnalytics(surveyId, { reason });
+  return result || { skipped: 'Analytics for this survey were already being rebuilt' };
+}, {
+  description: 'Survey analytics store rebuild from its responses',
+  maxAttempts: 2,
+  backoffMs: 5 * 60 * 1000
+});
+
+module.exports = {
+  nextBatchCloseRun,
+  dailyAtIST,
+  hourlyAtIST
+};
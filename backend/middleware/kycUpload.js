@@ -0,0 +1,43 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { PRIVATE_KYC_DIR } = require('../utils/kycDocuments');
+
+// KYC documents go to the private folder, which express.static does not serve
+const storage = multer.diskStorage({
+  destination: function (req, file, cb) {
+    if (!fs.existsSync(PRIVATE_KYC_DIR)) {
+      fs.mkdirSync(PRIVATE_KYC_DIR, { recursive: true });
+    }
+    cb(null, PRIVATE_KYC_DIR);
+  },
+  filename: function (req, file, cb) {
+    // Field name prefix is how utils/kycDocuments.js recognises a KYC upload
+    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
+    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
+  }
+});
+
+// File filter
+const fileFilter = (req, file, cb) => {
+  // Allow images and documents
+  const allowedTypes = /jpeg|jpg|png|gif|pdf|doc|docx/;
+  const extname = allowedTypes.test(path.extname(file.originalname).toLowerCase());
+  const mimetype = allowedTypes.test(file.mimetype);
+
+  if (mimetype && extname) {
+    return cb(null, true);
+  } else {
+    cb(new Error('Only images and documents are allowed!'));
+  }
+};
+
+const kycUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: fileFilter
+});
+
+module.exports = kycUpload;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+
+// Signed requests older than this are rejected (replay protection)
+const DEFAULT_MAX_SKEW_SECONDS = 300;
+
+/**
+ * Resolve the client IP, trusting proxy headers only when explicitly enabled
+ * @param {Object} req - Express request
+ * @param {Boolean} trustProxy
+ * @returns {String}
+ */
+const getClientIp = (req, trustProxy) => {
+  if (trustProxy) {
+    const forwarded = req.headers['x-forwarded-for'];
+    if (forwarded) {
+      return forwarded.split(',')[0].trim();
+    }
+    if (req.headers['x-real-ip']) {
+      return req.headers['x-real-ip'].trim();
+    }
+  }
+  return (req.ip || req.socket?.remoteAddress || '').replace(/^::ffff:/, '');
+};
+
+/**
+ * Convert a dotted IPv4 address to an unsigned 32-bit integer
+ * @param {String} ip
+ * @returns {Number|null}
+ */
+const ipv4ToInt = (ip) => {
+  const parts = String(ip).split('.');
+  if (parts.length !== 4) return null;
+  let result = 0;
+  for (const part of parts) {
+    const octet = parseInt(part, 10);
+    if (isNaN(octet) || octet < 0 || octet > 255) return null;
+    result = (result * 256) + octet;
+  }
+  return result;
+};
+
+/**
+ * Check an IP against an allowlist entry (exact address or IPv4 CIDR)
+ * @param {String} ip
+ * @param {String} entry - e.g. "203.0.113.7" or "203.0.113.0/24"
+ * @returns {Boolean}
+ */
+const ipMatches = (ip, entry) => {
+  if (!entry.includes('/')) {
+    return ip === entry;
+  }
+  const [range, bitsStr] = entry.split('/');
+  const bits = parseInt(bitsStr, 10);
+  const ipInt = ipv4ToInt(ip);
+  const rangeInt = ipv4ToInt(range);
+  if (ipInt === null || rangeInt === null || isNaN(bits) || bits < 0 || bits > 32) {
+    return false;
+  }
+  if (bits === 0) return true;
+  const mask = (0xFFFFFFFF << (32 - bits)) >>> 0;
+  return ((ipInt & mask) >>> 0) === ((rangeInt & mask) >>> 0);
+};
+
+/**
+ * Constant-time string comparison
+ * @param {String} a
+ * @param {String} b
+ * @returns {Boolean}
+ */
+const safeEqual = (a, b) => {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+};
+
+/**
+ * Verify an HMAC-SHA256 signature of "<timestamp>.<rawBody>".
+ * The x-webhook-timestamp header is required and stale timestamps are rejected,
+ * so a captured delivery cannot be replayed outside the allowed window.
+ * @returns {{valid: Boolean, reason?: String}}
+ */
+const verifyHmac = (req, secret, maxSkewSeconds) => {
+  const header = req.headers['x-webhook-signature'] || req.headers['x-signature'];
+  if (!header) {
+    return { valid: false, reason: 'missing signature' };
+  }
+  const signature = String(header).replace(/^sha256=/i, '').trim().toLowerCase();
+  const timestamp = req.headers['x-webhook-timestamp'];
+  if (!timestamp) {
+    return { valid: false, reason: 'missing timestamp' };
+  }
+
+  const sentAt = parseInt(timestamp, 10);
+  const sentAtSeconds = String(timestamp).length > 10 ? Math.floor(sentAt / 1000) : sentAt;
+  if (isNaN(sentAt) || Math.abs(Math.floor(Date.now() / 1000) - sentAtSeconds) > maxSkewSeconds) {
+    return { valid: false, reason: 'stale or invalid timestamp' };
+  }
+  const message = `${timestamp}.${req.rawBody || ''}`;
+
+  const expected = crypto.createHmac('sha256', secret).update(message, 'utf8').digest('hex');
+  return safeEqual(signature, expected)
+    ? { valid: true }
+    : { valid: false, reason: 'signature mismatch' };
+};
+
+/**
+ * Build a webhook authentication middleware.
+ *
+ * Configuration (environment, prefix defaults to DEEPCALL_WEBHOOK):
+ *   <PREFIX>_SECRET          Shared secret. Accepted as an HMAC-SHA256 signature of the raw
+ *                            body signed with x-webhook-timestamp, or as a plain token in the
+ *                            x-webhook-token header.
+ *   <PREFIX>_ALLOW_QUERY_TOKEN  "true" to also accept the token as ?token=, for providers that
+ *                            can only be configured with a URL (the URL ends up in access logs).
+ *   <PREFIX>_IP_ALLOWLIST    Optional comma-separated IPs / IPv4 CIDRs.
+ *   <PREFIX>_TRUST_PROXY     "true" to read the client IP from X-Forwarded-For / X-Real-IP.
+ *   <PREFIX>_ALLOW_UNSIGNED  "true" to accept deliveries when no secret is configured.
+ *   <PREFIX>_MAX_SKEW_SECONDS  Allowed age of signed timestamps (default 300).
+ *
+ * @param {String} [prefix]
+ * @returns {Function} Express middleware
+ */
+const webhookAuth = (prefix = 'DEEPCALL_WEBHOOK') => {
+  let warnedUnsigned = false;
+
+  return (req, res, next) => {
+    const secret = process.env[`${prefix}_SECRET`];
+    const allowlist = (process.env[`${prefix}_IP_ALLOWLIST`] || '')
+      .split(',')
+      .map(entry => entry.trim())
+      .filter(Boolean);
+    const trustProxy = process.env[`${prefix}_TRUST_PROXY`] === 'true';
+    const allowUnsigned = process.env[`${prefix}_ALLOW_UNSIGNED`] === 'true';
+    const allowQueryToken = process.env[`${prefix}_ALLOW_QUERY_TOKEN`] === 'true';
+    const maxSkewSeconds = parseInt(process.env[`${prefix}_MAX_SKEW_SECONDS`], 10) || DEFAULT_MAX_SKEW_SECONDS;
+
+    const clientIp = getClientIp(req, trustProxy);
+    req.webhookClientIp = clientIp;
+
+    if (allowlist.length > 0 && !allowlist.some(entry => ipMatches(clientIp, entry))) {
+      console.warn(`🚫 Webhook rejected: IP ${clientIp} not in allowlist`);
+      return res.status(403).json({
+        success: false,
+        message: 'Forbidden'
+      });
+    }
+
+    if (!secret) {
+      if (allowUnsigned) {
+        if (!warnedUnsigned) {
+          console.warn(`⚠️  ${prefix}_SECRET is not set - accepting unsigned webhook deliveries (${prefix}_ALLOW_UNSIGNED=true)`);
+          warnedUnsigned = true;
+        }
+        return next();
+      }
+      console.error(`❌ Webhook rejected: ${prefix}_SECRET is not configured`);
+      return res.status(503).json({
+        success: false,
+        message: 'Webhook verification is not configured'
+      });
+    }
+
+    const token = req.headers['x-webhook-token'] || (allowQueryToken ? req.query?.token : undefined);
+    if (token && safeEqual(token, secret)) {
+      return next();
+    }
+
+    const hmac = verifyHmac(req, secret, maxSkewSeconds);
+    if (hmac.valid) {
+      return next();
+    }
+
+    console.warn(`🚫 Webhook rejected from ${clientIp}: ${token ? 'invalid token' : hmac.reason}`);
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid webhook signature'
+    });
+  };
+};
+
+module.exports = {
+  webhookAuth,
+  getClientIp,
+  ipMatches
+};
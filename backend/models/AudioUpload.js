@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+// An interview recording uploaded in chunks while the interview is running.
+// Chunks are written to disk as they arrive (uploads/temp/audio-chunks/<uploadId>/) so a dropped
+// connection only costs the chunk in flight: the client asks which chunks the server has
+// and resends the rest. On completion the chunks are assembled, checksummed, stored like a
+// single-shot upload, and linked to the SurveyResponse's audioRecording.
+const audioUploadSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey'
+  },
+  sessionId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  clientInterviewId: {
+    type: String,
+    index: true
+  },
+  mimeType: {
+    type: String,
+    default: 'audio/webm'
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'uploading',  // Receiving chunks
+      'assembled',  // All chunks received, file stored and checksummed
+      'incomplete'  // Flagged by reconciliation: chunks never finished arriving
+    ],
+    default: 'uploading',
+    index: true
+  },
+
+  // Chunks received so far; index is the client's 0-based sequence number
+  chunks: [{
+    _id: false,
+    index: { type: Number, required: true },
+    size: { type: Number, required: true },
+    sha256: { type: String, required: true },
+    receivedAt: { type: Date, default: Date.now }
+  }],
+  lastChunkAt: {
+    type: Date
+  },
+
+  // Set on completion
+  totalChunks: {
+    type: Number
+  },
+  totalSize: {
+    type: Number
+  },
+  checksum: {
+    type: String // sha256 of the assembled file
+  },
+  audioUrl: {
+    type: String // S3 key or /uploads/audio path, as uploadAudioFile stores it
+  },
+  storageType: {
+    type: String,
+    enum: ['s3', 'local', null],
+    default: null
+  },
+  assembledAt: {
+    type: Date
+  },
+
+  surveyResponse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyResponse'
+  },
+  linkedAt: {
+    type: Date
+  },
+
+  // Why reconciliation flagged the upload
+  issue: {
+    type: String
+  },
+  reconciledAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+audioUploadSchema.index({ status: 1, lastChunkAt: 1 });
+
+// Chunk indexes missing from 0..expected-1
+audioUploadSchema.methods.getMissingChunks = function(expected) {
+  const received = new Set(this.chunks.map(chunk => chunk.index));
+  const total = expected ?? (received.size > 0 ? Math.max(...received) + 1 : 0);
+  const missing = [];
+  for (let index = 0; index < total; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+};
+
+module.exports = mongoose.model('AudioUpload', audioUploadSchema);
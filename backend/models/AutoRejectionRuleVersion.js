@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a survey's auto-rejection rule set. A new document is written every
+// time the rules are saved; SurveyResponse.verificationData.autoRejectionRuleVersion points
+// back to the version that rejected the response.
+const autoRejectionRuleVersionSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  // Rules exactly as stored on Survey.autoRejectionRules.rules at this version
+  rules: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+
+  // Optional note from the person who saved the rules
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+autoRejectionRuleVersionSchema.index({ survey: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('AutoRejectionRuleVersion', autoRejectionRuleVersionSchema);
@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+
+// A callback to the respondent of a sampled CAPI interview, to check that the interview
+// happened as recorded (utils/backCheck.js samples them at the company's
+// qualitySettings.callbackVerificationRate). One per response.
+const backCheckSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyResponse',
+    required: true
+  },
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Who to call, and what the interview recorded, for the caller's script
+  phone: {
+    type: String,
+    required: true
+  },
+  respondentName: {
+    type: String
+  },
+  expected: {
+    gender: String,
+    age: Number,
+    durationMinutes: Number,
+    interviewDate: Date,
+    ac: String
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'pending',     // Waiting to be called
+      'completed',   // Respondent reached and the script answered
+      'unreachable', // MAX_CALL_ATTEMPTS calls without reaching the respondent
+      'cancelled'    // The response was rejected or removed before the call
+    ],
+    default: 'pending'
+  },
+  // A caller holds the task while on the phone so two people do not call the same respondent
+  claim: {
+    claimedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  },
+
+  attempts: [{
+    _id: false,
+    outcome: {
+      type: String,
+      enum: ['reached', 'no_answer', 'busy', 'switched_off', 'wrong_number', 'call_back_later']
+    },
+    note: String,
+    calledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    calledAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // The verification script as answered on the call
+  answers: {
+    interviewHappened: {
+      type: String,
+      enum: ['yes', 'no', 'not_sure']
+    },
+    genderMatches: Boolean,
+    reportedAge: Number,
+    reportedDurationMinutes: Number,
+    notes: String
+  },
+
+  result: {
+    type: String,
+    enum: ['passed', 'failed', 'inconclusive']
+  },
+  // Why it failed or was inconclusive, e.g. interview_denied, age_mismatch
+  reasons: [{
+    type: String
+  }],
+  // What was done with the interview after a failed or inconclusive check
+  action: {
+    type: String,
+    enum: ['none', 'reopened', 'rejected'],
+    default: 'none'
+  },
+
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+backCheckSchema.index({ response: 1 }, { unique: true });
+backCheckSchema.index({ survey: 1, status: 1, createdAt: 1 });
+backCheckSchema.index({ interviewer: 1, result: 1 });
+
+module.exports = mongoose.model('BackCheck', backCheckSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+// A unit of background work run by the job queue (see utils/jobQueue.js).
+// Workers in every server instance claim due jobs atomically and hold a lock that they keep
+// extending while the job runs; a job whose lock expired (its server died) is claimed again.
+// Failed attempts are retried with exponential backoff until maxAttempts, and every attempt is
+// kept in history for the admin screen.
+const backgroundJobSchema = new mongoose.Schema({
+  // Job type, e.g. 'qc.processBatches' - one handler per name (jobs/registerJobs.js)
+  name: {
+    type: String,
+    required: true,
+    index: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'queued',     // Waiting for runAt (a first run or a retry after backoff)
+      'running',    // Claimed by a worker
+      'completed',  // Handler finished
+      'failed',     // Every attempt failed
+      'cancelled'   // Cancelled by an admin before it ran
+    ],
+    default: 'queued'
+  },
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  priority: {
+    type: Number,
+    default: 0 // Higher runs first among due jobs
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3
+  },
+  backoffMs: {
+    type: Number,
+    default: 60000 // Delay before the first retry; doubled for each further retry
+  },
+
+  // Jobs sharing a key are not queued twice: activeKey holds the key while the job is queued or
+  // running and is cleared when it finishes
+  key: {
+    type: String
+  },
+  activeKey: {
+    type: String
+  },
+  // Created by a recurring schedule rather than on demand
+  recurring: {
+    type: Boolean,
+    default: false
+  },
+
+  lockedBy: {
+    type: String // Worker id: "<hostname>:<pid>"
+  },
+  lockExpiresAt: {
+    type: Date
+  },
+
+  result: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  history: [{
+    _id: false,
+    attempt: { type: Number },
+    worker: { type: String },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    status: { type: String, enum: ['completed', 'failed'] },
+    error: { type: String }
+  }],
+
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rerunBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  rerunAt: {
+    type: Date
+  },
+
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  },
+  // Completed jobs are removed after a while; failed ones stay until re-run
+  expireAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Claim query: due queued jobs and running jobs with an expired lock
+backgroundJobSchema.index({ status: 1, runAt: 1, priority: -1 });
+backgroundJobSchema.index({ status: 1, lockExpiresAt: 1 });
+backgroundJobSchema.index({ createdAt: -1 });
+backgroundJobSchema.index(
+  { activeKey: 1 },
+  { unique: true, partialFilterExpression: { activeKey: { $type: 'string' } } }
+);
+backgroundJobSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('BackgroundJob', backgroundJobSchema);
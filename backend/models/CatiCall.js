@@ -8,6 +8,12 @@ const catiCallSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+
+  // Telephony provider that placed the call (see utils/telephony)
+  provider: {
+    type: String,
+    default: 'deepcall'
+  },
   
   // Survey reference (for CATI interviews)
   survey: {
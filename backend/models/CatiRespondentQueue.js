@@ -38,7 +38,8 @@ const catiRespondentQueueSchema = new mongoose.Schema({
       'switched_off',      // Phone switched off
       'not_reachable',     // Number not reachable
       'does_not_exist',    // Number does not exist
-      'rejected'           // Call rejected by respondent
+      'rejected',          // Call rejected by respondent
+      'quota_full'         // Screened out: respondent's quota cell was full
     ],
     default: 'pending',
     index: true
@@ -98,6 +99,7 @@ const catiRespondentQueueSchema = new mongoose.Schema({
       'rejected',
       'technical_issue',
       'consent_refused',
+      'quota_full',
       'other'
     ]
   },
@@ -107,6 +109,30 @@ const catiRespondentQueueSchema = new mongoose.Schema({
   callLaterDate: {
     type: Date // If abandonmentReason is 'call_later'
   },
+  // Caller who promised the callback; they get it first once it is due
+  callbackAssignedTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Until this time only callbackAssignedTo may claim the due callback
+  callbackExclusiveUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Retry policy state (see utils/catiRetryPolicy.js)
+  nextAttemptAt: {
+    type: Date,
+    default: null
+  },
+  retryExhaustedAt: {
+    type: Date,
+    default: null
+  },
+  retryExhaustedReason: {
+    type: String
+  },
   
   // Priority (for queue ordering)
   priority: {
@@ -123,6 +149,12 @@ const catiRespondentQueueSchema = new mongoose.Schema({
   assignedAt: {
     type: Date
   },
+  // Reservation deadline while status is 'assigned'; the respondent returns to
+  // 'pending' if the caller has not dialled by then. Cleared once the call starts.
+  reservationExpiresAt: {
+    type: Date,
+    default: null
+  },
   lastAttemptedAt: {
     type: Date
   },
@@ -144,6 +176,11 @@ catiRespondentQueueSchema.index({ survey: 1, status: 1 });
 catiRespondentQueueSchema.index({ survey: 1, assignedTo: 1, status: 1 });
 catiRespondentQueueSchema.index({ status: 1, priority: -1, createdAt: 1 }); // For queue ordering
 catiRespondentQueueSchema.index({ 'respondentContact.phone': 1, survey: 1 }); // Prevent duplicates
+catiRespondentQueueSchema.index({ survey: 1, status: 1, 'respondentContact.ac': 1, priority: -1, createdAt: 1 }); // Atomic per-AC claims
+catiRespondentQueueSchema.index({ status: 1, reservationExpiresAt: 1 }); // Reservation expiry sweep
+catiRespondentQueueSchema.index({ survey: 1, status: 1, callLaterDate: 1 }); // Due callbacks
+catiRespondentQueueSchema.index({ survey: 1, status: 1, nextAttemptAt: 1 }); // Due retries
+catiRespondentQueueSchema.index({ survey: 1, status: 1, callbackAssignedTo: 1 }); // Personal callbacks
 
 module.exports = mongoose.model('CatiRespondentQueue', catiRespondentQueueSchema);
 
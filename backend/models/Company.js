@@ -103,10 +103,13 @@ const companySchema = new mongoose.Schema({
   },
 
   // Quality and Operational Settings
+  // Interviewer trust scores run 0-100 (utils/trustScore.js): below minimumTrustScore an
+  // interviewer cannot be newly assigned, from autoApprovalThreshold their QC batches are
+  // sampled less
   qualitySettings: {
     defaultTrustScore: { type: Number, default: 100, min: 0, max: 1000 },
     minimumTrustScore: { type: Number, default: 50, min: 0, max: 1000 },
-    autoApprovalThreshold: { type: Number, default: 800, min: 0, max: 1000 },
+    autoApprovalThreshold: { type: Number, default: 90, min: 0, max: 1000 },
     callbackVerificationRate: { type: Number, default: 10, min: 0, max: 100 }
   },
 
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A group of responses the duplicate detector (utils/duplicateDetection.js) thinks may be
+// duplicated or fabricated, for a quality agent to confirm or dismiss. Re-running detection
+// updates the same flag (survey + type + key); a resolved flag that picks up new responses is
+// reopened.
+const duplicateFlagSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'answer_similarity', // Same interviewer, near-identical answers
+      'phone',             // Same respondent phone number
+      'name',              // Same respondent name in the same AC
+      'time_overlap',      // Same interviewer, interviews running at the same time
+      'gps_cluster'        // Same interviewer, many interviews from one spot on one day
+    ],
+    required: true
+  },
+  // Identifies the group within its type, e.g. the phone number or the group's first response
+  key: {
+    type: String,
+    required: true
+  },
+
+  responses: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyResponse'
+  }],
+  interviewers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // One line for the list, and the numbers behind it (similarity, overlap, cluster radius...)
+  summary: {
+    type: String
+  },
+  details: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'confirmed', 'dismissed'],
+    default: 'open'
+  },
+  resolution: {
+    note: String,
+    rejectedResponses: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SurveyResponse'
+    }],
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    resolvedAt: Date
+  },
+  reopenedAt: {
+    type: Date
+  },
+
+  firstDetectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastDetectedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+duplicateFlagSchema.index({ survey: 1, type: 1, key: 1 }, { unique: true });
+duplicateFlagSchema.index({ survey: 1, status: 1, lastDetectedAt: -1 });
+duplicateFlagSchema.index({ responses: 1 });
+
+module.exports = mongoose.model('DuplicateFlag', duplicateFlagSchema);
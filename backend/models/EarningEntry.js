@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// One line of an interviewer's earnings ledger: a credit for an approved interview, or the
+// reversal of that credit when the interview is later rejected (utils/earningsLedger.js).
+// Entries are never edited; a payout cycle (models/PayoutCycle.js) claims them when it pays out.
+const earningEntrySchema = new mongoose.Schema({
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  response: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SurveyResponse',
+    required: true
+  },
+  // Position of the entry among the response's entries (1 = first credit, 2 = its reversal, ...)
+  sequence: {
+    type: Number,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['credit', 'reversal'],
+    required: true
+  },
+  // Positive for a credit, negative for a reversal (INR)
+  amount: {
+    type: Number,
+    required: true
+  },
+  // How a credit was priced: the survey's cost slab the interview fell in, or its flat cost
+  pricing: {
+    costPerInterview: Number,
+    interviewNumber: Number, // The interviewer's nth credited interview on the survey
+    slab: {
+      minInterviews: Number,
+      maxInterviews: Number
+    }
+  },
+  payoutCycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PayoutCycle'
+  }
+}, {
+  timestamps: true
+});
+
+earningEntrySchema.index({ response: 1, sequence: 1 }, { unique: true });
+earningEntrySchema.index({ interviewer: 1, createdAt: -1 });
+earningEntrySchema.index({ company: 1, payoutCycle: 1, createdAt: 1 });
+
+module.exports = mongoose.model('EarningEntry', earningEntrySchema);
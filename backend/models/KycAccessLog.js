@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// Who asked for, opened or was refused an interviewer's KYC document (utils/kycDocuments.js).
+// Entries are only ever created, never updated.
+const kycAccessLogSchema = new mongoose.Schema({
+  // Whose document
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  field: {
+    type: String,
+    enum: ['cvUpload', 'aadhaarDocument', 'panDocument', 'passportPhoto', 'bankDocumentUpload'],
+    required: true
+  },
+
+  viewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  viewerType: {
+    type: String
+  },
+
+  action: {
+    type: String,
+    enum: [
+      'link_issued', // A signed link was handed out
+      'viewed',      // The document was served through a link
+      'denied'       // Not allowed, or the link was invalid or expired
+    ],
+    required: true
+  },
+  reason: {
+    type: String
+  },
+
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+kycAccessLogSchema.index({ owner: 1, createdAt: -1 });
+kycAccessLogSchema.index({ viewer: 1, createdAt: -1 });
+
+module.exports = mongoose.model('KycAccessLog', kycAccessLogSchema);
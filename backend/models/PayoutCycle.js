@@ -0,0 +1,96 @@
+const mongoose = require('mongoose');
+
+// A company's payout for one period of its paymentConfig.payoutSchedule: the unpaid ledger
+// balance (models/EarningEntry.js) of each interviewer at the end of the period, with the bank
+// details it is paid to (utils/payoutCycles.js)
+const payoutCycleSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+  schedule: {
+    type: String,
+    enum: ['daily', 'weekly', 'bi-weekly', 'monthly']
+  },
+  // Ledger entries created before periodEnd and not yet in a cycle are paid in this one
+  periodStart: {
+    type: Date
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+
+  lines: [{
+    _id: false,
+    interviewer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    name: String,
+    memberId: String,
+    amount: {
+      type: Number,
+      required: true
+    },
+    entryCount: {
+      type: Number,
+      default: 0
+    },
+    // Snapshot taken when the cycle is generated
+    bank: {
+      accountHolderName: String,
+      accountNumber: String,
+      ifscCode: String,
+      bankName: String
+    },
+    status: {
+      type: String,
+      enum: [
+        'pending',              // In the bank transfer file
+        'missing_bank_details', // Left out of the file; carried to the next cycle when this one is paid
+        'paid',
+        'carried_forward'
+      ],
+      default: 'pending'
+    }
+  }],
+  totalAmount: {
+    type: Number,
+    default: 0
+  },
+
+  status: {
+    type: String,
+    enum: ['open', 'exported', 'paid'],
+    default: 'open'
+  },
+  exportedAt: Date,
+  exportedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  paidAt: Date,
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bank batch or UTR reference entered when the transfer is confirmed
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+payoutCycleSchema.index({ company: 1, periodEnd: -1 }, { unique: true });
+payoutCycleSchema.index({ 'lines.interviewer': 1, periodEnd: -1 });
+
+module.exports = mongoose.model('PayoutCycle', payoutCycleSchema);
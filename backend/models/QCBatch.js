@@ -24,6 +24,18 @@ const qcBatchSchema = new mongoose.Schema({
     index: true,
     default: Date.now
   },
+
+  // When the batch stops collecting, from the config's batching mode (unset on batches created
+  // before batch boundaries were configurable: those close at the midnight after batchDate)
+  closesAt: {
+    type: Date
+  },
+
+  // Set when the interviewer was on escalated (100%) QC when the batch was created
+  escalation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QCEscalation'
+  },
   
   // Batch status
   status: {
@@ -142,8 +154,19 @@ const qcBatchSchema = new mongoose.Schema({
       minRate: Number,
       maxRate: Number,
       action: String,
-      description: String
+      description: String,
+      escalateInterviewer: Boolean
     }],
+    batching: {
+      mode: String,
+      batchSize: Number,
+      windowHours: Number,
+      maxOpenHours: Number
+    },
+    samplingStrategy: String,
+    escalationBatches: Number,
+    // Set when the interviewer's trust score earned the batch the lower trustedSamplePercentage
+    trustedSample: Boolean,
     // Reference to the config that was used
     configId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -151,6 +174,17 @@ const qcBatchSchema = new mongoose.Schema({
     }
   },
   
+  // How the sample was drawn: strategy and, per stratum, responses in the batch vs sampled
+  sampling: {
+    strategy: String,
+    strata: [{
+      _id: false,
+      key: String,
+      total: Number,
+      sampled: Number
+    }]
+  },
+
   // Metadata
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -166,6 +200,7 @@ qcBatchSchema.index({ survey: 1, interviewer: 1, status: 1 });
 qcBatchSchema.index({ survey: 1, status: 1 });
 qcBatchSchema.index({ interviewer: 1, status: 1 });
 qcBatchSchema.index({ status: 1, batchDate: -1 });
+qcBatchSchema.index({ status: 1, closesAt: 1 });
 
 // Method to calculate and update QC stats
 qcBatchSchema.methods.updateQCStats = async function() {
@@ -226,5 +261,16 @@ qcBatchSchema.methods.updateQCStats = async function() {
   return this;
 };
 
+// A batch moving between stages moves its pending responses between "processing in batch" and
+// "under QC queue" in the analytics store (utils/surveyAnalyticsStore.js)
+qcBatchSchema.pre('save', function() {
+  this.$locals.analyticsStageChanged = !this.isNew && (this.isModified('status') || this.isModified('remainingDecision'));
+});
+
+qcBatchSchema.post('save', function(doc) {
+  if (!doc.$locals.analyticsStageChanged) return;
+  require('../utils/surveyAnalyticsStore').queueResponseAnalytics(doc.responses || []);
+});
+
 module.exports = mongoose.model('QCBatch', qcBatchSchema);
 
@@ -51,8 +51,78 @@ const qcBatchConfigSchema = new mongoose.Schema({
     // Description for UI display
     description: {
       type: String
+    },
+    // Put the interviewer on 100% QC for their next escalationBatches batches
+    escalateInterviewer: {
+      type: Boolean,
+      default: false
     }
   }],
+
+  // When a batch stops collecting and is sampled (see utils/qcBatchHelper.js)
+  batching: {
+    mode: {
+      type: String,
+      enum: [
+        'day',          // One batch per interviewer per day, closed at midnight IST
+        'count',        // Closed once it holds batchSize responses
+        'time_window'   // Closed at the end of each windowHours window of the day (IST)
+      ],
+      default: 'day'
+    },
+    // Responses after which a batch closes early (every mode); the batch size in 'count' mode
+    batchSize: {
+      type: Number,
+      default: 100,
+      min: 1,
+      max: 5000
+    },
+    // 'time_window': window length; windows start at midnight IST
+    windowHours: {
+      type: Number,
+      default: 4,
+      min: 1,
+      max: 24
+    },
+    // 'count': a batch that has not filled up is closed after this long anyway
+    maxOpenHours: {
+      type: Number,
+      default: 24,
+      min: 1,
+      max: 24 * 14
+    }
+  },
+
+  // How the QC sample is drawn from a closed batch (see utils/qcSampling.js)
+  sampling: {
+    strategy: {
+      type: String,
+      enum: [
+        'random',            // Simple random sample
+        'stratified_ac',     // Proportional to each assembly constituency's share of the batch
+        'stratified_time',   // Proportional to each time-of-day band's share of the batch
+        'risk_weighted'      // Riskier interviews are more likely to be picked
+      ],
+      default: 'random'
+    }
+  },
+
+  // Batches an escalated interviewer stays on 100% QC for
+  escalationBatches: {
+    type: Number,
+    default: 3,
+    min: 1,
+    max: 100
+  },
+
+  // Sample percentage for interviewers whose trust score is at or above the company's
+  // qualitySettings.autoApprovalThreshold (utils/trustScore.js); never raises samplePercentage
+  trustedSamplePercentage: {
+    type: Number,
+    default: 20,
+    min: 1,
+    max: 100
+  },
   
   // Is this the active configuration?
   isActive: {
@@ -101,6 +171,10 @@ qcBatchConfigSchema.statics.getActiveConfig = async function(surveyId, companyId
   if (!config) {
     return {
       samplePercentage: 40,
+      batching: { mode: 'day', batchSize: 100, windowHours: 4, maxOpenHours: 24 },
+      sampling: { strategy: 'random' },
+      escalationBatches: 3,
+      trustedSamplePercentage: 20,
       approvalRules: [
         {
           minRate: 50,
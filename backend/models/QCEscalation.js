@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// An interviewer put on 100% QC for a survey after a bad batch (an approval rule with
+// escalateInterviewer). Each batch created while the escalation is active is sampled at 100%
+// and uses up one of batchesRemaining; a further bad batch tops it up again.
+const qcEscalationSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company'
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'active',     // New batches are sampled at 100%
+      'completed',  // Served all its batches
+      'cleared'     // Lifted by an admin
+    ],
+    default: 'active'
+  },
+  batchesRemaining: {
+    type: Number,
+    default: 0
+  },
+
+  // The batch whose approval rate triggered (or last extended) the escalation
+  triggerBatch: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QCBatch'
+  },
+  triggerApprovalRate: {
+    type: Number
+  },
+  reason: {
+    type: String
+  },
+  // Batches sampled at 100% because of this escalation
+  batches: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'QCBatch'
+  }],
+
+  clearedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  clearedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// At most one active escalation per interviewer per survey
+qcEscalationSchema.index(
+  { survey: 1, interviewer: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+qcEscalationSchema.index({ survey: 1, status: 1 });
+
+module.exports = mongoose.model('QCEscalation', qcEscalationSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+// A survey report generated from live responses (see utils/reportJobRunner.js).
+// The job pulls the matching responses from MongoDB into a data snapshot (XLSX in the layout the
+// report generator reads), runs the generator on it, and keeps the exact query and a digest of the
+// responses it used, so a report can be traced back to the data behind it.
+const reportJobSchema = new mongoose.Schema({
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true
+  },
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'queued',     // Waiting to start
+      'running',    // Exporting responses or generating the report
+      'completed',  // Files stored
+      'failed',     // Stopped with an error
+      'cancelled'   // Cancelled by a user
+    ],
+    default: 'queued',
+    index: true
+  },
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+
+  progress: {
+    stage: {
+      type: String,
+      enum: ['queued', 'exporting', 'generating', 'audit', 'storing', 'done'],
+      default: 'queued'
+    },
+    percent: { type: Number, default: 0, min: 0, max: 100 },
+    message: { type: String }
+  },
+
+  // What was asked for: date window (days in the analytics timezone), reference date for the
+  // moving averages, and the report filters
+  params: {
+    startDate: { type: String },
+    endDate: { type: String },
+    referenceDate: { type: String },
+    statuses: { type: [String], default: undefined },
+    interviewMode: { type: String },
+    ac: { type: String },
+    interviewerIds: { type: [String], default: undefined },
+    interviewerMode: { type: String, enum: ['include', 'exclude'], default: 'include' },
+    includeAuditTrail: { type: Boolean, default: true }
+  },
+  // The MongoDB filter the responses were read with, as extended JSON
+  query: {
+    type: String
+  },
+
+  // The data the report was generated from
+  snapshot: {
+    responseCount: { type: Number },
+    // sha256 over the sorted "responseId:updatedAt" pairs: equal digests mean the same responses
+    // in the same state
+    responseDigest: { type: String },
+    // Whether the weight columns hold the survey's raked weights, and which weighting version
+    weighted: { type: Boolean },
+    weightingVersion: { type: Number },
+    takenAt: { type: Date }
+  },
+
+  // Things the report was generated despite, e.g. no weighting configured
+  warnings: {
+    type: [String],
+    default: undefined
+  },
+
+  files: [{
+    _id: false,
+    kind: { type: String, enum: ['pptx', 'xlsx', 'audit'], required: true },
+    fileName: { type: String, required: true }, // In uploads/reports/output
+    s3Key: { type: String },
+    size: { type: Number },
+    checksum: { type: String } // sha256
+  }],
+
+  error: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  heartbeatAt: {
+    type: Date // Touched while the generator runs
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+reportJobSchema.index({ company: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReportJob', reportJobSchema);
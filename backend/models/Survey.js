@@ -365,6 +365,15 @@ const surveySchema = new mongoose.Schema({
     }
   }],
 
+  // Languages the questionnaire is written in. The first entry is the language of
+  // question/option `text`; the others live in the *Variants maps. Empty means the survey
+  // still uses brace-encoded translations ("Text {Translation}").
+  languages: [{
+    _id: false,
+    code: { type: String, required: true, trim: true },
+    label: { type: String, trim: true }
+  }],
+
   // Survey Questions and Structure
   sections: [{
     id: { type: String, required: true },
@@ -380,6 +389,9 @@ const surveySchema = new mongoose.Schema({
       },
       text: { type: String, required: true },
       description: { type: String },
+      // Translations keyed by language code (see Survey.languages); text/description hold the first language
+      textVariants: { type: Map, of: String, default: undefined },
+      descriptionVariants: { type: Map, of: String, default: undefined },
       required: { type: Boolean, default: false },
       order: { type: Number, default: 0 },
       questionNumber: { type: String, default: null }, // Custom question number (e.g., "1", "2", "1.a", "1.b")
@@ -387,7 +399,8 @@ const surveySchema = new mongoose.Schema({
         id: { type: String, required: true },
         text: { type: String, required: true },
         value: { type: String, required: true },
-        code: { type: String, default: null } // Option code (default: 1,2,3,4...)
+        code: { type: String, default: null }, // Option code (default: 1,2,3,4...)
+        textVariants: { type: Map, of: String, default: undefined }
       }],
       scale: {
         min: { type: Number },
@@ -436,12 +449,15 @@ const surveySchema = new mongoose.Schema({
     },
     text: { type: String, required: true },
     description: { type: String },
+    textVariants: { type: Map, of: String, default: undefined },
+    descriptionVariants: { type: Map, of: String, default: undefined },
     required: { type: Boolean, default: false },
     order: { type: Number, default: 0 },
     options: [{
       id: { type: String, required: true },
       text: { type: String, required: true },
-      value: { type: String, required: true }
+      value: { type: String, required: true },
+      textVariants: { type: Map, of: String, default: undefined }
     }],
     scale: {
       min: { type: Number },
@@ -500,6 +516,171 @@ const surveySchema = new mongoose.Schema({
     default: []
   },
 
+  // CATI retry policy (unset fields fall back to DEFAULT_RETRY_POLICY in utils/catiRetryPolicy.js)
+  catiRetryPolicy: {
+    enabled: { type: Boolean },
+    maxAttemptsByDisposition: {
+      busy: { type: Number, min: 0 },
+      no_answer: { type: Number, min: 0 },
+      switched_off: { type: Number, min: 0 },
+      not_reachable: { type: Number, min: 0 },
+      call_failed: { type: Number, min: 0 }
+    },
+    minGapMinutes: { type: Number, min: 0 },
+    maxFailedAttempts: { type: Number, min: 1 },
+    callingHours: {
+      start: { type: String, match: [/^\d{1,2}:\d{2}$/, 'Calling hours must be in HH:mm format'] },
+      end: { type: String, match: [/^\d{1,2}:\d{2}$/, 'Calling hours must be in HH:mm format'] }
+    },
+    timezone: { type: String },
+    callbackExclusiveMinutes: { type: Number, min: 0 }
+  },
+
+  // Auto-rejection rules (version 0 / unset means DEFAULT_AUTO_REJECTION_RULES in utils/autoRejectionHelper.js).
+  // Every save bumps the version and snapshots the rule set in AutoRejectionRuleVersion.
+  autoRejectionRules: {
+    enabled: { type: Boolean, default: true },
+    version: { type: Number, default: 0 },
+    rules: {
+      type: [{
+        _id: false,
+        ruleId: { type: String, required: true },
+        name: { type: String, trim: true },
+        type: {
+          type: String,
+          enum: ['duration', 'answer', 'gps_distance', 'duplicate_answer', 'audio'],
+          required: true
+        },
+        questionRef: {
+          questionId: { type: String, default: null },
+          textMatches: { type: [String], default: undefined }
+        },
+        operator: {
+          type: String,
+          enum: ['lt', 'lte', 'gt', 'gte', 'eq', 'neq', 'in', 'not_in', 'starts_with', 'contains'],
+          required: true
+        },
+        threshold: { type: mongoose.Schema.Types.Mixed },
+        matchOn: { type: String, enum: ['value', 'code', 'value_or_code'] },
+        ignoreValues: { type: [String], default: undefined },
+        modes: [{ type: String, enum: ['capi', 'cati', 'online'] }],
+        reason: { type: String, required: true, trim: true },
+        condition: { type: String, trim: true },
+        enabled: { type: Boolean, default: true }
+      }],
+      default: undefined
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: { type: Date },
+    // Rule set version the responses' duplicateAnswerKeys were built for (autoRejection.indexDuplicateAnswers)
+    duplicateIndexVersion: { type: Number }
+  },
+
+  // Quota cells, enforced while targetAudience.quotaManagement is on (see utils/quotaEngine.js).
+  // Dimensions band the answers (gender, AC, district or a question); each cell combines bands with a target.
+  quotas: {
+    fullCellAction: {
+      type: String,
+      enum: [
+        'screen_out', // End the interview and keep the partial response as Terminated (Quota_Full)
+        'terminate'   // End the interview without saving anything
+      ],
+      default: 'screen_out'
+    },
+    dimensions: {
+      type: [{
+        _id: false,
+        key: { type: String, required: true, trim: true },
+        label: { type: String, trim: true },
+        source: { type: String, enum: ['gender', 'ac', 'district', 'question'], required: true },
+        questionId: { type: String, trim: true },
+        bands: [{
+          _id: false,
+          key: { type: String, required: true, trim: true },
+          label: { type: String, trim: true },
+          values: { type: [String], default: undefined }, // Answers in this band (main text, case-insensitive)
+          min: { type: Number },                          // Or a numeric range, inclusive
+          max: { type: Number }
+        }]
+      }],
+      default: undefined
+    },
+    cells: {
+      type: [{
+        _id: false,
+        key: { type: String, required: true, trim: true },
+        label: { type: String, trim: true },
+        criteria: { type: mongoose.Schema.Types.Mixed, required: true }, // dimension key -> band key
+        target: { type: Number, required: true, min: 0 }
+      }],
+      default: undefined
+    },
+    version: { type: Number, default: 0 },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: { type: Date }
+  },
+
+  // Weighting for live estimates (see utils/weightingEngine.js). Dimensions band respondents like
+  // quota dimensions; each band may carry a design weight and, on raked dimensions, a target share.
+  weighting: {
+    enabled: { type: Boolean, default: false },
+    dimensions: {
+      type: [{
+        _id: false,
+        key: { type: String, required: true, trim: true },
+        label: { type: String, trim: true },
+        source: { type: String, enum: ['gender', 'ac', 'district', 'question'], required: true },
+        questionId: { type: String, trim: true },
+        rake: { type: Boolean, default: true }, // Adjust weights so this dimension matches its targets
+        bands: [{
+          _id: false,
+          key: { type: String, required: true, trim: true },
+          label: { type: String, trim: true },
+          values: { type: [String], default: undefined },
+          min: { type: Number },
+          max: { type: Number },
+          target: { type: Number, min: 0, max: 100 },  // Population share, percent
+          designWeight: { type: Number, min: 0 }         // Inverse selection probability (default 1)
+        }]
+      }],
+      default: undefined
+    },
+    // Questions whose answers are reported as weighted shares
+    outcomeQuestions: { type: [String], default: undefined },
+    maxIterations: { type: Number, default: 50, min: 1, max: 500 },
+    // Raking stops once every margin is within this many percentage points of its target
+    tolerance: { type: Number, default: 0.1, min: 0.001 },
+    // Weights are capped to this range, relative to the mean weight
+    trimMin: { type: Number, default: 0.2, min: 0 },
+    trimMax: { type: Number, default: 5, min: 1 },
+    version: { type: Number, default: 0 },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    updatedAt: { type: Date }
+  },
+
+  // Interviewer training (models/TrainingModule.js). With requireCertification on, only
+  // interviewers certified for this survey can start interviews; a certification lasts
+  // certificationValidityDays from the oldest module pass it rests on.
+  training: {
+    requireCertification: { type: Boolean, default: false },
+    certificationValidityDays: { type: Number, min: 1, max: 730, default: 180 }
+  },
+
+  // Latest published questionnaire version (see models/SurveyVersion.js); 0 until first published
+  currentVersion: {
+    type: Number,
+    default: 0
+  },
+
   // Company and Ownership
   company: {
     type: mongoose.Schema.Types.ObjectId,
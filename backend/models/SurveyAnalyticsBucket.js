@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+// Pre-aggregated response counts for the reports pages (maintained by utils/surveyAnalyticsStore.js).
+// One bucket per survey, day and combination of the dimensions reports filter and group by;
+// every response adds its facts (SurveyResponse.analyticsFacts) to exactly one bucket.
+const surveyAnalyticsBucketSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+
+  // Day the response was created, 'YYYY-MM-DD' in the analytics timezone
+  day: {
+    type: String,
+    required: true
+  },
+
+  interviewMode: { type: String, default: '' },
+  status: { type: String, default: '' },
+  // Pending_Approval responses: 'qc_queue' or 'in_batch'; '' otherwise
+  qcStage: { type: String, default: '' },
+  // CATI responses: call outcome the interviewer recorded (reportMetrics.getCallStatus)
+  callStatus: { type: String, default: '' },
+
+  ac: { type: String, default: '' },
+  acCode: { type: String, default: '' },
+  pcCode: { type: String, default: '' },
+  pcName: { type: String, default: '' },
+  district: { type: String, default: '' },
+  lokSabha: { type: String, default: '' },
+
+  interviewer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+
+  count: { type: Number, default: 0 },
+  autoRejected: { type: Number, default: 0 },
+  female: { type: Number, default: 0 },
+  withoutPhone: { type: Number, default: 0 },
+  sc: { type: Number, default: 0 },
+  muslim: { type: Number, default: 0 },
+  age18to24: { type: Number, default: 0 },
+  age50Plus: { type: Number, default: 0 },
+  // Sum of per-question response times
+  responseTime: { type: Number, default: 0 },
+
+  // Distinct values counted per key (keys are encoded, see surveyAnalyticsStore.encodeKey)
+  pollingStations: { type: Map, of: Number, default: {} },
+  genders: { type: Map, of: Number, default: {} },
+  ageGroups: { type: Map, of: Number, default: {} }
+}, {
+  timestamps: true
+});
+
+surveyAnalyticsBucketSchema.index({
+  survey: 1, day: 1, interviewMode: 1, status: 1, qcStage: 1, callStatus: 1,
+  ac: 1, acCode: 1, pcCode: 1, pcName: 1, district: 1, lokSabha: 1, interviewer: 1
+}, { unique: true });
+surveyAnalyticsBucketSchema.index({ survey: 1, status: 1 });
+
+module.exports = mongoose.model('SurveyAnalyticsBucket', surveyAnalyticsBucketSchema);
@@ -94,6 +94,12 @@ const surveyResponseSchema = new mongoose.Schema({
       type: Number, // time taken to answer in seconds
       default: 0
     },
+    // Where the question sits in the interview recording, in seconds from the recording start:
+    // when it was first shown and when it was last answered (CAPI interviews with audio)
+    audioOffsets: {
+      entered: { type: Number },
+      answered: { type: Number }
+    },
     isRequired: {
       type: Boolean,
       default: false
@@ -128,6 +134,48 @@ const surveyResponseSchema = new mongoose.Schema({
     default: null
   },
   
+  // Client-generated interview ID for interviews captured offline; sync dedupes on it
+  clientInterviewId: {
+    type: String,
+    trim: true
+  },
+
+  // How an offline-captured interview was reconciled with the survey when it synced
+  offlineSync: {
+    capturedOffline: { type: Boolean, default: false },
+    surveyRevision: { type: String, default: null }, // Revision cached on the device
+    serverRevision: { type: String, default: null }, // Revision when the interview synced
+    conflicts: [{
+      _id: false,
+      type: { type: String },
+      questionId: { type: String },
+      message: { type: String }
+    }],
+    conflictsAccepted: { type: Boolean, default: false },
+    syncedAt: { type: Date }
+  },
+
+  // Questionnaire version the response was collected against (SurveyVersion.version);
+  // null for responses to a survey that had not been versioned yet
+  surveyVersion: {
+    type: Number,
+    default: null
+  },
+
+  // Quota cells this response falls in (utils/quotaEngine.js). Over-quota responses completed
+  // after one of their cells was full; they are kept but do not count towards targets.
+  quota: {
+    cells: { type: [String], default: undefined },
+    overQuota: { type: Boolean, default: false },
+    fullCells: { type: [String], default: undefined },
+    configVersion: { type: Number },
+    evaluatedAt: { type: Date }
+  },
+
+  // Normalised answers to the survey's duplicate_answer auto-rejection rules ('<ruleId>:<value>'),
+  // so a duplicate check is an index lookup (utils/autoRejectionHelper.js)
+  duplicateAnswerKeys: { type: [String], default: undefined },
+
   // CATI Call ID (DeepCall callId) - for linking to CatiCall record
   call_id: {
     type: String,
@@ -303,9 +351,58 @@ const surveyResponseSchema = new mongoose.Schema({
     uploadedAt: {
       type: Date,
       default: null
+    },
+    // Chunked upload (AudioUpload) the recording was assembled from
+    uploadId: {
+      type: String,
+      default: null
+    },
+    checksum: {
+      type: String, // sha256 of the stored file
+      default: null
+    },
+    uploadStatus: {
+      type: String,
+      enum: ['uploading', 'complete', 'incomplete', null],
+      default: null
+    },
+    // Set by audio reconciliation when the recording never fully arrived
+    uploadIssue: {
+      type: String,
+      default: null
     }
   },
 
+  // Background analysis of the recording (utils/audioAnalysis.js)
+  audioAnalysis: {
+    status: {
+      type: String,
+      enum: ['complete', 'failed', 'unavailable']
+    },
+    version: Number,
+    analyzedAt: Date,
+    error: String,
+    durationSeconds: Number,
+    interviewSeconds: Number,
+    durationDifferenceSeconds: Number, // recording minus interview
+    speechSeconds: Number,
+    silenceSeconds: Number,
+    speechRatio: Number,
+    longestSilenceSeconds: Number,
+    noiseFloorDb: Number,
+    peakDb: Number,
+    flags: [{
+      type: String,
+      enum: ['no_voice', 'mostly_silent', 'truncated', 'duration_mismatch']
+    }],
+    talkSegments: [{
+      _id: false,
+      start: Number, // seconds
+      end: Number
+    }],
+    envelope: [Number] // 0-100 loudness across the recording
+  },
+
   // Review Assignment (Queue-based assignment system)
   reviewAssignment: {
     assignedTo: {
@@ -386,6 +483,26 @@ const surveyResponseSchema = new mongoose.Schema({
       type: String,
       default: ''
     },
+    // Auto-rejection audit (set by utils/autoRejectionHelper.js)
+    autoRejected: {
+      type: Boolean
+    },
+    autoRejectionReasons: {
+      type: [String],
+      default: undefined
+    },
+    autoRejectionRuleVersion: {
+      type: Number
+    },
+    autoRejectionRules: {
+      type: [{
+        _id: false,
+        ruleId: String,
+        condition: String,
+        reason: String
+      }],
+      default: undefined
+    },
     // New verification criteria fields
     audioStatus: {
       type: String,
@@ -457,6 +574,56 @@ const surveyResponseSchema = new mongoose.Schema({
     type: Boolean,
     default: false
   },
+
+  // QC risk score (utils/responseRiskScore.js); orders the review queue, riskiest first
+  riskScore: {
+    score: Number, // 0-100
+    level: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    factors: [{
+      _id: false,
+      key: String,
+      label: String,
+      points: Number,
+      detail: String
+    }],
+    computedAt: Date,
+    version: Number
+  },
+
+  // Callback verification with the respondent (utils/backCheck.js, models/BackCheck.js)
+  backCheck: {
+    consideredAt: Date, // when the sampler looked at the response, sampled or not
+    sampled: Boolean,
+    task: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'BackCheck'
+    },
+    result: {
+      type: String,
+      enum: ['pending', 'passed', 'failed', 'inconclusive']
+    },
+    reasons: [String],
+    completedAt: Date
+  },
+
+  // The interviewer's earning for this response (utils/earningsLedger.js, models/EarningEntry.js)
+  earning: {
+    credited: Boolean, // true while an approved interview's credit stands
+    amount: Number,
+    sequence: Number,  // of the last ledger entry for the response
+    creditedAt: Date,
+    reversedAt: Date
+  },
+
+  // What this response currently contributes to the analytics store
+  // (utils/surveyAnalyticsStore.js); written only by the store
+  analyticsFacts: {
+    type: mongoose.Schema.Types.Mixed,
+    select: false
+  },
   
   // Metadata
   metadata: {
@@ -490,6 +657,14 @@ surveyResponseSchema.index({ status: 1 });
 surveyResponseSchema.index({ responseId: 1 });
 surveyResponseSchema.index({ createdAt: -1 });
 surveyResponseSchema.index({ survey: 1, status: 1 });
+surveyResponseSchema.index({ clientInterviewId: 1 }, { unique: true, sparse: true });
+surveyResponseSchema.index({ 'audioRecording.uploadStatus': 1 });
+surveyResponseSchema.index({ survey: 1, 'quota.cells': 1 });
+surveyResponseSchema.index({ survey: 1, duplicateAnswerKeys: 1 });
+surveyResponseSchema.index({ survey: 1, surveyVersion: 1 });
+surveyResponseSchema.index({ status: 1, 'riskScore.score': -1, createdAt: 1 });
+surveyResponseSchema.index({ interviewMode: 1, 'backCheck.consideredAt': 1, createdAt: -1 });
+surveyResponseSchema.index({ status: 1, 'earning.credited': 1, survey: 1 });
 
 // Pre-save middleware to update timestamps
 surveyResponseSchema.pre('save', function(next) {
@@ -497,6 +672,58 @@ surveyResponseSchema.pre('save', function(next) {
   next();
 });
 
+// Responses saved without a pinned version take the version that was current when the
+// interview started
+surveyResponseSchema.pre('save', async function() {
+  if (!this.isNew || this.surveyVersion !== null || !this.survey) return;
+  const { findVersionAt } = require('../utils/surveyVersioning');
+  this.surveyVersion = await findVersionAt(this.survey, this.startTime);
+});
+
+// Keep the analytics store in step with every write. Changed responses are queued and synced
+// in the background (the store writes analyticsFacts through the driver, so it does not
+// trigger these hooks itself).
+const queueAnalytics = (responseIds) => {
+  require('../utils/surveyAnalyticsStore').queueResponseAnalytics(responseIds);
+};
+
+surveyResponseSchema.post('save', function(doc) {
+  queueAnalytics([doc._id]);
+});
+
+surveyResponseSchema.post('findOneAndUpdate', function(doc) {
+  if (doc) queueAnalytics([doc._id]);
+});
+
+surveyResponseSchema.pre(['updateOne', 'updateMany'], async function() {
+  const { captureAffectedResponses } = require('../utils/surveyAnalyticsStore');
+  this._analyticsTargets = await captureAffectedResponses(this.model, this.getFilter(), { single: this.op === 'updateOne' });
+});
+
+surveyResponseSchema.post(['updateOne', 'updateMany'], function() {
+  const { queueSurveyRebuild } = require('../utils/surveyAnalyticsStore');
+  const targets = this._analyticsTargets || { responses: [], surveys: [] };
+  queueAnalytics(targets.responses.map(response => response._id));
+  targets.surveys.forEach(surveyId => queueSurveyRebuild(surveyId));
+});
+
+surveyResponseSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, async function() {
+  const { captureAffectedResponses } = require('../utils/surveyAnalyticsStore');
+  this._analyticsTargets = await captureAffectedResponses(this.model, this.getFilter(), {
+    single: this.op !== 'deleteMany',
+    withFacts: true
+  });
+});
+
+surveyResponseSchema.post(['deleteOne', 'deleteMany', 'findOneAndDelete'], { document: false, query: true }, function() {
+  const { removeResponseAnalytics, queueSurveyRebuild } = require('../utils/surveyAnalyticsStore');
+  const targets = this._analyticsTargets || { responses: [], surveys: [] };
+  removeResponseAnalytics(targets.responses).catch(error => {
+    console.error('❌ Analytics update for deleted responses failed:', error.message);
+  });
+  targets.surveys.forEach(surveyId => queueSurveyRebuild(surveyId, 'bulk delete'));
+});
+
 // Function to generate unique UUID response ID (same format as CATI)
 const generateUniqueResponseId = async function(SurveyResponseModel) {
   // Use UUID format (same as CATI responses) for consistency
@@ -522,7 +749,10 @@ surveyResponseSchema.statics.createCompleteResponse = async function(data) {
     selectedPollingStation,
     location,
     setNumber,
-    OldinterviewerID
+    OldinterviewerID,
+    clientInterviewId,
+    offlineSync,
+    surveyVersion
   } = data;
   
   console.log('createCompleteResponse received audioRecording:', audioRecording); // Debug log
@@ -568,6 +798,8 @@ surveyResponseSchema.statics.createCompleteResponse = async function(data) {
     location: location || null,
     setNumber: setNumber || null, // Save set number for CATI interviews
     OldinterviewerID: OldinterviewerID || null, // Save old interviewer ID if provided
+    ...(clientInterviewId ? { clientInterviewId, offlineSync } : {}),
+    surveyVersion: surveyVersion ?? null,
     totalQuestions,
     answeredQuestions,
     skippedQuestions,
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a survey's questionnaire. Version 1 is written when the survey is
+// published and a new version every time a published survey's content is edited.
+// SurveyResponse.surveyVersion points back to the version the response was collected against.
+const surveyVersionSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true,
+    index: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // Structural revision (utils/offlineSyncHelper.computeSurveyRevision); offline interviews
+  // report the revision they were captured against
+  revision: {
+    type: String,
+    required: true
+  },
+
+  // Hash of the whole snapshot, text included; an edit that leaves it unchanged is not a new version
+  contentHash: {
+    type: String,
+    required: true
+  },
+
+  // Questionnaire exactly as it stood at this version
+  snapshot: {
+    surveyName: { type: String },
+    description: { type: String },
+    languages: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    sections: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    questions: { type: [mongoose.Schema.Types.Mixed], default: [] },
+    sets: { type: [String], default: [] }
+  },
+
+  changeNote: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  publishedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+surveyVersionSchema.index({ survey: 1, version: -1 }, { unique: true });
+surveyVersionSchema.index({ survey: 1, revision: 1 });
+
+surveyVersionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Survey versions are immutable'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('SurveyVersion', surveyVersionSchema);
@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+
+// A piece of interviewer training for one survey, built by a company admin and taken from the
+// interviewer dashboard. Passing every published required module certifies the interviewer
+// for the survey (utils/training.js); surveys with training.requireCertification only let
+// certified interviewers start interviews.
+const trainingModuleSchema = new mongoose.Schema({
+  survey: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Survey',
+    required: true
+  },
+  company: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Company',
+    required: true
+  },
+
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  // Instructions shown above the module
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Description cannot exceed 5000 characters']
+  },
+
+  type: {
+    type: String,
+    enum: [
+      'walkthrough',    // Read through the questionnaire with the trainer's notes
+      'mock_interview', // Practise the questionnaire end to end; answers are not kept
+      'quiz'            // Multiple choice questions scored against passMark
+    ],
+    required: true
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  // Optional modules are offered but not needed for certification
+  required: {
+    type: Boolean,
+    default: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'draft'
+  },
+
+  // Walkthrough notes per questionnaire question id
+  questionNotes: {
+    type: Map,
+    of: String,
+    default: undefined
+  },
+
+  // Quiz
+  quizQuestions: [{
+    question: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    options: [{
+      type: String,
+      trim: true
+    }],
+    // Index into options; never sent to interviewers
+    correctOption: {
+      type: Number,
+      required: true,
+      min: 0
+    },
+    explanation: {
+      type: String,
+      trim: true
+    }
+  }],
+  passMark: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 70
+  },
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  lastModifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+trainingModuleSchema.index({ survey: 1, status: 1, order: 1 });
+
+module.exports = mongoose.model('TrainingModule', trainingModuleSchema);
@@ -237,12 +237,16 @@ const userSchema = new mongoose.Schema({
 
   // Performance Metrics (for Interviewers and Quality Agents)
   performance: {
+    // 0-100, recalculated from QC outcomes (utils/trustScore.js)
     trustScore: {
       type: Number,
       default: 100,
       min: 0,
       max: 1000
     },
+    // Decayed weight of the QC outcomes behind trustScore
+    trustEvidence: { type: Number, default: 0 },
+    trustScoreUpdatedAt: { type: Date },
     totalInterviews: { type: Number, default: 0 },
     approvedInterviews: { type: Number, default: 0 },
     rejectedInterviews: { type: Number, default: 0 },
@@ -253,6 +257,14 @@ const userSchema = new mongoose.Schema({
       responseAccuracy: { type: Number, default: 0, min: 0, max: 100 },
       timeliness: { type: Number, default: 0, min: 0, max: 100 },
       professionalism: { type: Number, default: 0, min: 0, max: 100 }
+    },
+    // Callback verifications of their interviews (utils/backCheck.js)
+    backChecks: {
+      total: { type: Number, default: 0 },
+      passed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      inconclusive: { type: Number, default: 0 },
+      lastFailedAt: { type: Date }
     }
   },
 
@@ -305,19 +317,31 @@ const userSchema = new mongoose.Schema({
 
   // Training and Certification
   training: {
+    // Latest result per TrainingModule (utils/training.js); a failed retake keeps an earlier pass
     completedModules: [{
       moduleId: { type: String, required: true },
       moduleName: { type: String, required: true },
+      survey: { type: mongoose.Schema.Types.ObjectId, ref: 'Survey' },
       completedAt: { type: Date, default: Date.now },
-      score: { type: Number, min: 0, max: 100 }
+      score: { type: Number, min: 0, max: 100 },
+      passed: { type: Boolean, default: true },
+      attempts: { type: Number, default: 1 }
     }],
+    // Most recent certification across surveys
     certificationStatus: {
       type: String,
       enum: ['not_started', 'in_progress', 'completed', 'expired'],
       default: 'not_started'
     },
     certificationDate: { type: Date },
-    certificationExpiry: { type: Date }
+    certificationExpiry: { type: Date },
+    // One per survey, valid until expiresAt
+    certifications: [{
+      _id: false,
+      survey: { type: mongoose.Schema.Types.ObjectId, ref: 'Survey', required: true },
+      certifiedAt: { type: Date },
+      expiresAt: { type: Date }
+    }]
   },
 
   // Interviewer Profile Details (new section)
@@ -469,34 +493,6 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
-// Instance method to update trust score
-userSchema.methods.updateTrustScore = function(interviewResult) {
-  const { approved, quality, timeliness } = interviewResult;
-  
-  let scoreChange = 0;
-  
-  if (approved) {
-    scoreChange += 10; // Base approval bonus
-    if (quality >= 90) scoreChange += 5; // High quality bonus
-    if (timeliness >= 90) scoreChange += 5; // Timeliness bonus
-  } else {
-    scoreChange -= 20; // Rejection penalty
-  }
-  
-  // Update performance metrics
-  this.performance.totalInterviews += 1;
-  if (approved) {
-    this.performance.approvedInterviews += 1;
-  } else {
-    this.performance.rejectedInterviews += 1;
-  }
-  
-  // Update trust score with bounds
-  this.performance.trustScore = Math.max(0, Math.min(1000, this.performance.trustScore + scoreChange));
-  
-  return this.save();
-};
-
 // Instance method to check if user can perform action
 userSchema.methods.canPerformAction = function(action, resource) {
   // Super admin can do everything
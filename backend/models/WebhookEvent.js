@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+
+// Every telephony webhook delivery that passed authentication is recorded here.
+// The unique idempotencyKey (provider + callId + status) stops duplicate pushes from
+// being processed twice; deliveries that could not be parsed or processed are kept
+// as 'dead_letter' so they can be replayed from the admin screen.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+    default: 'deepcall',
+    index: true
+  },
+
+  // "<provider>:<callId>:<status>" - null when the payload has no callId
+  idempotencyKey: {
+    type: String
+  },
+  callId: {
+    type: String,
+    index: true
+  },
+  callStatus: {
+    type: String
+  },
+
+  status: {
+    type: String,
+    enum: [
+      'received',    // Accepted, processing not finished yet
+      'processed',   // Applied to CatiCall / queue
+      'dead_letter', // Parsing or processing failed - waiting for replay
+      'replayed',    // Dead letter successfully replayed
+      'discarded'    // Dead letter dismissed by an admin
+    ],
+    default: 'received',
+    index: true
+  },
+  // Where a dead letter failed
+  failureStage: {
+    type: String,
+    enum: ['parse', 'process', null],
+    default: null
+  },
+  error: {
+    type: String
+  },
+
+  // Original delivery, kept verbatim so it can be replayed
+  rawBody: {
+    type: String
+  },
+  contentType: {
+    type: String
+  },
+  parsedPayload: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  sourceIp: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: {
+    type: Date
+  },
+
+  processedAt: {
+    type: Date
+  },
+  replayAttempts: [{
+    attemptedAt: { type: Date, default: Date.now },
+    attemptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    success: { type: Boolean },
+    error: { type: String }
+  }],
+  discardedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  discardedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index(
+  { idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getCheckableSurveys,
+  getSettings,
+  updateSettings,
+  getBackChecksBySurvey,
+  claimBackCheck,
+  recordAttempt,
+  completeBackCheck,
+  actOnBackCheck
+} = require('../controllers/backCheckController');
+
+// Interviewer back-checks (callback verification)
+router.use(protect);
+router.use(authorize('company_admin', 'project_manager', 'quality_agent'));
+
+// Surveys the user can back-check, with pending call counts
+router.get('/surveys', getCheckableSurveys);
+
+// Share of CAPI interviews sampled; only company admins change it
+router.get('/settings', getSettings);
+router.put('/settings', authorize('company_admin'), updateSettings);
+
+// List a survey's back-checks with counts per status and results per interviewer
+router.get('/survey/:surveyId', getBackChecksBySurvey);
+
+// Take a back-check to call (returns the phone number)
+router.post('/:id/claim', claimBackCheck);
+
+// Record a call that did not reach the respondent
+router.post('/:id/attempt', recordAttempt);
+
+// Record the verification script from a call that reached the respondent
+router.post('/:id/complete', completeBackCheck);
+
+// Reject or reopen the interview of a failed or inconclusive back-check
+router.post('/:id/action', actOnBackCheck);
+
+module.exports = router;
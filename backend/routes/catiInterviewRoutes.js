@@ -3,6 +3,7 @@ const router = express.Router();
 const {
   startCatiInterview,
   makeCallToRespondent,
+  hangupCall,
   abandonInterview,
   completeCatiInterview
 } = require('../controllers/catiInterviewController');
@@ -27,6 +28,9 @@ router.post('/start/:surveyId', (req, res, next) => {
 // Make call to respondent
 router.post('/make-call/:queueId', makeCallToRespondent);
 
+// Hang up the current call (only supported by some telephony providers)
+router.post('/hangup/:queueId', hangupCall);
+
 // Abandon interview
 router.post('/abandon/:queueId', abandonInterview);
 
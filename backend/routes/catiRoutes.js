@@ -3,6 +3,9 @@ const router = express.Router();
 const {
   makeCall,
   receiveWebhook,
+  getWebhookEvents,
+  replayWebhookEvent,
+  discardWebhookEvent,
   getCalls,
   getCallById,
   getCallStats,
@@ -10,6 +13,8 @@ const {
   getRecording
 } = require('../controllers/catiController');
 const { protect, authorize } = require('../middleware/auth');
+const { webhookAuth } = require('../middleware/webhookAuth');
+const { getTelephonyProvider } = require('../utils/telephony');
 
 // Middleware to capture raw body for webhook (before body parser)
 const rawBodyMiddleware = (req, res, next) => {
@@ -43,7 +48,30 @@ router.get('/webhook', (req, res) => {
 // POST handler for actual webhook data
 // According to DeepCall docs, webhook receives JSON directly
 // But DeepCall may also send as form-encoded, so we handle both
-router.post('/webhook', receiveWebhook);
+// Deliveries must pass the shared-secret/HMAC check and optional IP allowlist
+const deepcallWebhookAuth = webhookAuth('DEEPCALL_WEBHOOK');
+router.post('/webhook', deepcallWebhookAuth, receiveWebhook);
+
+// Other telephony providers post to /webhook/<provider>, verified with <PROVIDER>_WEBHOOK_* settings.
+// One middleware is kept per registered provider so its state (e.g. the unsigned warning) persists.
+const providerWebhookAuth = new Map([['deepcall', deepcallWebhookAuth]]);
+router.post('/webhook/:provider', (req, res, next) => {
+  let provider;
+  try {
+    provider = getTelephonyProvider(req.params.provider);
+  } catch (error) {
+    return res.status(404).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  if (!providerWebhookAuth.has(provider.name)) {
+    const prefix = `${provider.name.toUpperCase().replace(/[^A-Z0-9]/g, '_')}_WEBHOOK`;
+    providerWebhookAuth.set(provider.name, webhookAuth(prefix));
+  }
+  return providerWebhookAuth.get(provider.name)(req, res, next);
+}, receiveWebhook);
 
 // All other routes require authentication
 router.use(protect);
@@ -66,5 +94,10 @@ router.get('/recording/:callId', getRecording);
 // Manually check call status
 router.post('/calls/:id/check-status', checkCallStatus);
 
+// Webhook delivery log and dead-letter replay (super_admin only)
+router.get('/webhook-events', authorize('super_admin'), getWebhookEvents);
+router.post('/webhook-events/:id/replay', authorize('super_admin'), replayWebhookEvent);
+router.post('/webhook-events/:id/discard', authorize('super_admin'), discardWebhookEvent);
+
 module.exports = router;
 
@@ -0,0 +1,31 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getReviewableSurveys,
+  getFlagsBySurvey,
+  getFlagById,
+  resolveFlag,
+  runDetection
+} = require('../controllers/duplicateFlagController');
+
+// Duplicate and fabricated interview review
+router.use(protect);
+router.use(authorize('company_admin', 'project_manager', 'quality_agent'));
+
+// Surveys the user can review, with open flag counts
+router.get('/surveys', getReviewableSurveys);
+
+// List a survey's flags with counts per status and open counts per type
+router.get('/survey/:surveyId', getFlagsBySurvey);
+
+// Queue detection for a survey now
+router.post('/survey/:surveyId/detect', runDetection);
+
+// Get a flag with its responses
+router.get('/:id', getFlagById);
+
+// Confirm or dismiss a flag
+router.post('/:id/resolve', resolveFlag);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getMyEarnings,
+  getPayoutCycles,
+  getPayoutCycle,
+  generateCycleNow,
+  exportPayoutCycle,
+  markCyclePaid
+} = require('../controllers/earningsController');
+
+// Interviewer earnings ledger and payouts
+router.use(protect);
+
+// The interviewer's own earnings statement
+router.get('/me', authorize('interviewer'), getMyEarnings);
+
+// Payout cycles of the company
+router.get('/payout-cycles', authorize('company_admin'), getPayoutCycles);
+router.post('/payout-cycles/generate', authorize('company_admin'), generateCycleNow);
+router.get('/payout-cycles/:id', authorize('company_admin'), getPayoutCycle);
+
+// Bank transfer file; downloading it moves an open cycle to exported
+router.get('/payout-cycles/:id/export', authorize('company_admin'), exportPayoutCycle);
+
+// Confirm the transfer went through
+router.post('/payout-cycles/:id/mark-paid', authorize('company_admin'), markCyclePaid);
+
+module.exports = router;
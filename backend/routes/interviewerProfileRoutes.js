@@ -11,7 +11,7 @@ const {
   reviewIndependentInterviewerProfile
 } = require('../controllers/interviewerProfileController');
 const { protect } = require('../middleware/auth');
-const upload = require('../middleware/upload');
+const kycUpload = require('../middleware/kycUpload');
 
 // Get interviewer profile by ID (for company admins)
 router.get('/profile/:userId', protect, getInterviewerProfileById);
@@ -38,8 +38,8 @@ router.post('/independent/review-profile/:userId', protect, reviewIndependentInt
 // Review profile (approve/reject) - company admin only
 router.post('/review-profile', protect, reviewProfile);
 
-// Upload documents
-router.post('/upload-documents', protect, upload.fields([
+// Upload documents (stored privately; served through /api/kyc-documents)
+router.post('/upload-documents', protect, kycUpload.fields([
   { name: 'cvUpload', maxCount: 1 },
   { name: 'aadhaarDocument', maxCount: 1 },
   { name: 'panDocument', maxCount: 1 },
@@ -0,0 +1,27 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getJobs,
+  getJobById,
+  rerunJob,
+  cancelJob
+} = require('../controllers/jobController');
+
+// Background job queue administration (Super Admin only)
+router.use(protect);
+router.use(authorize('super_admin'));
+
+// List jobs with counts per status and the registered job types
+router.get('/', getJobs);
+
+// Get a job with its payload and attempt history
+router.get('/:id', getJobById);
+
+// Queue a finished job to run again
+router.post('/:id/rerun', rerunJob);
+
+// Cancel a job that has not started
+router.post('/:id/cancel', cancelJob);
+
+module.exports = router;
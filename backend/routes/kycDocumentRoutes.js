@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const {
+  getDocumentLink,
+  viewDocument,
+  getAccessLog
+} = require('../controllers/kycDocumentController');
+
+// Interviewer KYC documents, served only through short-lived signed links
+
+// The signed token is the credential: links are opened in new tabs and previews
+router.get('/view', viewDocument);
+
+router.use(protect);
+
+// Issue a link to a document (owner, their company admins, super admin)
+router.get('/link', getDocumentLink);
+
+// Who asked for and opened the documents
+router.get('/access-log', getAccessLog);
+
+module.exports = router;
@@ -5,7 +5,9 @@ const {
   getBatchesBySurvey,
   getBatchById,
   triggerBatchProcessing,
-  sendBatchToQC
+  sendBatchToQC,
+  getEscalationsBySurvey,
+  clearEscalation
 } = require('../controllers/qcBatchController');
 
 // All routes require authentication
@@ -14,6 +16,12 @@ router.use(protect);
 // Get batches for a survey
 router.get('/survey/:surveyId', getBatchesBySurvey);
 
+// Interviewers on escalated (100%) QC for a survey
+router.get('/survey/:surveyId/escalations', getEscalationsBySurvey);
+
+// Take an interviewer off escalated QC
+router.post('/escalations/:escalationId/clear', clearEscalation);
+
 // Get a single batch
 router.get('/:batchId', getBatchById);
 
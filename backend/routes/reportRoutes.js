@@ -2,10 +2,12 @@ const express = require('express');
 const router = express.Router();
 const {
   generateReport,
-  generateAuditTrail,
+  listReportJobs,
+  getReportJob,
+  cancelReportJob,
+  downloadReportJobFile,
   downloadReport,
-  downloadTemplate,
-  upload
+  downloadTemplate
 } = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -13,11 +15,14 @@ const { protect, authorize } = require('../middleware/auth');
 router.use(protect);
 router.use(authorize('company_admin'));
 
-// Upload Excel and generate report
-router.post('/generate', upload.single('excelFile'), generateReport);
+// Queue a report from live survey data
+router.post('/generate', generateReport);
 
-// Generate audit trail
-router.post('/audit', generateAuditTrail);
+// Report jobs: progress, cancellation and generated files
+router.get('/jobs', listReportJobs);
+router.get('/jobs/:id', getReportJob);
+router.post('/jobs/:id/cancel', cancelReportJob);
+router.get('/jobs/:id/files/:kind', downloadReportJobFile);
 
 // Download generated files
 router.get('/download/:filename', downloadReport);
@@ -13,6 +13,7 @@ const {
   completeInterview,
   abandonInterview,
   getGenderResponseCounts,
+  checkInterviewQuota,
   uploadAudioFile,
   getMyInterviews,
   getPendingApprovals,
@@ -29,9 +30,16 @@ const {
   getACPerformanceStats,
   getInterviewerPerformanceStats,
   getLastCatiSetNumber,
-  getAudioSignedUrl
+  getAudioSignedUrl,
+  getOfflineBundle,
+  syncOfflineInterviews,
+  startAudioUpload,
+  getAudioUploadStatus,
+  uploadAudioChunk,
+  completeAudioUpload
 } = require('../controllers/surveyResponseController');
 const { protect } = require('../middleware/auth');
+const { AUDIO_CHUNK_MAX_BYTES } = require('../utils/audioUploadHelper');
 
 // Configure multer for audio file uploads
 const storage = multer.diskStorage({
@@ -49,6 +57,14 @@ const storage = multer.diskStorage({
   }
 });
 
+// Audio chunks are small and written to the upload's own folder by the controller
+const chunkUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: AUDIO_CHUNK_MAX_BYTES
+  }
+});
+
 const upload = multer({
   storage: storage,
   limits: {
@@ -94,6 +110,9 @@ router.post('/session/:sessionId/complete', completeInterview);
 // Abandon interview
 router.post('/session/:sessionId/abandon', abandonInterview);
 
+// Check the respondent against the survey's quota cells
+router.post('/session/:sessionId/quota-check', checkInterviewQuota);
+
 // Get gender response counts for quota management
 router.get('/survey/:surveyId/gender-counts', getGenderResponseCounts);
 
@@ -102,9 +121,19 @@ router.get('/survey/:surveyId/gender-counts', getGenderResponseCounts);
 // Express matches routes in order, so more specific routes must come first
 router.get('/survey/:surveyId/last-cati-set', getLastCatiSetNumber);
 
+// Offline CAPI: download survey data for offline use, then sync interviews captured offline
+router.get('/offline-bundle/:surveyId', getOfflineBundle);
+router.post('/offline-sync', syncOfflineInterviews);
+
 // Upload audio file for interview
 router.post('/upload-audio', upload.single('audio'), uploadAudioFile);
 
+// Chunked, resumable audio upload: start, check progress, send chunks, assemble
+router.post('/audio-uploads', startAudioUpload);
+router.get('/audio-uploads/:uploadId', getAudioUploadStatus);
+router.put('/audio-uploads/:uploadId/chunks/:index', chunkUpload.single('chunk'), uploadAudioChunk);
+router.post('/audio-uploads/:uploadId/complete', completeAudioUpload);
+
 // Get signed URL for audio file
 router.get('/audio-signed-url', getAudioSignedUrl);
 router.get('/audio-signed-url/:responseId', getAudioSignedUrl);
@@ -13,6 +13,8 @@ const {
   getOverallStats,
   getCatiStats,
   getSurveyAnalytics,
+  rebuildSurveyAnalytics,
+  getSurveyMetrics,
   getAvailableSurveys,
   rejectInterview,
   debugSurveyResponses,
@@ -20,7 +22,21 @@ const {
   uploadRespondentContacts,
   uploadRespondentContactsMiddleware,
   getRespondentContacts,
-  saveRespondentContacts
+  saveRespondentContacts,
+  getCatiRetryPolicy,
+  updateCatiRetryPolicy,
+  getAutoRejectionRules,
+  updateAutoRejectionRules,
+  dryRunAutoRejectionRules,
+  getAutoRejectionRuleVersions,
+  getSurveyQuotas,
+  updateSurveyQuotas,
+  getSurveyWeighting,
+  updateSurveyWeighting,
+  getWeightedEstimates,
+  getSurveyVersions,
+  getSurveyVersion,
+  getSurveyVersionDiff
 } = require('../controllers/surveyController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -69,6 +85,13 @@ router.route('/:surveyId/debug-responses')
 router.route('/:id/analytics')
   .get(protect, authorize('company_admin', 'project_manager'), getSurveyAnalytics);
 
+router.route('/:id/analytics/rebuild')
+  .post(protect, authorize('company_admin'), rebuildSurveyAnalytics);
+
+// Report metrics route (must come before /:id route)
+router.route('/:id/metrics')
+  .get(protect, authorize('company_admin', 'project_manager'), getSurveyMetrics);
+
 // CATI stats route (must come before /:id route)
 router.route('/:id/cati-stats')
   .get(protect, authorize('company_admin', 'project_manager'), getCatiStats);
@@ -78,6 +101,45 @@ router.route('/:id/respondent-contacts')
   .get(protect, authorize('company_admin', 'project_manager'), getRespondentContacts)
   .put(protect, authorize('company_admin', 'project_manager'), saveRespondentContacts);
 
+// CATI retry policy route (must come before /:id route)
+router.route('/:id/cati-retry-policy')
+  .get(protect, authorize('company_admin', 'project_manager'), getCatiRetryPolicy)
+  .put(protect, authorize('company_admin', 'project_manager'), updateCatiRetryPolicy);
+
+// Auto-rejection rule routes (must come before /:id route)
+router.route('/:id/auto-rejection-rules')
+  .get(protect, authorize('company_admin', 'project_manager'), getAutoRejectionRules)
+  .put(protect, authorize('company_admin'), updateAutoRejectionRules);
+
+router.route('/:id/auto-rejection-rules/dry-run')
+  .post(protect, authorize('company_admin', 'project_manager'), dryRunAutoRejectionRules);
+
+router.route('/:id/auto-rejection-rules/versions')
+  .get(protect, authorize('company_admin', 'project_manager'), getAutoRejectionRuleVersions);
+
+// Quota cell routes (must come before /:id route)
+router.route('/:id/quotas')
+  .get(protect, authorize('company_admin', 'project_manager'), getSurveyQuotas)
+  .put(protect, authorize('company_admin', 'project_manager'), updateSurveyQuotas);
+
+// Weighting routes (must come before /:id route)
+router.route('/:id/weighting')
+  .get(protect, authorize('company_admin', 'project_manager'), getSurveyWeighting)
+  .put(protect, authorize('company_admin', 'project_manager'), updateSurveyWeighting);
+
+router.route('/:id/weighted-estimates')
+  .get(protect, authorize('company_admin', 'project_manager'), getWeightedEstimates);
+
+// Questionnaire version routes (must come before /:id route; diff before /:version)
+router.route('/:id/versions')
+  .get(protect, authorize('company_admin', 'project_manager'), getSurveyVersions);
+
+router.route('/:id/versions/diff')
+  .get(protect, authorize('company_admin', 'project_manager'), getSurveyVersionDiff);
+
+router.route('/:id/versions/:version')
+  .get(protect, authorize('company_admin', 'project_manager'), getSurveyVersion);
+
 // Generic /:id route must be LAST to avoid matching specific routes like /overall-stats
 router.route('/:id')
   .get(protect, authorize('company_admin', 'project_manager', 'interviewer'), getSurvey)
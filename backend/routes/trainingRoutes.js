@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+  getTrainingSurveys,
+  getSurveyTraining,
+  updateSurveyTrainingSettings,
+  createModule,
+  updateModule,
+  deleteModule,
+  getMyTraining,
+  getMyModule,
+  submitMyModule
+} = require('../controllers/trainingController');
+
+// Interviewer training modules and survey certification
+router.use(protect);
+
+// The interviewer's training for their assigned surveys
+router.get('/my', authorize('interviewer'), getMyTraining);
+router.get('/my/modules/:id', authorize('interviewer'), getMyModule);
+router.post('/my/modules/:id/submit', authorize('interviewer'), submitMyModule);
+
+// Building training for the company's surveys
+router.get('/surveys', authorize('company_admin'), getTrainingSurveys);
+router.get('/surveys/:surveyId', authorize('company_admin'), getSurveyTraining);
+router.put('/surveys/:surveyId/settings', authorize('company_admin'), updateSurveyTrainingSettings);
+router.post('/surveys/:surveyId/modules', authorize('company_admin'), createModule);
+router.put('/modules/:id', authorize('company_admin'), updateModule);
+router.delete('/modules/:id', authorize('company_admin'), deleteModule);
+
+module.exports = router;
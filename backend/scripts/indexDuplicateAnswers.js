@@ -0,0 +1,61 @@
+/**
+ * Index existing responses for the duplicate_answer auto-rejection rules (duplicateAnswerKeys).
+ *
+ * checkAutoRejection indexes each response as it is checked, and queues the
+ * autoRejection.indexDuplicateAnswers job when the survey is not indexed for its current rules
+ * (scanning the survey's responses until the job has run). This indexes surveys ahead of
+ * that, e.g. right after scripts/migrateAutoRejectionRules.js gave a survey duplicate rules.
+ *
+ * Usage:
+ *   node scripts/indexDuplicateAnswers.js [surveyId ...]
+ *
+ * Without survey ids, every survey whose rules include a duplicate_answer rule is indexed.
+ * Safe to re-run: each response's keys are replaced, not appended.
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Survey = require('../models/Survey');
+const { getAutoRejectionRules, indexDuplicateAnswers } = require('../utils/autoRejectionHelper');
+
+async function indexAllDuplicateAnswers(surveyIds) {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+
+    let ids = surveyIds;
+    if (ids.length === 0) {
+      const surveys = await Survey.find({}).select('autoRejectionRules').lean();
+      ids = surveys
+        .filter(survey => getAutoRejectionRules(survey).rules.some(rule => rule.type === 'duplicate_answer'))
+        .map(survey => survey._id.toString());
+    }
+
+    if (ids.length === 0) {
+      console.log('⏭️  No survey has duplicate answer rules - nothing to index');
+      return;
+    }
+
+    for (const surveyId of ids) {
+      const { indexed } = await indexDuplicateAnswers(surveyId);
+      console.log(`✅ Survey ${surveyId}: ${indexed} responses indexed`);
+    }
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  indexAllDuplicateAnswers(process.argv.slice(2))
+    .then(() => {
+      console.log('🎉 Indexing completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Indexing failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { indexAllDuplicateAnswers };
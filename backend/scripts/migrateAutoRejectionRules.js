@@ -0,0 +1,125 @@
+/**
+ * Move the auto-rejection checks that used to be hard-coded for survey
+ * 68fd1915d41841da463f0d46 into that survey's rule set (version 1).
+ *
+ * The survey rejected "Not a Registered Voter in Given AC" on option code 2 instead of the
+ * generic "no" answer, and rejected duplicate mobile numbers. Every other survey keeps
+ * running on DEFAULT_AUTO_REJECTION_RULES until an admin saves its own rules.
+ *
+ * Usage:
+ *   node scripts/migrateAutoRejectionRules.js
+ *
+ * Safe to re-run: surveys that already have a saved rule set are left alone.
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Survey = require('../models/Survey');
+const AutoRejectionRuleVersion = require('../models/AutoRejectionRuleVersion');
+const { DEFAULT_AUTO_REJECTION_RULES, validateRules } = require('../utils/autoRejectionHelper');
+
+const LEGACY_SURVEY_ID = '68fd1915d41841da463f0d46';
+
+const LEGACY_RULES = [
+  ...DEFAULT_AUTO_REJECTION_RULES.filter(rule => rule.ruleId !== 'not_voter'),
+  {
+    ruleId: 'not_registered_voter_ac',
+    name: 'Not a registered voter in the given AC',
+    type: 'answer',
+    questionRef: {
+      questionId: null,
+      textMatches: DEFAULT_AUTO_REJECTION_RULES.find(rule => rule.ruleId === 'not_voter').questionRef.textMatches
+    },
+    operator: 'eq',
+    threshold: ['2'],
+    matchOn: 'value_or_code',
+    modes: ['capi', 'cati', 'online'],
+    reason: 'Not a Registered Voter in Given AC',
+    condition: 'not_registered_voter_ac',
+    enabled: true
+  },
+  {
+    ruleId: 'duplicate_phone',
+    name: 'Mobile number already collected',
+    type: 'duplicate_answer',
+    questionRef: {
+      questionId: null,
+      textMatches: ['mobile number', 'phone number', 'share your mobile']
+    },
+    operator: 'eq',
+    // "0" is recorded when the respondent did not answer
+    ignoreValues: ['0'],
+    modes: ['capi', 'cati', 'online'],
+    reason: 'Duplicate Phone Number',
+    condition: 'duplicate_phone',
+    enabled: true
+  }
+];
+
+async function migrateAutoRejectionRules() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+
+    const survey = await Survey.findById(LEGACY_SURVEY_ID).select('company createdBy autoRejectionRules');
+    if (!survey) {
+      console.log(`⏭️  Survey ${LEGACY_SURVEY_ID} not found - nothing to migrate`);
+      return;
+    }
+
+    if (survey.autoRejectionRules?.version) {
+      console.log(`⏭️  Survey ${LEGACY_SURVEY_ID} already has rule set version ${survey.autoRejectionRules.version}`);
+      return;
+    }
+
+    const { rules, errors } = validateRules(LEGACY_RULES);
+    if (errors.length > 0) {
+      throw new Error(`Legacy rules are invalid: ${errors.join('; ')}`);
+    }
+
+    await Survey.updateOne(
+      { _id: survey._id },
+      {
+        $set: {
+          autoRejectionRules: {
+            enabled: true,
+            version: 1,
+            rules,
+            updatedBy: survey.createdBy,
+            updatedAt: new Date()
+          }
+        }
+      },
+      { runValidators: true }
+    );
+
+    await AutoRejectionRuleVersion.create({
+      survey: survey._id,
+      company: survey.company,
+      version: 1,
+      enabled: true,
+      rules,
+      changeNote: 'Migrated from the hard-coded auto-rejection checks',
+      createdBy: survey.createdBy
+    });
+
+    console.log(`✅ Survey ${LEGACY_SURVEY_ID} now uses rule set version 1 (${rules.length} rules)`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateAutoRejectionRules()
+    .then(() => {
+      console.log('🎉 Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateAutoRejectionRules, LEGACY_RULES };
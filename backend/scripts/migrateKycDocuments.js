@@ -0,0 +1,127 @@
+/**
+ * Move interviewer KYC documents out of the public uploads folder.
+ *
+ * Aadhaar, PAN, bank proofs, CVs and passport photos used to be saved to uploads/ (and, for a
+ * while, uploads/interviewer-documents/), which express serves as static files. This moves every
+ * local file referenced by a user's interviewerProfile, and any stray KYC upload not referenced by
+ * anyone, to private_uploads/kyc, which only /api/kyc-documents reads. Documents stored in S3 are
+ * left alone.
+ *
+ * Usage:
+ *   node scripts/migrateKycDocuments.js [--dry-run]
+ *
+ *   --dry-run    Report what would be moved without moving anything
+ *
+ * Safe to re-run: stored file names do not change, and files already moved are skipped.
+ */
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const {
+  KYC_DOCUMENT_FIELDS,
+  PRIVATE_KYC_DIR,
+  LEGACY_UPLOAD_DIR,
+  isLocalKycFile
+} = require('../utils/kycDocuments');
+
+const LEGACY_DIRS = [LEGACY_UPLOAD_DIR, path.join(LEGACY_UPLOAD_DIR, 'interviewer-documents')];
+
+const parseArgs = (argv) => ({ dryRun: argv.includes('--dry-run') });
+
+// rename fails across devices, e.g. when private_uploads is a separate volume
+const moveFile = (from, to) => {
+  try {
+    fs.renameSync(from, to);
+  } catch (error) {
+    if (error.code !== 'EXDEV') throw error;
+    fs.copyFileSync(from, to);
+    fs.unlinkSync(from);
+  }
+};
+
+/**
+ * Local KYC file names in the public folders, including ones no profile references any more
+ * @returns {Map<String, String>} file name → current path
+ */
+const findPublicKycFiles = () => {
+  const files = new Map();
+  LEGACY_DIRS.forEach(dir => {
+    if (!fs.existsSync(dir)) return;
+    fs.readdirSync(dir)
+      .filter(isLocalKycFile)
+      .forEach(name => files.set(name, path.join(dir, name)));
+  });
+  return files;
+};
+
+async function migrateKycDocuments(options = parseArgs(process.argv.slice(2))) {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+
+    const publicFiles = findPublicKycFiles();
+    console.log(`📁 Found ${publicFiles.size} KYC file(s) in the public uploads folder${options.dryRun ? ' (dry run)' : ''}`);
+
+    // Stored values are file names for local uploads and keys (documents/...) for S3
+    const users = await User.find({
+      $or: KYC_DOCUMENT_FIELDS.map(field => ({ [`interviewerProfile.${field}`]: { $exists: true, $ne: '' } }))
+    }).select(KYC_DOCUMENT_FIELDS.map(field => `interviewerProfile.${field}`).join(' ')).lean();
+
+    const referenced = new Set();
+    let missing = 0;
+    users.forEach(user => {
+      KYC_DOCUMENT_FIELDS.forEach(field => {
+        const stored = user.interviewerProfile?.[field];
+        if (!stored || stored.includes('/')) return;
+        referenced.add(stored);
+        if (!publicFiles.has(stored) && !fs.existsSync(path.join(PRIVATE_KYC_DIR, stored))) {
+          missing++;
+          console.log(`   ⚠️  ${user._id} ${field}: ${stored} not found on disk`);
+        }
+      });
+    });
+    console.log(`👤 ${users.length} user(s) with KYC documents; ${referenced.size} local file(s) referenced, ${missing} missing`);
+
+    if (!options.dryRun && !fs.existsSync(PRIVATE_KYC_DIR)) {
+      fs.mkdirSync(PRIVATE_KYC_DIR, { recursive: true });
+    }
+
+    let moved = 0;
+    let unreferenced = 0;
+    for (const [name, from] of publicFiles) {
+      const to = path.join(PRIVATE_KYC_DIR, name);
+      if (!referenced.has(name)) unreferenced++;
+
+      if (fs.existsSync(to)) {
+        console.log(`   ⏭️  ${name} already in the private folder; public copy left for manual review`);
+        continue;
+      }
+      if (!options.dryRun) {
+        moveFile(from, to);
+      }
+      moved++;
+    }
+
+    console.log(`📊 ${moved} file(s) ${options.dryRun ? 'would be moved' : 'moved'} to ${PRIVATE_KYC_DIR} (${unreferenced} not referenced by any profile)`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateKycDocuments()
+    .then(() => {
+      console.log('🎉 Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateKycDocuments };
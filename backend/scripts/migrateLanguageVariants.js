@@ -0,0 +1,101 @@
+/**
+ * Convert brace-encoded translations ("Main Text {Translation1{Translation2}}") in survey
+ * questions, descriptions and options into named language variants.
+ *
+ * The first declared language keeps the main text in `text` / `description`; every other
+ * language goes into `textVariants` / `descriptionVariants` in brace order. Option values
+ * are not touched, so answers already collected still match their options.
+ *
+ * Usage:
+ *   node scripts/migrateLanguageVariants.js [--languages=en,bn,hi] [--survey=<id>] [--dry-run]
+ *
+ *   --languages  Language codes in brace order (default en,bn)
+ *   --survey     Only migrate this survey
+ *   --dry-run    Report what would change without writing
+ *
+ * Safe to re-run: surveys that already declare languages are left alone.
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Survey = require('../models/Survey');
+const { normalizeLanguages, convertSurveyToLanguageVariants } = require('../utils/languageVariants');
+
+const parseArgs = (argv) => {
+  const args = { languages: ['en', 'bn'], surveyId: null, dryRun: false };
+  argv.forEach(arg => {
+    if (arg.startsWith('--languages=')) {
+      args.languages = arg.split('=')[1].split(',').map(code => code.trim()).filter(Boolean);
+    } else if (arg.startsWith('--survey=')) {
+      args.surveyId = arg.split('=')[1];
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    }
+  });
+  return args;
+};
+
+async function migrateLanguageVariants(options = parseArgs(process.argv.slice(2))) {
+  const { languages, errors } = normalizeLanguages(options.languages);
+  if (errors.length > 0 || languages.length < 2) {
+    throw new Error(`Invalid --languages: ${errors.join('; ') || 'at least two languages are required'}`);
+  }
+  const languageCodes = languages.map(language => language.code);
+
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+    console.log(`🌐 Languages in brace order: ${languageCodes.join(', ')}${options.dryRun ? ' (dry run)' : ''}`);
+
+    const filter = { 'languages.0': { $exists: false } };
+    if (options.surveyId) {
+      filter._id = new mongoose.Types.ObjectId(options.surveyId);
+    }
+
+    // Raw documents: the Map fields would otherwise be cast before we build them
+    const surveys = await Survey.collection
+      .find(filter, { projection: { surveyName: 1, sections: 1, questions: 1 } })
+      .toArray();
+    console.log(`📋 Found ${surveys.length} survey(s) without declared languages`);
+
+    let migrated = 0;
+    for (const survey of surveys) {
+      const { sections, questions, converted, warnings } = convertSurveyToLanguageVariants(survey, languageCodes);
+
+      if (converted === 0) {
+        console.log(`⏭️  ${survey.surveyName} (${survey._id}): no brace translations found`);
+        continue;
+      }
+
+      warnings.forEach(warning => console.log(`   ⚠️  ${warning}`));
+
+      if (!options.dryRun) {
+        await Survey.collection.updateOne(
+          { _id: survey._id },
+          { $set: { languages, sections, questions, updatedAt: new Date() } }
+        );
+      }
+      migrated++;
+      console.log(`✅ ${survey.surveyName} (${survey._id}): ${converted} text(s) converted`);
+    }
+
+    console.log(`📊 ${migrated} survey(s) ${options.dryRun ? 'would be migrated' : 'migrated'}`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateLanguageVariants()
+    .then(() => {
+      console.log('🎉 Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateLanguageVariants };
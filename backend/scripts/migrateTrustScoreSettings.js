@@ -0,0 +1,78 @@
+/**
+ * Move company trust score settings to the 0-100 scale used by utils/trustScore.js.
+ *
+ * qualitySettings used to allow 0-1000, with autoApprovalThreshold defaulting to 800, which no
+ * 0-100 score can reach. The old default becomes the new one (90); any other setting above 100
+ * is divided by 10.
+ *
+ * Usage:
+ *   node scripts/migrateTrustScoreSettings.js [--dry-run]
+ *
+ *   --dry-run    Report what would change without writing
+ *
+ * Safe to re-run: settings already within 0-100 are left alone.
+ */
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Company = require('../models/Company');
+
+const SETTINGS = ['defaultTrustScore', 'minimumTrustScore', 'autoApprovalThreshold'];
+const OLD_DEFAULT_THRESHOLD = 800;
+const NEW_DEFAULT_THRESHOLD = 90;
+
+const parseArgs = (argv) => ({ dryRun: argv.includes('--dry-run') });
+
+const migratedValue = (setting, value) => {
+  if (setting === 'autoApprovalThreshold' && value === OLD_DEFAULT_THRESHOLD) return NEW_DEFAULT_THRESHOLD;
+  return Math.round(value / 10);
+};
+
+async function migrateTrustScoreSettings(options = parseArgs(process.argv.slice(2))) {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('🔌 Connected to MongoDB');
+
+    const companies = await Company.collection
+      .find(
+        { $or: SETTINGS.map(setting => ({ [`qualitySettings.${setting}`]: { $gt: 100 } })) },
+        { projection: { companyName: 1, qualitySettings: 1 } }
+      )
+      .toArray();
+    console.log(`🏢 Found ${companies.length} company(ies) with settings above 100${options.dryRun ? ' (dry run)' : ''}`);
+
+    for (const company of companies) {
+      const update = {};
+      SETTINGS.forEach(setting => {
+        const value = company.qualitySettings?.[setting];
+        if (typeof value === 'number' && value > 100) {
+          update[`qualitySettings.${setting}`] = migratedValue(setting, value);
+          console.log(`   ${company.companyName} (${company._id}): ${setting} ${value} → ${update[`qualitySettings.${setting}`]}`);
+        }
+      });
+
+      if (!options.dryRun) {
+        await Company.collection.updateOne({ _id: company._id }, { $set: update });
+      }
+    }
+
+    console.log(`📊 ${companies.length} company(ies) ${options.dryRun ? 'would be migrated' : 'migrated'}`);
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+if (require.main === module) {
+  migrateTrustScoreSettings()
+    .then(() => {
+      console.log('🎉 Migration completed successfully!');
+      process.exit(0);
+    })
+    .catch((error) => {
+      console.error('💥 Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { migrateTrustScoreSettings };
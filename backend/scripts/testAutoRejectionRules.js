@@ -0,0 +1,204 @@
+/**
+ * Check the per-survey auto-rejection rules engine against a scratch database.
+ *
+ * Verifies that:
+ *   1. a survey without saved rules rejects exactly what the old hard-coded checks did
+ *   2. a saved rule set replaces the defaults (version, custom answer rule, duplicates)
+ *   3. the rules migrated for the survey whose checks used to be hard-coded validate, and no
+ *      survey gets them without the migration
+ *   4. duplicates are found by scanning until the survey is indexed for its rules (with the
+ *      re-index queued meanwhile), then through the duplicateAnswerKeys index
+ *   5. the rejecting rule set version and rule ids are persisted on the response
+ *   6. a dry run counts would-be rejections without changing any response
+ *
+ * Usage:
+ *   node scripts/testAutoRejectionRules.js
+ *
+ * Uses AUTO_REJECTION_TEST_URI (default mongodb://localhost:27017/opine-auto-rejection-test).
+ * It deliberately ignores MONGODB_URI so it can never run against production data.
+ */
+const mongoose = require('mongoose');
+
+const Survey = require('../models/Survey');
+const SurveyResponse = require('../models/SurveyResponse');
+const BackgroundJob = require('../models/BackgroundJob');
+const {
+  validateRules,
+  checkAutoRejection,
+  applyAutoRejection,
+  dryRunAutoRejection,
+  indexDuplicateAnswers,
+  getAutoRejectionRules
+} = require('../utils/autoRejectionHelper');
+const { LEGACY_RULES } = require('./migrateAutoRejectionRules');
+
+const LEGACY_SURVEY_ID = '68fd1915d41841da463f0d46';
+
+const TEST_URI = process.env.AUTO_REJECTION_TEST_URI || 'mongodb://localhost:27017/opine-auto-rejection-test';
+
+const failures = [];
+const check = (condition, message) => {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    console.log(`  ❌ ${message}`);
+    failures.push(message);
+  }
+};
+
+const VOTER_QUESTION = 'Are you a registered voter in this assembly constituency?';
+const PHONE_QUESTION = 'Would you like to share your mobile number with us?';
+
+let responseCounter = 0;
+const createResponse = (surveyId, interviewerId, overrides = {}) => {
+  responseCounter++;
+  return SurveyResponse.create({
+    survey: surveyId,
+    interviewer: interviewerId,
+    responseId: `AR-TEST-${Date.now()}-${responseCounter}`,
+    sessionId: `ar-test-session-${Date.now()}-${responseCounter}`,
+    status: 'Pending_Approval',
+    interviewMode: 'capi',
+    startTime: new Date(Date.now() - 600000),
+    endTime: new Date(),
+    totalTimeSpent: 600,
+    totalQuestions: 1,
+    answeredQuestions: 1,
+    completionPercentage: 100,
+    responses: [],
+    ...overrides
+  });
+};
+
+const answer = (questionText, response, responseCodes) => ({
+  sectionIndex: 0,
+  questionIndex: 0,
+  questionId: questionText === VOTER_QUESTION ? 'q_voter' : 'q_phone',
+  questionType: 'single_choice',
+  questionText,
+  response,
+  responseCodes
+});
+
+const run = async () => {
+  await mongoose.connect(TEST_URI);
+  console.log(`🔌 Connected to ${TEST_URI}`);
+
+  const companyId = new mongoose.Types.ObjectId();
+  const interviewerId = new mongoose.Types.ObjectId();
+  const survey = await Survey.collection.insertOne({
+    surveyName: 'Auto-rejection rules test',
+    company: companyId,
+    status: 'active',
+    createdAt: new Date()
+  });
+  const surveyId = survey.insertedId;
+
+  try {
+    console.log('\n=== Default rules ===');
+    check(getAutoRejectionRules(null).version === 0, 'surveys without rules use version 0');
+    const legacyDefaults = getAutoRejectionRules({ _id: new mongoose.Types.ObjectId(LEGACY_SURVEY_ID) });
+    check(legacyDefaults.isDefault && !legacyDefaults.rules.some(rule => rule.ruleId === 'duplicate_phone'),
+      'the formerly hard-coded survey gets no special rules until they are migrated onto it');
+
+    const shortCapi = await createResponse(surveyId, interviewerId, { totalTimeSpent: 120 });
+    const shortResult = await checkAutoRejection(shortCapi, shortCapi.responses, surveyId);
+    check(shortResult?.reasons.some(r => r.condition === 'duration'), 'CAPI under 180s is rejected as too short');
+
+    const cati = await createResponse(surveyId, interviewerId, { interviewMode: 'cati', totalTimeSpent: 120 });
+    check(await checkAutoRejection(cati, cati.responses, surveyId) === null, 'CATI over 90s passes');
+
+    const notVoter = await createResponse(surveyId, interviewerId, {
+      responses: [answer(VOTER_QUESTION, 'No {না}', '2')]
+    });
+    const notVoterResult = await checkAutoRejection(notVoter, notVoter.responses, surveyId);
+    check(notVoterResult?.feedback === 'Not Voter', 'a "no" to the voter question is rejected as Not Voter');
+
+    const booster = await createResponse(surveyId, interviewerId, {
+      metadata: { locationControlBooster: true },
+      location: { latitude: 22.5, longitude: 88.3 },
+      selectedPollingStation: { gpsLocation: '22.51,88.3' }
+    });
+    const boosterResult = await checkAutoRejection(booster, booster.responses, surveyId);
+    check(boosterResult?.reasons.some(r => r.condition === 'gps_distance'), 'GPS over 100m from the polling station is rejected');
+
+    await applyAutoRejection(shortCapi, shortResult);
+    const stored = await SurveyResponse.findById(shortCapi._id).lean();
+    check(stored.status === 'Rejected' && stored.verificationData?.autoRejected === true, 'rejection is applied');
+    check(stored.verificationData?.autoRejectionRuleVersion === 0, 'rule set version 0 is recorded');
+    check(stored.verificationData?.autoRejectionRules?.[0]?.ruleId === 'duration_capi', 'rejecting rule id is recorded');
+
+    console.log('\n=== Saved rule set ===');
+    const { rules, errors } = validateRules(LEGACY_RULES);
+    check(errors.length === 0, 'migrated legacy rules validate');
+    await Survey.collection.updateOne({ _id: surveyId }, {
+      $set: { autoRejectionRules: { enabled: true, version: 3, rules } }
+    });
+
+    const codeTwo = await createResponse(surveyId, interviewerId, {
+      responses: [answer(VOTER_QUESTION, 'Yes, but another AC', '2')]
+    });
+    const codeTwoResult = await checkAutoRejection(codeTwo, codeTwo.responses, surveyId);
+    check(codeTwoResult?.reasons.some(r => r.condition === 'not_registered_voter_ac'), 'option code 2 is rejected by the saved rule');
+    check(codeTwoResult?.ruleVersion === 3, 'saved rule set version is reported');
+
+    const original = await createResponse(surveyId, interviewerId, { responses: [answer(PHONE_QUESTION, '98765 43210')] });
+    check(await checkAutoRejection(original, original.responses, surveyId) === null, 'the first use of a mobile number passes');
+    const indexedOriginal = await SurveyResponse.findById(original._id).select('duplicateAnswerKeys').lean();
+    check(indexedOriginal.duplicateAnswerKeys?.includes('duplicate_phone:9876543210'), 'the checked response is indexed by its number');
+    const duplicate = await createResponse(surveyId, interviewerId, { responses: [answer(PHONE_QUESTION, '9876543210')] });
+    const duplicateResult = await checkAutoRejection(duplicate, duplicate.responses, surveyId);
+    check(duplicateResult?.reasons.some(r => r.condition === 'duplicate_phone'), 'a repeated mobile number is rejected');
+
+    const noPhone = await createResponse(surveyId, interviewerId, { responses: [answer(PHONE_QUESTION, '0')] });
+    await createResponse(surveyId, interviewerId, { responses: [answer(PHONE_QUESTION, '0')] });
+    check(await checkAutoRejection(noPhone, noPhone.responses, surveyId) === null, '"0" (did not answer) is never a duplicate');
+
+    // Collected before the rule existed, so never checked
+    await createResponse(surveyId, interviewerId, { responses: [answer(PHONE_QUESTION, '91234 56789')] });
+    const unindexedRepeat = await createResponse(surveyId, interviewerId, { responses: [answer(PHONE_QUESTION, '9123456789')] });
+    const scannedResult = await checkAutoRejection(unindexedRepeat, unindexedRepeat.responses, surveyId);
+    check(scannedResult?.reasons.some(r => r.condition === 'duplicate_phone'),
+      'before the survey is indexed, a repeat of a never-checked response is found by scanning');
+    check(Boolean(await BackgroundJob.exists({ key: `autoRejection.indexDuplicateAnswers:${surveyId}` })),
+      'checking against rules the survey is not indexed for queues the re-index');
+
+    const { indexed } = await indexDuplicateAnswers(surveyId);
+    check(indexed > 0, `re-indexing covers the survey's responses (${indexed})`);
+    const indexedSurvey = await Survey.findById(surveyId).select('autoRejectionRules').lean();
+    check(indexedSurvey.autoRejectionRules.duplicateIndexVersion === 3, 'the indexed rule set version is recorded');
+    const reindexedResult = await checkAutoRejection(unindexedRepeat, unindexedRepeat.responses, surveyId);
+    check(reindexedResult?.reasons.some(r => r.condition === 'duplicate_phone'), 'after re-indexing the repeated number is found in the index');
+
+    console.log('\n=== Dry run ===');
+    const before = await SurveyResponse.countDocuments({ survey: surveyId, status: 'Rejected' });
+    const summary = await dryRunAutoRejection(surveyId, getAutoRejectionRules(
+      await Survey.findById(surveyId).select('autoRejectionRules').lean()
+    ));
+    const after = await SurveyResponse.countDocuments({ survey: surveyId, status: 'Rejected' });
+    check(before === after, 'dry run does not change any response');
+    check(summary.byRule.duplicate_phone === 4, `both copies of each repeated number are counted (${summary.byRule.duplicate_phone})`);
+    check(summary.byRule.not_registered_voter_ac === 2, `code 2 answers counted (${summary.byRule.not_registered_voter_ac})`);
+    check(summary.wouldReject >= 5 && summary.newlyRejected === summary.wouldReject - 1,
+      `would reject ${summary.wouldReject}, ${summary.newlyRejected} not yet rejected`);
+
+    const disabled = await dryRunAutoRejection(surveyId, { enabled: false, version: null, rules });
+    check(disabled.wouldReject === 0 && disabled.noLongerRejected === 1, 'a disabled rule set rejects nothing');
+  } finally {
+    await SurveyResponse.deleteMany({ survey: surveyId });
+    await BackgroundJob.deleteMany({ key: `autoRejection.indexDuplicateAnswers:${surveyId}` });
+    await Survey.collection.deleteOne({ _id: surveyId });
+    await mongoose.disconnect();
+  }
+
+  console.log(failures.length === 0
+    ? '\n🎉 All auto-rejection checks passed'
+    : `\n💥 ${failures.length} check(s) failed`);
+  process.exit(failures.length === 0 ? 0 : 1);
+};
+
+run().catch(async (error) => {
+  console.error('❌ Auto-rejection harness crashed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
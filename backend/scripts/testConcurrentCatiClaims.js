@@ -0,0 +1,164 @@
+/**
+ * Concurrency harness for CATI respondent claims.
+ *
+ * Seeds a throwaway survey queue in a LOCAL MongoDB, fires many simultaneous
+ * claimNextRespondent() calls from different fake callers and verifies that:
+ *   1. no respondent is ever handed out twice
+ *   2. higher-priority ACs (CATI_AC_Priority.json) are exhausted before lower ones
+ *   3. Priority 0 ACs are never handed out
+ *   4. a caller asking again gets their existing reservation back
+ *   5. expired reservations return to 'pending'
+ *
+ * Usage:
+ *   node scripts/testConcurrentCatiClaims.js [respondents=300] [callers=50] [rounds=8]
+ *
+ * Uses CATI_CLAIM_TEST_URI (default mongodb://localhost:27017/opine-cati-claim-test).
+ * It deliberately ignores MONGODB_URI so it can never run against production data.
+ */
+const mongoose = require('mongoose');
+
+const CatiRespondentQueue = require('../models/CatiRespondentQueue');
+const {
+  loadACPriorityMap,
+  claimNextRespondent,
+  releaseExpiredReservations
+} = require('../utils/catiQueueHelper');
+
+const TEST_URI = process.env.CATI_CLAIM_TEST_URI || 'mongodb://localhost:27017/opine-cati-claim-test';
+const RESPONDENTS = parseInt(process.argv[2], 10) || 300;
+const CALLERS = parseInt(process.argv[3], 10) || 50;
+const ROUNDS = parseInt(process.argv[4], 10) || 8;
+
+const failures = [];
+const check = (condition, message) => {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    console.log(`  ❌ ${message}`);
+    failures.push(message);
+  }
+};
+
+const seedQueue = async (surveyId, priorityMap) => {
+  const prioritizedACs = Object.keys(priorityMap);
+  const acPool = [...prioritizedACs, 'Unlisted Test AC', null];
+
+  const entries = [];
+  for (let i = 0; i < RESPONDENTS; i++) {
+    const ac = acPool[i % acPool.length];
+    entries.push({
+      survey: surveyId,
+      respondentContact: {
+        name: `Claim Test ${i}`,
+        phone: `90000${String(i).padStart(5, '0')}`,
+        ...(ac ? { ac } : {})
+      },
+      status: 'pending',
+      currentAttemptNumber: 0
+    });
+  }
+  await CatiRespondentQueue.insertMany(entries);
+};
+
+const run = async () => {
+  await mongoose.connect(TEST_URI);
+  console.log(`🔌 Connected to ${TEST_URI}`);
+  await CatiRespondentQueue.syncIndexes();
+
+  const surveyId = new mongoose.Types.ObjectId();
+  const callers = Array.from({ length: CALLERS }, () => new mongoose.Types.ObjectId());
+  const priorityMap = await loadACPriorityMap();
+
+  try {
+    await seedQueue(surveyId, priorityMap);
+    console.log(`🌱 Seeded ${RESPONDENTS} respondents for survey ${surveyId}`);
+
+    // --- 1-3: concurrent claims, each caller releases its reservation after every round ---
+    console.log(`\n=== ${CALLERS} callers x ${ROUNDS} rounds of concurrent claims ===`);
+    const handedOut = new Map(); // respondentId -> callerId
+    const claimOrder = [];
+    let duplicates = 0;
+
+    for (let round = 0; round < ROUNDS; round++) {
+      const results = await Promise.all(callers.map(callerId => claimNextRespondent(surveyId, callerId)));
+
+      results.forEach(({ respondent }, index) => {
+        if (!respondent) return;
+        const id = respondent._id.toString();
+        if (handedOut.has(id)) {
+          duplicates++;
+        }
+        handedOut.set(id, callers[index].toString());
+        claimOrder.push(respondent.respondentContact?.ac || null);
+      });
+
+      // Simulate completed calls so the next round claims fresh respondents
+      await CatiRespondentQueue.updateMany(
+        { survey: surveyId, status: 'assigned' },
+        { $set: { status: 'interview_success', reservationExpiresAt: null } }
+      );
+    }
+
+    check(duplicates === 0, `No respondent handed out twice (${handedOut.size} claims, ${duplicates} duplicates)`);
+
+    const priorityOf = (ac) => {
+      if (!ac) return Infinity;
+      const p = priorityMap[ac];
+      return p === undefined ? Infinity : p;
+    };
+    const excludedClaims = claimOrder.filter(ac => priorityOf(ac) === 0).length;
+    check(excludedClaims === 0, `No Priority 0 AC respondents handed out (${excludedClaims} found)`);
+
+    // A lower-priority claim is only legitimate once every higher-priority respondent is gone
+    let orderViolations = 0;
+    const claimedPriorities = claimOrder.map(priorityOf);
+    const pendingPriorities = (await CatiRespondentQueue.find({ survey: surveyId, status: 'pending' }).lean())
+      .map(r => priorityOf(r.respondentContact?.ac))
+      .filter(p => p !== 0);
+    const bestPending = pendingPriorities.length ? Math.min(...pendingPriorities) : Infinity;
+    claimedPriorities.forEach(p => {
+      if (p !== 0 && p > bestPending) orderViolations++;
+    });
+    check(orderViolations === 0, `Claims respect AC priority (${orderViolations} claims skipped a higher-priority respondent)`);
+
+    // --- 4: per-caller reservation is reused ---
+    console.log('\n=== Per-caller reservation reuse ===');
+    const caller = callers[0];
+    const first = await claimNextRespondent(surveyId, caller);
+    const second = await claimNextRespondent(surveyId, caller);
+    if (first.respondent) {
+      check(
+        second.reused && second.respondent && second.respondent._id.equals(first.respondent._id),
+        'Second claim by the same caller returns the held reservation'
+      );
+    } else {
+      console.log('  ⚠️  Queue exhausted, skipping reuse check (increase respondents)');
+    }
+
+    // --- 5: expiry ---
+    console.log('\n=== Reservation expiry ===');
+    await CatiRespondentQueue.updateMany(
+      { survey: surveyId, status: 'assigned' },
+      { $set: { reservationExpiresAt: new Date(Date.now() - 1000) } }
+    );
+    const released = await releaseExpiredReservations(surveyId);
+    const stillAssigned = await CatiRespondentQueue.countDocuments({ survey: surveyId, status: 'assigned' });
+    check(stillAssigned === 0, `Expired reservations returned to pending (${released} released)`);
+  } finally {
+    await CatiRespondentQueue.deleteMany({ survey: surveyId });
+    console.log(`\n🧹 Removed test queue for survey ${surveyId}`);
+    await mongoose.disconnect();
+  }
+
+  if (failures.length > 0) {
+    console.log(`\n❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log('\n✅ All claim checks passed');
+  process.exit(0);
+};
+
+run().catch(error => {
+  console.error('❌ Claim harness crashed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,161 @@
+/**
+ * Regression harness for the report metrics (utils/reportMetrics.js).
+ *
+ * Evaluates every metric over a fixed set of fixture responses and verifies that:
+ *   1. each metric has the pinned value, counted from the raw responses
+ *   2. the same figures come out of analytics buckets built from those responses
+ *      (computeResponseFacts), as GET /api/surveys/:id/metrics serves them
+ *   3. each response's metricValues (as the response list carries them) add up to the same counts
+ *   4. grouped figures are split per interviewer
+ *
+ * Usage:
+ *   node scripts/testReportMetrics.js
+ *
+ * Needs no database. When a metric's definition changes on purpose, update its pinned value here.
+ */
+const {
+  METRIC_KEYS,
+  COUNT_METRIC_KEYS,
+  toMetricRow,
+  evaluateMetrics,
+  getResponseMetricValues
+} = require('../utils/reportMetrics');
+const { computeResponseFacts } = require('../utils/surveyAnalyticsStore');
+
+const failures = [];
+const check = (condition, message) => {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    console.log(`  ❌ ${message}`);
+    failures.push(message);
+  }
+};
+
+const CREATED_AT = new Date('2026-01-15T06:30:00Z');
+
+const response = (id, fields) => ({
+  _id: id,
+  interviewer: fields.interviewer || 'interviewer-a',
+  createdAt: CREATED_AT,
+  responses: [],
+  ...fields
+});
+
+const queuedBatch = { status: 'queued_for_qc' };
+const collectingBatch = { status: 'collecting' };
+const reviewingBatch = { status: 'qc_in_progress' };
+const failedSampleBatch = { status: 'completed', remainingDecision: { decision: 'queued_for_qc' } };
+
+const FIXTURES = [
+  // CAPI
+  response('capi-approved-1', { interviewMode: 'capi', status: 'Approved' }),
+  response('capi-approved-2', { interviewMode: 'capi', status: 'Approved', interviewer: 'interviewer-b' }),
+  response('capi-rejected-manual', { interviewMode: 'capi', status: 'Rejected', verificationData: { feedback: 'Wrong respondent' } }),
+  response('capi-rejected-flag', { interviewMode: 'capi', status: 'Rejected', verificationData: { autoRejected: true } }),
+  response('capi-rejected-reasons', { interviewMode: 'capi', status: 'Rejected', verificationData: { autoRejectionReasons: ['duration'] } }),
+  response('capi-rejected-feedback', { interviewMode: 'capi', status: 'Rejected', verificationData: { feedback: 'Auto: Interview Too Short' } }),
+  response('capi-pending-queued', { interviewMode: 'capi', status: 'Pending_Approval', qcBatch: queuedBatch }),
+  response('capi-pending-sample', { interviewMode: 'capi', status: 'Pending_Approval', qcBatch: reviewingBatch, isSampleResponse: true }),
+  response('capi-pending-remainder-reviewing', { interviewMode: 'capi', status: 'Pending_Approval', qcBatch: reviewingBatch }),
+  response('capi-pending-remainder-failed', { interviewMode: 'capi', status: 'Pending_Approval', qcBatch: failedSampleBatch }),
+  response('capi-pending-collecting', { interviewMode: 'capi', status: 'Pending_Approval', qcBatch: collectingBatch }),
+  response('capi-pending-no-batch', { interviewMode: 'capi', status: 'Pending_Approval' }),
+  response('capi-abandoned', { interviewMode: 'capi', status: 'abandoned' }),
+  // CATI
+  response('cati-approved', { interviewMode: 'cati', status: 'Approved', knownCallStatus: 'call_connected', interviewer: 'interviewer-b' }),
+  response('cati-rejected-auto', { interviewMode: 'cati', status: 'Rejected', knownCallStatus: 'Call_Connected', verificationData: { autoRejected: true } }),
+  response('cati-pending-legacy-success', { interviewMode: 'cati', status: 'Pending_Approval', metadata: { callStatus: 'success' } }),
+  response('cati-abandoned-connected', { interviewMode: 'cati', status: 'abandoned', knownCallStatus: 'connected' }),
+  response('cati-terminated-answer', {
+    interviewMode: 'cati',
+    status: 'Terminated',
+    responses: [{ questionId: 'call-status', response: 'call_connected' }]
+  }),
+  response('cati-busy', { interviewMode: 'cati', status: 'abandoned', knownCallStatus: 'busy', interviewer: 'interviewer-b' }),
+  response('cati-no-answer', { interviewMode: 'cati', status: 'abandoned', knownCallStatus: 'did_not_pick_up' }),
+  response('cati-no-status', { interviewMode: 'cati', status: 'abandoned' })
+];
+
+// Pinned values over FIXTURES
+const EXPECTED = {
+  interviewsAttempted: 21,
+  interviewsCompleted: 15,
+  approved: 3,
+  rejected: 5,
+  autoRejected: 4,
+  manualRejected: 1,
+  underQC: 7,
+  underQCQueue: 3,
+  processingInBatch: 4,
+  dials: 8,
+  callsConnected: 5,
+  incomplete: 2,
+  approvalRate: 20,
+  connectRate: 62.5
+};
+
+// Pinned values per interviewer
+const EXPECTED_BY_INTERVIEWER = {
+  'interviewer-a': { interviewsAttempted: 18, approved: 1, dials: 6, callsConnected: 4 },
+  'interviewer-b': { interviewsAttempted: 3, approved: 2, dials: 2, callsConnected: 1 }
+};
+
+// Sum facts into analytics buckets the way the store does (one bucket per distinct key)
+const toBuckets = (responses) => {
+  const context = { surveyId: 'report-metrics-fixture', survey: { sections: [] }, genderQuestion: null };
+  const buckets = new Map();
+  responses.forEach(item => {
+    const facts = computeResponseFacts(item, context);
+    const id = JSON.stringify(facts.key);
+    if (!buckets.has(id)) {
+      buckets.set(id, { ...facts.key, count: 0, autoRejected: 0 });
+    }
+    const bucket = buckets.get(id);
+    bucket.count += 1;
+    bucket.autoRejected += facts.counters.autoRejected;
+  });
+  return [...buckets.values()];
+};
+
+const run = () => {
+  check(METRIC_KEYS.every(key => key in EXPECTED), 'every metric has a pinned value');
+
+  console.log('\n1. Metrics over raw responses');
+  const fromResponses = evaluateMetrics(FIXTURES.map(toMetricRow));
+  METRIC_KEYS.forEach(key => {
+    check(fromResponses[key] === EXPECTED[key], `${key} = ${fromResponses[key]} (expected ${EXPECTED[key]})`);
+  });
+
+  console.log('\n2. Metrics over analytics buckets');
+  const buckets = toBuckets(FIXTURES);
+  const fromBuckets = evaluateMetrics(buckets);
+  METRIC_KEYS.forEach(key => {
+    check(fromBuckets[key] === EXPECTED[key], `${key} = ${fromBuckets[key]} from ${buckets.length} buckets`);
+  });
+
+  console.log('\n3. Per-response metric values');
+  const summed = {};
+  FIXTURES.forEach(item => {
+    const values = getResponseMetricValues(item);
+    COUNT_METRIC_KEYS.forEach(key => {
+      summed[key] = (summed[key] || 0) + values[key];
+    });
+  });
+  COUNT_METRIC_KEYS.forEach(key => {
+    check(summed[key] === EXPECTED[key], `${key} summed over responses = ${summed[key]}`);
+  });
+
+  console.log('\n4. Metrics per interviewer');
+  Object.entries(EXPECTED_BY_INTERVIEWER).forEach(([interviewer, expected]) => {
+    const values = evaluateMetrics(buckets.filter(bucket => bucket.interviewer === interviewer), Object.keys(expected));
+    Object.entries(expected).forEach(([key, value]) => {
+      check(values[key] === value, `${interviewer} ${key} = ${values[key]} (expected ${value})`);
+    });
+  });
+
+  console.log(`\n${failures.length === 0 ? '✅ All checks passed' : `❌ ${failures.length} check(s) failed`}`);
+  process.exit(failures.length === 0 ? 0 : 1);
+};
+
+run();
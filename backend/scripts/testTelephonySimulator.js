@@ -0,0 +1,161 @@
+/**
+ * End-to-end check of the CATI call pipeline using the telephony simulator.
+ *
+ * Places one simulated call per scenario the same way makeCallToRespondent does,
+ * lets the simulator play back its status callbacks through the webhook pipeline
+ * (WebhookEvent -> CatiCall -> CatiRespondentQueue) and verifies that:
+ *   1. every call ends in the status its scenario implies
+ *   2. the queue entry follows the call (busy -> busy, no answer -> no_answer, ...)
+ *   3. each callback is recorded exactly once as a processed WebhookEvent
+ *   4. hanging up a ringing call reports it as cancelled
+ *   5. completed calls get a playable recording
+ *
+ * Usage:
+ *   node scripts/testTelephonySimulator.js
+ *
+ * Uses CATI_SIMULATOR_TEST_URI (default mongodb://localhost:27017/opine-cati-simulator-test).
+ * It deliberately ignores MONGODB_URI so it can never run against production data.
+ */
+process.env.TELEPHONY_SIMULATOR_SCENARIO = 'auto';
+process.env.TELEPHONY_SIMULATOR_RING_MS = process.env.TELEPHONY_SIMULATOR_RING_MS || '300';
+process.env.TELEPHONY_SIMULATOR_TALK_MS = process.env.TELEPHONY_SIMULATOR_TALK_MS || '1200';
+
+const mongoose = require('mongoose');
+
+const CatiCall = require('../models/CatiCall');
+const CatiRespondentQueue = require('../models/CatiRespondentQueue');
+const WebhookEvent = require('../models/WebhookEvent');
+// Loading the controller registers the status callback handler
+require('../controllers/catiController');
+const { getTelephonyProvider } = require('../utils/telephony');
+
+const TEST_URI = process.env.CATI_SIMULATOR_TEST_URI || 'mongodb://localhost:27017/opine-cati-simulator-test';
+
+// Respondent number suffix selects the scenario (see utils/telephony/simulatorProvider.js)
+const CASES = [
+  { label: 'answered', suffix: '5', callStatus: 'completed', queueStatus: 'interview_success', callbacks: 3 },
+  { label: 'busy', suffix: '0', callStatus: 'busy', queueStatus: 'busy', callbacks: 2 },
+  { label: 'no answer', suffix: '1', callStatus: 'no-answer', queueStatus: 'no_answer', callbacks: 2 },
+  { label: 'failed', suffix: '2', callStatus: 'failed', queueStatus: 'call_failed', callbacks: 2 },
+  { label: 'rejected', suffix: '3', callStatus: 'cancelled', queueStatus: 'rejected', callbacks: 2 },
+  { label: 'hung up while ringing', suffix: '4', callStatus: 'cancelled', queueStatus: 'rejected', callbacks: 1, hangup: true }
+];
+
+const failures = [];
+const check = (condition, message) => {
+  if (condition) {
+    console.log(`  ✅ ${message}`);
+  } else {
+    console.log(`  ❌ ${message}`);
+    failures.push(message);
+  }
+};
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Dial a respondent the way makeCallToRespondent does: initiate, then store the call record
+ */
+const placeCall = async (provider, surveyId, interviewerId, testCase, index) => {
+  const toNumber = `9100000${String(index).padStart(2, '0')}${testCase.suffix}`;
+  const queueEntry = await CatiRespondentQueue.create({
+    survey: surveyId,
+    respondentContact: { name: `Simulator ${testCase.label}`, phone: toNumber },
+    status: 'calling',
+    assignedTo: interviewerId,
+    assignedAt: new Date(),
+    currentAttemptNumber: 1
+  });
+
+  const callResult = await provider.initiateCall({ fromNumber: '9000000000', toNumber });
+  if (!callResult.success) {
+    throw new Error(`Simulator refused call: ${callResult.message}`);
+  }
+
+  const call = await CatiCall.create({
+    callId: callResult.callId,
+    provider: provider.name,
+    survey: surveyId,
+    queueEntry: queueEntry._id,
+    createdBy: interviewerId,
+    fromNumber: '9000000000',
+    toNumber,
+    callStatus: 'ringing'
+  });
+  queueEntry.callRecord = call._id;
+  queueEntry.callAttempts.push({
+    attemptNumber: 1,
+    attemptedAt: new Date(),
+    attemptedBy: interviewerId,
+    callId: callResult.callId,
+    status: 'initiated'
+  });
+  await queueEntry.save();
+
+  return { testCase, callId: callResult.callId, queueId: queueEntry._id };
+};
+
+const run = async () => {
+  await mongoose.connect(TEST_URI);
+  console.log(`🔌 Connected to ${TEST_URI}`);
+  await WebhookEvent.syncIndexes();
+
+  const provider = getTelephonyProvider('simulator');
+  const surveyId = new mongoose.Types.ObjectId();
+  const interviewerId = new mongoose.Types.ObjectId();
+  const callIds = [];
+
+  try {
+    const placed = [];
+    for (let i = 0; i < CASES.length; i++) {
+      placed.push(await placeCall(provider, surveyId, interviewerId, CASES[i], i));
+    }
+    placed.forEach(p => callIds.push(p.callId));
+    console.log(`📞 Placed ${placed.length} simulated calls`);
+
+    await wait(100);
+    for (const p of placed.filter(item => item.testCase.hangup)) {
+      const result = await provider.hangupCall(p.callId);
+      check(result.success, `hangup accepted for ${p.callId}`);
+    }
+
+    // Wait for ring + talk time plus processing slack
+    await wait(parseInt(process.env.TELEPHONY_SIMULATOR_RING_MS, 10) + parseInt(process.env.TELEPHONY_SIMULATOR_TALK_MS, 10) + 1500);
+
+    for (const p of placed) {
+      console.log(`\n=== ${p.testCase.label} (${p.callId}) ===`);
+      const call = await CatiCall.findOne({ callId: p.callId }).lean();
+      const queueEntry = await CatiRespondentQueue.findById(p.queueId).lean();
+      const events = await WebhookEvent.find({ callId: p.callId }).lean();
+
+      check(call?.callStatus === p.testCase.callStatus, `call status ${call?.callStatus} (expected ${p.testCase.callStatus})`);
+      check(call?.webhookReceived === true, 'call marked as webhook received');
+      check(queueEntry?.status === p.testCase.queueStatus, `queue status ${queueEntry?.status} (expected ${p.testCase.queueStatus})`);
+      check(events.length === p.testCase.callbacks, `${events.length} webhook event(s) recorded (expected ${p.testCase.callbacks})`);
+      check(events.every(e => e.status === 'processed' && e.provider === 'simulator'), 'all webhook events processed');
+
+      if (p.testCase.callStatus === 'completed') {
+        check(Boolean(call?.recordingUrl), 'recording URL stored');
+        const recording = await provider.fetchRecording(call);
+        check(recording.headers['content-type'] === 'audio/wav', 'recording can be fetched');
+        recording.data.destroy();
+      }
+    }
+  } finally {
+    await CatiRespondentQueue.deleteMany({ survey: surveyId });
+    await CatiCall.deleteMany({ survey: surveyId });
+    await WebhookEvent.deleteMany({ callId: { $in: callIds } });
+    await mongoose.disconnect();
+  }
+
+  console.log(failures.length === 0
+    ? '\n🎉 All simulator checks passed'
+    : `\n💥 ${failures.length} check(s) failed`);
+  process.exit(failures.length === 0 ? 0 : 1);
+};
+
+run().catch(async (error) => {
+  console.error('❌ Simulator harness crashed:', error);
+  await mongoose.disconnect().catch(() => {});
+  process.exit(1);
+});
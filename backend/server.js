@@ -50,8 +50,14 @@ const qcBatchRoutes = require('./routes/qcBatchRoutes');
 const qcBatchConfigRoutes = require('./routes/qcBatchConfigRoutes');
 const pollingStationRoutes = require('./routes/pollingStationRoutes');
 const masterDataRoutes = require('./routes/masterDataRoutes');
-const cron = require('node-cron');
-const { processQCBatches } = require('./jobs/qcBatchProcessor');
+const jobRoutes = require('./routes/jobRoutes');
+const duplicateFlagRoutes = require('./routes/duplicateFlagRoutes');
+const backCheckRoutes = require('./routes/backCheckRoutes');
+const earningsRoutes = require('./routes/earningsRoutes');
+const kycDocumentRoutes = require('./routes/kycDocumentRoutes');
+const trainingRoutes = require('./routes/trainingRoutes');
+require('./jobs/registerJobs');
+const { startJobWorker } = require('./utils/jobQueue');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -91,7 +97,7 @@ app.use(cors({
 app.use(express.json({ 
   limit: '800mb',
   verify: (req, res, buf, encoding) => {
-    if (req.path === '/api/cati/webhook' && req.method === 'POST') {
+    if (/^\/api\/cati\/webhook(\/[\w-]+)?$/.test(req.path) && req.method === 'POST') {
       req.rawBody = buf.toString(encoding || 'utf8');
     }
   }
@@ -100,13 +106,29 @@ app.use(express.urlencoded({
   extended: true, 
   limit: '800mb',
   verify: (req, res, buf, encoding) => {
-    if (req.path === '/api/cati/webhook' && req.method === 'POST') {
+    if (/^\/api\/cati\/webhook(\/[\w-]+)?$/.test(req.path) && req.method === 'POST') {
       req.rawBody = buf.toString(encoding || 'utf8');
     }
   }
 }));
 app.use(cookieParser());
 
+// KYC documents are only served through /api/kyc-documents, even before the migration has
+// moved older ones out of this folder
+app.use('/uploads', (req, res, next) => {
+  const { isLocalKycFile } = require('./utils/kycDocuments');
+  let fileName;
+  try {
+    fileName = path.basename(decodeURIComponent(req.path));
+  } catch (error) {
+    return res.status(400).end();
+  }
+  if (isLocalKycFile(fileName)) {
+    return res.status(404).end();
+  }
+  next();
+});
+
 // Serve static files (audio recordings)
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
@@ -137,22 +159,12 @@ mongoose.connect(MONGODB_URI)
   console.log('✅ Connected to MongoDB successfully!');
   console.log(`📊 Database: ${MONGODB_URI.split('@')[1]?.split('/')[0] || 'Connected'}`);
   
-  // Schedule QC batch processing to run daily at 12:00 AM (midnight) IST
-  // This will process batches from previous days and check in-progress batches
-  cron.schedule('0 0 * * *', async () => {
-    console.log('⏰ QC Batch Processing Job triggered by cron (12:00 AM IST)');
-    try {
-      await processQCBatches();
-      console.log('✅ QC Batch Processing Job completed successfully');
-    } catch (error) {
-      console.error('❌ QC Batch Processing Job failed:', error);
-    }
-  }, {
-    scheduled: true,
-    timezone: "Asia/Kolkata"
+  // Background job queue: QC batch processing (every 5 minutes), CATI reservations and callbacks,
+  // report generation, telephony webhooks and the other jobs in jobs/registerJobs.js run here,
+  // one instance per job even with several server instances
+  startJobWorker().catch((error) => {
+    console.error('❌ Job worker failed to start:', error);
   });
-  
-  console.log('⏰ QC Batch Processing Job scheduled to run daily at 12:00 AM IST');
 })
 .catch((error) => {
   console.error('❌ MongoDB connection error:', error.message);
@@ -181,6 +193,12 @@ app.use('/api/qc-batches', qcBatchRoutes);
 app.use('/api/qc-batch-config', qcBatchConfigRoutes);
 app.use('/api/polling-stations', pollingStationRoutes);
 app.use('/api/master-data', masterDataRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/duplicate-flags', duplicateFlagRoutes);
+app.use('/api/back-checks', backCheckRoutes);
+app.use('/api/earnings', earningsRoutes);
+app.use('/api/kyc-documents', kycDocumentRoutes);
+app.use('/api/training', trainingRoutes);
 
 // Note: Opines API routes removed - using Contact API instead
 
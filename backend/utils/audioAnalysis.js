@@ -0,0 +1,391 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const SurveyResponse = require('../models/SurveyResponse');
+
+/**
+ * Interview recording analysis
+ *
+ * Runs in the background once a recording is on a response (jobs 'audio.analyze' and
+ * 'audio.analyzePending'). ffmpeg decodes the recording to 8 kHz mono PCM; the loudness of every
+ * 50 ms frame is compared with the recording's own noise floor to tell talk from silence.
+ * Stored on the response as audioAnalysis:
+ *   speech/silence seconds and ratio, the longest silence, noise floor and peak level
+ *   talkSegments  where people are talking, so reviewers can jump between them
+ *   envelope      ENVELOPE_POINTS loudness values (0-100) for a waveform overview
+ *   flags         no_voice        (almost no speech, or nothing above the speech level)
+ *                 mostly_silent   (less than MOSTLY_SILENT_RATIO of the recording is speech)
+ *                 truncated       (the recording is much shorter than the interview)
+ *                 duration_mismatch (recording and interview lengths differ a lot, either way)
+ * Auto-rejection rules of type 'audio' act on these flags once the analysis lands.
+ *
+ * Needs ffmpeg on the PATH (or FFMPEG_PATH). Without it responses are marked 'unavailable'.
+ */
+
+const AUDIO_ANALYSIS_VERSION = 1;
+const AUDIO_CHECKS = ['no_voice', 'mostly_silent', 'truncated', 'duration_mismatch'];
+
+const SAMPLE_RATE = 8000;
+const FRAME_SECONDS = 0.05;
+const FRAME_SAMPLES = SAMPLE_RATE * FRAME_SECONDS;
+
+// A frame is speech when it is this far above the noise floor and above an absolute minimum
+const SPEECH_MARGIN_DB = 10;
+const MIN_SPEECH_DB = -45;
+const SILENCE_DB = -100;
+
+// Pauses inside a word or between words are bridged; clicks are not speech
+const BRIDGE_GAP_SECONDS = 0.3;
+const MIN_SPEECH_RUN_SECONDS = 0.25;
+// Talk segments merge across short pauses and leave out very short bursts
+const SEGMENT_GAP_SECONDS = 1.5;
+const MIN_SEGMENT_SECONDS = 1;
+const MAX_SEGMENTS = 300;
+
+const NO_VOICE_MAX_SPEECH_SECONDS = 5;
+const MOSTLY_SILENT_RATIO = 0.25;
+const TRUNCATED_RATIO = 0.8;
+const TRUNCATED_MIN_SECONDS = 30;
+const MISMATCH_RATIO = 0.2;
+const MISMATCH_MIN_SECONDS = 60;
+
+const ENVELOPE_POINTS = 120;
+const ENVELOPE_FLOOR_DB = -60;
+
+const DECODE_TIMEOUT_MS = 5 * 60 * 1000;
+const PENDING_WINDOW_DAYS = 3;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const percentile = (sortedValues, fraction) => {
+  if (sortedValues.length === 0) return SILENCE_DB;
+  const index = Math.min(sortedValues.length - 1, Math.max(0, Math.floor(fraction * (sortedValues.length - 1))));
+  return sortedValues[index];
+};
+
+/**
+ * Runs of true values in a boolean array
+ * @returns {Array<{start: Number, end: Number}>} Frame indices, end exclusive
+ */
+const findRuns = (active) => {
+  const runs = [];
+  let start = -1;
+  active.forEach((isActive, index) => {
+    if (isActive && start === -1) start = index;
+    if (!isActive && start !== -1) {
+      runs.push({ start, end: index });
+      start = -1;
+    }
+  });
+  if (start !== -1) runs.push({ start, end: active.length });
+  return runs;
+};
+
+/**
+ * Merge runs separated by fewer than maxGap frames
+ */
+const mergeRuns = (runs, maxGap) => runs.reduce((merged, run) => {
+  const last = merged[merged.length - 1];
+  if (last && run.start - last.end < maxGap) {
+    last.end = run.end;
+  } else {
+    merged.push({ ...run });
+  }
+  return merged;
+}, []);
+
+/**
+ * Analyse the frame loudness of a recording
+ * @param {Array<Number>} frameDb - Level of each FRAME_SECONDS frame in dBFS
+ * @param {Object} [options] - { interviewSeconds } to compare the recording length with
+ * @returns {Object} Fields of SurveyResponse.audioAnalysis (without status/version)
+ */
+const analyzeFrames = (frameDb, { interviewSeconds = 0 } = {}) => {
+  const durationSeconds = frameDb.length * FRAME_SECONDS;
+  const sorted = [...frameDb].sort((a, b) => a - b);
+  const noiseFloorDb = percentile(sorted, 0.1);
+  const peakDb = percentile(sorted, 0.99);
+  const threshold = Math.max(noiseFloorDb + SPEECH_MARGIN_DB, MIN_SPEECH_DB);
+
+  // Bridge short gaps, then drop bursts too short to be speech
+  const bridgeFrames = Math.round(BRIDGE_GAP_SECONDS / FRAME_SECONDS);
+  const minRunFrames = Math.round(MIN_SPEECH_RUN_SECONDS / FRAME_SECONDS);
+  const speechRuns = mergeRuns(findRuns(frameDb.map(db => db >= threshold)), bridgeFrames)
+    .filter(run => run.end - run.start >= minRunFrames);
+
+  const speechFrames = speechRuns.reduce((sum, run) => sum + run.end - run.start, 0);
+  const speechSeconds = speechFrames * FRAME_SECONDS;
+  const speechRatio = durationSeconds > 0 ? speechSeconds / durationSeconds : 0;
+
+  let longestSilenceFrames = speechRuns.length === 0 ? frameDb.length : 0;
+  speechRuns.forEach((run, index) => {
+    const previousEnd = index === 0 ? 0 : speechRuns[index - 1].end;
+    longestSilenceFrames = Math.max(longestSilenceFrames, run.start - previousEnd);
+  });
+  if (speechRuns.length > 0) {
+    longestSilenceFrames = Math.max(longestSilenceFrames, frameDb.length - speechRuns[speechRuns.length - 1].end);
+  }
+
+  const talkSegments = mergeRuns(speechRuns, Math.round(SEGMENT_GAP_SECONDS / FRAME_SECONDS))
+    .filter(run => (run.end - run.start) * FRAME_SECONDS >= MIN_SEGMENT_SECONDS)
+    .slice(0, MAX_SEGMENTS)
+    .map(run => ({ start: round(run.start * FRAME_SECONDS), end: round(run.end * FRAME_SECONDS) }));
+
+  // Loudest frame of each slice, scaled from ENVELOPE_FLOOR_DB (0) to full scale (100)
+  const envelope = [];
+  const points = Math.min(ENVELOPE_POINTS, frameDb.length);
+  for (let point = 0; point < points; point++) {
+    const from = Math.floor((point * frameDb.length) / points);
+    const to = Math.max(from + 1, Math.floor(((point + 1) * frameDb.length) / points));
+    const loudest = Math.max(...frameDb.slice(from, to));
+    envelope.push(Math.round(Math.min(100, Math.max(0, (1 - loudest / ENVELOPE_FLOOR_DB) * 100))));
+  }
+
+  const flags = [];
+  if (speechSeconds < NO_VOICE_MAX_SPEECH_SECONDS || peakDb < MIN_SPEECH_DB) {
+    flags.push('no_voice');
+  } else if (speechRatio < MOSTLY_SILENT_RATIO) {
+    flags.push('mostly_silent');
+  }
+
+  const differenceSeconds = interviewSeconds > 0 ? durationSeconds - interviewSeconds : 0;
+  if (interviewSeconds > 0) {
+    if (durationSeconds < interviewSeconds * TRUNCATED_RATIO && -differenceSeconds > TRUNCATED_MIN_SECONDS) {
+      flags.push('truncated');
+    }
+    if (Math.abs(differenceSeconds) > Math.max(MISMATCH_MIN_SECONDS, interviewSeconds * MISMATCH_RATIO)) {
+      flags.push('duration_mismatch');
+    }
+  }
+
+  return {
+    durationSeconds: round(durationSeconds),
+    interviewSeconds: interviewSeconds || null,
+    durationDifferenceSeconds: interviewSeconds > 0 ? round(differenceSeconds) : null,
+    speechSeconds: round(speechSeconds),
+    silenceSeconds: round(durationSeconds - speechSeconds),
+    speechRatio: round(speechRatio, 3),
+    longestSilenceSeconds: round(longestSilenceFrames * FRAME_SECONDS),
+    noiseFloorDb: round(noiseFloorDb),
+    peakDb: round(peakDb),
+    flags,
+    talkSegments,
+    envelope
+  };
+};
+
+/**
+ * Where ffmpeg can read a recording from: the local file, or a (signed) URL
+ * @param {String} audioUrl - SurveyResponse.audioRecording.audioUrl
+ * @returns {Promise<String|null>}
+ */
+const resolveAudioSource = async (audioUrl) => {
+  if (!audioUrl || audioUrl.includes('mock://')) return null;
+
+  if (audioUrl.startsWith('/uploads/')) {
+    const localPath = path.join(__dirname, '../..', audioUrl);
+    if (fs.existsSync(localPath)) return localPath;
+  }
+
+  const { getAudioSignedUrl } = require('./cloudStorage');
+  const url = await getAudioSignedUrl(audioUrl, 3600);
+  return url && /^https?:\/\//.test(url) ? url : null;
+};
+
+/**
+ * Decode a recording with ffmpeg and measure the level of every frame
+ * @param {String} source - File path or URL
+ * @returns {Promise<Array<Number>>} dBFS per FRAME_SECONDS frame
+ */
+const decodeFrameLevels = (source) => new Promise((resolve, reject) => {
+  const child = spawn(process.env.FFMPEG_PATH || 'ffmpeg', [
+    '-nostdin', '-v', 'error',
+    '-i', source,
+    '-vn', '-ac', '1', '-ar', String(SAMPLE_RATE),
+    '-f', 's16le', '-acodec', 'pcm_s16le', 'pipe:1'
+  ]);
+
+  const levels = [];
+  let sumSquares = 0;
+  let samples = 0;
+  let carry = null;
+  let stderr = '';
+
+  const pushFrame = () => {
+    const rms = Math.sqrt(sumSquares / samples);
+    levels.push(rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms / 32768)) : SILENCE_DB);
+    sumSquares = 0;
+    samples = 0;
+  };
+
+  child.stdout.on('data', chunk => {
+    // Samples are two bytes; a chunk can end half way through one
+    const buffer = carry ? Buffer.concat([carry, chunk]) : chunk;
+    const usable = buffer.length - (buffer.length % 2);
+    carry = usable < buffer.length ? buffer.subarray(usable) : null;
+    for (let offset = 0; offset < usable; offset += 2) {
+      const sample = buffer.readInt16LE(offset);
+      sumSquares += sample * sample;
+      samples++;
+      if (samples === FRAME_SAMPLES) pushFrame();
+    }
+  });
+  child.stderr.on('data', chunk => {
+    stderr = (stderr + chunk.toString()).slice(-2000);
+  });
+
+  const timeout = setTimeout(() => child.kill('SIGTERM'), DECODE_TIMEOUT_MS);
+  child.on('error', error => {
+    clearTimeout(timeout);
+    reject(error);
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(timeout);
+    if (code !== 0) {
+      return reject(new Error(`ffmpeg exited with ${signal || `code ${code}`}: ${stderr.trim().split('\n').slice(-2).join(' ') || 'no output'}`));
+    }
+    if (samples > 0) pushFrame();
+    resolve(levels);
+  });
+});
+
+const storeAnalysis = (responseId, audioAnalysis, extraSet = {}) => SurveyResponse.collection.updateOne(
+  { _id: responseId },
+  { $set: { audioAnalysis, ...extraSet } }
+);
+
+/**
+ * Reject a response that is still waiting for QC when one of its survey's audio rules fires.
+ * Responses whose QC batch has already closed are left to reviewers, who see the same flags.
+ * @param {ObjectId} responseId
+ * @returns {Promise<Boolean>} Whether it was rejected
+ */
+const applyAudioRules = async (responseId) => {
+  const surveyResponse = await SurveyResponse.findById(responseId);
+  if (!surveyResponse || surveyResponse.status !== 'Pending_Approval' || surveyResponse.verificationData?.reviewer) {
+    return false;
+  }
+
+  const QCBatch = require('../models/QCBatch');
+  const batch = surveyResponse.qcBatch
+    ? await QCBatch.findById(surveyResponse.qcBatch).select('status')
+    : null;
+  if (batch && batch.status !== 'collecting') return false;
+
+  const { checkAutoRejection, applyAutoRejection } = require('./autoRejectionHelper');
+  const rejectionInfo = await checkAutoRejection(surveyResponse, surveyResponse.responses, surveyResponse.survey, {
+    ruleTypes: ['audio']
+  });
+  if (!rejectionInfo) return false;
+
+  await applyAutoRejection(surveyResponse, rejectionInfo);
+  // Auto-rejected responses never sit in a QC batch
+  if (batch) {
+    await QCBatch.updateOne(
+      { _id: batch._id, status: 'collecting' },
+      [
+        { $set: { responses: { $filter: { input: '$responses', cond: { $ne: ['$$this', surveyResponse._id] } } } } },
+        { $set: { totalResponses: { $size: '$responses' } } }
+      ]
+    );
+  }
+  return true;
+};
+
+/**
+ * Analyse a response's recording and store the result on it
+ * @param {String|ObjectId} responseId
+ * @returns {Promise<Object>} { status, flags, autoRejected } or { skipped }
+ */
+const analyzeResponseAudio = async (responseId) => {
+  const response = await SurveyResponse.findById(responseId)
+    .select('audioRecording totalTimeSpent interviewMode')
+    .lean();
+  if (!response) return { skipped: 'Response not found' };
+
+  const audio = response.audioRecording || {};
+  if (!audio.hasAudio || !audio.audioUrl) return { skipped: 'No recording' };
+
+  const base = { version: AUDIO_ANALYSIS_VERSION, analyzedAt: new Date() };
+  const source = await resolveAudioSource(audio.audioUrl);
+  if (!source) {
+    await storeAnalysis(response._id, { ...base, status: 'unavailable', error: 'Recording file not found' });
+    return { status: 'unavailable' };
+  }
+
+  let levels;
+  try {
+    levels = await decodeFrameLevels(source);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      await storeAnalysis(response._id, { ...base, status: 'unavailable', error: 'ffmpeg is not installed' });
+      return { status: 'unavailable' };
+    }
+    await storeAnalysis(response._id, { ...base, status: 'failed', error: error.message });
+    throw error;
+  }
+
+  const result = analyzeFrames(levels, { interviewSeconds: response.totalTimeSpent || 0 });
+  // Recorders that did not report a length get the decoded one
+  const extraSet = audio.recordingDuration ? {} : { 'audioRecording.recordingDuration': Math.round(result.durationSeconds) };
+  await storeAnalysis(response._id, { ...base, status: 'complete', ...result }, extraSet);
+
+  let autoRejected = false;
+  if (result.flags.length > 0) {
+    try {
+      autoRejected = await applyAudioRules(response._id);
+    } catch (error) {
+      console.error(`Error applying audio rules to response ${response._id}:`, error);
+    }
+  }
+
+  return { status: 'complete', flags: result.flags, autoRejected };
+};
+
+/**
+ * Queue analysis of a response's recording (one queued run per response)
+ * @param {String|ObjectId} responseId
+ */
+const queueAudioAnalysis = async (responseId) => {
+  const { enqueueJob } = require('./jobQueue');
+  try {
+    await enqueueJob('audio.analyze', { responseId: String(responseId) }, { key: `audio.analyze:${responseId}` });
+  } catch (error) {
+    // The pending sweep picks it up later
+    console.error(`⚠️  Error queueing audio analysis for response ${responseId} (non-critical):`, error.message);
+  }
+};
+
+/**
+ * Queue analysis for recent responses whose recording was never analysed (or was analysed by an
+ * older version)
+ * @param {Object} [options] - { limit }
+ * @returns {Promise<Number>} Responses queued
+ */
+const queuePendingAudioAnalysis = async ({ limit = 200 } = {}) => {
+  const since = new Date(Date.now() - PENDING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const pending = await SurveyResponse.find({
+    createdAt: { $gte: since },
+    'audioRecording.hasAudio': true,
+    'audioRecording.audioUrl': { $nin: [null, ''] },
+    'audioRecording.uploadStatus': { $nin: ['uploading', 'incomplete'] },
+    $or: [
+      { audioAnalysis: { $exists: false } },
+      { 'audioAnalysis.version': { $lt: AUDIO_ANALYSIS_VERSION } }
+    ]
+  }).select('_id').sort({ createdAt: 1 }).limit(limit).lean();
+
+  for (const response of pending) {
+    await queueAudioAnalysis(response._id);
+  }
+  return pending.length;
+};
+
+module.exports = {
+  AUDIO_ANALYSIS_VERSION,
+  AUDIO_CHECKS,
+  analyzeFrames,
+  analyzeResponseAudio,
+  queueAudioAnalysis,
+  queuePendingAudioAnalysis
+};
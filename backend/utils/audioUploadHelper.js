@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Chunked interview audio
+ *
+ * The recorder uploads the recording in numbered chunks while the interview runs. Each chunk
+ * is checksummed on arrival and written to its own file, so resending a chunk is harmless.
+ * Completing the upload concatenates the chunks in order, checksums the result and stores it
+ * exactly where a single-shot upload would go (S3, falling back to uploads/audio).
+ */
+
+// Largest chunk accepted; clients send roughly 256 KB at a time
+const AUDIO_CHUNK_MAX_BYTES = 10 * 1024 * 1024;
+
+const CHUNK_ROOT = path.join(__dirname, '../../uploads/temp/audio-chunks');
+const TEMP_DIR = path.join(__dirname, '../../uploads/temp');
+const LOCAL_AUDIO_DIR = path.join(__dirname, '../../uploads/audio');
+
+const EXTENSIONS = {
+  'audio/webm': '.webm',
+  'audio/mp4': '.m4a',
+  'audio/mpeg': '.mp3',
+  'audio/wav': '.wav',
+  'audio/ogg': '.ogg'
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const getExtension = (mimeType) => EXTENSIONS[String(mimeType || '').split(';')[0].trim()] || '.webm';
+
+const getChunkPath = (uploadId, index) => path.join(CHUNK_ROOT, uploadId, `${String(index).padStart(6, '0')}.part`);
+
+/**
+ * Write one chunk to disk (write-then-rename so a crash never leaves a half chunk)
+ * @param {String} uploadId
+ * @param {Number} index
+ * @param {Buffer} buffer
+ * @returns {Promise<{size: Number, sha256: String}>}
+ */
+const writeChunk = async (uploadId, index, buffer) => {
+  const chunkPath = getChunkPath(uploadId, index);
+  await fs.promises.mkdir(path.dirname(chunkPath), { recursive: true });
+  const tempPath = `${chunkPath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.promises.writeFile(tempPath, buffer);
+  await fs.promises.rename(tempPath, chunkPath);
+  return { size: buffer.length, sha256: sha256(buffer) };
+};
+
+/**
+ * Concatenate chunks 0..totalChunks-1 into one file, hashing as it goes
+ * @param {String} uploadId
+ * @param {Number} totalChunks
+ * @param {String} targetPath
+ * @returns {Promise<{size: Number, checksum: String}>}
+ */
+const assembleChunks = async (uploadId, totalChunks, targetPath) => {
+  const hash = crypto.createHash('sha256');
+  const output = fs.createWriteStream(targetPath);
+  let size = 0;
+
+  try {
+    for (let index = 0; index < totalChunks; index++) {
+      const buffer = await fs.promises.readFile(getChunkPath(uploadId, index));
+      hash.update(buffer);
+      size += buffer.length;
+      if (!output.write(buffer)) {
+        await new Promise(resolve => output.once('drain', resolve));
+      }
+    }
+  } finally {
+    await new Promise((resolve, reject) => output.end(error => (error ? reject(error) : resolve())));
+  }
+
+  return { size, checksum: hash.digest('hex') };
+};
+
+const removeChunks = async (uploadId) => {
+  await fs.promises.rm(path.join(CHUNK_ROOT, uploadId), { recursive: true, force: true });
+};
+
+/**
+ * Store a finished recording: S3 when configured, uploads/audio otherwise (or if S3 fails).
+ * The temp file is moved or deleted.
+ * @param {String} tempPath
+ * @param {Object} info - { sessionId, surveyId, interviewerId, originalFilename, mimeType, uploadedBy }
+ * @returns {Promise<{audioUrl: String, storageType: String, filename: String}>}
+ */
+const storeAudioFile = async (tempPath, info) => {
+  const { uploadToS3, isS3Configured, generateAudioKey } = require('./cloudStorage');
+  const originalExt = path.extname(info.originalFilename || '') || getExtension(info.mimeType);
+  const filename = `interview_${info.sessionId}_${Date.now()}${originalExt}`;
+
+  if (isS3Configured()) {
+    try {
+      const uploadResult = await uploadToS3(tempPath, generateAudioKey(info.sessionId, filename), {
+        contentType: info.mimeType || 'audio/webm',
+        metadata: {
+          sessionId: info.sessionId,
+          surveyId: String(info.surveyId || ''),
+          interviewerId: String(info.interviewerId),
+          uploadedBy: info.uploadedBy || 'interview-interface',
+          originalFilename: info.originalFilename || filename
+        }
+      });
+
+      if (fs.existsSync(tempPath)) {
+        fs.unlinkSync(tempPath);
+      }
+
+      // Store S3 key (not full URL) - signed URLs are generated when needed
+      return { audioUrl: uploadResult.key, storageType: 's3', filename };
+    } catch (s3Error) {
+      console.error('❌ S3 upload failed, falling back to local storage:', s3Error.message);
+    }
+  }
+
+  if (!fs.existsSync(LOCAL_AUDIO_DIR)) {
+    fs.mkdirSync(LOCAL_AUDIO_DIR, { recursive: true });
+  }
+  if (!fs.existsSync(tempPath)) {
+    throw new Error(`Temporary file not found at: ${tempPath}. File may not have been uploaded correctly.`);
+  }
+  fs.renameSync(tempPath, path.join(LOCAL_AUDIO_DIR, filename));
+
+  return { audioUrl: `/uploads/audio/${filename}`, storageType: 'local', filename };
+};
+
+/**
+ * Point a response's audioRecording at an assembled upload. A response that already has audio
+ * from a different upload (e.g. the single-shot fallback) is left alone.
+ * @param {Object} upload - AudioUpload document (assembled)
+ * @param {Object} surveyResponse - SurveyResponse document
+ * @returns {Promise<Boolean>} Whether the response now uses this upload
+ */
+const applyUploadToResponse = async (upload, surveyResponse) => {
+  const current = surveyResponse.audioRecording || {};
+  if (current.hasAudio && current.audioUrl && current.uploadId !== upload.uploadId && current.audioUrl !== upload.audioUrl) {
+    return false;
+  }
+
+  surveyResponse.audioRecording = {
+    ...(current.toObject ? current.toObject() : current),
+    hasAudio: true,
+    audioUrl: upload.audioUrl,
+    fileSize: upload.totalSize,
+    format: getExtension(upload.mimeType).substring(1),
+    uploadedAt: current.uploadedAt || upload.assembledAt,
+    uploadId: upload.uploadId,
+    checksum: upload.checksum,
+    uploadStatus: 'complete',
+    uploadIssue: null
+  };
+  await surveyResponse.save();
+
+  upload.surveyResponse = surveyResponse._id;
+  upload.linkedAt = new Date();
+  await upload.save();
+
+  const { queueAudioAnalysis } = require('./audioAnalysis');
+  await queueAudioAnalysis(surveyResponse._id);
+  return true;
+};
+
+/**
+ * Find the response an upload belongs to (same interviewer, same session or offline interview)
+ * @param {Object} upload - AudioUpload document
+ * @returns {Promise<Object|null>} SurveyResponse document
+ */
+const findResponseForUpload = async (upload) => {
+  const SurveyResponse = require('../models/SurveyResponse');
+  if (upload.surveyResponse) {
+    return SurveyResponse.findById(upload.surveyResponse);
+  }
+  const match = upload.clientInterviewId
+    ? { $or: [{ sessionId: upload.sessionId }, { clientInterviewId: upload.clientInterviewId }] }
+    : { sessionId: upload.sessionId };
+  return SurveyResponse.findOne({ ...match, interviewer: upload.interviewer });
+};
+
+/**
+ * Link a newly saved response to the chunked upload its recording came from, if any
+ * @param {Object} surveyResponse - SurveyResponse document
+ * @returns {Promise<Boolean>}
+ */
+const linkUploadToResponse = async (surveyResponse) => {
+  const AudioUpload = require('../models/AudioUpload');
+  const uploadId = surveyResponse.audioRecording?.uploadId;
+  const filter = uploadId
+    ? { uploadId, interviewer: surveyResponse.interviewer }
+    : { sessionId: surveyResponse.sessionId, interviewer: surveyResponse.interviewer, status: 'assembled' };
+
+  const upload = await AudioUpload.findOne(filter).sort({ createdAt: -1 });
+  if (!upload) return false;
+
+  if (upload.status !== 'assembled') {
+    // Still arriving; completing the upload links it, reconciliation flags it if it never does
+    if (surveyResponse.audioRecording?.uploadStatus !== 'incomplete') {
+      surveyResponse.audioRecording.uploadId = upload.uploadId;
+      surveyResponse.audioRecording.uploadStatus = 'uploading';
+      await surveyResponse.save();
+    }
+    return false;
+  }
+  return applyUploadToResponse(upload, surveyResponse);
+};
+
+module.exports = {
+  AUDIO_CHUNK_MAX_BYTES,
+  sha256,
+  getExtension,
+  writeChunk,
+  assembleChunks,
+  removeChunks,
+  storeAudioFile,
+  applyUploadToResponse,
+  findResponseForUpload,
+  linkUploadToResponse,
+  TEMP_DIR
+};
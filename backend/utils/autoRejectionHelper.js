@@ -1,33 +1,15 @@
 const SurveyResponse = require('../models/SurveyResponse');
-
-/**
- * Helper function to get main text (strip translations)
- * Handles both single and nested translations: "Main Text {Translation}" or "Main Text {Translation1{Translation2}}"
- * Always returns the first language (main text)
- * @param {String} text - Text that may contain translations in format "Main Text {Translation}"
- * @returns {String} - Main text without translation
- */
-const getMainText = (text) => {
-  if (!text || typeof text !== 'string') return text || '';
-  
-  // Find the first opening brace
-  const openBraceIndex = text.indexOf('{');
-  
-  if (openBraceIndex === -1) {
-    // No translations, return as-is
-    return text.trim();
-  }
-  
-  // Return everything before the first opening brace
-  return text.substring(0, openBraceIndex).trim();
-};
+const Survey = require('../models/Survey');
+// Brace translations are stripped, or the text read as plain when the survey declares languages
+const { getMainText, getResponseQuestionText } = require('./languageVariants');
 
 /**
  * Helper function to normalize response value for comparison
  * @param {Any} response - Response value (can be string, array, object, etc.)
+ * @param {Object} [survey] - With languages
  * @returns {String} - Normalized string value for comparison
  */
-const normalizeResponseValue = (response) => {
+const normalizeResponseValue = (response, survey = null) => {
   if (!response) return '';
   
   // Handle arrays
@@ -42,341 +24,816 @@ const normalizeResponseValue = (response) => {
   
   // Convert to string and normalize
   const responseStr = String(response).toLowerCase().trim();
-  return getMainText(responseStr).toLowerCase().trim();
+  return getMainText(responseStr, survey).toLowerCase().trim();
 };
 
-/**
- * Check if a survey response should be automatically rejected
- * @param {Object} surveyResponse - The survey response object
- * @param {Array} responses - Array of response objects from the interview
- * @param {String} surveyId - The survey ID
- * @returns {Object|null} - Returns rejection info if should be rejected, null otherwise
+/*
+ * Auto-rejection rules
+ *
+ * Each survey stores its rules in Survey.autoRejectionRules ({ enabled, version, rules }).
+ * Surveys that never saved a rule set use DEFAULT_AUTO_REJECTION_RULES (version 0), which
+ * reproduce the checks that used to be hard-coded here. Every saved rule set gets a new
+ * version (snapshotted in AutoRejectionRuleVersion) and each auto-rejected response records
+ * the version and the rules that fired.
+ *
+ * Rule shape:
+ *   ruleId       Stable identifier within the survey
+ *   name         Label shown in the rule builder
+ *   type         duration | answer | gps_distance | duplicate_answer | audio
+ *   questionRef  { questionId, textMatches } - the question an answer/duplicate rule reads.
+ *                textMatches are tried in order; "a + b" requires both phrases in the text.
+ *   operator     How the value is compared with the threshold (see OPERATORS)
+ *   threshold    Seconds (duration), metres (gps_distance), answer value(s) (answer) or the
+ *                recording check that rejects (audio, one of AUDIO_CHECKS in utils/audioAnalysis.js).
+ *                Audio rules fire when the background recording analysis finishes, not at submit.
+ *   matchOn      answer rules: compare the answer value, the option code, or either
+ *   ignoreValues duplicate_answer rules: answers that are never treated as duplicates
+ *   modes        Interview modes the rule applies to
+ *   reason       Rejection reason shown to reviewers and interviewers
+ *   condition    Reason code stored in verificationData.autoRejectionReasons
+ *   enabled      Disabled rules are kept but not evaluated
  */
-const checkAutoRejection = async (surveyResponse, responses, surveyId) => {
-  const rejectionReasons = [];
-  
-  // EXCEPTION FOR CATI RESPONSES:
-  // Skip auto-rejection for CATI responses that are:
-  // 1. Already marked as "abandoned" status
-  // 2. Have call status other than "call_connected" or "success" (abandoned calls)
-  // 3. Have metadata.abandoned = true
-  const isCatiAbandoned = surveyResponse.interviewMode === 'cati' && (
-    surveyResponse.status === 'abandoned' ||
-    surveyResponse.metadata?.abandoned === true ||
-    surveyResponse.metadata?.callStatus !== 'call_connected' && 
-    surveyResponse.metadata?.callStatus !== 'success' &&
-    surveyResponse.metadata?.callStatus !== null &&
-    surveyResponse.metadata?.callStatus !== undefined ||
-    surveyResponse.knownCallStatus !== 'call_connected' && 
-    surveyResponse.knownCallStatus !== 'success' &&
-    surveyResponse.knownCallStatus !== null &&
-    surveyResponse.knownCallStatus !== undefined
-  );
-  
-  if (isCatiAbandoned) {
-    console.log(`⏭️  Skipping auto-rejection for CATI abandoned response: ${surveyResponse._id}`);
-    return null; // Don't auto-reject abandoned CATI interviews
+
+const RULE_TYPES = ['duration', 'answer', 'gps_distance', 'duplicate_answer', 'audio'];
+const OPERATORS = ['lt', 'lte', 'gt', 'gte', 'eq', 'neq', 'in', 'not_in', 'starts_with', 'contains'];
+const NUMERIC_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+const INTERVIEW_MODES = ['capi', 'cati', 'online'];
+const MATCH_ON = ['value', 'code', 'value_or_code'];
+
+// Operators each rule type accepts
+const OPERATORS_BY_TYPE = {
+  duration: NUMERIC_OPERATORS,
+  answer: OPERATORS,
+  gps_distance: ['gt', 'gte'],
+  duplicate_answer: ['eq'],
+  audio: ['eq']
+};
+
+// Responses with these statuses count as existing interviews for duplicate checks and dry runs
+const COMPLETED_STATUSES = ['Pending_Approval', 'Approved', 'Rejected'];
+
+const DEFAULT_AUTO_REJECTION_RULES = [
+  {
+    ruleId: 'duration_cati',
+    name: 'CATI interview too short',
+    type: 'duration',
+    operator: 'lt',
+    threshold: 90,
+    modes: ['cati'],
+    reason: 'Interview Too Short',
+    condition: 'duration',
+    enabled: true
+  },
+  {
+    ruleId: 'duration_capi',
+    name: 'CAPI interview too short',
+    type: 'duration',
+    operator: 'lt',
+    threshold: 180,
+    modes: ['capi', 'online'],
+    reason: 'Interview Too Short',
+    condition: 'duration',
+    enabled: true
+  },
+  {
+    ruleId: 'not_voter',
+    name: 'Respondent is not a registered voter',
+    type: 'answer',
+    questionRef: {
+      questionId: null,
+      textMatches: [
+        'are you a registered voter + assembly constituency',
+        'নিবন্ধিত ভোটার + বিধানসভা কেন্দ্র',
+        'registered voter',
+        'assembly constituency',
+        'নিবন্ধিত ভোটার',
+        'বিধানসভা কেন্দ্র'
+      ]
+    },
+    operator: 'starts_with',
+    threshold: ['no', 'না', 'non', 'nein', 'нет'],
+    matchOn: 'value',
+    modes: ['capi', 'cati', 'online'],
+    reason: 'Not Voter',
+    condition: 'not_voter',
+    enabled: true
+  },
+  {
+    ruleId: 'gps_distance',
+    name: 'GPS too far from polling station',
+    type: 'gps_distance',
+    operator: 'gt',
+    threshold: 100,
+    modes: ['capi'],
+    reason: 'GPS Location too far from polling station',
+    condition: 'gps_distance',
+    enabled: true
   }
-  
-  // Condition 1: Duration check
-  // CATI interviews: must be more than 90 seconds (1.5 minutes)
-  // CAPI interviews: must be more than 3 minutes (180 seconds)
-  // Note: Abandoned CATI interviews are already filtered out above (isCatiAbandoned check)
-  const isCati = surveyResponse.interviewMode === 'cati';
-  const minDurationSeconds = isCati ? 90 : 180; // 90 seconds for CATI, 180 seconds (3 minutes) for CAPI
-  
-  if (surveyResponse.totalTimeSpent && 
-      surveyResponse.totalTimeSpent < minDurationSeconds) {
-    rejectionReasons.push({
-      reason: 'Interview Too Short',
-      condition: 'duration'
-    });
+];
+
+/**
+ * Rules a survey uses until an admin saves its own
+ * @returns {Array}
+ */
+const getDefaultRules = () => DEFAULT_AUTO_REJECTION_RULES;
+
+/**
+ * Convert a stored rule (subdocument or plain object) to a plain object
+ * @param {Object} rule
+ * @returns {Object}
+ */
+const toPlainRule = (rule) => (rule && rule.toObject ? rule.toObject() : { ...rule });
+
+/**
+ * Resolve the rule set a survey uses
+ * @param {Object} survey - Survey document or lean object (may be null)
+ * @returns {{enabled: Boolean, version: Number, rules: Array, isDefault: Boolean}}
+ */
+const getAutoRejectionRules = (survey) => {
+  const stored = survey?.autoRejectionRules;
+  if (!stored || !stored.version) {
+    return {
+      enabled: true,
+      version: 0,
+      rules: getDefaultRules().map(toPlainRule),
+      isDefault: true
+    };
   }
-  
-  // Condition 2: Voter check - reject if respondent is not a registered voter
-  // Find the voter question in responses
-  // Priority: Look for the specific "Are you a registered voter" question first
-  let voterResponse = responses.find(r => {
-    const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
-    // Check for the specific registered voter question text
-    return (questionText.includes('are you a registered voter') && 
-            questionText.includes('assembly constituency')) ||
-           (questionText.includes('নিবন্ধিত ভোটার') && 
-            questionText.includes('বিধানসভা কেন্দ্র'));
-  });
-  
-  // Fallback: If not found, look for any question with registered voter keywords
-  if (!voterResponse) {
-    const VOTER_QUESTION_KEYWORDS = [
-      'registered voter',
-      'assembly constituency',
-      'assembly Constituency',
-      'নিবন্ধিত ভোটার',
-      'বিধানসভা কেন্দ্র'
-    ];
-    
-    voterResponse = responses.find(r => {
-      const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
-      // Check if question contains voter-related keywords
-      return VOTER_QUESTION_KEYWORDS.some(keyword => 
-        questionText.includes(keyword.toLowerCase())
-      );
-    });
+
+  return {
+    enabled: stored.enabled !== false,
+    version: stored.version,
+    rules: (stored.rules || []).map(toPlainRule),
+    isDefault: false
+  };
+};
+
+/**
+ * Validate and normalise rules submitted from the rule builder
+ * @param {Array} rules
+ * @returns {{rules: Array, errors: Array<String>}}
+ */
+const validateRules = (rules) => {
+  const errors = [];
+  if (!Array.isArray(rules)) {
+    return { rules: [], errors: ['rules must be an array'] };
   }
-  
-  if (voterResponse && voterResponse.response !== null && voterResponse.response !== undefined) {
-    // SPECIAL CHECK FOR SURVEY "68fd1915d41841da463f0d46":
-    // If responseCodes is '2', auto-reject with specific reason
-    const TARGET_SURVEY_ID = '68fd1915d41841da463f0d46';
-    if (surveyId && surveyId.toString() === TARGET_SURVEY_ID) {
-      console.log(`🔍 Auto-rejection check for survey ${TARGET_SURVEY_ID} - Found voter question`);
-      console.log(`🔍 Voter question text: ${voterResponse.questionText?.substring(0, 80)}`);
-      console.log(`🔍 Voter response: ${voterResponse.response}`);
-      console.log(`🔍 Voter responseCodes: ${voterResponse.responseCodes} (type: ${typeof voterResponse.responseCodes})`);
-      
-      // Check responseCodes field (can be string, array, or null)
-      let responseCode = null;
-      if (voterResponse.responseCodes !== null && voterResponse.responseCodes !== undefined) {
-        if (Array.isArray(voterResponse.responseCodes)) {
-          responseCode = voterResponse.responseCodes[0] || null;
-        } else {
-          responseCode = voterResponse.responseCodes;
-        }
-        // Convert to string for comparison
-        responseCode = responseCode ? String(responseCode).trim() : null;
+
+  const seenIds = new Set();
+  const normalized = rules.map((input, index) => {
+    const rule = toPlainRule(input || {});
+    const label = `Rule ${index + 1}`;
+
+    const ruleId = String(rule.ruleId || `rule_${Date.now().toString(36)}_${index}`).trim();
+    if (seenIds.has(ruleId)) {
+      errors.push(`${label}: duplicate ruleId "${ruleId}"`);
+    }
+    seenIds.add(ruleId);
+
+    if (!RULE_TYPES.includes(rule.type)) {
+      errors.push(`${label}: type must be one of ${RULE_TYPES.join(', ')}`);
+      return null;
+    }
+
+    const operator = rule.operator || OPERATORS_BY_TYPE[rule.type][0];
+    if (!OPERATORS_BY_TYPE[rule.type].includes(operator)) {
+      errors.push(`${label}: operator for ${rule.type} rules must be one of ${OPERATORS_BY_TYPE[rule.type].join(', ')}`);
+    }
+
+    const modes = Array.isArray(rule.modes) ? rule.modes.filter(Boolean) : [];
+    if (modes.length === 0 || modes.some(mode => !INTERVIEW_MODES.includes(mode))) {
+      errors.push(`${label}: modes must be a non-empty list of ${INTERVIEW_MODES.join(', ')}`);
+    }
+
+    const reason = typeof rule.reason === 'string' ? rule.reason.trim() : '';
+    if (!reason) {
+      errors.push(`${label}: a rejection reason is required`);
+    }
+
+    let threshold = rule.threshold;
+    if (rule.type === 'duration' || rule.type === 'gps_distance' ||
+        (rule.type === 'answer' && NUMERIC_OPERATORS.includes(operator))) {
+      threshold = Number(threshold);
+      if (rule.threshold === null || rule.threshold === undefined || rule.threshold === '' ||
+          isNaN(threshold) || threshold < 0) {
+        errors.push(`${label}: threshold must be a non-negative number`);
       }
-      
-      // Also check if response value itself is '2'
-      let responseValue = null;
-      if (voterResponse.response !== null && voterResponse.response !== undefined) {
-        if (Array.isArray(voterResponse.response)) {
-          responseValue = voterResponse.response[0] || null;
-        } else {
-          responseValue = voterResponse.response;
-        }
-        responseValue = responseValue ? String(responseValue).trim() : null;
+    } else if (rule.type === 'audio') {
+      const { AUDIO_CHECKS } = require('./audioAnalysis');
+      threshold = String(threshold || '').trim();
+      if (!AUDIO_CHECKS.includes(threshold)) {
+        errors.push(`${label}: recording check must be one of ${AUDIO_CHECKS.join(', ')}`);
       }
-      
-      console.log(`🔍 Extracted responseCode: ${responseCode}, responseValue: ${responseValue}`);
-      
-      // If responseCodes is '2' OR response value is '2', reject
-      if (responseCode === '2' || responseValue === '2') {
-        console.log(`✅ Auto-rejecting response ${surveyResponse._id} - Not a Registered Voter in Given AC`);
-        rejectionReasons.push({
-          reason: 'Not a Registered Voter in Given AC',
-          condition: 'not_registered_voter_ac'
-        });
-      } else {
-        console.log(`⏭️  Not rejecting - responseCode: ${responseCode}, responseValue: ${responseValue}`);
+    } else if (rule.type === 'answer') {
+      threshold = (Array.isArray(threshold) ? threshold : [threshold])
+        .map(value => (value === null || value === undefined ? '' : String(value).trim()))
+        .filter(Boolean);
+      if (threshold.length === 0) {
+        errors.push(`${label}: at least one answer value is required`);
       }
     } else {
-      // For other surveys, use the existing "no" check logic
-      // Normalize the response value
-      const normalizedResponse = normalizeResponseValue(voterResponse.response);
-      
-      // Check if response is "no" (case-insensitive, ignoring translations)
-      // Common variations: "no", "না", "no.", "না।", etc.
-      const noVariations = ['no', 'না', 'non', 'nein', 'нет'];
-      const isNo = noVariations.some(noWord => {
-        // Check if normalized response starts with or equals "no" (ignoring punctuation)
-        const cleanedResponse = normalizedResponse.replace(/[।.,!?]/g, '').trim();
-        return cleanedResponse === noWord || cleanedResponse.startsWith(noWord + ' ');
-      });
-      
-      if (isNo) {
-        rejectionReasons.push({
-          reason: 'Not Voter',
-          condition: 'not_voter'
-        });
-      }
+      threshold = null;
     }
-  }
-  
-  // Condition 3: GPS distance check for CAPI interviews with booster enabled
-  // Only apply if interview mode is CAPI and booster is enabled
-  if (surveyResponse.interviewMode === 'capi' && surveyResponse.metadata?.locationControlBooster) {
-    const pollingStation = surveyResponse.selectedPollingStation;
-    // GPS location can be in gpsLocation or location field
-    const gpsLocation = surveyResponse.gpsLocation || surveyResponse.location;
-    const distanceRadius = surveyResponse.metadata?.distanceRadius || 100; // Default 100 meters
-    
-    // Check if both GPS location and polling station coordinates are available
-    if (gpsLocation && pollingStation) {
-      // Extract coordinates - handle different formats
-      let gpsLat = null, gpsLon = null;
-      let psLat = null, psLon = null;
-      
-      // Get GPS coordinates
-      if (gpsLocation.latitude && gpsLocation.longitude) {
-        gpsLat = gpsLocation.latitude;
-        gpsLon = gpsLocation.longitude;
-      } else if (gpsLocation.coordinates && gpsLocation.coordinates.latitude && gpsLocation.coordinates.longitude) {
-        gpsLat = gpsLocation.coordinates.latitude;
-        gpsLon = gpsLocation.coordinates.longitude;
-      } else if (typeof gpsLocation === 'string' && gpsLocation.includes(',')) {
-        // Handle "lat,lng" format
-        const parts = gpsLocation.split(',');
-        gpsLat = parseFloat(parts[0]);
-        gpsLon = parseFloat(parts[1]);
-      }
-      
-      // Get polling station coordinates
-      if (pollingStation.latitude && pollingStation.longitude) {
-        psLat = pollingStation.latitude;
-        psLon = pollingStation.longitude;
-      } else if (pollingStation.gpsLocation && typeof pollingStation.gpsLocation === 'string' && pollingStation.gpsLocation.includes(',')) {
-        // Handle "lat,lng" format
-        const parts = pollingStation.gpsLocation.split(',');
-        psLat = parseFloat(parts[0]);
-        psLon = parseFloat(parts[1]);
-      }
-      
-      // Calculate distance if we have valid coordinates
-      if (gpsLat !== null && gpsLon !== null && psLat !== null && psLon !== null &&
-          !isNaN(gpsLat) && !isNaN(gpsLon) && !isNaN(psLat) && !isNaN(psLon)) {
-        
-        // Calculate distance using Haversine formula
-        const R = 6371000; // Earth's radius in meters
-        const lat1 = gpsLat * Math.PI / 180;
-        const lat2 = psLat * Math.PI / 180;
-        const deltaLat = (psLat - gpsLat) * Math.PI / 180;
-        const deltaLon = (psLon - gpsLon) * Math.PI / 180;
-        
-        const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
-                  Math.cos(lat1) * Math.cos(lat2) *
-                  Math.sin(deltaLon / 2) * Math.sin(deltaLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        const distance = R * c; // Distance in meters
-        
-        // Reject if distance exceeds the radius limit
-        if (distance > distanceRadius) {
-          rejectionReasons.push({
-            reason: 'GPS Location too far from polling station',
-            condition: 'gps_distance'
-          });
-        }
+
+    let questionRef;
+    if (rule.type === 'answer' || rule.type === 'duplicate_answer') {
+      const textMatches = (rule.questionRef?.textMatches || [])
+        .map(text => String(text).trim())
+        .filter(Boolean);
+      const questionId = rule.questionRef?.questionId ? String(rule.questionRef.questionId) : null;
+      if (!questionId && textMatches.length === 0) {
+        errors.push(`${label}: choose a question or enter question text to match`);
       }
+      questionRef = { questionId, textMatches };
+    }
+
+    const matchOn = rule.type === 'answer' ? (rule.matchOn || 'value') : undefined;
+    if (matchOn && !MATCH_ON.includes(matchOn)) {
+      errors.push(`${label}: matchOn must be one of ${MATCH_ON.join(', ')}`);
     }
+
+    return {
+      ruleId,
+      name: rule.name ? String(rule.name).trim() : '',
+      type: rule.type,
+      ...(questionRef && { questionRef }),
+      operator,
+      threshold,
+      ...(matchOn && { matchOn }),
+      ...(rule.type === 'duplicate_answer' && {
+        ignoreValues: (rule.ignoreValues || []).map(value => String(value).trim()).filter(Boolean)
+      }),
+      modes,
+      reason,
+      condition: rule.condition ? String(rule.condition).trim() : rule.type,
+      enabled: rule.enabled !== false
+    };
+  }).filter(Boolean);
+
+  return { rules: normalized, errors };
+};
+
+/**
+ * Find the interview response a rule refers to
+ * @param {Array} responses - Interview responses
+ * @param {Object} questionRef - { questionId, textMatches }
+ * @param {Object} [survey] - With sections, questions and languages, to read question text through
+ * @returns {Object|undefined}
+ */
+const findRuleResponse = (responses, questionRef, survey = null) => {
+  if (!questionRef || !Array.isArray(responses)) return undefined;
+
+  if (questionRef.questionId) {
+    const byId = responses.find(r => r.questionId === questionRef.questionId);
+    if (byId) return byId;
   }
-  
-  // Condition 4: Duplicate phone number check (only for specific survey)
-  const TARGET_SURVEY_ID = '68fd1915d41841da463f0d46';
-  const PHONE_QUESTION_TEXT = 'Would you like to share your mobile number with us? We assure you we shall keep it confidential and shall use only for quality control purposes.';
-  
-  if (surveyId && surveyId.toString() === TARGET_SURVEY_ID) {
-    // Find phone number from responses
-    let phoneNumber = null;
-    
-    // Search for the phone number question in responses
-    const phoneResponse = responses.find(r => {
-      const questionText = r.questionText || r.question?.text || '';
-      return questionText.includes('mobile number') || 
-             questionText.includes('phone number') ||
-             questionText.toLowerCase().includes('share your mobile') ||
-             questionText === PHONE_QUESTION_TEXT;
+
+  for (const pattern of questionRef.textMatches || []) {
+    const parts = String(pattern).split('+').map(part => part.trim().toLowerCase()).filter(Boolean);
+    if (parts.length === 0) continue;
+
+    const match = responses.find(r => {
+      const questionText = getResponseQuestionText(r, survey).toLowerCase();
+      return parts.every(part => questionText.includes(part));
+    });
+    if (match) return match;
+  }
+
+  return undefined;
+};
+
+/**
+ * First element of an array answer, or the answer itself, as a trimmed string
+ * @param {Any} value
+ * @returns {String|null}
+ */
+const firstValue = (value) => {
+  const first = Array.isArray(value) ? value[0] : value;
+  if (first === null || first === undefined) return null;
+  const text = String(first).trim();
+  return text === '' ? null : text;
+};
+
+/**
+ * Compare two numbers with a numeric operator
+ * @returns {Boolean}
+ */
+const compareNumbers = (value, operator, threshold) => {
+  if (value === null || value === undefined || isNaN(value) || isNaN(threshold)) return false;
+  switch (operator) {
+    case 'lt': return value < threshold;
+    case 'lte': return value <= threshold;
+    case 'gt': return value > threshold;
+    case 'gte': return value >= threshold;
+    default: return false;
+  }
+};
+
+/**
+ * Compare an answer (already normalised) with the rule's threshold
+ * @param {String} value
+ * @param {String} operator
+ * @param {Array|Number} threshold
+ * @returns {Boolean}
+ */
+const answerMatches = (value, operator, threshold) => {
+  if (value === null || value === undefined || value === '') return false;
+
+  if (NUMERIC_OPERATORS.includes(operator)) {
+    return compareNumbers(parseFloat(value), operator, Number(threshold));
+  }
+
+  const cleaned = String(value).toLowerCase().replace(/[।.,!?]/g, '').trim();
+  const expected = (Array.isArray(threshold) ? threshold : [threshold])
+    .map(item => String(item).toLowerCase().trim());
+
+  switch (operator) {
+    case 'eq':
+    case 'in':
+      return expected.includes(cleaned);
+    case 'neq':
+    case 'not_in':
+      return !expected.includes(cleaned);
+    case 'starts_with':
+      return expected.some(word => cleaned === word || cleaned.startsWith(word + ' '));
+    case 'contains':
+      return expected.some(word => cleaned.includes(word));
+    default:
+      return false;
+  }
+};
+
+/**
+ * Clean an answer for duplicate comparison (phone numbers, IDs, ...)
+ * @param {Any} value - Raw answer
+ * @returns {String|null}
+ */
+const normalizeDuplicateValue = (value) => {
+  let raw = Array.isArray(value) ? value[0] : value;
+  if (typeof raw === 'object' && raw !== null) {
+    raw = raw.phone || raw.value || raw.text || null;
+  }
+  if (typeof raw === 'number') {
+    raw = raw.toString();
+  }
+  if (typeof raw !== 'string') return null;
+
+  const cleaned = raw.replace(/[\s\-()]/g, '').trim().toLowerCase();
+  return cleaned === '' ? null : cleaned;
+};
+
+/**
+ * Extract "lat,lng" style coordinates from the shapes GPS data is stored in
+ * @param {Object|String} location
+ * @returns {{lat: Number, lon: Number}|null}
+ */
+const extractCoordinates = (location) => {
+  if (!location) return null;
+
+  let lat = null;
+  let lon = null;
+  if (location.latitude && location.longitude) {
+    lat = location.latitude;
+    lon = location.longitude;
+  } else if (location.coordinates && location.coordinates.latitude && location.coordinates.longitude) {
+    lat = location.coordinates.latitude;
+    lon = location.coordinates.longitude;
+  } else if (typeof location === 'string' && location.includes(',')) {
+    const parts = location.split(',');
+    lat = parseFloat(parts[0]);
+    lon = parseFloat(parts[1]);
+  } else if (typeof location.gpsLocation === 'string' && location.gpsLocation.includes(',')) {
+    const parts = location.gpsLocation.split(',');
+    lat = parseFloat(parts[0]);
+    lon = parseFloat(parts[1]);
+  }
+
+  if (lat === null || lon === null || isNaN(lat) || isNaN(lon)) return null;
+  return { lat: Number(lat), lon: Number(lon) };
+};
+
+/**
+ * Haversine distance in metres
+ * @returns {Number}
+ */
+const distanceInMeters = (from, to) => {
+  const R = 6371000; // Earth's radius in meters
+  const lat1 = from.lat * Math.PI / 180;
+  const lat2 = to.lat * Math.PI / 180;
+  const deltaLat = (to.lat - from.lat) * Math.PI / 180;
+  const deltaLon = (to.lon - from.lon) * Math.PI / 180;
+
+  const a = Math.sin(deltaLat / 2) * Math.sin(deltaLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) *
+            Math.sin(deltaLon / 2) * Math.sin(deltaLon / 2);
+  return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const isDuplicateRule = (rule) => rule.type === 'duplicate_answer' && rule.enabled !== false;
+
+const duplicateAnswerKey = (rule, value) => `${rule.ruleId}:${value}`;
+
+/**
+ * Keys a response is indexed under for the rule set's duplicate rules (duplicateAnswerKeys)
+ * @param {Array} responses - Interview responses
+ * @param {Object} ruleSet - From getAutoRejectionRules
+ * @param {Object} [survey] - With sections, questions and languages
+ * @returns {Array<String>}
+ */
+const getDuplicateAnswerKeys = (responses, ruleSet, survey = null) => ruleSet.rules
+  .filter(isDuplicateRule)
+  .map(rule => {
+    const answer = findRuleResponse(responses || [], rule.questionRef, survey);
+    const value = answer ? normalizeDuplicateValue(answer.response) : null;
+    const ignored = (rule.ignoreValues || []).map(item => String(item).toLowerCase());
+    return value && !ignored.includes(value) ? duplicateAnswerKey(rule, value) : null;
+  })
+  .filter(Boolean);
+
+/**
+ * Whether the survey's responses are indexed for the duplicate rules of this rule set
+ * @param {Object} survey - With autoRejectionRules
+ * @param {Object} ruleSet - From getAutoRejectionRules
+ * @returns {Boolean}
+ */
+const isDuplicateIndexCurrent = (survey, ruleSet) =>
+  !ruleSet.isDefault && survey?.autoRejectionRules?.duplicateIndexVersion === ruleSet.version;
+
+/**
+ * Queue the re-index of a survey's answers for its duplicate rules; a job already queued or
+ * running for the survey is reused
+ * @param {Object} survey - With _id and company
+ * @param {String} [createdBy] - User who changed the rules
+ * @returns {Promise<void>}
+ */
+const queueDuplicateIndex = async (survey, createdBy) => {
+  const { enqueueJob } = require('./jobQueue');
+  await enqueueJob('autoRejection.indexDuplicateAnswers', { surveyId: survey._id.toString() }, {
+    key: `autoRejection.indexDuplicateAnswers:${survey._id}`,
+    company: survey.company,
+    createdBy
+  });
+};
+
+/**
+ * Whether another completed response of the survey has the same answer, by reading every one
+ * of them. Used while the survey's duplicate index is missing or out of date.
+ * @param {Object} surveyResponse
+ * @param {Object} rule - duplicate_answer rule
+ * @param {String} value - Normalised answer
+ * @param {String} surveyId
+ * @param {Object} [survey] - With sections, questions and languages
+ * @returns {Promise<Boolean>}
+ */
+const scanForDuplicate = async (surveyResponse, rule, value, surveyId, survey = null) => {
+  const otherResponses = await SurveyResponse.find({
+    survey: surveyId,
+    _id: { $ne: surveyResponse._id },
+    status: { $in: COMPLETED_STATUSES }
+  }).select('responses').lean();
+
+  return otherResponses.some(other => {
+    const otherAnswer = findRuleResponse(other.responses, rule.questionRef, survey);
+    return otherAnswer && normalizeDuplicateValue(otherAnswer.response) === value;
+  });
+};
+
+/**
+ * Whether another completed response of the survey has the same answer, looked up through the
+ * { survey, duplicateAnswerKeys } index
+ * @param {Object} surveyResponse
+ * @param {Object} rule - duplicate_answer rule
+ * @param {String} value - Normalised answer
+ * @param {String} surveyId
+ * @returns {Promise<Boolean>}
+ */
+const findDuplicateInDatabase = async (surveyResponse, rule, value, surveyId) => {
+  const duplicate = await SurveyResponse.exists({
+    survey: surveyId,
+    duplicateAnswerKeys: duplicateAnswerKey(rule, value),
+    _id: { $ne: surveyResponse._id },
+    status: { $in: COMPLETED_STATUSES }
+  });
+  return Boolean(duplicate);
+};
+
+/**
+ * Re-index every response of a survey under its current duplicate rules, after the rules
+ * changed (jobs/registerJobs.js autoRejection.indexDuplicateAnswers). Duplicate checks scan the
+ * survey's responses until it has finished and recorded the rule set version it indexed.
+ * @param {String} surveyId
+ * @returns {Promise<{indexed: Number}>}
+ */
+const indexDuplicateAnswers = async (surveyId) => {
+  const survey = await Survey.findById(surveyId).select('autoRejectionRules sections questions languages').lean();
+  if (!survey) return { indexed: 0 };
+  const ruleSet = getAutoRejectionRules(survey);
+
+  let indexed = 0;
+  let operations = [];
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await SurveyResponse.bulkWrite(operations, { ordered: false });
+    indexed += operations.length;
+    operations = [];
+  };
+
+  const cursor = SurveyResponse.find({ survey: survey._id }).select('responses').lean().cursor();
+  for await (const doc of cursor) {
+    const keys = getDuplicateAnswerKeys(doc.responses, ruleSet, survey);
+    operations.push({
+      updateOne: {
+        filter: { _id: doc._id },
+        update: keys.length > 0 ? { $set: { duplicateAnswerKeys: keys } } : { $unset: { duplicateAnswerKeys: 1 } }
+      }
     });
-    
-    if (phoneResponse && phoneResponse.response) {
-      // Extract phone number from response
-      // Response could be a string, array, or object
-      let phoneValue = phoneResponse.response;
-      
-      if (Array.isArray(phoneValue)) {
-        phoneValue = phoneValue[0];
-      } else if (typeof phoneValue === 'object' && phoneValue !== null) {
-        // Try to extract phone from object
-        phoneValue = phoneValue.phone || phoneValue.value || phoneValue.text || phoneValue;
+    if (operations.length >= 500) await flush();
+  }
+  await flush();
+
+  // Only current if nobody saved other rules in between
+  if (!ruleSet.isDefault) {
+    await Survey.updateOne(
+      { _id: survey._id, 'autoRejectionRules.version': ruleSet.version },
+      { $set: { 'autoRejectionRules.duplicateIndexVersion': ruleSet.version } }
+    );
+  }
+
+  return { indexed };
+};
+
+/**
+ * Evaluate one rule against a response
+ * @param {Object} rule
+ * @param {Object} surveyResponse
+ * @param {Array} responses - Interview responses
+ * @param {Object} context - { surveyId, survey, isDuplicate(rule, value) }; survey (sections,
+ *                           questions and languages) is read for question text
+ * @returns {Promise<Boolean>} true when the rule rejects the response
+ */
+const evaluateRule = async (rule, surveyResponse, responses, context) => {
+  switch (rule.type) {
+    case 'duration':
+      return Boolean(surveyResponse.totalTimeSpent) &&
+        compareNumbers(surveyResponse.totalTimeSpent, rule.operator, Number(rule.threshold));
+
+    case 'answer': {
+      const answer = findRuleResponse(responses, rule.questionRef, context.survey);
+      if (!answer || answer.response === null || answer.response === undefined) return false;
+
+      const matchOn = rule.matchOn || 'value';
+      if (matchOn !== 'code') {
+        const value = NUMERIC_OPERATORS.includes(rule.operator)
+          ? firstValue(answer.response)
+          : normalizeResponseValue(answer.response, context.survey);
+        if (answerMatches(value, rule.operator, rule.threshold)) return true;
       }
-      
-      // Clean phone number (remove spaces, dashes, etc.)
-      if (typeof phoneValue === 'string') {
-        phoneNumber = phoneValue.replace(/\s+/g, '').replace(/-/g, '').replace(/\(/g, '').replace(/\)/g, '').trim();
-      } else if (typeof phoneValue === 'number') {
-        phoneNumber = phoneValue.toString().trim();
+      if (matchOn !== 'value') {
+        if (answerMatches(firstValue(answer.responseCodes), rule.operator, rule.threshold)) return true;
       }
+      return false;
+    }
+
+    case 'gps_distance': {
+      // Only enforced when the interview ran with the location control booster
+      if (!surveyResponse.metadata?.locationControlBooster) return false;
+      const gps = extractCoordinates(surveyResponse.gpsLocation || surveyResponse.location);
+      const pollingStation = extractCoordinates(surveyResponse.selectedPollingStation);
+      if (!gps || !pollingStation) return false;
+
+      // The booster's own radius wins over the rule's default
+      const radius = surveyResponse.metadata?.distanceRadius || Number(rule.threshold);
+      return compareNumbers(distanceInMeters(gps, pollingStation), rule.operator, radius);
     }
-    
-    // If phone number found, check for duplicates
-    // Skip if phone number is "0" (indicates "Did not Answer")
-    if (phoneNumber && phoneNumber.length > 0 && phoneNumber !== '0') {
+
+    case 'audio':
+      // Only once the recording has been analysed (utils/audioAnalysis.js)
+      return surveyResponse.audioAnalysis?.status === 'complete' &&
+        (surveyResponse.audioAnalysis.flags || []).includes(rule.threshold);
+
+    case 'duplicate_answer': {
+      const answer = findRuleResponse(responses, rule.questionRef, context.survey);
+      const value = answer ? normalizeDuplicateValue(answer.response) : null;
+      const ignored = (rule.ignoreValues || []).map(item => String(item).toLowerCase());
+      if (!value || ignored.includes(value)) return false;
       try {
-        // Find all other responses for this survey
-        const otherResponses = await SurveyResponse.find({
-          survey: surveyId,
-          _id: { $ne: surveyResponse._id }, // Exclude current response
-          status: { $in: ['Pending_Approval', 'Approved', 'Rejected'] } // Check all statuses
-        }).select('responses');
-        
-        // Check each response for matching phone number
-        for (const otherResponse of otherResponses) {
-          if (!otherResponse.responses || !Array.isArray(otherResponse.responses)) {
-            continue;
-          }
-          
-          // Search through responses for phone number question
-          for (const resp of otherResponse.responses) {
-            const questionText = resp.questionText || resp.question?.text || '';
-            const isPhoneQuestion = questionText.includes('mobile number') || 
-                                   questionText.includes('phone number') ||
-                                   questionText.toLowerCase().includes('share your mobile') ||
-                                   questionText === PHONE_QUESTION_TEXT;
-            
-            if (isPhoneQuestion && resp.response) {
-              // Extract phone from other response
-              let otherPhoneValue = resp.response;
-              
-              if (Array.isArray(otherPhoneValue)) {
-                otherPhoneValue = otherPhoneValue[0];
-              } else if (typeof otherPhoneValue === 'object' && otherPhoneValue !== null) {
-                otherPhoneValue = otherPhoneValue.phone || otherPhoneValue.value || otherPhoneValue.text || otherPhoneValue;
-              }
-              
-              // Clean other phone number
-              let otherPhoneNumber = null;
-              if (typeof otherPhoneValue === 'string') {
-                otherPhoneNumber = otherPhoneValue.replace(/\s+/g, '').replace(/-/g, '').replace(/\(/g, '').replace(/\)/g, '').trim();
-              } else if (typeof otherPhoneValue === 'number') {
-                otherPhoneNumber = otherPhoneValue.toString().trim();
-              }
-              
-              // Compare cleaned phone numbers (case-insensitive)
-              if (otherPhoneNumber && otherPhoneNumber.toLowerCase() === phoneNumber.toLowerCase()) {
-                rejectionReasons.push({
-                  reason: 'Duplicate Phone Number',
-                  condition: 'duplicate_phone'
-                });
-                break; // Found duplicate, no need to check further
-              }
-            }
-          }
-          
-          // If we found a duplicate, break out of outer loop
-          if (rejectionReasons.some(r => r.condition === 'duplicate_phone')) {
-            break;
-          }
-        }
+        return await context.isDuplicate(rule, value);
       } catch (error) {
-        console.error('Error checking for duplicate phone number:', error);
         // Don't reject if there's an error checking duplicates
+        console.error(`Error checking duplicates for rule ${rule.ruleId}:`, error);
+        return false;
       }
     }
+
+    default:
+      return false;
   }
-  
+};
+
+/**
+ * Run a rule set against one response
+ * @param {Object} surveyResponse
+ * @param {Array} responses - Interview responses
+ * @param {Object} ruleSet - From getAutoRejectionRules
+ * @param {Object} context - { surveyId, survey, isDuplicate(rule, value), ruleTypes }; ruleTypes limits
+ *                           the rules evaluated to those types
+ * @returns {Promise<Array>} Reasons for every rule that fired
+ */
+const evaluateRules = async (surveyResponse, responses, ruleSet, context) => {
+  if (!ruleSet.enabled) return [];
+
+  const mode = surveyResponse.interviewMode;
+  const reasons = [];
+  for (const rule of ruleSet.rules) {
+    if (rule.enabled === false || !(rule.modes || []).includes(mode)) continue;
+    if (context.ruleTypes && !context.ruleTypes.includes(rule.type)) continue;
+    if (await evaluateRule(rule, surveyResponse, responses, context)) {
+      reasons.push({
+        reason: rule.reason,
+        condition: rule.condition || rule.type,
+        ruleId: rule.ruleId
+      });
+    }
+  }
+  return reasons;
+};
+
+/**
+ * Whether a CATI response was abandoned (not connected, or marked abandoned)
+ * @param {Object} surveyResponse
+ * @returns {Boolean}
+ */
+const isAbandonedCati = (surveyResponse) => surveyResponse.interviewMode === 'cati' && (
+  surveyResponse.status === 'abandoned' ||
+  surveyResponse.metadata?.abandoned === true ||
+  surveyResponse.metadata?.callStatus !== 'call_connected' &&
+  surveyResponse.metadata?.callStatus !== 'success' &&
+  surveyResponse.metadata?.callStatus !== null &&
+  surveyResponse.metadata?.callStatus !== undefined ||
+  surveyResponse.knownCallStatus !== 'call_connected' &&
+  surveyResponse.knownCallStatus !== 'success' &&
+  surveyResponse.knownCallStatus !== null &&
+  surveyResponse.knownCallStatus !== undefined
+);
+
+/**
+ * Check if a survey response should be automatically rejected
+ * @param {Object} surveyResponse - The survey response object
+ * @param {Array} responses - Array of response objects from the interview
+ * @param {String} surveyId - The survey ID
+ * @param {Object} [options] - { ruleTypes } to evaluate only rules of those types
+ * @returns {Object|null} - Returns rejection info if should be rejected, null otherwise
+ */
+const checkAutoRejection = async (surveyResponse, responses, surveyId, options = {}) => {
+  // EXCEPTION FOR CATI RESPONSES:
+  // Skip auto-rejection for CATI responses that are abandoned (status, metadata flag,
+  // or a call status other than "call_connected" / "success")
+  if (isAbandonedCati(surveyResponse)) {
+    console.log(`⏭️  Skipping auto-rejection for CATI abandoned response: ${surveyResponse._id}`);
+    return null; // Don't auto-reject abandoned CATI interviews
+  }
+
+  const survey = surveyId
+    ? await Survey.findById(surveyId).select('company autoRejectionRules sections questions languages').lean()
+    : null;
+  const ruleSet = getAutoRejectionRules(survey);
+
+  // Index this response's answers so later responses can find it as a duplicate
+  const hasDuplicateRules = ruleSet.rules.some(isDuplicateRule);
+  if (surveyResponse._id && hasDuplicateRules) {
+    await SurveyResponse.updateOne(
+      { _id: surveyResponse._id },
+      { $set: { duplicateAnswerKeys: getDuplicateAnswerKeys(responses, ruleSet, survey) } }
+    );
+  }
+
+  // Older responses are only in the index once the survey has been indexed for these rules
+  const indexCurrent = isDuplicateIndexCurrent(survey, ruleSet);
+  if (hasDuplicateRules && ruleSet.enabled && !indexCurrent) {
+    try {
+      await queueDuplicateIndex(survey);
+    } catch (error) {
+      console.error(`Error queueing the duplicate answer index for survey ${surveyId}:`, error);
+    }
+  }
+
+  const rejectionReasons = await evaluateRules(surveyResponse, responses, ruleSet, {
+    surveyId,
+    survey,
+    ruleTypes: options.ruleTypes,
+    isDuplicate: (rule, value) => (indexCurrent ? findDuplicateInDatabase : scanForDuplicate)(
+      surveyResponse, rule, value, surveyId, survey
+    )
+  });
+
   // Return rejection info if any conditions are met
   if (rejectionReasons.length > 0) {
     // Combine all reasons into one feedback message
-    const feedback = rejectionReasons.map(r => r.reason).join('; ');
-    
+    const feedback = [...new Set(rejectionReasons.map(r => r.reason))].join('; ');
+
     return {
       shouldReject: true,
       feedback,
-      reasons: rejectionReasons
+      reasons: rejectionReasons,
+      ruleVersion: ruleSet.version
     };
   }
-  
+
   return null;
 };
 
+/**
+ * Count how many existing responses a rule set would reject, without changing anything
+ * @param {String} surveyId
+ * @param {Object} ruleSet - { enabled, version, rules }
+ * @param {Object} [options] - { limit, sampleSize }
+ * @returns {Promise<Object>} Totals, per-rule counts and a sample of affected responses
+ */
+const dryRunAutoRejection = async (surveyId, ruleSet, options = {}) => {
+  const limit = Math.min(parseInt(options.limit) || 20000, 50000);
+  const sampleSize = Math.min(parseInt(options.sampleSize) || 25, 100);
+  const query = { survey: surveyId, status: { $in: COMPLETED_STATUSES } };
+  const fields = 'responseId status interviewMode totalTimeSpent metadata knownCallStatus ' +
+    'selectedPollingStation gpsLocation location responses verificationData.autoRejected ' +
+    'audioAnalysis.status audioAnalysis.flags createdAt';
+  const survey = await Survey.findById(surveyId).select('sections questions languages').lean();
+
+  // Duplicate rules compare against the other responses, so index their answers first
+  const duplicateRules = ruleSet.enabled
+    ? ruleSet.rules.filter(isDuplicateRule)
+    : [];
+  const answerCounts = new Map(duplicateRules.map(rule => [rule.ruleId, new Map()]));
+  if (duplicateRules.length > 0) {
+    const cursor = SurveyResponse.find(query).select('responses').limit(limit).lean().cursor();
+    for await (const doc of cursor) {
+      for (const rule of duplicateRules) {
+        const answer = findRuleResponse(doc.responses, rule.questionRef, survey);
+        const value = answer ? normalizeDuplicateValue(answer.response) : null;
+        if (!value) continue;
+        const counts = answerCounts.get(rule.ruleId);
+        counts.set(value, (counts.get(value) || 0) + 1);
+      }
+    }
+  }
+
+  const summary = {
+    evaluated: 0,
+    skippedAbandoned: 0,
+    wouldReject: 0,
+    newlyRejected: 0,
+    currentlyAutoRejected: 0,
+    noLongerRejected: 0,
+    byRule: {},
+    byMode: {},
+    sample: [],
+    truncated: false
+  };
+  ruleSet.rules.forEach(rule => { summary.byRule[rule.ruleId] = 0; });
+
+  const cursor = SurveyResponse.find(query).select(fields).sort({ createdAt: -1 }).limit(limit).lean().cursor();
+  for await (const doc of cursor) {
+    if (isAbandonedCati(doc)) {
+      summary.skippedAbandoned++;
+      continue;
+    }
+    summary.evaluated++;
+
+    const wasAutoRejected = doc.verificationData?.autoRejected === true;
+    if (wasAutoRejected) summary.currentlyAutoRejected++;
+
+    const reasons = await evaluateRules(doc, doc.responses || [], ruleSet, {
+      surveyId,
+      survey,
+      // The response itself is in the index, so a duplicate means a second occurrence
+      isDuplicate: async (rule, value) => (answerCounts.get(rule.ruleId)?.get(value) || 0) > 1
+    });
+
+    if (reasons.length === 0) {
+      if (wasAutoRejected) summary.noLongerRejected++;
+      continue;
+    }
+
+    summary.wouldReject++;
+    if (doc.status !== 'Rejected') summary.newlyRejected++;
+    summary.byMode[doc.interviewMode] = (summary.byMode[doc.interviewMode] || 0) + 1;
+    reasons.forEach(r => { summary.byRule[r.ruleId] = (summary.byRule[r.ruleId] || 0) + 1; });
+
+    if (summary.sample.length < sampleSize) {
+      summary.sample.push({
+        _id: doc._id,
+        responseId: doc.responseId,
+        status: doc.status,
+        interviewMode: doc.interviewMode,
+        createdAt: doc.createdAt,
+        reasons: reasons.map(r => r.reason)
+      });
+    }
+  }
+
+  summary.truncated = summary.evaluated + summary.skippedAbandoned >= limit;
+  return summary;
+};
+
 /**
  * Apply auto-rejection to a survey response
  * @param {Object} surveyResponse - The survey response document
@@ -401,7 +858,14 @@ const applyAutoRejection = async (surveyResponse, rejectionInfo) => {
     criteria: {},
     feedback: rejectionInfo.feedback,
     autoRejected: true,
-    autoRejectionReasons: rejectionInfo.reasons.map(r => r.condition)
+    autoRejectionReasons: [...new Set(rejectionInfo.reasons.map(r => r.condition))],
+    // Audit: which version of the survey's rule set rejected the response, and which rules fired
+    autoRejectionRuleVersion: rejectionInfo.ruleVersion || 0,
+    autoRejectionRules: rejectionInfo.reasons.map(r => ({
+      ruleId: r.ruleId,
+      condition: r.condition,
+      reason: r.reason
+    }))
   };
   
   // CRITICAL: Re-apply setNumber before saving
@@ -412,10 +876,27 @@ const applyAutoRejection = async (surveyResponse, rejectionInfo) => {
   
   await surveyResponse.save();
   console.log(`✅ Auto-rejected survey response ${surveyResponse.responseId}: ${rejectionInfo.feedback}, setNumber preserved: ${surveyResponse.setNumber}`);
+
+  const { queueTrustScoreUpdate } = require('./trustScore');
+  await queueTrustScoreUpdate(surveyResponse.interviewer);
 };
 
 module.exports = {
+  RULE_TYPES,
+  OPERATORS,
+  OPERATORS_BY_TYPE,
+  INTERVIEW_MODES,
+  MATCH_ON,
+  DEFAULT_AUTO_REJECTION_RULES,
+  getDefaultRules,
+  getAutoRejectionRules,
+  validateRules,
   checkAutoRejection,
-  applyAutoRejection
+  applyAutoRejection,
+  dryRunAutoRejection,
+  indexDuplicateAnswers,
+  queueDuplicateIndex,
+  extractCoordinates,
+  distanceInMeters
 };
 
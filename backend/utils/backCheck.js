@@ -0,0 +1,265 @@
+const SurveyResponse = require('../models/SurveyResponse');
+const BackCheck = require('../models/BackCheck');
+const Survey = require('../models/Survey');
+const Company = require('../models/Company');
+const User = require('../models/User');
+const { getRespondentInfo, findQuestionResponse } = require('./respondentInfoUtils');
+const { PHONE_KEYWORDS, normalizePhone } = require('./duplicateDetection');
+
+/**
+ * Interviewer back-checks (callback verification)
+ *
+ * The 'qc.sampleBackChecks' job looks at each new pending or approved CAPI interview once and,
+ * at the company's qualitySettings.callbackVerificationRate (percent), creates a call task
+ * (models/BackCheck.js) for the verification team using the respondent phone captured in the
+ * interview. Interviews without a usable phone number are never sampled.
+ *
+ * The caller follows a short script: did the interview happen, is the respondent's gender the
+ * recorded one, how old are they, and roughly how long did it take. evaluateBackCheck turns
+ * the answers into a result:
+ *
+ *   failed        the respondent denies the interview, or gender or age does not match
+ *   inconclusive  the respondent is not sure, only the duration is off, or they could not be
+ *                 reached in MAX_CALL_ATTEMPTS calls
+ *   passed        otherwise
+ *
+ * The result is written to the response (backCheck) and the interviewer's
+ * performance.backChecks counts, and feeds their trust score (utils/trustScore.js). A failed check can reject the interview or reopen it for QC
+ * review, on the call or later; an inconclusive one can reopen it.
+ */
+
+const SAMPLING_WINDOW_DAYS = 7;
+const SAMPLED_STATUSES = ['Pending_Approval', 'Approved'];
+const SAMPLE_BATCH_SIZE = 1000;
+
+const MAX_CALL_ATTEMPTS = 3;
+const CLAIM_MINUTES = 30;
+
+// How far the stated age may be from the recorded one
+const AGE_TOLERANCE_YEARS = 5;
+// Respondents guess durations loosely: off by more than half and by at least 5 minutes
+const DURATION_MIN_RATIO = 0.5;
+const DURATION_MAX_RATIO = 2;
+const DURATION_MIN_DIFFERENCE_MINUTES = 5;
+
+const SAMPLE_FIELDS = 'survey interviewer interviewMode status totalTimeSpent startTime createdAt selectedAC selectedPollingStation responses.questionId responses.questionText responses.questionType responses.response responses.isSkipped';
+
+const toNumber = (value) => {
+  const number = parseInt(Array.isArray(value) ? value[0] : value, 10);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+const known = (value) => (value && value !== 'N/A' ? String(value) : undefined);
+
+/**
+ * What the caller needs from an interview: the phone number to call and the answers to check
+ * @param {Object} response - lean SurveyResponse with SAMPLE_FIELDS
+ * @returns {Object|null} { phone, respondentName, expected }, or null without a usable phone
+ */
+const buildCallDetails = (response) => {
+  const phoneAnswer = findQuestionResponse(response.responses, PHONE_KEYWORDS);
+  const phone = phoneAnswer && !phoneAnswer.isSkipped ? normalizePhone(phoneAnswer.response) : null;
+  if (!phone) return null;
+
+  const info = getRespondentInfo(response.responses, response);
+  return {
+    phone,
+    respondentName: known(info.name),
+    expected: {
+      gender: known(info.gender),
+      age: toNumber(info.age),
+      durationMinutes: response.totalTimeSpent ? Math.round(response.totalTimeSpent / 60) : undefined,
+      interviewDate: response.startTime || response.createdAt,
+      ac: known(info.ac)
+    }
+  };
+};
+
+/**
+ * Sample new CAPI interviews for back-checks. Each interview is considered once
+ * (backCheck.consideredAt), whether or not it is sampled.
+ * @returns {Promise<{considered: Number, sampled: Number}>}
+ */
+const sampleBackChecks = async () => {
+  const responses = await SurveyResponse.find({
+    interviewMode: 'capi',
+    status: { $in: SAMPLED_STATUSES },
+    createdAt: { $gte: new Date(Date.now() - SAMPLING_WINDOW_DAYS * 24 * 60 * 60 * 1000) },
+    'backCheck.consideredAt': { $exists: false }
+  })
+    .select(SAMPLE_FIELDS)
+    .sort({ createdAt: 1 })
+    .limit(SAMPLE_BATCH_SIZE)
+    .lean();
+  if (responses.length === 0) return { considered: 0, sampled: 0 };
+
+  const surveys = await Survey.find({ _id: { $in: [...new Set(responses.map(response => String(response.survey)))] } })
+    .select('company')
+    .lean();
+  const companies = await Company.find({ _id: { $in: surveys.map(survey => survey.company).filter(Boolean) } })
+    .select('qualitySettings.callbackVerificationRate')
+    .lean();
+  const rateByCompany = new Map(companies.map(company => [
+    String(company._id),
+    company.qualitySettings?.callbackVerificationRate ?? 0
+  ]));
+  const companyBySurvey = new Map(surveys.map(survey => [String(survey._id), survey.company]));
+
+  const now = new Date();
+  const sampled = [];
+  for (const response of responses) {
+    const company = companyBySurvey.get(String(response.survey));
+    const rate = company ? rateByCompany.get(String(company)) || 0 : 0;
+    if (rate <= 0 || Math.random() * 100 >= rate) continue;
+
+    const details = buildCallDetails(response);
+    if (!details) continue;
+
+    const task = await BackCheck.findOneAndUpdate(
+      { response: response._id },
+      {
+        $setOnInsert: {
+          survey: response.survey,
+          company,
+          response: response._id,
+          interviewer: response.interviewer,
+          ...details
+        }
+      },
+      { upsert: true, new: true }
+    );
+    sampled.push({ responseId: response._id, taskId: task._id });
+  }
+
+  // Written straight to the collection: the sampling marks are not a change to the interview
+  await SurveyResponse.collection.updateMany(
+    { _id: { $in: responses.map(response => response._id) } },
+    { $set: { 'backCheck.consideredAt': now, 'backCheck.sampled': false } }
+  );
+  if (sampled.length > 0) {
+    await SurveyResponse.collection.bulkWrite(sampled.map(({ responseId, taskId }) => ({
+      updateOne: {
+        filter: { _id: responseId },
+        update: { $set: { 'backCheck.sampled': true, 'backCheck.task': taskId, 'backCheck.result': 'pending' } }
+      }
+    })), { ordered: false });
+  }
+
+  if (sampled.length > 0) {
+    console.log(`📞 Back-check sampling: ${sampled.length} of ${responses.length} interviews sampled`);
+  }
+  return { considered: responses.length, sampled: sampled.length };
+};
+
+/**
+ * Result of a completed call from the script answers
+ * @param {Object} answers - { interviewHappened, genderMatches, reportedAge, reportedDurationMinutes }
+ * @param {Object} expected - BackCheck.expected
+ * @returns {{result: String, reasons: Array<String>}}
+ */
+const evaluateBackCheck = (answers, expected = {}) => {
+  if (answers.interviewHappened === 'no') {
+    return { result: 'failed', reasons: ['interview_denied'] };
+  }
+
+  const failures = [];
+  if (answers.genderMatches === false) failures.push('gender_mismatch');
+  if (Number.isFinite(answers.reportedAge) && Number.isFinite(expected.age) &&
+      Math.abs(answers.reportedAge - expected.age) > AGE_TOLERANCE_YEARS) {
+    failures.push('age_mismatch');
+  }
+  if (failures.length > 0) return { result: 'failed', reasons: failures };
+
+  const doubts = [];
+  if (answers.interviewHappened === 'not_sure') doubts.push('respondent_not_sure');
+  const reported = answers.reportedDurationMinutes;
+  const recorded = expected.durationMinutes;
+  if (Number.isFinite(reported) && reported > 0 && recorded > 0) {
+    const ratio = reported / recorded;
+    if ((ratio < DURATION_MIN_RATIO || ratio > DURATION_MAX_RATIO) &&
+        Math.abs(reported - recorded) >= DURATION_MIN_DIFFERENCE_MINUTES) {
+      doubts.push('duration_mismatch');
+    }
+  }
+  return doubts.length > 0 ? { result: 'inconclusive', reasons: doubts } : { result: 'passed', reasons: [] };
+};
+
+/**
+ * Write a finished back-check to its response and the interviewer's record
+ * @param {Object} task - BackCheck document, already saved with its result
+ */
+const recordBackCheckResult = async (task) => {
+  // Written straight to the collection: the result is not a change to the interview
+  await SurveyResponse.collection.updateOne(
+    { _id: task.response },
+    {
+      $set: {
+        'backCheck.result': task.result,
+        'backCheck.reasons': task.reasons,
+        'backCheck.completedAt': task.completedAt || new Date()
+      }
+    }
+  );
+
+  if (task.interviewer) {
+    const update = { $inc: { 'performance.backChecks.total': 1, [`performance.backChecks.${task.result}`]: 1 } };
+    if (task.result === 'failed') update.$set = { 'performance.backChecks.lastFailedAt': task.completedAt || new Date() };
+    await User.updateOne({ _id: task.interviewer }, update);
+
+    const { queueTrustScoreUpdate } = require('./trustScore');
+    await queueTrustScoreUpdate(task.interviewer);
+  }
+};
+
+/**
+ * Reject the interview of a failed back-check, or reopen it for QC review
+ * @param {Object} task - BackCheck document with its result
+ * @param {String} action - 'reject' or 'reopen'
+ * @param {Object} user - Who decided
+ * @returns {Promise<String|null>} 'rejected' or 'reopened', or null when the interview is no
+ *          longer pending or approved
+ */
+const applyBackCheckAction = async (task, action, user) => {
+  const now = new Date();
+  const open = { _id: task.response, status: { $in: SAMPLED_STATUSES } };
+
+  if (action === 'reject') {
+    const notes = task.answers?.notes ? ` - ${task.answers.notes}` : '';
+    const result = await SurveyResponse.updateOne(
+      open,
+      {
+        $set: {
+          status: 'Rejected',
+          'verificationData.reviewer': user._id,
+          'verificationData.reviewedAt': now,
+          'verificationData.feedback': `Back-check failed: ${task.reasons.join(', ').replace(/_/g, ' ')}${notes}`
+        },
+        $unset: { reviewAssignment: '' }
+      },
+      { runValidators: false }
+    );
+    return result.modifiedCount ? 'rejected' : null;
+  }
+
+  // Back into the review queue, even if its QC batch was not going to sample it
+  const result = await SurveyResponse.updateOne(
+    open,
+    {
+      $set: { status: 'Pending_Approval', isSampleResponse: true },
+      $unset: { reviewAssignment: '', 'verificationData.reviewer': '', 'verificationData.reviewedAt': '' }
+    },
+    { runValidators: false }
+  );
+  return result.matchedCount ? 'reopened' : null;
+};
+
+module.exports = {
+  MAX_CALL_ATTEMPTS,
+  CLAIM_MINUTES,
+  AGE_TOLERANCE_YEARS,
+  buildCallDetails,
+  sampleBackChecks,
+  evaluateBackCheck,
+  recordBackCheckResult,
+  applyBackCheckAction
+};
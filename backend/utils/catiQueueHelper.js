@@ -0,0 +1,306 @@
+const fs = require('fs').promises;
+const path = require('path');
+const CatiRespondentQueue = require('../models/CatiRespondentQueue');
+
+// AC Priority Map (cached, reloaded on each request to ensure freshness)
+let acPriorityMap = null;
+let acPriorityMapLastLoad = null;
+const AC_PRIORITY_CACHE_TTL = 60000; // 1 minute cache
+
+// How long a claimed respondent stays reserved for a caller before it goes back to the pool
+const DEFAULT_RESERVATION_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Load AC priority mapping from JSON file
+ * @returns {Object} Map of AC name to priority (number), or null if file not found
+ */
+const loadACPriorityMap = async () => {
+  try {
+    // Check if cache is still valid
+    const now = Date.now();
+    if (acPriorityMap && acPriorityMapLastLoad && (now - acPriorityMapLastLoad) < AC_PRIORITY_CACHE_TTL) {
+      return acPriorityMap;
+    }
+
+    const priorityFilePath = path.join(__dirname, '..', 'data', 'CATI_AC_Priority.json');
+
+    try {
+      await fs.access(priorityFilePath);
+      const fileContent = await fs.readFile(priorityFilePath, 'utf8');
+      const priorityData = JSON.parse(fileContent);
+
+      // Build map: AC_Name -> Priority (as number)
+      const map = {};
+      if (Array.isArray(priorityData)) {
+        priorityData.forEach(item => {
+          if (item.AC_Name && item.Priority !== undefined) {
+            // Convert Priority to number (handle string "0", "1", etc.)
+            const priority = typeof item.Priority === 'string' ? parseInt(item.Priority, 10) : item.Priority;
+            if (!isNaN(priority)) {
+              map[item.AC_Name] = priority;
+            }
+          }
+        });
+      }
+
+      acPriorityMap = map;
+      acPriorityMapLastLoad = now;
+      console.log('✅ Loaded AC priority map:', Object.keys(map).length, 'ACs');
+      return map;
+    } catch (fileError) {
+      console.log('⚠️  AC Priority file not found or error reading:', fileError.message);
+      // Return empty map (no priorities) instead of null
+      acPriorityMap = {};
+      acPriorityMapLastLoad = now;
+      return {};
+    }
+  } catch (error) {
+    console.error('❌ Error loading AC priority map:', error);
+    return {};
+  }
+};
+
+/**
+ * Normalize AC name for comparison (trim, lowercase)
+ * @param {String} acName - Assembly Constituency name
+ * @returns {String} Normalized AC name
+ */
+const normalizeACName = (acName) => {
+  if (!acName) return '';
+  return String(acName).trim().toLowerCase();
+};
+
+/**
+ * Resolve the priority of an AC name against a loaded priority map
+ * @param {Object} priorityMap - Map of AC name to priority
+ * @param {String} acName - Assembly Constituency name
+ * @returns {Number|null} Priority number, or null if not in priority list
+ */
+const resolveACPriority = (priorityMap, acName) => {
+  if (!acName) return null;
+
+  // Try exact match first, then normalized match
+  if (priorityMap[acName] !== undefined) {
+    return priorityMap[acName];
+  }
+
+  const normalizedAC = normalizeACName(acName);
+  for (const [mapAC, priority] of Object.entries(priorityMap)) {
+    if (normalizeACName(mapAC) === normalizedAC) {
+      return priority;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Get AC priority for a given AC name
+ * @param {String} acName - Assembly Constituency name
+ * @returns {Number|null} Priority number, or null if not in priority list
+ */
+const getACPriority = async (acName) => {
+  const priorityMap = await loadACPriorityMap();
+  return resolveACPriority(priorityMap, acName);
+};
+
+/**
+ * Reservation lifetime, overridable through CATI_RESERVATION_TTL_MS
+ * @returns {Number} Milliseconds a claim stays valid without a dial
+ */
+const getReservationTtlMs = () => {
+  const configured = parseInt(process.env.CATI_RESERVATION_TTL_MS, 10);
+  return !isNaN(configured) && configured > 0 ? configured : DEFAULT_RESERVATION_TTL_MS;
+};
+
+/**
+ * Shuffle an array in place (Fisher-Yates) so claims mix ACs within a priority tier
+ * @param {Array} items
+ * @returns {Array} The same array, shuffled
+ */
+const shuffle = (items) => {
+  for (let i = items.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [items[i], items[j]] = [items[j], items[i]];
+  }
+  return items;
+};
+
+/**
+ * Build the ordered list of AC claim tiers for a survey's pending respondents.
+ * Lower priority numbers are served first, ACs missing from the priority file come
+ * after all prioritized ACs, and Priority 0 ACs are never handed out.
+ * @param {String} surveyId - Survey ID
+ * @returns {Promise<Array<{priority: Number|null, acs: Array<String|null>}>>}
+ */
+const buildClaimTiers = async (surveyId) => {
+  const priorityMap = await loadACPriorityMap();
+  const pendingACs = await CatiRespondentQueue.distinct('respondentContact.ac', {
+    survey: surveyId,
+    status: 'pending'
+  });
+
+  const acsByPriority = {};
+  const nonPrioritizedACs = [];
+
+  pendingACs.forEach(acName => {
+    const priority = resolveACPriority(priorityMap, acName);
+    if (priority === null) {
+      nonPrioritizedACs.push(acName);
+    } else if (priority > 0) {
+      if (!acsByPriority[priority]) {
+        acsByPriority[priority] = [];
+      }
+      acsByPriority[priority].push(acName);
+    }
+    // Priority 0 = excluded from assignment
+  });
+
+  const tiers = Object.keys(acsByPriority)
+    .map(p => parseInt(p, 10))
+    .sort((a, b) => a - b)
+    .map(priority => ({ priority, acs: shuffle(acsByPriority[priority]) }));
+
+  // Respondents without an AC are served together with non-prioritized ACs
+  tiers.push({ priority: null, acs: shuffle([...nonPrioritizedACs, null]) });
+
+  return tiers;
+};
+
+/**
+ * Filter that matches respondents of one AC, treating a missing AC the same as null/''
+ * @param {String|null} acName
+ * @returns {Object} Mongo filter fragment
+ */
+const acFilter = (acName) => {
+  if (acName === null || acName === undefined || acName === '') {
+    return { 'respondentContact.ac': { $in: [null, ''] } };
+  }
+  return { 'respondentContact.ac': acName };
+};
+
+/**
+ * Return expired reservations to the pending pool.
+ * A reservation expires when the caller claimed a respondent but never dialled.
+ * @param {String} [surveyId] - Limit to one survey (all surveys when omitted)
+ * @returns {Promise<Number>} Number of respondents released
+ */
+const releaseExpiredReservations = async (surveyId = null) => {
+  const filter = {
+    status: 'assigned',
+    reservationExpiresAt: { $ne: null, $lte: new Date() }
+  };
+  if (surveyId) {
+    filter.survey = surveyId;
+  }
+
+  const result = await CatiRespondentQueue.updateMany(filter, {
+    $set: {
+      status: 'pending',
+      assignedTo: null,
+      assignedAt: null,
+      reservationExpiresAt: null
+    }
+  });
+
+  if (result.modifiedCount > 0) {
+    console.log(`🔄 Released ${result.modifiedCount} expired CATI reservation(s)${surveyId ? ` for survey ${surveyId}` : ''}`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Atomically claim the next respondent for a caller.
+ * If the caller already holds an unexpired reservation on this survey, that reservation
+ * is returned (and extended) instead of claiming another one. Next come callbacks this
+ * caller promised that are now due, then every AC tier in order. Each claim is a single
+ * findOneAndUpdate guarded on status 'pending', so two concurrent callers can never
+ * receive the same respondent.
+ * @param {String} surveyId - Survey ID
+ * @param {String} interviewerId - Caller claiming the respondent
+ * @returns {Promise<{respondent: Object|null, reused: Boolean, isCallback: Boolean}>}
+ */
+const claimNextRespondent = async (surveyId, interviewerId) => {
+  const now = new Date();
+  const reservationExpiresAt = new Date(now.getTime() + getReservationTtlMs());
+
+  await releaseExpiredReservations(surveyId);
+
+  // Per-caller reservation: hand back the respondent this caller already holds
+  const existing = await CatiRespondentQueue.findOneAndUpdate(
+    {
+      survey: surveyId,
+      status: 'assigned',
+      assignedTo: interviewerId,
+      reservationExpiresAt: { $gt: now }
+    },
+    { $set: { reservationExpiresAt } },
+    { new: true }
+  );
+  if (existing) {
+    return { respondent: existing, reused: true, isCallback: Boolean(existing.callbackAssignedTo) };
+  }
+
+  const claimUpdate = {
+    $set: {
+      status: 'assigned',
+      assignedTo: interviewerId,
+      assignedAt: now,
+      reservationExpiresAt
+    }
+  };
+
+  // Personal callbacks first: due "call later" respondents this caller scheduled
+  const callback = await CatiRespondentQueue.findOneAndUpdate(
+    { survey: surveyId, status: 'pending', callbackAssignedTo: interviewerId },
+    claimUpdate,
+    { new: true, sort: { callLaterDate: 1 } }
+  );
+  if (callback) {
+    console.log(`✅ Claimed personal callback ${callback._id} for caller ${interviewerId}`);
+    return { respondent: callback, reused: false, isCallback: true };
+  }
+
+  // Other callers' due callbacks stay reserved for them until the exclusive window ends
+  const notReservedForOthers = {
+    $or: [
+      { callbackExclusiveUntil: null },
+      { callbackExclusiveUntil: { $lte: now } }
+    ]
+  };
+
+  const tiers = await buildClaimTiers(surveyId);
+  for (const tier of tiers) {
+    for (const acName of tier.acs) {
+      const respondent = await CatiRespondentQueue.findOneAndUpdate(
+        { survey: surveyId, status: 'pending', ...acFilter(acName), ...notReservedForOthers },
+        claimUpdate,
+        { new: true, sort: { priority: -1, createdAt: 1 } }
+      );
+      if (respondent) {
+        console.log(`✅ Claimed respondent ${respondent._id} (AC: ${acName || 'No AC specified'}, Priority: ${tier.priority ?? 'none'}) for caller ${interviewerId}`);
+        return { respondent, reused: false, isCallback: Boolean(respondent.callbackAssignedTo) };
+      }
+    }
+  }
+
+  return { respondent: null, reused: false, isCallback: false };
+};
+
+/**
+ * Convert a reservation into an active call so the reaper no longer touches it
+ * @param {Object} queueEntry - CatiRespondentQueue document (not saved here)
+ */
+const markReservationDialled = (queueEntry) => {
+  queueEntry.reservationExpiresAt = null;
+};
+
+module.exports = {
+  loadACPriorityMap,
+  normalizeACName,
+  getACPriority,
+  getReservationTtlMs,
+  claimNextRespondent,
+  releaseExpiredReservations,
+  markReservationDialled
+};
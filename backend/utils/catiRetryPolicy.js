@@ -0,0 +1,195 @@
+/**
+ * CATI retry policy
+ *
+ * Decides when a respondent whose last call ended in a retryable disposition
+ * (busy, no answer, switched off, ...) may be dialled again, and when to stop
+ * trying altogether. The policy lives on Survey.catiRetryPolicy; any field not
+ * set there falls back to DEFAULT_RETRY_POLICY. The policy is off until a
+ * survey turns it on, so existing surveys keep dialling as before.
+ */
+
+const DEFAULT_RETRY_POLICY = {
+  enabled: false,
+  // Max attempts per disposition before the respondent is no longer retried for it
+  maxAttemptsByDisposition: {
+    busy: 3,
+    no_answer: 3,
+    switched_off: 2,
+    not_reachable: 2,
+    call_failed: 3
+  },
+  // Minimum gap between two attempts on the same respondent
+  minGapMinutes: 60,
+  // Hard stop: total failed attempts (any retryable disposition) before giving up
+  maxFailedAttempts: 5,
+  // Window (local time, HH:mm) in which respondents may be dialled
+  callingHours: {
+    start: '09:00',
+    end: '21:00'
+  },
+  timezone: 'Asia/Kolkata',
+  // How long a due callback is reserved for the caller who scheduled it
+  callbackExclusiveMinutes: 30
+};
+
+// Queue statuses that count as a failed attempt and may be retried
+const RETRYABLE_STATUSES = ['busy', 'no_answer', 'switched_off', 'not_reachable', 'call_failed'];
+
+/**
+ * Merge a survey's stored policy over the defaults
+ * @param {Object} survey - Survey document or lean object (may be null)
+ * @returns {Object} Effective retry policy
+ */
+const getRetryPolicy = (survey) => {
+  const stored = survey?.catiRetryPolicy?.toObject
+    ? survey.catiRetryPolicy.toObject()
+    : (survey?.catiRetryPolicy || {});
+
+  const pick = (value, fallback) => (value === undefined || value === null ? fallback : value);
+
+  return {
+    enabled: pick(stored.enabled, DEFAULT_RETRY_POLICY.enabled),
+    maxAttemptsByDisposition: RETRYABLE_STATUSES.reduce((acc, status) => {
+      acc[status] = pick(stored.maxAttemptsByDisposition?.[status], DEFAULT_RETRY_POLICY.maxAttemptsByDisposition[status]);
+      return acc;
+    }, {}),
+    minGapMinutes: pick(stored.minGapMinutes, DEFAULT_RETRY_POLICY.minGapMinutes),
+    maxFailedAttempts: pick(stored.maxFailedAttempts, DEFAULT_RETRY_POLICY.maxFailedAttempts),
+    callingHours: {
+      start: pick(stored.callingHours?.start, DEFAULT_RETRY_POLICY.callingHours.start),
+      end: pick(stored.callingHours?.end, DEFAULT_RETRY_POLICY.callingHours.end)
+    },
+    timezone: pick(stored.timezone, DEFAULT_RETRY_POLICY.timezone),
+    callbackExclusiveMinutes: pick(stored.callbackExclusiveMinutes, DEFAULT_RETRY_POLICY.callbackExclusiveMinutes)
+  };
+};
+
+/**
+ * Convert "HH:mm" to minutes since midnight
+ * @param {String} value
+ * @returns {Number|null}
+ */
+const toMinutes = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+};
+
+/**
+ * Check whether a moment falls inside the policy's calling hours.
+ * Supports windows that cross midnight (e.g. 20:00-02:00).
+ * @param {Object} policy - Effective retry policy
+ * @param {Date} [at] - Moment to check (defaults to now)
+ * @returns {Boolean}
+ */
+const isWithinCallingHours = (policy, at = new Date()) => {
+  const start = toMinutes(policy.callingHours?.start);
+  const end = toMinutes(policy.callingHours?.end);
+  if (start === null || end === null || start === end) {
+    return true; // No usable window configured - always allowed
+  }
+
+  const parts = new Intl.DateTimeFormat('en-GB', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+    timeZone: policy.timezone || DEFAULT_RETRY_POLICY.timezone
+  }).formatToParts(at);
+  const hour = parseInt(parts.find(p => p.type === 'hour').value, 10);
+  const minute = parseInt(parts.find(p => p.type === 'minute').value, 10);
+  const current = hour * 60 + minute;
+
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+};
+
+/**
+ * Count failed attempts on a queue entry, overall and per disposition.
+ * makeCallToRespondent records failed dial-outs as 'failed'; those count as call_failed.
+ * @param {Object} queueEntry - CatiRespondentQueue document or lean object
+ * @returns {{total: Number, byDisposition: Object}}
+ */
+const countFailedAttempts = (queueEntry) => {
+  const byDisposition = {};
+  let total = 0;
+  (queueEntry.callAttempts || []).forEach(attempt => {
+    const status = attempt.status === 'failed' ? 'call_failed' : attempt.status;
+    if (RETRYABLE_STATUSES.includes(status)) {
+      byDisposition[status] = (byDisposition[status] || 0) + 1;
+      total += 1;
+    }
+  });
+  return { total, byDisposition };
+};
+
+/**
+ * Decide what happens next for a respondent sitting in a retryable status.
+ * @param {Object} queueEntry - CatiRespondentQueue document or lean object
+ * @param {Object} policy - Effective retry policy
+ * @param {Date} [now]
+ * @returns {{action: 'retry'|'wait'|'exhausted', nextAttemptAt: Date|null, reason: String}}
+ */
+const evaluateRetry = (queueEntry, policy, now = new Date()) => {
+  const disposition = queueEntry.status;
+  if (!RETRYABLE_STATUSES.includes(disposition)) {
+    return { action: 'exhausted', nextAttemptAt: null, reason: `Status ${disposition} is not retryable` };
+  }
+
+  const { total, byDisposition } = countFailedAttempts(queueEntry);
+  const maxForDisposition = policy.maxAttemptsByDisposition[disposition];
+
+  if (policy.maxFailedAttempts && total >= policy.maxFailedAttempts) {
+    return { action: 'exhausted', nextAttemptAt: null, reason: `Reached ${total} failed attempts (limit ${policy.maxFailedAttempts})` };
+  }
+  if (maxForDisposition !== undefined && (byDisposition[disposition] || 0) >= maxForDisposition) {
+    return { action: 'exhausted', nextAttemptAt: null, reason: `Reached ${byDisposition[disposition]} ${disposition} attempts (limit ${maxForDisposition})` };
+  }
+
+  const lastAttemptAt = queueEntry.lastAttemptedAt || queueEntry.updatedAt || now;
+  const nextAttemptAt = queueEntry.nextAttemptAt
+    || new Date(new Date(lastAttemptAt).getTime() + (policy.minGapMinutes || 0) * 60000);
+
+  if (nextAttemptAt > now) {
+    return { action: 'wait', nextAttemptAt, reason: 'Minimum gap between attempts not reached' };
+  }
+  return { action: 'retry', nextAttemptAt, reason: 'Due for retry' };
+};
+
+/**
+ * Apply the retry policy to a queue entry right after a call ended in a retryable
+ * disposition: either schedule the next attempt or mark retries as exhausted.
+ * Mutates the document; the caller saves it.
+ * @param {Object} queueEntry - CatiRespondentQueue document
+ * @param {Object} policy - Effective retry policy
+ * @param {Date} [now]
+ */
+const scheduleNextAttempt = (queueEntry, policy, now = new Date()) => {
+  queueEntry.nextAttemptAt = null;
+  queueEntry.retryExhaustedAt = null;
+  if (!policy.enabled || !RETRYABLE_STATUSES.includes(queueEntry.status)) {
+    return;
+  }
+
+  const decision = evaluateRetry(
+    { ...(queueEntry.toObject ? queueEntry.toObject() : queueEntry), nextAttemptAt: null, lastAttemptedAt: now },
+    policy,
+    now
+  );
+  if (decision.action === 'exhausted') {
+    queueEntry.retryExhaustedAt = now;
+    queueEntry.retryExhaustedReason = decision.reason;
+  } else {
+    queueEntry.nextAttemptAt = decision.nextAttemptAt;
+  }
+};
+
+module.exports = {
+  DEFAULT_RETRY_POLICY,
+  RETRYABLE_STATUSES,
+  getRetryPolicy,
+  isWithinCallingHours,
+  countFailedAttempts,
+  evaluateRetry,
+  scheduleNextAttempt
+};
@@ -0,0 +1,440 @@
+const SurveyResponse = require('../models/SurveyResponse');
+const DuplicateFlag = require('../models/DuplicateFlag');
+const { getRespondentInfo, findQuestionResponse, getMainTextValue } = require('./respondentInfoUtils');
+const { extractCoordinates, distanceInMeters } = require('./autoRejectionHelper');
+
+/**
+ * Duplicate and fabricated interview detection
+ *
+ * Scans a survey's recent responses (pending and approved) and flags groups that look
+ * duplicated or made up, for quality agents to resolve (models/DuplicateFlag.js):
+ *
+ *   answer_similarity  one interviewer's interviews whose closed-question answers are
+ *                      near-identical (SIMILARITY_THRESHOLD of at least MIN_COMMON_QUESTIONS)
+ *   phone              the same respondent phone number in several interviews (CATI numbers come
+ *                      from the respondent queue, CAPI ones from the phone question)
+ *   name               the same respondent full name more than once in one AC
+ *   time_overlap       one interviewer's interviews running at the same time
+ *   gps_cluster        GPS_CLUSTER_MIN or more of one interviewer's CAPI interviews on one day
+ *                      within GPS_CLUSTER_RADIUS_METERS of each other
+ *
+ * Detection is idempotent: a group that overlaps an existing flag of the same type updates it.
+ */
+
+const DETECTION_WINDOW_DAYS = 30;
+const SCANNED_STATUSES = ['Pending_Approval', 'Approved'];
+
+const CLOSED_QUESTION_TYPES = ['single_choice', 'multiple_choice', 'single_select', 'dropdown', 'rating', 'rating_scale', 'yes_no', 'numeric'];
+const MIN_COMMON_QUESTIONS = 10;
+const SIMILARITY_THRESHOLD = 0.95;
+
+// Interviews may touch at the edges (clock drift, the next one opened while saving)
+const OVERLAP_GRACE_SECONDS = 60;
+
+const GPS_CLUSTER_RADIUS_METERS = 15;
+const GPS_CLUSTER_MIN = 5;
+const GPS_MAX_ACCURACY_METERS = 50;
+
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const PHONE_KEYWORDS = ['phone', 'mobile', 'contact number'];
+
+const DETECTION_FIELDS = 'responseId survey interviewer interviewMode status startTime endTime createdAt responses.questionId responses.questionType responses.questionText responses.response responses.isSkipped selectedAC selectedPollingStation location';
+
+/**
+ * Groups from pairs (union-find)
+ * @param {Array<String>} ids
+ * @param {Array<[String, String]>} pairs
+ * @returns {Array<Array<String>>} Groups of two or more
+ */
+const groupPairs = (ids, pairs) => {
+  const parent = new Map(ids.map(id => [id, id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  pairs.forEach(([a, b]) => {
+    const rootA = find(a);
+    const rootB = find(b);
+    if (rootA !== rootB) parent.set(rootB, rootA);
+  });
+
+  const groups = new Map();
+  ids.forEach(id => {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  });
+  return [...groups.values()].filter(group => group.length > 1);
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  items.forEach(item => {
+    const key = keyOf(item);
+    if (key === null || key === undefined) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+  return groups;
+};
+
+const normalizeAnswer = (value) => {
+  if (Array.isArray(value)) return JSON.stringify(value.map(item => String(item).trim().toLowerCase()).sort());
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim().toLowerCase();
+  return text === '' ? null : text;
+};
+
+/**
+ * Last ten digits of a phone number, or null when it does not look like one
+ * @param {Any} value
+ * @returns {String|null}
+ */
+const normalizePhone = (value) => {
+  const raw = Array.isArray(value) ? value[0] : value;
+  if (raw === null || raw === undefined) return null;
+  const digits = String(typeof raw === 'object' ? (raw.phone || raw.value || '') : raw).replace(/\D/g, '');
+  if (digits.length < 10) return null;
+  const phone = digits.slice(-10);
+  // Placeholders such as 0000000000 or 9999999999
+  if (/^(\d)\1+$/.test(phone)) return null;
+  return phone;
+};
+
+const normalizeName = (value) => {
+  if (!value || typeof value !== 'string') return null;
+  const name = value.toLowerCase().replace(/[^\p{L}\s]/gu, ' ').replace(/\s+/g, ' ').trim();
+  if (name.length < 5 || name.split(' ').length < 2 || name === 'n a' || name === 'not available') return null;
+  return name;
+};
+
+const istDay = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+const byCreatedAt = (a, b) => new Date(a.createdAt) - new Date(b.createdAt);
+
+const toGroup = (members, extra) => {
+  const sorted = [...members].sort(byCreatedAt);
+  return {
+    responses: sorted.map(response => response._id),
+    interviewers: [...new Map(sorted.map(response => [String(response.interviewer), response.interviewer])).values()],
+    firstResponse: String(sorted[0]._id),
+    ...extra
+  };
+};
+
+/**
+ * One interviewer's interviews with near-identical closed-question answers
+ */
+const findSimilarAnswers = (responses) => {
+  const groups = [];
+  groupBy(responses, response => String(response.interviewer)).forEach((members) => {
+    const vectors = members.map(response => {
+      const answers = new Map();
+      (response.responses || []).forEach(answer => {
+        if (answer.isSkipped || !CLOSED_QUESTION_TYPES.includes(answer.questionType)) return;
+        const value = normalizeAnswer(answer.response);
+        if (value !== null) answers.set(answer.questionId, value);
+      });
+      return { id: String(response._id), answers };
+    }).filter(vector => vector.answers.size >= MIN_COMMON_QUESTIONS);
+
+    const pairs = [];
+    const similarity = new Map();
+    for (let i = 0; i < vectors.length; i++) {
+      for (let j = i + 1; j < vectors.length; j++) {
+        let common = 0;
+        let equal = 0;
+        vectors[i].answers.forEach((value, questionId) => {
+          const other = vectors[j].answers.get(questionId);
+          if (other === undefined) return;
+          common++;
+          if (other === value) equal++;
+        });
+        if (common >= MIN_COMMON_QUESTIONS && equal / common >= SIMILARITY_THRESHOLD) {
+          pairs.push([vectors[i].id, vectors[j].id]);
+          similarity.set(vectors[i].id, Math.max(similarity.get(vectors[i].id) || 0, equal / common));
+          similarity.set(vectors[j].id, Math.max(similarity.get(vectors[j].id) || 0, equal / common));
+        }
+      }
+    }
+
+    const byId = new Map(members.map(response => [String(response._id), response]));
+    groupPairs(vectors.map(vector => vector.id), pairs).forEach(ids => {
+      const maxSimilarity = Math.max(...ids.map(id => similarity.get(id) || 0));
+      groups.push(toGroup(ids.map(id => byId.get(id)), {
+        summary: `${ids.length} interviews by one interviewer with up to ${Math.round(maxSimilarity * 100)}% identical answers`,
+        details: { maxSimilarity: Math.round(maxSimilarity * 1000) / 1000, minCommonQuestions: MIN_COMMON_QUESTIONS }
+      }));
+    });
+  });
+  return groups.map(group => ({ ...group, key: `similar:${group.firstResponse}` }));
+};
+
+/**
+ * The same respondent phone number in several interviews
+ */
+const findRepeatedPhones = (responses, catiPhones) => {
+  const phoneOf = (response) => {
+    if (catiPhones.has(String(response._id))) return normalizePhone(catiPhones.get(String(response._id)));
+    const answer = findQuestionResponse(response.responses, PHONE_KEYWORDS);
+    return answer && !answer.isSkipped ? normalizePhone(answer.response) : null;
+  };
+
+  const groups = [];
+  groupBy(responses, phoneOf).forEach((members, phone) => {
+    if (members.length < 2) return;
+    groups.push(toGroup(members, {
+      key: `phone:${phone}`,
+      summary: `Phone number ending ${phone.slice(-4)} in ${members.length} interviews`,
+      details: { phone }
+    }));
+  });
+  return groups;
+};
+
+/**
+ * The same respondent name more than once in one AC
+ */
+const findRepeatedNames = (responses) => {
+  const groups = [];
+  groupBy(responses, response => {
+    const info = getRespondentInfo(response.responses, response);
+    const name = normalizeName(getMainTextValue(Array.isArray(info.name) ? info.name[0] : info.name));
+    if (!name) return null;
+    const ac = info.ac && info.ac !== 'N/A' ? info.ac : (response.selectedAC || 'Unknown AC');
+    return `${ac}|${name}`;
+  }).forEach((members, key) => {
+    if (members.length < 2) return;
+    const [ac, name] = key.split('|');
+    groups.push(toGroup(members, {
+      key: `name:${key.toLowerCase()}`,
+      summary: `Respondent "${name}" interviewed ${members.length} times in ${ac}`,
+      details: { name, ac }
+    }));
+  });
+  return groups;
+};
+
+/**
+ * One interviewer's interviews running at the same time
+ */
+const findOverlappingInterviews = (responses) => {
+  const groups = [];
+  groupBy(responses, response => String(response.interviewer)).forEach((members) => {
+    const timed = members
+      .filter(response => response.startTime && response.endTime && new Date(response.endTime) > new Date(response.startTime))
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+
+    let current = [];
+    let currentEnd = 0;
+    let maxOverlap = 0;
+    const close = () => {
+      if (current.length > 1) {
+        groups.push(toGroup(current, {
+          summary: `${current.length} interviews by one interviewer running at the same time (up to ${Math.round(maxOverlap / 60)} min overlap)`,
+          details: { maxOverlapSeconds: Math.round(maxOverlap) }
+        }));
+      }
+    };
+    timed.forEach(response => {
+      const start = new Date(response.startTime).getTime();
+      const end = new Date(response.endTime).getTime();
+      const overlap = (Math.min(currentEnd, end) - start) / 1000;
+      if (current.length > 0 && overlap > OVERLAP_GRACE_SECONDS) {
+        current.push(response);
+        maxOverlap = Math.max(maxOverlap, overlap);
+        currentEnd = Math.max(currentEnd, end);
+      } else {
+        close();
+        current = [response];
+        maxOverlap = 0;
+        currentEnd = end;
+      }
+    });
+    close();
+  });
+  return groups.map(group => ({ ...group, key: `overlap:${group.firstResponse}` }));
+};
+
+/**
+ * Many of one interviewer's CAPI interviews on one day from one spot
+ */
+const findGpsClusters = (responses) => {
+  const groups = [];
+  const located = responses
+    .filter(response => response.interviewMode === 'capi')
+    .map(response => ({ response, point: extractCoordinates(response.location) }))
+    .filter(({ response, point }) => point && !(response.location?.accuracy > GPS_MAX_ACCURACY_METERS));
+
+  groupBy(located, ({ response }) => `${response.interviewer}|${istDay(response.startTime || response.createdAt)}`).forEach((members, key) => {
+    if (members.length < GPS_CLUSTER_MIN) return;
+    const assigned = new Set();
+    members.forEach((seed, index) => {
+      if (assigned.has(index)) return;
+      const cluster = members
+        .map((member, memberIndex) => ({ member, memberIndex }))
+        .filter(({ member, memberIndex }) => !assigned.has(memberIndex) && distanceInMeters(seed.point, member.point) <= GPS_CLUSTER_RADIUS_METERS);
+      if (cluster.length < GPS_CLUSTER_MIN) return;
+
+      cluster.forEach(({ memberIndex }) => assigned.add(memberIndex));
+      const points = cluster.map(({ member }) => member.point);
+      const centroid = {
+        lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+        lon: points.reduce((sum, point) => sum + point.lon, 0) / points.length
+      };
+      const spread = Math.max(...points.map(point => distanceInMeters(centroid, point)));
+      groups.push(toGroup(cluster.map(({ member }) => member.response), {
+        summary: `${cluster.length} interviews by one interviewer on ${key.split('|')[1]} within ${Math.max(1, Math.round(spread))} m of each other`,
+        details: {
+          day: key.split('|')[1],
+          centroid: { latitude: centroid.lat, longitude: centroid.lon },
+          spreadMeters: Math.round(spread)
+        }
+      }));
+    });
+  });
+  return groups.map(group => ({ ...group, key: `gps:${group.firstResponse}` }));
+};
+
+/**
+ * Store detected groups, merging each into an existing flag of the same type that shares its
+ * key or any of its responses
+ * @returns {Promise<{created: Number, updated: Number, reopened: Number}>}
+ */
+const saveGroups = async (survey, type, groups, now) => {
+  const counts = { created: 0, updated: 0, reopened: 0 };
+  for (const group of groups) {
+    const existing = await DuplicateFlag.findOne({
+      survey: survey._id,
+      type,
+      $or: [{ key: group.key }, { responses: { $in: group.responses } }]
+    }).sort({ createdAt: 1 });
+
+    if (!existing) {
+      await DuplicateFlag.create({
+        survey: survey._id,
+        company: survey.company,
+        type,
+        key: group.key,
+        responses: group.responses,
+        interviewers: group.interviewers,
+        summary: group.summary,
+        details: group.details,
+        firstDetectedAt: now,
+        lastDetectedAt: now
+      });
+      counts.created++;
+      continue;
+    }
+
+    const known = new Set(existing.responses.map(String));
+    const added = group.responses.filter(id => !known.has(String(id)));
+    const knownInterviewers = new Set(existing.interviewers.map(String));
+    existing.responses.push(...added);
+    existing.interviewers.push(...group.interviewers.filter(id => !knownInterviewers.has(String(id))));
+    existing.summary = group.summary;
+    existing.details = group.details;
+    existing.lastDetectedAt = now;
+    // New responses joined a group someone already resolved: it needs another look
+    if (existing.status !== 'open' && added.length > 0) {
+      existing.status = 'open';
+      existing.reopenedAt = now;
+      counts.reopened++;
+    }
+    await existing.save();
+    counts.updated++;
+  }
+  return counts;
+};
+
+/**
+ * Run every detector over a survey's recent responses and store the flags
+ * @param {String|ObjectId} surveyId
+ * @param {Object} [options] - { days } to look back
+ * @returns {Promise<Object>} { scanned, byType: { [type]: {groups, created, updated, reopened} } }
+ */
+const detectDuplicates = async (surveyId, { days = DETECTION_WINDOW_DAYS } = {}) => {
+  const Survey = require('../models/Survey');
+  const CatiRespondentQueue = require('../models/CatiRespondentQueue');
+
+  const survey = await Survey.findById(surveyId).select('company');
+  if (!survey) {
+    throw new Error(`Survey ${surveyId} not found`);
+  }
+
+  const responses = await SurveyResponse.find({
+    survey: survey._id,
+    status: { $in: SCANNED_STATUSES },
+    createdAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+  })
+    .select(DETECTION_FIELDS)
+    .lean();
+
+  const catiIds = responses.filter(response => response.interviewMode === 'cati').map(response => response._id);
+  const catiPhones = new Map();
+  if (catiIds.length > 0) {
+    const entries = await CatiRespondentQueue.find({ response: { $in: catiIds } })
+      .select('response respondentContact.phone')
+      .lean();
+    entries.forEach(entry => catiPhones.set(String(entry.response), entry.respondentContact?.phone));
+  }
+
+  const detectors = {
+    answer_similarity: () => findSimilarAnswers(responses),
+    phone: () => findRepeatedPhones(responses, catiPhones),
+    name: () => findRepeatedNames(responses),
+    time_overlap: () => findOverlappingInterviews(responses),
+    gps_cluster: () => findGpsClusters(responses)
+  };
+
+  const now = new Date();
+  const byType = {};
+  for (const [type, detect] of Object.entries(detectors)) {
+    const groups = detect();
+    byType[type] = { groups: groups.length, ...(await saveGroups(survey, type, groups, now)) };
+  }
+
+  console.log(`🔍 Duplicate detection for survey ${surveyId}: ${responses.length} responses scanned`, byType);
+  return { scanned: responses.length, byType };
+};
+
+/**
+ * Run detection for every survey with responses in the detection window
+ * @returns {Promise<Object>} surveyId -> result (or { error })
+ */
+const detectDuplicatesForActiveSurveys = async () => {
+  const surveyIds = await SurveyResponse.distinct('survey', {
+    status: { $in: SCANNED_STATUSES },
+    createdAt: { $gte: new Date(Date.now() - DETECTION_WINDOW_DAYS * 24 * 60 * 60 * 1000) }
+  });
+
+  const results = {};
+  for (const surveyId of surveyIds) {
+    try {
+      const { scanned, byType } = await detectDuplicates(surveyId);
+      results[surveyId] = { scanned, flagged: Object.values(byType).reduce((sum, item) => sum + item.groups, 0) };
+    } catch (error) {
+      console.error(`❌ Duplicate detection failed for survey ${surveyId}:`, error.message);
+      results[surveyId] = { error: error.message };
+    }
+  }
+  return results;
+};
+
+module.exports = {
+  DETECTION_WINDOW_DAYS,
+  PHONE_KEYWORDS,
+  normalizePhone,
+  normalizeName,
+  findSimilarAnswers,
+  findRepeatedPhones,
+  findRepeatedNames,
+  findOverlappingInterviews,
+  findGpsClusters,
+  detectDuplicates,
+  detectDuplicatesForActiveSurveys
+};
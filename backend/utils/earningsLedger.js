@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const SurveyResponse = require('../models/SurveyResponse');
+const Survey = require('../models/Survey');
+const EarningEntry = require('../models/EarningEntry');
+const User = require('../models/User');
+
+/**
+ * Interviewer earnings ledger
+ *
+ * The 'earnings.sync' job keeps the ledger (models/EarningEntry.js) in step with QC decisions:
+ *
+ *   - an approved interview without a standing credit is credited to its interviewer
+ *   - a credited interview that is now rejected gets a reversal of the same amount
+ *
+ * so an interview approved, rejected and approved again ends with two credits and one
+ * reversal. The response's `earning` field records whether its credit stands.
+ *
+ * A credit is priced from the survey: the cost slab (costSlabs) holding the interviewer's
+ * running count of credited interviews on the survey, e.g. with slabs 1-100 at ₹50 and
+ * 101+ at ₹60 the 101st interview earns ₹60. Without a matching slab the survey's
+ * costPerInterview applies; surveys with neither are not in the ledger.
+ *
+ * User.performance.totalEarnings follows the ledger. Payouts are in utils/payoutCycles.js.
+ */
+
+const SYNC_BATCH_SIZE = 500;
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price of an interviewer's nth credited interview on a survey
+ * @param {Object} survey - { costPerInterview, costSlabs }
+ * @param {Number} interviewNumber - 1-based
+ * @returns {Object|null} { costPerInterview, interviewNumber, slab }, or null when the survey has no price
+ */
+const priceInterview = (survey, interviewNumber) => {
+  const slab = (survey.costSlabs || []).find(candidate =>
+    typeof candidate.costPerInterview === 'number' &&
+    (candidate.minInterviews === undefined || candidate.minInterviews === null || interviewNumber >= candidate.minInterviews) &&
+    (candidate.maxInterviews === undefined || candidate.maxInterviews === null || interviewNumber <= candidate.maxInterviews)
+  );
+  if (slab) {
+    return {
+      costPerInterview: slab.costPerInterview,
+      interviewNumber,
+      slab: { minInterviews: slab.minInterviews, maxInterviews: slab.maxInterviews }
+    };
+  }
+  if (typeof survey.costPerInterview === 'number' && survey.costPerInterview > 0) {
+    return { costPerInterview: survey.costPerInterview, interviewNumber };
+  }
+  return null;
+};
+
+/**
+ * Add a ledger entry for a response and record it on the response. Safe to retry: the entry
+ * is keyed by the response's next sequence number.
+ * @returns {Promise<Boolean>} false when the entry already existed
+ */
+const writeEntry = async (response, entry, earning) => {
+  const sequence = (response.earning?.sequence || 0) + 1;
+  let inserted = true;
+  try {
+    await EarningEntry.create({ ...entry, response: response._id, sequence });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    inserted = false;
+  }
+
+  // Written straight to the collection: the earning is not a change to the interview
+  await SurveyResponse.collection.updateOne(
+    { _id: response._id },
+    { $set: { ...earning, 'earning.sequence': sequence } }
+  );
+  if (inserted) {
+    await User.updateOne({ _id: entry.interviewer }, { $inc: { 'performance.totalEarnings': entry.amount } });
+  }
+  return inserted;
+};
+
+/**
+ * Credit approved interviews of priced surveys that have no standing credit
+ * @returns {Promise<Number>} Credits written
+ */
+const creditApprovedInterviews = async () => {
+  const pricedSurveys = await Survey.find({
+    $or: [{ costPerInterview: { $gt: 0 } }, { 'costSlabs.0': { $exists: true } }]
+  })
+    .select('company costPerInterview costSlabs')
+    .lean();
+  if (pricedSurveys.length === 0) return 0;
+  const surveysById = new Map(pricedSurveys.map(survey => [String(survey._id), survey]));
+
+  const responses = await SurveyResponse.find({
+    status: 'Approved',
+    'earning.credited': { $ne: true },
+    survey: { $in: pricedSurveys.map(survey => survey._id) },
+    interviewer: { $exists: true, $ne: null }
+  })
+    .select('survey interviewer earning')
+    .sort({ updatedAt: 1 })
+    .limit(SYNC_BATCH_SIZE)
+    .lean();
+
+  // Running count of credited interviews per interviewer and survey, for the slab
+  const creditedCounts = new Map();
+  let credited = 0;
+  for (const response of responses) {
+    const survey = surveysById.get(String(response.survey));
+    const countKey = `${response.interviewer}:${response.survey}`;
+    if (!creditedCounts.has(countKey)) {
+      creditedCounts.set(countKey, await SurveyResponse.countDocuments({
+        survey: response.survey,
+        interviewer: response.interviewer,
+        'earning.credited': true
+      }));
+    }
+    const pricing = priceInterview(survey, creditedCounts.get(countKey) + 1);
+    if (!pricing || !survey.company) continue;
+
+    const amount = roundAmount(pricing.costPerInterview);
+    const now = new Date();
+    if (await writeEntry(
+      response,
+      { interviewer: response.interviewer, company: survey.company, survey: survey._id, type: 'credit', amount, pricing },
+      { 'earning.credited': true, 'earning.amount': amount, 'earning.creditedAt': now }
+    )) {
+      credited++;
+    }
+    creditedCounts.set(countKey, creditedCounts.get(countKey) + 1);
+  }
+  return credited;
+};
+
+/**
+ * Reverse the credits of interviews rejected after approval
+ * @returns {Promise<Number>} Reversals written
+ */
+const reverseRejectedInterviews = async () => {
+  const responses = await SurveyResponse.find({ status: 'Rejected', 'earning.credited': true })
+    .select('survey interviewer earning')
+    .sort({ updatedAt: 1 })
+    .limit(SYNC_BATCH_SIZE)
+    .lean();
+  if (responses.length === 0) return 0;
+
+  const surveys = await Survey.find({ _id: { $in: [...new Set(responses.map(response => String(response.survey)))] } })
+    .select('company')
+    .lean();
+  const companyBySurvey = new Map(surveys.map(survey => [String(survey._id), survey.company]));
+
+  let reversed = 0;
+  for (const response of responses) {
+    // The company is taken from the credit, in case the survey has gone
+    const credit = await EarningEntry.findOne({ response: response._id, type: 'credit' })
+      .sort({ sequence: -1 })
+      .select('company')
+      .lean();
+    const company = credit?.company || companyBySurvey.get(String(response.survey));
+    if (!company) continue;
+
+    if (await writeEntry(
+      response,
+      {
+        interviewer: response.interviewer,
+        company,
+        survey: response.survey,
+        type: 'reversal',
+        amount: -roundAmount(response.earning.amount || 0)
+      },
+      { 'earning.credited': false, 'earning.reversedAt': new Date() }
+    )) {
+      reversed++;
+    }
+  }
+  return reversed;
+};
+
+/**
+ * Bring the ledger up to date with QC decisions
+ * @returns {Promise<{credited: Number, reversed: Number}>}
+ */
+const syncEarnings = async () => {
+  const reversed = await reverseRejectedInterviews();
+  const credited = await creditApprovedInterviews();
+  if (credited || reversed) {
+    console.log(`💰 Earnings ledger: ${credited} credit(s), ${reversed} reversal(s)`);
+  }
+  return { credited, reversed };
+};
+
+/**
+ * An interviewer's balances: everything earned, what has been paid, and the unpaid rest
+ * @param {String|ObjectId} interviewerId
+ * @returns {Promise<{earned: Number, paid: Number, inPayout: Number, unpaid: Number}>}
+ */
+const getEarningsSummary = async (interviewerId) => {
+  const PayoutCycle = require('../models/PayoutCycle');
+  const interviewer = new mongoose.Types.ObjectId(String(interviewerId));
+
+  const [totals] = await EarningEntry.aggregate([
+    { $match: { interviewer } },
+    {
+      $group: {
+        _id: null,
+        earned: { $sum: '$amount' },
+        unassigned: { $sum: { $cond: [{ $ifNull: ['$payoutCycle', false] }, 0, '$amount'] } }
+      }
+    }
+  ]);
+  const cycleLines = await PayoutCycle.aggregate([
+    { $match: { 'lines.interviewer': interviewer } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.interviewer': interviewer } },
+    { $group: { _id: '$lines.status', amount: { $sum: '$lines.amount' } } }
+  ]);
+  const byStatus = Object.fromEntries(cycleLines.map(line => [line._id, line.amount]));
+
+  const paid = byStatus.paid || 0;
+  const inPayout = (byStatus.pending || 0) + (byStatus.missing_bank_details || 0);
+  return {
+    earned: roundAmount(totals?.earned || 0),
+    paid: roundAmount(paid),
+    inPayout: roundAmount(inPayout),
+    unpaid: roundAmount((totals?.unassigned || 0) + inPayout)
+  };
+};
+
+module.exports = {
+  priceInterview,
+  syncEarnings,
+  getEarningsSummary
+};
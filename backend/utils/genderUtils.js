@@ -3,36 +3,19 @@
  * Handles gender question equivalence and gender response normalization
  */
 
-/**
- * Get main text without translation (for backend use)
- * Handles both single and nested translations: "Main Text {Translation}" or "Main Text {Translation1{Translation2}}"
- * Always returns the first language (main text)
- * @param {string} text - Text that may contain translation
- * @returns {string} - Main text without translation
- */
-const getMainText = (text) => {
-  if (!text || typeof text !== 'string') return text || '';
-  
-  // Find the first opening brace
-  const openBraceIndex = text.indexOf('{');
-  
-  if (openBraceIndex === -1) {
-    // No translations, return as-is
-    return text.trim();
-  }
-  
-  // Return everything before the first opening brace
-  return text.substring(0, openBraceIndex).trim();
-};
+// Brace-encoded translations are stripped, or the text resolved through the survey's language
+// variants when it declares languages (see utils/languageVariants.js)
+const { getMainText, getResponseQuestionText } = require('./languageVariants');
 
 /**
  * Check if a question is a gender question (including equivalence with registered voter question)
  * @param {Object} question - Question object
+ * @param {Object} survey - Survey the question belongs to (optional, for its languages)
  * @returns {boolean} - True if question is a gender question
  */
-const isGenderQuestion = (question) => {
+const isGenderQuestion = (question, survey = null) => {
   if (!question) return false;
-  const questionText = getMainText(question.text || '').toLowerCase();
+  const questionText = getMainText(question.text || '', survey).toLowerCase();
   const questionId = question.id || '';
   
   // Check for fixed gender question ID
@@ -113,7 +96,7 @@ const findGenderResponse = (responses, survey = null) => {
   
   // Second, try to find by question text (gender question)
   genderResponse = responses.find(r => {
-    const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
+    const questionText = getResponseQuestionText(r, survey).toLowerCase();
     return questionText.includes('what is your gender') || questionText.includes('gender');
   });
   
@@ -121,7 +104,7 @@ const findGenderResponse = (responses, survey = null) => {
   
   // Third, try to find registered voter question (equivalent)
   genderResponse = responses.find(r => {
-    const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
+    const questionText = getResponseQuestionText(r, survey).toLowerCase();
     return questionText.includes('are you a registered voter') || 
            questionText.includes('registered voter') ||
            questionText.includes('নিবন্ধিত ভোটার') ||
@@ -135,7 +118,7 @@ const findGenderResponse = (responses, survey = null) => {
     for (const section of survey.sections) {
       if (section.questions) {
         for (const question of section.questions) {
-          if (isGenderQuestion(question)) {
+          if (isGenderQuestion(question, survey)) {
             const foundResponse = responses.find(r => {
               const rQuestionId = r.questionId || r.question?.id || '';
               return rQuestionId === question.id;
@@ -0,0 +1,361 @@
+const os = require('os');
+const BackgroundJob = require('../models/BackgroundJob');
+
+/**
+ * Background job queue
+ *
+ * Jobs are BackgroundJob documents. Every server instance runs a worker that polls for due jobs
+ * and claims one with a single findOneAndUpdate, so two PM2 instances never run the same job.
+ * The claiming worker holds a lock (lockExpiresAt) that it extends while the handler runs; if
+ * the server dies the lock expires and another worker claims the job again as a new attempt.
+ *
+ * A handler that throws is retried after backoffMs, doubled for each further attempt, until
+ * maxAttempts; then the job is failed and the definition's onFailed hook runs. Recurring jobs
+ * always have their next run queued, so the admin screen shows when they will run next.
+ *
+ * Handlers are registered with defineJob (see jobs/registerJobs.js) and work is queued with
+ * enqueueJob. A job with a key is not queued again while an earlier job with that key is still
+ * queued or running.
+ */
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const POLL_INTERVAL_MS = 2000;
+// Jobs one worker runs at the same time, across all names
+const MAX_CONCURRENT_JOBS = 4;
+const LOCK_MS = 5 * 60 * 1000;
+const LOCK_EXTEND_MS = 60 * 1000;
+const HISTORY_LIMIT = 20;
+// How long completed jobs are kept
+const COMPLETED_RETENTION_DAYS = 14;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+
+const definitions = new Map();
+const runningCounts = new Map();
+let runningTotal = 0;
+let pollTimer = null;
+let polling = false;
+let pollAgain = false;
+
+/**
+ * Register the handler for a job name
+ * @param {String} name
+ * @param {Function} handler - async (payload, job) => result; throw to fail the attempt
+ * @param {Object} [options]
+ * @param {Number} [options.maxAttempts=3]
+ * @param {Number} [options.backoffMs=60000] - Delay before the first retry
+ * @param {Number} [options.concurrency=1] - Jobs of this name one worker runs at the same time
+ * @param {String} [options.description]
+ * @param {Object} [options.schedule] - { nextRunAt: (after: Date) => Date, description }
+ * @param {Function} [options.onFailed] - async (payload, error, job) after the last attempt fails
+ */
+const defineJob = (name, handler, options = {}) => {
+  definitions.set(name, {
+    name,
+    handler,
+    maxAttempts: options.maxAttempts || 3,
+    backoffMs: options.backoffMs || 60000,
+    concurrency: options.concurrency || 1,
+    description: options.description || '',
+    schedule: options.schedule || null,
+    onFailed: options.onFailed || null
+  });
+};
+
+/**
+ * Registered job names with their settings, for the admin screen
+ */
+const getJobDefinitions = () => [...definitions.values()].map(definition => ({
+  name: definition.name,
+  description: definition.description,
+  maxAttempts: definition.maxAttempts,
+  backoffMs: definition.backoffMs,
+  concurrency: definition.concurrency,
+  schedule: definition.schedule ? definition.schedule.description : null
+}));
+
+const getRetryDelay = (job) => Math.min(
+  (job.backoffMs || 60000) * Math.pow(2, Math.max(job.attempts - 1, 0)),
+  MAX_BACKOFF_MS
+);
+
+/**
+ * Queue a job
+ * @param {String} name
+ * @param {Object} [payload]
+ * @param {Object} [options] - { runAt, delayMs, key, priority, maxAttempts, backoffMs, company, createdBy, recurring }
+ * @returns {Promise<Object>} The queued job, or the job already queued or running with the same key
+ */
+const enqueueJob = async (name, payload = {}, options = {}) => {
+  const definition = definitions.get(name) || {};
+  const runAt = options.runAt || new Date(Date.now() + (options.delayMs || 0));
+
+  try {
+    const job = await BackgroundJob.create({
+      name,
+      payload,
+      runAt,
+      priority: options.priority || 0,
+      maxAttempts: options.maxAttempts || definition.maxAttempts || 3,
+      backoffMs: options.backoffMs || definition.backoffMs || 60000,
+      key: options.key,
+      activeKey: options.key,
+      recurring: !!options.recurring,
+      company: options.company,
+      createdBy: options.createdBy
+    });
+    if (runAt <= new Date()) wakeWorker();
+    return job;
+  } catch (error) {
+    if (error.code !== 11000 || !options.key) throw error;
+    const existing = await BackgroundJob.findOne({ activeKey: options.key });
+    if (existing) return existing;
+    // The other job finished in between - queue this one after all
+    return enqueueJob(name, payload, options);
+  }
+};
+
+/**
+ * Queue the next run of a recurring job. Every instance calls this; the key keeps it to one.
+ * @param {Object} definition
+ * @param {Date} [after] - Schedule the first run after this time
+ */
+const scheduleNextRun = async (definition, after = new Date()) => {
+  if (!definition.schedule) return null;
+  return enqueueJob(definition.name, {}, {
+    runAt: definition.schedule.nextRunAt(after),
+    key: `recurring:${definition.name}`,
+    recurring: true
+  });
+};
+
+const finishJob = async (job, update, historyEntry) => {
+  return BackgroundJob.findOneAndUpdate(
+    { _id: job._id, lockedBy: WORKER_ID, status: 'running' },
+    {
+      ...update,
+      $push: { history: { $each: [historyEntry], $slice: -HISTORY_LIMIT } }
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Run a claimed job and record the outcome
+ */
+const runClaimedJob = async (job) => {
+  const definition = definitions.get(job.name);
+  const startedAt = new Date();
+  const entry = { attempt: job.attempts, worker: WORKER_ID, startedAt };
+
+  // Keep the lock while the handler runs so no other worker takes the job over
+  const lockTimer = setInterval(() => {
+    BackgroundJob.updateOne(
+      { _id: job._id, lockedBy: WORKER_ID, status: 'running' },
+      { $set: { lockExpiresAt: new Date(Date.now() + LOCK_MS) } }
+    ).catch(error => console.error(`❌ Job ${job.name} ${job._id}: lock renewal failed:`, error.message));
+  }, LOCK_EXTEND_MS);
+
+  let finished = null;
+  try {
+    // A job claimed again after its worker died counts the lost run as an attempt
+    if (job.attempts > job.maxAttempts) {
+      throw new Error('The server running this job stopped before it finished');
+    }
+    const result = await definition.handler(job.payload || {}, job);
+    finished = await finishJob(job, {
+      $set: {
+        status: 'completed',
+        result: result === undefined ? null : result,
+        finishedAt: new Date(),
+        expireAt: new Date(Date.now() + COMPLETED_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+      },
+      $unset: { activeKey: '', lockedBy: '', lockExpiresAt: '', lastError: '' }
+    }, { ...entry, finishedAt: new Date(), status: 'completed' });
+  } catch (error) {
+    const message = error.message || String(error);
+    const willRetry = job.attempts < job.maxAttempts;
+    console.error(`❌ Job ${job.name} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}${willRetry ? ', will retry' : ''}):`, message);
+
+    if (willRetry) {
+      finished = await finishJob(job, {
+        $set: { status: 'queued', runAt: new Date(Date.now() + getRetryDelay(job)), lastError: message },
+        $unset: { lockedBy: '', lockExpiresAt: '' }
+      }, { ...entry, finishedAt: new Date(), status: 'failed', error: message });
+    } else {
+      finished = await finishJob(job, {
+        $set: { status: 'failed', lastError: message, finishedAt: new Date() },
+        $unset: { activeKey: '', lockedBy: '', lockExpiresAt: '' }
+      }, { ...entry, finishedAt: new Date(), status: 'failed', error: message });
+      if (definition.onFailed) {
+        try {
+          await definition.onFailed(job.payload || {}, error, job);
+        } catch (hookError) {
+          console.error(`❌ Job ${job.name} ${job._id}: onFailed hook failed:`, hookError.message);
+        }
+      }
+    }
+  } finally {
+    clearInterval(lockTimer);
+  }
+
+  if (!finished) {
+    // The lock expired and another worker took the job over; its outcome is theirs to record
+    console.error(`⚠️  Job ${job.name} ${job._id} lost its lock before finishing`);
+  } else if (job.recurring && finished.status !== 'queued') {
+    await scheduleNextRun(definition, new Date(Math.max(Date.now(), new Date(job.runAt).getTime())));
+  }
+};
+
+/**
+ * Claim the next due job this worker has capacity for
+ * @returns {Promise<Object|null>}
+ */
+const claimNextJob = async () => {
+  const names = [...definitions.values()]
+    .filter(definition => (runningCounts.get(definition.name) || 0) < definition.concurrency)
+    .map(definition => definition.name);
+  if (names.length === 0) return null;
+
+  const now = new Date();
+  return BackgroundJob.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockExpiresAt: { $lt: now } }
+      ]
+    },
+    {
+      $set: { status: 'running', lockedBy: WORKER_ID, lockExpiresAt: new Date(now.getTime() + LOCK_MS), startedAt: now },
+      $inc: { attempts: 1 }
+    },
+    { sort: { priority: -1, runAt: 1 }, new: true }
+  );
+};
+
+const pollJobs = async () => {
+  if (!pollTimer) return;
+  if (polling) {
+    pollAgain = true;
+    return;
+  }
+  polling = true;
+  try {
+    do {
+      pollAgain = false;
+      while (runningTotal < MAX_CONCURRENT_JOBS) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        runningTotal++;
+        runningCounts.set(job.name, (runningCounts.get(job.name) || 0) + 1);
+        runClaimedJob(job)
+          .catch(error => console.error(`❌ Job ${job.name} ${job._id} could not be recorded:`, error))
+          .finally(() => {
+            runningTotal--;
+            runningCounts.set(job.name, runningCounts.get(job.name) - 1);
+            wakeWorker();
+          });
+      }
+    } while (pollAgain);
+  } catch (error) {
+    console.error('❌ Job queue poll failed:', error.message);
+  } finally {
+    polling = false;
+  }
+};
+
+// Check for work now instead of at the next poll (after a job is queued or one finishes)
+const wakeWorker = () => {
+  if (pollTimer) setImmediate(pollJobs);
+};
+
+/**
+ * Start this instance's worker and make sure every recurring job has its next run queued
+ */
+const startJobWorker = async () => {
+  if (pollTimer) return;
+  pollTimer = setInterval(pollJobs, POLL_INTERVAL_MS);
+
+  for (const definition of definitions.values()) {
+    if (!definition.schedule) continue;
+    try {
+      await scheduleNextRun(definition);
+    } catch (error) {
+      console.error(`❌ Could not schedule ${definition.name}:`, error.message);
+    }
+  }
+  console.log(`⚙️  Job worker ${WORKER_ID} started (${definitions.size} job types)`);
+  wakeWorker();
+};
+
+const stopJobWorker = () => {
+  clearInterval(pollTimer);
+  pollTimer = null;
+};
+
+/**
+ * Queue a finished job to run again from its first attempt. A re-run of a recurring job is a
+ * one-off run; the schedule itself is left alone.
+ * @returns {Promise<Object|null>} The job, or null if it is still queued or running
+ * @throws {Error} code 'DUPLICATE' when another job with the same key is already queued or running
+ */
+const rerunJob = async (jobId, userId) => {
+  try {
+    const job = await BackgroundJob.findOneAndUpdate(
+      { _id: jobId, status: { $in: ['completed', 'failed', 'cancelled'] } },
+      [{
+        $set: {
+          status: 'queued',
+          runAt: '$$NOW',
+          attempts: 0,
+          activeKey: { $cond: ['$recurring', '$$REMOVE', '$key'] },
+          recurring: false,
+          rerunBy: userId,
+          rerunAt: '$$NOW'
+        }
+      }, {
+        $unset: ['lastError', 'result', 'finishedAt', 'expireAt']
+      }],
+      { new: true }
+    );
+    if (job) wakeWorker();
+    return job;
+  } catch (error) {
+    if (error.code === 11000) {
+      const duplicate = new Error('Another job with the same key is already queued or running');
+      duplicate.code = 'DUPLICATE';
+      throw duplicate;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cancel a job that has not started. Cancelling a recurring run skips it and queues the next one.
+ * @returns {Promise<Object|null>} The job, or null if it is not queued
+ */
+const cancelJob = async (jobId) => {
+  const job = await BackgroundJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', finishedAt: new Date() }, $unset: { activeKey: '' } },
+    { new: true }
+  );
+  const definition = job && definitions.get(job.name);
+  if (job?.recurring && definition) {
+    await scheduleNextRun(definition, job.runAt);
+  }
+  return job;
+};
+
+module.exports = {
+  WORKER_ID,
+  defineJob,
+  getJobDefinitions,
+  enqueueJob,
+  startJobWorker,
+  stopJobWorker,
+  rerunJob,
+  cancelJob
+};
@@ -0,0 +1,159 @@
+/**
+ * KYC document access: private storage, short-lived signed links and number masking.
+ *
+ * Interviewer KYC documents (Aadhaar, PAN, bank proof, CV, passport photo) are kept outside the
+ * public /uploads folder, or in S3 under documents/. They are only served through
+ * GET /api/kyc-documents/view with a signed token that routes/kycDocumentRoutes.js issues to the
+ * owner, an admin of the owner's company or a super admin. Every link issued, view and refusal
+ * is recorded in KycAccessLog.
+ */
+const crypto = require('crypto');
+const path = require('path');
+const KycAccessLog = require('../models/KycAccessLog');
+
+const KYC_DOCUMENT_FIELDS = ['cvUpload', 'aadhaarDocument', 'panDocument', 'passportPhoto', 'bankDocumentUpload'];
+
+// Not served by express.static; scripts/migrateKycDocuments.js moves older uploads here
+const PRIVATE_KYC_DIR = path.join(__dirname, '../../private_uploads/kyc');
+// Where uploads went before; read as a fallback until the migration has run
+const LEGACY_UPLOAD_DIR = path.join(__dirname, '../../uploads');
+
+const LINK_TTL_SECONDS = 5 * 60;
+
+const linkSecret = () => process.env.KYC_LINK_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const sign = (payload) => crypto.createHmac('sha256', linkSecret()).update(payload).digest('base64url');
+
+/**
+ * Whether a stored document reference is a local KYC upload (as opposed to an S3 key)
+ * @param {String} name - Multer filename, e.g. aadhaarDocument-1760543293216-835603244.JPG
+ */
+const isLocalKycFile = (name) => (
+  typeof name === 'string' &&
+  !name.includes('/') &&
+  KYC_DOCUMENT_FIELDS.some(field => name.startsWith(`${field}-`))
+);
+
+/**
+ * Whether a user may see another user's KYC documents
+ * @param {Object} viewer - { _id, userType, company }
+ * @param {Object} owner - { _id, company }
+ */
+const canAccessKycDocuments = (viewer, owner) => {
+  if (!viewer || !owner) return false;
+  if (viewer._id.toString() === owner._id.toString()) return true;
+  if (viewer.userType === 'super_admin') return true;
+  return viewer.userType === 'company_admin' &&
+    !!viewer.company && !!owner.company &&
+    (viewer.company._id || viewer.company).toString() === (owner.company._id || owner.company).toString();
+};
+
+/**
+ * A signed token for one document, bound to the user it was issued to
+ * @returns {{token: String, expiresAt: Date}}
+ */
+const createDocumentToken = (ownerId, field, viewerId, ttlSeconds = LINK_TTL_SECONDS) => {
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const payload = Buffer.from(JSON.stringify({ u: ownerId.toString(), f: field, v: viewerId.toString(), exp })).toString('base64url');
+  return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Check a token's signature and expiry
+ * @returns {{ownerId: String, field: String, viewerId: String}|null}
+ */
+const verifyDocumentToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [payload, signature] = token.split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  try {
+    const { u, f, v, exp } = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (!exp || exp * 1000 < Date.now() || !KYC_DOCUMENT_FIELDS.includes(f)) return null;
+    return { ownerId: u, field: f, viewerId: v };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Absolute path of a local KYC upload: the private folder, or the legacy public folder if the
+ * migration has not moved it yet. Only the base name is used, so a stored value cannot escape.
+ * @returns {String|null}
+ */
+const resolveLocalKycFile = (name) => {
+  const fs = require('fs');
+  const fileName = path.basename(name);
+  const candidates = [
+    path.join(PRIVATE_KYC_DIR, fileName),
+    path.join(LEGACY_UPLOAD_DIR, fileName),
+    path.join(LEGACY_UPLOAD_DIR, 'interviewer-documents', fileName)
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+};
+
+/**
+ * Record a KYC document access; never throws so logging cannot break the request
+ */
+const logKycAccess = async ({ owner, field, viewer, action, reason, req }) => {
+  try {
+    await KycAccessLog.create({
+      owner,
+      field,
+      viewer: viewer?._id || viewer,
+      viewerType: viewer?.userType,
+      action,
+      reason,
+      ip: req?.ip,
+      userAgent: req?.get ? req.get('user-agent') : undefined
+    });
+  } catch (error) {
+    console.error('Error recording KYC access:', error.message);
+  }
+};
+
+// XXXX-XXXX-1234
+const maskAadhaar = (number) => {
+  const digits = String(number || '').replace(/\D/g, '');
+  return digits ? `XXXX-XXXX-${digits.slice(-4)}` : number;
+};
+
+// XXXXX1234X
+const maskPan = (number) => {
+  const value = String(number || '').trim().toUpperCase();
+  return value.length === 10 ? `XXXXX${value.slice(5, 9)}X` : (value ? 'XXXXXXXXXX' : number);
+};
+
+/**
+ * Mask the Aadhaar and PAN numbers of a plain user object (toObject/lean) in place
+ * @returns {Object} the same object
+ */
+const maskKycNumbers = (user) => {
+  if (!user) return user;
+  const profile = user.interviewerProfile;
+  if (profile?.aadhaarNumber) profile.aadhaarNumber = maskAadhaar(profile.aadhaarNumber);
+  if (profile?.panNumber) profile.panNumber = maskPan(profile.panNumber);
+  if (user.documents?.aadhaar?.number) user.documents.aadhaar.number = maskAadhaar(user.documents.aadhaar.number);
+  if (user.documents?.pan?.number) user.documents.pan.number = maskPan(user.documents.pan.number);
+  return user;
+};
+
+module.exports = {
+  KYC_DOCUMENT_FIELDS,
+  PRIVATE_KYC_DIR,
+  LEGACY_UPLOAD_DIR,
+  LINK_TTL_SECONDS,
+  isLocalKycFile,
+  canAccessKycDocuments,
+  createDocumentToken,
+  verifyDocumentToken,
+  resolveLocalKycFile,
+  logKycAccess,
+  maskAadhaar,
+  maskPan,
+  maskKycNumbers
+};
@@ -0,0 +1,255 @@
+/**
+ * Language variants for survey text
+ *
+ * Surveys used to carry translations inline: "Main Text {Translation1{Translation2}}".
+ * A survey that declares Survey.languages instead keeps plain text in `text` /
+ * `description` (the first declared language) and the other languages in
+ * `textVariants` / `descriptionVariants`, keyed by language code. Braces in the text of
+ * such a survey are literal.
+ */
+
+// Labels for the language codes we expect; anything else falls back to the code itself
+const LANGUAGE_LABELS = {
+  en: 'English',
+  bn: 'বাংলা (Bengali)',
+  hi: 'हिन्दी (Hindi)',
+  as: 'অসমীয়া (Assamese)',
+  or: 'ଓଡ଼ିଆ (Odia)',
+  ta: 'தமிழ் (Tamil)',
+  te: 'తెలుగు (Telugu)',
+  kn: 'ಕನ್ನಡ (Kannada)',
+  ml: 'മലയാളം (Malayalam)',
+  mr: 'मराठी (Marathi)',
+  gu: 'ગુજરાતી (Gujarati)',
+  pa: 'ਪੰਜਾਬੀ (Punjabi)',
+  ur: 'اردو (Urdu)',
+  ne: 'नेपाली (Nepali)'
+};
+
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})?$/;
+
+/**
+ * Whether a survey keeps its translations as language variants, so braces in its text are literal
+ * @param {Object} survey - Needs languages (may be null)
+ * @returns {Boolean}
+ */
+const usesLanguageVariants = (survey) => Array.isArray(survey?.languages) && survey.languages.length > 0;
+
+/**
+ * Main-language text of a survey's question, option or description text. Brace-encoded text is
+ * cut at its first translation; the text of a survey that declares languages is already plain.
+ * @param {String} text
+ * @param {Object} [survey] - Needs languages; without it the text is read as brace-encoded
+ * @returns {String}
+ */
+const getMainText = (text, survey = null) => {
+  if (!text || typeof text !== 'string') return text || '';
+  if (usesLanguageVariants(survey)) return text.trim();
+
+  const openBraceIndex = text.indexOf('{');
+  return openBraceIndex === -1 ? text.trim() : text.substring(0, openBraceIndex).trim();
+};
+
+// Survey questions by id, per survey object (sections and direct questions)
+const questionIndexes = new WeakMap();
+
+const findSurveyQuestion = (survey, questionId) => {
+  if (!questionId) return null;
+  if (!questionIndexes.has(survey)) {
+    const index = new Map();
+    [...(survey.sections || []).flatMap(section => section.questions || []), ...(survey.questions || [])]
+      .forEach(question => {
+        if (question?.id && !index.has(question.id)) index.set(question.id, question);
+      });
+    questionIndexes.set(survey, index);
+  }
+  return questionIndexes.get(survey).get(questionId) || null;
+};
+
+/**
+ * Main-language text of the question an answer belongs to. Answers store the question text as
+ * it was asked, brace-encoded for answers collected before the survey declared languages, so for
+ * such a survey the text is taken from the survey question itself.
+ * @param {Object} response - An entry of SurveyResponse.responses (questionId, questionText)
+ * @param {Object} [survey] - Needs languages and sections / questions
+ * @returns {String}
+ */
+const getResponseQuestionText = (response, survey = null) => {
+  const text = response?.questionText || response?.question?.text || '';
+  if (!usesLanguageVariants(survey)) return getMainText(text);
+
+  const question = findSurveyQuestion(survey, response.questionId || response.question?.id);
+  return getMainText(question?.text || text, survey);
+};
+
+/**
+ * Split brace-encoded text into its languages, first is the main text.
+ * Mirrors parseMultiTranslation in frontend/src/utils/translations.jsx.
+ * @param {String} text
+ * @returns {Array<String>}
+ */
+const parseBraceTranslations = (text) => {
+  if (text === null || text === undefined) return [''];
+  const source = String(text).trim();
+  if (!source) return [''];
+
+  const languages = [];
+  let remaining = source;
+
+  while (remaining.length > 0) {
+    const openBraceIndex = remaining.indexOf('{');
+    if (openBraceIndex === -1) {
+      if (remaining.trim()) languages.push(remaining.trim());
+      break;
+    }
+
+    const beforeBrace = remaining.substring(0, openBraceIndex).trim();
+    if (beforeBrace) languages.push(beforeBrace);
+
+    let braceCount = 0;
+    let closeBraceIndex = -1;
+    for (let i = openBraceIndex; i < remaining.length; i++) {
+      if (remaining[i] === '{') {
+        braceCount++;
+      } else if (remaining[i] === '}') {
+        braceCount--;
+        if (braceCount === 0) {
+          closeBraceIndex = i;
+          break;
+        }
+      }
+    }
+
+    if (closeBraceIndex === -1) {
+      const restText = remaining.substring(openBraceIndex + 1).trim();
+      if (restText) languages.push(restText);
+      break;
+    }
+
+    languages.push(...parseBraceTranslations(remaining.substring(openBraceIndex + 1, closeBraceIndex)).filter(Boolean));
+    remaining = remaining.substring(closeBraceIndex + 1).trim();
+  }
+
+  return languages.length > 0 ? languages : [source];
+};
+
+/**
+ * Convert brace-encoded text to main text plus named variants. Paragraphs separated by
+ * a blank line are translated independently (long descriptions are written that way).
+ * @param {String} text
+ * @param {Array<String>} languageCodes - Declared language codes, first is the main language
+ * @returns {{text: String, variants: Object, languageCount: Number}}
+ */
+const splitBraceVariants = (text, languageCodes) => {
+  if (text === null || text === undefined || !String(text).includes('{')) {
+    return { text, variants: {}, languageCount: 1 };
+  }
+
+  const paragraphs = String(text).split('\n\n').map(paragraph => parseBraceTranslations(paragraph.trim()));
+  const languageCount = Math.max(...paragraphs.map(parts => parts.length));
+  if (languageCount < 2) {
+    return { text, variants: {}, languageCount: 1 };
+  }
+
+  const textFor = (index) => paragraphs
+    .map(parts => parts[index] || parts[0] || '')
+    .filter(Boolean)
+    .join('\n\n');
+
+  const variants = {};
+  languageCodes.slice(1).forEach((code, offset) => {
+    if (offset + 1 < languageCount) {
+      variants[code] = textFor(offset + 1);
+    }
+  });
+
+  return { text: textFor(0), variants, languageCount };
+};
+
+/**
+ * Validate a survey's declared languages
+ * @param {Array} languages - [{ code, label }] or language codes
+ * @returns {{languages: Array, errors: Array<String>}}
+ */
+const normalizeLanguages = (languages) => {
+  if (languages === undefined || languages === null) {
+    return { languages: [], errors: [] };
+  }
+  if (!Array.isArray(languages)) {
+    return { languages: [], errors: ['languages must be an array'] };
+  }
+
+  const errors = [];
+  const seen = new Set();
+  const normalized = languages.map((entry, index) => {
+    const code = String(typeof entry === 'string' ? entry : entry?.code || '').trim();
+    if (!LANGUAGE_CODE_PATTERN.test(code)) {
+      errors.push(`Language ${index + 1}: "${code}" is not a valid language code (e.g. en, bn, hi)`);
+    } else if (seen.has(code)) {
+      errors.push(`Language ${index + 1}: "${code}" is declared twice`);
+    }
+    seen.add(code);
+    const label = (typeof entry === 'object' && entry?.label ? String(entry.label).trim() : '') ||
+      LANGUAGE_LABELS[code] || code;
+    return { code, label };
+  });
+
+  return { languages: normalized, errors };
+};
+
+/**
+ * Convert every question, description and option of a survey from brace-encoded text
+ * to language variants. Option values are left untouched so stored answers still match.
+ * @param {Object} survey - Lean survey ({ sections, questions })
+ * @param {Array<String>} languageCodes
+ * @returns {{sections: Array, questions: Array, converted: Number, warnings: Array<String>}}
+ */
+const convertSurveyToLanguageVariants = (survey, languageCodes) => {
+  let converted = 0;
+  const warnings = [];
+
+  const convertField = (entity, field, label) => {
+    const result = splitBraceVariants(entity[field], languageCodes);
+    if (result.languageCount > languageCodes.length) {
+      warnings.push(`${label} has ${result.languageCount} languages but only ${languageCodes.length} are declared; extra text was dropped`);
+    }
+    if (Object.keys(result.variants).length === 0) {
+      return {};
+    }
+    converted++;
+    return { [field]: result.text, [`${field}Variants`]: result.variants };
+  };
+
+  const convertQuestion = (question, location) => {
+    const label = `${location} question ${question.questionNumber || question.id}`;
+    return {
+      ...question,
+      ...convertField(question, 'text', label),
+      ...(question.description ? convertField(question, 'description', `${label} description`) : {}),
+      options: (question.options || []).map((option, index) => (
+        option && typeof option === 'object'
+          ? { ...option, ...convertField(option, 'text', `${label} option ${option.code || index + 1}`) }
+          : option
+      ))
+    };
+  };
+
+  const sections = (survey.sections || []).map((section, sectionIndex) => ({
+    ...section,
+    questions: (section.questions || []).map(question => convertQuestion(question, `Section ${sectionIndex + 1}`))
+  }));
+  const questions = (survey.questions || []).map(question => convertQuestion(question, 'Direct'));
+
+  return { sections, questions, converted, warnings };
+};
+
+module.exports = {
+  LANGUAGE_LABELS,
+  usesLanguageVariants,
+  getMainText,
+  getResponseQuestionText,
+  parseBraceTranslations,
+  splitBraceVariants,
+  normalizeLanguages,
+  convertSurveyToLanguageVariants
+};
@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadData, findACNumberByName } = require('./pollingStationHelper');
+
+/**
+ * Offline CAPI sync helpers
+ *
+ * Devices cache an "offline bundle" (survey definition, polling stations, AC master data)
+ * together with the survey revision it was built from. When an interview captured offline
+ * is synced, its answers are checked against the current survey and any structural change
+ * that affects them is reported as a conflict.
+ */
+
+// Response sectionIndex is negative for the questions the interview UI adds itself
+// (consent form, AC / polling station selection, supervisor ID, call status)
+const isBuiltInResponse = (response) => Number(response.sectionIndex) < 0 ||
+  ['ac-selection', 'polling-station-selection'].includes(response.questionId);
+
+const CHOICE_TYPES = ['multiple_choice', 'single_choice', 'single_select', 'dropdown', 'yes_no'];
+
+const getSurveyQuestions = (survey) => {
+  const questions = [];
+  (survey.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => questions.push(question));
+  });
+  (survey.questions || []).forEach(question => questions.push(question));
+  return questions;
+};
+
+/**
+ * Revision of the parts of a survey that answers depend on: question ids, types,
+ * required flags, CAPI visibility, option values/codes and conditions.
+ * Text edits and translations do not change the revision.
+ * @param {Object} survey
+ * @returns {String}
+ */
+const computeSurveyRevision = (survey) => {
+  const structure = getSurveyQuestions(survey).map(question => ({
+    id: question.id,
+    type: question.type,
+    required: !!question.required,
+    capi: question.enabledForCAPI !== false,
+    options: (question.options || []).map(option => (
+      typeof option === 'object' ? [String(option.value ?? ''), String(option.code ?? '')] : [String(option), '']
+    )),
+    conditions: (question.conditions || []).map(condition => [
+      condition.questionId, condition.operator, String(condition.value ?? ''), condition.logic || 'AND'
+    ])
+  }));
+
+  return crypto.createHash('sha1').update(JSON.stringify(structure)).digest('hex').substring(0, 16);
+};
+
+const hasAnswer = (value) => {
+  if (value === null || value === undefined || value === '') return false;
+  if (Array.isArray(value)) return value.length > 0;
+  return true;
+};
+
+/**
+ * Compare answers captured against an older revision with the current survey
+ * @param {Object} survey - Current survey
+ * @param {Array} responses - Responses array as sent by the interview client
+ * @returns {Array<{type: String, questionId: String, message: String}>}
+ */
+const findSyncConflicts = (survey, responses = []) => {
+  const conflicts = [];
+  const questionsById = new Map(getSurveyQuestions(survey).map(question => [question.id, question]));
+  const answeredIds = new Set();
+
+  responses.forEach(response => {
+    if (!response || isBuiltInResponse(response)) return;
+    answeredIds.add(response.questionId);
+    if (!hasAnswer(response.response) || response.isSkipped) return;
+
+    const question = questionsById.get(response.questionId);
+    if (!question) {
+      conflicts.push({
+        type: 'question_removed',
+        questionId: response.questionId,
+        message: `Question "${response.questionText || response.questionId}" is no longer in the survey`
+      });
+      return;
+    }
+
+    if (response.questionType && question.type !== response.questionType) {
+      conflicts.push({
+        type: 'question_type_changed',
+        questionId: question.id,
+        message: `Question "${question.text}" changed from ${response.questionType} to ${question.type}`
+      });
+      return;
+    }
+
+    if (CHOICE_TYPES.includes(question.type) && question.options && question.options.length > 0) {
+      const validValues = new Set();
+      question.options.forEach(option => {
+        if (typeof option === 'object') {
+          validValues.add(String(option.value ?? option.text));
+          if (option.code !== null && option.code !== undefined) validValues.add(String(option.code));
+        } else {
+          validValues.add(String(option));
+        }
+      });
+
+      const answers = Array.isArray(response.response) ? response.response : [response.response];
+      const missing = answers
+        .map(String)
+        // "Others: <free text>" is stored in place of the Others option value
+        .filter(answer => !answer.startsWith('Others: ') && !validValues.has(answer));
+      if (missing.length > 0) {
+        conflicts.push({
+          type: 'option_removed',
+          questionId: question.id,
+          message: `Question "${question.text}": answer ${missing.join(', ')} is no longer an option`
+        });
+      }
+    }
+  });
+
+  getSurveyQuestions(survey).forEach(question => {
+    if (question.required && question.enabledForCAPI !== false && !answeredIds.has(question.id)) {
+      conflicts.push({
+        type: 'question_added',
+        questionId: question.id,
+        message: `Required question "${question.text}" was added after this interview was taken`
+      });
+    }
+  });
+
+  return conflicts;
+};
+
+/**
+ * Find the interviewer's assignment on a survey (single-mode or multi-mode CAPI/CATI)
+ * @param {Object} survey
+ * @param {String} interviewerId
+ * @returns {{assignment: Object, assignedMode: String}|null}
+ */
+const findInterviewerAssignment = (survey, interviewerId) => {
+  const lists = [
+    ['assignedInterviewers', null],
+    ['capiInterviewers', 'capi'],
+    ['catiInterviewers', 'cati']
+  ];
+
+  for (const [field, mode] of lists) {
+    const assignment = (survey[field] || []).find(entry =>
+      entry.interviewer && entry.interviewer.toString() === interviewerId.toString() && entry.status === 'assigned'
+    );
+    if (assignment) {
+      return { assignment, assignedMode: mode || assignment.assignedMode || 'single' };
+    }
+  }
+  return null;
+};
+
+/**
+ * Interview mode for an assignment, as startInterview resolves it
+ * @param {Object} survey
+ * @param {String} assignedMode
+ * @returns {String}
+ */
+const resolveInterviewMode = (survey, assignedMode) => {
+  if (survey.mode === 'multi_mode') {
+    return assignedMode === 'cati' ? 'cati' : 'capi';
+  }
+  return survey.mode || 'capi';
+};
+
+/**
+ * Polling stations a device needs offline, keyed by AC number
+ * @param {String} state
+ * @param {Array<String>} acIdentifiers - AC names or numbers; empty means every AC in the state
+ * @returns {{state: String, acs: Object}}
+ */
+const buildPollingStationBundle = (state, acIdentifiers = []) => {
+  const data = loadData();
+  if (!data || !data[state]) {
+    return { state, acs: {} };
+  }
+
+  const acNumbers = acIdentifiers.length > 0
+    ? acIdentifiers
+      .map(identifier => (data[state][identifier] ? identifier : findACNumberByName(state, identifier)))
+      .filter(Boolean)
+    : Object.keys(data[state]);
+
+  const acs = {};
+  new Set(acNumbers).forEach(acNo => {
+    const acData = data[state][acNo];
+    const groups = {};
+    Object.entries(acData.groups || {}).forEach(([groupName, group]) => {
+      groups[groupName] = (group.polling_stations || []).map(station => ({
+        name: station.name,
+        gps_location: station.gps_location,
+        latitude: station.latitude,
+        longitude: station.longitude
+      }));
+    });
+    acs[acNo] = {
+      ac_no: acNo,
+      ac_name: acData.ac_name,
+      pc_no: acData.pc_no || null,
+      pc_name: acData.pc_name || null,
+      district: acData.district || null,
+      groups
+    };
+  });
+
+  return { state, acs };
+};
+
+/**
+ * MP/MLA names and bye-election flags for every AC (small enough to ship whole)
+ * @returns {Object} Keyed by AC name
+ */
+const buildACMasterDataBundle = () => {
+  try {
+    const masterData = JSON.parse(fs.readFileSync(path.join(__dirname, '../data/acMasterData.json'), 'utf8'));
+    const bundle = {};
+    Object.entries(masterData).forEach(([acName, acData]) => {
+      bundle[acName] = {
+        mpName: acData.mpName,
+        mlaName: acData.mlaName,
+        hasByeElection: acData.hasByeElection || false
+      };
+    });
+    return bundle;
+  } catch (error) {
+    console.error('Error loading AC master data for offline bundle:', error);
+    return {};
+  }
+};
+
+module.exports = {
+  getSurveyQuestions,
+  computeSurveyRevision,
+  buildPollingStationBundle,
+  buildACMasterDataBundle,
+  findSyncConflicts,
+  findInterviewerAssignment,
+  resolveInterviewMode,
+  isBuiltInResponse
+};
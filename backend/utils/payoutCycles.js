@@ -0,0 +1,224 @@
+const XLSX = require('xlsx');
+const Company = require('../models/Company');
+const EarningEntry = require('../models/EarningEntry');
+const PayoutCycle = require('../models/PayoutCycle');
+const User = require('../models/User');
+const { IST_OFFSET_MS } = require('./qcBatchHelper');
+
+/**
+ * Interviewer payout cycles
+ *
+ * A company's paymentConfig.payoutSchedule sets where its periods end, at midnight IST:
+ *
+ *   daily      every day
+ *   weekly     on payoutDay as a weekday (1 = Monday ... 7 = Sunday)
+ *   bi-weekly  on that weekday every other week
+ *   monthly    on payoutDay of the month (the last day in shorter months)
+ *
+ * When a period ends, the 'payouts.generateCycles' job puts every ledger entry created before
+ * the end and not yet paid into a new cycle, one line per interviewer with a positive balance
+ * (a balance at or below zero after reversals waits for later credits). Lines take a copy of
+ * the interviewer's bank details; lines without them are left out of the bank transfer file
+ * and carried to the next cycle once this one is marked paid.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A Monday, so bi-weekly periods fall on the same weeks for every company
+const BI_WEEKLY_ANCHOR = Date.UTC(2024, 0, 1);
+
+/**
+ * The latest period end at or before a time
+ * @param {String} schedule - paymentConfig.payoutSchedule
+ * @param {Number} payoutDay - paymentConfig.payoutDay
+ * @param {Date} now
+ * @returns {Date}
+ */
+const getLatestPeriodEnd = (schedule, payoutDay = 1, now = new Date()) => {
+  const ist = new Date(now.getTime() + IST_OFFSET_MS);
+  const today = Date.UTC(ist.getUTCFullYear(), ist.getUTCMonth(), ist.getUTCDate());
+  let end = today;
+
+  if (schedule === 'weekly' || schedule === 'bi-weekly') {
+    const weekday = Math.min(Math.max(payoutDay, 1), 7);
+    const todayWeekday = ((ist.getUTCDay() + 6) % 7) + 1;
+    end = today - ((todayWeekday - weekday + 7) % 7) * DAY_MS;
+    if (schedule === 'bi-weekly' && Math.floor((end - BI_WEEKLY_ANCHOR) / (7 * DAY_MS)) % 2 !== 0) {
+      end -= 7 * DAY_MS;
+    }
+  } else if (schedule === 'monthly') {
+    const dayInMonth = (year, month) => Math.min(payoutDay, new Date(Date.UTC(year, month + 1, 0)).getUTCDate());
+    const year = ist.getUTCFullYear();
+    const month = ist.getUTCMonth();
+    end = Date.UTC(year, month, dayInMonth(year, month));
+    if (end > today) {
+      end = Date.UTC(year, month - 1, dayInMonth(year, month - 1));
+    }
+  }
+  return new Date(end - IST_OFFSET_MS);
+};
+
+const getBankDetails = (user) => {
+  const documents = user.documents?.bankDetails || {};
+  const profile = user.interviewerProfile || {};
+  return {
+    accountHolderName: documents.accountHolderName || profile.bankAccountHolderName || `${user.firstName} ${user.lastName}`,
+    accountNumber: documents.accountNumber || profile.bankAccountNumber,
+    ifscCode: documents.ifscCode || profile.bankIfscCode,
+    bankName: documents.bankName || profile.bankName
+  };
+};
+
+/**
+ * Generate the company's cycle for its latest ended period, if not already generated
+ * @param {String|ObjectId} companyId
+ * @param {Object} [options] - { createdBy, now }
+ * @returns {Promise<PayoutCycle|null>} The new cycle, or null when there is nothing to pay or
+ *          the period already has one
+ */
+const generatePayoutCycle = async (companyId, { createdBy, now = new Date() } = {}) => {
+  const company = await Company.findById(companyId).select('paymentConfig').lean();
+  if (!company) return null;
+  const schedule = company.paymentConfig?.payoutSchedule || 'weekly';
+  const periodEnd = getLatestPeriodEnd(schedule, company.paymentConfig?.payoutDay, now);
+
+  if (await PayoutCycle.exists({ company: company._id, periodEnd: { $gte: periodEnd } })) return null;
+
+  const unpaid = { company: company._id, payoutCycle: { $exists: false }, createdAt: { $lt: periodEnd } };
+  const balances = await EarningEntry.aggregate([
+    { $match: unpaid },
+    {
+      $group: {
+        _id: '$interviewer',
+        amount: { $sum: '$amount' },
+        entryCount: { $sum: 1 },
+        firstAt: { $min: '$createdAt' }
+      }
+    },
+    { $match: { amount: { $gt: 0 } } }
+  ]);
+  if (balances.length === 0) return null;
+
+  const users = await User.find({ _id: { $in: balances.map(balance => balance._id) } })
+    .select('firstName lastName memberId documents.bankDetails interviewerProfile.bankAccountNumber interviewerProfile.bankAccountHolderName interviewerProfile.bankName interviewerProfile.bankIfscCode')
+    .lean();
+  const usersById = new Map(users.map(user => [String(user._id), user]));
+
+  const lines = balances.map(balance => {
+    const user = usersById.get(String(balance._id)) || { firstName: 'Unknown', lastName: 'interviewer' };
+    const bank = getBankDetails(user);
+    return {
+      interviewer: balance._id,
+      name: `${user.firstName} ${user.lastName}`,
+      memberId: user.memberId,
+      amount: Math.round(balance.amount * 100) / 100,
+      entryCount: balance.entryCount,
+      bank,
+      status: bank.accountNumber && bank.ifscCode ? 'pending' : 'missing_bank_details'
+    };
+  });
+
+  const previous = await PayoutCycle.findOne({ company: company._id }).sort({ periodEnd: -1 }).select('periodEnd').lean();
+  let cycle;
+  try {
+    cycle = await PayoutCycle.create({
+      company: company._id,
+      schedule,
+      periodStart: previous?.periodEnd || new Date(Math.min(...balances.map(balance => balance.firstAt.getTime()))),
+      periodEnd,
+      lines,
+      totalAmount: Math.round(lines.reduce((sum, line) => sum + line.amount, 0) * 100) / 100,
+      createdBy
+    });
+  } catch (error) {
+    // Generated at the same moment by the job and an admin
+    if (error.code === 11000) return null;
+    throw error;
+  }
+
+  await EarningEntry.updateMany(
+    { ...unpaid, interviewer: { $in: lines.map(line => line.interviewer) } },
+    { $set: { payoutCycle: cycle._id } }
+  );
+  console.log(`🏦 Payout cycle ${cycle._id}: ${lines.length} interviewer(s), ₹${cycle.totalAmount}`);
+  return cycle;
+};
+
+/**
+ * Generate due cycles for every company with unpaid ledger entries
+ * @returns {Promise<{generated: Number}>}
+ */
+const generateDuePayoutCycles = async () => {
+  const companyIds = await EarningEntry.distinct('company', { payoutCycle: { $exists: false } });
+  let generated = 0;
+  for (const companyId of companyIds) {
+    try {
+      if (await generatePayoutCycle(companyId)) generated++;
+    } catch (error) {
+      console.error(`❌ Payout cycle generation failed for company ${companyId}:`, error.message);
+    }
+  }
+  return { generated };
+};
+
+/**
+ * Bank transfer file for a cycle's lines with bank details
+ * @param {Object} cycle - PayoutCycle
+ * @returns {String} CSV
+ */
+const buildBankTransferCsv = (cycle) => {
+  const periodEnd = new Date(cycle.periodEnd.getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+  const rows = cycle.lines
+    .filter(line => line.status === 'pending' || line.status === 'paid')
+    .map(line => ({
+      'Beneficiary Name': line.bank?.accountHolderName || line.name,
+      'Account Number': line.bank?.accountNumber,
+      'IFSC Code': line.bank?.ifscCode,
+      'Bank Name': line.bank?.bankName || '',
+      'Amount': line.amount.toFixed(2),
+      'Member ID': line.memberId || '',
+      'Narration': `Interview earnings to ${periodEnd}`
+    }));
+  const sheet = XLSX.utils.json_to_sheet(rows, {
+    header: ['Beneficiary Name', 'Account Number', 'IFSC Code', 'Bank Name', 'Amount', 'Member ID', 'Narration']
+  });
+  return XLSX.utils.sheet_to_csv(sheet);
+};
+
+/**
+ * Mark a cycle paid. Lines without bank details are carried forward: their entries go back
+ * to the unpaid balance for the next cycle.
+ * @param {Object} cycle - PayoutCycle document
+ * @param {Object} user - Who confirmed the transfer
+ * @param {String} [paymentReference]
+ * @returns {Promise<PayoutCycle>}
+ */
+const markPayoutCyclePaid = async (cycle, user, paymentReference) => {
+  const carried = cycle.lines.filter(line => line.status === 'missing_bank_details').map(line => line.interviewer);
+  if (carried.length > 0) {
+    await EarningEntry.updateMany(
+      { payoutCycle: cycle._id, interviewer: { $in: carried } },
+      { $unset: { payoutCycle: '' } }
+    );
+  }
+
+  cycle.lines.forEach(line => {
+    line.status = line.status === 'missing_bank_details' ? 'carried_forward' : 'paid';
+  });
+  cycle.totalAmount = Math.round(cycle.lines
+    .filter(line => line.status === 'paid')
+    .reduce((sum, line) => sum + line.amount, 0) * 100) / 100;
+  cycle.status = 'paid';
+  cycle.paidAt = new Date();
+  cycle.paidBy = user._id;
+  if (paymentReference) cycle.paymentReference = String(paymentReference).trim();
+  await cycle.save();
+  return cycle;
+};
+
+module.exports = {
+  getLatestPeriodEnd,
+  generatePayoutCycle,
+  generateDuePayoutCycles,
+  buildBankTransferCsv,
+  markPayoutCyclePaid
+};
@@ -1,7 +1,84 @@
+const mongoose = require('mongoose');
 const QCBatch = require('../models/QCBatch');
 const QCBatchConfig = require('../models/QCBatchConfig');
+const QCEscalation = require('../models/QCEscalation');
 const SurveyResponse = require('../models/SurveyResponse');
-const { processPreviousBatch } = require('../jobs/qcBatchProcessor');
+const { enqueueJob } = require('./jobQueue');
+
+// India has no daylight saving, so IST day and window boundaries are fixed UTC offsets
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_BATCHING = { mode: 'day', batchSize: 100, windowHours: 4, maxOpenHours: 24 };
+
+/**
+ * Batching settings of a config, with defaults for configs saved before batching was configurable
+ * @param {Object} config - QCBatchConfig (or the default config object)
+ * @returns {{mode: String, batchSize: Number, windowHours: Number, maxOpenHours: Number}}
+ */
+const getBatchingSettings = (config) => {
+  const batching = config?.batching || {};
+  return {
+    mode: batching.mode || DEFAULT_BATCHING.mode,
+    batchSize: batching.batchSize || DEFAULT_BATCHING.batchSize,
+    windowHours: batching.windowHours || DEFAULT_BATCHING.windowHours,
+    maxOpenHours: batching.maxOpenHours || DEFAULT_BATCHING.maxOpenHours
+  };
+};
+
+/**
+ * When a batch opened at a given time stops collecting
+ *   day         - the next midnight IST
+ *   time_window - the end of the windowHours window (counted from midnight IST) it opened in;
+ *                 the last window of the day is cut short at midnight
+ *   count       - maxOpenHours after it opened (it normally closes earlier, on reaching batchSize)
+ * @param {Object} batching - getBatchingSettings()
+ * @param {Date} openedAt
+ * @returns {Date}
+ */
+const computeBatchClosesAt = (batching, openedAt = new Date()) => {
+  const ist = openedAt.getTime() + IST_OFFSET_MS;
+  const dayStart = ist - (ist % (24 * HOUR_MS));
+  const nextMidnight = dayStart + 24 * HOUR_MS - IST_OFFSET_MS;
+
+  if (batching.mode === 'count') {
+    return new Date(openedAt.getTime() + batching.maxOpenHours * HOUR_MS);
+  }
+  if (batching.mode === 'time_window') {
+    const windowMs = batching.windowHours * HOUR_MS;
+    const windowEnd = dayStart + (Math.floor((ist - dayStart) / windowMs) + 1) * windowMs - IST_OFFSET_MS;
+    return new Date(Math.min(windowEnd, nextMidnight));
+  }
+  return new Date(nextMidnight);
+};
+
+/**
+ * Snapshot of the config a batch is created with
+ */
+const buildBatchConfigSnapshot = (config, escalation) => {
+  const samplingStrategy = config?.sampling?.strategy || 'random';
+  if (!config) {
+    return {
+      samplePercentage: 40,
+      approvalRules: [
+        { minRate: 50, maxRate: 100, action: 'auto_approve', description: '50%+ - Auto approve' },
+        { minRate: 0, maxRate: 50, action: 'send_to_qc', description: 'Below 50% - Send to QC' }
+      ],
+      batching: DEFAULT_BATCHING,
+      samplingStrategy,
+      escalationBatches: 3
+    };
+  }
+  return {
+    // An escalated interviewer's batches are checked in full
+    samplePercentage: escalation ? 100 : config.samplePercentage,
+    approvalRules: config.approvalRules || [],
+    batching: getBatchingSettings(config),
+    samplingStrategy,
+    escalationBatches: config.escalationBatches || 3,
+    configId: config._id || null
+  };
+};
 
 /**
  * Get or create a QC batch for a specific survey and interviewer
@@ -13,30 +90,40 @@ const getOrCreateBatch = async (surveyId, interviewerId) => {
   if (!interviewerId) {
     throw new Error('Interviewer ID is required to create a batch');
   }
-  
-  // Find existing batch for this survey and interviewer that is still collecting
-  // Only look for batches with less than 100 responses
+
+  const Survey = require('../models/Survey');
+  const survey = await Survey.findById(surveyId).select('company');
+  const config = survey ? await QCBatchConfig.getActiveConfig(surveyId, survey.company) : null;
+  const batching = getBatchingSettings(config);
+  const now = new Date();
+
+  // The interviewer's batch that is still collecting and has room. Batches created before
+  // boundaries were configurable have no closesAt and close at the midnight after their batchDate.
   let batch = await QCBatch.findOne({
     survey: surveyId,
     interviewer: interviewerId,
     status: 'collecting',
-    totalResponses: { $lt: 100 }
+    totalResponses: { $lt: batching.batchSize },
+    $or: [
+      { closesAt: { $gt: now } },
+      { closesAt: { $exists: false } }
+    ]
   }).sort({ batchDate: -1 }); // Get the most recent collecting batch
-  
+
   // If no batch exists, create a new one
   if (!batch) {
-    // Get active config for this survey to store in batch
-    const Survey = require('../models/Survey');
-    const survey = await Survey.findById(surveyId).populate('company');
-    let config = null;
-    if (survey) {
-      config = await QCBatchConfig.getActiveConfig(surveyId, survey.company._id || survey.company);
-    }
-    
+    const escalation = await QCEscalation.findOne({
+      survey: surveyId,
+      interviewer: interviewerId,
+      status: 'active'
+    });
+
     batch = new QCBatch({
       survey: surveyId,
       interviewer: interviewerId,
-      batchDate: new Date(),
+      batchDate: now,
+      closesAt: computeBatchClosesAt(batching, now),
+      escalation: escalation?._id,
       status: 'collecting',
       responses: [],
       totalResponses: 0,
@@ -53,32 +140,21 @@ const getOrCreateBatch = async (surveyId, interviewerId) => {
       remainingDecision: {
         decision: 'pending'
       },
-      batchConfig: config ? {
-        samplePercentage: config.samplePercentage,
-        approvalRules: config.approvalRules || [],
-        configId: config._id || null
-      } : {
-        samplePercentage: 40,
-        approvalRules: [
-          { minRate: 50, maxRate: 100, action: 'auto_approve', description: '50%+ - Auto approve' },
-          { minRate: 0, maxRate: 50, action: 'send_to_qc', description: 'Below 50% - Send to QC' }
-        ]
-      }
+      batchConfig: buildBatchConfigSnapshot(config, escalation)
     });
-    
+
     await batch.save();
-    console.log(`✅ Created new QC batch for survey ${surveyId} and interviewer ${interviewerId}`);
-    
-    // Check if any batches in progress can have decisions made
+    console.log(`✅ Created new QC batch for survey ${surveyId} and interviewer ${interviewerId} (${batching.mode}, closes ${batch.closesAt.toISOString()}${escalation ? ', escalated to 100% QC' : ''})`);
+
+    // Check if any batches in progress can have decisions made (one queued check at a time)
     try {
-      const { checkBatchesInProgress } = require('../jobs/qcBatchProcessor');
-      await checkBatchesInProgress();
+      await enqueueJob('qc.checkBatchesInProgress', {}, { key: 'qc.checkBatchesInProgress' });
     } catch (error) {
-      console.error('⚠️  Error checking batches in progress (non-critical):', error);
+      console.error('⚠️  Error queueing batch decision check (non-critical):', error);
       // Don't throw - batch creation should succeed even if check fails
     }
   }
-  
+
   return batch;
 };
 
@@ -96,13 +172,13 @@ const addResponseToBatch = async (responseId, surveyId, interviewerId) => {
     if (!response) {
       throw new Error(`Response ${responseId} not found`);
     }
-    
+
     // Skip if response is rejected (auto-rejected or manually rejected)
     if (response.status === 'Rejected' || response.verificationData?.autoRejected === true) {
       console.log(`⏭️  Skipping batch addition for rejected response ${responseId} (status: ${response.status}, autoRejected: ${response.verificationData?.autoRejected})`);
       return; // Don't add rejected responses to batches
     }
-    
+
     if (!interviewerId) {
       // Try to get interviewer from the response
       if (response && response.interviewer) {
@@ -111,45 +187,61 @@ const addResponseToBatch = async (responseId, surveyId, interviewerId) => {
         throw new Error('Interviewer ID is required to add response to batch');
       }
     }
-    
-    // Get or create batch for this interviewer
-    let batch = await getOrCreateBatch(surveyId, interviewerId);
-    
-    // Add response to batch if not already added
-    if (!batch.responses.includes(responseId)) {
-      batch.responses.push(responseId);
-      batch.totalResponses = batch.responses.length;
-      await batch.save();
-      
-      // Update response with batch reference - CRITICAL: Use native MongoDB to preserve setNumber
-      const mongoose = require('mongoose');
-      const collection = mongoose.connection.collection('surveyresponses');
-      await collection.updateOne(
-        { _id: new mongoose.Types.ObjectId(responseId) },
-        { $set: { qcBatch: batch._id, isSampleResponse: false } }
+
+    const responseObjectId = new mongoose.Types.ObjectId(String(responseId));
+    let batch = null;
+    // A batch can close between being found and the response landing in it; try a fresh one then
+    for (let attempt = 0; attempt < 2 && !batch; attempt++) {
+      const candidate = await getOrCreateBatch(surveyId, interviewerId);
+      batch = await QCBatch.findOneAndUpdate(
+        { _id: candidate._id, status: 'collecting' },
+        [{
+          $set: {
+            responses: {
+              $cond: [
+                { $in: [responseObjectId, '$responses'] },
+                '$responses',
+                { $concatArrays: ['$responses', [responseObjectId]] }
+              ]
+            }
+          }
+        }, {
+          $set: { totalResponses: { $size: '$responses' } }
+        }],
+        { new: true }
       );
-      
-      console.log(`✅ Added response ${responseId} to batch ${batch._id} (${batch.totalResponses}/100)`);
-      
-      // If batch reaches 100 responses, automatically process it
-      if (batch.totalResponses >= 100) {
-        console.log(`📦 Batch ${batch._id} reached 100 responses, processing automatically...`);
-        
-        // Get active config for processing
-        const Survey = require('../models/Survey');
-        const survey = await Survey.findById(surveyId).populate('company');
-        const config = survey ? await QCBatchConfig.getActiveConfig(surveyId, survey.company._id || survey.company) : null;
-        
-        if (config) {
-          const { processBatch } = require('../jobs/qcBatchProcessor');
-          await processBatch(batch, config);
-          console.log(`✅ Batch ${batch._id} processed automatically at 100 responses`);
-        } else {
-          console.warn(`⚠️  No config found for survey ${surveyId}, batch will be processed later`);
-        }
+    }
+    if (!batch) {
+      throw new Error(`No collecting batch available for interviewer ${interviewerId}`);
+    }
+
+    // Update response with batch reference - CRITICAL: Use native MongoDB to preserve setNumber
+    const collection = mongoose.connection.collection('surveyresponses');
+    await collection.updateOne(
+      { _id: responseObjectId },
+      { $set: { qcBatch: batch._id, isSampleResponse: false } }
+    );
+
+    const batchSize = batch.batchConfig?.batching?.batchSize || DEFAULT_BATCHING.batchSize;
+    console.log(`✅ Added response ${responseId} to batch ${batch._id} (${batch.totalResponses}/${batchSize})`);
+
+    // A full batch is sampled straight away instead of waiting for its closing time
+    if (batch.totalResponses >= batchSize) {
+      console.log(`📦 Batch ${batch._id} reached ${batchSize} responses, processing automatically...`);
+
+      const Survey = require('../models/Survey');
+      const survey = await Survey.findById(surveyId).select('company');
+      const config = survey ? await QCBatchConfig.getActiveConfig(surveyId, survey.company) : null;
+
+      if (config) {
+        const { processBatch } = require('../jobs/qcBatchProcessor');
+        await processBatch(batch, config);
+        console.log(`✅ Batch ${batch._id} processed automatically at ${batchSize} responses`);
+      } else {
+        console.warn(`⚠️  No config found for survey ${surveyId}, batch will be processed later`);
       }
     }
-    
+
     return batch;
   } catch (error) {
     console.error('Error adding response to batch:', error);
@@ -158,9 +250,9 @@ const addResponseToBatch = async (responseId, surveyId, interviewerId) => {
 };
 
 module.exports = {
+  IST_OFFSET_MS,
+  getBatchingSettings,
+  computeBatchClosesAt,
   getOrCreateBatch,
   addResponseToBatch
 };
-
-
-
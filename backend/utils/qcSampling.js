@@ -0,0 +1,212 @@
+const { extractACFromResponse } = require('./respondentInfoUtils');
+
+/**
+ * QC sample selection
+ *
+ * Picks which responses of a closed QC batch go to reviewers. Strategies (QCBatchConfig
+ * sampling.strategy):
+ *   random          - simple random sample
+ *   stratified_ac   - the sample is split across assembly constituencies in proportion to their
+ *                     share of the batch, so a small AC is not missed by chance
+ *   stratified_time - the same across time-of-day bands (when the interview started, IST)
+ *   risk_weighted   - weighted sampling without replacement; riskier interviews are more likely to
+ *                     be picked (by their risk score, utils/responseRiskScore.js, or for unscored
+ *                     responses by quick signals: very short, missing audio or GPS, many skips)
+ * Every strategy returns exactly sampleSize responses.
+ */
+
+const SAMPLING_STRATEGIES = ['random', 'stratified_ac', 'stratified_time', 'risk_weighted'];
+
+// Fields selectSample reads from each response
+const SAMPLING_FIELDS = 'responses selectedAC selectedPollingStation startTime createdAt totalTimeSpent interviewMode audioRecording location totalQuestions skippedQuestions qualityMetrics riskScore';
+
+// India has no daylight saving
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+const TIME_OF_DAY_BANDS = [
+  { key: 'night', from: 0, to: 6 },
+  { key: 'morning', from: 6, to: 12 },
+  { key: 'afternoon', from: 12, to: 17 },
+  { key: 'evening', from: 17, to: 24 }
+];
+
+const shuffle = (items, random) => {
+  const result = [...items];
+  for (let i = result.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [result[i], result[j]] = [result[j], result[i]];
+  }
+  return result;
+};
+
+const getTimeOfDayBand = (date) => {
+  const hour = new Date(new Date(date).getTime() + IST_OFFSET_MS).getUTCHours();
+  return TIME_OF_DAY_BANDS.find(band => hour >= band.from && hour < band.to).key;
+};
+
+const median = (values) => {
+  const sorted = values.filter(value => Number.isFinite(value) && value > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Sampling weight of a response: 1 plus a point per 20 points of risk score, or for an unscored
+ * response 1 plus a point per risk signal
+ * @param {Object} response
+ * @param {Object} context - { medianDuration } of the batch
+ * @returns {{weight: Number, signals: Array<String>}}
+ */
+const getSamplingRisk = (response, { medianDuration = 0 } = {}) => {
+  if (typeof response.riskScore?.score === 'number') {
+    return {
+      weight: 1 + response.riskScore.score / 20,
+      signals: (response.riskScore.factors || []).map(factor => factor.key)
+    };
+  }
+
+  const signals = [];
+  const duration = response.totalTimeSpent || 0;
+  if (medianDuration > 0 && duration > 0) {
+    if (duration < medianDuration * 0.5) signals.push('very_short', 'short');
+    else if (duration < medianDuration * 0.75) signals.push('short');
+  }
+
+  if (String(response.interviewMode || '').toLowerCase() === 'capi') {
+    const audio = response.audioRecording || {};
+    if (!audio.hasAudio || audio.uploadStatus === 'incomplete') signals.push('no_audio');
+    if (response.location?.latitude === undefined || response.location?.latitude === null) signals.push('no_gps');
+  }
+
+  if (response.totalQuestions > 0 && (response.skippedQuestions || 0) / response.totalQuestions > 0.2) {
+    signals.push('many_skips');
+  }
+  const qualityScore = response.qualityMetrics?.dataQualityScore;
+  if (qualityScore !== undefined && qualityScore !== null && qualityScore < 50) {
+    signals.push('low_quality_score');
+  }
+
+  return { weight: 1 + signals.length, signals };
+};
+
+/**
+ * Split sampleSize across strata in proportion to their sizes (largest remainder). Every stratum
+ * gets at least one when the sample is large enough to cover them all.
+ * @param {Array<{key: String, size: Number}>} strata
+ * @param {Number} sampleSize
+ * @returns {Map<String, Number>}
+ */
+const allocateProportionally = (strata, sampleSize) => {
+  const total = strata.reduce((sum, stratum) => sum + stratum.size, 0);
+  const allocation = new Map();
+  if (total === 0) return allocation;
+
+  const minimum = sampleSize >= strata.length ? 1 : 0;
+  const shares = strata.map(stratum => {
+    const exact = (stratum.size / total) * sampleSize;
+    const count = Math.min(stratum.size, Math.max(minimum, Math.floor(exact)));
+    return { key: stratum.key, size: stratum.size, count, remainder: exact - Math.floor(exact) };
+  });
+
+  let allocated = shares.reduce((sum, share) => sum + share.count, 0);
+  // Hand out what is left by largest remainder, then take back any excess from the largest strata
+  const byRemainder = [...shares].sort((a, b) => b.remainder - a.remainder || b.size - a.size);
+  for (let i = 0; allocated < sampleSize && i < byRemainder.length * 2; i++) {
+    const share = byRemainder[i % byRemainder.length];
+    if (share.count < share.size) {
+      share.count++;
+      allocated++;
+    }
+  }
+  const bySize = [...shares].sort((a, b) => b.count - a.count);
+  for (let i = 0; allocated > sampleSize && i < bySize.length * 2; i++) {
+    const share = bySize[i % bySize.length];
+    if (share.count > minimum) {
+      share.count--;
+      allocated--;
+    }
+  }
+
+  shares.forEach(share => allocation.set(share.key, share.count));
+  return allocation;
+};
+
+/**
+ * Pick a batch's QC sample
+ * @param {Array<Object>} responses - Responses of the batch (with SAMPLING_FIELDS)
+ * @param {Number} sampleSize
+ * @param {String} strategy - One of SAMPLING_STRATEGIES
+ * @param {Object} [options] - { random } for a seeded generator
+ * @returns {{sample: Array<Object>, remaining: Array<Object>, strata: Array<{key, total, sampled}>}}
+ */
+const selectSample = (responses, sampleSize, strategy = 'random', { random = Math.random } = {}) => {
+  const size = Math.max(0, Math.min(sampleSize, responses.length));
+
+  if (strategy === 'stratified_ac' || strategy === 'stratified_time') {
+    const groups = new Map();
+    responses.forEach(response => {
+      const key = strategy === 'stratified_ac'
+        ? (extractACFromResponse(response.responses || [], response) || 'Unknown')
+        : getTimeOfDayBand(response.startTime || response.createdAt);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(response);
+    });
+
+    const allocation = allocateProportionally(
+      [...groups.entries()].map(([key, members]) => ({ key, size: members.length })),
+      size
+    );
+    const sample = [];
+    const remaining = [];
+    const strata = [];
+    groups.forEach((members, key) => {
+      const shuffled = shuffle(members, random);
+      const count = allocation.get(key) || 0;
+      sample.push(...shuffled.slice(0, count));
+      remaining.push(...shuffled.slice(count));
+      strata.push({ key, total: members.length, sampled: count });
+    });
+    return { sample, remaining, strata };
+  }
+
+  if (strategy === 'risk_weighted') {
+    const medianDuration = median(responses.map(response => response.totalTimeSpent));
+    // Efraimidis-Spirakis: the largest random() ^ (1 / weight) keys form a weighted sample
+    const keyed = responses.map(response => {
+      const { weight, signals } = getSamplingRisk(response, { medianDuration });
+      return { response, signals, key: Math.pow(random(), 1 / weight) };
+    }).sort((a, b) => b.key - a.key);
+
+    const picked = keyed.slice(0, size);
+    const counts = new Map();
+    keyed.forEach((entry, index) => {
+      const key = entry.signals.length > 0 ? 'flagged' : 'no_signals';
+      const count = counts.get(key) || { total: 0, sampled: 0 };
+      count.total++;
+      if (index < size) count.sampled++;
+      counts.set(key, count);
+    });
+    return {
+      sample: picked.map(entry => entry.response),
+      remaining: keyed.slice(size).map(entry => entry.response),
+      strata: [...counts.entries()].map(([key, count]) => ({ key, ...count }))
+    };
+  }
+
+  const shuffled = shuffle(responses, random);
+  return {
+    sample: shuffled.slice(0, size),
+    remaining: shuffled.slice(size),
+    strata: []
+  };
+};
+
+module.exports = {
+  SAMPLING_STRATEGIES,
+  SAMPLING_FIELDS,
+  getTimeOfDayBand,
+  getSamplingRisk,
+  allocateProportionally,
+  selectSample
+};
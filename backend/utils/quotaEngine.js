@@ -0,0 +1,564 @@
+const SurveyResponse = require('../models/SurveyResponse');
+const { getMainText, findGenderResponse, normalizeGenderResponse } = require('./genderUtils');
+const { extractACFromResponse } = require('./respondentInfoUtils');
+const { getDistrictFromAC } = require('./acDataHelper');
+
+/**
+ * Quota engine
+ *
+ * A survey's quotas are a set of dimensions (gender, AC, or any question) whose answers are
+ * grouped into bands, and a set of cells, each a combination of bands with a target count:
+ *
+ *   dimensions: [{ key: 'gender', source: 'gender', bands: [{ key: 'female', values: ['female'] }, ...] },
+ *                { key: 'age', source: 'question', questionId: 'q_age', bands: [{ key: '18-25', min: 18, max: 25 }, ...] }]
+ *   cells:      [{ key: 'female|18-25', criteria: { gender: 'female', age: '18-25' }, target: 120 }, ...]
+ *
+ * A cell's criteria may leave dimensions out (a gender-only cell alongside AC-only cells), so a
+ * respondent can fall in several cells. Completed responses store the cells they fall in
+ * (quota.cells); a response completed after one of its cells was already full is kept but marked
+ * overQuota and does not count. Quotas only apply while targetAudience.quotaManagement is on.
+ */
+
+// Response statuses that count towards a cell's target (rejected and terminated responses free up room)
+const QUOTA_COUNTED_STATUSES = ['Pending_Approval', 'Approved', 'completed'];
+const DIMENSION_SOURCES = ['gender', 'ac', 'district', 'question'];
+const FULL_CELL_ACTIONS = ['screen_out', 'terminate'];
+const MAX_QUOTA_CELLS = 2000;
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const normalizeText = (value) => getMainText(String(value ?? '')).toLowerCase().trim();
+
+const isQuotaEnabled = (survey) => !!(survey?.targetAudience?.quotaManagement && survey.quotas?.cells?.length);
+
+const toPlain = (value) => (value && value.toObject ? value.toObject() : value);
+
+/**
+ * Raw answer(s) for a dimension, before banding
+ * @returns {Array|null} Normalised values, or null if the respondent has not answered yet
+ */
+const getDimensionValues = (dimension, responses, context = {}) => {
+  if (dimension.source === 'gender') {
+    const genderResponse = findGenderResponse(responses, context.survey);
+    if (!genderResponse || genderResponse.response === undefined || genderResponse.response === null || genderResponse.response === '') {
+      return null;
+    }
+    return [normalizeGenderResponse(genderResponse.response)];
+  }
+
+  if (dimension.source === 'ac') {
+    const ac = extractACFromResponse(responses, context, context.survey);
+    return ac ? [normalizeText(ac)] : null;
+  }
+
+  if (dimension.source === 'district') {
+    const ac = extractACFromResponse(responses, context, context.survey);
+    const district = context.selectedPollingStation?.district || (ac ? getDistrictFromAC(ac) : null);
+    return district ? [normalizeText(district)] : null;
+  }
+
+  const answer = (responses || []).find(r => r.questionId === dimension.questionId);
+  if (!answer || answer.isSkipped) return null;
+  const raw = Array.isArray(answer.response) ? answer.response : [answer.response];
+  const values = raw
+    .map(value => (value && typeof value === 'object' ? value.value ?? value.text : value))
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(normalizeText);
+  return values.length > 0 ? values : null;
+};
+
+const bandMatches = (band, values) => {
+  const hasRange = (band.min !== undefined && band.min !== null) || (band.max !== undefined && band.max !== null);
+  if (hasRange) {
+    return values.some(value => {
+      const number = Number(value);
+      if (!Number.isFinite(number)) return false;
+      if (band.min !== undefined && band.min !== null && number < band.min) return false;
+      if (band.max !== undefined && band.max !== null && number > band.max) return false;
+      return true;
+    });
+  }
+  const accepted = (band.values || []).map(normalizeText);
+  return values.some(value => accepted.includes(value));
+};
+
+/**
+ * Place a respondent in a band of every dimension they have answered
+ * @param {Array} dimensions - Banded dimensions (quotas, or weighting margins)
+ * @param {Array} responses - Response entries ({ questionId, questionText, response })
+ * @param {Object} context - { survey, selectedAC, selectedPollingStation }
+ * @returns {Object} dimensionKey -> band key, or null when the answer fits no band; unanswered dimensions are absent
+ */
+const resolveDimensionBands = (dimensions, responses, context = {}) => {
+  const bands = {};
+  (dimensions || []).forEach(dimension => {
+    const values = getDimensionValues(dimension, responses, context);
+    if (values === null) return;
+    const band = (dimension.bands || []).find(candidate => bandMatches(candidate, values));
+    bands[dimension.key] = band ? band.key : null;
+  });
+  return bands;
+};
+
+const resolveQuotaBands = (survey, responses, context = {}) =>
+  resolveDimensionBands(survey.quotas?.dimensions, responses, { ...context, survey });
+
+/**
+ * Cells a respondent falls in so far
+ * @returns {{matched: Array, undecided: Array, bands: Object}} undecided cells still depend on unanswered dimensions
+ */
+const matchQuotaCells = (survey, responses, context = {}) => {
+  const bands = resolveQuotaBands(survey, responses, context);
+  const matched = [];
+  const undecided = [];
+
+  (survey.quotas?.cells || []).forEach(cell => {
+    const criteria = Object.entries(toPlain(cell.criteria) || {});
+    if (criteria.length === 0) return;
+    let pending = false;
+    const fits = criteria.every(([dimensionKey, bandKey]) => {
+      if (!(dimensionKey in bands)) {
+        pending = true;
+        return true;
+      }
+      return bands[dimensionKey] === bandKey;
+    });
+    if (!fits) return;
+    (pending ? undecided : matched).push(cell);
+  });
+
+  return { matched, undecided, bands };
+};
+
+/**
+ * Counted responses per cell
+ * @param {ObjectId} surveyId
+ * @param {Object} options - { excludeResponseId }
+ * @returns {Promise<Map<String, Number>>}
+ */
+const getQuotaCounts = async (surveyId, { excludeResponseId } = {}) => {
+  const match = {
+    survey: surveyId,
+    status: { $in: QUOTA_COUNTED_STATUSES },
+    'quota.cells.0': { $exists: true },
+    'quota.overQuota': { $ne: true }
+  };
+  if (excludeResponseId) {
+    match._id = { $ne: excludeResponseId };
+  }
+
+  const rows = await SurveyResponse.aggregate([
+    { $match: match },
+    { $unwind: '$quota.cells' },
+    { $group: { _id: '$quota.cells', count: { $sum: 1 } } }
+  ]);
+  return new Map(rows.map(row => [row._id, row.count]));
+};
+
+const describeCell = (cell, counts) => {
+  const achieved = counts.get(cell.key) || 0;
+  return {
+    key: cell.key,
+    label: cell.label || cell.key,
+    criteria: toPlain(cell.criteria),
+    target: cell.target,
+    achieved,
+    remaining: Math.max(0, cell.target - achieved),
+    isFull: achieved >= cell.target
+  };
+};
+
+/**
+ * Check a respondent against the quotas while the interview is running
+ * @param {Object} survey
+ * @param {Array} responses
+ * @param {Object} context - { selectedAC, selectedPollingStation }
+ * @returns {Promise<Object>} { enabled, isFull, action, cells, fullCells, bands }
+ */
+const evaluateQuota = async (survey, responses, context = {}) => {
+  if (!isQuotaEnabled(survey)) {
+    return { enabled: false, isFull: false, action: null, cells: [], fullCells: [], bands: {} };
+  }
+
+  const { matched, bands } = matchQuotaCells(survey, responses, context);
+  const counts = matched.length > 0 ? await getQuotaCounts(survey._id) : new Map();
+  const cells = matched.map(cell => describeCell(cell, counts));
+  const fullCells = cells.filter(cell => cell.isFull);
+
+  return {
+    enabled: true,
+    isFull: fullCells.length > 0,
+    action: survey.quotas.fullCellAction || 'screen_out',
+    cells,
+    fullCells,
+    bands
+  };
+};
+
+/**
+ * Record a completed response's cells before it is saved. A response whose cell filled up while
+ * the interview ran (or that was captured offline) is kept but marked overQuota.
+ * @param {Object} surveyResponse - SurveyResponse document
+ * @param {Object} survey
+ * @returns {Promise<Object|null>} The quota block set on the response, null when quotas are off
+ */
+const applyQuotaToResponse = async (surveyResponse, survey) => {
+  if (!isQuotaEnabled(survey)) return null;
+
+  const { matched } = matchQuotaCells(survey, surveyResponse.responses, {
+    selectedAC: surveyResponse.selectedAC,
+    selectedPollingStation: surveyResponse.selectedPollingStation
+  });
+  const counts = matched.length > 0
+    ? await getQuotaCounts(survey._id, { excludeResponseId: surveyResponse._id })
+    : new Map();
+  const fullCells = matched.filter(cell => (counts.get(cell.key) || 0) >= cell.target);
+
+  surveyResponse.quota = {
+    cells: matched.map(cell => cell.key),
+    overQuota: fullCells.length > 0,
+    fullCells: fullCells.map(cell => cell.key),
+    configVersion: survey.quotas.version || 0,
+    evaluatedAt: new Date()
+  };
+  return surveyResponse.quota;
+};
+
+/**
+ * applyQuotaToResponse for the completion paths (CAPI, CATI, offline sync): a quota failure is
+ * logged and never stops the response being saved
+ * @param {Object} surveyResponse - SurveyResponse document
+ * @param {Object} survey
+ * @returns {Promise<Object|null>}
+ */
+const assignQuotaCells = async (surveyResponse, survey) => {
+  try {
+    const quota = await applyQuotaToResponse(surveyResponse, survey);
+    if (quota?.overQuota) {
+      console.log(`📊 Response ${surveyResponse.responseId} is over quota (full: ${quota.fullCells.join(', ')})`);
+    }
+    return quota;
+  } catch (quotaError) {
+    console.error('Error assigning quota cells:', quotaError);
+    return null;
+  }
+};
+
+/**
+ * Re-place every response after the quota configuration changed. Responses are replayed in
+ * completion order so overQuota is what it would have been had the new cells applied throughout.
+ * @param {Object} survey
+ * @returns {Promise<{processed: Number, placed: Number, overQuota: Number}>}
+ */
+const recomputeSurveyQuotas = async (survey) => {
+  const summary = { processed: 0, placed: 0, overQuota: 0 };
+  const enabled = isQuotaEnabled(survey);
+  const counts = new Map();
+  const cellsByKey = new Map((survey.quotas?.cells || []).map(cell => [cell.key, cell]));
+  let operations = [];
+
+  const flush = async () => {
+    if (operations.length === 0) return;
+    await SurveyResponse.bulkWrite(operations, { ordered: false });
+    operations = [];
+  };
+
+  const cursor = SurveyResponse.find({
+    survey: survey._id,
+    status: { $in: [...QUOTA_COUNTED_STATUSES, 'Rejected'] }
+  })
+    .select('responses selectedAC selectedPollingStation status createdAt')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor();
+
+  for await (const response of cursor) {
+    summary.processed++;
+    let quota = null;
+
+    if (enabled) {
+      const { matched } = matchQuotaCells(survey, response.responses, {
+        selectedAC: response.selectedAC,
+        selectedPollingStation: response.selectedPollingStation
+      });
+      const keys = matched.map(cell => cell.key);
+      const counted = QUOTA_COUNTED_STATUSES.includes(response.status);
+      const fullCells = counted
+        ? keys.filter(key => (counts.get(key) || 0) >= cellsByKey.get(key).target)
+        : [];
+      if (counted && fullCells.length === 0) {
+        keys.forEach(key => counts.set(key, (counts.get(key) || 0) + 1));
+      }
+      if (keys.length > 0) summary.placed++;
+      if (fullCells.length > 0) summary.overQuota++;
+
+      quota = {
+        cells: keys,
+        overQuota: fullCells.length > 0,
+        fullCells,
+        configVersion: survey.quotas.version || 0,
+        evaluatedAt: new Date()
+      };
+    }
+
+    operations.push({
+      updateOne: {
+        filter: { _id: response._id },
+        update: quota ? { $set: { quota } } : { $unset: { quota: '' } }
+      }
+    });
+    if (operations.length >= 500) {
+      await flush();
+    }
+  }
+  await flush();
+
+  return summary;
+};
+
+/**
+ * Achieved vs target for every cell, for the quota dashboard
+ * @param {Object} survey
+ * @returns {Promise<Object>}
+ */
+const buildQuotaReport = async (survey) => {
+  const cells = survey.quotas?.cells || [];
+  const [counts, overQuotaRows] = await Promise.all([
+    getQuotaCounts(survey._id),
+    SurveyResponse.aggregate([
+      { $match: { survey: survey._id, status: { $in: QUOTA_COUNTED_STATUSES }, 'quota.overQuota': true } },
+      { $unwind: '$quota.fullCells' },
+      { $group: { _id: '$quota.fullCells', count: { $sum: 1 } } }
+    ])
+  ]);
+  const overQuota = new Map(overQuotaRows.map(row => [row._id, row.count]));
+
+  const rows = cells.map(cell => ({
+    ...describeCell(cell, counts),
+    overQuota: overQuota.get(cell.key) || 0
+  }));
+  const totalTarget = rows.reduce((sum, row) => sum + row.target, 0);
+  const totalAchieved = rows.reduce((sum, row) => sum + Math.min(row.achieved, row.target), 0);
+
+  return {
+    enabled: isQuotaEnabled(survey),
+    fullCellAction: survey.quotas?.fullCellAction || 'screen_out',
+    version: survey.quotas?.version || 0,
+    dimensions: (survey.quotas?.dimensions || []).map(toPlain),
+    cells: rows,
+    summary: {
+      cells: rows.length,
+      fullCells: rows.filter(row => row.isFull).length,
+      totalTarget,
+      totalAchieved,
+      completion: totalTarget > 0 ? Math.round((totalAchieved / totalTarget) * 1000) / 10 : 0
+    }
+  };
+};
+
+/**
+ * Count a survey's counted responses by the answer to one dimension (banded when the dimension
+ * has bands, raw normalised value otherwise)
+ * @param {Object} survey
+ * @param {Object} dimension - { key, source, questionId, bands }
+ * @returns {Promise<Object>} value -> count
+ */
+const countResponsesByDimension = async (survey, dimension) => {
+  const counts = {};
+  const cursor = SurveyResponse.find({
+    survey: survey._id,
+    status: { $in: QUOTA_COUNTED_STATUSES }
+  })
+    .select('responses selectedAC selectedPollingStation')
+    .lean()
+    .cursor();
+
+  for await (const response of cursor) {
+    const values = getDimensionValues(dimension, response.responses, {
+      survey,
+      selectedAC: response.selectedAC,
+      selectedPollingStation: response.selectedPollingStation
+    });
+    if (!values) continue;
+
+    let key = values[0];
+    if (dimension.bands && dimension.bands.length > 0) {
+      const band = dimension.bands.find(candidate => bandMatches(candidate, values));
+      if (!band) continue;
+      key = band.key;
+    }
+    counts[key] = (counts[key] || 0) + 1;
+  }
+  return counts;
+};
+
+/**
+ * Validate banded dimensions from the API (shared by quotas and weighting)
+ * @param {Array} dimensions
+ * @param {Object} survey - for checking question references
+ * @param {Array<String>} errors - Problems are appended here
+ * @returns {{dimensions: Array, bandsByDimension: Map<String, Set<String>>}}
+ */
+const validateDimensions = (dimensions, survey, errors) => {
+  const questionIds = new Set();
+  (survey?.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => questionIds.add(question.id));
+  });
+  (survey?.questions || []).forEach(question => questionIds.add(question.id));
+
+  const bandsByDimension = new Map();
+  const validDimensions = dimensions.map((dimension, index) => {
+    const label = `Dimension ${index + 1}`;
+    if (!KEY_PATTERN.test(dimension.key || '')) {
+      errors.push(`${label}: key must be 1-64 letters, digits, '_' or '-'`);
+    } else if (bandsByDimension.has(dimension.key)) {
+      errors.push(`${label}: duplicate key "${dimension.key}"`);
+    }
+    if (!DIMENSION_SOURCES.includes(dimension.source)) {
+      errors.push(`${label}: source must be one of: ${DIMENSION_SOURCES.join(', ')}`);
+    }
+    if (dimension.source === 'question') {
+      if (!dimension.questionId) {
+        errors.push(`${label}: questionId is required for question dimensions`);
+      } else if (survey && !questionIds.has(dimension.questionId)) {
+        errors.push(`${label}: question "${dimension.questionId}" is not in this survey`);
+      }
+    }
+
+    const bandKeys = new Set();
+    const bands = (Array.isArray(dimension.bands) ? dimension.bands : []).map((band, bandIndex) => {
+      const bandLabel = `${label}, band ${bandIndex + 1}`;
+      if (!KEY_PATTERN.test(band.key || '')) {
+        errors.push(`${bandLabel}: key must be 1-64 letters, digits, '_' or '-'`);
+      } else if (bandKeys.has(band.key)) {
+        errors.push(`${bandLabel}: duplicate key "${band.key}"`);
+      }
+      bandKeys.add(band.key);
+
+      const min = band.min === '' || band.min === undefined || band.min === null ? undefined : Number(band.min);
+      const max = band.max === '' || band.max === undefined || band.max === null ? undefined : Number(band.max);
+      const values = (Array.isArray(band.values) ? band.values : [])
+        .map(value => String(value).trim())
+        .filter(Boolean);
+      if ((min !== undefined && !Number.isFinite(min)) || (max !== undefined && !Number.isFinite(max))) {
+        errors.push(`${bandLabel}: min and max must be numbers`);
+      } else if (min !== undefined && max !== undefined && min > max) {
+        errors.push(`${bandLabel}: min cannot be greater than max`);
+      }
+      if (min === undefined && max === undefined && values.length === 0) {
+        errors.push(`${bandLabel}: needs answer values or a min/max range`);
+      }
+
+      return {
+        key: band.key,
+        label: band.label || band.key,
+        values: values.length > 0 ? values : undefined,
+        min,
+        max
+      };
+    });
+    if (bands.length === 0) {
+      errors.push(`${label}: at least one band is required`);
+    }
+    bandsByDimension.set(dimension.key, bandKeys);
+
+    return {
+      key: dimension.key,
+      label: dimension.label || dimension.key,
+      source: dimension.source,
+      questionId: dimension.source === 'question' ? dimension.questionId : undefined,
+      bands
+    };
+  });
+
+  return { dimensions: validDimensions, bandsByDimension };
+};
+
+/**
+ * Validate a quota configuration from the API
+ * @param {Object} config - { fullCellAction, dimensions, cells }
+ * @param {Object} survey - for checking question references
+ * @returns {{quotas: Object, errors: Array<String>}}
+ */
+const validateQuotaConfig = (config = {}, survey = null) => {
+  const errors = [];
+  const dimensions = Array.isArray(config.dimensions) ? config.dimensions : [];
+  const cells = Array.isArray(config.cells) ? config.cells : [];
+  const fullCellAction = config.fullCellAction || 'screen_out';
+
+  if (!FULL_CELL_ACTIONS.includes(fullCellAction)) {
+    errors.push(`fullCellAction must be one of: ${FULL_CELL_ACTIONS.join(', ')}`);
+  }
+
+  const { dimensions: validDimensions, bandsByDimension } = validateDimensions(dimensions, survey, errors);
+
+  if (cells.length > MAX_QUOTA_CELLS) {
+    errors.push(`At most ${MAX_QUOTA_CELLS} quota cells are allowed`);
+  }
+
+  const cellKeys = new Set();
+  const validCells = cells.slice(0, MAX_QUOTA_CELLS).map((cell, index) => {
+    const criteria = toPlain(cell.criteria) || {};
+    const entries = Object.entries(criteria).filter(([, bandKey]) => bandKey !== undefined && bandKey !== null && bandKey !== '');
+    const key = cell.key || entries.map(([, bandKey]) => bandKey).join('|');
+    const label = `Cell ${index + 1}`;
+
+    if (entries.length === 0) {
+      errors.push(`${label}: select at least one band`);
+    }
+    entries.forEach(([dimensionKey, bandKey]) => {
+      const bandKeys = bandsByDimension.get(dimensionKey);
+      if (!bandKeys) {
+        errors.push(`${label}: unknown dimension "${dimensionKey}"`);
+      } else if (!bandKeys.has(bandKey)) {
+        errors.push(`${label}: dimension "${dimensionKey}" has no band "${bandKey}"`);
+      }
+    });
+    if (!key || key.length > 200) {
+      errors.push(`${label}: key is required (at most 200 characters)`);
+    } else if (cellKeys.has(key)) {
+      errors.push(`${label}: duplicate cell "${key}"`);
+    }
+    cellKeys.add(key);
+
+    const target = Number(cell.target);
+    if (!Number.isInteger(target) || target < 0) {
+      errors.push(`${label}: target must be a whole number of 0 or more`);
+    }
+
+    return {
+      key,
+      label: cell.label || key,
+      criteria: Object.fromEntries(entries),
+      target
+    };
+  });
+
+  return {
+    quotas: {
+      fullCellAction,
+      dimensions: validDimensions,
+      cells: validCells
+    },
+    errors
+  };
+};
+
+module.exports = {
+  QUOTA_COUNTED_STATUSES,
+  DIMENSION_SOURCES,
+  FULL_CELL_ACTIONS,
+  isQuotaEnabled,
+  resolveDimensionBands,
+  resolveQuotaBands,
+  matchQuotaCells,
+  getQuotaCounts,
+  evaluateQuota,
+  applyQuotaToResponse,
+  assignQuotaCells,
+  recomputeSurveyQuotas,
+  buildQuotaReport,
+  countResponsesByDimension,
+  validateDimensions,
+  validateQuotaConfig
+};
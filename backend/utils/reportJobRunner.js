@@ -0,0 +1,664 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const mongoose = require('mongoose');
+const XLSX = require('xlsx');
+const ReportJob = require('../models/ReportJob');
+const Survey = require('../models/Survey');
+const SurveyResponse = require('../models/SurveyResponse');
+const { getMainText, findGenderResponse, normalizeGenderResponse } = require('./genderUtils');
+const { extractACFromResponse } = require('./respondentInfoUtils');
+const { getACDetails } = require('./acDataHelper');
+
+/**
+ * Report job runner
+ *
+ * Generates a survey report from live data. A job (models/ReportJob.js) goes through:
+ *   exporting  - responses matching the survey, date window and filters are read from MongoDB
+ *                into a data snapshot: an XLSX in the layout utils/report-generation reads
+ *                ('Survey Date', 'Data Type', 'Gender', 'District Name', 'Region Name', one column per
+ *                question headed "<n>. <question text>" holding the answer codes, and the weight columns
+ *                the generator normalizes vote shares with - see WEIGHT_PERIODS). Each response's
+ *                answers are coded against the survey version it was collected against.
+ *   generating - generate_complete_report.py runs on the snapshot; its "Updated Slide" lines drive
+ *                the progress
+ *   audit      - calculation_audit_trail.py runs on the same snapshot (optional)
+ *   storing    - files are checksummed and uploaded to S3 when it is configured
+ * The snapshot XLSX is kept with the report, together with the MongoDB query and a digest of the
+ * responses read, so a report can be reproduced or checked against today's data.
+ *
+ * Jobs run on the background job queue ('reports.generate', see jobs/registerJobs.js), which
+ * starts them again on another instance if their server dies. Cancelling sets cancelRequested;
+ * the runner checks it between export batches and while the generator runs, and stops the
+ * generator process it started.
+ */
+
+const REPORT_UTILS_DIR = path.join(__dirname, 'report-generation');
+const TEMPLATE_PPT_PATH = path.join(REPORT_UTILS_DIR, 'template.pptx');
+const REPORT_OUTPUT_DIR = path.join(__dirname, '../../uploads/reports/output');
+
+// Reports are built from approved responses unless the request asks for others
+const DEFAULT_REPORT_STATUSES = ['Approved'];
+const REPORT_STATUSES = ['Approved', 'Pending_Approval', 'Rejected'];
+const EXPORT_BATCH_SIZE = 500;
+const CANCEL_POLL_MS = 2000;
+const GENERATOR_TIMEOUT_MS = 2 * 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  pptx: 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  audit: 'text/plain'
+};
+
+// Generator processes this server started, by job id
+const runningProcesses = new Map();
+
+const CANCELLED = 'Cancelled by user';
+
+// Weight columns in the snapshot: the survey's raked weights (utils/weightingEngine.js) over the
+// whole window and over its last 7 and 15 days. The generator reads them at Region level, for
+// shares over all respondents, and at District level, for shares within one district: district
+// weights rake each district's respondents to the survey's margins on their own.
+const WEIGHT_PERIODS = [
+  { period: 'Overall', days: null },
+  { period: 'L7D', days: 7 },
+  { period: 'L15D', days: 15 }
+];
+
+const isACOrPollingStationQuestion = (question) => {
+  if (question.id === 'ac-selection' || question.type === 'polling_station') return true;
+  const text = String(question.text || '').toLowerCase();
+  return text.includes('select assembly constituency') || text.includes('select polling station');
+};
+
+// Questions of a questionnaire (Survey, or SurveyVersion.snapshot), in report order
+const getQuestionnaireQuestions = (questionnaire) => [
+  ...(questionnaire.sections || []).flatMap(section => section.questions || []),
+  ...(questionnaire.questions || [])
+]
+  .filter(question => !isACOrPollingStationQuestion(question))
+  .sort((a, b) => (a.order ?? 9999) - (b.order ?? 9999));
+
+/**
+ * Questionnaires of the survey versions a job's responses were collected against
+ * @returns {Promise<Map<Number, {questionnaire: Object, questionsById: Map}>>} By version number
+ */
+const loadResponseVersions = async (surveyId, query) => {
+  const SurveyVersion = require('../models/SurveyVersion');
+  const numbers = (await SurveyResponse.distinct('surveyVersion', query)).filter(version => version > 0);
+  if (numbers.length === 0) return new Map();
+
+  const records = await SurveyVersion.find({ survey: surveyId, version: { $in: numbers } })
+    .select('version snapshot')
+    .lean();
+  return new Map(records.map(record => [record.version, {
+    questionnaire: record.snapshot,
+    questionsById: new Map(getQuestionnaireQuestions(record.snapshot).map(question => [question.id, question]))
+  }]));
+};
+
+/**
+ * Questions as report columns, in questionnaire order, numbered like the responses export. Questions
+ * that only older versions have come last, headed with the text of the newest version that has them.
+ * @param {Object} survey
+ * @param {Map} [versions] - From loadResponseVersions
+ * @returns {Array<{question: Object, header: String}>}
+ */
+const getReportColumns = (survey, versions = new Map()) => {
+  const columns = getQuestionnaireQuestions(survey).map(question => ({ question, questionnaire: survey }));
+
+  const seen = new Set(columns.map(column => column.question.id));
+  [...versions.keys()].sort((a, b) => b - a).forEach(number => {
+    const { questionnaire } = versions.get(number);
+    getQuestionnaireQuestions(questionnaire).forEach(question => {
+      if (seen.has(question.id)) return;
+      seen.add(question.id);
+      columns.push({ question, questionnaire });
+    });
+  });
+
+  return columns.map(({ question, questionnaire }, index) => ({
+    question,
+    header: `${index + 1}. ${getMainText(question.text || '', questionnaire).trim()}`
+  }));
+};
+
+/**
+ * Answer as the generator expects it: the option code for choice questions (1-based option
+ * position when the option has no code), the answer text otherwise
+ */
+const toAnswerCell = (question, answer, survey) => {
+  if (!answer || answer.isSkipped) return '';
+  const raw = Array.isArray(answer.response) ? answer.response : [answer.response];
+  const cells = raw
+    .map(value => (value && typeof value === 'object' ? value.value ?? value.text : value))
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => {
+      const options = question.options || [];
+      const index = options.findIndex(option =>
+        String(option.value) === String(value) ||
+        getMainText(String(option.text || ''), survey).toLowerCase() === getMainText(String(value), survey).toLowerCase()
+      );
+      if (index === -1) return getMainText(String(value), survey);
+      const code = options[index].code;
+      const numeric = Number(code ?? index + 1);
+      return Number.isFinite(numeric) ? numeric : code;
+    });
+  if (cells.length === 0) return '';
+  return cells.length === 1 ? cells[0] : cells.join(', ');
+};
+
+// 'Gender' and 'Data Type' are coded the way the generator counts them
+const toGenderCode = (responses, survey) => {
+  const genderResponse = findGenderResponse(responses, survey);
+  const gender = genderResponse ? normalizeGenderResponse(genderResponse.response) : '';
+  if (gender === 'male') return 1;
+  if (gender === 'female') return 2;
+  return gender ? 3 : '';
+};
+
+const toDataTypeCode = (interviewMode) => {
+  const mode = String(interviewMode || '').toLowerCase();
+  if (mode === 'capi') return 1;
+  if (mode === 'cati') return 2;
+  return '';
+};
+
+/**
+ * Validate a report request
+ * @param {Object} body - { surveyId, startDate, endDate, referenceDate, statuses, interviewMode, ac, interviewerIds, interviewerMode, includeAuditTrail }
+ * @returns {{params: Object, errors: Array<String>}}
+ */
+const validateReportParams = (body = {}) => {
+  const errors = [];
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(String(value || ''));
+
+  if (!body.surveyId || !mongoose.Types.ObjectId.isValid(body.surveyId)) {
+    errors.push('surveyId is required');
+  }
+  if (!isDay(body.startDate) || !isDay(body.endDate)) {
+    errors.push('startDate and endDate are required (YYYY-MM-DD)');
+  } else if (body.startDate > body.endDate) {
+    errors.push('startDate cannot be after endDate');
+  }
+  if (body.referenceDate && !isDay(body.referenceDate)) {
+    errors.push('referenceDate must be YYYY-MM-DD');
+  }
+
+  const statuses = Array.isArray(body.statuses) && body.statuses.length > 0 ? body.statuses : DEFAULT_REPORT_STATUSES;
+  if (statuses.some(status => !REPORT_STATUSES.includes(status))) {
+    errors.push(`statuses must be from: ${REPORT_STATUSES.join(', ')}`);
+  }
+
+  const interviewMode = body.interviewMode ? String(body.interviewMode).toLowerCase() : undefined;
+  if (interviewMode && !['capi', 'cati'].includes(interviewMode)) {
+    errors.push('interviewMode must be capi or cati');
+  }
+
+  const interviewerIds = (Array.isArray(body.interviewerIds) ? body.interviewerIds : [])
+    .map(String)
+    .filter(Boolean);
+  if (interviewerIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    errors.push('interviewerIds must be user ids');
+  }
+  const interviewerMode = body.interviewerMode || 'include';
+  if (!['include', 'exclude'].includes(interviewerMode)) {
+    errors.push('interviewerMode must be include or exclude');
+  }
+
+  return {
+    params: {
+      startDate: body.startDate,
+      endDate: body.endDate,
+      // The generator's moving averages end the day before the reference date
+      referenceDate: body.referenceDate || undefined,
+      statuses,
+      interviewMode,
+      ac: body.ac ? String(body.ac).trim() : undefined,
+      interviewerIds: interviewerIds.length > 0 ? interviewerIds : undefined,
+      interviewerMode,
+      includeAuditTrail: body.includeAuditTrail !== false
+    },
+    errors
+  };
+};
+
+/**
+ * MongoDB filter for a job's responses. Days are in the analytics timezone, so createdAt is
+ * widened by a day each side and the export compares day keys.
+ */
+const buildReportQuery = (surveyId, params) => {
+  const day = 24 * 60 * 60 * 1000;
+  const query = {
+    survey: new mongoose.Types.ObjectId(String(surveyId)),
+    status: { $in: params.statuses || DEFAULT_REPORT_STATUSES },
+    createdAt: {
+      $gte: new Date(new Date(`${params.startDate}T00:00:00Z`).getTime() - day),
+      $lte: new Date(new Date(`${params.endDate}T23:59:59.999Z`).getTime() + day)
+    }
+  };
+  if (params.interviewMode) query.interviewMode = params.interviewMode;
+  if (params.interviewerIds && params.interviewerIds.length > 0) {
+    const ids = params.interviewerIds.map(id => new mongoose.Types.ObjectId(id));
+    query.interviewer = params.interviewerMode === 'exclude' ? { $nin: ids } : { $in: ids };
+  }
+  return query;
+};
+
+const sha256File = (filePath) => new Promise((resolve, reject) => {
+  const hash = crypto.createHash('sha256');
+  fs.createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+const updateProgress = (jobId, stage, percent, message) => ReportJob.updateOne(
+  { _id: jobId },
+  { $set: { progress: { stage, percent: Math.max(0, Math.min(100, Math.round(percent))), message }, heartbeatAt: new Date() } }
+);
+
+const isCancelRequested = async (jobId) => {
+  const job = await ReportJob.findById(jobId).select('cancelRequested').lean();
+  return !!job?.cancelRequested;
+};
+
+/**
+ * Region of an AC from the polling station data
+ * @param {String} state - State of the polling station, when the response has one
+ * @param {String} acName
+ * @returns {String} Region name, or '' if the AC is not found
+ */
+const lookupRegion = (state, acName) => {
+  const { loadData, getGroupsForAC } = require('./pollingStationHelper');
+  if (!acName) return '';
+  const states = state ? [state] : Object.keys(loadData() || {});
+  for (const candidate of states) {
+    const acData = getGroupsForAC(candidate, acName);
+    if (acData?.region_name) return acData.region_name;
+  }
+  return '';
+};
+
+/**
+ * Day key `days - 1` days before another, so the window [result, dayKey] spans `days` days
+ */
+const windowStartDay = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() - (days - 1));
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Export a job's responses to the snapshot XLSX. Without a weighting configuration on the survey
+ * the weight columns are left out, so the generator reports raw shares; that is returned as a warning.
+ * @returns {Promise<{responseCount: Number, responseDigest: String, weighted: Boolean, weightingVersion: Number, warnings: Array<String>}>}
+ */
+const exportSnapshot = async (job, survey, query, snapshotPath) => {
+  const { toDayKey } = require('./surveyAnalyticsStore');
+  const { getWeightingPlan, toWeightingUnit, rakeWeights } = require('./weightingEngine');
+  const versions = await loadResponseVersions(survey._id, query);
+  const columns = getReportColumns(survey, versions);
+  const plan = getWeightingPlan(survey);
+  const regions = new Map();
+  const ac = job.params.ac ? job.params.ac.toLowerCase() : null;
+  const total = await SurveyResponse.countDocuments(query);
+
+  const header = [
+    'Response ID', 'Survey Date', 'Interview Mode', 'Data Type', 'Status',
+    'AC Code', 'AC Name', 'PC Name', 'District Name', 'Region Name',
+    'Polling Station Group', 'Polling Station Name', 'Gender',
+    ...columns.map(column => column.header)
+  ];
+  const rows = [header];
+  const units = [];
+  // Raking a district to a margin on districts would change nothing
+  const districtMargins = plan.margins.filter(margin =>
+    !plan.dimensions.some(dimension => dimension.key === margin.key && dimension.source === 'district'));
+  const digestEntries = [];
+
+  let read = 0;
+  const cursor = SurveyResponse.find(query)
+    .select('responseId responses interviewMode status selectedAC selectedPollingStation surveyVersion createdAt updatedAt')
+    .sort({ createdAt: 1 })
+    .lean()
+    .cursor({ batchSize: EXPORT_BATCH_SIZE });
+
+  for await (const response of cursor) {
+    read++;
+    if (read % EXPORT_BATCH_SIZE === 0) {
+      if (await isCancelRequested(job._id)) {
+        await cursor.close();
+        throw new Error(CANCELLED);
+      }
+      await updateProgress(job._id, 'exporting', 5 + (read / Math.max(total, 1)) * 25, `Read ${read} of ${total} responses`);
+    }
+
+    const surveyDate = toDayKey(response.createdAt);
+    if (surveyDate < job.params.startDate || surveyDate > job.params.endDate) continue;
+
+    // Question text and option codes as the respondent saw them; unversioned responses use the survey
+    const version = versions.get(response.surveyVersion);
+    const questionnaire = version ? version.questionnaire : survey;
+
+    const acName = extractACFromResponse(response.responses, response, questionnaire) || '';
+    if (ac && acName.toLowerCase() !== ac) continue;
+    const acDetails = getACDetails(acName) || {};
+    const pollingStation = response.selectedPollingStation || {};
+    const answers = new Map((response.responses || []).map(answer => [answer.questionId, answer]));
+    const regionKey = `${pollingStation.state || ''}|${acName}`;
+    if (!regions.has(regionKey)) regions.set(regionKey, lookupRegion(pollingStation.state, acName));
+    const district = pollingStation.district || acDetails.district || '';
+
+    rows.push([
+      response.responseId || String(response._id),
+      surveyDate,
+      String(response.interviewMode || '').toUpperCase(),
+      toDataTypeCode(response.interviewMode),
+      response.status,
+      pollingStation.acNo || acDetails.acCode || '',
+      acName,
+      pollingStation.pcName || acDetails.lokSabha || '',
+      district,
+      regions.get(regionKey),
+      pollingStation.groupName || '',
+      pollingStation.stationName || '',
+      toGenderCode(response.responses, questionnaire),
+      ...columns.map(column => toAnswerCell(
+        version?.questionsById.get(column.question.id) || column.question,
+        answers.get(column.question.id),
+        questionnaire
+      ))
+    ]);
+    units.push({ ...toWeightingUnit(plan, survey, response), surveyDate, district });
+    digestEntries.push(`${response._id}:${new Date(response.updatedAt || response.createdAt).toISOString()}`);
+  }
+
+  const warnings = [];
+  if (plan.applied) {
+    // Each period is raked on its own respondents; rows outside a period get no weight for it
+    WEIGHT_PERIODS.forEach(({ period, days }) => {
+      const from = days ? windowStartDay(job.params.endDate, days) : null;
+      const indexes = units.map((unit, index) => index).filter(index => !from || units[index].surveyDate >= from);
+      const raking = rakeWeights(indexes.map(index => units[index]), plan.margins, plan.options);
+      raking.warnings.forEach(warning => warnings.push(`${period} weights: ${warning}`));
+
+      const regionCells = new Array(units.length).fill('');
+      indexes.forEach((unitIndex, position) => { regionCells[unitIndex] = raking.weights[position]; });
+
+      const byDistrict = new Map();
+      indexes.forEach(index => {
+        const { district } = units[index];
+        if (!district) return;
+        if (!byDistrict.has(district)) byDistrict.set(district, []);
+        byDistrict.get(district).push(index);
+      });
+      const districtCells = new Array(units.length).fill('');
+      let unconverged = 0;
+      byDistrict.forEach(districtIndexes => {
+        const districtRaking = rakeWeights(districtIndexes.map(index => units[index]), districtMargins, plan.options);
+        if (!districtRaking.converged) unconverged++;
+        districtIndexes.forEach((unitIndex, position) => { districtCells[unitIndex] = districtRaking.weights[position]; });
+      });
+      if (unconverged > 0) {
+        warnings.push(`${period} weights: ${unconverged} of ${byDistrict.size} district(s) could not be raked to the survey's margins`);
+      }
+
+      [['Region', regionCells], ['District', districtCells]].forEach(([level, cells]) => {
+        header.push(`Weight Voteshare ${period} ${level} Level`);
+        cells.forEach((cell, index) => rows[index + 1].push(cell));
+      });
+    });
+  } else {
+    warnings.push(plan.enabled
+      ? 'Weighting is enabled but has no dimensions, so vote shares in this report are unweighted'
+      : 'The survey has no weighting configured, so vote shares in this report are unweighted');
+  }
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Data');
+  XLSX.writeFile(workbook, snapshotPath);
+
+  digestEntries.sort();
+  return {
+    responseCount: rows.length - 1,
+    responseDigest: crypto.createHash('sha256').update(digestEntries.join('\n')).digest('hex'),
+    weighted: plan.applied,
+    weightingVersion: plan.applied ? plan.version : undefined,
+    warnings
+  };
+};
+
+/**
+ * Run one of the report-generation scripts, reporting its output lines, until it exits or the
+ * job is cancelled
+ * @param {ObjectId} jobId
+ * @param {String} script - File in utils/report-generation
+ * @param {Array<String>} args
+ * @param {Function} onLine - Called with each stdout line
+ */
+const runGenerator = (jobId, script, args, onLine) => new Promise((resolve, reject) => {
+  const child = spawn('python3', [path.join(REPORT_UTILS_DIR, script), ...args], { cwd: REPORT_UTILS_DIR });
+  runningProcesses.set(String(jobId), child);
+
+  let stderr = '';
+  let buffered = '';
+  let cancelled = false;
+  child.stdout.on('data', chunk => {
+    buffered += chunk.toString();
+    const lines = buffered.split('\n');
+    buffered = lines.pop();
+    lines.forEach(line => onLine(line));
+  });
+  child.stderr.on('data', chunk => {
+    // Keep the tail only; the scripts can be chatty
+    stderr = (stderr + chunk.toString()).slice(-4000);
+  });
+
+  const timeout = setTimeout(() => child.kill('SIGTERM'), GENERATOR_TIMEOUT_MS);
+  const poll = setInterval(async () => {
+    try {
+      if (await isCancelRequested(jobId)) {
+        cancelled = true;
+        child.kill('SIGTERM');
+      } else {
+        await ReportJob.updateOne({ _id: jobId }, { $set: { heartbeatAt: new Date() } });
+      }
+    } catch (error) {
+      console.error(`❌ Report job ${jobId}: cancel check failed:`, error.message);
+    }
+  }, CANCEL_POLL_MS);
+
+  child.on('error', error => {
+    clearTimeout(timeout);
+    clearInterval(poll);
+    runningProcesses.delete(String(jobId));
+    reject(error);
+  });
+  child.on('close', (code, signal) => {
+    clearTimeout(timeout);
+    clearInterval(poll);
+    runningProcesses.delete(String(jobId));
+    if (cancelled) return reject(new Error(CANCELLED));
+    if (code !== 0) {
+      return reject(new Error(`${script} exited with ${signal || `code ${code}`}: ${stderr.trim().split('\n').slice(-3).join(' ') || 'no output'}`));
+    }
+    resolve();
+  });
+});
+
+/**
+ * Checksum a generated file and upload it to S3 when configured
+ * @returns {Promise<Object>} Entry for job.files
+ */
+const storeFile = async (kind, filePath) => {
+  const { uploadToS3, isS3Configured, generateReportKey } = require('./cloudStorage');
+  const fileName = path.basename(filePath);
+  const file = {
+    kind,
+    fileName,
+    size: fs.statSync(filePath).size,
+    checksum: await sha256File(filePath)
+  };
+
+  if (isS3Configured()) {
+    try {
+      const uploadResult = await uploadToS3(filePath, generateReportKey('survey-reports', fileName), {
+        contentType: CONTENT_TYPES[kind],
+        metadata: { reportType: `survey-report-${kind}`, generatedAt: new Date().toISOString() }
+      });
+      file.s3Key = uploadResult.key;
+    } catch (s3Error) {
+      console.error(`❌ S3 upload failed for ${fileName}, keeping the local copy only:`, s3Error.message);
+    }
+  }
+  return file;
+};
+
+/**
+ * Run a report job to completion. Called by the job queue, which only lets one worker run a job
+ * at a time, so a job still marked running is one whose earlier run died with its server.
+ * @param {ObjectId|String} jobId
+ * @returns {Promise<Object|null>} The finished job, or null if it was cancelled or already finished
+ */
+const runReportJob = async (jobId) => {
+  const job = await ReportJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['queued', 'running'] } },
+    { $set: { status: 'running', startedAt: new Date(), heartbeatAt: new Date(), progress: { stage: 'exporting', percent: 0, message: 'Reading responses' } } },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const prefix = `report_${job._id}`;
+  const snapshotPath = path.join(REPORT_OUTPUT_DIR, `${prefix}_data.xlsx`);
+  const reportPath = path.join(REPORT_OUTPUT_DIR, `${prefix}.pptx`);
+  const auditPath = path.join(REPORT_OUTPUT_DIR, `${prefix}_audit.txt`);
+
+  try {
+    if (!fs.existsSync(TEMPLATE_PPT_PATH)) {
+      throw new Error('Template PPT file not found. Please ensure template.pptx is in the report-generation directory.');
+    }
+    fs.mkdirSync(REPORT_OUTPUT_DIR, { recursive: true });
+
+    const survey = await Survey.findById(job.survey).select('surveyName sections questions languages weighting');
+    if (!survey) throw new Error('Survey not found');
+
+    const query = buildReportQuery(job.survey, job.params);
+    await ReportJob.updateOne({ _id: job._id }, { $set: { query: mongoose.mongo.BSON.EJSON.stringify(query) } });
+
+    const { warnings, ...snapshot } = await exportSnapshot(job, survey, query, snapshotPath);
+    await ReportJob.updateOne({ _id: job._id }, { $set: { snapshot: { ...snapshot, takenAt: new Date() }, warnings } });
+    if (snapshot.responseCount === 0) {
+      throw new Error('No responses match this survey, date window and filters');
+    }
+
+    const dateArgs = job.params.referenceDate ? ['--date', job.params.referenceDate] : [];
+    let slideCount = 0;
+    await updateProgress(job._id, 'generating', 30, `Generating report from ${snapshot.responseCount} responses`);
+    await runGenerator(job._id, 'generate_complete_report.py', [snapshotPath, '--template', TEMPLATE_PPT_PATH, '--output', reportPath, ...dateArgs], (line) => {
+      const templateMatch = line.match(/Template has (\d+) slides/);
+      if (templateMatch) slideCount = Number(templateMatch[1]);
+      const slideMatch = line.match(/^Updated Slide (\d+)/);
+      if (slideMatch && slideCount > 0) {
+        updateProgress(job._id, 'generating', 30 + (Number(slideMatch[1]) / slideCount) * 50, line.trim())
+          .catch(error => console.error(`❌ Report job ${job._id}: progress update failed:`, error.message));
+      }
+    });
+    if (!fs.existsSync(reportPath)) throw new Error('Report generation failed. Output file was not created.');
+
+    if (job.params.includeAuditTrail) {
+      await updateProgress(job._id, 'audit', 80, 'Generating calculation audit trail');
+      await runGenerator(job._id, 'calculation_audit_trail.py', ['--excel', snapshotPath, '--output', auditPath, ...dateArgs], () => {});
+    }
+
+    await updateProgress(job._id, 'storing', 95, 'Storing files');
+    const files = [await storeFile('pptx', reportPath), await storeFile('xlsx', snapshotPath)];
+    if (fs.existsSync(auditPath)) files.push(await storeFile('audit', auditPath));
+
+    return await ReportJob.findByIdAndUpdate(job._id, {
+      $set: {
+        status: 'completed',
+        files,
+        progress: {
+          stage: 'done',
+          percent: 100,
+          message: `Report generated from ${snapshot.responseCount} responses${snapshot.weighted ? '' : ' (unweighted)'}`
+        },
+        finishedAt: new Date()
+      }
+    }, { new: true });
+  } catch (error) {
+    const cancelled = error.message === CANCELLED;
+    if (!cancelled) console.error(`❌ Report job ${job._id} failed:`, error);
+    // Leave nothing half-written behind
+    [snapshotPath, reportPath, auditPath].forEach(filePath => {
+      if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+    });
+    return ReportJob.findByIdAndUpdate(job._id, {
+      $set: {
+        status: cancelled ? 'cancelled' : 'failed',
+        error: cancelled ? undefined : error.message,
+        'progress.message': cancelled ? CANCELLED : error.message,
+        finishedAt: new Date()
+      }
+    }, { new: true });
+  }
+};
+
+/**
+ * Queue a report job on the background job queue
+ * @param {Object} reportJob - ReportJob document
+ * @returns {Promise<Object>} The queued BackgroundJob
+ */
+const startReportJob = (reportJob) => {
+  const { enqueueJob } = require('./jobQueue');
+  return enqueueJob('reports.generate', { reportJobId: String(reportJob._id) }, {
+    key: `report:${reportJob._id}`,
+    company: reportJob.company,
+    createdBy: reportJob.requestedBy
+  });
+};
+
+/**
+ * Ask a job to stop. Queued jobs are cancelled at once; running jobs stop at their next check.
+ * @returns {Promise<Object|null>} The job, or null if it had already finished
+ */
+const cancelReportJob = async (jobId) => {
+  const queued = await ReportJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'cancelled', cancelRequested: true, 'progress.message': CANCELLED, finishedAt: new Date() } },
+    { new: true }
+  );
+  if (queued) return queued;
+
+  const running = await ReportJob.findOneAndUpdate(
+    { _id: jobId, status: 'running' },
+    { $set: { cancelRequested: true } },
+    { new: true }
+  );
+  if (running) runningProcesses.get(String(jobId))?.kill('SIGTERM');
+  return running;
+};
+
+/**
+ * Fail a report job the queue gave up on (its run kept throwing or its server kept dying)
+ * @param {ObjectId|String} jobId
+ * @param {String} message
+ */
+const failReportJob = (jobId, message) => ReportJob.updateOne(
+  { _id: jobId, status: { $in: ['queued', 'running'] } },
+  { $set: { status: 'failed', error: message, 'progress.message': message, finishedAt: new Date() } }
+);
+
+module.exports = {
+  REPORT_OUTPUT_DIR,
+  DEFAULT_REPORT_STATUSES,
+  CONTENT_TYPES,
+  validateReportParams,
+  buildReportQuery,
+  runReportJob,
+  startReportJob,
+  cancelReportJob,
+  failReportJob
+};
@@ -0,0 +1,391 @@
+/**
+ * Report metrics
+ *
+ * The one place the figures shown across the reports (survey reports, caller performance,
+ * findings dashboard) are defined. Each metric is a named, documented rule over a metric row:
+ *
+ *   { interviewMode: 'CAPI' | 'CATI', status, qcStage, callStatus, count, autoRejected }
+ *
+ * A row is either one response (toMetricRow) or one analytics bucket (utils/surveyAnalyticsStore.js),
+ * which holds the same fields summed over many responses, so a figure computed from raw responses
+ * and one read from the store always agree. The pages never evaluate these rules themselves: they
+ * read figures and labels from GET /api/surveys/:id/metrics, and the response list carries each
+ * response's contribution to every counting metric (getResponseMetricValues).
+ */
+
+const COMPLETED_STATUSES = ['Approved', 'Rejected', 'Pending_Approval'];
+
+// Call outcomes recorded for a CATI call that reached the respondent ('success' and 'connected'
+// are older spellings of 'call_connected')
+const CONNECTED_CALL_STATUSES = ['call_connected', 'success', 'connected'];
+
+// Feedback the auto-rejection rules write when they reject a response
+const AUTO_REJECTION_FEEDBACK = ['Interview Too Short', 'Not Voter', 'Not a Registered Voter', 'Duplicate Response'];
+
+const GROUP_BY_FIELDS = ['interviewer', 'ac', 'day', 'interviewMode', 'status'];
+const FILTER_MODES = ['CAPI', 'CATI'];
+
+/**
+ * Call outcome the interviewer recorded for a CATI response, lower-cased. Read from
+ * knownCallStatus, then the legacy metadata.callStatus, then the answer to the call-status question.
+ * @param {Object} response
+ * @returns {String} '' when none was recorded
+ */
+const getCallStatus = (response) => {
+  let callStatus = response.knownCallStatus || response.metadata?.callStatus;
+  if (!callStatus && Array.isArray(response.responses)) {
+    const answer = response.responses.find(r => r.questionId === 'call-status' || r.questionId === 'call_status');
+    callStatus = answer?.response;
+  }
+  return callStatus ? String(callStatus).toLowerCase().trim() : '';
+};
+
+/**
+ * Whether a rejected response was rejected by the system rather than by a reviewer
+ * @param {Object} response
+ * @returns {Boolean}
+ */
+const isAutoRejected = (response) => {
+  const verification = response.verificationData || {};
+  return verification.autoRejected === true ||
+    (Array.isArray(verification.autoRejectionReasons) && verification.autoRejectionReasons.length > 0) ||
+    (typeof verification.feedback === 'string' && AUTO_REJECTION_FEEDBACK.some(text => verification.feedback.includes(text)));
+};
+
+/**
+ * Where a pending response is in QC:
+ * - 'qc_queue': waiting for a reviewer (batch queued for QC, sample of a batch under QC, or
+ *   the remainder of a batch whose sample failed)
+ * - 'in_batch': still in a batch that is collecting or being processed, or in no batch yet
+ * @param {Object} response - With qcBatch populated (status, remainingDecision)
+ * @returns {String} '' when the response is not pending
+ */
+const getQcStage = (response) => {
+  if (response.status !== 'Pending_Approval') return '';
+
+  const batch = response.qcBatch && typeof response.qcBatch === 'object' && response.qcBatch.status ? response.qcBatch : null;
+  if (!batch) return 'in_batch';
+
+  const isSample = !!response.isSampleResponse;
+  if (batch.status === 'queued_for_qc' ||
+      (isSample && (batch.status === 'qc_in_progress' || batch.status === 'completed')) ||
+      (!isSample && batch.remainingDecision?.decision === 'queued_for_qc')) {
+    return 'qc_queue';
+  }
+  return 'in_batch';
+};
+
+const isCompletedStatus = (status) => COMPLETED_STATUSES.includes(status);
+
+const isConnectedCallStatus = (callStatus) => CONNECTED_CALL_STATUSES.includes(callStatus);
+
+const isCati = (row) => row.interviewMode === 'CATI';
+
+const whenRow = (predicate) => (row) => (predicate(row) ? row.count : 0);
+
+/**
+ * Metric definitions. Counting metrics have value(row), the row's contribution; rate metrics
+ * divide one metric by another (as a percentage).
+ */
+const REPORT_METRICS = {
+  interviewsAttempted: {
+    label: 'Interviews Attempted',
+    description: 'Every response recorded, whatever its status: completed, abandoned and terminated interviews, and CATI dials whatever their outcome',
+    value: whenRow(() => true)
+  },
+  interviewsCompleted: {
+    label: 'Completed',
+    description: 'Responses submitted for quality control: Approved, Rejected or Pending_Approval',
+    value: whenRow(row => isCompletedStatus(row.status))
+  },
+  approved: {
+    label: 'Approved',
+    description: 'Responses with status Approved',
+    value: whenRow(row => row.status === 'Approved')
+  },
+  rejected: {
+    label: 'Rejected',
+    description: 'Responses with status Rejected, whether rejected automatically or by a reviewer',
+    value: whenRow(row => row.status === 'Rejected')
+  },
+  autoRejected: {
+    label: 'System Rejections',
+    description: 'Rejected responses the auto-rejection rules rejected',
+    value: (row) => (row.status === 'Rejected' ? row.autoRejected || 0 : 0)
+  },
+  manualRejected: {
+    label: 'Manual Rejections',
+    description: 'Rejected responses a reviewer rejected',
+    value: (row) => (row.status === 'Rejected' ? row.count - (row.autoRejected || 0) : 0)
+  },
+  underQC: {
+    label: 'Under QC',
+    description: 'Responses with status Pending_Approval: Under QC Queue plus Processing in Batch',
+    value: whenRow(row => row.status === 'Pending_Approval')
+  },
+  underQCQueue: {
+    label: 'Under QC Queue',
+    description: 'Pending responses waiting for a reviewer: their batch is queued for QC, they are the sample of a batch under QC, or the remainder of a batch whose sample failed',
+    value: whenRow(row => row.status === 'Pending_Approval' && row.qcStage === 'qc_queue')
+  },
+  processingInBatch: {
+    label: 'Processing in Batch',
+    description: 'Pending responses not yet sent to review: their batch is still collecting or being processed, or they are in no batch',
+    value: whenRow(row => row.status === 'Pending_Approval' && row.qcStage !== 'qc_queue')
+  },
+  dials: {
+    label: 'Number of Dials',
+    description: 'CATI responses, one per call attempt, whatever its outcome',
+    value: whenRow(isCati)
+  },
+  callsConnected: {
+    label: 'Calls Connected',
+    description: 'CATI responses whose call outcome is call connected',
+    value: whenRow(row => isCati(row) && isConnectedCallStatus(row.callStatus))
+  },
+  incomplete: {
+    label: 'Incomplete',
+    description: 'CATI responses whose call connected but whose interview was not completed (abandoned or terminated)',
+    value: whenRow(row => isCati(row) && isConnectedCallStatus(row.callStatus) && !isCompletedStatus(row.status))
+  },
+  approvalRate: {
+    label: 'Approval Rate',
+    description: 'Approved as a percentage of Completed',
+    unit: 'percent',
+    ratio: ['approved', 'interviewsCompleted']
+  },
+  connectRate: {
+    label: 'Connect Rate',
+    description: 'Calls Connected as a percentage of Number of Dials',
+    unit: 'percent',
+    ratio: ['callsConnected', 'dials']
+  }
+};
+
+const METRIC_KEYS = Object.keys(REPORT_METRICS);
+
+// Metrics a single response contributes to (every metric but the rates)
+const COUNT_METRIC_KEYS = METRIC_KEYS.filter(key => !REPORT_METRICS[key].ratio);
+
+/**
+ * A response as a metric row
+ * @param {Object} response - With qcBatch populated (status, remainingDecision) for the QC stage
+ * @returns {Object}
+ */
+const toMetricRow = (response) => {
+  const interviewMode = (response.interviewMode || '').toUpperCase();
+  return {
+    interviewMode,
+    status: response.status || '',
+    qcStage: getQcStage(response),
+    callStatus: interviewMode === 'CATI' ? getCallStatus(response) : '',
+    count: 1,
+    autoRejected: response.status === 'Rejected' && isAutoRejected(response) ? 1 : 0
+  };
+};
+
+/**
+ * Evaluate metrics over a set of rows
+ * @param {Array<Object>} rows - Metric rows (responses via toMetricRow, or analytics buckets)
+ * @param {Array<String>} [keys] - Metrics to evaluate; all by default
+ * @returns {Object} Metric key -> value (rates rounded to two decimals)
+ */
+const evaluateMetrics = (rows, keys = METRIC_KEYS) => {
+  const counts = {};
+  const countOf = (key) => {
+    if (counts[key] === undefined) {
+      const metric = REPORT_METRICS[key];
+      counts[key] = rows.reduce((sum, row) => sum + metric.value(row), 0);
+    }
+    return counts[key];
+  };
+
+  const values = {};
+  keys.forEach(key => {
+    const metric = REPORT_METRICS[key];
+    if (metric.ratio) {
+      const [numerator, denominator] = metric.ratio.map(countOf);
+      values[key] = denominator > 0 ? Math.round((numerator / denominator) * 10000) / 100 : 0;
+    } else {
+      values[key] = countOf(key);
+    }
+  });
+  return values;
+};
+
+/**
+ * What one response contributes to each counting metric (0 or 1), so pages that list responses
+ * can count them without repeating the rules
+ * @param {Object} response - With qcBatch populated (status, remainingDecision)
+ * @returns {Object} Metric key -> 0 or 1
+ */
+const getResponseMetricValues = (response) => evaluateMetrics([toMetricRow(response)], COUNT_METRIC_KEYS);
+
+/**
+ * Metric definitions without their rules, for API clients
+ * @returns {Array<{key, label, description, unit}>}
+ */
+const describeMetrics = () => METRIC_KEYS.map(key => ({
+  key,
+  label: REPORT_METRICS[key].label,
+  description: REPORT_METRICS[key].description,
+  unit: REPORT_METRICS[key].unit || 'count'
+}));
+
+const toList = (value) => {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+};
+
+/**
+ * Read the filter every report page uses from query parameters:
+ * - dateRange ('today' / 'yesterday' / 'week' / 'month') and/or startDate + endDate (YYYY-MM-DD)
+ * - interviewMode ('capi' / 'cati')
+ * - ac
+ * - interviewerIds (array or comma-separated) with interviewerMode 'include' (default) or 'exclude'
+ * - status, as the reports page's status filter (null when omitted)
+ * @param {Object} query
+ * @param {Array<String>} errors - Problems are appended here
+ * @returns {Object} Filter
+ */
+const parseReportFilter = (query, errors) => {
+  const interviewMode = query.interviewMode ? String(query.interviewMode).toUpperCase() : null;
+  if (interviewMode && !FILTER_MODES.includes(interviewMode)) {
+    errors.push('interviewMode must be capi or cati');
+  }
+
+  const interviewerMode = query.interviewerMode || 'include';
+  if (!['include', 'exclude'].includes(interviewerMode)) {
+    errors.push('interviewerMode must be include or exclude');
+  }
+
+  if ((query.startDate && !query.endDate) || (!query.startDate && query.endDate)) {
+    errors.push('startDate and endDate must be given together');
+  }
+
+  return {
+    dateRange: query.dateRange || null,
+    startDate: query.startDate || null,
+    endDate: query.endDate || null,
+    interviewMode,
+    ac: query.ac ? String(query.ac).trim() : null,
+    interviewerIds: toList(query.interviewerIds),
+    interviewerMode,
+    status: query.status || null
+  };
+};
+
+/**
+ * Read a metrics request from query parameters: metrics (comma-separated keys, all by default),
+ * groupBy, and the report filter (parseReportFilter). Every status is counted when no status is given.
+ * @param {Object} query
+ * @returns {{metrics: Array<String>, groupBy: String|null, filter: Object, errors: Array<String>}}
+ */
+const parseMetricsQuery = (query = {}) => {
+  const errors = [];
+
+  const metrics = toList(query.metrics);
+  const unknown = metrics.filter(key => !REPORT_METRICS[key]);
+  if (unknown.length > 0) {
+    errors.push(`Unknown metric(s): ${unknown.join(', ')}. Available: ${METRIC_KEYS.join(', ')}`);
+  }
+
+  const groupBy = query.groupBy ? String(query.groupBy) : null;
+  if (groupBy && !GROUP_BY_FIELDS.includes(groupBy)) {
+    errors.push(`groupBy must be one of: ${GROUP_BY_FIELDS.join(', ')}`);
+  }
+
+  const filter = parseReportFilter(query, errors);
+
+  return {
+    metrics: metrics.length > 0 ? metrics : METRIC_KEYS,
+    groupBy,
+    filter,
+    errors
+  };
+};
+
+/**
+ * Evaluate metrics for a survey from its analytics store
+ * @param {String} surveyId
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - From parseMetricsQuery
+ * @param {Array<String>} [options.metrics]
+ * @param {String|null} [options.groupBy] - Also evaluate per interviewer / ac / day / interviewMode / status
+ * @param {Array<String>} [options.restrictToInterviewers] - Project manager scope, applied on top of the filter
+ * @returns {Promise<{metrics: Object, groups: Array|undefined, meta: Object}>}
+ */
+const evaluateSurveyMetrics = async (surveyId, { filter = {}, metrics = METRIC_KEYS, groupBy = null, restrictToInterviewers = null } = {}) => {
+  const { loadSurveyBuckets, resolveDayRange, resolveStatuses, ANALYTICS_TIMEZONE } = require('./surveyAnalyticsStore');
+
+  const { from, to } = resolveDayRange(filter);
+  const query = {
+    statuses: filter.status ? resolveStatuses(filter.status) : null,
+    dayFrom: from,
+    dayTo: to,
+    interviewMode: filter.interviewMode,
+    ac: filter.ac
+  };
+
+  const interviewerIds = filter.interviewerIds || [];
+  if (restrictToInterviewers) {
+    const allowed = new Set(restrictToInterviewers.map(String));
+    query.interviewerIn = filter.interviewerMode !== 'exclude' && interviewerIds.length > 0
+      ? interviewerIds.filter(id => allowed.has(String(id)))
+      : [...allowed];
+  } else if (interviewerIds.length > 0 && filter.interviewerMode !== 'exclude') {
+    query.interviewerIn = interviewerIds;
+  }
+  if (interviewerIds.length > 0 && filter.interviewerMode === 'exclude') {
+    query.interviewerNotIn = interviewerIds;
+  }
+
+  const { header, buckets } = await loadSurveyBuckets(surveyId, query);
+
+  const result = {
+    metrics: evaluateMetrics(buckets, metrics),
+    meta: {
+      lastUpdated: header?.lastUpdated || null,
+      rebuilding: !!header?.rebuilding,
+      timezone: ANALYTICS_TIMEZONE
+    }
+  };
+
+  if (groupBy) {
+    const groups = new Map();
+    buckets.forEach(bucket => {
+      const key = bucket[groupBy] ? String(bucket[groupBy]) : '';
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(bucket);
+    });
+    result.groups = [...groups.entries()]
+      .map(([key, rows]) => ({ [groupBy]: key || null, metrics: evaluateMetrics(rows, metrics) }))
+      .sort((a, b) => String(a[groupBy] ?? '').localeCompare(String(b[groupBy] ?? '')));
+  }
+
+  return result;
+};
+
+module.exports = {
+  COMPLETED_STATUSES,
+  CONNECTED_CALL_STATUSES,
+  AUTO_REJECTION_FEEDBACK,
+  REPORT_METRICS,
+  METRIC_KEYS,
+  COUNT_METRIC_KEYS,
+  getCallStatus,
+  isAutoRejected,
+  getQcStage,
+  isCompletedStatus,
+  isConnectedCallStatus,
+  toMetricRow,
+  evaluateMetrics,
+  getResponseMetricValues,
+  describeMetrics,
+  toList,
+  parseReportFilter,
+  parseMetricsQuery,
+  evaluateSurveyMetrics
+};
@@ -4,13 +4,15 @@
  */
 
 const { getMainText, findGenderResponse, normalizeGenderResponse } = require('./genderUtils');
+const { getResponseQuestionText } = require('./languageVariants');
 const { getACDetails, getDistrictFromAC, getPCFromAC } = require('./acDataHelper');
 
 /**
  * Extract AC from response using the same logic as frontend
  * Priority: selectedAC > selectedPollingStation.acName > questionId='ac-selection' > questionType > questionText
+ * Pass the survey (with languages and sections) so question text is read in its main language.
  */
-const extractACFromResponse = (responses, responseData) => {
+const extractACFromResponse = (responses, responseData, survey = null) => {
   // Helper to validate if a value is a valid AC name (not yes/no/consent answers)
   const isValidACName = (value) => {
     if (!value || typeof value !== 'string') return false;
@@ -69,7 +71,7 @@ const extractACFromResponse = (responses, responseData) => {
     // BUT exclude questions that are consent/agreement questions
     const acTextResponses = responses.filter(r => {
       if (!r.questionText || !r.response) return false;
-      const questionText = getMainText(r.questionText).toLowerCase();
+      const questionText = getResponseQuestionText(r, survey).toLowerCase();
       const hasAssembly = questionText.includes('assembly');
       const hasConstituency = questionText.includes('constituency');
       
@@ -96,12 +98,12 @@ const extractACFromResponse = (responses, responseData) => {
 };
 
 /**
- * Helper to find question response by keywords
+ * Helper to find question response by keywords (survey optional, for its languages)
  */
-const findQuestionResponse = (responses, keywords) => {
+const findQuestionResponse = (responses, keywords, survey = null) => {
   if (!responses || !Array.isArray(responses)) return null;
   return responses.find(r => {
-    const questionText = getMainText(r.questionText || r.question?.text || '').toLowerCase();
+    const questionText = getResponseQuestionText(r, survey).toLowerCase();
     return keywords.some(keyword => questionText.includes(keyword.toLowerCase()));
   });
 };
@@ -144,7 +146,7 @@ const getRespondentInfo = (responses, responseData, survey = null) => {
   const findResponseByQuestionText = (responses, searchTexts) => {
     return responses.find(r => {
       if (!r.questionText) return false;
-      const mainText = getMainText(r.questionText).toLowerCase();
+      const mainText = getResponseQuestionText(r, survey).toLowerCase();
       return searchTexts.some(text => mainText.includes(text.toLowerCase()));
     });
   };
@@ -195,7 +197,7 @@ const getRespondentInfo = (responses, responseData, survey = null) => {
     }
 
     // Extract AC using comprehensive function
-    const extractedAC = extractACFromResponse(responses, responseData);
+    const extractedAC = extractACFromResponse(responses, responseData, survey);
     const acName = extractedAC || 'N/A';
     const district = getDistrictFromAC(acName);
     const lokSabha = getPCFromAC(acName);
@@ -214,17 +216,17 @@ const getRespondentInfo = (responses, responseData, survey = null) => {
 
   // Default behavior for other surveys
   const nameResponse = responses.find(r => 
-    getMainText(r.questionText || '').toLowerCase().includes('name') || 
-    getMainText(r.questionText || '').toLowerCase().includes('respondent') ||
-    getMainText(r.questionText || '').toLowerCase().includes('full name')
+    getResponseQuestionText(r, survey).toLowerCase().includes('name') || 
+    getResponseQuestionText(r, survey).toLowerCase().includes('respondent') ||
+    getResponseQuestionText(r, survey).toLowerCase().includes('full name')
   );
   
   // Find gender response (checks both gender and registered voter questions)
-  const genderResponse = findGenderResponse(responses, survey) || findQuestionResponse(responses, ['gender', 'sex']);
+  const genderResponse = findGenderResponse(responses, survey) || findQuestionResponse(responses, ['gender', 'sex'], survey);
   
   const ageResponse = responses.find(r => 
-    getMainText(r.questionText || '').toLowerCase().includes('age') || 
-    getMainText(r.questionText || '').toLowerCase().includes('year')
+    getResponseQuestionText(r, survey).toLowerCase().includes('age') || 
+    getResponseQuestionText(r, survey).toLowerCase().includes('year')
   );
 
   const acResponse = responses.find(r => 
@@ -244,7 +246,7 @@ const getRespondentInfo = (responses, responseData, survey = null) => {
   }
 
   // Extract AC
-  const extractedAC = extractACFromResponse(responses, responseData);
+  const extractedAC = extractACFromResponse(responses, responseData, survey);
   const acName = extractedAC || (acResponse?.response ? getMainText(String(acResponse.response)) : 'N/A');
   const district = getDistrictFromAC(acName);
   const lokSabha = getPCFromAC(acName);
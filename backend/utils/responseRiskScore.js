@@ -0,0 +1,311 @@
+const SurveyResponse = require('../models/SurveyResponse');
+const { extractCoordinates, distanceInMeters } = require('./autoRejectionHelper');
+
+/**
+ * Response risk scoring
+ *
+ * A 0-100 score per response, built from signals already recorded on it, that orders the review
+ * queue (riskiest first) and is shown with its breakdown to the reviewer. Each factor adds points
+ * up to its cap, so the caps sum to 100:
+ *
+ *   duration         25  much shorter than the survey's median interview in the same mode
+ *   gps              20  CAPI: GPS far from the selected polling station, or no GPS at all
+ *   audio            20  CAPI: no (complete) recording, or a recording much shorter than the interview
+ *   straight_lining  15  the same answer to (nearly) every rating question
+ *   interviewer      15  the interviewer's rejection rate on the survey over the last 30 days
+ *   behaviour         5  heavy back navigation or long pauses (qualityMetrics)
+ *
+ * A score is a snapshot taken when the response is scored (riskScore.computedAt); the
+ * 'qc.scoreResponses' job scores new pending responses and refreshes old scores. Bump
+ * RISK_SCORE_VERSION when the rules change so every pending response is rescored.
+ */
+
+const RISK_SCORE_VERSION = 1;
+
+// Fields computeRiskScore reads
+const RISK_FIELDS = 'survey interviewer interviewMode totalTimeSpent responses.questionType responses.response responses.isSkipped audioRecording.hasAudio audioRecording.recordingDuration audioRecording.uploadStatus location selectedPollingStation metadata.distanceRadius qualityMetrics riskScore createdAt';
+
+const REVIEWED_STATUSES = ['Approved', 'Rejected'];
+const RATING_QUESTION_TYPES = ['rating', 'rating_scale'];
+
+// Responses the duration median is taken over, and how long a survey's medians are reused
+const MEDIAN_SAMPLE_SIZE = 1000;
+const MEDIAN_MIN_RESPONSES = 10;
+const CONTEXT_TTL_MS = 15 * 60 * 1000;
+
+const INTERVIEWER_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+const INTERVIEWER_MIN_REVIEWED = 5;
+
+const DEFAULT_GPS_RADIUS_METERS = 100;
+
+const durationMedianCache = new Map();
+
+const getId = (value) => (value && value._id ? value._id : value);
+
+const median = (values) => {
+  const sorted = values.filter(value => Number.isFinite(value) && value > 0).sort((a, b) => a - b);
+  if (sorted.length === 0) return 0;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+const formatMinutes = (seconds) => `${Math.round((seconds / 60) * 10) / 10} min`;
+
+/**
+ * Median interview duration (seconds) per interview mode, from the survey's most recent
+ * completed responses. Cached for CONTEXT_TTL_MS.
+ * @param {String|ObjectId} surveyId
+ * @returns {Promise<Object>} { capi: Number, cati: Number, ... }; a mode without enough responses is absent
+ */
+const getDurationMedians = async (surveyId) => {
+  const cacheKey = String(surveyId);
+  const cached = durationMedianCache.get(cacheKey);
+  if (cached && cached.expiresAt > Date.now()) return cached.medians;
+
+  const recent = await SurveyResponse.find({
+    survey: surveyId,
+    status: { $in: ['Pending_Approval', ...REVIEWED_STATUSES] },
+    totalTimeSpent: { $gt: 0 }
+  })
+    .select('interviewMode totalTimeSpent')
+    .sort({ createdAt: -1 })
+    .limit(MEDIAN_SAMPLE_SIZE)
+    .lean();
+
+  const byMode = {};
+  recent.forEach(response => {
+    const mode = response.interviewMode || 'capi';
+    (byMode[mode] = byMode[mode] || []).push(response.totalTimeSpent);
+  });
+  const medians = {};
+  Object.entries(byMode).forEach(([mode, durations]) => {
+    if (durations.length >= MEDIAN_MIN_RESPONSES) medians[mode] = median(durations);
+  });
+
+  durationMedianCache.set(cacheKey, { medians, expiresAt: Date.now() + CONTEXT_TTL_MS });
+  return medians;
+};
+
+/**
+ * Share of each interviewer's reviewed responses on a survey that were rejected over the last
+ * 30 days. Batch auto-approvals are not reviews and are left out.
+ * @param {String|ObjectId} surveyId
+ * @param {Array} interviewerIds
+ * @returns {Promise<Map<String, {rejected: Number, reviewed: Number, rate: Number}>>}
+ */
+const getInterviewerRejectionRates = async (surveyId, interviewerIds) => {
+  const rates = new Map();
+  if (interviewerIds.length === 0) return rates;
+
+  const rows = await SurveyResponse.aggregate([
+    {
+      $match: {
+        survey: surveyId,
+        interviewer: { $in: interviewerIds },
+        status: { $in: REVIEWED_STATUSES },
+        autoApproved: { $ne: true },
+        updatedAt: { $gte: new Date(Date.now() - INTERVIEWER_WINDOW_MS) }
+      }
+    },
+    {
+      $group: {
+        _id: '$interviewer',
+        reviewed: { $sum: 1 },
+        rejected: { $sum: { $cond: [{ $eq: ['$status', 'Rejected'] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  rows.forEach(row => {
+    rates.set(String(row._id), {
+      reviewed: row.reviewed,
+      rejected: row.rejected,
+      rate: row.reviewed > 0 ? row.rejected / row.reviewed : 0
+    });
+  });
+  return rates;
+};
+
+const riskLevel = (score) => {
+  if (score >= 50) return 'high';
+  if (score >= 25) return 'medium';
+  return 'low';
+};
+
+/**
+ * Score one response
+ * @param {Object} response - With RISK_FIELDS
+ * @param {Object} context - { medianDuration, interviewerRate: {rejected, reviewed, rate} }
+ * @returns {{score: Number, level: String, factors: Array<{key, label, points, detail}>, computedAt: Date, version: Number}}
+ */
+const computeRiskScore = (response, { medianDuration = 0, interviewerRate = null } = {}) => {
+  const factors = [];
+  const add = (key, label, points, detail) => {
+    if (points > 0) factors.push({ key, label, points, detail });
+  };
+  const isCapi = response.interviewMode === 'capi';
+  const duration = response.totalTimeSpent || 0;
+
+  // Duration vs the survey median
+  if (medianDuration > 0 && duration > 0) {
+    const ratio = duration / medianDuration;
+    const detail = `${formatMinutes(duration)} vs median ${formatMinutes(medianDuration)}`;
+    if (ratio < 0.25) add('duration', 'Very short interview', 25, detail);
+    else if (ratio < 0.5) add('duration', 'Short interview', 18, detail);
+    else if (ratio < 0.75) add('duration', 'Shorter than usual', 8, detail);
+  }
+
+  // GPS vs the selected polling station
+  if (isCapi) {
+    const gps = extractCoordinates(response.location);
+    const station = extractCoordinates(response.selectedPollingStation);
+    if (!gps) {
+      add('gps', 'No GPS location', 10, 'The interview has no GPS fix');
+    } else if (station) {
+      const radius = Number(response.metadata?.distanceRadius) || DEFAULT_GPS_RADIUS_METERS;
+      const distance = distanceInMeters(gps, station);
+      const detail = `${Math.round(distance)} m from ${response.selectedPollingStation?.stationName || 'the polling station'} (allowed ${radius} m)`;
+      if (distance > radius * 5) add('gps', 'GPS far from polling station', 20, detail);
+      else if (distance > radius) add('gps', 'GPS outside polling station radius', 12, detail);
+    }
+  }
+
+  // Audio presence and length
+  if (isCapi) {
+    const audio = response.audioRecording || {};
+    const recorded = audio.recordingDuration || 0;
+    if (!audio.hasAudio || audio.uploadStatus === 'incomplete') {
+      add('audio', 'No complete audio recording', 20, audio.uploadStatus === 'incomplete' ? 'The recording upload is incomplete' : 'No recording was uploaded');
+    } else if (duration > 0 && recorded > 0) {
+      const coverage = recorded / duration;
+      const detail = `${formatMinutes(recorded)} of audio for a ${formatMinutes(duration)} interview`;
+      if (coverage < 0.5) add('audio', 'Audio much shorter than interview', 14, detail);
+      else if (coverage < 0.75) add('audio', 'Audio shorter than interview', 6, detail);
+    }
+  }
+
+  // Straight-lining across rating questions
+  const ratings = (response.responses || [])
+    .filter(answer => RATING_QUESTION_TYPES.includes(answer.questionType) && !answer.isSkipped)
+    .map(answer => JSON.stringify(answer.response));
+  if (ratings.length >= 4) {
+    const counts = ratings.reduce((acc, value) => acc.set(value, (acc.get(value) || 0) + 1), new Map());
+    const topCount = Math.max(...counts.values());
+    const detail = `${topCount} of ${ratings.length} rating questions have the same answer`;
+    if (topCount === ratings.length) add('straight_lining', 'Same answer to every rating question', 15, detail);
+    else if (topCount / ratings.length >= 0.85) add('straight_lining', 'Mostly the same rating answer', 8, detail);
+  }
+
+  // Interviewer's recent rejection rate
+  if (interviewerRate && interviewerRate.reviewed >= INTERVIEWER_MIN_REVIEWED) {
+    const percent = Math.round(interviewerRate.rate * 100);
+    const detail = `${interviewerRate.rejected} of ${interviewerRate.reviewed} reviewed responses rejected in the last 30 days (${percent}%)`;
+    if (interviewerRate.rate >= 0.5) add('interviewer', 'Interviewer has a high rejection rate', 15, detail);
+    else if (interviewerRate.rate >= 0.3) add('interviewer', 'Interviewer has an elevated rejection rate', 10, detail);
+    else if (interviewerRate.rate >= 0.15) add('interviewer', 'Interviewer has some rejections', 5, detail);
+  }
+
+  // Pauses and back navigation
+  const metrics = response.qualityMetrics || {};
+  let behaviourPoints = 0;
+  const behaviour = [];
+  if ((metrics.backNavigationCount || 0) >= 5) {
+    behaviourPoints += 3;
+    behaviour.push(`${metrics.backNavigationCount} back navigations`);
+  }
+  if (duration > 0 && (metrics.totalPauseTime || 0) > duration * 0.25) {
+    behaviourPoints += 2;
+    behaviour.push(`paused for ${formatMinutes(metrics.totalPauseTime)} (${metrics.totalPauses || 0} pauses)`);
+  }
+  add('behaviour', 'Unusual navigation or pauses', behaviourPoints, behaviour.join(', '));
+
+  const score = Math.min(100, factors.reduce((sum, factor) => sum + factor.points, 0));
+  return {
+    score,
+    level: riskLevel(score),
+    factors: factors.sort((a, b) => b.points - a.points),
+    computedAt: new Date(),
+    version: RISK_SCORE_VERSION
+  };
+};
+
+/**
+ * Score responses and store the scores. Writes go through the driver so scoring does not
+ * trigger the response update hooks (analytics has nothing to update for a score).
+ * @param {Array<Object>} responses - With RISK_FIELDS (survey and interviewer may be populated)
+ * @returns {Promise<Map<String, Object>>} responseId -> riskScore
+ */
+const scoreResponses = async (responses) => {
+  const scores = new Map();
+  const bySurvey = new Map();
+  responses.forEach(response => {
+    const surveyId = String(getId(response.survey));
+    if (!bySurvey.has(surveyId)) bySurvey.set(surveyId, []);
+    bySurvey.get(surveyId).push(response);
+  });
+
+  for (const group of bySurvey.values()) {
+    const surveyId = getId(group[0].survey);
+    const interviewerIds = [...new Map(group.map(response => {
+      const id = getId(response.interviewer);
+      return [String(id), id];
+    })).values()].filter(Boolean);
+
+    const [medians, rates] = await Promise.all([
+      getDurationMedians(surveyId),
+      getInterviewerRejectionRates(surveyId, interviewerIds)
+    ]);
+
+    group.forEach(response => {
+      scores.set(String(response._id), computeRiskScore(response, {
+        medianDuration: medians[response.interviewMode] || 0,
+        interviewerRate: rates.get(String(getId(response.interviewer))) || null
+      }));
+    });
+  }
+
+  if (scores.size > 0) {
+    await SurveyResponse.collection.bulkWrite(
+      responses.map(response => ({
+        updateOne: {
+          filter: { _id: response._id },
+          update: { $set: { riskScore: scores.get(String(response._id)) } }
+        }
+      })),
+      { ordered: false }
+    );
+  }
+  return scores;
+};
+
+/**
+ * Score pending responses that have no score, one from an older version of the rules, or one
+ * older than maxAgeMs
+ * @param {Object} [options] - { limit, maxAgeMs }
+ * @returns {Promise<Number>} Responses scored
+ */
+const scorePendingResponses = async ({ limit = 500, maxAgeMs = 6 * 60 * 60 * 1000 } = {}) => {
+  const responses = await SurveyResponse.find({
+    status: 'Pending_Approval',
+    $or: [
+      { 'riskScore.score': { $exists: false } },
+      { 'riskScore.version': { $ne: RISK_SCORE_VERSION } },
+      { 'riskScore.computedAt': { $lt: new Date(Date.now() - maxAgeMs) } }
+    ]
+  })
+    .select(RISK_FIELDS)
+    .sort({ createdAt: 1 })
+    .limit(limit)
+    .lean();
+
+  await scoreResponses(responses);
+  return responses.length;
+};
+
+module.exports = {
+  RISK_SCORE_VERSION,
+  RISK_FIELDS,
+  computeRiskScore,
+  scoreResponses,
+  scorePendingResponses
+};
@@ -0,0 +1,861 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Survey = require('../models/Survey');
+const SurveyResponse = require('../models/SurveyResponse');
+const SurveyAnalytics = require('../models/SurveyAnalytics');
+const SurveyAnalyticsBucket = require('../models/SurveyAnalyticsBucket');
+const { getMainText, findGenderResponse, normalizeGenderResponse } = require('./genderUtils');
+const { getRespondentInfo, findQuestionResponse, getMainTextValue } = require('./respondentInfoUtils');
+const { getResponseQuestionText } = require('./languageVariants');
+const { getACDetails } = require('./acDataHelper');
+const { getCallStatus, getQcStage, isAutoRejected, REPORT_METRICS } = require('./reportMetrics');
+
+/**
+ * Survey analytics store
+ *
+ * Reports read pre-aggregated buckets (SurveyAnalyticsBucket) instead of re-reading every
+ * response. Each response is reduced to a small set of facts (its day, mode, status, QC stage,
+ * call status, AC, interviewer, and the demographic flags the reports show) by
+ * computeResponseFacts - the one place the counting rules live. The facts are stored on the
+ * response (analyticsFacts), so when the response changes its old facts are subtracted from
+ * their bucket and the new ones added. What each report figure counts is defined in
+ * utils/reportMetrics.js.
+ *
+ * SurveyResponse and QCBatch middleware queue every changed response here; a survey's buckets
+ * are built from scratch the first time its report is requested, whenever RULES_VERSION
+ * changes, and by jobs/analyticsReconciler.js when they drift from the responses.
+ */
+
+// Bump when computeResponseFacts changes; stores built with older rules are rebuilt
+const RULES_VERSION = 3;
+
+const ANALYTICS_TIMEZONE = process.env.ANALYTICS_TIMEZONE || 'Asia/Kolkata';
+
+// Statuses the reports page can show (see resolveStatuses)
+const REPORT_STATUSES = ['Approved', 'Rejected', 'Pending_Approval'];
+
+// SC share is only reported for this survey, whose caste question is known to ask for it
+const SC_SURVEY_ID = '68fd1915d41841da463f0d46';
+
+const COUNTERS = ['autoRejected', 'female', 'withoutPhone', 'sc', 'muslim', 'age18to24', 'age50Plus', 'responseTime'];
+
+const FACT_FIELDS = 'survey interviewer status interviewMode createdAt responses selectedAC selectedPollingStation verificationData qcBatch isSampleResponse surveyVersion knownCallStatus metadata.callStatus';
+
+// A larger update is handled by rebuilding the affected surveys instead of syncing each response
+const MAX_QUEUED_PER_UPDATE = 5000;
+
+const SURVEY_CACHE_MS = 60 * 1000;
+const VERSION_CACHE_SIZE = 200;
+
+// A rebuild still marked running after this long is assumed to have died with its process
+const STALE_REBUILD_MINUTES = 60;
+
+const dayFormatter = new Intl.DateTimeFormat('en-CA', {
+  timeZone: ANALYTICS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit'
+});
+
+/**
+ * Calendar day of a date in the analytics timezone
+ * @param {Date} date
+ * @returns {String} 'YYYY-MM-DD'
+ */
+const toDayKey = (date) => dayFormatter.format(new Date(date));
+
+const addDays = (dayKey, days) => {
+  const date = new Date(`${dayKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().substring(0, 10);
+};
+
+// Map keys may not contain '.' or start with '$'
+const encodeKey = (value) => encodeURIComponent(String(value)).replace(/\./g, '%2E');
+const decodeKey = (value) => decodeURIComponent(value);
+
+const cleanName = (value) => {
+  if (!value || typeof value !== 'string') return '';
+  const text = getMainText(value).trim();
+  return text === 'N/A' ? '' : text;
+};
+
+// "WB001" -> "1"
+const getNumericACCode = (acCode) => {
+  if (!acCode) return '';
+  const numericValue = parseInt(String(acCode).replace(/^[A-Z]+/, ''), 10);
+  return isNaN(numericValue) ? '' : numericValue.toString();
+};
+
+const isMissingPhone = (responses, survey) => {
+  let phoneResponse = responses.find(r => {
+    const questionText = getResponseQuestionText(r, survey).toLowerCase();
+    return questionText.includes('mobile number') ||
+      questionText.includes('phone number') ||
+      questionText.includes('share your mobile');
+  });
+  if (!phoneResponse) {
+    phoneResponse = findQuestionResponse(responses, ['phone', 'mobile', 'contact', 'number'], survey);
+  }
+  const value = phoneResponse?.response;
+  return !value || ['', 'N/A', '0'].includes(String(value).trim());
+};
+
+const answerIncludes = (responses, keywords, values, survey) => {
+  const answer = findQuestionResponse(responses, keywords, survey);
+  if (!answer?.response) return false;
+  const text = getMainTextValue(String(answer.response)).toLowerCase();
+  return values.some(value => text.includes(value));
+};
+
+// Gender question of a questionnaire (sections and languages as stored on Survey or SurveyVersion.snapshot)
+const findGenderQuestion = (questionnaire = {}) => {
+  for (const section of questionnaire.sections || []) {
+    for (const question of section.questions || []) {
+      const text = getMainText(question.text || '', questionnaire).toLowerCase();
+      if (text.includes('gender') || question.id?.includes('gender')) {
+        return question;
+      }
+    }
+  }
+  return null;
+};
+
+// Option text for a stored option value or code
+const getOptionText = (value, question, survey) => {
+  const raw = Array.isArray(value) ? value[0] : value;
+  const option = (question?.options || []).find(opt =>
+    opt.value?.toString() === raw?.toString() || opt.code?.toString() === raw?.toString()
+  );
+  if (option?.text) return getMainText(option.text, survey);
+  return getMainText(option ? option.value || raw : String(raw));
+};
+
+/**
+ * The counting rules: everything the reports need to know about one response
+ * @param {Object} response - Lean response with FACT_FIELDS, qcBatch populated
+ * @param {Object} context - From loadSurveyContext
+ * @param {Object} [context.genderQuestion] - Gender question as the response's version had it
+ * @returns {Object} Facts, with a hash to detect changes
+ */
+const computeResponseFacts = (response, context) => {
+  const responses = Array.isArray(response.responses) ? response.responses : [];
+  const info = getRespondentInfo(responses, response, context.survey);
+  const pollingStation = response.selectedPollingStation || {};
+  const ac = cleanName(info.ac);
+  const status = response.status || '';
+  const mode = (response.interviewMode || '').toUpperCase();
+
+  const genderResponse = findGenderResponse(responses, context.survey) || findQuestionResponse(responses, ['gender', 'sex'], context.survey);
+  const ageAnswer = parseInt(findQuestionResponse(responses, ['age', 'year'], context.survey)?.response, 10);
+  const validAge = !isNaN(ageAnswer) && ageAnswer > 0 && ageAnswer < 150;
+  const respondentAge = parseInt(info.age, 10);
+  const gender = info.gender && info.gender !== 'N/A'
+    ? (context.genderQuestion ? getOptionText(info.gender, context.genderQuestion, context.survey) : getMainText(String(info.gender)))
+    : '';
+
+  const facts = {
+    key: {
+      day: toDayKey(response.createdAt),
+      interviewMode: mode,
+      status,
+      qcStage: getQcStage(response),
+      callStatus: mode === 'CATI' ? getCallStatus(response) : '',
+      ac,
+      acCode: pollingStation.acNo
+        ? getNumericACCode(pollingStation.acNo)
+        : getNumericACCode(ac ? getACDetails(ac)?.acCode : ''),
+      pcCode: pollingStation.pcNo ? String(pollingStation.pcNo) : '',
+      pcName: pollingStation.pcName || '',
+      district: cleanName(info.district),
+      lokSabha: cleanName(info.lokSabha),
+      interviewer: response.interviewer ? String(response.interviewer._id || response.interviewer) : null
+    },
+    counters: {
+      autoRejected: status === 'Rejected' && isAutoRejected(response) ? 1 : 0,
+      female: genderResponse?.response && normalizeGenderResponse(genderResponse.response) === 'female' ? 1 : 0,
+      withoutPhone: isMissingPhone(responses, context.survey) ? 1 : 0,
+      sc: context.surveyId === SC_SURVEY_ID && answerIncludes(responses, ['caste', 'scheduled cast', 'sc', 'category'], ['scheduled cast', 'sc'], context.survey) ? 1 : 0,
+      muslim: answerIncludes(responses, ['religion', 'muslim', 'hindu', 'christian'], ['muslim', 'islam'], context.survey) ? 1 : 0,
+      age18to24: validAge && ageAnswer >= 18 && ageAnswer <= 24 ? 1 : 0,
+      age50Plus: validAge && ageAnswer >= 50 ? 1 : 0,
+      responseTime: responses.reduce((sum, r) => sum + (Number(r.responseTime) || 0), 0)
+    },
+    pollingStation: pollingStation.stationName
+      ? `${pollingStation.stationName}${pollingStation.groupName ? `-${pollingStation.groupName}` : ''}`
+      : null,
+    gender: gender || null,
+    ageGroup: isNaN(respondentAge) ? null : String(Math.floor(respondentAge / 10) * 10)
+  };
+
+  facts.hash = crypto.createHash('sha1').update(JSON.stringify([RULES_VERSION, facts])).digest('hex');
+  return facts;
+};
+
+const surveyCache = new Map();
+const versionCache = new Map();
+
+/**
+ * Survey data the counting rules need, cached briefly
+ * @param {String} surveyId
+ * @returns {Promise<Object|null>}
+ */
+const loadSurveyContext = async (surveyId) => {
+  const id = String(surveyId);
+  const cached = surveyCache.get(id);
+  if (cached && Date.now() - cached.loadedAt < SURVEY_CACHE_MS) return cached.context;
+
+  const survey = await Survey.findById(id).select('sections questions languages sampleSize currentVersion').lean();
+  const context = survey ? { surveyId: id, survey, genderQuestion: findGenderQuestion(survey) } : null;
+  surveyCache.set(id, { context, loadedAt: Date.now() });
+  return context;
+};
+
+// Context with the gender question of the response's own version (versions are immutable)
+const withResponseVersion = async (context, response) => {
+  const version = response.surveyVersion;
+  if (!(version > 0)) return context;
+
+  const cacheKey = `${context.surveyId}:${version}`;
+  if (!versionCache.has(cacheKey)) {
+    const SurveyVersion = require('../models/SurveyVersion');
+    const record = await SurveyVersion.findOne({ survey: context.surveyId, version }).select('snapshot.sections snapshot.languages').lean();
+    if (versionCache.size >= VERSION_CACHE_SIZE) {
+      versionCache.delete(versionCache.keys().next().value);
+    }
+    versionCache.set(cacheKey, record ? findGenderQuestion(record.snapshot) : null);
+  }
+  return { ...context, genderQuestion: versionCache.get(cacheKey) || context.genderQuestion };
+};
+
+const bucketFilter = (surveyId, key) => ({
+  survey: new mongoose.Types.ObjectId(String(surveyId)),
+  ...key,
+  interviewer: key.interviewer ? new mongoose.Types.ObjectId(key.interviewer) : null
+});
+
+const bucketIncrement = (facts, sign) => {
+  const inc = { count: sign };
+  COUNTERS.forEach(counter => {
+    if (facts.counters[counter]) inc[counter] = sign * facts.counters[counter];
+  });
+  if (facts.pollingStation) inc[`pollingStations.${encodeKey(facts.pollingStation)}`] = sign;
+  if (facts.gender) inc[`genders.${encodeKey(facts.gender)}`] = sign;
+  if (facts.ageGroup) inc[`ageGroups.${encodeKey(facts.ageGroup)}`] = sign;
+  return inc;
+};
+
+const totalsIncrement = (facts, sign) => {
+  const inc = { totalResponses: sign };
+  if (facts.key.interviewMode === 'CAPI') inc.capiResponses = sign;
+  if (facts.key.interviewMode === 'CATI') inc.catiResponses = sign;
+  if (facts.key.status === 'Approved') inc.approvedResponses = sign;
+  if (facts.key.status === 'Rejected') inc.rejectedResponses = sign;
+  if (facts.key.status === 'Pending_Approval') inc.pendingResponses = sign;
+  return inc;
+};
+
+const addTotals = (totals, inc) => {
+  Object.entries(inc).forEach(([field, value]) => {
+    totals[field] = (totals[field] || 0) + value;
+  });
+  return totals;
+};
+
+// Add (sign 1) or remove (sign -1) a response's facts from its survey's buckets and totals
+const applyFacts = async (surveyId, facts, sign) => {
+  if (!facts?.key) return;
+  const filter = bucketFilter(surveyId, facts.key);
+  await SurveyAnalyticsBucket.updateOne(filter, { $inc: bucketIncrement(facts, sign) }, { upsert: sign > 0 });
+  if (sign < 0) {
+    await SurveyAnalyticsBucket.deleteOne({ ...filter, count: { $lte: 0 } });
+  }
+  await SurveyAnalytics.updateOne(
+    { survey: surveyId },
+    { $inc: { ...totalsIncrement(facts, sign), version: 1 }, $set: { lastUpdated: new Date() } }
+  );
+};
+
+const isStoreCurrent = (header) => !!header && !header.rebuilding && header.rulesVersion === RULES_VERSION;
+
+/**
+ * Bring one response's contribution to the store up to date
+ * @param {String} responseId
+ * @returns {Promise<Boolean>} Whether the buckets changed
+ */
+const syncResponseAnalytics = async (responseId) => {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const response = await SurveyResponse.findById(responseId)
+      .select(`${FACT_FIELDS} +analyticsFacts`)
+      .populate('qcBatch', 'status remainingDecision')
+      .lean();
+    if (!response) return false;
+
+    // Surveys without a current store are counted in full by their next rebuild
+    const header = await SurveyAnalytics.findOne({ survey: response.survey }).select('rebuilding rulesVersion').lean();
+    if (!isStoreCurrent(header)) return false;
+
+    const context = await loadSurveyContext(response.survey);
+    if (!context) return false;
+
+    const previous = response.analyticsFacts || null;
+    const facts = computeResponseFacts(response, await withResponseVersion(context, response));
+    if (previous?.hash === facts.hash) return false;
+
+    // Claim the change first, so two syncs of the same response cannot both apply it
+    const claimed = await SurveyResponse.collection.updateOne(
+      { _id: response._id, 'analyticsFacts.hash': previous?.hash ?? null },
+      { $set: { analyticsFacts: facts } }
+    );
+    if (claimed.matchedCount === 0) continue;
+
+    await applyFacts(response.survey, previous, -1);
+    await applyFacts(response.survey, facts, 1);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Remove deleted responses' facts from the store
+ * @param {Array<{survey, analyticsFacts}>} responses
+ */
+const removeResponseAnalytics = async (responses) => {
+  for (const response of responses) {
+    if (!response.analyticsFacts) continue;
+    const header = await SurveyAnalytics.findOne({ survey: response.survey }).select('rebuilding rulesVersion').lean();
+    if (isStoreCurrent(header)) {
+      await applyFacts(response.survey, response.analyticsFacts, -1);
+    }
+  }
+};
+
+const inFlightRebuilds = new Map();
+
+// Bring the bucket indexes in line with the schema once per process: a unique index left over
+// from an older bucket key would reject buckets that only differ in a newer key field
+let bucketIndexesSynced = null;
+const syncBucketIndexes = () => {
+  if (!bucketIndexesSynced) {
+    bucketIndexesSynced = SurveyAnalyticsBucket.syncIndexes().catch(error => {
+      bucketIndexesSynced = null;
+      throw error;
+    });
+  }
+  return bucketIndexesSynced;
+};
+
+/**
+ * Rebuild a survey's buckets from its responses. Responses and QC batches that change while
+ * the rebuild runs are re-synced once it is done.
+ * @param {String} surveyId
+ * @param {Object} [options]
+ * @param {String} [options.reason]
+ * @returns {Promise<Object|null>} Summary, or null when another rebuild of the survey is running
+ */
+const rebuildSurveyAnalytics = (surveyId, { reason = 'manual' } = {}) => {
+  const id = String(surveyId);
+  if (inFlightRebuilds.has(id)) return inFlightRebuilds.get(id);
+
+  const run = (async () => {
+    const startedAt = new Date();
+    const staleBefore = new Date(startedAt.getTime() - STALE_REBUILD_MINUTES * 60000);
+
+    let header;
+    try {
+      header = await SurveyAnalytics.findOneAndUpdate(
+        { survey: id, $or: [{ rebuilding: { $ne: true } }, { rebuildStartedAt: { $lt: staleBefore } }] },
+        { $set: { rebuilding: true, rebuildStartedAt: startedAt, rebuildReason: reason } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) return null; // Another process is rebuilding this survey
+      throw error;
+    }
+
+    try {
+      const context = await loadSurveyContext(id);
+      if (!context) throw new Error('Survey not found');
+
+      const buckets = new Map();
+      const totals = {};
+      let factWrites = [];
+      let processed = 0;
+
+      const flushFacts = async () => {
+        if (factWrites.length === 0) return;
+        await SurveyResponse.collection.bulkWrite(factWrites, { ordered: false });
+        factWrites = [];
+      };
+
+      const cursor = SurveyResponse.find({ survey: id })
+        .select(FACT_FIELDS)
+        .populate('qcBatch', 'status remainingDecision')
+        .lean()
+        .cursor();
+
+      for await (const response of cursor) {
+        const facts = computeResponseFacts(response, await withResponseVersion(context, response));
+        const bucketKey = JSON.stringify(facts.key);
+        if (!buckets.has(bucketKey)) {
+          buckets.set(bucketKey, { ...bucketFilter(id, facts.key), count: 0, pollingStations: {}, genders: {}, ageGroups: {} });
+        }
+        const bucket = buckets.get(bucketKey);
+        Object.entries(bucketIncrement(facts, 1)).forEach(([path, value]) => {
+          const [field, mapKey] = path.split('.');
+          if (mapKey) {
+            bucket[field][mapKey] = (bucket[field][mapKey] || 0) + value;
+          } else {
+            bucket[field] = (bucket[field] || 0) + value;
+          }
+        });
+        addTotals(totals, totalsIncrement(facts, 1));
+
+        factWrites.push({ updateOne: { filter: { _id: response._id }, update: { $set: { analyticsFacts: facts } } } });
+        if (factWrites.length >= 500) await flushFacts();
+        processed++;
+      }
+      await flushFacts();
+
+      await syncBucketIndexes();
+      await SurveyAnalyticsBucket.deleteMany({ survey: id });
+      const documents = [...buckets.values()];
+      for (let i = 0; i < documents.length; i += 1000) {
+        await SurveyAnalyticsBucket.insertMany(documents.slice(i, i + 1000), { ordered: false });
+      }
+
+      await SurveyAnalytics.updateOne({ survey: id }, {
+        $set: {
+          totalResponses: 0,
+          capiResponses: 0,
+          catiResponses: 0,
+          approvedResponses: 0,
+          rejectedResponses: 0,
+          pendingResponses: 0,
+          ...totals,
+          rulesVersion: RULES_VERSION,
+          rebuilding: false,
+          rebuiltAt: new Date(),
+          lastUpdated: new Date()
+        },
+        $inc: { version: 1 }
+      });
+
+      // Changes made while the rebuild ran were skipped by syncResponseAnalytics
+      const QCBatch = require('../models/QCBatch');
+      const changed = await SurveyResponse.find({ survey: id, updatedAt: { $gte: startedAt } }).select('_id').lean();
+      const changedBatches = await QCBatch.find({ survey: id, updatedAt: { $gte: startedAt } }).select('responses').lean();
+      queueResponseAnalytics([
+        ...changed.map(response => response._id),
+        ...changedBatches.flatMap(batch => batch.responses || [])
+      ]);
+
+      return { processed, buckets: documents.length, reason };
+    } catch (error) {
+      await SurveyAnalytics.updateOne({ _id: header._id }, { $set: { rebuilding: false, rulesVersion: 0 } });
+      throw error;
+    }
+  })();
+
+  inFlightRebuilds.set(id, run);
+  run.then(() => inFlightRebuilds.delete(id), () => inFlightRebuilds.delete(id));
+  return run;
+};
+
+const pendingResponses = new Set();
+const pendingRebuilds = new Map();
+let flushScheduled = false;
+
+const flushQueue = async () => {
+  while (pendingResponses.size > 0 || pendingRebuilds.size > 0) {
+    const rebuilds = [...pendingRebuilds.entries()];
+    pendingRebuilds.clear();
+    for (const [surveyId, reason] of rebuilds) {
+      try {
+        await rebuildSurveyAnalytics(surveyId, { reason });
+      } catch (error) {
+        console.error(`❌ Analytics rebuild failed for survey ${surveyId}:`, error.message);
+      }
+    }
+
+    const ids = [...pendingResponses];
+    pendingResponses.clear();
+    for (const id of ids) {
+      try {
+        await syncResponseAnalytics(id);
+      } catch (error) {
+        console.error(`❌ Analytics sync failed for response ${id}:`, error.message);
+      }
+    }
+  }
+  flushScheduled = false;
+};
+
+const scheduleFlush = () => {
+  if (flushScheduled) return;
+  flushScheduled = true;
+  setImmediate(flushQueue);
+};
+
+/**
+ * Queue responses whose analytics facts may have changed. Syncing happens after the current
+ * request, in the background; failures are logged and left to the reconciliation job.
+ * @param {Array} responseIds
+ */
+const queueResponseAnalytics = (responseIds = []) => {
+  responseIds.forEach(id => id && pendingResponses.add(String(id)));
+  if (pendingResponses.size > 0) scheduleFlush();
+};
+
+/**
+ * Queue a full rebuild of a survey's buckets
+ * @param {String} surveyId
+ * @param {String} [reason]
+ */
+const queueSurveyRebuild = (surveyId, reason = 'bulk update') => {
+  if (!surveyId) return;
+  pendingRebuilds.set(String(surveyId), reason);
+  scheduleFlush();
+};
+
+/**
+ * Responses an update or delete is about to touch, for middleware to queue once it has run.
+ * Very large updates mark their surveys for a rebuild instead.
+ * @param {Model} Model - SurveyResponse
+ * @param {Object} filter - Query filter
+ * @param {Object} [options]
+ * @param {Boolean} [options.single] - updateOne/deleteOne
+ * @param {Boolean} [options.withFacts] - Also read the stored facts (for deletes)
+ * @returns {Promise<{responses: Array, surveys: Array}>}
+ */
+const captureAffectedResponses = async (Model, filter, { single = false, withFacts = false } = {}) => {
+  const limit = single ? 1 : MAX_QUEUED_PER_UPDATE + 1;
+  const responses = await Model.find(filter)
+    .select(withFacts ? '_id survey +analyticsFacts' : '_id survey')
+    .limit(limit)
+    .lean();
+  if (responses.length <= MAX_QUEUED_PER_UPDATE) {
+    return { responses, surveys: [] };
+  }
+  return { responses: [], surveys: await Model.distinct('survey', filter) };
+};
+
+/**
+ * Report date range as analytics days, matching the reports page filter
+ * @returns {{from: String|null, to: String|null}}
+ */
+const resolveDayRange = ({ dateRange, startDate, endDate } = {}, now = new Date()) => {
+  const today = toDayKey(now);
+  let from = null;
+  let to = null;
+
+  switch (dateRange) {
+    case 'today':
+      from = today; to = today;
+      break;
+    case 'yesterday':
+      from = addDays(today, -1); to = from;
+      break;
+    case 'week':
+      from = toDayKey(new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000)); to = today;
+      break;
+    case 'month':
+      from = toDayKey(new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000)); to = today;
+      break;
+    default:
+      break;
+  }
+
+  if (startDate && endDate) {
+    const customFrom = String(startDate).substring(0, 10);
+    const customTo = String(endDate).substring(0, 10);
+    from = from && from > customFrom ? from : customFrom;
+    to = to && to < customTo ? to : customTo;
+  }
+  return { from, to };
+};
+
+/**
+ * Statuses for the reports page's status filter; null for every status
+ * @param {String} status
+ * @returns {Array|null}
+ */
+const resolveStatuses = (status) => {
+  switch (status) {
+    case 'any':
+      return null;
+    case 'approved_rejected_pending':
+      return REPORT_STATUSES;
+    case 'approved_pending':
+      return ['Approved', 'Pending_Approval'];
+    case 'pending':
+      return ['Pending_Approval'];
+    case undefined:
+    case '':
+    case 'all':
+      return ['Approved', 'Rejected'];
+    default:
+      return [status];
+  }
+};
+
+/**
+ * Interviewers a project manager's reports are limited to
+ * @param {String} userId
+ * @returns {Promise<Array<String>>}
+ */
+const getAssignedInterviewerIds = async (userId) => {
+  const User = require('../models/User');
+  const user = await User.findById(userId).select('assignedTeamMembers').lean();
+  return (user?.assignedTeamMembers || [])
+    .filter(member => member.userType === 'interviewer' && member.user)
+    .map(member => String(member.user._id || member.user))
+    .filter(id => mongoose.Types.ObjectId.isValid(id));
+};
+
+const exactMatch = (value) => new RegExp(`^${String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+const percentageOf = (part, total) => (total > 0 ? (part / total) * 100 : 0);
+
+const demographicPercentages = (group) => ({
+  femalePercentage: percentageOf(group.female, group.count),
+  withoutPhonePercentage: percentageOf(group.withoutPhone, group.count),
+  scPercentage: percentageOf(group.sc, group.count),
+  muslimPercentage: percentageOf(group.muslim, group.count),
+  age18to24Percentage: percentageOf(group.age18to24, group.count),
+  age50PlusPercentage: percentageOf(group.age50Plus, group.count)
+});
+
+const newGroup = () => ({
+  count: 0, capi: 0, cati: 0, approved: 0, rejected: 0, autoRejected: 0, pending: 0, qcQueue: 0,
+  female: 0, withoutPhone: 0, sc: 0, muslim: 0, age18to24: 0, age50Plus: 0,
+  pollingStations: new Set(), interviewers: new Set()
+});
+
+const addToGroup = (group, bucket) => {
+  group.count += bucket.count;
+  if (bucket.interviewMode === 'CAPI') group.capi += bucket.count;
+  if (bucket.interviewMode === 'CATI') group.cati += bucket.count;
+  group.approved += REPORT_METRICS.approved.value(bucket);
+  group.rejected += REPORT_METRICS.rejected.value(bucket);
+  group.pending += REPORT_METRICS.underQC.value(bucket);
+  group.qcQueue += REPORT_METRICS.underQCQueue.value(bucket);
+  group.autoRejected += REPORT_METRICS.autoRejected.value(bucket);
+  ['female', 'withoutPhone', 'sc', 'muslim', 'age18to24', 'age50Plus'].forEach(counter => {
+    group[counter] += bucket[counter] || 0;
+  });
+  Object.entries(bucket.pollingStations || {}).forEach(([key, count]) => {
+    if (count > 0) group.pollingStations.add(key);
+  });
+  if (bucket.interviewer) group.interviewers.add(String(bucket.interviewer));
+};
+
+const groupStats = (group, totalResponses) => ({
+  count: group.count,
+  capi: group.capi,
+  cati: group.cati,
+  percentage: percentageOf(group.count, totalResponses),
+  approved: group.approved,
+  rejected: group.rejected,
+  autoRejected: group.autoRejected,
+  manualRejected: group.rejected - group.autoRejected,
+  underQC: group.pending,
+  qcQueue: group.qcQueue,
+  processingInBatch: group.pending - group.qcQueue,
+  psCovered: group.pollingStations.size,
+  ...demographicPercentages(group)
+});
+
+const sumMap = (target, source) => {
+  Object.entries(source || {}).forEach(([key, count]) => {
+    if (count > 0) {
+      const decoded = decodeKey(key);
+      target.set(decoded, (target.get(decoded) || 0) + count);
+    }
+  });
+};
+
+/**
+ * A survey's buckets matching a report filter. Builds the store first if the survey has none
+ * yet, or has one built with older rules.
+ * @param {String} surveyId
+ * @param {Object} [query]
+ * @param {Array|null} [query.statuses] - From resolveStatuses
+ * @param {String} [query.dayFrom] - From resolveDayRange
+ * @param {String} [query.dayTo]
+ * @param {String} [query.interviewMode] - 'CAPI' / 'CATI'
+ * @param {String} [query.ac]
+ * @param {String} [query.district]
+ * @param {String} [query.lokSabha]
+ * @param {Array} [query.interviewerIn] - Only these interviewers
+ * @param {Array} [query.interviewerNotIn] - Not these interviewers
+ * @returns {Promise<{header: Object|null, buckets: Array}>}
+ */
+const loadSurveyBuckets = async (surveyId, query = {}) => {
+  let header = await SurveyAnalytics.findOne({ survey: surveyId }).lean();
+  if (!header || header.rulesVersion !== RULES_VERSION) {
+    await rebuildSurveyAnalytics(surveyId, { reason: header ? 'rules changed' : 'first report' });
+    header = await SurveyAnalytics.findOne({ survey: surveyId }).lean();
+  }
+
+  const filter = { survey: surveyId, count: { $gt: 0 } };
+  if (query.statuses) filter.status = { $in: query.statuses };
+  if (query.dayFrom || query.dayTo) {
+    filter.day = {};
+    if (query.dayFrom) filter.day.$gte = query.dayFrom;
+    if (query.dayTo) filter.day.$lte = query.dayTo;
+  }
+  if (query.interviewMode) filter.interviewMode = String(query.interviewMode).toUpperCase();
+  ['ac', 'district', 'lokSabha'].forEach(field => {
+    if (query[field]) filter[field] = exactMatch(query[field]);
+  });
+  if (query.interviewerIn || query.interviewerNotIn) {
+    const toIds = (ids) => ids.filter(id => mongoose.Types.ObjectId.isValid(id)).map(id => new mongoose.Types.ObjectId(String(id)));
+    filter.interviewer = {};
+    if (query.interviewerIn) filter.interviewer.$in = toIds(query.interviewerIn);
+    if (query.interviewerNotIn) filter.interviewer.$nin = toIds(query.interviewerNotIn);
+  }
+
+  const buckets = await SurveyAnalyticsBucket.find(filter).lean();
+  return { header, buckets };
+};
+
+/**
+ * Report figures for a survey from its buckets, in the shape the reports page renders
+ * @param {Object} survey - Survey (needs _id and sampleSize)
+ * @param {Object} [query] - See loadSurveyBuckets
+ * @returns {Promise<Object>}
+ */
+const getSurveyAnalyticsReport = async (survey, query = {}) => {
+  const User = require('../models/User');
+  const { header, buckets } = await loadSurveyBuckets(survey._id, query);
+
+  const overall = newGroup();
+  const acGroups = new Map();
+  const districtCounts = new Map();
+  const lokSabhaCounts = new Map();
+  const interviewerGroups = new Map();
+  const genderStats = new Map();
+  const ageStats = new Map();
+  const dailyCounts = new Map();
+  let totalResponseTime = 0;
+  let capiApproved = 0;
+  let capiRejected = 0;
+
+  buckets.forEach(bucket => {
+    addToGroup(overall, bucket);
+    totalResponseTime += bucket.responseTime || 0;
+
+    if (bucket.ac) {
+      if (!acGroups.has(bucket.ac)) acGroups.set(bucket.ac, { ...newGroup(), acCode: '', pcCode: '', pcName: '' });
+      const group = acGroups.get(bucket.ac);
+      addToGroup(group, bucket);
+      group.acCode = group.acCode || bucket.acCode;
+      group.pcCode = bucket.pcCode || group.pcCode;
+      group.pcName = bucket.pcName || group.pcName;
+    }
+    if (bucket.district) districtCounts.set(bucket.district, (districtCounts.get(bucket.district) || 0) + bucket.count);
+    if (bucket.lokSabha) lokSabhaCounts.set(bucket.lokSabha, (lokSabhaCounts.get(bucket.lokSabha) || 0) + bucket.count);
+    if (bucket.interviewer) {
+      const id = String(bucket.interviewer);
+      if (!interviewerGroups.has(id)) interviewerGroups.set(id, newGroup());
+      addToGroup(interviewerGroups.get(id), bucket);
+    }
+
+    sumMap(genderStats, bucket.genders);
+    sumMap(ageStats, bucket.ageGroups);
+    dailyCounts.set(bucket.day, (dailyCounts.get(bucket.day) || 0) + bucket.count);
+
+    if (bucket.interviewMode === 'CAPI') {
+      if (bucket.status === 'Approved') capiApproved += bucket.count;
+      if (bucket.status === 'Rejected') capiRejected += bucket.count;
+    }
+  });
+
+  const totalResponses = overall.count;
+
+  const interviewers = await User.find({ _id: { $in: [...interviewerGroups.keys()] } })
+    .select('firstName lastName memberId')
+    .lean();
+  const interviewersById = new Map(interviewers.map(user => [String(user._id), user]));
+
+  const acStats = [...acGroups.entries()]
+    .map(([ac, group]) => ({
+      ac,
+      acCode: group.acCode,
+      pcCode: group.pcCode,
+      pcName: group.pcName || getACDetails(ac)?.pcName || '',
+      interviewersCount: group.interviewers.size,
+      ...groupStats(group, totalResponses)
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  const interviewerStats = [...interviewerGroups.entries()]
+    .map(([interviewerId, group]) => {
+      const user = interviewersById.get(interviewerId);
+      const stats = groupStats(group, totalResponses);
+      return {
+        interviewer: user ? `${user.firstName} ${user.lastName}` : 'Unknown',
+        interviewerId,
+        memberId: user?.memberId || '',
+        ...stats,
+        pending: stats.underQC
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  const countStats = (counts, field) => [...counts.entries()]
+    .map(([value, count]) => ({ [field]: value, count, percentage: percentageOf(count, totalResponses) }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    totalResponses,
+    capiResponses: overall.capi,
+    catiResponses: overall.cati,
+    completionRate: survey.sampleSize ? (totalResponses / survey.sampleSize) * 100 : 0,
+    averageResponseTime: totalResponses > 0 ? totalResponseTime / totalResponses : 0,
+    acStats,
+    districtStats: countStats(districtCounts, 'district'),
+    lokSabhaStats: countStats(lokSabhaCounts, 'lokSabha'),
+    interviewerStats,
+    genderStats: Object.fromEntries(genderStats),
+    ageStats: Object.fromEntries(ageStats),
+    dailyStats: [...dailyCounts.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([day, count]) => {
+        const [year, month, date] = day.split('-').map(Number);
+        return { date: new Date(year, month - 1, date).toDateString(), count };
+      }),
+    capiPerformance: {
+      approved: capiApproved,
+      rejected: capiRejected,
+      total: overall.capi
+    },
+    meta: {
+      lastUpdated: header?.lastUpdated || null,
+      rebuiltAt: header?.rebuiltAt || null,
+      rebuilding: !!header?.rebuilding,
+      rulesVersion: RULES_VERSION,
+      timezone: ANALYTICS_TIMEZONE
+    }
+  };
+};
+
+module.exports = {
+  RULES_VERSION,
+  ANALYTICS_TIMEZONE,
+  STALE_REBUILD_MINUTES,
+  toDayKey,
+  computeResponseFacts,
+  syncResponseAnalytics,
+  removeResponseAnalytics,
+  rebuildSurveyAnalytics,
+  queueResponseAnalytics,
+  queueSurveyRebuild,
+  captureAffectedResponses,
+  resolveDayRange,
+  resolveStatuses,
+  getAssignedInterviewerIds,
+  loadSurveyBuckets,
+  getSurveyAnalyticsReport
+};
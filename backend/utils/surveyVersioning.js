@@ -0,0 +1,270 @@
+const crypto = require('crypto');
+const { computeSurveyRevision } = require('./offlineSyncHelper');
+
+/**
+ * Survey versions
+ *
+ * Publishing a survey freezes its questionnaire (sections, questions, options, sets,
+ * languages) as version 1 in SurveyVersion. Editing a published survey still edits the
+ * Survey document, but every edit that changes the questionnaire adds a new immutable
+ * version. Responses record the version they were collected against, so reports and
+ * exports can read question text and option codes as the respondent saw them.
+ */
+
+const SURVEY_FIELDS = ['surveyName', 'description', 'languages', 'sets'];
+const QUESTION_FIELDS = [
+  'text', 'description', 'textVariants', 'descriptionVariants', 'type', 'required', 'questionNumber',
+  'enabledForCAPI', 'enabledForCATI', 'setsForThisQuestion', 'setNumber', 'conditions', 'validation', 'scale', 'settings'
+];
+const OPTION_FIELDS = ['text', 'code', 'textVariants'];
+
+// Plain JSON copy without Mongo _ids (they change on every save of a subdocument array)
+const toPlain = (value) => JSON.parse(JSON.stringify(value ?? null, (key, item) => (key === '_id' ? undefined : item)));
+
+/**
+ * Questionnaire part of a survey, as stored in SurveyVersion.snapshot
+ * @param {Object} survey - Survey document or lean object
+ * @returns {Object}
+ */
+const snapshotSurvey = (survey) => {
+  const source = typeof survey.toObject === 'function' ? survey.toObject({ flattenMaps: true }) : survey;
+  return toPlain({
+    surveyName: source.surveyName || '',
+    description: source.description || '',
+    languages: source.languages || [],
+    sections: source.sections || [],
+    questions: source.questions || [],
+    sets: source.sets || []
+  });
+};
+
+const hashSnapshot = (snapshot) => crypto.createHash('sha1').update(JSON.stringify(snapshot)).digest('hex');
+
+/**
+ * Record the survey's questionnaire as a new version unless it matches the latest one
+ * @param {Object} survey - Survey document (or lean object with _id, company and questionnaire fields)
+ * @param {Object} [options]
+ * @param {String} [options.userId]
+ * @param {String} [options.changeNote]
+ * @returns {Promise<{version: Object, created: Boolean}>}
+ */
+const publishSurveyVersion = async (survey, { userId, changeNote } = {}) => {
+  const SurveyVersion = require('../models/SurveyVersion');
+  const Survey = require('../models/Survey');
+
+  const snapshot = snapshotSurvey(survey);
+  const contentHash = hashSnapshot(snapshot);
+
+  // Two editors saving at once race for the same number; the unique index decides, the loser retries
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const latest = await SurveyVersion.findOne({ survey: survey._id }).sort({ version: -1 }).lean();
+    if (latest && latest.contentHash === contentHash) {
+      await Survey.updateOne({ _id: survey._id }, { $max: { currentVersion: latest.version } });
+      return { version: latest, created: false };
+    }
+
+    try {
+      const version = await SurveyVersion.create({
+        survey: survey._id,
+        company: survey.company?._id || survey.company,
+        version: (latest?.version || 0) + 1,
+        revision: computeSurveyRevision(snapshot),
+        contentHash,
+        snapshot,
+        changeNote: changeNote ? String(changeNote).substring(0, 500) : undefined,
+        publishedBy: userId
+      });
+      await Survey.updateOne({ _id: survey._id }, { $max: { currentVersion: version.version } });
+      return { version: version.toObject(), created: true };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+
+  throw new Error('Could not record survey version: concurrent edits');
+};
+
+/**
+ * Make sure a published survey has a version to pin responses to. Surveys published before
+ * versioning get their current questionnaire as version 1, and their existing responses are
+ * pinned to it. Call this before editing, so the baseline is the pre-edit questionnaire.
+ * @param {Object} survey - Survey document
+ * @param {String} [userId]
+ * @returns {Promise<Number>} Current version (0 for drafts)
+ */
+const ensureBaselineVersion = async (survey, userId) => {
+  if (survey.status === 'draft') return survey.currentVersion || 0;
+  if (survey.currentVersion > 0) return survey.currentVersion;
+
+  const SurveyResponse = require('../models/SurveyResponse');
+  const { version } = await publishSurveyVersion(survey, {
+    userId,
+    changeNote: 'Questionnaire as published before versioning'
+  });
+  await SurveyResponse.updateMany(
+    { survey: survey._id, surveyVersion: null },
+    { $set: { surveyVersion: version.version } }
+  );
+  return version.version;
+};
+
+// Latest version matching the filter that was published by `before`, else the earliest matching one
+const findVersionBefore = async (filter, before) => {
+  const SurveyVersion = require('../models/SurveyVersion');
+  const beforeDate = before ? new Date(before) : new Date();
+
+  const match = (!isNaN(beforeDate.getTime())
+    ? await SurveyVersion.findOne({ ...filter, createdAt: { $lte: beforeDate } }).sort({ version: -1 }).select('version').lean()
+    : null) || await SurveyVersion.findOne(filter).sort({ version: 1 }).select('version').lean();
+
+  return match ? match.version : null;
+};
+
+/**
+ * Version an offline interview was captured against, from the revision cached on the device.
+ * Text-only edits keep the revision, so the latest matching version published before the
+ * interview started wins.
+ * @param {String} surveyId
+ * @param {String} revision
+ * @param {Date} [capturedAt]
+ * @returns {Promise<Number|null>}
+ */
+const findVersionForRevision = async (surveyId, revision, capturedAt) => {
+  if (!revision) return null;
+  return findVersionBefore({ survey: surveyId, revision }, capturedAt);
+};
+
+/**
+ * Version that was current when an interview started. Interviews that started before the
+ * first version (surveys published before versioning) get the first one.
+ * @param {String} surveyId
+ * @param {Date} [startedAt]
+ * @returns {Promise<Number|null>} null while the survey has no versions
+ */
+const findVersionAt = (surveyId, startedAt) => findVersionBefore({ survey: surveyId }, startedAt);
+
+// Version pinned on an interview session at start (metadata.surveyVersion); older sessions hold a
+// free-form string there, which is ignored
+const getSessionSurveyVersion = (session) => {
+  const version = session?.metadata?.surveyVersion;
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const diffFields = (from, to, fields) => fields
+  .filter(field => !isEqual(from[field], to[field]))
+  .map(field => ({ field, from: from[field] ?? null, to: to[field] ?? null }));
+
+const optionKey = (option) => String(typeof option === 'object' ? (option.value ?? option.text) : option);
+
+const diffOptions = (fromOptions = [], toOptions = []) => {
+  const before = new Map(fromOptions.map(option => [optionKey(option), option]));
+  const after = new Map(toOptions.map(option => [optionKey(option), option]));
+
+  return {
+    added: toOptions.filter(option => !before.has(optionKey(option))),
+    removed: fromOptions.filter(option => !after.has(optionKey(option))),
+    changed: toOptions
+      .filter(option => before.has(optionKey(option)))
+      .map(option => ({
+        value: optionKey(option),
+        changes: diffFields(before.get(optionKey(option)), option, OPTION_FIELDS)
+      }))
+      .filter(option => option.changes.length > 0)
+  };
+};
+
+// Question id -> { question, sectionId }
+const indexQuestions = (snapshot) => {
+  const byId = new Map();
+  (snapshot.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => {
+      byId.set(question.id, { question, sectionId: section.id });
+    });
+  });
+  (snapshot.questions || []).forEach(question => {
+    byId.set(question.id, { question, sectionId: null });
+  });
+  return byId;
+};
+
+const describeQuestion = ({ question, sectionId }) => ({
+  id: question.id,
+  questionNumber: question.questionNumber || null,
+  text: question.text,
+  type: question.type,
+  sectionId
+});
+
+/**
+ * What changed between two snapshots. Questions are matched by id and options by value,
+ * the keys responses are stored under.
+ * @param {Object} fromSnapshot
+ * @param {Object} toSnapshot
+ * @returns {Object}
+ */
+const diffSnapshots = (fromSnapshot, toSnapshot) => {
+  const fromSections = new Map((fromSnapshot.sections || []).map(section => [section.id, section]));
+  const toSections = new Map((toSnapshot.sections || []).map(section => [section.id, section]));
+
+  const sections = {
+    added: (toSnapshot.sections || []).filter(section => !fromSections.has(section.id)).map(({ id, title }) => ({ id, title })),
+    removed: (fromSnapshot.sections || []).filter(section => !toSections.has(section.id)).map(({ id, title }) => ({ id, title })),
+    changed: (toSnapshot.sections || [])
+      .filter(section => fromSections.has(section.id))
+      .map(section => ({
+        id: section.id,
+        title: section.title,
+        changes: diffFields(fromSections.get(section.id), section, ['title', 'description'])
+      }))
+      .filter(section => section.changes.length > 0)
+  };
+
+  const fromQuestions = indexQuestions(fromSnapshot);
+  const toQuestions = indexQuestions(toSnapshot);
+  const questions = { added: [], removed: [], changed: [] };
+
+  toQuestions.forEach((entry, id) => {
+    if (!fromQuestions.has(id)) {
+      questions.added.push(describeQuestion(entry));
+      return;
+    }
+    const previous = fromQuestions.get(id);
+    const changes = diffFields(previous.question, entry.question, QUESTION_FIELDS);
+    if (previous.sectionId !== entry.sectionId) {
+      changes.push({ field: 'section', from: previous.sectionId, to: entry.sectionId });
+    }
+    const options = diffOptions(previous.question.options, entry.question.options);
+    if (changes.length > 0 || options.added.length > 0 || options.removed.length > 0 || options.changed.length > 0) {
+      questions.changed.push({ ...describeQuestion(entry), changes, options });
+    }
+  });
+  fromQuestions.forEach((entry, id) => {
+    if (!toQuestions.has(id)) {
+      questions.removed.push(describeQuestion(entry));
+    }
+  });
+
+  return {
+    survey: diffFields(fromSnapshot, toSnapshot, SURVEY_FIELDS),
+    sections,
+    questions,
+    summary: {
+      questionsAdded: questions.added.length,
+      questionsRemoved: questions.removed.length,
+      questionsChanged: questions.changed.length,
+      sectionsChanged: sections.added.length + sections.removed.length + sections.changed.length
+    }
+  };
+};
+
+module.exports = {
+  snapshotSurvey,
+  publishSurveyVersion,
+  ensureBaselineVersion,
+  findVersionForRevision,
+  findVersionAt,
+  getSessionSurveyVersion,
+  diffSnapshots
+};
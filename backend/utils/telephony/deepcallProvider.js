@@ -0,0 +1,836 @@
+const axios = require('axios');
+const querystring = require('querystring');
+
+// DeepCall API Configuration
+const DEEPCALL_API_BASE_URL = 'https://s-ct3.sarv.com/v2/clickToCall/para';
+const DEEPCALL_RECORDING_BASE_URL = 'https://s-ct3.sarv.com/v2/recording/direct';
+const DEEPCALL_USER_ID = process.env.DEEPCALL_USER_ID || '89130240';
+const DEEPCALL_TOKEN = process.env.DEEPCALL_TOKEN || '6GQJuwW6lB8ZBHntzaRU';
+
+/**
+ * Place a click-to-call through DeepCall: DeepCall rings `fromNumber` (the interviewer)
+ * first and bridges to `toNumber` (the respondent) once answered.
+ * @param {Object} options
+ * @param {String} options.fromNumber
+ * @param {String} options.toNumber
+ * @param {String} [options.fromType='Number']
+ * @param {String} [options.toType='Number']
+ * @param {Number} [options.fromRingTime=30] - Seconds to ring the caller
+ * @param {Number} [options.toRingTime=30] - Seconds to ring the respondent
+ * @param {Number} [options.timeLimit] - Maximum call length in seconds
+ * @returns {Promise<Object>} { success, callId, apiResponse, data } or { success: false, message, error, statusCode }
+ */
+const initiateCall = async ({ fromNumber, toNumber, fromType = 'Number', toType = 'Number', fromRingTime = 30, toRingTime = 30, timeLimit }) => {
+  try {
+    const cleanFrom = fromNumber.replace(/[^0-9]/g, '');
+    const cleanTo = toNumber.replace(/[^0-9]/g, '');
+
+    const params = {
+      user_id: DEEPCALL_USER_ID,
+      token: DEEPCALL_TOKEN,
+      from: cleanFrom,
+      to: cleanTo,
+      fromType: fromType,
+      toType: toType,
+      fromRingTime: parseInt(fromRingTime),
+      toRingTime: parseInt(toRingTime)
+    };
+    if (timeLimit) params.timeLimit = parseInt(timeLimit);
+
+    const queryString = new URLSearchParams(params).toString();
+    const fullUrl = `${DEEPCALL_API_BASE_URL}?${queryString}`;
+
+    console.log(`📞 Making CATI call via DeepCall: ${fromNumber} -> ${toNumber}`);
+
+    const response = await axios.get(fullUrl, {
+      timeout: 30000,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+
+    const apiResponse = response.data;
+    console.log('📞 DeepCall API raw response:', apiResponse);
+    
+    // Normalize common fields
+    const status = typeof apiResponse?.status === 'string'
+      ? apiResponse.status.toLowerCase()
+      : apiResponse?.status;
+    const code = apiResponse?.code ?? apiResponse?.statusCode ?? apiResponse?.status_code;
+
+    // Treat as error only when status explicitly indicates error or when we have a clear non‑success code
+    const isExplicitErrorStatus = status === 'error' || status === 'failed' || status === 'failure';
+    const isErrorCode = code !== undefined && !['0', 0, '200', 200].includes(code);
+
+    if (isExplicitErrorStatus || isErrorCode) {
+      const errorMessage =
+        apiResponse.message ||
+        (typeof apiResponse.error === 'string' ? apiResponse.error : apiResponse.error?.message) ||
+        `DeepCall API Error: ${code || 'Unknown error'}`;
+      return {
+        success: false,
+        message: errorMessage,
+        error: {
+          message: errorMessage,
+          code,
+          status: apiResponse.status,
+          details: apiResponse
+        },
+        statusCode: code
+      };
+    }
+    
+    const callId = apiResponse?.callId || apiResponse?.id || apiResponse?.call_id || apiResponse?.data?.callId;
+
+    if (!callId) {
+      return {
+        success: false,
+        message: 'API response does not contain call ID',
+        error: {
+          message: 'API response does not contain call ID',
+          details: apiResponse
+        },
+        apiResponse: apiResponse
+      };
+    }
+
+    return {
+      success: true,
+      callId: callId,
+      apiResponse: apiResponse,
+      data: {
+        callId: callId,
+        fromNumber: fromNumber,
+        toNumber: toNumber,
+        apiResponse: apiResponse
+      }
+    };
+
+  } catch (error) {
+    console.error('Error initiating DeepCall:', error);
+    console.error('Error details:', {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+      statusText: error.response?.statusText
+    });
+    
+    // Extract error message from various possible formats
+    const errorMessage = error.response?.data?.message || 
+                        error.response?.data?.error?.message || 
+                        (typeof error.response?.data?.error === 'string' ? error.response?.data?.error : null) ||
+                        error.message || 
+                        'Failed to initiate call';
+    
+    return {
+      success: false,
+      message: errorMessage,
+      error: {
+        message: errorMessage,
+        code: error.response?.data?.code || error.response?.data?.error?.code || error.response?.status,
+        status: error.response?.data?.status,
+        details: error.response?.data || error.message
+      },
+      statusCode: error.response?.status
+    };
+  }
+};
+
+/**
+ * Parse a DeepCall push report from the raw request.
+ * DeepCall sends JSON, but may also send form-encoded data with a push_report field.
+ * @param {Object} delivery
+ * @param {String} [delivery.rawBody] - Raw request body (captured in catiRoutes)
+ * @param {String} [delivery.contentType] - Content-Type header
+ * @param {Object} [delivery.body] - Body as parsed by express
+ * @returns {Object} Webhook data
+ * @throws {Error} If the payload contains no call data
+ */
+const parseStatusCallback = ({ rawBody, contentType, body }) => {
+  // According to DeepCall docs: https://deepcall.com/api/push-report-webhook
+  // The webhook sends data in JSON format directly in the request body
+  // We need to handle both JSON and form-encoded formats
+  
+  let webhookData = {};
+  
+  // First, try to use raw body if available (captured via verify function)
+  if (rawBody) {
+    console.log('📋 ========== RAW BODY CAPTURED ==========');
+    console.log('📋 Raw body length:', rawBody.length, 'bytes');
+    console.log('📋 Raw body content:', rawBody);
+    console.log('📋 =======================================');
+    
+    // Try to parse as JSON first (DeepCall docs say it sends JSON)
+    try {
+      webhookData = JSON.parse(rawBody);
+      console.log('✅ Successfully parsed raw body as JSON');
+      console.log('📋 Parsed data keys:', Object.keys(webhookData));
+      console.log('📋 Parsed data:', JSON.stringify(webhookData, null, 2));
+    } catch (e) {
+      // If not JSON, try form-encoded
+      console.log('⚠️  Raw body is not JSON, trying form-encoded format');
+      console.log('   Error:', e.message);
+      const parsed = querystring.parse(rawBody);
+      console.log('📋 Parsed form-encoded keys:', Object.keys(parsed));
+      console.log('📋 Parsed form-encoded data:', JSON.stringify(parsed, null, 2));
+      
+      // Check for push_report field
+      if (parsed.push_report) {
+        console.log('📋 Found push_report in form-encoded data');
+        console.log('📋 push_report value:', parsed.push_report);
+        console.log('📋 push_report type:', typeof parsed.push_report);
+        console.log('📋 push_report length:', parsed.push_report.length);
+        
+        // Check if push_report is empty
+        if (parsed.push_report === '{}' || parsed.push_report.trim() === '{}') {
+          console.error('❌ CRITICAL: push_report is EMPTY "{}"');
+          console.error('   This means the webhook template in DeepCall dashboard is sending empty data.');
+          console.error('   The template needs to be configured with actual field values.');
+          console.error('   According to DeepCall docs, the webhook should receive JSON with all call data.');
+          console.error('   Please check the webhook template configuration in DeepCall dashboard.');
+          console.error('   The template should include fields like: callId, callStatus, recordings, etc.');
+        }
+        
+        try {
+          webhookData = JSON.parse(parsed.push_report);
+          console.log('✅ Successfully parsed push_report as JSON');
+          console.log('📋 Parsed push_report keys:', Object.keys(webhookData));
+          console.log('📋 Parsed push_report data:', JSON.stringify(webhookData, null, 2));
+        } catch (e2) {
+          console.error('❌ Error parsing push_report as JSON:', e2.message);
+          console.error('   push_report value that failed:', parsed.push_report);
+          webhookData = parsed;
+        }
+      } else {
+        console.log('⚠️  No push_report field found in form-encoded data');
+        webhookData = parsed;
+      }
+    }
+  } else {
+    // Fallback to parsed body (if raw body not available)
+    console.log('📋 Using parsed body (raw body not available)');
+    const type = contentType || '';
+    
+    if (type.includes('application/json')) {
+      webhookData = body || {};
+      console.log('📋 Received as JSON format');
+    } else if (type.includes('application/x-www-form-urlencoded')) {
+      console.log('📋 Received as form-encoded format');
+      if (body && body.push_report) {
+        const pushReport = body.push_report;
+        if (typeof pushReport === 'string') {
+          try {
+            webhookData = JSON.parse(pushReport);
+            console.log('✅ Parsed push_report from form-encoded body');
+          } catch (e) {
+            console.error('❌ Error parsing push_report:', e.message);
+            webhookData = body;
+          }
+        } else {
+          webhookData = pushReport;
+        }
+      } else {
+        webhookData = body || {};
+      }
+    } else {
+      webhookData = body || {};
+    }
+  }
+  
+  // Log the final webhook data
+  console.log('📋 Final webhookData keys:', Object.keys(webhookData));
+  console.log('📋 Final webhookData (first 1000 chars):', JSON.stringify(webhookData, null, 2).substring(0, 1000));
+  
+  // Check if we have meaningful data
+  if (Object.keys(webhookData).length === 0) {
+    console.error('❌ CRITICAL: Webhook received but contains NO call data!');
+    console.error('   This indicates the webhook template in DeepCall is not configured properly.');
+    console.error('   According to DeepCall docs, the webhook should receive JSON data directly.');
+    console.error('   Please verify the webhook template configuration in DeepCall dashboard.');
+  } else if (webhookData.push_report === '{}' && Object.keys(webhookData).length === 1) {
+    console.error('❌ CRITICAL: push_report is EMPTY JSON object "{}"');
+    console.error('   This means the webhook template in DeepCall dashboard is not configured correctly.');
+    console.error('   The template should include all the required fields from the DeepCall documentation.');
+    console.error('   Please configure the webhook template in DeepCall dashboard with the actual data fields.');
+  } else {
+    console.log('✅ Webhook data received successfully with', Object.keys(webhookData).length, 'fields');
+  }
+  
+  // Check if we have any meaningful data after parsing
+  const hasData = Object.keys(webhookData).some(key => 
+    key !== 'push_report' && webhookData[key] !== null && webhookData[key] !== undefined && webhookData[key] !== ''
+  );
+  
+  if (!hasData && webhookData.push_report === '{}') {
+    console.error('❌ CRITICAL: Webhook received but contains NO call data!');
+    console.error('   This indicates the webhook template in DeepCall is not configured properly.');
+    console.error('   Please configure the webhook template in DeepCall dashboard with the required fields.');
+  }
+
+  if (!hasData) {
+    throw new Error('Webhook payload contains no call data');
+  }
+
+  return webhookData;
+};
+
+/**
+ * Extract the fields that identify one push report (used for idempotency)
+ * @param {Object} webhookData - Parsed push report
+ * @returns {{callId: String|null, callStatus: String|null}}
+ */
+const getCallIdentity = (webhookData) => {
+  const callId = webhookData?.callId || webhookData?.call_id || webhookData?.id ||
+                 webhookData?.call?.id || webhookData?.call?.callId ||
+                 webhookData?.data?.callId || webhookData?.data?.id || null;
+  const statusValue = webhookData?.callStatus ?? webhookData?.status ?? webhookData?.call?.status ?? webhookData?.state ?? null;
+
+  return {
+    callId: callId ? String(callId).trim() : null,
+    callStatus: statusValue === null || statusValue === undefined ? null : String(statusValue).trim()
+  };
+};
+
+/**
+ * Normalize a type value to the CatiCall enum casing (Number, Agent, Group)
+ * @param {String} type
+ * @returns {String|null}
+ */
+const normalizeType = (type) => {
+  if (!type) return null;
+  const typeStr = type.toString();
+  return typeStr.charAt(0).toUpperCase() + typeStr.slice(1).toLowerCase();
+};
+
+/**
+ * Parse a DeepCall date ("2025-11-20 23:55:27" in IST, or a Unix timestamp)
+ * @param {String|Number} dateStr
+ * @returns {Date|null}
+ */
+const parseDeepCallDate = (dateStr) => {
+  if (!dateStr) return null;
+  // Handle DeepCall date format: "2025-11-20 23:55:27" (assume IST timezone)
+  if (typeof dateStr === 'string' && dateStr.match(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/)) {
+    // Parse as IST (UTC+5:30)
+    return new Date(dateStr + '+05:30');
+  }
+  // Handle Unix timestamp (seconds or milliseconds)
+  if (dateStr.toString().length === 10 || dateStr.toString().length === 13) {
+    return new Date(parseInt(dateStr) * (dateStr.toString().length === 10 ? 1000 : 1));
+  }
+  // Try standard Date parsing
+  return new Date(dateStr);
+};
+
+/**
+ * Translate a DeepCall push report into CatiCall fields.
+ * @param {Object} webhookData - Parsed push report
+ * @returns {{callId: String|null, fromNumber: String|null, toNumber: String|null, fromType: String, toType: String, metadata: Object, update: Object}}
+ */
+const mapStatusCallback = (webhookData) => {
+  const { callId } = getCallIdentity(webhookData);
+
+  // DeepCall uses: api_para.from, api_para.to, masterNumCTC (from), cNumber (to)
+  const fromNumber = (webhookData?.api_para?.from || 
+                      webhookData?.from || 
+                      webhookData?.fromNumber || 
+                      webhookData?.call?.from ||
+                      webhookData?.masterNumCTC)?.toString().replace(/[^0-9]/g, '') || null;
+  const toNumber = (webhookData?.api_para?.to || 
+                    webhookData?.cNumber ||
+                    webhookData?.to || 
+                    webhookData?.toNumber || 
+                    webhookData?.call?.to)?.toString().replace(/[^0-9]/g, '') || null;
+
+  const updateData = {};
+
+  // Extract call status - DeepCall uses "callStatus" (numeric codes)
+  const statusValue = webhookData?.callStatus || 
+                     webhookData?.status || 
+                     webhookData?.call?.status ||
+                     webhookData?.state ||
+                     webhookData?.call?.state;
+  
+  if (statusValue !== null && statusValue !== undefined) {
+    // Handle numeric status codes from DeepCall
+    // Map according to DeepCall documentation for CTC (Click to Call) calls
+    const statusNum = parseInt(statusValue);
+    if (!isNaN(statusNum)) {
+      // Store original status code and description
+      updateData.originalStatusCode = statusNum;
+      
+      // Map numeric status codes according to DeepCall documentation
+      // For CTC calls: From = first number, To = second number
+      const statusMap = {
+        3: { status: 'completed', description: 'Both Answered' },
+        4: { status: 'answered', description: 'To Ans. - From Unans.' },
+        5: { status: 'answered', description: 'To Ans' },
+        6: { status: 'answered', description: 'To Unans - From Ans.' },
+        7: { status: 'no-answer', description: 'From Unanswered' },
+        8: { status: 'no-answer', description: 'To Unans.' },
+        9: { status: 'no-answer', description: 'Both Unanswered' },
+        10: { status: 'answered', description: 'From Ans.' },
+        11: { status: 'cancelled', description: 'Rejected Call' },
+        12: { status: 'cancelled', description: 'Skipped' },
+        13: { status: 'failed', description: 'From Failed' },
+        14: { status: 'failed', description: 'To Failed - From Ans.' },
+        15: { status: 'failed', description: 'To Failed' },
+        16: { status: 'failed', description: 'To Ans - From Failed' },
+        17: { status: 'busy', description: 'From Busy' },
+        18: { status: 'failed', description: 'To Ans. - From Not Found' },
+        19: { status: 'busy', description: 'To Unans. - From Busy' },
+        20: { status: 'cancelled', description: 'To Hangup in Queue' },
+        21: { status: 'cancelled', description: 'To Hangup' }
+      };
+      
+      if (statusMap[statusNum]) {
+        updateData.callStatus = statusMap[statusNum].status;
+        updateData.statusDescription = statusMap[statusNum].description;
+        console.log(`📊 Status ${statusNum} mapped to: ${updateData.callStatus} (${updateData.statusDescription})`);
+      } else if (statusNum === 1 || statusNum === 2) {
+        // Status 1-2 are typically ringing/initiating
+        updateData.callStatus = 'ringing';
+        updateData.statusDescription = 'Ringing';
+      } else {
+        // Unknown status code - try to infer from nHDetail
+        if (webhookData?.nHDetail && Array.isArray(webhookData.nHDetail)) {
+          const hasAnswered = webhookData.nHDetail.some(n => n.status === 'answered');
+          updateData.callStatus = hasAnswered ? 'answered' : 'no-answer';
+          updateData.statusDescription = hasAnswered ? 'Answered' : 'No Answer';
+        } else {
+          updateData.callStatus = 'completed';
+          updateData.statusDescription = 'Completed';
+        }
+        console.log(`⚠️  Unknown status code ${statusNum}, inferred: ${updateData.callStatus}`);
+      }
+    } else {
+      // Handle string status values
+    const statusLower = statusValue.toString().toLowerCase();
+    if (statusLower.includes('complete') || statusLower.includes('completed') || statusLower === 'success') {
+      updateData.callStatus = 'completed';
+    } else if (statusLower.includes('answer') || statusLower.includes('answered')) {
+      updateData.callStatus = 'answered';
+    } else if (statusLower.includes('ring')) {
+      updateData.callStatus = 'ringing';
+    } else if (statusLower.includes('busy')) {
+      updateData.callStatus = 'busy';
+    } else if (statusLower.includes('fail') || statusLower.includes('error')) {
+      updateData.callStatus = 'failed';
+    } else if (statusLower.includes('cancel')) {
+      updateData.callStatus = 'cancelled';
+      } else if (statusLower.includes('no-answer') || statusLower.includes('no_answer') || statusLower.includes('missed')) {
+      updateData.callStatus = 'no-answer';
+      } else {
+        // Final fallback: check nHDetail for actual status
+        if (webhookData?.nHDetail && Array.isArray(webhookData.nHDetail)) {
+          const hasAnswered = webhookData.nHDetail.some(n => n.status === 'answered');
+          updateData.callStatus = hasAnswered ? 'answered' : 'no-answer';
+    } else {
+      updateData.callStatus = statusLower;
+    }
+      }
+    }
+    console.log(`📊 Call status updated to: ${updateData.callStatus} (from value: ${statusValue})`);
+  }
+
+  // Extract call timing information - DeepCall format
+  // DeepCall uses: firstAnswerTime, lastHangupTime, ivrSTime, ivrETime (format: "2025-11-20 23:55:27")
+  const startTime = webhookData?.ivrSTime || 
+                    webhookData?.firstAnswerTime || 
+                    webhookData?.custAnswerSTime ||
+                    webhookData?.startTime || 
+                    webhookData?.callStartTime || 
+                    webhookData?.start_time ||
+                    webhookData?.call?.startTime ||
+                    webhookData?.timestamp;
+  if (startTime) {
+    updateData.callStartTime = parseDeepCallDate(startTime);
+    console.log(`⏰ Call start time: ${updateData.callStartTime}`);
+  }
+
+  const endTime = webhookData?.ivrETime ||
+                  webhookData?.lastHangupTime ||
+                  webhookData?.custAnswerETime ||
+                  webhookData?.endTime || 
+                  webhookData?.callEndTime || 
+                  webhookData?.end_time ||
+                  webhookData?.call?.endTime ||
+                  webhookData?.completedAt;
+  if (endTime) {
+    updateData.callEndTime = parseDeepCallDate(endTime);
+    console.log(`⏰ Call end time: ${updateData.callEndTime}`);
+  }
+
+  // Calculate duration - prioritize lastFirstDuration (actual call duration)
+  // DeepCall uses: lastFirstDuration (actual call duration), talkDuration, custAnswerDuration, ivrDuration
+  const lastFirstDuration = webhookData?.lastFirstDuration;
+  if (lastFirstDuration !== null && lastFirstDuration !== undefined) {
+    updateData.callDuration = parseInt(lastFirstDuration) || 0;
+    console.log(`⏱️  Call duration (lastFirstDuration): ${updateData.callDuration}s`);
+  } else if (updateData.callStartTime && updateData.callEndTime) {
+    // Calculate from start and end times
+    const durationMs = updateData.callEndTime - updateData.callStartTime;
+    updateData.callDuration = Math.floor(durationMs / 1000);
+    console.log(`⏱️  Calculated duration from times: ${updateData.callDuration}s`);
+  } else {
+    // Try to get duration from webhook data
+    const duration = webhookData?.talkDuration ||
+                     webhookData?.custAnswerDuration ||
+                     webhookData?.ivrDuration ||
+                     webhookData?.duration || 
+                     webhookData?.callDuration || 
+                     webhookData?.call_duration ||
+                     webhookData?.totalDuration ||
+                     webhookData?.call?.duration;
+    if (duration) {
+      updateData.callDuration = parseInt(duration) || 0;
+      console.log(`⏱️  Duration from webhook: ${updateData.callDuration}s`);
+    }
+  }
+
+  // DeepCall specific duration fields
+  const talkDuration = webhookData?.talkDuration || 
+                       webhookData?.talk_duration ||
+                       webhookData?.call?.talkDuration ||
+                       webhookData?.billableDuration;
+  if (talkDuration) {
+    updateData.talkDuration = parseInt(talkDuration) || 0;
+    console.log(`💬 Talk duration: ${updateData.talkDuration}s`);
+  }
+
+  const custAnswerDuration = webhookData?.custAnswerDuration;
+  if (custAnswerDuration) {
+    updateData.custAnswerDuration = parseInt(custAnswerDuration) || 0;
+  }
+
+  const ivrDuration = webhookData?.ivrDuration;
+  if (ivrDuration) {
+    updateData.ivrDuration = parseInt(ivrDuration) || 0;
+  }
+
+  const agentOnCallDuration = webhookData?.agentOnCallDuration;
+  if (agentOnCallDuration) {
+    updateData.agentOnCallDuration = parseInt(agentOnCallDuration) || 0;
+  }
+
+  // Extract recording information - DeepCall stores full URL in nHDetail[].recordingUrl
+  // Priority: nHDetail recordingUrl (full URL) > recordings array > other fields
+  let recordingUrl = null;
+  
+  // First, try to get from nHDetail array (has full URL with recordingUrl property)
+  if (webhookData?.nHDetail && Array.isArray(webhookData.nHDetail)) {
+    for (const detail of webhookData.nHDetail) {
+      if (detail.recordingUrl && typeof detail.recordingUrl === 'string' && detail.recordingUrl.startsWith('http')) {
+        recordingUrl = detail.recordingUrl;
+        console.log(`🎵 Found recording URL in nHDetail: ${recordingUrl}`);
+        break;
+      }
+    }
+  }
+  
+  // If not found in nHDetail, try recordings array
+  if (!recordingUrl) {
+    let recordingsData = webhookData?.recordings || 
+                    webhookData?.recordingUrl || 
+                    webhookData?.recording_url ||
+                    webhookData?.recording?.url ||
+                    webhookData?.call?.recordingUrl ||
+                    webhookData?.audioUrl ||
+                    webhookData?.audio_url;
+  
+    // Handle recordings as array (DeepCall format)
+    if (Array.isArray(recordingsData)) {
+      if (recordingsData.length > 0) {
+        const firstRecording = recordingsData[0];
+        if (typeof firstRecording === 'object' && firstRecording !== null) {
+          // If it has a 'file' property, it's a relative path - construct full URL
+          if (firstRecording.file && firstRecording.file.startsWith('/')) {
+            // Construct full URL from relative path
+            recordingUrl = `${DEEPCALL_RECORDING_BASE_URL}/${webhookData?.userId || DEEPCALL_USER_ID}${firstRecording.file}`;
+            console.log(`🎵 Constructed recording URL from file path: ${recordingUrl}`);
+          } else {
+            recordingUrl = firstRecording.url || firstRecording.file || firstRecording;
+          }
+        } else {
+          recordingUrl = firstRecording;
+        }
+      }
+    } else if (recordingsData && typeof recordingsData === 'string') {
+      // If it's a string, check if it's a relative path or full URL
+      if (recordingsData.startsWith('/')) {
+        // Relative path - construct full URL
+        recordingUrl = `${DEEPCALL_RECORDING_BASE_URL}/${webhookData?.userId || DEEPCALL_USER_ID}${recordingsData}`;
+        console.log(`🎵 Constructed recording URL from relative path: ${recordingUrl}`);
+      } else if (recordingsData.startsWith('http')) {
+        // Already a full URL
+        recordingUrl = recordingsData;
+      }
+    }
+  }
+  
+  // Only set if we have a valid string URL
+  if (recordingUrl && typeof recordingUrl === 'string' && recordingUrl !== 'null' && recordingUrl !== '' && recordingUrl !== '[]' && recordingUrl.startsWith('http')) {
+    updateData.recordingUrl = recordingUrl;
+    console.log(`🎵 Final recording URL: ${recordingUrl}`);
+  } else {
+    console.log(`⚠️  No valid recording URL found in webhook data`);
+  }
+
+  const recordingDuration = webhookData?.recordingDuration || 
+                             webhookData?.recording_duration ||
+                             webhookData?.recording?.duration ||
+                             webhookData?.call?.recordingDuration ||
+                             webhookData?.audioDuration;
+  if (recordingDuration) {
+    updateData.recordingDuration = parseInt(recordingDuration) || 0;
+    console.log(`🎵 Recording duration: ${updateData.recordingDuration}s`);
+  }
+
+  const recordingFileSize = webhookData?.recordingFileSize || 
+                             webhookData?.recording_file_size ||
+                             webhookData?.recording?.fileSize ||
+                             webhookData?.call?.recordingFileSize ||
+                             webhookData?.audioFileSize;
+  if (recordingFileSize) {
+    updateData.recordingFileSize = parseInt(recordingFileSize) || 0;
+    console.log(`🎵 Recording file size: ${updateData.recordingFileSize} bytes`);
+  }
+
+  // Extract phone numbers - DeepCall uses: api_para.from, api_para.to, masterNumCTC (from), cNumber (to)
+  if (webhookData?.api_para?.from) {
+    updateData.fromNumber = webhookData.api_para.from.toString().replace(/[^0-9]/g, '');
+    console.log(`📞 From number (api_para): ${updateData.fromNumber}`);
+  } else if (webhookData?.masterNumCTC) {
+    updateData.fromNumber = webhookData.masterNumCTC.toString().replace(/[^0-9]/g, '');
+    console.log(`📞 From number (masterNumCTC): ${updateData.fromNumber}`);
+  }
+  
+  if (webhookData?.api_para?.to) {
+    updateData.toNumber = webhookData.api_para.to.toString().replace(/[^0-9]/g, '');
+    console.log(`📞 To number (api_para): ${updateData.toNumber}`);
+  } else if (webhookData?.cNumber || webhookData?.cNumber10) {
+    updateData.toNumber = (webhookData.cNumber || webhookData.cNumber10).toString().replace(/[^0-9]/g, '');
+    console.log(`📞 To number (cNumber): ${updateData.toNumber}`);
+  }
+  
+  // Normalize fromType and toType - capitalize first letter to match enum (Number, Agent, Group)
+  if (webhookData?.api_para?.fromType) {
+    updateData.fromType = normalizeType(webhookData.api_para.fromType);
+  }
+  if (webhookData?.api_para?.toType) {
+    updateData.toType = normalizeType(webhookData.api_para.toType);
+  }
+  
+  // Extract detailed information from nHDetail array (number history details)
+  if (webhookData?.nHDetail && Array.isArray(webhookData.nHDetail) && webhookData.nHDetail.length > 0) {
+    updateData.numberDetails = webhookData.nHDetail;
+    
+    // Extract ring duration from nHDetail (sum of all ring durations)
+    const totalRingDuration = webhookData.nHDetail.reduce((sum, n) => {
+      return sum + (parseInt(n.totalRingDuration) || 0);
+    }, 0);
+    if (totalRingDuration > 0) {
+      updateData.ringDuration = totalRingDuration;
+      console.log(`📞 Total ring duration: ${totalRingDuration}s`);
+    }
+    
+    // Extract talk duration from nHDetail (sum of all talk durations)
+    const totalTalkDuration = webhookData.nHDetail.reduce((sum, n) => {
+      return sum + (parseInt(n.talkDuration) || 0);
+    }, 0);
+    if (totalTalkDuration > 0 && !updateData.talkDuration) {
+      updateData.talkDuration = totalTalkDuration;
+      console.log(`💬 Total talk duration from nHDetail: ${totalTalkDuration}s`);
+    }
+    
+    // Find the first answered number to get answer time
+    const answeredNumber = webhookData.nHDetail.find(n => n.status === 'answered');
+    if (answeredNumber) {
+      if (answeredNumber.answerSTime && !updateData.callStartTime) {
+        updateData.callStartTime = new Date(answeredNumber.answerSTime);
+        console.log(`⏰ Answer start time from nHDetail: ${updateData.callStartTime}`);
+      }
+      if (answeredNumber.answerETime && !updateData.callEndTime) {
+        updateData.callEndTime = new Date(answeredNumber.answerETime);
+        console.log(`⏰ Answer end time from nHDetail: ${updateData.callEndTime}`);
+      }
+      if (answeredNumber.answerDuration && !updateData.callDuration) {
+        updateData.callDuration = parseInt(answeredNumber.answerDuration) || 0;
+        console.log(`⏱️  Answer duration from nHDetail: ${updateData.callDuration}s`);
+      }
+    }
+  }
+
+  // Extract hangup information - DeepCall uses: exitCode, HangupBySourceDetected
+  if (webhookData?.exitCode) {
+    updateData.hangupCause = webhookData.exitCode;
+    console.log(`📴 Hangup cause: ${updateData.hangupCause}`);
+  }
+  if (webhookData?.HangupBySourceDetected) {
+    updateData.hangupBySource = webhookData.HangupBySourceDetected;
+  }
+  if (webhookData?.hangupReason) {
+    updateData.hangupReason = webhookData.hangupReason;
+  }
+
+  // Extract caller ID information
+  if (webhookData?.callerId || webhookData?.caller_id) {
+    updateData.callerId = webhookData.callerId || webhookData.caller_id;
+  }
+  if (webhookData?.dialedNumber || webhookData?.dialed_number) {
+    updateData.dialedNumber = webhookData.dialedNumber || webhookData.dialed_number;
+  }
+
+  // Extract cost information - DeepCall uses: totalCreditsUsed
+  if (webhookData?.totalCreditsUsed) {
+    updateData.callCost = parseFloat(webhookData.totalCreditsUsed) || 0;
+    console.log(`💰 Credits used: ${updateData.callCost}`);
+  } else if (webhookData?.cost || webhookData?.callCost) {
+    updateData.callCost = parseFloat(webhookData.cost || webhookData.callCost) || 0;
+  }
+  if (webhookData?.currency) {
+    updateData.currency = webhookData.currency;
+  }
+
+  // Extract DeepCall specific fields
+  if (webhookData?.CTC) {
+    updateData.ctc = webhookData.CTC;
+  }
+  if (webhookData?.did) {
+    updateData.did = webhookData.did;
+  }
+  if (webhookData?.cType) {
+    updateData.callType = webhookData.cType;
+  }
+  if (webhookData?.campId) {
+    updateData.campaignId = webhookData.campId;
+  }
+  if (webhookData?.userId) {
+    updateData.deepCallUserId = webhookData.userId;
+  }
+  if (webhookData?.masterAgent) {
+    updateData.masterAgent = webhookData.masterAgent;
+  }
+  if (webhookData?.masterAgentNumber) {
+    updateData.masterAgentNumber = webhookData.masterAgentNumber;
+  }
+  if (webhookData?.callDisposition) {
+    updateData.callDisposition = webhookData.callDisposition;
+  }
+  if (webhookData?.contactId) {
+    updateData.contactId = webhookData.contactId;
+  }
+  // Handle DTMF - can be array or string
+  if (webhookData?.DTMF) {
+    if (Array.isArray(webhookData.DTMF)) {
+      // Convert array to string or skip if empty
+      if (webhookData.DTMF.length > 0) {
+        updateData.dtmf = JSON.stringify(webhookData.DTMF);
+      }
+    } else if (typeof webhookData.DTMF === 'string' && webhookData.DTMF !== '[]') {
+    updateData.dtmf = webhookData.DTMF;
+  }
+  }
+  
+  // Handle voiceMail - can be array or string
+  if (webhookData?.voiceMail) {
+    if (Array.isArray(webhookData.voiceMail)) {
+      // Convert array to string or skip if empty
+      if (webhookData.voiceMail.length > 0) {
+        updateData.voiceMail = JSON.stringify(webhookData.voiceMail);
+      }
+    } else if (typeof webhookData.voiceMail === 'string' && webhookData.voiceMail !== '[]') {
+    updateData.voiceMail = webhookData.voiceMail;
+    }
+  }
+
+  // Extract error information
+  if (webhookData?.errorCode) {
+    updateData.errorCode = webhookData.errorCode;
+  }
+  if (webhookData?.errorMessage) {
+    updateData.errorMessage = webhookData.errorMessage;
+  }
+
+
+  return {
+    callId,
+    fromNumber,
+    toNumber,
+    fromType: normalizeType(webhookData?.api_para?.fromType) || 'Number',
+    toType: normalizeType(webhookData?.api_para?.toType) || 'Number',
+    metadata: {
+      deepCallUserId: webhookData?.userId
+    },
+    update: updateData
+  };
+};
+
+/**
+ * Download a call recording from DeepCall.
+ * DeepCall recording links have accepted different auth schemes over time, so the
+ * token is tried as query parameters, then as a Bearer header, then without auth.
+ * @param {Object} call - CatiCall with recordingUrl
+ * @returns {Promise<Object>} axios response with a readable stream in `data`
+ * @throws {Error} The last error if every method failed
+ */
+const fetchRecording = async (call) => {
+  const requestOptions = (headers = {}) => ({
+    headers: {
+      ...headers,
+      'User-Agent': 'SarvCT/1.0',
+      'Accept': 'audio/mpeg, audio/*, */*'
+    },
+    responseType: 'stream',
+    timeout: 30000,
+    maxRedirects: 5
+  });
+
+  // Method 1: Try with token as query parameter (common for DeepCall)
+  try {
+    const urlWithToken = new URL(call.recordingUrl);
+    urlWithToken.searchParams.set('token', DEEPCALL_TOKEN);
+    urlWithToken.searchParams.set('user_id', DEEPCALL_USER_ID);
+    const response = await axios.get(urlWithToken.toString(), requestOptions());
+    console.log('✅ Successfully fetched recording with token query params');
+    return response;
+  } catch (error1) {
+    console.log('⚠️  Method 1 (token query) failed:', error1.message);
+  }
+
+  // Method 2: Try with Bearer token in header
+  try {
+    const response = await axios.get(call.recordingUrl, requestOptions({ 'Authorization': `Bearer ${DEEPCALL_TOKEN}` }));
+    console.log('✅ Successfully fetched recording with Bearer token');
+    return response;
+  } catch (error2) {
+    console.log('⚠️  Method 2 (Bearer token) failed:', error2.message);
+  }
+
+  // Method 3: Try without authentication (URL might be public)
+  const response = await axios.get(call.recordingUrl, requestOptions());
+  console.log('✅ Successfully fetched recording without auth');
+  return response;
+};
+
+/**
+ * DeepCall's click-to-call API has no hangup operation; calls end when either party hangs up.
+ * @returns {Promise<{success: Boolean, message: String}>}
+ */
+const hangupCall = async () => ({
+  success: false,
+  message: 'DeepCall does not support ending a call through the API. Please hang up on the phone.'
+});
+
+module.exports = {
+  name: 'deepcall',
+  // DeepCall marks a push as failed unless the webhook answers with exactly this body
+  webhookAcknowledgement: 'GODBLESSYOU',
+  initiateCall,
+  parseStatusCallback,
+  getCallIdentity,
+  mapStatusCallback,
+  fetchRecording,
+  hangupCall
+};
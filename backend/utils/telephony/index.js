@@ -0,0 +1,63 @@
+/**
+ * Telephony provider registry
+ *
+ * Every provider implements the same interface so the CATI controllers never talk
+ * to a carrier API directly:
+ *
+ *   name                                   Stored on CatiCall.provider / WebhookEvent.provider
+ *   webhookAcknowledgement                 Body returned to the carrier's webhook (optional)
+ *   initiateCall(options)                  Click-to-call; resolves { success, callId, apiResponse, data }
+ *                                          or { success: false, message, error, statusCode }
+ *   parseStatusCallback(delivery)          Raw webhook delivery -> provider payload (throws if unusable)
+ *   getCallIdentity(payload)               { callId, callStatus } used for idempotency
+ *   mapStatusCallback(payload)             { callId, fromNumber, toNumber, fromType, toType, metadata, update }
+ *                                          where `update` holds CatiCall fields
+ *   fetchRecording(call)                   axios-like response with the audio stream in `data`
+ *   hangupCall(callId)                     { success, message }
+ *
+ * The active provider for new calls is chosen with TELEPHONY_PROVIDER (default "deepcall").
+ * Existing calls keep using the provider that placed them. Carriers post status callbacks
+ * to /api/cati/webhook/<name> (DeepCall also keeps the original /api/cati/webhook), verified
+ * with the <NAME>_WEBHOOK_* settings of middleware/webhookAuth.
+ */
+
+const deepcallProvider = require('./deepcallProvider');
+const simulatorProvider = require('./simulatorProvider');
+const { registerStatusCallbackHandler, dispatchStatusCallback } = require('./statusCallbacks');
+
+const DEFAULT_PROVIDER = 'deepcall';
+
+const providers = {
+  [deepcallProvider.name]: deepcallProvider,
+  [simulatorProvider.name]: simulatorProvider
+};
+
+/**
+ * Get a telephony provider by name
+ * @param {String} [name] - Provider name; defaults to TELEPHONY_PROVIDER
+ * @returns {Object} Provider
+ * @throws {Error} If the provider is unknown
+ */
+const getTelephonyProvider = (name) => {
+  const key = String(name || process.env.TELEPHONY_PROVIDER || DEFAULT_PROVIDER).trim().toLowerCase();
+  const provider = providers[key];
+  if (!provider) {
+    throw new Error(`Unknown telephony provider "${key}". Available: ${Object.keys(providers).join(', ')}`);
+  }
+  return provider;
+};
+
+/**
+ * Provider that handled an existing call (calls recorded before providers existed are DeepCall)
+ * @param {Object} call - CatiCall document or lean object
+ * @returns {Object} Provider
+ */
+const getProviderForCall = (call) => getTelephonyProvider(call?.provider || DEFAULT_PROVIDER);
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getTelephonyProvider,
+  getProviderForCall,
+  registerStatusCallbackHandler,
+  dispatchStatusCallback
+};
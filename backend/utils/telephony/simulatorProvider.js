@@ -0,0 +1,336 @@
+const { Readable } = require('stream');
+const { dispatchStatusCallback } = require('./statusCallbacks');
+
+/**
+ * Local telephony simulator.
+ *
+ * Pretends to place calls and plays back the status callbacks a carrier would send
+ * (ringing, answered, completed / busy / no answer / failed / rejected) through the
+ * normal webhook pipeline, so the whole CATI flow can run without real phone calls.
+ *
+ * Configuration (environment):
+ *   TELEPHONY_SIMULATOR_SCENARIO  Outcome of every call: answered, busy, no_answer, failed,
+ *                                 rejected, or "auto" (default) to pick by the last digit of
+ *                                 the respondent number: 0 busy, 1 no_answer, 2 failed,
+ *                                 3 rejected, anything else answered.
+ *   TELEPHONY_SIMULATOR_RING_MS   Time spent ringing before the outcome (default 3000).
+ *   TELEPHONY_SIMULATOR_TALK_MS   Length of an answered call before it completes on its own
+ *                                 (default 300000). Ending it earlier needs a hangup.
+ */
+
+const SCENARIOS = ['answered', 'busy', 'no_answer', 'failed', 'rejected'];
+const AUTO_SCENARIO_BY_DIGIT = { 0: 'busy', 1: 'no_answer', 2: 'failed', 3: 'rejected' };
+
+// Final call status reported for each scenario that never gets answered
+const UNANSWERED_STATUS = {
+  busy: 'busy',
+  no_answer: 'no-answer',
+  failed: 'failed',
+  rejected: 'cancelled'
+};
+
+const DEFAULT_RING_MS = 3000;
+const DEFAULT_TALK_MS = 5 * 60 * 1000;
+
+// Simulated recordings: 8 kHz 16-bit mono WAV, capped so a long call cannot exhaust memory
+const RECORDING_SAMPLE_RATE = 8000;
+const MAX_RECORDING_SECONDS = 600;
+
+// callId -> { from, to, scenario, timers, answeredAt, ended }
+const activeCalls = new Map();
+
+const readMs = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return !isNaN(value) && value >= 0 ? value : fallback;
+};
+
+/**
+ * Pick the outcome of a simulated call
+ * @param {String} toNumber - Respondent number (digits only)
+ * @returns {String} One of SCENARIOS
+ */
+const resolveScenario = (toNumber) => {
+  const configured = (process.env.TELEPHONY_SIMULATOR_SCENARIO || 'auto').toLowerCase();
+  if (SCENARIOS.includes(configured)) {
+    return configured;
+  }
+  const lastDigit = toNumber.slice(-1);
+  return AUTO_SCENARIO_BY_DIGIT[lastDigit] || 'answered';
+};
+
+/**
+ * Send one simulated status callback through the webhook pipeline
+ * @param {String} callId
+ * @param {Object} fields - Payload fields besides callId/from/to
+ */
+const emit = async (callId, fields) => {
+  const call = activeCalls.get(callId);
+  if (!call) return;
+
+  const payload = {
+    callId,
+    from: call.from,
+    to: call.to,
+    scenario: call.scenario,
+    timestamp: new Date().toISOString(),
+    ...fields
+  };
+
+  try {
+    await dispatchStatusCallback({
+      provider: 'simulator',
+      rawBody: JSON.stringify(payload),
+      contentType: 'application/json',
+      sourceIp: 'simulator',
+      userAgent: 'telephony-simulator'
+    });
+  } catch (error) {
+    console.error(`❌ Simulator failed to deliver ${fields.status} for call ${callId}:`, error.message);
+  }
+};
+
+/**
+ * Finish a simulated call: cancel pending events and report the final status
+ * @param {String} callId
+ * @param {Object} fields - Final payload fields
+ */
+const endCall = async (callId, fields) => {
+  const call = activeCalls.get(callId);
+  if (!call || call.ended) return;
+  call.ended = true;
+  call.timers.forEach(timer => clearTimeout(timer));
+
+  await emit(callId, fields);
+  activeCalls.delete(callId);
+};
+
+/**
+ * Final payload for an answered call ending now
+ * @param {String} callId
+ * @param {Object} call - Active call entry
+ * @returns {Object}
+ */
+const completedFields = (callId, call) => {
+  const endedAt = new Date();
+  const duration = Math.max(Math.round((endedAt - call.answeredAt) / 1000), 0);
+  return {
+    status: 'completed',
+    startTime: call.answeredAt.toISOString(),
+    endTime: endedAt.toISOString(),
+    duration,
+    talkDuration: duration,
+    recordingUrl: `simulator://recordings/${callId}.wav`,
+    recordingDuration: duration
+  };
+};
+
+/**
+ * Schedule work for a call; timers do not keep the process alive
+ * @param {Object} call
+ * @param {Number} delayMs
+ * @param {Function} fn
+ */
+const schedule = (call, delayMs, fn) => {
+  const timer = setTimeout(fn, delayMs);
+  if (timer.unref) timer.unref();
+  call.timers.push(timer);
+};
+
+/**
+ * Start a simulated call. Always accepted; the outcome arrives as status callbacks.
+ * @param {Object} options - Same options as the DeepCall adapter
+ * @returns {Promise<Object>} { success, callId, apiResponse, data }
+ */
+const initiateCall = async ({ fromNumber, toNumber }) => {
+  const cleanFrom = String(fromNumber || '').replace(/[^0-9]/g, '');
+  const cleanTo = String(toNumber || '').replace(/[^0-9]/g, '');
+  if (!cleanFrom || !cleanTo) {
+    const message = 'From and To numbers are required';
+    return { success: false, message, error: { message } };
+  }
+
+  const callId = `sim_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const scenario = resolveScenario(cleanTo);
+  const ringMs = readMs('TELEPHONY_SIMULATOR_RING_MS', DEFAULT_RING_MS);
+  const talkMs = readMs('TELEPHONY_SIMULATOR_TALK_MS', DEFAULT_TALK_MS);
+
+  const call = { from: cleanFrom, to: cleanTo, scenario, timers: [], answeredAt: null, ended: false };
+  activeCalls.set(callId, call);
+
+  console.log(`📞 [Simulator] Call ${callId}: ${cleanFrom} -> ${cleanTo} (scenario: ${scenario})`);
+
+  // Give the caller time to store the call record before the first callback arrives
+  schedule(call, Math.min(500, ringMs), () => emit(callId, { status: 'ringing' }));
+
+  if (scenario === 'answered') {
+    schedule(call, ringMs, async () => {
+      call.answeredAt = new Date();
+      await emit(callId, { status: 'answered', startTime: call.answeredAt.toISOString() });
+      schedule(call, talkMs, () => endCall(callId, completedFields(callId, call)));
+    });
+  } else {
+    schedule(call, ringMs, () => endCall(callId, {
+      status: UNANSWERED_STATUS[scenario],
+      endTime: new Date().toISOString(),
+      duration: 0
+    }));
+  }
+
+  const apiResponse = { callId, status: 'success', code: '200', simulated: true, scenario };
+  return {
+    success: true,
+    callId,
+    apiResponse,
+    data: {
+      callId,
+      fromNumber,
+      toNumber,
+      apiResponse
+    }
+  };
+};
+
+/**
+ * Parse a simulator status callback (always JSON)
+ * @param {Object} delivery - { rawBody, body }
+ * @returns {Object} Payload
+ * @throws {Error} If the payload is not JSON or has no callId
+ */
+const parseStatusCallback = ({ rawBody, body }) => {
+  let payload = body;
+  if (rawBody) {
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (error) {
+      throw new Error(`Simulator payload is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!payload || !payload.callId) {
+    throw new Error('Webhook payload contains no call data');
+  }
+  return payload;
+};
+
+/**
+ * Extract the fields that identify one status callback
+ * @param {Object} payload
+ * @returns {{callId: String|null, callStatus: String|null}}
+ */
+const getCallIdentity = (payload) => ({
+  callId: payload?.callId ? String(payload.callId) : null,
+  callStatus: payload?.status ? String(payload.status) : null
+});
+
+/**
+ * Translate a simulator status callback into CatiCall fields
+ * @param {Object} payload
+ * @returns {Object} Same shape as the DeepCall adapter's mapStatusCallback
+ */
+const mapStatusCallback = (payload) => {
+  const update = {
+    callStatus: payload.status,
+    statusDescription: `Simulated ${payload.scenario || 'call'}: ${payload.status}`,
+    fromNumber: payload.from,
+    toNumber: payload.to
+  };
+  if (payload.startTime) update.callStartTime = new Date(payload.startTime);
+  if (payload.endTime) update.callEndTime = new Date(payload.endTime);
+  if (payload.duration !== undefined) update.callDuration = parseInt(payload.duration) || 0;
+  if (payload.talkDuration !== undefined) update.talkDuration = parseInt(payload.talkDuration) || 0;
+  if (payload.recordingUrl) update.recordingUrl = payload.recordingUrl;
+  if (payload.recordingDuration !== undefined) update.recordingDuration = parseInt(payload.recordingDuration) || 0;
+  if (payload.hangupBySource) update.hangupBySource = payload.hangupBySource;
+
+  return {
+    callId: payload.callId,
+    fromNumber: payload.from || null,
+    toNumber: payload.to || null,
+    fromType: 'Number',
+    toType: 'Number',
+    metadata: { simulated: true, scenario: payload.scenario },
+    update
+  };
+};
+
+/**
+ * Build a WAV file with a quiet tone lasting the recording duration
+ * @param {Number} seconds
+ * @returns {Buffer}
+ */
+const buildRecording = (seconds) => {
+  const sampleCount = RECORDING_SAMPLE_RATE * Math.min(Math.max(seconds, 1), MAX_RECORDING_SECONDS);
+  const dataSize = sampleCount * 2;
+  const buffer = Buffer.alloc(44 + dataSize);
+
+  buffer.write('RIFF', 0);
+  buffer.writeUInt32LE(36 + dataSize, 4);
+  buffer.write('WAVE', 8);
+  buffer.write('fmt ', 12);
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20); // PCM
+  buffer.writeUInt16LE(1, 22); // mono
+  buffer.writeUInt32LE(RECORDING_SAMPLE_RATE, 24);
+  buffer.writeUInt32LE(RECORDING_SAMPLE_RATE * 2, 28);
+  buffer.writeUInt16LE(2, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write('data', 36);
+  buffer.writeUInt32LE(dataSize, 40);
+
+  for (let i = 0; i < sampleCount; i++) {
+    buffer.writeInt16LE(Math.round(Math.sin(2 * Math.PI * 440 * i / RECORDING_SAMPLE_RATE) * 2000), 44 + i * 2);
+  }
+  return buffer;
+};
+
+/**
+ * Produce the simulated recording of a call
+ * @param {Object} call - CatiCall
+ * @returns {Promise<Object>} axios-like response: { headers, data: Readable }
+ */
+const fetchRecording = async (call) => {
+  const audio = buildRecording(call.recordingDuration || call.callDuration || 1);
+  return {
+    status: 200,
+    headers: {
+      'content-type': 'audio/wav',
+      'content-length': String(audio.length)
+    },
+    data: Readable.from(audio)
+  };
+};
+
+/**
+ * Hang up a simulated call. Answered calls complete with the time talked so far,
+ * calls still ringing are reported as cancelled.
+ * @param {String} callId
+ * @returns {Promise<{success: Boolean, message: String}>}
+ */
+const hangupCall = async (callId) => {
+  const call = activeCalls.get(callId);
+  if (!call || call.ended) {
+    return { success: false, message: 'Call is not active' };
+  }
+
+  if (call.answeredAt) {
+    await endCall(callId, { ...completedFields(callId, call), hangupBySource: 'agent' });
+  } else {
+    await endCall(callId, {
+      status: 'cancelled',
+      endTime: new Date().toISOString(),
+      duration: 0,
+      hangupBySource: 'agent'
+    });
+  }
+  return { success: true, message: 'Call ended' };
+};
+
+module.exports = {
+  name: 'simulator',
+  webhookAcknowledgement: 'OK',
+  initiateCall,
+  parseStatusCallback,
+  getCallIdentity,
+  mapStatusCallback,
+  fetchRecording,
+  hangupCall
+};
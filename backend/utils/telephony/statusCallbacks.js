@@ -0,0 +1,29 @@
+// Providers that run inside this process (the simulator) cannot POST to the webhook
+// route, so their status callbacks are handed to the same handler the route uses.
+// catiController registers that handler when it is loaded.
+let statusCallbackHandler = null;
+
+/**
+ * Register the function that records and processes a status callback delivery
+ * @param {Function} handler - async ({ provider, rawBody, contentType, body, sourceIp, userAgent }) => void
+ */
+const registerStatusCallbackHandler = (handler) => {
+  statusCallbackHandler = handler;
+};
+
+/**
+ * Deliver a status callback produced in-process
+ * @param {Object} delivery - Same shape the webhook route builds from a request
+ * @returns {Promise<void>}
+ */
+const dispatchStatusCallback = async (delivery) => {
+  if (!statusCallbackHandler) {
+    throw new Error('No telephony status callback handler registered');
+  }
+  return statusCallbackHandler(delivery);
+};
+
+module.exports = {
+  registerStatusCallbackHandler,
+  dispatchStatusCallback
+};
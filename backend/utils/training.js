@@ -0,0 +1,279 @@
+/**
+ * Interviewer training and certification.
+ *
+ * Company admins build TrainingModules per survey; interviewers take them from their dashboard.
+ * The latest result of each module is kept in User.training.completedModules. An interviewer is
+ * certified for a survey once every published required module has a pass younger than the
+ * survey's certificationValidityDays, and the certification expires that many days after the
+ * oldest of those passes. Surveys with training.requireCertification refuse to start CAPI and
+ * CATI interviews for interviewers without a valid certification.
+ */
+const User = require('../models/User');
+const TrainingModule = require('../models/TrainingModule');
+
+const DEFAULT_CERTIFICATION_VALIDITY_DAYS = 180;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Questions a mock interview can ask; file uploads are skipped in practice
+const PRACTICE_SKIPPED_TYPES = ['file_upload'];
+
+const byOrder = (a, b) => (a.order || 0) - (b.order || 0);
+
+const getValidityDays = (survey) => survey?.training?.certificationValidityDays || DEFAULT_CERTIFICATION_VALIDITY_DAYS;
+
+/**
+ * The questionnaire in interview order (sections, then direct questions), without routing,
+ * for walkthroughs and mock interviews
+ * @param {Object} survey - lean survey with sections and questions
+ * @returns {Array<Object>}
+ */
+const getQuestionnaire = (survey) => {
+  const toItem = (question, sectionTitle) => ({
+    id: question.id,
+    type: question.type,
+    text: question.text,
+    description: question.description,
+    questionNumber: question.questionNumber,
+    required: question.required,
+    section: sectionTitle,
+    options: (question.options || []).map(option => ({ id: option.id, text: option.text })),
+    scale: question.scale
+  });
+
+  const sectionQuestions = [...(survey.sections || [])]
+    .sort(byOrder)
+    .flatMap(section => [...(section.questions || [])].sort(byOrder).map(question => toItem(question, section.title)));
+  const directQuestions = [...(survey.questions || [])].sort(byOrder).map(question => toItem(question));
+
+  return [...sectionQuestions, ...directQuestions];
+};
+
+/**
+ * Score a quiz attempt
+ * @param {Object} module - TrainingModule of type quiz
+ * @param {Object} answers - { [quizQuestionId]: optionIndex }
+ * @returns {{score: Number, correct: Number, total: Number, passed: Boolean, results: Array}}
+ */
+const scoreQuiz = (module, answers = {}) => {
+  const results = module.quizQuestions.map(question => {
+    const given = answers[question._id.toString()];
+    return {
+      questionId: question._id,
+      correct: given !== undefined && given !== null && Number(given) === question.correctOption
+    };
+  });
+  const correct = results.filter(result => result.correct).length;
+  const total = results.length;
+  const score = total ? Math.round((correct / total) * 100) : 0;
+  return { score, correct, total, passed: score >= module.passMark, results };
+};
+
+/**
+ * Check a mock interview run-through: every question that can be practised is answered
+ * @param {Array<Object>} questionnaire - getQuestionnaire()
+ * @param {Object} answers - { [questionId]: answer }
+ * @returns {{answered: Number, total: Number, passed: Boolean}}
+ */
+const checkMockInterview = (questionnaire, answers = {}) => {
+  const practised = questionnaire.filter(question => !PRACTICE_SKIPPED_TYPES.includes(question.type));
+  const answered = practised.filter(question => {
+    const answer = answers[question.id];
+    return answer !== undefined && answer !== null && answer !== '' && !(Array.isArray(answer) && answer.length === 0);
+  }).length;
+  return { answered, total: practised.length, passed: answered === practised.length };
+};
+
+/**
+ * A user's valid certification for a survey
+ * @returns {Object|null} { survey, certifiedAt, expiresAt }
+ */
+const getValidCertification = (training, surveyId, now = new Date()) => (
+  (training?.certifications || []).find(certification => (
+    certification.survey?.toString() === surveyId.toString() &&
+    certification.expiresAt && new Date(certification.expiresAt) > now
+  )) || null
+);
+
+/**
+ * Where the user stands on a survey's modules and certification
+ * @param {Object} training - User.training
+ * @param {Object} survey - with training settings
+ * @param {Array<Object>} modules - the survey's published modules
+ */
+const getTrainingStatus = (training, survey, modules, now = new Date()) => {
+  const validityMs = getValidityDays(survey) * DAY_MS;
+  const entries = training?.completedModules || [];
+
+  const moduleStatus = modules.map(module => {
+    const entry = entries.find(candidate => candidate.moduleId === module._id.toString());
+    return {
+      moduleId: module._id,
+      required: module.required,
+      attempted: !!entry,
+      passed: !!entry?.passed,
+      // A pass older than the validity period no longer counts towards certification
+      current: !!entry?.passed && now - new Date(entry.completedAt) < validityMs,
+      score: entry?.score,
+      attempts: entry?.attempts || 0,
+      completedAt: entry?.completedAt
+    };
+  });
+
+  const certification = getValidCertification(training, survey._id, now);
+  const lapsed = !certification && (training?.certifications || [])
+    .find(candidate => candidate.survey?.toString() === survey._id.toString());
+
+  return {
+    modules: moduleStatus,
+    certification: {
+      required: !!survey.training?.requireCertification,
+      certified: !!certification,
+      certifiedAt: certification?.certifiedAt,
+      expiresAt: certification?.expiresAt,
+      expiredAt: lapsed ? lapsed.expiresAt : undefined
+    }
+  };
+};
+
+/**
+ * Certify for a survey when every published required module has a current pass. A missing
+ * pass never revokes a valid certification: publishing a new module applies from the next one.
+ * Also refreshes the top-level summary fields. Mutates and returns the training object.
+ */
+const refreshCertification = (training, survey, modules, now = new Date()) => {
+  const validityMs = getValidityDays(survey) * DAY_MS;
+  const entries = training.completedModules || [];
+  const surveyId = survey._id.toString();
+  training.certifications = training.certifications || [];
+
+  const requiredModules = modules.filter(module => module.required);
+  const passes = requiredModules.map(module => entries.find(entry => (
+    entry.moduleId === module._id.toString() &&
+    entry.passed &&
+    now - new Date(entry.completedAt) < validityMs
+  )));
+
+  if (requiredModules.length > 0 && passes.every(Boolean)) {
+    const oldestPass = Math.min(...passes.map(entry => new Date(entry.completedAt).getTime()));
+    const existing = getValidCertification(training, surveyId, now);
+    training.certifications = training.certifications.filter(certification => certification.survey?.toString() !== surveyId);
+    training.certifications.push({
+      survey: survey._id,
+      certifiedAt: existing?.certifiedAt || now,
+      expiresAt: new Date(oldestPass + validityMs)
+    });
+  }
+
+  // The top-level fields describe the most recent certification
+  const latest = [...training.certifications].sort((a, b) => new Date(b.certifiedAt) - new Date(a.certifiedAt))[0];
+  if (latest) {
+    training.certificationStatus = new Date(latest.expiresAt) > now ? 'completed' : 'expired';
+    training.certificationDate = latest.certifiedAt;
+    training.certificationExpiry = latest.expiresAt;
+  } else {
+    training.certificationStatus = entries.length > 0 ? 'in_progress' : 'not_started';
+  }
+
+  return training;
+};
+
+/**
+ * Record a module result and update the certification for its survey. A failed retake does
+ * not replace an earlier pass.
+ * @param {String} userId
+ * @param {Object} module - TrainingModule
+ * @param {Object} survey - the module's survey (with training settings)
+ * @param {{score: Number, passed: Boolean}} result
+ * @returns {Promise<Object>} the training status for the survey after the attempt
+ */
+const recordModuleResult = async (userId, module, survey, { score, passed }) => {
+  const now = new Date();
+  const user = await User.findById(userId).select('training').lean();
+  const training = user.training || {};
+  training.completedModules = training.completedModules || [];
+
+  const moduleId = module._id.toString();
+  const existing = training.completedModules.find(entry => entry.moduleId === moduleId);
+  if (!existing) {
+    training.completedModules.push({
+      moduleId,
+      moduleName: module.title,
+      survey: module.survey,
+      completedAt: now,
+      score,
+      passed,
+      attempts: 1
+    });
+  } else {
+    existing.attempts = (existing.attempts || 1) + 1;
+    existing.moduleName = module.title;
+    if (passed || !existing.passed) {
+      Object.assign(existing, { completedAt: now, score, passed });
+    }
+  }
+
+  const modules = await TrainingModule.find({ survey: survey._id, status: 'published' }).select('required').lean();
+  refreshCertification(training, survey, modules, now);
+
+  // Only the training fields are written, so profile validation cannot block a result
+  await User.updateOne({ _id: userId }, {
+    $set: {
+      'training.completedModules': training.completedModules,
+      'training.certifications': training.certifications,
+      'training.certificationStatus': training.certificationStatus,
+      'training.certificationDate': training.certificationDate,
+      'training.certificationExpiry': training.certificationExpiry
+    }
+  });
+
+  return getTrainingStatus(training, survey, modules, now);
+};
+
+/**
+ * Why an interviewer may not start interviews on a survey yet, or null if they may
+ * @param {Object} survey - with training settings
+ * @param {String} interviewerId
+ * @returns {Promise<{message: String, expiredAt: Date}|null>}
+ */
+const getCertificationBlock = async (survey, interviewerId) => {
+  if (!survey.training?.requireCertification) return null;
+
+  const user = await User.findById(interviewerId).select('training.certifications').lean();
+  if (getValidCertification(user?.training, survey._id)) return null;
+
+  const lapsed = (user?.training?.certifications || [])
+    .find(certification => certification.survey?.toString() === survey._id.toString());
+  return {
+    message: lapsed
+      ? 'Your certification for this survey has expired. Retake the training from your dashboard to start interviews.'
+      : 'Complete the training for this survey from your dashboard before starting interviews.',
+    expiredAt: lapsed?.expiresAt
+  };
+};
+
+/**
+ * Interviewers without a valid certification for a survey
+ * @param {Array} interviewerIds
+ * @param {String} surveyId
+ * @returns {Promise<Array<Object>>} lean users (firstName, lastName, memberId)
+ */
+const findUncertifiedInterviewers = async (interviewerIds, surveyId) => {
+  if (!interviewerIds.length) return [];
+  const users = await User.find({ _id: { $in: interviewerIds } })
+    .select('firstName lastName memberId training.certifications')
+    .lean();
+  return users.filter(user => !getValidCertification(user.training, surveyId));
+};
+
+module.exports = {
+  DEFAULT_CERTIFICATION_VALIDITY_DAYS,
+  getQuestionnaire,
+  scoreQuiz,
+  checkMockInterview,
+  getValidCertification,
+  getTrainingStatus,
+  refreshCertification,
+  recordModuleResult,
+  getCertificationBlock,
+  findUncertifiedInterviewers
+};
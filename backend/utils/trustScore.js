@@ -0,0 +1,297 @@
+const User = require('../models/User');
+const Company = require('../models/Company');
+const SurveyResponse = require('../models/SurveyResponse');
+const BackCheck = require('../models/BackCheck');
+const QCBatch = require('../models/QCBatch');
+const { enqueueJob } = require('./jobQueue');
+
+/**
+ * Interviewer trust scores
+ *
+ * performance.trustScore (0-100) is a weighted average of the interviewer's QC outcomes over
+ * the last WINDOW_DAYS, each worth 100 (good) or 0 (bad), with recent outcomes counting more
+ * (weights halve every HALF_LIFE_DAYS). The company's qualitySettings.defaultTrustScore is
+ * blended in as PRIOR_WEIGHT outcomes, so a new interviewer starts there and one bad interview
+ * does not sink a score.
+ *
+ *   outcome                          value  weight
+ *   approved by QC                   100    1
+ *   rejected by QC                   0      REJECTION_WEIGHTS by reason (audio, gender, duplicate...)
+ *   auto-rejected                    0      AUTO_REJECTION_WEIGHT
+ *   back-check passed / failed       100/0  BACK_CHECK_WEIGHTS
+ *   back-check inconclusive          50     BACK_CHECK_WEIGHTS
+ *   QC batch sample checked          approval rate of the sample, BATCH_WEIGHT
+ *
+ * Interviews approved or rejected with the rest of their batch are not counted one by one:
+ * the batch outcome stands for them.
+ *
+ * The score is used against the company's qualitySettings: below minimumTrustScore an
+ * interviewer cannot be newly assigned to surveys; at or above autoApprovalThreshold, with at
+ * least TRUSTED_MIN_EVIDENCE of (decayed) outcomes behind it, their QC batches are sampled at the
+ * config's trustedSamplePercentage.
+ *
+ * Scores are recalculated nightly, and a few minutes after each new outcome
+ * (queueTrustScoreUpdate).
+ */
+
+const WINDOW_DAYS = 180;
+const HALF_LIFE_DAYS = 45;
+const PRIOR_WEIGHT = 10;
+const TRUSTED_MIN_EVIDENCE = 20;
+
+const DEFAULT_TRUSTED_SAMPLE_PERCENTAGE = 20;
+
+// Outcomes arriving close together are folded into one recalculation
+const UPDATE_DELAY_MS = 5 * 60 * 1000;
+
+const REJECTION_WEIGHTS = {
+  duplicate: 3,  // Confirmed duplicate interview (duplicate review)
+  audio: 2,      // Recording missing, not the interview, or not the respondent
+  gender: 1.5,   // Respondent's gender does not match the recording
+  other: 1
+};
+const AUTO_REJECTION_WEIGHT = 1.5;
+const BACK_CHECK_WEIGHTS = { passed: 2, failed: 4, inconclusive: 0.5 };
+const BATCH_WEIGHT = 2;
+
+// Feedback of responses rejected with the rest of their QC batch (jobs/qcBatchProcessor.js)
+const BATCH_REJECTION_FEEDBACK = 'Auto-rejected based on';
+
+// QC audio statuses that are not a rejection on their own (see SurveyApprovals.jsx)
+const ACCEPTED_AUDIO_STATUSES = ['1', '4', '7'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clampScore = (value) => Math.max(0, Math.min(100, value));
+
+/**
+ * Why a QC reviewer rejected an interview, or null when the rejection is not the reviewer's
+ * own (auto-rejection, batch decision, back-check) and is counted elsewhere
+ * @param {Object} verificationData
+ * @returns {String|null} A REJECTION_WEIGHTS key
+ */
+const classifyRejection = (verificationData = {}) => {
+  const feedback = verificationData.feedback || '';
+  if (verificationData.autoRejected) return null;
+  if (feedback.startsWith(BATCH_REJECTION_FEEDBACK) || feedback.startsWith('Back-check failed')) return null;
+  if (feedback.startsWith('Duplicate interview')) return 'duplicate';
+
+  const criteria = verificationData.criteria || {};
+  const audioStatus = criteria.audioStatus ?? verificationData.audioStatus;
+  if (audioStatus && !ACCEPTED_AUDIO_STATUSES.includes(String(audioStatus))) return 'audio';
+  const genderMatching = criteria.genderMatching ?? verificationData.genderMatching;
+  if (genderMatching && String(genderMatching) !== '1') return 'gender';
+  return 'other';
+};
+
+/**
+ * The interviewer's QC outcomes in the last WINDOW_DAYS
+ * @param {ObjectId} interviewerId
+ * @param {Date} now
+ * @returns {Promise<Array<{at: Date, value: Number, weight: Number, kind: String}>>}
+ */
+const loadOutcomes = async (interviewerId, now) => {
+  const since = new Date(now.getTime() - WINDOW_DAYS * DAY_MS);
+
+  const [responses, backChecks, batches] = await Promise.all([
+    SurveyResponse.find({
+      interviewer: interviewerId,
+      status: { $in: ['Approved', 'Rejected'] },
+      updatedAt: { $gte: since }
+    })
+      .select('status autoApproved updatedAt verificationData.reviewedAt verificationData.feedback verificationData.autoRejected verificationData.criteria.audioStatus verificationData.criteria.genderMatching verificationData.audioStatus verificationData.genderMatching')
+      .lean(),
+    BackCheck.find({ interviewer: interviewerId, result: { $exists: true }, completedAt: { $gte: since } })
+      .select('result completedAt')
+      .lean(),
+    QCBatch.find({ interviewer: interviewerId, 'qcStats.sampleQCCompletedAt': { $gte: since } })
+      .select('qcStats')
+      .lean()
+  ]);
+
+  const outcomes = [];
+  responses.forEach(response => {
+    const at = response.verificationData?.reviewedAt || response.updatedAt;
+    if (response.status === 'Approved') {
+      // Approved with the rest of a QC batch: the batch outcome counts instead
+      if (!response.autoApproved) outcomes.push({ at, value: 100, weight: 1, kind: 'approved' });
+      return;
+    }
+    if (response.verificationData?.autoRejected) {
+      // Rejected with the rest of a QC batch, likewise
+      if ((response.verificationData.feedback || '').startsWith(BATCH_REJECTION_FEEDBACK)) return;
+      outcomes.push({ at, value: 0, weight: AUTO_REJECTION_WEIGHT, kind: 'auto_rejected' });
+      return;
+    }
+    const reason = classifyRejection(response.verificationData);
+    if (reason) outcomes.push({ at, value: 0, weight: REJECTION_WEIGHTS[reason], kind: `rejected_${reason}` });
+  });
+  backChecks.forEach(backCheck => {
+    const value = backCheck.result === 'passed' ? 100 : backCheck.result === 'failed' ? 0 : 50;
+    outcomes.push({ at: backCheck.completedAt, value, weight: BACK_CHECK_WEIGHTS[backCheck.result], kind: `back_check_${backCheck.result}` });
+  });
+  batches.forEach(batch => {
+    const { approvedCount = 0, rejectedCount = 0, sampleQCCompletedAt } = batch.qcStats || {};
+    if (approvedCount + rejectedCount === 0) return;
+    outcomes.push({
+      at: sampleQCCompletedAt,
+      value: (approvedCount / (approvedCount + rejectedCount)) * 100,
+      weight: BATCH_WEIGHT,
+      kind: 'batch'
+    });
+  });
+  return outcomes;
+};
+
+/**
+ * Trust score from outcomes
+ * @param {Array} outcomes - loadOutcomes()
+ * @param {Object} options - { prior: Number (0-100), now: Date }
+ * @returns {{score: Number, evidence: Number}} evidence is the decayed weight of the outcomes
+ */
+const computeTrustScore = (outcomes, { prior, now = new Date() }) => {
+  let weightedSum = PRIOR_WEIGHT * prior;
+  let evidence = 0;
+  outcomes.forEach(outcome => {
+    const ageDays = Math.max(0, (now - new Date(outcome.at)) / DAY_MS);
+    const weight = outcome.weight * Math.pow(0.5, ageDays / HALF_LIFE_DAYS);
+    weightedSum += weight * outcome.value;
+    evidence += weight;
+  });
+  return {
+    score: Math.round(clampScore(weightedSum / (PRIOR_WEIGHT + evidence))),
+    evidence: Math.round(evidence * 10) / 10
+  };
+};
+
+/**
+ * Recalculate and store one interviewer's trust score
+ * @param {String|ObjectId} interviewerId
+ * @returns {Promise<Object|null>} { score, evidence, outcomes }, or null if the user is gone
+ */
+const updateTrustScore = async (interviewerId) => {
+  const user = await User.findById(interviewerId).select('company userType');
+  if (!user) return null;
+
+  const company = user.company
+    ? await Company.findById(user.company).select('qualitySettings.defaultTrustScore').lean()
+    : null;
+  const prior = clampScore(company?.qualitySettings?.defaultTrustScore ?? 100);
+
+  const now = new Date();
+  const outcomes = await loadOutcomes(user._id, now);
+  const { score, evidence } = computeTrustScore(outcomes, { prior, now });
+
+  await User.updateOne(
+    { _id: user._id },
+    {
+      $set: {
+        'performance.trustScore': score,
+        'performance.trustEvidence': evidence,
+        'performance.trustScoreUpdatedAt': now
+      }
+    }
+  );
+  return { score, evidence, outcomes: outcomes.length };
+};
+
+/**
+ * Recalculate every interviewer with QC outcomes in the window, so old outcomes decay
+ * @returns {Promise<{updated: Number, failed: Number}>}
+ */
+const updateAllTrustScores = async () => {
+  const since = new Date(Date.now() - WINDOW_DAYS * DAY_MS);
+  const [fromResponses, fromBackChecks, fromBatches] = await Promise.all([
+    SurveyResponse.distinct('interviewer', { status: { $in: ['Approved', 'Rejected'] }, updatedAt: { $gte: since } }),
+    BackCheck.distinct('interviewer', { result: { $exists: true }, completedAt: { $gte: since } }),
+    QCBatch.distinct('interviewer', { 'qcStats.sampleQCCompletedAt': { $gte: since } })
+  ]);
+  const interviewerIds = [...new Set([...fromResponses, ...fromBackChecks, ...fromBatches].filter(Boolean).map(String))];
+
+  let updated = 0;
+  let failed = 0;
+  for (const interviewerId of interviewerIds) {
+    try {
+      if (await updateTrustScore(interviewerId)) updated++;
+    } catch (error) {
+      console.error(`❌ Trust score update failed for interviewer ${interviewerId}:`, error.message);
+      failed++;
+    }
+  }
+  console.log(`🛡️ Trust scores updated for ${updated} interviewer(s)${failed ? `, ${failed} failed` : ''}`);
+  return { updated, failed };
+};
+
+/**
+ * Recalculate an interviewer's score shortly, after a new QC outcome. Never throws: the
+ * nightly run catches anything missed.
+ * @param {String|ObjectId} interviewerId
+ */
+const queueTrustScoreUpdate = async (interviewerId) => {
+  if (!interviewerId) return;
+  const id = String(interviewerId._id || interviewerId);
+  try {
+    await enqueueJob('trust.updateInterviewer', { interviewerId: id }, {
+      key: `trust.updateInterviewer:${id}`,
+      delayMs: UPDATE_DELAY_MS
+    });
+  } catch (error) {
+    console.error(`⚠️ Could not queue trust score update for interviewer ${id}:`, error.message);
+  }
+};
+
+/**
+ * The lower QC sample percentage for a trusted interviewer's batch, or null when the
+ * interviewer is not trusted (or the config's own percentage is already lower)
+ * @param {Object} config - QCBatchConfig
+ * @param {String|ObjectId} interviewerId
+ * @returns {Promise<Number|null>}
+ */
+const getTrustedSamplePercentage = async (config, interviewerId) => {
+  const trustedPercentage = config?.trustedSamplePercentage ?? DEFAULT_TRUSTED_SAMPLE_PERCENTAGE;
+  if (!config || trustedPercentage >= config.samplePercentage) return null;
+
+  const user = await User.findById(interviewerId).select('company performance.trustScore performance.trustEvidence').lean();
+  if (!user?.company) return null;
+  const company = await Company.findById(user.company).select('qualitySettings.autoApprovalThreshold').lean();
+  const threshold = company?.qualitySettings?.autoApprovalThreshold;
+  if (threshold === undefined || threshold === null) return null;
+
+  const { trustScore, trustEvidence = 0 } = user.performance || {};
+  if (trustScore >= threshold && trustEvidence >= TRUSTED_MIN_EVIDENCE) {
+    return trustedPercentage;
+  }
+  return null;
+};
+
+/**
+ * Interviewers whose trust score is below the company minimum
+ * @param {Array<String|ObjectId>} interviewerIds
+ * @param {Object} company - Company with qualitySettings
+ * @returns {Promise<Array<Object>>} Users (firstName, lastName, memberId, performance.trustScore)
+ */
+const findUntrustedInterviewers = async (interviewerIds, company) => {
+  const minimum = company?.qualitySettings?.minimumTrustScore;
+  if (!interviewerIds.length || minimum === undefined || minimum === null) return [];
+
+  return User.find({
+    _id: { $in: interviewerIds },
+    'performance.trustScore': { $lt: minimum }
+  })
+    .select('firstName lastName memberId performance.trustScore')
+    .lean();
+};
+
+module.exports = {
+  WINDOW_DAYS,
+  HALF_LIFE_DAYS,
+  TRUSTED_MIN_EVIDENCE,
+  DEFAULT_TRUSTED_SAMPLE_PERCENTAGE,
+  classifyRejection,
+  computeTrustScore,
+  updateTrustScore,
+  updateAllTrustScores,
+  queueTrustScoreUpdate,
+  getTrustedSamplePercentage,
+  findUntrustedInterviewers
+};
@@ -0,0 +1,538 @@
+const SurveyResponse = require('../models/SurveyResponse');
+const { getMainText } = require('./languageVariants');
+const { extractACFromResponse } = require('./respondentInfoUtils');
+const { resolveDimensionBands, validateDimensions } = require('./quotaEngine');
+
+/**
+ * Weighting engine
+ *
+ * Weighted estimates for a survey's live results. The weighting configuration (survey.weighting)
+ * reuses quota-style banded dimensions; each band may carry
+ * - a design weight (inverse selection probability, default 1). A respondent's design weight is
+ *   the product of the design weights of their bands.
+ * - a target share (percent of the population), on dimensions marked rake. Design weights are
+ *   then adjusted by raking (iterative proportional fitting) until every raked dimension's
+ *   weighted shares match its targets.
+ *
+ * Estimates report, per outcome question and answer option, the unweighted and weighted share,
+ * with the Kish effective sample size and a 95% margin of error computed from it.
+ */
+
+// Statuses estimates are computed over unless the request picks others
+const DEFAULT_ESTIMATE_STATUS = 'approved_pending';
+const MAX_WEIGHTING_DIMENSIONS = 10;
+const MAX_OUTCOME_QUESTIONS = 20;
+// Targets on a raked dimension may be off 100% by this much (rounding)
+const TARGET_SUM_TOLERANCE = 0.5;
+const Z_95 = 1.96;
+
+const normalizeText = (value, survey = null) => getMainText(String(value ?? ''), survey).toLowerCase().trim();
+
+const toPlain = (value) => (value && value.toObject ? value.toObject() : value);
+
+const round = (value, places = 2) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const toOptionalNumber = (value) => (value === '' || value === undefined || value === null ? undefined : Number(value));
+
+const getSurveyQuestions = (survey) => {
+  const questions = [];
+  (survey?.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => questions.push(question));
+  });
+  (survey?.questions || []).forEach(question => questions.push(question));
+  return questions;
+};
+
+/**
+ * Validate a weighting configuration from the API
+ * @param {Object} config - { enabled, dimensions, outcomeQuestions, maxIterations, tolerance, trimMin, trimMax }
+ * @param {Object} survey - for checking question references
+ * @returns {{weighting: Object, errors: Array<String>}}
+ */
+const validateWeightingConfig = (config = {}, survey = null) => {
+  const errors = [];
+  const dimensions = Array.isArray(config.dimensions) ? config.dimensions : [];
+  if (dimensions.length > MAX_WEIGHTING_DIMENSIONS) {
+    errors.push(`At most ${MAX_WEIGHTING_DIMENSIONS} weighting dimensions are allowed`);
+  }
+
+  const { dimensions: bandedDimensions } = validateDimensions(dimensions, survey, errors);
+  const validDimensions = bandedDimensions.map((dimension, index) => {
+    const source = dimensions[index];
+    const label = `Dimension ${index + 1}`;
+    const rake = source.rake !== false;
+
+    const bands = dimension.bands.map((band, bandIndex) => {
+      const sourceBand = source.bands[bandIndex];
+      const bandLabel = `${label}, band ${bandIndex + 1}`;
+      const target = toOptionalNumber(sourceBand.target);
+      const designWeight = toOptionalNumber(sourceBand.designWeight);
+
+      if (target !== undefined && (!Number.isFinite(target) || target < 0 || target > 100)) {
+        errors.push(`${bandLabel}: target must be a percentage between 0 and 100`);
+      } else if (rake && target === undefined) {
+        errors.push(`${bandLabel}: target is required on a raked dimension`);
+      }
+      if (designWeight !== undefined && (!Number.isFinite(designWeight) || designWeight < 0)) {
+        errors.push(`${bandLabel}: design weight must be a number of 0 or more`);
+      }
+
+      return { ...band, target, designWeight };
+    });
+
+    if (rake && bands.length > 0 && bands.every(band => Number.isFinite(band.target))) {
+      const total = bands.reduce((sum, band) => sum + band.target, 0);
+      if (Math.abs(total - 100) > TARGET_SUM_TOLERANCE) {
+        errors.push(`${label}: targets must add up to 100% (they add up to ${round(total)}%)`);
+      }
+    }
+
+    return { ...dimension, rake, bands };
+  });
+
+  const questionIds = new Set(getSurveyQuestions(survey).map(question => question.id));
+  const outcomeQuestions = [...new Set((Array.isArray(config.outcomeQuestions) ? config.outcomeQuestions : [])
+    .map(id => String(id).trim())
+    .filter(Boolean))];
+  if (outcomeQuestions.length > MAX_OUTCOME_QUESTIONS) {
+    errors.push(`At most ${MAX_OUTCOME_QUESTIONS} outcome questions are allowed`);
+  }
+  if (survey) {
+    outcomeQuestions.filter(id => !questionIds.has(id)).forEach(id => {
+      errors.push(`Outcome question "${id}" is not in this survey`);
+    });
+  }
+
+  const maxIterations = toOptionalNumber(config.maxIterations) ?? 50;
+  const tolerance = toOptionalNumber(config.tolerance) ?? 0.1;
+  const trimMin = toOptionalNumber(config.trimMin) ?? 0.2;
+  const trimMax = toOptionalNumber(config.trimMax) ?? 5;
+  if (!Number.isInteger(maxIterations) || maxIterations < 1 || maxIterations > 500) {
+    errors.push('maxIterations must be a whole number from 1 to 500');
+  }
+  if (!Number.isFinite(tolerance) || tolerance < 0.001) {
+    errors.push('tolerance must be at least 0.001 percentage points');
+  }
+  if (!Number.isFinite(trimMin) || trimMin < 0 || trimMin > 1) {
+    errors.push('trimMin must be between 0 and 1');
+  }
+  if (!Number.isFinite(trimMax) || trimMax < 1) {
+    errors.push('trimMax must be 1 or more');
+  }
+
+  return {
+    weighting: {
+      enabled: !!config.enabled,
+      dimensions: validDimensions,
+      outcomeQuestions,
+      maxIterations,
+      tolerance,
+      trimMin,
+      trimMax
+    },
+    errors
+  };
+};
+
+/**
+ * Kish summary of a set of weights
+ * @param {Array<Number>} weights
+ * @returns {{n: Number, sumWeights: Number, effectiveSampleSize: Number, designEffect: Number}}
+ */
+const summarizeWeights = (weights) => {
+  const n = weights.length;
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  const sumSquares = weights.reduce((total, weight) => total + weight * weight, 0);
+  const effectiveSampleSize = sumSquares > 0 ? (sum * sum) / sumSquares : 0;
+  return {
+    n,
+    sumWeights: sum,
+    effectiveSampleSize,
+    designEffect: effectiveSampleSize > 0 ? n / effectiveSampleSize : 0
+  };
+};
+
+/**
+ * Weighted share of each band of one margin
+ * @returns {{totals: Map<String, Number>, matched: Number}}
+ */
+const marginTotals = (units, weights, margin) => {
+  const totals = new Map();
+  let matched = 0;
+  units.forEach((unit, index) => {
+    const bandKey = unit.bands[margin.key];
+    if (!margin.targets.has(bandKey)) return;
+    totals.set(bandKey, (totals.get(bandKey) || 0) + weights[index]);
+    matched += weights[index];
+  });
+  return { totals, matched };
+};
+
+/**
+ * Rake weights to target margins (iterative proportional fitting). Each pass scales the weights
+ * of every band of every margin to its target share of the respondents that margin covers, then
+ * trims weights to [trimMin, trimMax] x the mean weight. Respondents with no band on a margin are
+ * left out of that margin. A band with a target but no respondents cannot be met: it is dropped
+ * and the other bands' targets are scaled up to make up for it.
+ * @param {Array<{bands: Object, baseWeight: Number}>} units - Respondents: band per dimension key, design weight
+ * @param {Array<{key: String, targets: Map<String, Number>}>} margins - Target share (0-1) per band
+ * @param {Object} options - { maxIterations, tolerance (percentage points), trimMin, trimMax }
+ * @returns {{weights: Array<Number>, iterations: Number, converged: Boolean, maxDeviation: Number, warnings: Array<String>}}
+ */
+const rakeWeights = (units, margins, { maxIterations = 50, tolerance = 0.1, trimMin = 0.2, trimMax = 5 } = {}) => {
+  const warnings = [];
+  const weights = units.map(unit => (unit.baseWeight > 0 ? unit.baseWeight : 0));
+
+  // Drop unreachable bands and rescale the remaining targets to shares of 1
+  const activeMargins = [];
+  margins.forEach(margin => {
+    const present = new Set(units.map(unit => unit.bands[margin.key]));
+    const targets = new Map();
+    margin.targets.forEach((target, bandKey) => {
+      if (target <= 0) return;
+      if (!present.has(bandKey)) {
+        warnings.push(`"${margin.key}" band "${bandKey}" has no respondents; its ${round(target * 100)}% target was spread over the other bands`);
+        return;
+      }
+      targets.set(bandKey, target);
+    });
+    const total = [...targets.values()].reduce((sum, target) => sum + target, 0);
+    if (total <= 0) {
+      warnings.push(`"${margin.key}" has no respondents in any targeted band and was not raked`);
+      return;
+    }
+    targets.forEach((target, bandKey) => targets.set(bandKey, target / total));
+    activeMargins.push({ key: margin.key, targets });
+  });
+
+  const maxDeviationOf = () => activeMargins.reduce((max, margin) => {
+    const { totals, matched } = marginTotals(units, weights, margin);
+    if (matched <= 0) return max;
+    margin.targets.forEach((target, bandKey) => {
+      max = Math.max(max, Math.abs((totals.get(bandKey) || 0) / matched - target) * 100);
+    });
+    return max;
+  }, 0);
+
+  let iterations = 0;
+  let maxDeviation = maxDeviationOf();
+  let converged = maxDeviation <= tolerance;
+
+  while (!converged && iterations < maxIterations && weights.length > 0) {
+    iterations++;
+    activeMargins.forEach(margin => {
+      const { totals, matched } = marginTotals(units, weights, margin);
+      if (matched <= 0) return;
+      units.forEach((unit, index) => {
+        const bandKey = unit.bands[margin.key];
+        const current = totals.get(bandKey);
+        if (!margin.targets.has(bandKey) || !current) return;
+        weights[index] *= (margin.targets.get(bandKey) * matched) / current;
+      });
+    });
+
+    const mean = weights.reduce((sum, weight) => sum + weight, 0) / weights.length;
+    for (let index = 0; index < weights.length; index++) {
+      weights[index] = Math.min(Math.max(weights[index], trimMin * mean), trimMax * mean);
+    }
+
+    maxDeviation = maxDeviationOf();
+    converged = maxDeviation <= tolerance;
+  }
+
+  if (!converged && activeMargins.length > 0) {
+    warnings.push(`Raking stopped after ${iterations} iteration(s) ${round(maxDeviation)} points from its targets; the trim limits may be too tight for this sample`);
+  }
+
+  // Normalise to a mean weight of 1, so weighted counts read as respondents
+  const sum = weights.reduce((total, weight) => total + weight, 0);
+  const scale = sum > 0 ? weights.length / sum : 0;
+  return {
+    weights: weights.map(weight => weight * scale),
+    iterations,
+    converged,
+    maxDeviation: round(maxDeviation, 3),
+    warnings
+  };
+};
+
+/**
+ * Answer option(s) a respondent gave to a question, as { key, label }
+ */
+const getAnswerOptions = (question, answer, survey = null) => {
+  if (!answer || answer.isSkipped) return [];
+  const raw = Array.isArray(answer.response) ? answer.response : [answer.response];
+  return raw
+    .map(value => (value && typeof value === 'object' ? value.value ?? value.text : value))
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(value => {
+      const text = normalizeText(value, survey);
+      const option = (question?.options || []).find(candidate =>
+        String(candidate.value) === String(value) ||
+        (candidate.code !== undefined && candidate.code !== null && String(candidate.code) === String(value)) ||
+        normalizeText(candidate.text, survey) === text
+      );
+      return option
+        ? { key: String(option.value), label: getMainText(option.text, survey) }
+        : { key: text, label: getMainText(String(value), survey) };
+    });
+};
+
+/**
+ * Share of respondents choosing each option of one question. A multiple-choice respondent
+ * counts towards every option they chose, so shares may add up to more than 100%.
+ */
+const estimateQuestion = (question, units, weights, survey = null) => {
+  const answered = [];
+  units.forEach((unit, index) => {
+    const options = unit.answers[question.id];
+    if (options && options.length > 0) answered.push({ options, weight: weights[index] });
+  });
+
+  const { n, sumWeights, effectiveSampleSize, designEffect } = summarizeWeights(answered.map(row => row.weight));
+  const byOption = new Map();
+  (question.options || []).forEach(option => {
+    byOption.set(String(option.value), { key: String(option.value), label: getMainText(option.text, survey), count: 0, weight: 0 });
+  });
+  answered.forEach(row => {
+    new Map(row.options.map(option => [option.key, option])).forEach(option => {
+      if (!byOption.has(option.key)) byOption.set(option.key, { key: option.key, label: option.label, count: 0, weight: 0 });
+      const entry = byOption.get(option.key);
+      entry.count++;
+      entry.weight += row.weight;
+    });
+  });
+
+  const options = [...byOption.values()].map(entry => {
+    const unweighted = n > 0 ? entry.count / n : 0;
+    const weighted = sumWeights > 0 ? entry.weight / sumWeights : 0;
+    const marginOfError = effectiveSampleSize > 0
+      ? Z_95 * Math.sqrt((weighted * (1 - weighted)) / effectiveSampleSize) * 100
+      : 0;
+    return {
+      key: entry.key,
+      label: entry.label,
+      count: entry.count,
+      weightedCount: round(entry.weight),
+      unweightedShare: round(unweighted * 100),
+      weightedShare: round(weighted * 100),
+      marginOfError: round(marginOfError)
+    };
+  }).sort((a, b) => b.weightedShare - a.weightedShare);
+
+  return {
+    questionId: question.id,
+    questionText: getMainText(question.text || '', survey),
+    questionType: question.type,
+    respondents: n,
+    effectiveSampleSize: round(effectiveSampleSize, 1),
+    designEffect: round(designEffect),
+    options
+  };
+};
+
+/**
+ * Responses matching a report filter (see reportMetrics.parseReportFilter)
+ * @returns {Promise<Array<Object>>} Lean responses
+ */
+const loadFilteredResponses = async (survey, filter, restrictToInterviewers) => {
+  const { resolveDayRange, resolveStatuses, toDayKey } = require('./surveyAnalyticsStore');
+
+  const query = { survey: survey._id };
+  const statuses = resolveStatuses(filter.status || DEFAULT_ESTIMATE_STATUS);
+  if (statuses) query.status = { $in: statuses };
+  if (filter.interviewMode) query.interviewMode = filter.interviewMode.toLowerCase();
+
+  // Days are in the analytics timezone: widen the query by a day each side, then compare day keys
+  const { from, to } = resolveDayRange(filter);
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = new Date(new Date(`${from}T00:00:00Z`).getTime() - 24 * 60 * 60 * 1000);
+    if (to) query.createdAt.$lte = new Date(new Date(`${to}T23:59:59.999Z`).getTime() + 24 * 60 * 60 * 1000);
+  }
+
+  const interviewerIds = filter.interviewerIds || [];
+  const interviewer = {};
+  if (restrictToInterviewers) {
+    const allowed = new Set(restrictToInterviewers.map(String));
+    interviewer.$in = filter.interviewerMode !== 'exclude' && interviewerIds.length > 0
+      ? interviewerIds.filter(id => allowed.has(String(id)))
+      : [...allowed];
+  } else if (interviewerIds.length > 0 && filter.interviewerMode !== 'exclude') {
+    interviewer.$in = interviewerIds;
+  }
+  if (interviewerIds.length > 0 && filter.interviewerMode === 'exclude') {
+    interviewer.$nin = interviewerIds;
+  }
+  if (Object.keys(interviewer).length > 0) query.interviewer = interviewer;
+
+  const responses = await SurveyResponse.find(query)
+    .select('responses selectedAC selectedPollingStation createdAt')
+    .lean();
+
+  const ac = filter.ac ? normalizeText(filter.ac) : null;
+  return responses.filter(response => {
+    if (from || to) {
+      const day = toDayKey(response.createdAt);
+      if ((from && day < from) || (to && day > to)) return false;
+    }
+    if (ac) {
+      const responseAC = extractACFromResponse(response.responses, {
+        selectedAC: response.selectedAC,
+        selectedPollingStation: response.selectedPollingStation
+      }, survey);
+      if (!responseAC || normalizeText(responseAC) !== ac) return false;
+    }
+    return true;
+  });
+};
+
+/**
+ * A survey's weighting configuration, ready to weigh respondents with
+ * @param {Object} survey - With weighting
+ * @returns {{enabled: Boolean, applied: Boolean, version: Number, dimensions: Array, margins: Array, options: Object}}
+ */
+const getWeightingPlan = (survey) => {
+  const weighting = toPlain(survey.weighting) || {};
+  const dimensions = (weighting.dimensions || []).map(toPlain);
+  const applied = !!weighting.enabled && dimensions.length > 0;
+
+  const rakedDimensions = applied ? dimensions.filter(dimension => dimension.rake !== false) : [];
+  return {
+    enabled: !!weighting.enabled,
+    applied,
+    version: weighting.version || 0,
+    dimensions: applied ? dimensions : [],
+    margins: rakedDimensions.map(dimension => ({
+      key: dimension.key,
+      targets: new Map((dimension.bands || [])
+        .filter(band => Number.isFinite(band.target))
+        .map(band => [band.key, band.target / 100]))
+    })),
+    options: {
+      maxIterations: weighting.maxIterations,
+      tolerance: weighting.tolerance,
+      trimMin: weighting.trimMin,
+      trimMax: weighting.trimMax
+    }
+  };
+};
+
+/**
+ * A respondent's band on each weighting dimension and their design weight
+ * @param {Object} plan - From getWeightingPlan
+ * @param {Object} survey
+ * @param {Object} response - Lean response with responses, selectedAC and selectedPollingStation
+ * @returns {{bands: Object, baseWeight: Number}}
+ */
+const toWeightingUnit = (plan, survey, response) => {
+  if (!plan.applied) return { bands: {}, baseWeight: 1 };
+
+  const bands = resolveDimensionBands(plan.dimensions, response.responses, {
+    survey,
+    selectedAC: response.selectedAC,
+    selectedPollingStation: response.selectedPollingStation
+  });
+
+  let baseWeight = 1;
+  plan.dimensions.forEach(dimension => {
+    const band = (dimension.bands || []).find(candidate => candidate.key === bands[dimension.key]);
+    if (band && Number.isFinite(band.designWeight)) baseWeight *= band.designWeight;
+  });
+  return { bands, baseWeight };
+};
+
+/**
+ * Weighted estimates for a survey's outcome questions
+ * @param {Object} survey - With sections, questions and weighting
+ * @param {Object} [options]
+ * @param {Object} [options.filter] - From reportMetrics.parseReportFilter; Approved and Pending_Approval by default
+ * @param {Array<String>} [options.questionIds] - Questions to estimate; the configured outcome questions by default
+ * @param {Array<String>} [options.restrictToInterviewers] - Project manager scope
+ * @returns {Promise<Object>}
+ */
+const getWeightedEstimates = async (survey, { filter = {}, questionIds = null, restrictToInterviewers = null } = {}) => {
+  const weighting = toPlain(survey.weighting) || {};
+  const plan = getWeightingPlan(survey);
+  const { applied, dimensions } = plan;
+
+  const questionsById = new Map(getSurveyQuestions(survey).map(question => [question.id, question]));
+  const wanted = questionIds && questionIds.length > 0 ? questionIds : (weighting.outcomeQuestions || []);
+  const questions = wanted.map(id => questionsById.get(id)).filter(Boolean);
+
+  const responses = await loadFilteredResponses(survey, filter, restrictToInterviewers);
+
+  // Keep only what weighting needs from each response
+  const units = responses.map(response => {
+    const { bands, baseWeight } = toWeightingUnit(plan, survey, response);
+
+    const answers = {};
+    questions.forEach(question => {
+      const answer = (response.responses || []).find(r => r.questionId === question.id);
+      answers[question.id] = getAnswerOptions(question, answer, survey);
+    });
+    return { bands, baseWeight, answers };
+  });
+
+  const raking = rakeWeights(units, plan.margins, plan.options);
+  const { weights } = raking;
+
+  // How each weighting dimension looks before and after weighting
+  const unitWeights = units.map(() => 1);
+  const marginReport = (applied ? dimensions : []).map(dimension => {
+    const margin = { key: dimension.key, targets: new Map((dimension.bands || []).map(band => [band.key, 1])) };
+    const before = marginTotals(units, unitWeights, margin);
+    const after = marginTotals(units, weights, margin);
+    return {
+      key: dimension.key,
+      label: dimension.label || dimension.key,
+      rake: dimension.rake !== false,
+      unmatched: units.length - before.matched,
+      bands: (dimension.bands || []).map(band => ({
+        key: band.key,
+        label: band.label || band.key,
+        target: Number.isFinite(band.target) ? band.target : null,
+        designWeight: Number.isFinite(band.designWeight) ? band.designWeight : 1,
+        count: before.totals.get(band.key) || 0,
+        unweightedShare: before.matched > 0 ? round(((before.totals.get(band.key) || 0) / before.matched) * 100) : 0,
+        weightedShare: after.matched > 0 ? round(((after.totals.get(band.key) || 0) / after.matched) * 100) : 0
+      }))
+    };
+  });
+
+  const sample = summarizeWeights(weights);
+  return {
+    weighting: {
+      enabled: !!weighting.enabled,
+      applied,
+      version: weighting.version || 0,
+      iterations: raking.iterations,
+      converged: raking.converged,
+      maxDeviation: raking.maxDeviation,
+      warnings: raking.warnings
+    },
+    sample: {
+      respondents: sample.n,
+      effectiveSampleSize: round(sample.effectiveSampleSize, 1),
+      designEffect: round(sample.designEffect),
+      minWeight: weights.length > 0 ? round(weights.reduce((min, weight) => Math.min(min, weight), Infinity), 3) : 0,
+      maxWeight: round(weights.reduce((max, weight) => Math.max(max, weight), 0), 3)
+    },
+    margins: marginReport,
+    estimates: questions.map(question => estimateQuestion(question, units, weights, survey))
+  };
+};
+
+module.exports = {
+  DEFAULT_ESTIMATE_STATUS,
+  MAX_WEIGHTING_DIMENSIONS,
+  validateWeightingConfig,
+  summarizeWeights,
+  rakeWeights,
+  getWeightingPlan,
+  toWeightingUnit,
+  getWeightedEstimates
+};
@@ -23,6 +23,10 @@ import SurveyReportsPage from './pages/SurveyReportsPage';
 import CallerPerformancePage from './pages/CallerPerformancePage';
 import QCPerformancePage from './pages/QCPerformancePage';
 import QCBatchesPage from './pages/QCBatchesPage';
+import AutoRejectionRulesPage from './pages/AutoRejectionRulesPage';
+import SurveyQuotasPage from './pages/SurveyQuotasPage';
+import SurveyWeightingPage from './pages/SurveyWeightingPage';
+import SurveyVersionsPage from './pages/SurveyVersionsPage';
 import FindingsDashboard from './pages/FindingsDashboard';
 import PageTitleManager from './components/PageTitleManager';
 import './App.css';
@@ -88,6 +92,8 @@ function App() {
             <Route path="/admin/document-verification" element={<AdminDashboard />} />
             <Route path="/admin/survey-templates" element={<AdminDashboard />} />
             <Route path="/admin/reports" element={<AdminDashboard />} />
+            <Route path="/admin/webhook-events" element={<AdminDashboard />} />
+            <Route path="/admin/background-jobs" element={<AdminDashboard />} />
             <Route path="/admin/settings" element={<AdminDashboard />} />
             <Route path="/admin/profile" element={<AdminDashboard />} />
             
@@ -96,6 +102,10 @@ function App() {
             <Route path="/company/team-management" element={<AdminDashboard />} />
             <Route path="/company/surveys" element={<AdminDashboard />} />
             <Route path="/company/survey-approvals" element={<AdminDashboard />} />
+            <Route path="/company/duplicate-review" element={<AdminDashboard />} />
+            <Route path="/company/back-checks" element={<AdminDashboard />} />
+            <Route path="/company/payouts" element={<AdminDashboard />} />
+            <Route path="/company/training" element={<AdminDashboard />} />
             <Route path="/company/document-verification" element={<AdminDashboard />} />
             <Route path="/company/performance" element={<AdminDashboard />} />
             <Route path="/company/generate-report" element={<AdminDashboard />} />
@@ -117,6 +127,10 @@ function App() {
             
             {/* QC Batches Page */}
             <Route path="/company/surveys/:surveyId/qc-batches" element={<QCBatchesPage />} />
+            <Route path="/company/surveys/:surveyId/auto-rejection-rules" element={<AutoRejectionRulesPage />} />
+            <Route path="/company/surveys/:surveyId/quotas" element={<SurveyQuotasPage />} />
+            <Route path="/company/surveys/:surveyId/weighting" element={<SurveyWeightingPage />} />
+            <Route path="/company/surveys/:surveyId/versions" element={<SurveyVersionsPage />} />
             
             {/* Findings Dashboard Page */}
             <Route path="/company/surveys/:surveyId/findings" element={<FindingsDashboard />} />
@@ -131,6 +145,7 @@ function App() {
             {/* Interviewer routes */}
             <Route path="/interviewer/dashboard" element={<AdminDashboard />} />
             <Route path="/interviewer/available-surveys" element={<AdminDashboard />} />
+            <Route path="/interviewer/training" element={<AdminDashboard />} />
             <Route path="/interviewer/my-interviews" element={<AdminDashboard />} />
             <Route path="/interviewer/performance" element={<AdminDashboard />} />
             <Route path="/interviewer/payments-history" element={<AdminDashboard />} />
@@ -141,6 +156,8 @@ function App() {
             <Route path="/quality-agent/dashboard" element={<AdminDashboard />} />
             <Route path="/quality-agent/available-surveys" element={<AdminDashboard />} />
             <Route path="/quality-agent/survey-approvals" element={<AdminDashboard />} />
+            <Route path="/quality-agent/duplicate-review" element={<AdminDashboard />} />
+            <Route path="/quality-agent/back-checks" element={<AdminDashboard />} />
             <Route path="/quality-agent/validation-history" element={<AdminDashboard />} />
             <Route path="/quality-agent/performance" element={<AdminDashboard />} />
             <Route path="/quality-agent/payments-history" element={<AdminDashboard />} />
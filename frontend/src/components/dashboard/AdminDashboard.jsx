@@ -26,6 +26,14 @@ import DocumentVerification from './DocumentVerification';
 import SuperAdminDocumentVerification from './SuperAdminDocumentVerification';
 import ProfileCompletionGate from './ProfileCompletionGate';
 import GenerateReport from './GenerateReport';
+import WebhookEvents from './WebhookEvents';
+import BackgroundJobs from './BackgroundJobs';
+import DuplicateReview from './DuplicateReview';
+import BackChecks from './BackChecks';
+import EarningsStatement from './EarningsStatement';
+import PayoutCycles from './PayoutCycles';
+import TrainingModules from './TrainingModules';
+import MyTraining from './MyTraining';
 import { useAuth } from '../../contexts/AuthContext';
 
 const AdminDashboard = () => {
@@ -57,6 +65,12 @@ const AdminDashboard = () => {
       if (path === '/admin/document-verification') {
         return <SuperAdminDocumentVerification />;
       }
+      if (path === '/admin/webhook-events') {
+        return <WebhookEvents />;
+      }
+      if (path === '/admin/background-jobs') {
+        return <BackgroundJobs />;
+      }
       if (path === '/admin/survey-templates') {
         return <ComingSoon title="Survey Templates" description="Manage and create survey templates for your platform" features={["Template Library", "Custom Templates", "Category Management", "Template Sharing"]} />;
       }
@@ -86,6 +100,18 @@ const AdminDashboard = () => {
       if (path === '/company/survey-approvals') {
         return <SurveyApprovals />;
       }
+      if (path === '/company/duplicate-review') {
+        return <DuplicateReview />;
+      }
+      if (path === '/company/back-checks') {
+        return <BackChecks />;
+      }
+      if (path === '/company/payouts') {
+        return <PayoutCycles />;
+      }
+      if (path === '/company/training') {
+        return <TrainingModules />;
+      }
       if (path === '/company/document-verification') {
         return <DocumentVerification />;
       }
@@ -158,10 +184,17 @@ const AdminDashboard = () => {
           </ProfileCompletionGate>
         );
       }
+      if (path === '/interviewer/training') {
+        return (
+          <ProfileCompletionGate>
+            <MyTraining />
+          </ProfileCompletionGate>
+        );
+      }
       if (path === '/interviewer/payments-history') {
         return (
           <ProfileCompletionGate>
-            <ComingSoon title="Payments History" description="View your payment history and earnings" features={["Payment History", "Earnings Breakdown", "Payment Status", "Financial Reports"]} />
+            <EarningsStatement />
           </ProfileCompletionGate>
         );
       }
@@ -192,6 +225,12 @@ const AdminDashboard = () => {
       if (path === '/quality-agent/survey-approvals') {
         return <SurveyApprovals />;
       }
+      if (path === '/quality-agent/duplicate-review') {
+        return <DuplicateReview />;
+      }
+      if (path === '/quality-agent/back-checks') {
+        return <BackChecks />;
+      }
       if (path === '/quality-agent/validation-history') {
         return <ComingSoon title="Validation History" description="View your validation history and performance" features={["Validation Records", "Quality Scores", "Feedback History", "Performance Trends"]} />;
       }
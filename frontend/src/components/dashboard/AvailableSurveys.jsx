@@ -26,6 +26,7 @@ import {
 } from 'lucide-react';
 import { surveyAPI } from '../../services/api';
 import InterviewInterface from './InterviewInterface';
+import OfflineSyncQueue from './OfflineSyncQueue';
 
 const AvailableSurveys = () => {
   const [surveys, setSurveys] = useState([]);
@@ -41,6 +42,7 @@ const AvailableSurveys = () => {
   const [interviewSurvey, setInterviewSurvey] = useState(null);
   const [showCatiModal, setShowCatiModal] = useState(false);
   const [catiSurvey, setCatiSurvey] = useState(null);
+  const [offlineQueueVersion, setOfflineQueueVersion] = useState(0); // Reloads the device queue after an interview
   const { showSuccess, showError } = useToast();
 
   // Fetch available interviews for the logged-in interviewer
@@ -177,6 +179,11 @@ const AvailableSurveys = () => {
   };
 
   const handleStartInterview = (survey) => {
+    if (survey.trainingRequired) {
+      showError('Training Required', 'Complete the training for this survey from the Training page before starting interviews.');
+      return;
+    }
+
     // Check survey mode and route accordingly
     const isCAPI = survey.mode === 'capi' || survey.assignedMode === 'capi';
     const isCATI = survey.mode === 'cati' || survey.assignedMode === 'cati';
@@ -207,6 +214,7 @@ const AvailableSurveys = () => {
   const handleCloseInterview = () => {
     setShowInterviewInterface(false);
     setInterviewSurvey(null);
+    setOfflineQueueVersion(version => version + 1);
   };
 
   const handleCloseCatiModal = () => {
@@ -276,6 +284,9 @@ const AvailableSurveys = () => {
         </div>
       </div>
 
+      {/* Interviews captured offline and waiting to sync */}
+      <OfflineSyncQueue key={offlineQueueVersion} onSynced={fetchAvailableSurveys} />
+
       {/* Filters and Search */}
       <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 mb-6">
         <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
@@ -428,6 +439,13 @@ const AvailableSurveys = () => {
                     </div>
                   </div>
 
+                  {survey.trainingRequired && (
+                    <div className="mt-3 flex items-center space-x-2 text-sm text-red-600">
+                      <AlertCircle className="w-4 h-4" />
+                      <span>Complete this survey's training before starting interviews</span>
+                    </div>
+                  )}
+
                   {/* Assigned ACs */}
                   {survey.assignedACs && survey.assignedACs.length > 0 && (
                     <div className="mt-3">
@@ -0,0 +1,745 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  PhoneCall,
+  PhoneOff,
+  Eye,
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  HelpCircle,
+  Loader,
+  X,
+  RefreshCw,
+  RotateCcw,
+  Save
+} from 'lucide-react';
+import { backCheckAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+import { useAuth } from '../../contexts/AuthContext';
+
+const STATUS_TABS = [
+  { value: 'pending', label: 'To Call' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'unreachable', label: 'Unreachable' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'all', label: 'All' }
+];
+
+const UNREACHED_OUTCOMES = [
+  { value: 'no_answer', label: 'No answer' },
+  { value: 'busy', label: 'Busy' },
+  { value: 'switched_off', label: 'Switched off / not reachable' },
+  { value: 'call_back_later', label: 'Asked to call back later' },
+  { value: 'wrong_number', label: 'Wrong number (closes the back-check)' }
+];
+
+const ATTEMPT_LABELS = {
+  reached: 'Reached',
+  no_answer: 'No answer',
+  busy: 'Busy',
+  switched_off: 'Switched off',
+  call_back_later: 'Call back later',
+  wrong_number: 'Wrong number'
+};
+
+const REASON_LABELS = {
+  interview_denied: 'Respondent says no interview took place',
+  gender_mismatch: 'Gender does not match',
+  age_mismatch: 'Age does not match',
+  respondent_not_sure: 'Respondent is not sure about the interview',
+  duration_mismatch: 'Stated duration is far from the recorded one',
+  wrong_number: 'Wrong number',
+  unreachable: 'Could not be reached'
+};
+
+const EMPTY_ANSWERS = {
+  interviewHappened: '',
+  genderMatches: '',
+  reportedAge: '',
+  reportedDurationMinutes: '',
+  notes: ''
+};
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+};
+
+const BackChecks = () => {
+  const { showSuccess, showError } = useToast();
+  const { user } = useAuth();
+  const [surveys, setSurveys] = useState([]);
+  const [selectedSurvey, setSelectedSurvey] = useState('');
+  const [backChecks, setBackChecks] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [interviewerResults, setInterviewerResults] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [selectedStatus, setSelectedStatus] = useState('pending');
+
+  // Sampling rate (company admins can change it)
+  const [rate, setRate] = useState('');
+  const [savingRate, setSavingRate] = useState(false);
+
+  // Call / detail states
+  const [selectedCheck, setSelectedCheck] = useState(null);
+  const [claiming, setClaiming] = useState(false);
+  const [answers, setAnswers] = useState(EMPTY_ANSWERS);
+  const [outcome, setOutcome] = useState('no_answer');
+  const [attemptNote, setAttemptNote] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const isCompanyAdmin = user?.userType === 'company_admin';
+
+  useEffect(() => {
+    const loadSurveys = async () => {
+      try {
+        const [surveysResponse, settingsResponse] = await Promise.all([
+          backCheckAPI.getSurveys(),
+          backCheckAPI.getSettings()
+        ]);
+        if (settingsResponse.success) {
+          setRate(String(settingsResponse.data.callbackVerificationRate));
+        }
+        if (surveysResponse.success) {
+          setSurveys(surveysResponse.data.surveys);
+          if (surveysResponse.data.surveys.length > 0) {
+            // Start with the survey that has the most calls waiting
+            const first = [...surveysResponse.data.surveys].sort((a, b) => b.pendingBackChecks - a.pendingBackChecks)[0];
+            setSelectedSurvey(first._id);
+          } else {
+            setLoading(false);
+          }
+        }
+      } catch (error) {
+        console.error('BackChecks - Error loading surveys:', error);
+        setError('Failed to load surveys');
+        setLoading(false);
+      }
+    };
+    loadSurveys();
+  }, []);
+
+  const loadBackChecks = useCallback(async () => {
+    if (!selectedSurvey) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await backCheckAPI.getBySurvey(selectedSurvey, { status: selectedStatus });
+      if (response.success) {
+        setBackChecks(response.data.backChecks);
+        setCounts(response.data.counts || {});
+        setInterviewerResults(response.data.interviewerResults || []);
+      }
+    } catch (error) {
+      console.error('BackChecks - Error loading back-checks:', error);
+      setError(error.response?.data?.message || 'Failed to load back-checks');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedSurvey, selectedStatus]);
+
+  useEffect(() => {
+    loadBackChecks();
+  }, [loadBackChecks]);
+
+  const handleSaveRate = async () => {
+    try {
+      setSavingRate(true);
+      const response = await backCheckAPI.updateSettings({ callbackVerificationRate: Number(rate) });
+      if (response.success) {
+        showSuccess('Sampling Updated', response.message);
+      }
+    } catch (error) {
+      console.error('BackChecks - Error saving sampling rate:', error);
+      showError('Save Failed', error.response?.data?.message || 'Failed to save the sampling rate');
+    } finally {
+      setSavingRate(false);
+    }
+  };
+
+  const handleCall = async (backCheck) => {
+    try {
+      setClaiming(true);
+      const response = await backCheckAPI.claim(backCheck._id);
+      if (response.success) {
+        setSelectedCheck(response.data.backCheck);
+        setAnswers(EMPTY_ANSWERS);
+        setOutcome('no_answer');
+        setAttemptNote('');
+      }
+    } catch (error) {
+      console.error('BackChecks - Error claiming back-check:', error);
+      showError('Cannot Call', error.response?.data?.message || 'Failed to open the back-check');
+      loadBackChecks();
+    } finally {
+      setClaiming(false);
+    }
+  };
+
+  const closeModal = () => {
+    setSelectedCheck(null);
+    loadBackChecks();
+  };
+
+  const handleRecordAttempt = async () => {
+    try {
+      setSaving(true);
+      const response = await backCheckAPI.recordAttempt(selectedCheck._id, { outcome, note: attemptNote });
+      if (response.success) {
+        showSuccess('Call Recorded', response.message);
+        closeModal();
+      }
+    } catch (error) {
+      console.error('BackChecks - Error recording attempt:', error);
+      showError('Save Failed', error.response?.data?.message || 'Failed to record the call');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleComplete = async () => {
+    try {
+      setSaving(true);
+      const response = await backCheckAPI.complete(selectedCheck._id, {
+        answers: {
+          interviewHappened: answers.interviewHappened,
+          genderMatches: answers.genderMatches === '' ? undefined : answers.genderMatches === 'yes',
+          reportedAge: answers.reportedAge,
+          reportedDurationMinutes: answers.reportedDurationMinutes,
+          notes: answers.notes
+        }
+      });
+      if (response.success) {
+        showSuccess('Back-Check Saved', response.message);
+        // Stay on the result so a failed check can be acted on at once
+        setSelectedCheck(prev => ({ ...response.data.backCheck, interviewer: prev.interviewer, response: prev.response }));
+      }
+    } catch (error) {
+      console.error('BackChecks - Error completing back-check:', error);
+      showError('Save Failed', error.response?.data?.message || 'Failed to save the back-check');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAction = async (action) => {
+    try {
+      setSaving(true);
+      const response = await backCheckAPI.takeAction(selectedCheck._id, action);
+      if (response.success) {
+        showSuccess(action === 'reject' ? 'Interview Rejected' : 'Interview Reopened', response.message);
+        closeModal();
+      }
+    } catch (error) {
+      console.error('BackChecks - Error acting on back-check:', error);
+      showError('Update Failed', error.response?.data?.message || 'Failed to update the interview');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const getResultBadge = (backCheck) => {
+    if (backCheck.status === 'pending') {
+      return (
+        <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-yellow-100 text-yellow-800">
+          To call{backCheck.attempts?.length > 0 ? ` (${backCheck.attempts.length} tried)` : ''}
+        </span>
+      );
+    }
+    if (backCheck.status === 'cancelled') {
+      return <span className="inline-flex px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">Cancelled</span>;
+    }
+    const resultConfig = {
+      passed: { className: 'bg-green-100 text-green-800', icon: CheckCircle },
+      failed: { className: 'bg-red-100 text-red-800', icon: XCircle },
+      inconclusive: { className: 'bg-orange-100 text-orange-800', icon: HelpCircle }
+    };
+    const config = resultConfig[backCheck.result] || resultConfig.inconclusive;
+    const Icon = config.icon;
+    return (
+      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium capitalize ${config.className}`}>
+        <Icon className="w-3 h-3 mr-1" />
+        {backCheck.result}
+      </span>
+    );
+  };
+
+  const totalCount = STATUS_TABS
+    .filter(tab => tab.value !== 'all')
+    .reduce((sum, tab) => sum + (counts[tab.value] || 0), 0);
+  const isCalling = selectedCheck?.status === 'pending';
+  const expected = selectedCheck?.expected || {};
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Back-Checks</h1>
+          <p className="text-gray-600 mt-1">Call back a sample of CAPI respondents to confirm the interview took place as recorded</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <div className="flex items-center px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-700">
+            Sample
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={rate}
+              onChange={(e) => setRate(e.target.value)}
+              disabled={!isCompanyAdmin}
+              className="w-16 mx-2 px-2 py-1 border border-gray-300 rounded disabled:bg-gray-50"
+            />
+            % of CAPI interviews
+            {isCompanyAdmin && (
+              <button
+                onClick={handleSaveRate}
+                disabled={savingRate || rate === ''}
+                className="ml-2 p-1 text-gray-500 hover:text-[#001D48] disabled:opacity-50"
+                title="Save sampling rate"
+              >
+                {savingRate ? <Loader className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+              </button>
+            )}
+          </div>
+          <button
+            onClick={loadBackChecks}
+            disabled={!selectedSurvey}
+            className="flex items-center px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Survey and Status Tabs */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+        <select
+          value={selectedSurvey}
+          onChange={(e) => setSelectedSurvey(e.target.value)}
+          className="w-full lg:w-96 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+        >
+          {surveys.length === 0 && <option value="">No surveys</option>}
+          {surveys.map(survey => (
+            <option key={survey._id} value={survey._id}>
+              {survey.surveyName}{survey.pendingBackChecks > 0 ? ` (${survey.pendingBackChecks} to call)` : ''}
+            </option>
+          ))}
+        </select>
+
+        <div className="flex flex-wrap gap-2">
+          {STATUS_TABS.map(tab => {
+            const count = tab.value === 'all' ? totalCount : (counts[tab.value] || 0);
+            const isActive = selectedStatus === tab.value;
+            return (
+              <button
+                key={tab.value}
+                onClick={() => setSelectedStatus(tab.value)}
+                className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  isActive
+                    ? 'bg-[#001D48] text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {tab.label}
+                <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                  isActive ? 'bg-white text-[#001D48]' : 'bg-white text-gray-600'
+                }`}>
+                  {count}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Back-Checks Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="w-6 h-6 animate-spin text-[#001D48]" />
+            <span className="ml-2 text-gray-600">Loading back-checks...</span>
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center py-12 text-red-600">
+            <AlertCircle className="w-6 h-6 mr-2" />
+            {error}
+          </div>
+        ) : backChecks.length === 0 ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <CheckCircle className="w-6 h-6 mr-2" />
+            No back-checks found
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Response</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Interviewer</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Respondent</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Interviewed</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Result</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {backChecks.map(backCheck => (
+                  <tr key={backCheck._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className="font-mono text-sm text-gray-900">{backCheck.response?.responseId || '-'}</div>
+                      {backCheck.response?.status && <div className="text-xs text-gray-500">{backCheck.response.status}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {backCheck.interviewer ? `${backCheck.interviewer.firstName} ${backCheck.interviewer.lastName}` : '-'}
+                      {backCheck.interviewer?.memberId && <span className="text-xs text-gray-500"> ({backCheck.interviewer.memberId})</span>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <div>{backCheck.respondentName || '-'}</div>
+                      <div className="font-mono text-xs text-gray-500">{backCheck.phone}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDate(backCheck.expected?.interviewDate)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getResultBadge(backCheck)}
+                      {backCheck.action && backCheck.action !== 'none' && (
+                        <div className="text-xs text-gray-500 mt-1 capitalize">Interview {backCheck.action}</div>
+                      )}
+                      {backCheck.status === 'pending' && backCheck.claim?.claimedBy && new Date(backCheck.claim.expiresAt) > new Date() && (
+                        <div className="text-xs text-blue-600 mt-1">
+                          {backCheck.claim.claimedBy.firstName} is calling
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      {backCheck.status === 'pending' ? (
+                        <button
+                          onClick={() => handleCall(backCheck)}
+                          disabled={claiming}
+                          className="inline-flex items-center px-3 py-1 text-xs text-white bg-[#001D48] rounded-lg hover:bg-blue-900 transition-colors disabled:opacity-50"
+                        >
+                          <PhoneCall className="w-3 h-3 mr-1" />
+                          Call
+                        </button>
+                      ) : (
+                        <button
+                          onClick={() => setSelectedCheck(backCheck)}
+                          className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                          title="View details"
+                        >
+                          <Eye className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Results per Interviewer */}
+      {interviewerResults.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4">Results by Interviewer</h2>
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-xs text-gray-500 uppercase tracking-wider">
+                  <th className="py-2">Interviewer</th>
+                  <th className="py-2">Passed</th>
+                  <th className="py-2">Failed</th>
+                  <th className="py-2">Inconclusive</th>
+                  <th className="py-2">Failure Rate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {[...interviewerResults].sort((a, b) => b.failed - a.failed).map(entry => {
+                  const total = entry.passed + entry.failed + entry.inconclusive;
+                  return (
+                    <tr key={entry.interviewer._id}>
+                      <td className="py-2 text-gray-900">
+                        {entry.interviewer.firstName ? `${entry.interviewer.firstName} ${entry.interviewer.lastName}` : 'Unknown'}
+                        {entry.interviewer.memberId && <span className="text-xs text-gray-500"> ({entry.interviewer.memberId})</span>}
+                      </td>
+                      <td className="py-2 text-green-700">{entry.passed}</td>
+                      <td className="py-2 text-red-700">{entry.failed}</td>
+                      <td className="py-2 text-orange-700">{entry.inconclusive}</td>
+                      <td className="py-2 text-gray-900">{total ? `${Math.round((entry.failed / total) * 100)}%` : '-'}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Call / Details Modal */}
+      {selectedCheck && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-2xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <div className="flex items-center space-x-2">
+                  {getResultBadge(selectedCheck)}
+                  <span className="font-mono text-xs text-gray-500">{selectedCheck.response?.responseId}</span>
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900 mt-2">
+                  {selectedCheck.respondentName || 'Respondent'}
+                </h3>
+                {isCalling ? (
+                  <a href={`tel:${selectedCheck.phone}`} className="inline-flex items-center text-sm font-mono text-blue-600 hover:underline">
+                    <PhoneCall className="w-4 h-4 mr-1" />
+                    {selectedCheck.phone}
+                  </a>
+                ) : (
+                  <p className="text-sm font-mono text-gray-500">{selectedCheck.phone}</p>
+                )}
+              </div>
+              <button
+                onClick={closeModal}
+                className="p-1 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-5 overflow-y-auto">
+              {selectedCheck.attempts?.length > 0 && (
+                <div className="text-xs text-gray-600">
+                  <span className="font-medium text-gray-700">Calls: </span>
+                  {selectedCheck.attempts.map((attempt, index) => (
+                    <span key={index}>
+                      {index > 0 && ' · '}
+                      {ATTEMPT_LABELS[attempt.outcome] || attempt.outcome} ({formatDateTime(attempt.calledAt)})
+                      {attempt.note && ` - ${attempt.note}`}
+                    </span>
+                  ))}
+                </div>
+              )}
+
+              {isCalling ? (
+                <>
+                  {/* Verification script */}
+                  <div className="space-y-4">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        1. "We are checking an interview done with you{expected.interviewDate ? ` on ${formatDate(expected.interviewDate)}` : ''}{expected.ac ? ` in ${expected.ac}` : ''}. Did an interviewer speak with you?"
+                      </p>
+                      <div className="flex space-x-4 mt-2">
+                        {[['yes', 'Yes'], ['no', 'No'], ['not_sure', 'Not sure']].map(([value, label]) => (
+                          <label key={value} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                            <input
+                              type="radio"
+                              name="interviewHappened"
+                              checked={answers.interviewHappened === value}
+                              onChange={() => setAnswers(prev => ({ ...prev, interviewHappened: value }))}
+                              className="mr-1"
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        2. Confirm the respondent's gender. Recorded: <span className="text-[#001D48]">{expected.gender || 'not recorded'}</span>
+                      </p>
+                      <div className="flex space-x-4 mt-2">
+                        {[['yes', 'Matches'], ['no', 'Does not match'], ['', 'Could not tell']].map(([value, label]) => (
+                          <label key={label} className="flex items-center text-sm text-gray-700 cursor-pointer">
+                            <input
+                              type="radio"
+                              name="genderMatches"
+                              checked={answers.genderMatches === value}
+                              onChange={() => setAnswers(prev => ({ ...prev, genderMatches: value }))}
+                              className="mr-1"
+                            />
+                            {label}
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+
+                    <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                      <div>
+                        <label className="block text-sm font-medium text-gray-900 mb-1">3. "May I know your age?"</label>
+                        <input
+                          type="number"
+                          min="0"
+                          max="120"
+                          value={answers.reportedAge}
+                          onChange={(e) => setAnswers(prev => ({ ...prev, reportedAge: e.target.value }))}
+                          placeholder="Years"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+                      <div>
+                        <label className="block text-sm font-medium text-gray-900 mb-1">4. "About how long did the interview take?"</label>
+                        <input
+                          type="number"
+                          min="0"
+                          value={answers.reportedDurationMinutes}
+                          onChange={(e) => setAnswers(prev => ({ ...prev, reportedDurationMinutes: e.target.value }))}
+                          placeholder="Minutes"
+                          className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                      <textarea
+                        value={answers.notes}
+                        onChange={(e) => setAnswers(prev => ({ ...prev, notes: e.target.value }))}
+                        rows={2}
+                        placeholder="Anything else the respondent said"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  </div>
+
+                  {/* Not reached */}
+                  <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-2">
+                    <p className="text-sm font-medium text-gray-700">Could not reach the respondent?</p>
+                    <div className="flex flex-col sm:flex-row gap-2">
+                      <select
+                        value={outcome}
+                        onChange={(e) => setOutcome(e.target.value)}
+                        className="sm:w-64 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      >
+                        {UNREACHED_OUTCOMES.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                      <input
+                        type="text"
+                        value={attemptNote}
+                        onChange={(e) => setAttemptNote(e.target.value)}
+                        placeholder="Note (optional)"
+                        className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                      />
+                      <button
+                        onClick={handleRecordAttempt}
+                        disabled={saving}
+                        className="flex items-center justify-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-white transition-colors disabled:opacity-50"
+                      >
+                        <PhoneOff className="w-4 h-4 mr-2" />
+                        Record Call
+                      </button>
+                    </div>
+                  </div>
+                </>
+              ) : (
+                <>
+                  {selectedCheck.answers?.interviewHappened && (
+                    <div className="grid grid-cols-2 gap-3 text-sm">
+                      <div className="text-gray-500">Interview happened</div>
+                      <div className="text-gray-900 capitalize">{selectedCheck.answers.interviewHappened.replace('_', ' ')}</div>
+                      <div className="text-gray-500">Gender (recorded {expected.gender || '-'})</div>
+                      <div className="text-gray-900">
+                        {selectedCheck.answers.genderMatches === undefined || selectedCheck.answers.genderMatches === null
+                          ? 'Not checked'
+                          : selectedCheck.answers.genderMatches ? 'Matches' : 'Does not match'}
+                      </div>
+                      <div className="text-gray-500">Age (recorded {expected.age ?? '-'})</div>
+                      <div className="text-gray-900">{selectedCheck.answers.reportedAge ?? '-'}</div>
+                      <div className="text-gray-500">Duration (recorded {expected.durationMinutes ?? '-'} min)</div>
+                      <div className="text-gray-900">
+                        {selectedCheck.answers.reportedDurationMinutes !== undefined && selectedCheck.answers.reportedDurationMinutes !== null
+                          ? `${selectedCheck.answers.reportedDurationMinutes} min`
+                          : '-'}
+                      </div>
+                      {selectedCheck.answers.notes && (
+                        <>
+                          <div className="text-gray-500">Notes</div>
+                          <div className="text-gray-900">{selectedCheck.answers.notes}</div>
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  {selectedCheck.reasons?.length > 0 && (
+                    <div className={`p-3 border rounded-lg text-sm ${
+                      selectedCheck.result === 'failed'
+                        ? 'bg-red-50 border-red-200 text-red-800'
+                        : 'bg-orange-50 border-orange-200 text-orange-800'
+                    }`}>
+                      {selectedCheck.reasons.map(reason => (
+                        <div key={reason}>{REASON_LABELS[reason] || reason}</div>
+                      ))}
+                    </div>
+                  )}
+
+                  {selectedCheck.completedAt && (
+                    <p className="text-xs text-gray-500">
+                      Completed {formatDateTime(selectedCheck.completedAt)}
+                      {selectedCheck.completedBy?.firstName && ` by ${selectedCheck.completedBy.firstName} ${selectedCheck.completedBy.lastName}`}
+                      {selectedCheck.action && selectedCheck.action !== 'none' && ` · interview ${selectedCheck.action}`}
+                    </p>
+                  )}
+                </>
+              )}
+            </div>
+
+            {isCalling ? (
+              <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+                <button
+                  onClick={handleComplete}
+                  disabled={saving || !answers.interviewHappened}
+                  className="flex items-center px-4 py-2 text-sm text-white bg-[#001D48] rounded-lg hover:bg-blue-900 transition-colors disabled:opacity-50"
+                  title={!answers.interviewHappened ? 'Answer question 1 first' : 'Save the answers'}
+                >
+                  {saving ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle className="w-4 h-4 mr-2" />}
+                  Save Result
+                </button>
+              </div>
+            ) : ['failed', 'inconclusive'].includes(selectedCheck.result) && selectedCheck.action === 'none' && (
+              <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+                <button
+                  onClick={() => handleAction('reopen')}
+                  disabled={saving}
+                  className="flex items-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  title="Send the interview back to QC review"
+                >
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Reopen for Review
+                </button>
+                {selectedCheck.result === 'failed' && (
+                  <button
+                    onClick={() => handleAction('reject')}
+                    disabled={saving}
+                    className="flex items-center px-4 py-2 text-sm text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                  >
+                    {saving ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <XCircle className="w-4 h-4 mr-2" />}
+                    Reject Interview
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackChecks;
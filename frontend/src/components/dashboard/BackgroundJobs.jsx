@@ -0,0 +1,534 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  RotateCcw,
+  Eye,
+  ChevronLeft,
+  ChevronRight,
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  AlertTriangle,
+  Loader,
+  X,
+  Clock,
+  CalendarClock,
+  Ban,
+  RefreshCw
+} from 'lucide-react';
+import { jobAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+
+const STATUS_TABS = [
+  { value: 'running', label: 'Running' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'queued', label: 'Waiting' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'all', label: 'All' }
+];
+
+// Running jobs are re-fetched this often while their tab is open
+const REFRESH_INTERVAL_MS = 10000;
+
+const BackgroundJobs = () => {
+  const { showSuccess, showError } = useToast();
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [definitions, setDefinitions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({});
+
+  // Filter states
+  const [selectedStatus, setSelectedStatus] = useState('running');
+  const [selectedName, setSelectedName] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const pageSize = 25;
+
+  // UI states
+  const [selectedJob, setSelectedJob] = useState(null);
+  const [loadingJob, setLoadingJob] = useState(false);
+  const [actionInProgress, setActionInProgress] = useState(null);
+
+  // Load jobs
+  const loadJobs = useCallback(async ({ quiet = false } = {}) => {
+    try {
+      if (!quiet) setLoading(true);
+      setError(null);
+
+      const params = {
+        status: selectedStatus,
+        page: currentPage,
+        limit: pageSize
+      };
+      if (selectedName) {
+        params.name = selectedName;
+      }
+
+      const response = await jobAPI.getJobs(params);
+
+      if (response.success) {
+        setJobs(response.data.jobs);
+        setCounts(response.data.counts || {});
+        setDefinitions(response.data.definitions || []);
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error('BackgroundJobs - Error loading jobs:', error);
+      setError('Failed to load background jobs');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedStatus, selectedName, currentPage]);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs]);
+
+  useEffect(() => {
+    if (selectedStatus !== 'running') return undefined;
+    const timer = setInterval(() => loadJobs({ quiet: true }), REFRESH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [selectedStatus, loadJobs]);
+
+  const handleStatusChange = (status) => {
+    setSelectedStatus(status);
+    setCurrentPage(1);
+  };
+
+  const handleNameChange = (e) => {
+    setSelectedName(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handleView = async (job) => {
+    try {
+      setLoadingJob(true);
+      setSelectedJob(job);
+      const response = await jobAPI.getJob(job._id);
+      if (response.success) {
+        setSelectedJob(response.data.job);
+      }
+    } catch (error) {
+      console.error('BackgroundJobs - Error loading job:', error);
+      showError('Load Failed', error.response?.data?.message || 'Failed to load job details');
+    } finally {
+      setLoadingJob(false);
+    }
+  };
+
+  const handleRerun = async (job) => {
+    try {
+      setActionInProgress(job._id);
+      const response = await jobAPI.rerunJob(job._id);
+      if (response.success) {
+        showSuccess('Job Queued', `${job.name} will run again shortly.`);
+      }
+    } catch (error) {
+      console.error('BackgroundJobs - Error re-running job:', error);
+      showError('Re-run Failed', error.response?.data?.message || 'Failed to re-run job');
+    } finally {
+      setActionInProgress(null);
+      setSelectedJob(null);
+      loadJobs();
+    }
+  };
+
+  const handleCancel = async (job) => {
+    try {
+      setActionInProgress(job._id);
+      const response = await jobAPI.cancelJob(job._id);
+      if (response.success) {
+        showSuccess('Job Cancelled', response.message);
+      }
+    } catch (error) {
+      console.error('BackgroundJobs - Error cancelling job:', error);
+      showError('Cancel Failed', error.response?.data?.message || 'Failed to cancel job');
+    } finally {
+      setActionInProgress(null);
+      setSelectedJob(null);
+      loadJobs();
+    }
+  };
+
+  const isScheduled = (job) => job.status === 'queued' && new Date(job.runAt) > new Date();
+  const canRerun = (job) => ['completed', 'failed', 'cancelled'].includes(job.status);
+
+  // Get status badge
+  const getStatusBadge = (job) => {
+    const statusConfig = {
+      queued: { color: 'bg-yellow-100 text-yellow-800', icon: <Clock className="w-3 h-3" />, label: 'Waiting' },
+      scheduled: { color: 'bg-purple-100 text-purple-800', icon: <CalendarClock className="w-3 h-3" />, label: 'Scheduled' },
+      running: { color: 'bg-blue-100 text-blue-800', icon: <Loader className="w-3 h-3 animate-spin" />, label: 'Running' },
+      completed: { color: 'bg-green-100 text-green-800', icon: <CheckCircle className="w-3 h-3" />, label: 'Completed' },
+      failed: { color: 'bg-red-100 text-red-800', icon: <AlertTriangle className="w-3 h-3" />, label: 'Failed' },
+      cancelled: { color: 'bg-gray-100 text-gray-800', icon: <XCircle className="w-3 h-3" />, label: 'Cancelled' }
+    };
+
+    const config = statusConfig[isScheduled(job) ? 'scheduled' : job.status] || statusConfig.queued;
+
+    return (
+      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${config.color}`}>
+        {config.icon}
+        <span className="ml-1">{config.label}</span>
+      </span>
+    );
+  };
+
+  // Format date
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  const formatDuration = (start, end) => {
+    if (!start || !end) return '';
+    const seconds = Math.round((new Date(end) - new Date(start)) / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  };
+
+  const getWhen = (job) => {
+    if (job.status === 'queued') return { label: 'Runs', value: job.runAt };
+    if (job.status === 'running') return { label: 'Started', value: job.startedAt };
+    return { label: 'Finished', value: job.finishedAt || job.updatedAt };
+  };
+
+  const totalCount = ['queued', 'scheduled', 'running', 'completed', 'failed', 'cancelled']
+    .reduce((sum, status) => sum + (counts[status] || 0), 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Background Jobs</h1>
+          <p className="text-gray-600 mt-1">QC batch processing, report generation and webhook handling, with retries and history</p>
+        </div>
+        <button
+          onClick={() => loadJobs()}
+          className="flex items-center px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+        >
+          <RefreshCw className="w-4 h-4 mr-2" />
+          Refresh
+        </button>
+      </div>
+
+      {/* Status Tabs and Job Type */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+        <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+          <div className="flex flex-wrap gap-2 flex-1">
+            {STATUS_TABS.map(tab => {
+              const count = tab.value === 'all' ? totalCount : (counts[tab.value] || 0);
+              const isActive = selectedStatus === tab.value;
+              return (
+                <button
+                  key={tab.value}
+                  onClick={() => handleStatusChange(tab.value)}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    isActive
+                      ? 'bg-[#001D48] text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {tab.label}
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                    isActive
+                      ? 'bg-white text-[#001D48]'
+                      : tab.value === 'failed' && count > 0 ? 'bg-red-100 text-red-700' : 'bg-white text-gray-600'
+                  }`}>
+                    {count}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+
+          <select
+            value={selectedName}
+            onChange={handleNameChange}
+            className="lg:w-72 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All job types</option>
+            {definitions.map(definition => (
+              <option key={definition.name} value={definition.name}>{definition.name}</option>
+            ))}
+          </select>
+        </div>
+
+        {definitions.some(definition => definition.schedule) && (
+          <div className="mt-4 flex flex-wrap gap-4 text-xs text-gray-600">
+            {definitions.filter(definition => definition.schedule).map(definition => (
+              <span key={definition.name} className="flex items-center">
+                <CalendarClock className="w-3 h-3 mr-1" />
+                <span className="font-mono">{definition.name}</span>: {definition.schedule}
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Jobs Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="w-6 h-6 animate-spin text-[#001D48]" />
+            <span className="ml-2 text-gray-600">Loading background jobs...</span>
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center py-12 text-red-600">
+            <AlertCircle className="w-6 h-6 mr-2" />
+            {error}
+          </div>
+        ) : jobs.length === 0 ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <CheckCircle className="w-6 h-6 mr-2" />
+            No jobs found
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Job
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    When
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Attempts
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Error
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {jobs.map(job => {
+                  const when = getWhen(job);
+                  return (
+                    <tr key={job._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4 whitespace-nowrap text-sm">
+                        <div className="font-mono text-gray-900">{job.name}</div>
+                        <div className="text-xs text-gray-500">
+                          {job.recurring ? 'Recurring' : job.company?.companyName || 'System'}
+                          {job.createdBy && ` · ${job.createdBy.firstName} ${job.createdBy.lastName}`}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap">
+                        {getStatusBadge(job)}
+                        {job.status === 'running' && job.lockedBy && (
+                          <div className="text-xs text-gray-500 mt-1 font-mono">{job.lockedBy}</div>
+                        )}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        <div className="text-xs text-gray-500">{when.label}</div>
+                        {formatDateTime(when.value)}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                        {job.attempts} / {job.maxAttempts}
+                      </td>
+                      <td className="px-6 py-4 text-sm text-red-700 max-w-xs">
+                        <div className="truncate" title={job.lastError}>{job.lastError || '-'}</div>
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                        <div className="flex items-center justify-end space-x-2">
+                          <button
+                            onClick={() => handleView(job)}
+                            className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                            title="View details"
+                          >
+                            <Eye className="w-4 h-4" />
+                          </button>
+                          {canRerun(job) && (
+                            <button
+                              onClick={() => handleRerun(job)}
+                              disabled={actionInProgress === job._id}
+                              className="p-1 text-gray-400 hover:text-green-600 transition-colors disabled:opacity-50"
+                              title="Re-run"
+                            >
+                              {actionInProgress === job._id
+                                ? <Loader className="w-4 h-4 animate-spin" />
+                                : <RotateCcw className="w-4 h-4" />}
+                            </button>
+                          )}
+                          {job.status === 'queued' && (
+                            <button
+                              onClick={() => handleCancel(job)}
+                              disabled={actionInProgress === job._id}
+                              className="p-1 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
+                              title={job.recurring ? 'Skip this run' : 'Cancel'}
+                            >
+                              <Ban className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <div className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.total} jobs)
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage <= 1}
+              className="flex items-center px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4 mr-1" />
+              Previous
+            </button>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage >= pagination.totalPages}
+              className="flex items-center px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight className="w-4 h-4 ml-1" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Job Details Modal */}
+      {selectedJob && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900 font-mono">{selectedJob.name}</h3>
+                <p className="text-sm text-gray-500">
+                  Created {formatDateTime(selectedJob.createdAt)}
+                  {selectedJob.key && ` · ${selectedJob.key}`}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedJob(null)}
+                className="p-1 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4 overflow-y-auto">
+              <div className="flex items-center space-x-3 text-sm text-gray-600">
+                {getStatusBadge(selectedJob)}
+                <span>Attempt {selectedJob.attempts} of {selectedJob.maxAttempts}</span>
+                {selectedJob.status === 'queued' && <span>· runs {formatDateTime(selectedJob.runAt)}</span>}
+              </div>
+
+              {selectedJob.rerunBy && (
+                <p className="text-xs text-gray-500">
+                  Re-run by {selectedJob.rerunBy.firstName} {selectedJob.rerunBy.lastName} on {formatDateTime(selectedJob.rerunAt)}
+                </p>
+              )}
+
+              {selectedJob.lastError && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                  {selectedJob.lastError}
+                </div>
+              )}
+
+              {loadingJob ? (
+                <div className="flex items-center text-sm text-gray-600">
+                  <Loader className="w-4 h-4 animate-spin mr-2" />
+                  Loading details...
+                </div>
+              ) : (
+                <>
+                  <div>
+                    <span className="text-sm font-medium text-gray-700">Payload</span>
+                    <pre className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-800 overflow-x-auto whitespace-pre-wrap break-all">
+                      {JSON.stringify(selectedJob.payload || {}, null, 2)}
+                    </pre>
+                  </div>
+
+                  {selectedJob.result !== undefined && selectedJob.result !== null && (
+                    <div>
+                      <span className="text-sm font-medium text-gray-700">Result</span>
+                      <pre className="mt-2 p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-800 overflow-x-auto whitespace-pre-wrap break-all">
+                        {JSON.stringify(selectedJob.result, null, 2)}
+                      </pre>
+                    </div>
+                  )}
+
+                  {selectedJob.history?.length > 0 && (
+                    <div>
+                      <span className="text-sm font-medium text-gray-700">Attempts</span>
+                      <ul className="mt-2 space-y-1">
+                        {selectedJob.history.map((attempt, index) => (
+                          <li key={index} className="text-xs text-gray-600 flex items-start">
+                            {attempt.status === 'completed'
+                              ? <CheckCircle className="w-3 h-3 mr-1 mt-0.5 text-green-600 flex-shrink-0" />
+                              : <XCircle className="w-3 h-3 mr-1 mt-0.5 text-red-600 flex-shrink-0" />}
+                            <span>
+                              #{attempt.attempt} · {formatDateTime(attempt.startedAt)}
+                              {attempt.finishedAt && ` (${formatDuration(attempt.startedAt, attempt.finishedAt)})`}
+                              {attempt.worker && ` on ${attempt.worker}`}
+                              {attempt.error && ` - ${attempt.error}`}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+
+            {(canRerun(selectedJob) || selectedJob.status === 'queued') && (
+              <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+                {selectedJob.status === 'queued' && (
+                  <button
+                    onClick={() => handleCancel(selectedJob)}
+                    disabled={actionInProgress === selectedJob._id}
+                    className="px-4 py-2 text-sm text-red-600 border border-red-300 rounded-lg hover:bg-red-50 transition-colors disabled:opacity-50"
+                  >
+                    {selectedJob.recurring ? 'Skip This Run' : 'Cancel Job'}
+                  </button>
+                )}
+                {canRerun(selectedJob) && (
+                  <button
+                    onClick={() => handleRerun(selectedJob)}
+                    disabled={actionInProgress === selectedJob._id}
+                    className="flex items-center px-4 py-2 text-sm text-white bg-[#001D48] rounded-lg hover:bg-blue-900 transition-colors disabled:opacity-50"
+                  >
+                    <RotateCcw className="w-4 h-4 mr-2" />
+                    Re-run
+                  </button>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackgroundJobs;
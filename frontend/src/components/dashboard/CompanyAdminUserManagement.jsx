@@ -35,9 +35,8 @@ import {
   FileImage,
   MapPin
 } from 'lucide-react';
-import { authAPI } from '../../services/api';
+import { authAPI, kycDocumentsAPI } from '../../services/api';
 import { useToast } from '../../contexts/ToastContext';
-import { getFileUrl } from '../../utils/config';
 import api from '../../services/api';
 import AddCompanyUser from './AddCompanyUser';
 import EditUserModal from './EditUserModal';
@@ -49,46 +48,18 @@ const CompanyAdminUserManagement = () => {
   const [error, setError] = useState(null);
   const [pagination, setPagination] = useState({});
   const [filters, setFilters] = useState({});
-  const [documentSignedUrls, setDocumentSignedUrls] = useState({}); // Cache for document signed URLs
 
-  // Helper function to get document URL (prioritizes signed URLs from backend, then fetches if needed)
-  const getDocumentUrl = async (docPath, docSignedUrl, userId, fieldName) => {
+  // KYC documents are only served through short-lived signed links, fetched when opened
+  const getDocumentUrl = async (docPath, userId, fieldName) => {
     if (!docPath) return null;
     
-    // If signed URL is already provided by backend, use it
-    if (docSignedUrl) {
-      return docSignedUrl;
-    }
-    
-    // Check cache
-    const cacheKey = `${userId}_${fieldName}`;
-    if (documentSignedUrls[cacheKey]) {
-      return documentSignedUrls[cacheKey];
-    }
-    
-    // If it's an S3 key, fetch signed URL
-    if (docPath.startsWith('documents/') || docPath.startsWith('audio/') || docPath.startsWith('reports/')) {
-      try {
-        const isProduction = window.location.protocol === 'https:' || window.location.hostname !== 'localhost';
-        const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || (isProduction ? '' : 'http://localhost:5000');
-        const token = localStorage.getItem('token');
-        const response = await fetch(`${API_BASE_URL}/api/survey-responses/audio-signed-url?audioUrl=${encodeURIComponent(docPath)}`, {
-          headers: { 'Authorization': `Bearer ${token}` }
-        });
-        if (response.ok) {
-          const data = await response.json();
-          if (data.signedUrl) {
-            setDocumentSignedUrls(prev => ({ ...prev, [cacheKey]: data.signedUrl }));
-            return data.signedUrl;
-          }
-        }
-      } catch (error) {
-        console.error('Error fetching signed URL:', error);
-      }
+    try {
+      return await kycDocumentsAPI.getDocumentUrl(fieldName, userId);
+    } catch (error) {
+      console.error('Error fetching document link:', error);
+      showError('Preview Failed', error.response?.data?.message || 'Could not load the document');
+      return null;
     }
-    
-    // Fallback to getFileUrl for local paths
-    return getFileUrl(docPath);
   };
   
   // Search and filter states
@@ -1012,7 +983,6 @@ const CompanyAdminUserManagement = () => {
                             onClick={async () => {
                               const docUrl = await getDocumentUrl(
                                 selectedUser.interviewerProfile.cvUpload,
-                                selectedUser.interviewerProfile.cvUploadSignedUrl,
                                 selectedUser._id,
                                 'cvUpload'
                               );
@@ -1039,7 +1009,6 @@ const CompanyAdminUserManagement = () => {
                             onClick={async () => {
                               const docUrl = await getDocumentUrl(
                                 selectedUser.interviewerProfile.aadhaarDocument,
-                                selectedUser.interviewerProfile.aadhaarDocumentSignedUrl,
                                 selectedUser._id,
                                 'aadhaarDocument'
                               );
@@ -1066,7 +1035,6 @@ const CompanyAdminUserManagement = () => {
                             onClick={async () => {
                               const docUrl = await getDocumentUrl(
                                 selectedUser.interviewerProfile.panDocument,
-                                selectedUser.interviewerProfile.panDocumentSignedUrl,
                                 selectedUser._id,
                                 'panDocument'
                               );
@@ -1093,7 +1061,6 @@ const CompanyAdminUserManagement = () => {
                             onClick={async () => {
                               const docUrl = await getDocumentUrl(
                                 selectedUser.interviewerProfile.passportPhoto,
-                                selectedUser.interviewerProfile.passportPhotoSignedUrl,
                                 selectedUser._id,
                                 'passportPhoto'
                               );
@@ -1120,7 +1087,6 @@ const CompanyAdminUserManagement = () => {
                             onClick={async () => {
                               const docUrl = await getDocumentUrl(
                                 selectedUser.interviewerProfile.bankDocumentUpload,
-                                selectedUser.interviewerProfile.bankDocumentUploadSignedUrl,
                                 selectedUser._id,
                                 'bankDocumentUpload'
                               );
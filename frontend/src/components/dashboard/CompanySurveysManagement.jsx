@@ -31,7 +31,10 @@ import {
   Zap,
   TrendingUp,
   Brain,
-  Phone
+  Phone,
+  ShieldAlert,
+  History,
+  Scale
 } from 'lucide-react';
 import SurveyBuilder from './SurveyBuilder';
 import { surveyAPI } from '../../services/api';
@@ -200,6 +203,18 @@ const CompanySurveysManagement = () => {
     } else if (action === 'findings') {
       // Navigate to Findings Dashboard page
       navigate(`/company/surveys/${surveyId}/findings`);
+    } else if (action === 'auto-rejection-rules') {
+      // Navigate to auto-rejection rule builder
+      navigate(`/company/surveys/${surveyId}/auto-rejection-rules`);
+    } else if (action === 'quotas') {
+      // Navigate to quota cells dashboard
+      navigate(`/company/surveys/${surveyId}/quotas`);
+    } else if (action === 'weighting') {
+      // Navigate to weighting configuration
+      navigate(`/company/surveys/${surveyId}/weighting`);
+    } else if (action === 'versions') {
+      // Navigate to questionnaire versions and diff
+      navigate(`/company/surveys/${surveyId}/versions`);
     } else {
       // Implement other survey actions
       // Action not implemented yet
@@ -652,6 +667,38 @@ const CompanySurveysManagement = () => {
                     <Brain className="w-4 h-4" />
                     <span>Findings</span>
                   </button>
+                  <button
+                    onClick={() => handleSurveyAction(survey._id || survey.id, 'auto-rejection-rules')}
+                    className="flex items-center space-x-1 px-3 py-1.5 bg-rose-100 text-rose-700 rounded-lg hover:bg-rose-200 transition-colors text-sm font-medium"
+                    title="Auto-Rejection Rules"
+                  >
+                    <ShieldAlert className="w-4 h-4" />
+                    <span>Auto-Reject</span>
+                  </button>
+                  <button
+                    onClick={() => handleSurveyAction(survey._id || survey.id, 'quotas')}
+                    className="flex items-center space-x-1 px-3 py-1.5 bg-teal-100 text-teal-700 rounded-lg hover:bg-teal-200 transition-colors text-sm font-medium"
+                    title="Quotas"
+                  >
+                    <Target className="w-4 h-4" />
+                    <span>Quotas</span>
+                  </button>
+                  <button
+                    onClick={() => handleSurveyAction(survey._id || survey.id, 'weighting')}
+                    className="flex items-center space-x-1 px-3 py-1.5 bg-cyan-100 text-cyan-700 rounded-lg hover:bg-cyan-200 transition-colors text-sm font-medium"
+                    title="Weighting"
+                  >
+                    <Scale className="w-4 h-4" />
+                    <span>Weighting</span>
+                  </button>
+                  <button
+                    onClick={() => handleSurveyAction(survey._id || survey.id, 'versions')}
+                    className="flex items-center space-x-1 px-3 py-1.5 bg-slate-100 text-slate-700 rounded-lg hover:bg-slate-200 transition-colors text-sm font-medium"
+                    title="Questionnaire Versions"
+                  >
+                    <History className="w-4 h-4" />
+                    <span>Versions</span>
+                  </button>
                   <button
                     onClick={() => setDeleteConfirm(survey._id || survey.id)}
                     className="flex items-center space-x-1 px-3 py-1.5 bg-red-100 text-red-700 rounded-lg hover:bg-red-200 transition-colors text-sm font-medium"
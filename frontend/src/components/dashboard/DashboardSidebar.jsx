@@ -18,7 +18,13 @@ import {
   User,
   Lock,
   FileBarChart,
-  CheckSquare
+  CheckSquare,
+  Webhook,
+  ListChecks,
+  Copy,
+  PhoneCall,
+  Wallet,
+  GraduationCap
 } from 'lucide-react';
 import { useAuth } from '../../contexts/AuthContext';
 import { authAPI } from '../../services/api';
@@ -188,6 +194,8 @@ const DashboardSidebar = ({ sidebarOpen, userType }) => {
         { icon: Shield, label: 'Document Verification', path: '/admin/document-verification' },
         { icon: ClipboardCheck, label: 'Survey Templates', path: '/admin/survey-templates' },
         { icon: BarChart3, label: 'Reports', path: '/admin/reports' },
+        { icon: Webhook, label: 'Webhook Events', path: '/admin/webhook-events' },
+        { icon: ListChecks, label: 'Background Jobs', path: '/admin/background-jobs' },
         { icon: Settings, label: 'Settings', path: '/admin/settings' },
         { icon: User, label: 'Profile Settings', path: '/admin/profile' }
       ];
@@ -197,6 +205,10 @@ const DashboardSidebar = ({ sidebarOpen, userType }) => {
         { icon: Users, label: 'Team Management', path: '/company/team-management' },
         { icon: ClipboardCheck, label: 'Surveys', path: '/company/surveys' },
         { icon: Target, label: 'Survey Approvals', path: '/company/survey-approvals' },
+        { icon: Copy, label: 'Duplicate Review', path: '/company/duplicate-review' },
+        { icon: PhoneCall, label: 'Back-Checks', path: '/company/back-checks' },
+        { icon: Wallet, label: 'Payouts', path: '/company/payouts' },
+        { icon: GraduationCap, label: 'Training', path: '/company/training' },
         { icon: Shield, label: 'Document Verification', path: '/company/document-verification' },
         { icon: BarChart3, label: 'Performance Monitoring', path: '/company/performance' },
         { icon: DollarSign, label: 'Payment Settings', path: '/company/payment-settings' },
@@ -218,6 +230,7 @@ const DashboardSidebar = ({ sidebarOpen, userType }) => {
       return [
         { icon: Home, label: 'Dashboard', path: '/interviewer/dashboard' },
         { icon: ClipboardCheck, label: 'Available Interviews', path: '/interviewer/available-surveys' },
+        { icon: GraduationCap, label: 'Training', path: '/interviewer/training' },
         { icon: BarChart3, label: 'My Interviews', path: '/interviewer/my-interviews' },
         { icon: Award, label: 'Performance Monitoring', path: '/interviewer/performance' },
         { icon: DollarSign, label: 'Payments History', path: '/interviewer/payments-history' },
@@ -228,6 +241,8 @@ const DashboardSidebar = ({ sidebarOpen, userType }) => {
       return [
         { icon: Home, label: 'Dashboard', path: '/quality-agent/dashboard' },
         { icon: CheckSquare, label: 'Survey Approvals', path: '/quality-agent/survey-approvals' },
+        { icon: Copy, label: 'Duplicate Review', path: '/quality-agent/duplicate-review' },
+        { icon: PhoneCall, label: 'Back-Checks', path: '/quality-agent/back-checks' },
         { icon: BarChart3, label: 'Performance Monitoring', path: '/quality-agent/performance' },
         { icon: DollarSign, label: 'Payments History', path: '/quality-agent/payments-history' },
         { icon: Settings, label: 'Payment Settings', path: '/quality-agent/payment-settings' },
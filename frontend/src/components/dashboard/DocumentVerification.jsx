@@ -28,9 +28,8 @@ import {
   ChevronDown,
   ChevronUp
 } from 'lucide-react';
-import { authAPI } from '../../services/api';
+import { authAPI, kycDocumentsAPI } from '../../services/api';
 import { useToast } from '../../contexts/ToastContext';
-import { getFileUrl } from '../../utils/config';
 
 const DocumentVerification = () => {
   const { showSuccess, showError } = useToast();
@@ -46,6 +45,7 @@ const DocumentVerification = () => {
   const [previewDocument, setPreviewDocument] = useState(null);
   const [previewType, setPreviewType] = useState('');
   const [previewDocumentNumber, setPreviewDocumentNumber] = useState('');
+  const [previewIsPdf, setPreviewIsPdf] = useState(false);
   const [previewBankDetails, setPreviewBankDetails] = useState(null);
 
   // Filter and pagination states
@@ -106,39 +106,21 @@ const DocumentVerification = () => {
   };
 
   // Document preview functions
-  const handleDocumentPreview = async (documentPath, documentType, documentNumber = '', bankDetails = null, signedUrl = null) => {
-    if (documentPath) {
-      let documentUrl = signedUrl;
-      
-      // If no signed URL provided, try to get it
-      if (!documentUrl) {
-        // Check if it's an S3 key
-        if (documentPath.startsWith('documents/') || documentPath.startsWith('audio/') || documentPath.startsWith('reports/')) {
-          try {
-            const isProduction = window.location.protocol === 'https:' || window.location.hostname !== 'localhost';
-            const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || (isProduction ? '' : 'http://localhost:5000');
-            const token = localStorage.getItem('token');
-            const response = await fetch(`${API_BASE_URL}/api/survey-responses/audio-signed-url?audioUrl=${encodeURIComponent(documentPath)}`, {
-              headers: { 'Authorization': `Bearer ${token}` }
-            });
-            if (response.ok) {
-              const data = await response.json();
-              if (data.signedUrl) {
-                documentUrl = data.signedUrl;
-              }
-            }
-          } catch (error) {
-            console.error('Error fetching signed URL:', error);
-          }
-        }
-      }
-      
-      // Fallback to getFileUrl if no signed URL
-      if (!documentUrl) {
-        documentUrl = getFileUrl(documentPath);
+  const handleDocumentPreview = async (documentPath, documentType, documentNumber = '', bankDetails = null, field = null) => {
+    if (documentPath && field) {
+      // KYC documents are only served through short-lived signed links
+      let documentUrl;
+      try {
+        documentUrl = await kycDocumentsAPI.getDocumentUrl(field, selectedProfile._id);
+      } catch (error) {
+        console.error('Error fetching document link:', error);
+        showError('Preview Failed', error.response?.data?.message || 'Could not load the document');
+        return;
       }
       
       setPreviewDocument(documentUrl);
+      // Signed links carry no file extension
+      setPreviewIsPdf(documentPath.toLowerCase().endsWith('.pdf'));
       setPreviewType(documentType);
       setPreviewDocumentNumber(documentNumber);
       setPreviewBankDetails(bankDetails);
@@ -803,7 +785,7 @@ const DocumentVerification = () => {
                               'CV Document',
                               '',
                               null,
-                              selectedProfile.interviewerProfile.cvUploadSignedUrl
+                              'cvUpload'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -826,7 +808,7 @@ const DocumentVerification = () => {
                               'Aadhaar Card', 
                               selectedProfile.interviewerProfile.aadhaarNumber,
                               null,
-                              selectedProfile.interviewerProfile.aadhaarDocumentSignedUrl
+                              'aadhaarDocument'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -849,7 +831,7 @@ const DocumentVerification = () => {
                               'PAN Card', 
                               selectedProfile.interviewerProfile.panNumber,
                               null,
-                              selectedProfile.interviewerProfile.panDocumentSignedUrl
+                              'panDocument'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -872,7 +854,7 @@ const DocumentVerification = () => {
                               'Passport Photo',
                               '',
                               null,
-                              selectedProfile.interviewerProfile.passportPhotoSignedUrl
+                              'passportPhoto'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -899,7 +881,8 @@ const DocumentVerification = () => {
                                 accountHolderName: selectedProfile.interviewerProfile.bankAccountHolderName,
                                 bankName: selectedProfile.interviewerProfile.bankName,
                                 ifscCode: selectedProfile.interviewerProfile.bankIfscCode
-                              }
+                              },
+                              'bankDocumentUpload'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -1043,7 +1026,7 @@ const DocumentVerification = () => {
             {/* Preview Content */}
             <div className="flex-1 p-6 overflow-hidden">
               <div className="w-full h-full border border-gray-300 rounded-lg overflow-hidden">
-                {previewDocument.endsWith('.pdf') ? (
+                {previewIsPdf ? (
                   <iframe
                     src={previewDocument}
                     className="w-full h-full"
@@ -0,0 +1,559 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Copy,
+  Eye,
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  Loader,
+  X,
+  RefreshCw,
+  Play,
+  Phone,
+  User,
+  Clock,
+  MapPin,
+  ListChecks
+} from 'lucide-react';
+import { duplicateFlagAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+
+const STATUS_TABS = [
+  { value: 'open', label: 'Open' },
+  { value: 'confirmed', label: 'Confirmed' },
+  { value: 'dismissed', label: 'Dismissed' },
+  { value: 'all', label: 'All' }
+];
+
+const FLAG_TYPES = {
+  answer_similarity: { label: 'Near-identical answers', icon: ListChecks },
+  phone: { label: 'Repeated phone', icon: Phone },
+  name: { label: 'Repeated name', icon: User },
+  time_overlap: { label: 'Overlapping times', icon: Clock },
+  gps_cluster: { label: 'GPS cluster', icon: MapPin }
+};
+
+// Rows shown in the side-by-side answer comparison before "show all"
+const COMPARISON_ROWS = 25;
+
+const formatDateTime = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+const formatAnswer = (answer) => {
+  if (!answer || answer.isSkipped) return '—';
+  const value = answer.response;
+  if (value === null || value === undefined || value === '') return '—';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return value.text || value.value || JSON.stringify(value);
+  return String(value);
+};
+
+const DuplicateReview = () => {
+  const { showSuccess, showError } = useToast();
+  const [surveys, setSurveys] = useState([]);
+  const [selectedSurvey, setSelectedSurvey] = useState('');
+  const [flags, setFlags] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [openByType, setOpenByType] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Filter states
+  const [selectedStatus, setSelectedStatus] = useState('open');
+  const [selectedType, setSelectedType] = useState('');
+
+  // Detail states
+  const [selectedFlag, setSelectedFlag] = useState(null);
+  const [flagResponses, setFlagResponses] = useState([]);
+  const [loadingFlag, setLoadingFlag] = useState(false);
+  const [rejectIds, setRejectIds] = useState([]);
+  const [note, setNote] = useState('');
+  const [showAllRows, setShowAllRows] = useState(false);
+  const [resolving, setResolving] = useState(false);
+  const [queueing, setQueueing] = useState(false);
+
+  useEffect(() => {
+    const loadSurveys = async () => {
+      try {
+        const response = await duplicateFlagAPI.getSurveys();
+        if (response.success) {
+          setSurveys(response.data.surveys);
+          if (response.data.surveys.length > 0) {
+            // Start with the survey that has the most open flags
+            const first = [...response.data.surveys].sort((a, b) => b.openFlags - a.openFlags)[0];
+            setSelectedSurvey(first._id);
+          } else {
+            setLoading(false);
+          }
+        }
+      } catch (error) {
+        console.error('DuplicateReview - Error loading surveys:', error);
+        setError('Failed to load surveys');
+        setLoading(false);
+      }
+    };
+    loadSurveys();
+  }, []);
+
+  const loadFlags = useCallback(async () => {
+    if (!selectedSurvey) return;
+    try {
+      setLoading(true);
+      setError(null);
+      const params = { status: selectedStatus };
+      if (selectedType) {
+        params.type = selectedType;
+      }
+      const response = await duplicateFlagAPI.getFlagsBySurvey(selectedSurvey, params);
+      if (response.success) {
+        setFlags(response.data.flags);
+        setCounts(response.data.counts || {});
+        setOpenByType(response.data.openByType || {});
+      }
+    } catch (error) {
+      console.error('DuplicateReview - Error loading flags:', error);
+      setError(error.response?.data?.message || 'Failed to load duplicate flags');
+    } finally {
+      setLoading(false);
+    }
+  }, [selectedSurvey, selectedStatus, selectedType]);
+
+  useEffect(() => {
+    loadFlags();
+  }, [loadFlags]);
+
+  const handleView = async (flag) => {
+    try {
+      setLoadingFlag(true);
+      setSelectedFlag(flag);
+      setFlagResponses([]);
+      setRejectIds([]);
+      setNote('');
+      setShowAllRows(false);
+      const response = await duplicateFlagAPI.getFlagById(flag._id);
+      if (response.success) {
+        setSelectedFlag(response.data.flag);
+        setFlagResponses(response.data.responses);
+      }
+    } catch (error) {
+      console.error('DuplicateReview - Error loading flag:', error);
+      showError('Load Failed', error.response?.data?.message || 'Failed to load flag details');
+      setSelectedFlag(null);
+    } finally {
+      setLoadingFlag(false);
+    }
+  };
+
+  const toggleReject = (responseId) => {
+    setRejectIds(prev => prev.includes(responseId)
+      ? prev.filter(id => id !== responseId)
+      : [...prev, responseId]);
+  };
+
+  const handleResolve = async (action) => {
+    try {
+      setResolving(true);
+      const response = await duplicateFlagAPI.resolveFlag(selectedFlag._id, {
+        action,
+        note,
+        rejectResponseIds: action === 'confirm' ? rejectIds : []
+      });
+      if (response.success) {
+        showSuccess(action === 'confirm' ? 'Flag Confirmed' : 'Flag Dismissed', response.message);
+        setSelectedFlag(null);
+        loadFlags();
+      }
+    } catch (error) {
+      console.error('DuplicateReview - Error resolving flag:', error);
+      showError('Resolve Failed', error.response?.data?.message || 'Failed to resolve flag');
+    } finally {
+      setResolving(false);
+    }
+  };
+
+  const handleRunDetection = async () => {
+    try {
+      setQueueing(true);
+      const response = await duplicateFlagAPI.runDetection(selectedSurvey);
+      if (response.success) {
+        showSuccess('Detection Queued', 'New flags will appear here once the scan finishes.');
+      }
+    } catch (error) {
+      console.error('DuplicateReview - Error queueing detection:', error);
+      showError('Queue Failed', error.response?.data?.message || 'Failed to queue duplicate detection');
+    } finally {
+      setQueueing(false);
+    }
+  };
+
+  const getTypeBadge = (type) => {
+    const config = FLAG_TYPES[type] || { label: type, icon: Copy };
+    const Icon = config.icon;
+    return (
+      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-orange-100 text-orange-800">
+        <Icon className="w-3 h-3" />
+        <span className="ml-1">{config.label}</span>
+      </span>
+    );
+  };
+
+  const getStatusBadge = (status) => {
+    const statusConfig = {
+      open: 'bg-yellow-100 text-yellow-800',
+      confirmed: 'bg-red-100 text-red-800',
+      dismissed: 'bg-gray-100 text-gray-800'
+    };
+    return (
+      <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium capitalize ${statusConfig[status] || statusConfig.open}`}>
+        {status}
+      </span>
+    );
+  };
+
+  // Questions answered in any of the flagged responses, in the order of the first one
+  const comparisonRows = (() => {
+    const rows = new Map();
+    flagResponses.forEach(response => {
+      (response.responses || []).forEach(answer => {
+        if (!answer.questionId || rows.has(answer.questionId)) return;
+        rows.set(answer.questionId, answer.questionText || answer.questionId);
+      });
+    });
+    return [...rows.entries()];
+  })();
+  const answersByResponse = new Map(flagResponses.map(response => [
+    response._id,
+    new Map((response.responses || []).map(answer => [answer.questionId, answer]))
+  ]));
+
+  const totalCount = (counts.open || 0) + (counts.confirmed || 0) + (counts.dismissed || 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Duplicate Review</h1>
+          <p className="text-gray-600 mt-1">Interviews that look duplicated or fabricated: repeated respondents, copied answers, overlapping times and GPS clusters</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={handleRunDetection}
+            disabled={!selectedSurvey || queueing}
+            className="flex items-center px-4 py-2 text-sm text-white bg-[#001D48] rounded-lg hover:bg-blue-900 transition-colors disabled:opacity-50"
+          >
+            {queueing ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
+            Run Detection Now
+          </button>
+          <button
+            onClick={loadFlags}
+            disabled={!selectedSurvey}
+            className="flex items-center px-4 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+          >
+            <RefreshCw className="w-4 h-4 mr-2" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Survey, Status Tabs and Type */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200 space-y-4">
+        <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+          <select
+            value={selectedSurvey}
+            onChange={(e) => setSelectedSurvey(e.target.value)}
+            className="lg:w-96 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            {surveys.length === 0 && <option value="">No surveys</option>}
+            {surveys.map(survey => (
+              <option key={survey._id} value={survey._id}>
+                {survey.surveyName}{survey.openFlags > 0 ? ` (${survey.openFlags} open)` : ''}
+              </option>
+            ))}
+          </select>
+
+          <select
+            value={selectedType}
+            onChange={(e) => setSelectedType(e.target.value)}
+            className="lg:w-64 px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          >
+            <option value="">All flag types</option>
+            {Object.entries(FLAG_TYPES).map(([value, config]) => (
+              <option key={value} value={value}>
+                {config.label}{openByType[value] ? ` (${openByType[value]} open)` : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="flex flex-wrap gap-2">
+          {STATUS_TABS.map(tab => {
+            const count = tab.value === 'all' ? totalCount : (counts[tab.value] || 0);
+            const isActive = selectedStatus === tab.value;
+            return (
+              <button
+                key={tab.value}
+                onClick={() => setSelectedStatus(tab.value)}
+                className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                  isActive
+                    ? 'bg-[#001D48] text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {tab.label}
+                <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                  isActive ? 'bg-white text-[#001D48]' : 'bg-white text-gray-600'
+                }`}>
+                  {count}
+                </span>
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      {/* Flags Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="w-6 h-6 animate-spin text-[#001D48]" />
+            <span className="ml-2 text-gray-600">Loading duplicate flags...</span>
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center py-12 text-red-600">
+            <AlertCircle className="w-6 h-6 mr-2" />
+            {error}
+          </div>
+        ) : flags.length === 0 ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <CheckCircle className="w-6 h-6 mr-2" />
+            No duplicate flags found
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Summary</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Interviewers</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Detected</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {flags.map(flag => (
+                  <tr key={flag._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap">{getTypeBadge(flag.type)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-900">
+                      {flag.summary}
+                      {flag.reopenedAt && flag.status === 'open' && (
+                        <div className="text-xs text-orange-600 mt-1">Reopened {formatDateTime(flag.reopenedAt)} - new responses joined</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {(flag.interviewers || []).map(interviewer => (
+                        <div key={interviewer._id}>
+                          {interviewer.firstName} {interviewer.lastName}
+                          {interviewer.memberId && <span className="text-xs text-gray-500"> ({interviewer.memberId})</span>}
+                        </div>
+                      ))}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(flag.status)}
+                      {flag.resolution?.resolvedBy && (
+                        <div className="text-xs text-gray-500 mt-1">
+                          by {flag.resolution.resolvedBy.firstName} {flag.resolution.resolvedBy.lastName}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatDateTime(flag.lastDetectedAt)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <button
+                        onClick={() => handleView(flag)}
+                        className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                        title={flag.status === 'open' ? 'Review' : 'View details'}
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Flag Details Modal */}
+      {selectedFlag && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-6xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <div className="flex items-center space-x-2">
+                  {getTypeBadge(selectedFlag.type)}
+                  {getStatusBadge(selectedFlag.status)}
+                </div>
+                <h3 className="text-lg font-semibold text-gray-900 mt-2">{selectedFlag.summary}</h3>
+                <p className="text-sm text-gray-500">
+                  First detected {formatDateTime(selectedFlag.firstDetectedAt)} · last {formatDateTime(selectedFlag.lastDetectedAt)}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedFlag(null)}
+                className="p-1 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4 overflow-y-auto">
+              {selectedFlag.status !== 'open' && selectedFlag.resolution && (
+                <div className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-sm text-gray-700">
+                  {selectedFlag.status === 'confirmed' ? 'Confirmed' : 'Dismissed'}
+                  {selectedFlag.resolution.resolvedBy && ` by ${selectedFlag.resolution.resolvedBy.firstName} ${selectedFlag.resolution.resolvedBy.lastName}`}
+                  {` on ${formatDateTime(selectedFlag.resolution.resolvedAt)}`}
+                  {selectedFlag.resolution.rejectedResponses?.length > 0 && ` · ${selectedFlag.resolution.rejectedResponses.length} response(s) rejected`}
+                  {selectedFlag.resolution.note && <div className="mt-1 text-gray-600">{selectedFlag.resolution.note}</div>}
+                </div>
+              )}
+
+              {loadingFlag ? (
+                <div className="flex items-center text-sm text-gray-600">
+                  <Loader className="w-4 h-4 animate-spin mr-2" />
+                  Loading responses...
+                </div>
+              ) : (
+                <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                  <table className="w-full text-sm">
+                    <thead className="bg-gray-50">
+                      <tr>
+                        <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider w-64">Response</th>
+                        {flagResponses.map(response => (
+                          <th key={response._id} className="px-4 py-3 text-left align-top min-w-[180px]">
+                            {selectedFlag.status === 'open' && response.status !== 'Rejected' && (
+                              <label className="flex items-center text-xs text-red-700 mb-1 cursor-pointer">
+                                <input
+                                  type="checkbox"
+                                  checked={rejectIds.includes(response._id)}
+                                  onChange={() => toggleReject(response._id)}
+                                  className="mr-1"
+                                />
+                                Reject
+                              </label>
+                            )}
+                            <div className="font-mono text-xs text-gray-900">{response.responseId}</div>
+                            <div className="text-xs font-normal text-gray-500">{response.status}</div>
+                          </th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-200">
+                      <tr className="bg-blue-50">
+                        <td className="px-4 py-2 text-xs font-medium text-gray-700">Interviewer</td>
+                        {flagResponses.map(response => (
+                          <td key={response._id} className="px-4 py-2 text-xs text-gray-900">
+                            {response.interviewer ? `${response.interviewer.firstName} ${response.interviewer.lastName}` : '-'}
+                            {response.interviewMode && <span className="text-gray-500"> · {response.interviewMode.toUpperCase()}</span>}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-blue-50">
+                        <td className="px-4 py-2 text-xs font-medium text-gray-700">Time</td>
+                        {flagResponses.map(response => (
+                          <td key={response._id} className="px-4 py-2 text-xs text-gray-900">
+                            {formatDateTime(response.startTime || response.createdAt)} - {formatDateTime(response.endTime)}
+                          </td>
+                        ))}
+                      </tr>
+                      <tr className="bg-blue-50">
+                        <td className="px-4 py-2 text-xs font-medium text-gray-700">Location</td>
+                        {flagResponses.map(response => (
+                          <td key={response._id} className="px-4 py-2 text-xs text-gray-900">
+                            {response.selectedAC || '-'}
+                            {response.location?.latitude !== undefined && response.location?.latitude !== null && (
+                              <div className="font-mono text-gray-500">
+                                {Number(response.location.latitude).toFixed(5)}, {Number(response.location.longitude).toFixed(5)}
+                              </div>
+                            )}
+                          </td>
+                        ))}
+                      </tr>
+                      {(showAllRows ? comparisonRows : comparisonRows.slice(0, COMPARISON_ROWS)).map(([questionId, questionText]) => {
+                        const values = flagResponses.map(response => formatAnswer(answersByResponse.get(response._id)?.get(questionId)));
+                        const allSame = values.length > 1 && values.every(value => value === values[0] && value !== '—');
+                        return (
+                          <tr key={questionId} className={allSame ? 'bg-orange-50' : ''}>
+                            <td className="px-4 py-2 text-xs text-gray-700">{questionText}</td>
+                            {values.map((value, index) => (
+                              <td key={flagResponses[index]._id} className="px-4 py-2 text-xs text-gray-900">{value}</td>
+                            ))}
+                          </tr>
+                        );
+                      })}
+                    </tbody>
+                  </table>
+                  {comparisonRows.length > COMPARISON_ROWS && (
+                    <button
+                      onClick={() => setShowAllRows(!showAllRows)}
+                      className="w-full py-2 text-xs text-blue-600 hover:bg-gray-50 border-t border-gray-200"
+                    >
+                      {showAllRows ? 'Show fewer questions' : `Show all ${comparisonRows.length} questions`}
+                    </button>
+                  )}
+                </div>
+              )}
+              <p className="text-xs text-gray-500">Highlighted rows have the same answer in every response.</p>
+
+              {selectedFlag.status === 'open' && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Note</label>
+                  <textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    rows={2}
+                    placeholder="What you checked and why (added to the rejection reason)"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              )}
+            </div>
+
+            {selectedFlag.status === 'open' && (
+              <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+                <button
+                  onClick={() => handleResolve('dismiss')}
+                  disabled={resolving || loadingFlag || rejectIds.length > 0}
+                  className="flex items-center px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  title={rejectIds.length > 0 ? 'Untick the responses to reject to dismiss' : 'Not a duplicate'}
+                >
+                  <XCircle className="w-4 h-4 mr-2" />
+                  Dismiss
+                </button>
+                <button
+                  onClick={() => handleResolve('confirm')}
+                  disabled={resolving || loadingFlag}
+                  className="flex items-center px-4 py-2 text-sm text-white bg-red-600 rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+                >
+                  {resolving ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <CheckCircle className="w-4 h-4 mr-2" />}
+                  {rejectIds.length > 0 ? `Confirm & Reject ${rejectIds.length}` : 'Confirm'}
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DuplicateReview;
@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { DollarSign, Wallet, CheckCircle, Clock, Loader, ChevronLeft, ChevronRight } from 'lucide-react';
+import { earningsAPI } from '../../services/api';
+
+const PAYOUT_STATUS = {
+  pending: { label: 'Processing', className: 'bg-yellow-100 text-yellow-800' },
+  missing_bank_details: { label: 'Add bank details', className: 'bg-red-100 text-red-800' },
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  carried_forward: { label: 'Carried forward', className: 'bg-gray-100 text-gray-800' }
+};
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { minimumFractionDigits: 0, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '-');
+
+// Periods end at midnight, so the last day paid is the day before the period end
+const formatPeriod = (payout) => {
+  const lastDay = new Date(new Date(payout.periodEnd).getTime() - 1);
+  return `${formatDate(payout.periodStart)} – ${formatDate(lastDay)}`;
+};
+
+/**
+ * The interviewer's earnings ledger and payouts. Compact shows the balances and latest
+ * entries for the dashboard; the full statement pages through every entry.
+ */
+const EarningsStatement = ({ compact = false }) => {
+  const navigate = useNavigate();
+  const [statement, setStatement] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [page, setPage] = useState(1);
+
+  const fetchStatement = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await earningsAPI.getMyEarnings({ page, limit: compact ? 5 : 20 });
+      if (response.success) {
+        setStatement(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching earnings statement:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [page, compact]);
+
+  useEffect(() => {
+    fetchStatement();
+  }, [fetchStatement]);
+
+  if (loading && !statement) {
+    return (
+      <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 text-center">
+        <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-[#001D48] mx-auto"></div>
+        <p className="text-sm text-gray-500 mt-2">Loading earnings...</p>
+      </div>
+    );
+  }
+
+  const summary = statement?.summary || { earned: 0, paid: 0, inPayout: 0, unpaid: 0 };
+  const entries = statement?.entries || [];
+  const payouts = statement?.payouts || [];
+  const pagination = statement?.pagination;
+
+  const balances = [
+    { label: 'Total Earned', value: summary.earned, icon: DollarSign, color: 'text-[#373177]' },
+    { label: 'Paid Out', value: summary.paid, icon: CheckCircle, color: 'text-green-600' },
+    { label: 'In Current Payout', value: summary.inPayout, icon: Clock, color: 'text-yellow-600' },
+    { label: 'Unpaid Balance', value: summary.unpaid, icon: Wallet, color: 'text-[#001D48]' }
+  ];
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-900">Earnings Statement</h3>
+        {compact && (
+          <button
+            onClick={() => navigate('/interviewer/payments-history')}
+            className="text-sm text-[#001D48] hover:underline"
+          >
+            View full statement
+          </button>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4 mb-6">
+        {balances.map(balance => {
+          const Icon = balance.icon;
+          return (
+            <div key={balance.label} className="p-4 bg-gray-50 rounded-lg">
+              <div className="flex items-center space-x-2 text-sm text-gray-600 mb-1">
+                <Icon className={`w-4 h-4 ${balance.color}`} />
+                <span>{balance.label}</span>
+              </div>
+              <p className={`text-xl font-bold ${balance.color}`}>{formatAmount(balance.value)}</p>
+            </div>
+          );
+        })}
+      </div>
+
+      <div className={`grid grid-cols-1 ${compact ? '' : 'lg:grid-cols-3'} gap-6`}>
+        {/* Ledger */}
+        <div className={compact ? '' : 'lg:col-span-2'}>
+          <h4 className="text-sm font-semibold text-gray-700 mb-2">
+            {compact ? 'Latest Entries' : 'Ledger'}
+          </h4>
+          {entries.length === 0 ? (
+            <p className="text-sm text-gray-500 py-4">
+              No earnings yet. Approved interviews are credited here within a few minutes of approval.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 pr-4 font-medium">Date</th>
+                    <th className="py-2 pr-4 font-medium">Survey</th>
+                    <th className="py-2 pr-4 font-medium">Entry</th>
+                    <th className="py-2 text-right font-medium">Amount</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map(entry => (
+                    <tr key={entry._id} className="border-b border-gray-50">
+                      <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{formatDate(entry.createdAt)}</td>
+                      <td className="py-2 pr-4 text-gray-900">{entry.survey?.surveyName || 'Survey'}</td>
+                      <td className="py-2 pr-4 text-gray-600">
+                        {entry.type === 'credit'
+                          ? `Approved interview${entry.pricing?.interviewNumber ? ` #${entry.pricing.interviewNumber}` : ''}`
+                          : 'Reversed: interview rejected'}
+                      </td>
+                      <td className={`py-2 text-right font-medium whitespace-nowrap ${entry.amount < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                        {entry.amount < 0 ? '−' : '+'}{formatAmount(Math.abs(entry.amount))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {!compact && pagination && pagination.pages > 1 && (
+            <div className="flex items-center justify-end space-x-2 mt-3 text-sm text-gray-600">
+              {loading && <Loader className="w-4 h-4 animate-spin" />}
+              <button
+                onClick={() => setPage(page - 1)}
+                disabled={page <= 1 || loading}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              >
+                <ChevronLeft className="w-4 h-4" />
+              </button>
+              <span>Page {pagination.page} of {pagination.pages}</span>
+              <button
+                onClick={() => setPage(page + 1)}
+                disabled={page >= pagination.pages || loading}
+                className="p-1 rounded hover:bg-gray-100 disabled:opacity-40"
+              >
+                <ChevronRight className="w-4 h-4" />
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Payouts */}
+        {!compact && (
+          <div>
+            <h4 className="text-sm font-semibold text-gray-700 mb-2">Payouts</h4>
+            {payouts.length === 0 ? (
+              <p className="text-sm text-gray-500 py-4">No payouts yet.</p>
+            ) : (
+              <div className="space-y-2">
+                {payouts.map(payout => {
+                  const status = PAYOUT_STATUS[payout.status] || PAYOUT_STATUS.pending;
+                  return (
+                    <div key={payout._id} className="p-3 border border-gray-100 rounded-lg">
+                      <div className="flex items-center justify-between">
+                        <span className="font-medium text-gray-900">{formatAmount(payout.amount)}</span>
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                          {status.label}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 mt-1">{formatPeriod(payout)}</p>
+                      {payout.status === 'paid' && (
+                        <p className="text-xs text-gray-500">
+                          Paid {formatDate(payout.paidAt)}{payout.accountNumber ? ` to ${payout.accountNumber}` : ''}
+                        </p>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EarningsStatement;
@@ -1,8 +1,7 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useToast } from '../../contexts/ToastContext';
-import { 
+import {
   FileBarChart,
-  Upload,
   Download,
   Calendar,
   FileSpreadsheet,
@@ -10,207 +9,171 @@ import {
   Loader,
   CheckCircle,
   AlertCircle,
-  X
+  XCircle,
+  RefreshCw,
+  Filter
 } from 'lucide-react';
-import { reportAPI } from '../../services/api';
+import { reportAPI, surveyAPI } from '../../services/api';
+
+// How often running jobs are re-fetched
+const POLL_INTERVAL_MS = 3000;
+
+const STATUS_OPTIONS = [
+  { value: 'Approved', label: 'Approved' },
+  { value: 'Pending_Approval', label: 'Pending Approval' },
+  { value: 'Rejected', label: 'Rejected' }
+];
+
+const FILE_LABELS = {
+  pptx: 'Report',
+  xlsx: 'Data Snapshot',
+  audit: 'Audit Trail'
+};
+
+const isActive = (job) => job.status === 'queued' || job.status === 'running';
 
 const GenerateReport = () => {
   const { showSuccess, showError } = useToast();
-  const [excelFile, setExcelFile] = useState(null);
-  const [referenceDate, setReferenceDate] = useState(() => {
-    // Default to today's date
-    const today = new Date();
-    return today.toISOString().split('T')[0];
-  });
-  const [generatingReport, setGeneratingReport] = useState(false);
-  const [generatingAudit, setGeneratingAudit] = useState(false);
-  const [reportFile, setReportFile] = useState(null);
-  const [auditFile, setAuditFile] = useState(null);
-  const [uploadedExcelPath, setUploadedExcelPath] = useState(null);
 
   // Get today's date for max date validation
   const today = new Date().toISOString().split('T')[0];
 
-  const handleFileChange = (e) => {
-    const file = e.target.files[0];
-    if (file) {
-      // Validate file type
-      const validTypes = [
-        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-        'application/vnd.ms-excel',
-        'application/octet-stream'
-      ];
-      const validExtensions = ['.xlsx', '.xls'];
-      const fileExtension = file.name.toLowerCase().substring(file.name.lastIndexOf('.'));
-
-      if (!validTypes.includes(file.type) && !validExtensions.includes(fileExtension)) {
-        showError(
-          'Invalid File Type',
-          'Please upload a valid Excel file (.xlsx or .xls)',
-          5000
-        );
-        return;
+  const [surveys, setSurveys] = useState([]);
+  const [form, setForm] = useState({
+    surveyId: '',
+    startDate: today,
+    endDate: today,
+    referenceDate: today,
+    statuses: ['Approved'],
+    interviewMode: '',
+    ac: '',
+    includeAuditTrail: true
+  });
+  const [submitting, setSubmitting] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [loadingJobs, setLoadingJobs] = useState(true);
+  const [cancellingId, setCancellingId] = useState(null);
+
+  useEffect(() => {
+    const fetchSurveys = async () => {
+      try {
+        const response = await surveyAPI.getSurveys({ limit: 100 });
+        if (response.success) {
+          setSurveys(response.data.surveys || []);
+        }
+      } catch (error) {
+        console.error('Error fetching surveys:', error);
       }
+    };
+    fetchSurveys();
+  }, []);
 
-      // Validate file size (800MB max)
-      if (file.size > 800 * 1024 * 1024) {
-        showError(
-          'File Too Large',
-          'File size must be less than 800MB',
-          5000
-        );
-        return;
+  const fetchJobs = useCallback(async () => {
+    try {
+      const response = await reportAPI.getReportJobs({ limit: 20 });
+      if (response.success) {
+        setJobs(response.data.jobs || []);
       }
-
-      setExcelFile(file);
-      setReportFile(null);
-      setAuditFile(null);
-      setUploadedExcelPath(null);
+    } catch (error) {
+      console.error('Error fetching report jobs:', error);
+    } finally {
+      setLoadingJobs(false);
     }
+  }, []);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  // Keep polling while any job is still queued or running
+  const hasActiveJobs = jobs.some(isActive);
+  useEffect(() => {
+    if (!hasActiveJobs) return undefined;
+    const timer = setInterval(fetchJobs, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, fetchJobs]);
+
+  const updateForm = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
   };
 
-  const handleDownloadTemplate = async () => {
-    try {
-      const blob = await reportAPI.downloadTemplate();
-      
-      // Create download link
-      const url = window.URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = 'report_template.xlsx';
-      document.body.appendChild(link);
-      link.click();
-      document.body.removeChild(link);
-      window.URL.revokeObjectURL(url);
-
-      showSuccess(
-        'Template Downloaded',
-        'Excel template has been downloaded successfully',
-        3000
-      );
-    } catch (error) {
-      console.error('Error downloading template:', error);
-      showError(
-        'Download Failed',
-        error.response?.data?.message || error.message || 'Failed to download template',
-        5000
-      );
-    }
+  const toggleStatus = (status) => {
+    setForm(prev => ({
+      ...prev,
+      statuses: prev.statuses.includes(status)
+        ? prev.statuses.filter(s => s !== status)
+        : [...prev.statuses, status]
+    }));
   };
 
   const handleGenerateReport = async () => {
-    if (!excelFile) {
-      showError(
-        'File Required',
-        'Please upload an Excel file first',
-        5000
-      );
+    if (!form.surveyId) {
+      showError('Survey Required', 'Please select a survey', 5000);
       return;
     }
-
-    if (!referenceDate) {
-      showError(
-        'Date Required',
-        'Please select a reference date',
-        5000
-      );
+    if (form.startDate > form.endDate) {
+      showError('Invalid Dates', 'Start date cannot be after end date', 5000);
+      return;
+    }
+    if (form.statuses.length === 0) {
+      showError('Status Required', 'Select at least one response status', 5000);
       return;
     }
 
     try {
-      setGeneratingReport(true);
-      setReportFile(null);
-      setAuditFile(null);
-
-      const response = await reportAPI.generateReport(excelFile, referenceDate);
+      setSubmitting(true);
+      const response = await reportAPI.generateReport({
+        ...form,
+        interviewMode: form.interviewMode || undefined,
+        ac: form.ac.trim() || undefined
+      });
 
       if (response.success) {
-        setReportFile({
-          fileName: response.fileName,
-          filePath: response.filePath
-        });
-        // Store the Excel path for audit trail generation
-        const excelPathToStore = response.excelPath || excelFile.name;
-        setUploadedExcelPath(excelPathToStore);
-        
+        setJobs(prev => [response.data.job, ...prev]);
         showSuccess(
-          'Report Generated',
-          'Report has been generated successfully. You can now download it.',
+          'Report Queued',
+          'The report is being generated from live data. You can leave this page and come back.',
           5000
         );
-
-        // Automatically start generating audit trail after a short delay
-        setTimeout(() => {
-          handleGenerateAuditTrail(excelPathToStore);
-        }, 1000);
+        fetchJobs();
       } else {
-        throw new Error(response.message || 'Failed to generate report');
+        throw new Error(response.message || 'Failed to queue report');
       }
     } catch (error) {
       console.error('Error generating report:', error);
+      const errors = error.response?.data?.errors;
       showError(
         'Generation Failed',
-        error.response?.data?.message || error.message || 'Failed to generate report',
+        errors?.length ? errors.join(', ') : (error.response?.data?.message || error.message || 'Failed to generate report'),
         6000
       );
     } finally {
-      setGeneratingReport(false);
+      setSubmitting(false);
     }
   };
 
-  const handleGenerateAuditTrail = async (excelPath = null) => {
-    const pathToUse = excelPath || uploadedExcelPath;
-    
-    if (!pathToUse) {
-      showError(
-        'Excel File Required',
-        'Please generate the report first',
-        5000
-      );
-      return;
-    }
-
+  const handleCancel = async (job) => {
     try {
-      setGeneratingAudit(true);
-      setAuditFile(null);
-
-      // Use the Excel path as-is (backend will handle finding the file)
-      const excelFileName = pathToUse.includes('/') 
-        ? pathToUse.split('/').pop() 
-        : pathToUse;
-
-      const response = await reportAPI.generateAuditTrail(excelFileName, referenceDate);
-
-      if (response.success) {
-        setAuditFile({
-          fileName: response.fileName,
-          filePath: response.filePath
-        });
-        
-        showSuccess(
-          'Audit Trail Generated',
-          'Calculation audit trail has been generated successfully.',
-          5000
-        );
-      } else {
-        throw new Error(response.message || 'Failed to generate audit trail');
-      }
+      setCancellingId(job._id);
+      const response = await reportAPI.cancelReportJob(job._id);
+      showSuccess('Cancelling', response.message || 'Cancelling report', 3000);
+      fetchJobs();
     } catch (error) {
-      console.error('Error generating audit trail:', error);
+      console.error('Error cancelling report:', error);
       showError(
-        'Audit Generation Failed',
-        error.response?.data?.message || error.message || 'Failed to generate audit trail',
-        6000
+        'Cancel Failed',
+        error.response?.data?.message || error.message || 'Failed to cancel report',
+        5000
       );
     } finally {
-      setGeneratingAudit(false);
+      setCancellingId(null);
     }
   };
 
-  const handleDownload = async (file) => {
+  const handleDownload = async (job, file) => {
     try {
-      const blob = await reportAPI.downloadFile(file.fileName);
-      
+      const blob = await reportAPI.downloadReportJobFile(job._id, file.kind);
+
       // Create download link
       const url = window.URL.createObjectURL(blob);
       const link = document.createElement('a');
@@ -236,6 +199,39 @@ const GenerateReport = () => {
     }
   };
 
+  const renderStatus = (job) => {
+    switch (job.status) {
+      case 'completed':
+        return (
+          <span className="inline-flex items-center space-x-1 text-xs font-medium text-green-700 bg-green-100 px-2 py-1 rounded-full">
+            <CheckCircle className="w-3 h-3" />
+            <span>Completed</span>
+          </span>
+        );
+      case 'failed':
+        return (
+          <span className="inline-flex items-center space-x-1 text-xs font-medium text-red-700 bg-red-100 px-2 py-1 rounded-full">
+            <AlertCircle className="w-3 h-3" />
+            <span>Failed</span>
+          </span>
+        );
+      case 'cancelled':
+        return (
+          <span className="inline-flex items-center space-x-1 text-xs font-medium text-gray-700 bg-gray-100 px-2 py-1 rounded-full">
+            <XCircle className="w-3 h-3" />
+            <span>Cancelled</span>
+          </span>
+        );
+      default:
+        return (
+          <span className="inline-flex items-center space-x-1 text-xs font-medium text-blue-700 bg-blue-100 px-2 py-1 rounded-full">
+            <Loader className="w-3 h-3 animate-spin" />
+            <span>{job.status === 'queued' ? 'Queued' : 'Running'}</span>
+          </span>
+        );
+    }
+  };
+
   return (
     <div className="space-y-6">
       {/* Page Header */}
@@ -247,7 +243,7 @@ const GenerateReport = () => {
           <div>
             <h1 className="text-3xl font-bold text-gray-900">Generate Report</h1>
             <p className="text-gray-600 mt-1">
-              Upload raw data with normalization weights and generate comprehensive reports with calculation audit trails
+              Generate reports with calculation audit trails straight from live survey responses
             </p>
           </div>
         </div>
@@ -256,101 +252,121 @@ const GenerateReport = () => {
       {/* Main Content Card */}
       <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8">
         <div className="space-y-8">
-          {/* Excel File Upload Section */}
+          {/* Survey Selection */}
           <div>
             <label className="block text-sm font-semibold text-gray-700 mb-3">
               <div className="flex items-center space-x-2">
                 <FileSpreadsheet className="w-5 h-5" />
-                <span>Raw Data Excel File</span>
+                <span>Survey</span>
               </div>
             </label>
-            
-            <div className="space-y-4">
-              {/* Template Download */}
-              <div className="flex items-center justify-between p-4 bg-blue-50 rounded-lg border border-blue-200">
-                <div className="flex items-center space-x-3">
-                  <FileSpreadsheet className="w-5 h-5 text-[#373177]" />
-                  <div>
-                    <p className="text-sm font-medium text-gray-900">Download Excel Template</p>
-                    <p className="text-xs text-gray-600">Get the template with column headers and structure</p>
-                  </div>
-                </div>
-                <button
-                  onClick={handleDownloadTemplate}
-                  className="flex items-center space-x-2 px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors duration-200"
-                >
-                  <Download className="w-4 h-4" />
-                  <span>Download Template</span>
-                </button>
-              </div>
+            <select
+              value={form.surveyId}
+              onChange={(e) => updateForm('surveyId', e.target.value)}
+              className="w-full max-w-xl px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+            >
+              <option value="">Select a survey</option>
+              {surveys.map(survey => (
+                <option key={survey._id} value={survey._id}>{survey.surveyName}</option>
+              ))}
+            </select>
+          </div>
 
-              {/* File Upload */}
-              <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 hover:border-blue-400 transition-colors duration-200">
+          {/* Date Selection Section */}
+          <div>
+            <label className="block text-sm font-semibold text-gray-700 mb-3">
+              <div className="flex items-center space-x-2">
+                <Calendar className="w-5 h-5" />
+                <span>Dates</span>
+              </div>
+            </label>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-3xl">
+              <div>
+                <p className="text-xs font-medium text-gray-600 mb-1">Responses from</p>
                 <input
-                  type="file"
-                  id="excelFile"
-                  accept=".xlsx,.xls,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
-                  onChange={handleFileChange}
-                  className="hidden"
+                  type="date"
+                  value={form.startDate}
+                  onChange={(e) => updateForm('startDate', e.target.value)}
+                  max={today}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                />
+              </div>
+              <div>
+                <p className="text-xs font-medium text-gray-600 mb-1">Responses to</p>
+                <input
+                  type="date"
+                  value={form.endDate}
+                  onChange={(e) => updateForm('endDate', e.target.value)}
+                  max={today}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                />
+              </div>
+              <div>
+                <p className="text-xs font-medium text-gray-600 mb-1">Reference date</p>
+                <input
+                  type="date"
+                  value={form.referenceDate}
+                  onChange={(e) => updateForm('referenceDate', e.target.value)}
+                  max={today}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
                 />
-                <label
-                  htmlFor="excelFile"
-                  className="flex flex-col items-center justify-center cursor-pointer"
-                >
-                  <div className="p-4 bg-gray-100 rounded-full mb-4">
-                    <Upload className="w-8 h-8 text-gray-600" />
-                  </div>
-                  <p className="text-sm font-medium text-gray-700 mb-1">
-                    {excelFile ? excelFile.name : 'Click to upload Excel file'}
-                  </p>
-                  <p className="text-xs text-gray-500">
-                    {excelFile ? 'Click to change file' : 'Supports .xlsx and .xls files (max 800MB)'}
-                  </p>
-                </label>
               </div>
-
-              {excelFile && (
-                <div className="flex items-center space-x-2 p-3 bg-green-50 rounded-lg border border-green-200">
-                  <CheckCircle className="w-5 h-5 text-green-600" />
-                  <span className="text-sm text-gray-700">{excelFile.name}</span>
-                  <span className="text-xs text-gray-500">
-                    ({(excelFile.size / 1024 / 1024).toFixed(2)} MB)
-                  </span>
-                  <button
-                    onClick={() => {
-                      setExcelFile(null);
-                      setReportFile(null);
-                      setAuditFile(null);
-                      setUploadedExcelPath(null);
-                    }}
-                    className="ml-auto p-1 hover:bg-green-100 rounded"
-                  >
-                    <X className="w-4 h-4 text-gray-500" />
-                  </button>
-                </div>
-              )}
             </div>
+            <p className="text-xs text-gray-500 mt-2">
+              Responses are taken from the selected days; the reference date anchors the moving averages in the report
+            </p>
           </div>
 
-          {/* Date Selection Section */}
+          {/* Filters */}
           <div>
             <label className="block text-sm font-semibold text-gray-700 mb-3">
               <div className="flex items-center space-x-2">
-                <Calendar className="w-5 h-5" />
-                <span>Reference Date</span>
+                <Filter className="w-5 h-5" />
+                <span>Filters</span>
               </div>
             </label>
-            <div className="max-w-xs">
-              <input
-                type="date"
-                value={referenceDate}
-                onChange={(e) => setReferenceDate(e.target.value)}
-                max={today}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
-              />
-              <p className="text-xs text-gray-500 mt-2">
-                Select the reference date for calculations (default: today, cannot select future dates)
-              </p>
+            <div className="space-y-4 max-w-3xl">
+              <div className="flex flex-wrap gap-4">
+                {STATUS_OPTIONS.map(option => (
+                  <label key={option.value} className="flex items-center space-x-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={form.statuses.includes(option.value)}
+                      onChange={() => toggleStatus(option.value)}
+                      className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span>{option.label}</span>
+                  </label>
+                ))}
+              </div>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <select
+                  value={form.interviewMode}
+                  onChange={(e) => updateForm('interviewMode', e.target.value)}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                >
+                  <option value="">All interview modes</option>
+                  <option value="capi">CAPI</option>
+                  <option value="cati">CATI</option>
+                </select>
+                <input
+                  type="text"
+                  value={form.ac}
+                  onChange={(e) => updateForm('ac', e.target.value)}
+                  placeholder="Assembly constituency (optional)"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 transition-all duration-200"
+                />
+              </div>
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={form.includeAuditTrail}
+                  onChange={(e) => updateForm('includeAuditTrail', e.target.checked)}
+                  className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                <FileText className="w-4 h-4 text-gray-500" />
+                <span>Also generate the calculation audit trail</span>
+              </label>
             </div>
           </div>
 
@@ -358,17 +374,17 @@ const GenerateReport = () => {
           <div>
             <button
               onClick={handleGenerateReport}
-              disabled={!excelFile || generatingReport || generatingAudit}
+              disabled={!form.surveyId || submitting}
               className={`w-full flex items-center justify-center space-x-2 px-6 py-4 rounded-lg font-semibold transition-all duration-200 ${
-                !excelFile || generatingReport || generatingAudit
+                !form.surveyId || submitting
                   ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
                   : 'bg-gradient-to-r from-[#373177] to-[#373177] text-white hover:from-blue-700 hover:to-purple-700 transform hover:scale-[1.02] shadow-lg'
               }`}
             >
-              {generatingReport ? (
+              {submitting ? (
                 <>
                   <Loader className="w-5 h-5 animate-spin" />
-                  <span>Generating Report...</span>
+                  <span>Queueing Report...</span>
                 </>
               ) : (
                 <>
@@ -378,87 +394,116 @@ const GenerateReport = () => {
               )}
             </button>
           </div>
+        </div>
+      </div>
 
-          {/* Report Download Section */}
-          {reportFile && (
-            <div className="p-6 bg-green-50 rounded-lg border border-green-200">
-              <div className="flex items-center justify-between">
-                <div className="flex items-center space-x-3">
-                  <CheckCircle className="w-6 h-6 text-green-600" />
-                  <div>
-                    <p className="text-sm font-semibold text-gray-900">Report Generated Successfully</p>
-                    <p className="text-xs text-gray-600">{reportFile.fileName}</p>
-                  </div>
-                </div>
-                <button
-                  onClick={() => handleDownload(reportFile)}
-                  className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors duration-200"
-                >
-                  <Download className="w-4 h-4" />
-                  <span>Download Report</span>
-                </button>
-              </div>
-            </div>
-          )}
-
-          {/* Audit Trail Section */}
-          <div className="border-t border-gray-200 pt-6">
-            <div className="flex items-center justify-between mb-4">
-              <div>
-                <h3 className="text-lg font-semibold text-gray-900 flex items-center space-x-2">
-                  <FileText className="w-5 h-5" />
-                  <span>Calculation Audit Trail</span>
-                </h3>
-                <p className="text-sm text-gray-600 mt-1">
-                  Complete audit of all calculations performed in the report
-                </p>
-              </div>
-            </div>
+      {/* Report Jobs */}
+      <div className="bg-white rounded-xl shadow-sm border border-gray-200 p-8">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900">Recent Reports</h3>
+            <p className="text-sm text-gray-600 mt-1">
+              Each report records the query and the responses it was generated from
+            </p>
+          </div>
+          <button
+            onClick={fetchJobs}
+            className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50"
+          >
+            <RefreshCw className="w-4 h-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
 
-            {generatingAudit && (
-              <div className="p-6 bg-blue-50 rounded-lg border border-blue-200">
-                <div className="flex items-center space-x-3">
-                  <Loader className="w-5 h-5 animate-spin text-[#373177]" />
-                  <span className="text-sm font-medium text-gray-700">Generating audit trail...</span>
-                </div>
-              </div>
-            )}
-
-            {auditFile && (
-              <div className="p-6 bg-green-50 rounded-lg border border-green-200">
-                <div className="flex items-center justify-between">
-                  <div className="flex items-center space-x-3">
-                    <CheckCircle className="w-6 h-6 text-green-600" />
-                    <div>
-                      <p className="text-sm font-semibold text-gray-900">Audit Trail Generated</p>
-                      <p className="text-xs text-gray-600">{auditFile.fileName}</p>
+        {loadingJobs ? (
+          <div className="flex items-center space-x-3 p-6">
+            <Loader className="w-5 h-5 animate-spin text-[#373177]" />
+            <span className="text-sm text-gray-600">Loading reports...</span>
+          </div>
+        ) : jobs.length === 0 ? (
+          <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
+            <p className="text-sm text-gray-600">No reports generated yet.</p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {jobs.map(job => (
+              <div key={job._id} className="p-4 rounded-lg border border-gray-200">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <div className="flex items-center space-x-2">
+                      <p className="text-sm font-semibold text-gray-900 truncate">
+                        {job.survey?.surveyName || 'Survey'}
+                      </p>
+                      {renderStatus(job)}
                     </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {job.params?.startDate} to {job.params?.endDate}
+                      {job.params?.interviewMode ? ` · ${job.params.interviewMode.toUpperCase()}` : ''}
+                      {job.params?.ac ? ` · AC ${job.params.ac}` : ''}
+                      {' · requested '}{new Date(job.createdAt).toLocaleString()}
+                    </p>
+                    {job.snapshot?.responseCount !== undefined && (
+                      <p className="text-xs text-gray-500 mt-1">
+                        {job.snapshot.responseCount.toLocaleString()} responses
+                        {job.snapshot.responseDigest ? ` · digest ${job.snapshot.responseDigest.slice(0, 12)}` : ''}
+                        {job.snapshot.weighted ? ` · weighting v${job.snapshot.weightingVersion}` : ''}
+                      </p>
+                    )}
+                    {job.warnings?.map(warning => (
+                      <p key={warning} className="text-xs text-amber-700 mt-1">{warning}</p>
+                    ))}
                   </div>
-                  <button
-                    onClick={() => handleDownload(auditFile)}
-                    className="flex items-center space-x-2 px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors duration-200"
-                  >
-                    <Download className="w-4 h-4" />
-                    <span>Download Audit</span>
-                  </button>
+                  {isActive(job) && (
+                    <button
+                      onClick={() => handleCancel(job)}
+                      disabled={cancellingId === job._id || job.cancelRequested}
+                      className="flex items-center space-x-1 px-3 py-1.5 text-sm text-red-700 border border-red-200 rounded-lg hover:bg-red-50 disabled:opacity-50"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      <span>{job.cancelRequested ? 'Cancelling...' : 'Cancel'}</span>
+                    </button>
+                  )}
                 </div>
-              </div>
-            )}
 
-            {!generatingAudit && !auditFile && reportFile && (
-              <div className="p-4 bg-gray-50 rounded-lg border border-gray-200">
-                <p className="text-sm text-gray-600">
-                  Audit trail will be generated automatically after report generation.
-                </p>
+                {isActive(job) && (
+                  <div className="mt-3">
+                    <div className="w-full bg-gray-200 rounded-full h-2">
+                      <div
+                        className="bg-[#373177] h-2 rounded-full transition-all duration-500"
+                        style={{ width: `${job.progress?.percent || 0}%` }}
+                      />
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {job.progress?.message || 'Waiting to start'}
+                    </p>
+                  </div>
+                )}
+
+                {job.status === 'failed' && job.error && (
+                  <p className="text-xs text-red-600 mt-2">{job.error}</p>
+                )}
+
+                {job.files?.length > 0 && (
+                  <div className="flex flex-wrap gap-2 mt-3">
+                    {job.files.map(file => (
+                      <button
+                        key={file.kind}
+                        onClick={() => handleDownload(job, file)}
+                        className="flex items-center space-x-2 px-3 py-1.5 text-sm bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors duration-200"
+                      >
+                        <Download className="w-4 h-4" />
+                        <span>{FILE_LABELS[file.kind] || file.kind}</span>
+                      </button>
+                    ))}
+                  </div>
+                )}
               </div>
-            )}
+            ))}
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
 };
 
 export default GenerateReport;
-
-
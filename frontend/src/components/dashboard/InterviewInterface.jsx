@@ -10,13 +10,30 @@ import {
   ChevronLeft,
   ChevronRight,
   Menu,
-  Phone
+  Phone,
+  WifiOff
 } from 'lucide-react';
 import { useToast } from '../../contexts/ToastContext';
 import { surveyResponseAPI, catiInterviewAPI, pollingStationAPI, authAPI, masterDataAPI } from '../../services/api';
 import { getApiUrl, getApiBaseUrl } from '../../utils/config';
-import { parseTranslation, renderWithTranslation, getMainText, parseMultiTranslation, getLanguageText } from '../../utils/translations';
+import { parseTranslation, renderWithTranslation, getMainText, parseMultiTranslation, getLanguageText, getSurveyLanguages, getVariantText, splitBraceVariants, toLanguageVariants } from '../../utils/translations';
 import { isGenderQuestion, normalizeGenderResponse, isAgeQuestion } from '../../utils/genderUtils';
+import {
+  generateClientInterviewId,
+  isOffline,
+  isNetworkError,
+  withOfflineFallback,
+  ensureOfflineBundle,
+  getOfflineBundle,
+  getOfflineGroupsByAC,
+  getOfflinePollingStationsByGroup,
+  getOfflinePollingStationGPS,
+  getOfflineACData,
+  saveOfflineDraft,
+  queueOfflineInterview
+} from '../../utils/offlineSync';
+import { appendAudioChunk, replaceAudio, deleteInterview } from '../../utils/offlineStore';
+import { createChunkedAudioUploader } from '../../utils/chunkedAudioUpload';
 
 // Helper function to get party logo path based on option text
 // Also checks if logos should be shown for the current question
@@ -70,7 +87,7 @@ const getPartyLogo = (optionText, questionText) => {
 };
 
 const InterviewInterface = ({ survey, onClose, onComplete }) => {
-  const { showSuccess, showError } = useToast();
+  const { showSuccess, showError, showInfo } = useToast();
   
   // Core state
   const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
@@ -87,6 +104,10 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
   const [shuffledOptions, setShuffledOptions] = useState({}); // Store shuffled options per questionId to maintain consistent order
   const [othersTextInputs, setOthersTextInputs] = useState({}); // Store "Others" text input values by questionId_optionValue
   const [selectedLanguageIndex, setSelectedLanguageIndex] = useState(0);
+  // Languages declared on the survey; when present, translations come from the *Variants maps
+  // instead of braces in the text
+  const surveyLanguages = useMemo(() => getSurveyLanguages(survey), [survey]);
+  const surveyLanguageCodes = useMemo(() => surveyLanguages.map(language => language.code), [surveyLanguages]);
   
   // Audio recording state
   const [isRecording, setIsRecording] = useState(false);
@@ -112,6 +133,23 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
   // Session state
   const [sessionData, setSessionData] = useState(null);
   const [sessionId, setSessionId] = useState(null);
+
+  // Offline CAPI state: every CAPI interview gets a client ID so it can be queued on the device
+  // if the connection is lost; interviews started without a connection run fully offline
+  const [isOfflineMode, setIsOfflineMode] = useState(false);
+  const isOfflineModeRef = useRef(false);
+  const clientInterviewIdRef = useRef(null);
+  const audioMimeTypeRef = useRef('audio/mp4');
+  // Online CAPI recordings are uploaded in chunks while the interview runs
+  const chunkUploaderRef = useRef(null);
+  // Recording clock (paused time excluded) and, per question, when it was shown and answered on it,
+  // so QC can jump to a question in the recording
+  const recordingClockRef = useRef({ startedAt: null, pausedAt: null, pausedMs: 0 });
+  const audioOffsetsRef = useRef({});
+  // Quota enforcement: which answers place the respondent in a cell (from the first check)
+  const quotaTriggersRef = useRef(null);
+  const quotaCheckKeyRef = useRef('');
+  const quotaEndingRef = useRef(false);
   
   // AC Selection state
   const [selectedAC, setSelectedAC] = useState('');
@@ -621,7 +659,10 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       
       try {
         setIsLoadingMPMLA(true);
-        const result = await masterDataAPI.getACData(acToUse);
+        const result = await withOfflineFallback(
+          () => masterDataAPI.getACData(acToUse),
+          () => getOfflineACData(survey._id, acToUse)
+        );
         if (result.success && result.data) {
           setMpName(result.data.mpName);
           setMlaName(result.data.mlaName);
@@ -658,7 +699,10 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       }
       
       try {
-        const result = await masterDataAPI.getACData(acToCheck);
+        const result = await withOfflineFallback(
+          () => masterDataAPI.getACData(acToCheck),
+          () => getOfflineACData(survey._id, acToCheck)
+        );
         if (result.success && result.data) {
           setHasByeElection(result.data.hasByeElection || false);
         } else {
@@ -776,10 +820,19 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       
       const chunks = [];
       
+      audioMimeTypeRef.current = mimeType || 'audio/mp4';
+
       recorder.ondataavailable = (event) => {
         if (event.data.size > 0) {
           chunks.push(event.data);
           setAudioChunks(prev => [...prev, event.data]); // Update state as well
+          chunkUploaderRef.current?.addData(event.data);
+          // Offline interviews keep their audio on the device as it is recorded
+          if (isOfflineModeRef.current && clientInterviewIdRef.current) {
+            appendAudioChunk(clientInterviewIdRef.current, event.data).catch(error => {
+              console.error('Error saving audio chunk offline:', error);
+            });
+          }
         }
       };
       
@@ -798,15 +851,22 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       };
       
             recorder.onstart = () => {
+              recordingClockRef.current = { startedAt: Date.now(), pausedAt: null, pausedMs: 0 };
               setIsRecording(true);
               setIsAudioPaused(false);
             };
       
       recorder.onpause = () => {
+        recordingClockRef.current.pausedAt = Date.now();
         setIsAudioPaused(true);
       };
       
             recorder.onresume = () => {
+              const clock = recordingClockRef.current;
+              if (clock.pausedAt) {
+                clock.pausedMs += Date.now() - clock.pausedAt;
+                clock.pausedAt = null;
+              }
               setIsAudioPaused(false);
             };
             
@@ -944,6 +1004,13 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     }
   }, [mediaRecorder]);
 
+  // Offline interviews never reached the server; abandoning one only removes it from the device
+  const discardOfflineInterview = useCallback(async () => {
+    isOfflineModeRef.current = false; // The recorder's final chunk must not be saved again
+    stopAudioRecording();
+    await deleteInterview(clientInterviewIdRef.current);
+  }, [stopAudioRecording]);
+
   // Upload audio to server
   const uploadAudioFile = useCallback(async (audioBlob, sessionId) => {
     try {
@@ -1148,7 +1215,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
         sectionTitle: 'Call Status {কলের অবস্থা}',
         isCallStatus: true // Flag to identify this special question
       };
-      allQuestions.push(callStatusQuestion);
+      allQuestions.push(toLanguageVariants(callStatusQuestion, surveyLanguageCodes));
     }
     
     // Check if this is the target survey for Supervisor ID question
@@ -1175,7 +1242,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
           minValue: 0
         }
       };
-      allQuestions.push(supervisorIdQuestion);
+      allQuestions.push(toLanguageVariants(supervisorIdQuestion, surveyLanguageCodes));
     }
     
     // Add Consent Form question as the very first question (before AC/Polling Station)
@@ -1210,7 +1277,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       sectionTitle: 'Consent Form {সম্মতিপত্র}',
       isConsentForm: true // Flag to identify this special question
     };
-    allQuestions.push(consentFormQuestion);
+    allQuestions.push(toLanguageVariants(consentFormQuestion, surveyLanguageCodes));
     
     // Check if AC selection is required
     // For CATI interviews, AC is auto-populated from respondent info, so we skip AC selection
@@ -1571,14 +1638,33 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
   // Use utility functions for gender detection (imported from genderUtils)
 
   // Helper function to get display text based on selected language
-  const getDisplayText = (text) => {
+  // variants: textVariants/descriptionVariants of the question or option (declared-language surveys)
+  const getDisplayText = (text, variants) => {
     if (!text) return '';
+    if (surveyLanguages.length > 0) {
+      return getVariantText(text, variants, surveyLanguages[selectedLanguageIndex]?.code);
+    }
     return getLanguageText(text, selectedLanguageIndex);
   };
 
   // Helper function to render text based on selected language
   const renderDisplayText = (text, options = {}) => {
     if (!text) return null;
+
+    // Declared languages: braces are literal text, paragraphs are already per language
+    if (surveyLanguages.length > 0) {
+      const paragraphs = getDisplayText(text, options.variants).split('\n\n');
+      return (
+        <span className={options.className || ''}>
+          {paragraphs.map((paragraph, index) => (
+            <React.Fragment key={index}>
+              {index > 0 && <><br /><br /></>}
+              {paragraph}
+            </React.Fragment>
+          ))}
+        </span>
+      );
+    }
     
     // Handle multi-line descriptions with multiple translation blocks
     // Split by \n\n to handle paragraphs, then parse each paragraph separately
@@ -1604,6 +1690,14 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     return <span className={options.className || ''}>{displayText}</span>;
   };
 
+  // Built-in questions and scale labels have no variant maps and are still written with
+  // braces; in declared-language surveys map the brace order onto the declared languages
+  const renderBuiltInText = (text, options = {}) => {
+    if (surveyLanguages.length === 0) return renderDisplayText(text, options);
+    const { text: mainText, variants } = splitBraceVariants(text, surveyLanguageCodes);
+    return renderDisplayText(mainText, { ...options, variants });
+  };
+
   // Helper function to check if an option is "Others"
   const isOthersOption = (optText) => {
     if (!optText) return false;
@@ -1661,6 +1755,23 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
   }, []);
 
 
+  // Seconds of recording so far (to 0.1 s), or null when nothing is being recorded
+  const getRecordingOffset = () => {
+    const clock = recordingClockRef.current;
+    if (!clock.startedAt) return null;
+    const elapsedMs = (clock.pausedAt || Date.now()) - clock.startedAt - clock.pausedMs;
+    return Math.max(0, Math.round(elapsedMs / 100) / 10);
+  };
+
+  // Mark where in the recording a question was first shown, or last answered
+  const markAudioOffset = (questionId, key) => {
+    const offset = getRecordingOffset();
+    if (offset === null || !questionId) return;
+    const current = audioOffsetsRef.current[questionId] || {};
+    if (key === 'entered' && current.entered !== undefined) return;
+    audioOffsetsRef.current[questionId] = { ...current, [key]: offset };
+  };
+
   const stopQuestionTimer = useCallback(() => {
     if (questionStartTime) {
       return Math.floor((Date.now() - questionStartTime) / 1000);
@@ -2084,6 +2195,9 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
 
   // Detect available languages from current question and its options
   const detectAvailableLanguages = useMemo(() => {
+    if (surveyLanguages.length > 0) {
+      return surveyLanguages.map(language => language.label);
+    }
     if (!currentQuestion) return ['Language 1'];
     
     const languageCounts = new Set();
@@ -2128,7 +2242,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     
     const maxLanguages = Math.max(...Array.from(languageCounts), 0) + 1;
     return Array.from({ length: maxLanguages }, (_, i) => `Language ${i + 1}`);
-  }, [currentQuestion]);
+  }, [currentQuestion, surveyLanguages]);
 
   // Also fetch MP/MLA names when reaching questions 16.a or 16.b if not already available
   useEffect(() => {
@@ -2164,7 +2278,10 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
           lastFetchedACRef.current = acToUse; // Mark as fetching
           try {
             setIsLoadingMPMLA(true);
-            const result = await masterDataAPI.getACData(acToUse);
+            const result = await withOfflineFallback(
+              () => masterDataAPI.getACData(acToUse),
+              () => getOfflineACData(survey._id, acToUse)
+            );
             if (result.success && result.data) {
               setMpName(result.data.mpName);
               setMlaName(result.data.mlaName);
@@ -2182,8 +2299,27 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentQuestionIndex, visibleQuestions, selectedAC, acFromSessionData]); // Only re-run when question changes or AC changes
 
+  // Offline interviews: keep the answers on the device while the interview is in progress
+  useEffect(() => {
+    if (!isOfflineMode || !clientInterviewIdRef.current) return;
+
+    const timeout = setTimeout(() => {
+      saveOfflineDraft({
+        clientInterviewId: clientInterviewIdRef.current,
+        surveyId: survey._id,
+        responses,
+        othersTextInputs
+      }).catch(error => {
+        console.error('Error saving interview draft offline:', error);
+      });
+    }, 1000);
+
+    return () => clearTimeout(timeout);
+  }, [isOfflineMode, responses, othersTextInputs, survey._id]);
+
   // Handle response change
   const handleResponseChange = useCallback((questionId, response) => {
+    markAudioOffset(questionId, 'answered');
     setResponses(prev => ({
       ...prev,
       [questionId]: response
@@ -2200,7 +2336,10 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       // Fetch AC data to check for bye-election status (for survey "68fd1915d41841da463f0d46")
       const isTargetSurvey = survey && (survey._id === '68fd1915d41841da463f0d46' || survey.id === '68fd1915d41841da463f0d46');
       if (isTargetSurvey && response) {
-        masterDataAPI.getACData(response).then(result => {
+        withOfflineFallback(
+          () => masterDataAPI.getACData(response),
+          () => getOfflineACData(survey._id, response)
+        ).then(result => {
           if (result.success && result.data) {
             setHasByeElection(result.data.hasByeElection || false);
           } else {
@@ -2323,7 +2462,10 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
         setLoadingGroups(true);
         // Default to West Bengal for now (polling station data is for West Bengal)
         const state = survey?.acAssignmentState || 'West Bengal';
-        const response = await pollingStationAPI.getGroupsByAC(state, selectedAC);
+        const response = await withOfflineFallback(
+          () => pollingStationAPI.getGroupsByAC(state, selectedAC),
+          () => getOfflineGroupsByAC(survey._id, selectedAC)
+        );
         
         if (response.success) {
           const newGroups = response.data.groups || [];
@@ -2364,7 +2506,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     };
     
     fetchGroups();
-  }, [selectedAC, survey?.acAssignmentState]);
+  }, [selectedAC, survey?.acAssignmentState, survey._id]);
 
   // Fetch polling stations when group is selected
   useEffect(() => {
@@ -2377,10 +2519,13 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       try {
         setLoadingStations(true);
         const state = selectedPollingStation.state || survey?.acAssignmentState || 'West Bengal';
-        const response = await pollingStationAPI.getPollingStationsByGroup(
-          state,
-          selectedPollingStation.acName,
-          selectedPollingStation.groupName
+        const response = await withOfflineFallback(
+          () => pollingStationAPI.getPollingStationsByGroup(
+            state,
+            selectedPollingStation.acName,
+            selectedPollingStation.groupName
+          ),
+          () => getOfflinePollingStationsByGroup(survey._id, selectedPollingStation.acName, selectedPollingStation.groupName)
         );
         
         if (response.success) {
@@ -2402,7 +2547,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     };
     
     fetchPollingStations();
-  }, [selectedPollingStation.groupName, selectedPollingStation.acName, selectedPollingStation.state, survey?.acAssignmentState]);
+  }, [selectedPollingStation.groupName, selectedPollingStation.acName, selectedPollingStation.state, survey?.acAssignmentState, survey._id]);
 
   // Update polling station GPS when station is selected
   useEffect(() => {
@@ -2413,11 +2558,19 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       
       try {
         const state = selectedPollingStation.state || survey?.acAssignmentState || 'West Bengal';
-        const response = await pollingStationAPI.getPollingStationGPS(
-          state,
-          selectedPollingStation.acName,
-          selectedPollingStation.groupName,
-          selectedPollingStation.stationName
+        const response = await withOfflineFallback(
+          () => pollingStationAPI.getPollingStationGPS(
+            state,
+            selectedPollingStation.acName,
+            selectedPollingStation.groupName,
+            selectedPollingStation.stationName
+          ),
+          () => getOfflinePollingStationGPS(
+            survey._id,
+            selectedPollingStation.acName,
+            selectedPollingStation.groupName,
+            selectedPollingStation.stationName
+          )
         );
         
         if (response.success) {
@@ -2442,7 +2595,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     };
     
     updateStationGPS();
-  }, [selectedPollingStation.stationName, selectedPollingStation.groupName, selectedPollingStation.acName, selectedPollingStation.state, survey?.acAssignmentState]);
+  }, [selectedPollingStation.stationName, selectedPollingStation.groupName, selectedPollingStation.acName, selectedPollingStation.state, survey?.acAssignmentState, survey._id]);
 
   // Navigate to next question - EXACTLY like working commit
   // Phone number validation function
@@ -2614,6 +2767,16 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
           setSessionId(response.data.sessionId);
           setCatiRespondent(response.data.respondent);
           setCatiQueueId(response.data.respondent.id);
+
+          if (response.data.respondent?.isCallback) {
+            const promisedAt = response.data.respondent.callLaterDate
+              ? new Date(response.data.respondent.callLaterDate).toLocaleString()
+              : null;
+            showInfo(
+              'Scheduled callback',
+              promisedAt ? `This respondent asked to be called back at ${promisedAt}.` : 'This respondent asked to be called back.'
+            );
+          }
           
           // Auto-populate AC and PC from respondent info for CATI interviews
           if (response.data.respondent && response.data.respondent.ac) {
@@ -2669,7 +2832,70 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
         }
       } else {
         // CAPI mode - use standard endpoint
-        response = await surveyResponseAPI.startInterview(survey._id);
+        const clientInterviewId = generateClientInterviewId();
+        clientInterviewIdRef.current = clientInterviewId;
+
+        const startCapiAudioRecording = async () => {
+          // Start audio recording if supported and in CAPI mode
+          if (survey.mode === 'capi' && audioSupported) {
+            try {
+              await startAudioRecording();
+            } catch (error) {
+              // Audio recording failed, but continue with interview
+              console.warn('Audio recording failed, continuing without audio:', error);
+              showError('Audio recording unavailable. Interview will continue without audio recording.');
+            }
+          } else if (survey.mode === 'capi' && !audioSupported) {
+            console.warn('Audio recording not supported in this browser/environment');
+          }
+        };
+
+        // No connection: run the interview from the survey data downloaded to this device
+        const startOfflineSession = async () => {
+          const bundle = await getOfflineBundle(survey._id);
+          if (!bundle) {
+            showError('No internet connection, and this survey has not been downloaded for offline use. Connect once and open the survey to download it.');
+            return;
+          }
+
+          const startTime = new Date();
+          isOfflineModeRef.current = true;
+          setIsOfflineMode(true);
+          setSessionData({
+            sessionId: `offline-${clientInterviewId}`,
+            survey: survey._id,
+            startTime,
+            requiresACSelection: bundle.requiresACSelection,
+            assignedACs: bundle.assignedACs || [],
+            isOffline: true
+          });
+          setSessionId(`offline-${clientInterviewId}`);
+          setIsPaused(false);
+          setIsInterviewActive(true);
+          await saveOfflineDraft({
+            clientInterviewId,
+            surveyId: survey._id,
+            surveyName: survey.surveyName,
+            surveyRevision: bundle.surveyRevision,
+            startTime: startTime.toISOString(),
+            responses: {}
+          });
+          showInfo('Offline mode', 'Answers and audio are saved on this device and will sync when you are back online.');
+          await startCapiAudioRecording();
+        };
+
+        if (isOffline()) {
+          await startOfflineSession();
+          return;
+        }
+
+        try {
+          response = await surveyResponseAPI.startInterview(survey._id);
+        } catch (error) {
+          if (!isNetworkError(error)) throw error;
+          await startOfflineSession();
+          return;
+        }
         
       if (response.success) {
         setSessionData(response.data);
@@ -2677,18 +2903,17 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
         setIsPaused(false);
         setIsInterviewActive(true);
 
-        // Start audio recording if supported and in CAPI mode
-        if (survey.mode === 'capi' && audioSupported) {
-          try {
-            await startAudioRecording();
-          } catch (error) {
-            // Audio recording failed, but continue with interview
-            console.warn('Audio recording failed, continuing without audio:', error);
-            showError('Audio recording unavailable. Interview will continue without audio recording.');
-          }
-        } else if (survey.mode === 'capi' && !audioSupported) {
-          console.warn('Audio recording not supported in this browser/environment');
-        }
+        // Keep a recent copy of the survey on the device so the next interview can run offline
+        ensureOfflineBundle(survey._id).catch(error => {
+          console.warn('Could not download survey for offline use:', error);
+        });
+
+        chunkUploaderRef.current = createChunkedAudioUploader({
+          sessionId: response.data.sessionId,
+          surveyId: survey._id,
+          clientInterviewId: clientInterviewIdRef.current
+        });
+        await startCapiAudioRecording();
       } else {
         showError('Failed to start interview');
         }
@@ -2702,7 +2927,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       setIsLoading(false);
         setIsStarting(false);
     }
-  }, [survey._id, survey.mode, isCatiMode, audioSupported, startAudioRecording, showError]);
+  }, [survey._id, survey.mode, survey.surveyName, isCatiMode, audioSupported, startAudioRecording, showError, showInfo]);
 
   // Check audio permission separately
   const checkAudioPermission = useCallback(async () => {
@@ -2954,6 +3179,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
 
       // Stop audio recording and upload if available (only for CAPI, not CATI)
       let audioUrl = null;
+      let recordedAudioBlob = null; // Kept for the device queue if the interview cannot be submitted now
       let audioRecordingData = {
         hasAudio: false,
         audioUrl: null,
@@ -3008,8 +3234,23 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
         try {
           const blob = await audioBlobPromise;
           
-          if (blob && blob.size > 0) {
-            audioUrl = await uploadAudioFile(blob, sessionId);
+          if (blob && blob.size > 0 && isOfflineMode) {
+            // Uploaded when the interview syncs
+            recordedAudioBlob = blob;
+          } else if (blob && blob.size > 0) {
+            recordedAudioBlob = blob;
+            // Most of the recording is already on the server; send it whole only if the chunked upload fails
+            let chunkedUpload = null;
+            if (chunkUploaderRef.current) {
+              try {
+                chunkedUpload = await chunkUploaderRef.current.finish();
+              } catch (uploadError) {
+                console.warn('Chunked audio upload failed, uploading full recording:', uploadError);
+                chunkUploaderRef.current.abort();
+              }
+              chunkUploaderRef.current = null;
+            }
+            audioUrl = chunkedUpload?.audioUrl || await uploadAudioFile(blob, sessionId);
             audioRecordingData = {
               hasAudio: true,
               audioUrl: audioUrl,
@@ -3017,15 +3258,19 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
               format: 'mp4',
               codec: 'opus',
               bitrate: 96000,
-              fileSize: blob.size,
-              uploadedAt: new Date().toISOString()
+              fileSize: chunkedUpload?.size || blob.size,
+              uploadedAt: new Date().toISOString(),
+              ...(chunkedUpload?.audioUrl && { uploadId: chunkedUpload.uploadId, checksum: chunkedUpload.checksum })
             };
           } else {
             showError('Failed to create audio recording. Interview will continue without audio.');
           }
         } catch (error) {
           console.error('Error processing audio:', error);
-          showError('Failed to process audio recording. Interview will continue without audio.');
+          // Without a connection the recording is queued with the interview instead
+          if (!(recordedAudioBlob && (isOffline() || error instanceof TypeError))) {
+            showError('Failed to process audio recording. Interview will continue without audio.');
+          }
         }
       } else {
       }
@@ -3044,6 +3289,14 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
           return;
         } else {
           // For CAPI mode, still abandon but use standard abandon endpoint
+        if (isOfflineMode) {
+          await discardOfflineInterview();
+          showSuccess('Interview abandoned due to consent refusal');
+          if (onComplete) onComplete({ abandoned: true, reason: 'consent_refused' });
+          if (onClose) onClose();
+          setIsLoading(false);
+          return;
+        }
         const consentQuestion = allQuestions.find(q => q.id === 'consent-form');
         if (consentQuestion) {
             try {
@@ -3150,6 +3403,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
           questionOptions: questionOptions,
           response: processedResponse || (question.type === 'multiple_choice' ? [] : ''),
           responseTime,
+          ...(audioOffsetsRef.current[question.id] && { audioOffsets: audioOffsetsRef.current[question.id] }),
           isRequired: question.required || false,
           isSkipped: !hasResponseContent(processedResponse)
         });
@@ -3235,11 +3489,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
         );
       } else {
         // CAPI mode - use standard completion endpoint
-        response = await surveyResponseAPI.completeInterview(
-        sessionId, 
-        finalResponses, 
-        qualityMetrics, 
-        {
+        const capiMetadata = {
           survey: survey._id,
           interviewer: sessionData?.interviewer || 'current-user',
             status: 'Pending_Approval',
@@ -3276,12 +3526,56 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
           skippedQuestions: finalResponses.filter(r => !hasResponseContent(r.response)).length,
           completionPercentage: Math.round((finalResponses.filter(r => hasResponseContent(r.response)).length / allQuestions.length) * 100),
           setNumber: selectedSetNumber, // Save which Set was shown in this interview
-          OldinterviewerID: oldInterviewerID // Save old interviewer ID
+          OldinterviewerID: oldInterviewerID, // Save old interviewer ID
+          clientInterviewId: clientInterviewIdRef.current // Lets the offline sync recognise this interview if it is queued too
+        };
+
+        // Offline (or the connection dropped): keep the interview on the device until it syncs
+        const queueOnDevice = async () => {
+          const bundle = await getOfflineBundle(survey._id);
+          if (recordedAudioBlob && !audioRecordingData.hasAudio) {
+            await replaceAudio(clientInterviewIdRef.current, recordedAudioBlob);
+          }
+          await queueOfflineInterview({
+            clientInterviewId: clientInterviewIdRef.current,
+            surveyId: survey._id,
+            surveyName: survey.surveyName,
+            surveyRevision: bundle?.surveyRevision || null,
+            startTime: capiMetadata.startTime,
+            endTime: capiMetadata.endTime,
+            responses: finalResponses,
+            qualityMetrics,
+            metadata: capiMetadata,
+            audioMimeType: audioMimeTypeRef.current
+          });
+          return { success: true, queued: true, data: { status: 'Queued_For_Sync' } };
+        };
+
+        if (isOfflineMode) {
+          response = await queueOnDevice();
+        } else {
+          try {
+            response = await surveyResponseAPI.completeInterview(sessionId, finalResponses, qualityMetrics, capiMetadata);
+          } catch (error) {
+            if (!isNetworkError(error) || !clientInterviewIdRef.current) throw error;
+            response = await queueOnDevice();
+          }
         }
-      );
       }
       
-      if (response.success) {
+      if (response.success && response.queued) {
+        showSuccess('Interview saved on this device. It will be submitted for quality approval when you are back online.');
+        onComplete && onComplete({
+          survey: survey._id,
+          responses: finalResponses,
+          sessionId: sessionId,
+          totalTime: totalTime,
+          responseId: null,
+          clientInterviewId: clientInterviewIdRef.current,
+          status: 'Queued_For_Sync'
+        });
+        onClose();
+      } else if (response.success) {
         const responseId = response.data?.responseId || response.data?.responseId;
         showSuccess(`Interview completed successfully! Response ID: ${responseId}. Your response has been submitted for quality approval.`);
         onComplete && onComplete({
@@ -3323,7 +3617,15 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       
       try {
         setIsLoading(true);
-        if (sessionId) {
+        if (isOfflineMode) {
+          await discardOfflineInterview();
+          setShowAbandonConfirm(false);
+          setAbandonReason('');
+          setAbandonNotes('');
+          showSuccess('Interview abandoned and removed from this device');
+          if (onClose) onClose();
+          if (onComplete) onComplete({ abandoned: true, reason: abandonReason });
+        } else if (sessionId) {
           console.log('📋 Current responses state:', Object.keys(responses).length, 'responses');
           console.log('📋 Response keys:', Object.keys(responses));
           
@@ -3399,6 +3701,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
               questionOptions: questionOptions,
               response: processedResponse || (question.type === 'multiple_choice' ? [] : ''),
               responseTime: 0,
+              ...(audioOffsetsRef.current[question.id] && { audioOffsets: audioOffsetsRef.current[question.id] }),
               isRequired: question.required || false,
               isSkipped: !hasResponseContent(processedResponse)
             });
@@ -3474,6 +3777,74 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     }
   };
 
+  // Live quota enforcement: once an answer places the respondent in a full quota cell the
+  // interview ends. The first check tells us which answers matter; later ones only run when
+  // one of those changes. Offline interviews are checked by the server when they sync.
+  useEffect(() => {
+    if (!isInterviewActive || !sessionId || isOfflineMode || quotaEndingRef.current) return undefined;
+    const triggers = quotaTriggersRef.current;
+    if (triggers && !triggers.enabled) return undefined;
+
+    const answeredQuestions = allQuestions.filter(question => hasResponseContent(responses[question.id]));
+    const relevantAnswers = triggers
+      ? answeredQuestions
+        .filter(question => triggers.questionIds.includes(question.id) ||
+          (triggers.gender && isGenderQuestion(question)) ||
+          (triggers.ac && question.id === 'ac-selection'))
+        .map(question => [question.id, responses[question.id]])
+      : [];
+    const checkKey = JSON.stringify([relevantAnswers, triggers?.ac ? selectedAC : null]);
+    if (checkKey === quotaCheckKeyRef.current) return undefined;
+
+    const timeout = setTimeout(async () => {
+      quotaCheckKeyRef.current = checkKey;
+      const quotaResponses = answeredQuestions.map(question => ({
+        sectionIndex: question.sectionIndex,
+        questionIndex: question.questionIndex,
+        questionId: question.id,
+        questionType: question.type,
+        questionText: question.text,
+        response: responses[question.id]
+      }));
+
+      try {
+        const result = await surveyResponseAPI.checkQuota(sessionId, {
+          responses: quotaResponses,
+          selectedAC: selectedAC || null,
+          selectedPollingStation: selectedPollingStation || null
+        });
+        if (!result.success) return;
+        quotaTriggersRef.current = { enabled: result.data.enabled, ...result.data.triggers };
+        if (!result.data.isFull || quotaEndingRef.current) return;
+
+        quotaEndingRef.current = true;
+        const screenOut = result.data.action === 'screen_out';
+        if (isCatiMode && catiQueueId) {
+          await catiInterviewAPI.abandonInterview(catiQueueId, 'quota_full', result.data.message, null, 'call_connected');
+        } else {
+          // Screen-outs keep the partial interview as Terminated; terminations discard it
+          await surveyResponseAPI.abandonInterview(sessionId, screenOut ? quotaResponses : [], {
+            selectedAC: selectedAC || null,
+            selectedPollingStation: selectedPollingStation || null,
+            location: gpsLocation || null,
+            setNumber: selectedSetNumber || null,
+            abandonedReason: 'Quota_Full'
+          });
+        }
+        showError(`${result.data.message}. The interview has ended.`);
+        if (onClose) onClose();
+        if (onComplete) onComplete({ abandoned: true, reason: 'quota_full' });
+      } catch (error) {
+        // A failed check never blocks the interview; the server marks over-quota responses on completion
+        console.error('Error checking quota:', error);
+        quotaCheckKeyRef.current = '';
+      }
+    }, 800);
+
+    return () => clearTimeout(timeout);
+  }, [responses, selectedAC, selectedPollingStation, gpsLocation, selectedSetNumber, allQuestions, isInterviewActive,
+    sessionId, isOfflineMode, isCatiMode, catiQueueId, showError, onClose, onComplete]);
+
   // Prevent navigation during active interview
   useEffect(() => {
     if (!isInterviewActive) return;
@@ -3537,6 +3908,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
       if (mediaRecorder && mediaRecorder.state !== 'inactive') {
         mediaRecorder.stop();
       }
+      chunkUploaderRef.current?.abort();
     };
   }, []); // Empty dependency array - only runs on mount/unmount
 
@@ -3546,6 +3918,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
     if (currentQuestionIndex !== lastQuestionIndexRef.current && currentQuestion) {
       lastQuestionIndexRef.current = currentQuestionIndex;
       setQuestionStartTime(Date.now());
+      markAudioOffset(currentQuestion.id, 'entered');
     }
   }, [currentQuestionIndex]); // Only depend on index, not question object
 
@@ -4135,7 +4508,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                   className="w-5 h-5 text-[#373177] border-gray-300 rounded focus:ring-blue-500"
                 />
                 <span className="text-lg text-gray-700">
-                  {renderDisplayText('refused to share phone number {নম্বর দিতে চাননি}')}
+                  {renderBuiltInText('refused to share phone number {নম্বর দিতে চাননি}')}
                 </span>
               </label>
             )}
@@ -4339,7 +4712,8 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                           : 'text-gray-700 group-hover:text-gray-900'
                       }`}>
                         {renderDisplayText(optionText, {
-                          className: ''
+                          className: '',
+                          variants: option?.textVariants
                         })}
                         {/* Party logo after text */}
                         {partyLogo && (
@@ -4419,7 +4793,8 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                   />
                   <span className="text-lg text-gray-700 group-hover:text-gray-900 transition-colors flex items-center gap-2">
                     {renderDisplayText(optionText, {
-                      className: ''
+                      className: '',
+                      variants: option?.textVariants
                     })}
                     {/* Party logo after text */}
                     {partyLogo && (
@@ -4475,7 +4850,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                 </button>
                     {label && (
                       <span className="text-xs text-gray-600 text-center max-w-[60px]">
-                        {renderDisplayText(label, {
+                        {renderBuiltInText(label, {
                           className: ''
                         })}
                       </span>
@@ -4487,12 +4862,12 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
             {(minLabel || maxLabel) && (
               <div className="flex justify-between text-sm text-gray-500 px-2">
                 <span>
-                  {renderDisplayText(minLabel, {
+                  {renderBuiltInText(minLabel, {
                     className: ''
                   })}
                 </span>
                 <span>
-                  {renderDisplayText(maxLabel, {
+                  {renderBuiltInText(maxLabel, {
                     className: ''
                   })}
                 </span>
@@ -4543,7 +4918,7 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
               const optionText = typeof option === 'object' ? option.text : option;
               return (
                 <option key={index} value={optionValue}>
-                  {getDisplayText(optionText)}
+                  {getDisplayText(optionText, option?.textVariants)}
                 </option>
               );
             })}
@@ -4915,6 +5290,14 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
               </>
             )}
             
+            {/* Offline Indicator - CAPI interviews saved on the device */}
+            {isOfflineMode && (
+              <div className="flex items-center space-x-2 px-3 py-1 bg-amber-100 rounded-lg" title="Answers and audio are saved on this device and sync when you are back online">
+                <WifiOff className="w-3 h-3 text-amber-700" />
+                <span className="text-xs text-amber-800">Offline - saved on device</span>
+              </div>
+            )}
+
             {/* Audio Recording Indicator - CAPI only */}
             {!isCatiMode && survey.mode === 'capi' && (
               <div className="flex items-center space-x-2 px-3 py-1 bg-gray-100 rounded-lg">
@@ -5012,7 +5395,8 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                       </div>
                       <p className="text-sm mt-2 line-clamp-2">
                         {renderDisplayText(question.text, {
-                          className: ''
+                          className: '',
+                          variants: question.textVariants
                         })}
                       </p>
                     </button>
@@ -5176,7 +5560,8 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                     return questionNumber ? <span className="text-[#373177] mr-3">Q{questionNumber}:</span> : null;
                   })()}
                   {renderDisplayText(currentQuestion.text, {
-                    className: ''
+                    className: '',
+                    variants: currentQuestion.textVariants
                   })}
                   {/* Show MP/MLA name for Question 16.a and 16.b - check by question text/number regardless of survey */}
                   {(() => {
@@ -5302,7 +5687,9 @@ const InterviewInterface = ({ survey, onClose, onComplete }) => {
                 </h2>
                 {currentQuestion.description && (
                   <p className="text-xl text-gray-600 leading-relaxed">
-                    {renderDisplayText(currentQuestion.description)}
+                    {renderDisplayText(currentQuestion.description, {
+                      variants: currentQuestion.descriptionVariants
+                    })}
                   </p>
                 )}
                 {validationErrors.has(currentQuestion.id) && (
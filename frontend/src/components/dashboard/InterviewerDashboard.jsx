@@ -15,6 +15,7 @@ import {
   XCircle
 } from 'lucide-react';
 import { performanceAPI, surveyAPI } from '../../services/api';
+import EarningsStatement from './EarningsStatement';
 
 const InterviewerDashboard = () => {
   const navigate = useNavigate();
@@ -253,7 +254,10 @@ const InterviewerDashboard = () => {
               <BarChart3 className="h-6 w-6 mx-auto mb-2" />
               <span className="text-sm font-medium">My Interviews</span>
             </button>
-            <button className="p-4 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-all duration-300">
+            <button 
+              onClick={() => navigate('/interviewer/payments-history')}
+              className="p-4 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-all duration-300"
+            >
               <DollarSign className="h-6 w-6 mx-auto mb-2" />
               <span className="text-sm font-medium">Payment History</span>
             </button>
@@ -265,6 +269,11 @@ const InterviewerDashboard = () => {
         </div>
       </div>
 
+      {/* Earnings */}
+      <div className="mb-8">
+        <EarningsStatement compact />
+      </div>
+
       {/* Additional Dashboard Content */}
       <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
         {/* Available Interviews */}
@@ -21,9 +21,8 @@ import {
   FileImage,
   FileCheck
 } from 'lucide-react';
-import { authAPI } from '../../services/api';
+import { authAPI, kycDocumentsAPI } from '../../services/api';
 import { useToast } from '../../contexts/ToastContext';
-import { getFileUrl } from '../../utils/config';
 
 const InterviewerProfile = () => {
   const { showSuccess, showError, showInfo } = useToast();
@@ -694,11 +693,22 @@ const InterviewerProfile = () => {
     };
   }, []);
 
+  // Documents are only served through short-lived signed links, fetched when a preview opens
+  const getDocumentUrl = async (field) => {
+    try {
+      return await kycDocumentsAPI.getDocumentUrl(field);
+    } catch (error) {
+      console.error('Error fetching document link:', error);
+      showError('Preview Failed', error.response?.data?.message || 'Could not load the document');
+      return null;
+    }
+  };
+
   // CV Preview functions
-  const handleCvPreview = () => {
+  const handleCvPreview = async () => {
     if (profileData.interviewerProfile.cvUpload) {
-      // Create a full URL for the CV file using environment configuration
-      const cvUrl = getFileUrl(profileData.interviewerProfile.cvUpload);
+      const cvUrl = await getDocumentUrl('cvUpload');
+      if (!cvUrl) return;
       setCvPreviewUrl(cvUrl);
       setShowCvPreview(true);
     }
@@ -710,9 +720,10 @@ const InterviewerProfile = () => {
   };
 
   // Bank Document Preview functions
-  const handleBankDocPreview = () => {
+  const handleBankDocPreview = async () => {
     if (profileData.interviewerProfile.bankDocumentUpload) {
-      const bankDocUrl = getFileUrl(profileData.interviewerProfile.bankDocumentUpload);
+      const bankDocUrl = await getDocumentUrl('bankDocumentUpload');
+      if (!bankDocUrl) return;
       setBankDocPreviewUrl(bankDocUrl);
       setShowBankDocPreview(true);
     }
@@ -724,9 +735,10 @@ const InterviewerProfile = () => {
   };
 
   // PAN Document Preview functions
-  const handlePanPreview = () => {
+  const handlePanPreview = async () => {
     if (profileData.interviewerProfile.panDocument) {
-      const panUrl = getFileUrl(profileData.interviewerProfile.panDocument);
+      const panUrl = await getDocumentUrl('panDocument');
+      if (!panUrl) return;
       setPanPreviewUrl(panUrl);
       setShowPanPreview(true);
     }
@@ -738,9 +750,10 @@ const InterviewerProfile = () => {
   };
 
   // Aadhaar Document Preview functions
-  const handleAadhaarPreview = () => {
+  const handleAadhaarPreview = async () => {
     if (profileData.interviewerProfile.aadhaarDocument) {
-      const aadhaarUrl = getFileUrl(profileData.interviewerProfile.aadhaarDocument);
+      const aadhaarUrl = await getDocumentUrl('aadhaarDocument');
+      if (!aadhaarUrl) return;
       setAadhaarPreviewUrl(aadhaarUrl);
       setShowAadhaarPreview(true);
     }
@@ -752,9 +765,10 @@ const InterviewerProfile = () => {
   };
 
   // Passport Photo Preview functions
-  const handlePassportPreview = () => {
+  const handlePassportPreview = async () => {
     if (profileData.interviewerProfile.passportPhoto) {
-      const passportUrl = getFileUrl(profileData.interviewerProfile.passportPhoto);
+      const passportUrl = await getDocumentUrl('passportPhoto');
+      if (!passportUrl) return;
       setPassportPreviewUrl(passportUrl);
       setShowPassportPreview(true);
     }
@@ -1977,7 +1991,7 @@ const InterviewerProfile = () => {
             {/* Modal Content */}
             <div className="flex-1 p-4 overflow-hidden">
               <div className="w-full h-full border border-gray-300 rounded-md overflow-hidden">
-                {cvPreviewUrl.endsWith('.pdf') ? (
+                {profileData.interviewerProfile.cvUpload?.toLowerCase().endsWith('.pdf') ? (
                   <iframe
                     src={cvPreviewUrl}
                     className="w-full h-full"
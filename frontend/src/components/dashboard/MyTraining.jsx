@@ -0,0 +1,439 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { GraduationCap, BookOpen, Mic, ListChecks, CheckCircle, XCircle, Clock, Loader, X, RefreshCw, Award, AlertCircle } from 'lucide-react';
+import { trainingAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+
+const MODULE_TYPES = {
+  walkthrough: { label: 'Questionnaire walkthrough', icon: BookOpen },
+  mock_interview: { label: 'Mock interview', icon: Mic },
+  quiz: { label: 'Quiz', icon: ListChecks }
+};
+
+const CHOICE_TYPES = ['single_choice', 'single_select', 'dropdown', 'yes_no'];
+const RATING_TYPES = ['rating', 'rating_scale'];
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '-');
+
+// Answer input for one question of a mock interview
+const PracticeInput = ({ question, value, onChange }) => {
+  if (question.type === 'file_upload') {
+    return <p className="text-xs text-gray-500">File uploads are skipped in practice</p>;
+  }
+
+  if (question.type === 'yes_no' && question.options.length === 0) {
+    question = { ...question, options: [{ id: 'yes', text: 'Yes' }, { id: 'no', text: 'No' }] };
+  }
+
+  if (CHOICE_TYPES.includes(question.type)) {
+    return (
+      <div className="space-y-1">
+        {question.options.map(option => (
+          <label key={option.id} className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              name={`practice-${question.id}`}
+              checked={value === option.id}
+              onChange={() => onChange(option.id)}
+            />
+            <span>{option.text}</span>
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (question.type === 'multiple_choice') {
+    const selected = Array.isArray(value) ? value : [];
+    return (
+      <div className="space-y-1">
+        {question.options.map(option => (
+          <label key={option.id} className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={selected.includes(option.id)}
+              onChange={(e) => onChange(e.target.checked
+                ? [...selected, option.id]
+                : selected.filter(id => id !== option.id))}
+            />
+            <span>{option.text}</span>
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (RATING_TYPES.includes(question.type)) {
+    const min = question.scale?.min ?? 1;
+    const max = question.scale?.max ?? 5;
+    return (
+      <div className="flex flex-wrap gap-2">
+        {Array.from({ length: max - min + 1 }, (_, i) => min + i).map(point => (
+          <button
+            key={point}
+            type="button"
+            onClick={() => onChange(point)}
+            className={`w-9 h-9 rounded-lg border text-sm ${
+              value === point ? 'bg-[#001D48] text-white border-[#001D48]' : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+            }`}
+          >
+            {point}
+          </button>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <input
+      type={question.type === 'numeric' ? 'number' : question.type === 'date' ? 'date' : 'text'}
+      value={value ?? ''}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+    />
+  );
+};
+
+/**
+ * Interviewer view of the training for their assigned surveys: take walkthroughs, mock
+ * interviews and quizzes, and see where they stand on each survey's certification
+ */
+const MyTraining = () => {
+  const { showSuccess, showError } = useToast();
+  const [trainings, setTrainings] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeModule, setActiveModule] = useState(null);
+  const [loadingModule, setLoadingModule] = useState(false);
+  const [answers, setAnswers] = useState({});
+  const [acknowledged, setAcknowledged] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [result, setResult] = useState(null);
+
+  const fetchTraining = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await trainingAPI.getMyTraining();
+      if (response.success) {
+        setTrainings(response.data.trainings);
+      }
+    } catch (error) {
+      console.error('Error fetching training:', error);
+      showError('Load Failed', error.response?.data?.message || 'Failed to load your training');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    fetchTraining();
+  }, [fetchTraining]);
+
+  const openModule = async (moduleId) => {
+    try {
+      setLoadingModule(true);
+      setAnswers({});
+      setAcknowledged(false);
+      setResult(null);
+      const response = await trainingAPI.getMyModule(moduleId);
+      if (response.success) {
+        setActiveModule(response.data.module);
+      }
+    } catch (error) {
+      showError('Load Failed', error.response?.data?.message || 'Failed to load the module');
+    } finally {
+      setLoadingModule(false);
+    }
+  };
+
+  const closeModule = () => {
+    setActiveModule(null);
+    setResult(null);
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setSubmitting(true);
+      const response = await trainingAPI.submitMyModule(
+        activeModule._id,
+        activeModule.type === 'walkthrough' ? { acknowledged } : { answers }
+      );
+      setResult(response.data.result);
+      if (response.data.result.passed) {
+        showSuccess('Module Complete', response.message);
+      } else {
+        showError('Not Passed', response.message);
+      }
+      fetchTraining();
+    } catch (error) {
+      showError('Submit Failed', error.response?.data?.message || 'Failed to submit the module');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const renderCertification = (certification) => {
+    if (certification.certified) {
+      return (
+        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-green-100 text-green-800">
+          <Award className="w-3 h-3 mr-1" />
+          Certified until {formatDate(certification.expiresAt)}
+        </span>
+      );
+    }
+    if (certification.expiredAt) {
+      return (
+        <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-red-100 text-red-800">
+          Certification expired {formatDate(certification.expiredAt)}
+        </span>
+      );
+    }
+    return (
+      <span className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+        Not certified
+      </span>
+    );
+  };
+
+  const renderModuleResult = (module) => {
+    const moduleResult = module.result;
+    if (moduleResult?.current) {
+      return (
+        <span className="inline-flex items-center text-sm text-green-700">
+          <CheckCircle className="w-4 h-4 mr-1" />
+          {module.type === 'quiz' ? `Passed (${moduleResult.score}%)` : 'Completed'}
+        </span>
+      );
+    }
+    if (moduleResult?.passed) {
+      return (
+        <span className="inline-flex items-center text-sm text-red-600">
+          <Clock className="w-4 h-4 mr-1" />
+          Pass expired, retake
+        </span>
+      );
+    }
+    if (moduleResult?.attempted) {
+      return (
+        <span className="inline-flex items-center text-sm text-red-600">
+          <XCircle className="w-4 h-4 mr-1" />
+          {moduleResult.score}%, needs {module.passMark}%
+        </span>
+      );
+    }
+    return <span className="text-sm text-gray-500">Not started</span>;
+  };
+
+  const quizComplete = activeModule?.type === 'quiz' &&
+    activeModule.quizQuestions.every(question => answers[question._id] !== undefined);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Training</h1>
+          <p className="text-gray-600 mt-1">Complete the training for your surveys to get certified</p>
+        </div>
+        <button
+          onClick={fetchTraining}
+          disabled={loading}
+          className="flex items-center px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {loading && trainings.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+          <Loader className="w-6 h-6 animate-spin text-[#001D48] mx-auto" />
+        </div>
+      ) : trainings.length === 0 ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+          <GraduationCap className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">No training is assigned to you right now</p>
+        </div>
+      ) : (
+        trainings.map(training => (
+          <div key={training.survey._id} className="bg-white rounded-lg border border-gray-200">
+            <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-2 p-6 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{training.survey.surveyName}</h3>
+                {training.certification.required && !training.certification.certified && (
+                  <p className="flex items-center text-sm text-red-600 mt-1">
+                    <AlertCircle className="w-4 h-4 mr-1" />
+                    You need this certification before you can start interviews
+                  </p>
+                )}
+              </div>
+              {renderCertification(training.certification)}
+            </div>
+            {training.modules.length === 0 ? (
+              <p className="p-6 text-sm text-gray-500">The training for this survey has not been published yet.</p>
+            ) : (
+              <div className="divide-y divide-gray-200">
+                {training.modules.map(module => {
+                  const Icon = MODULE_TYPES[module.type]?.icon || BookOpen;
+                  return (
+                    <div key={module._id} className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-6">
+                      <div className="flex items-start space-x-3">
+                        <div className="p-2 bg-blue-50 rounded-lg">
+                          <Icon className="w-5 h-5 text-[#001D48]" />
+                        </div>
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{module.title}</p>
+                          <p className="text-xs text-gray-500">
+                            {MODULE_TYPES[module.type]?.label}
+                            {module.type === 'quiz' && ` · ${module.questionCount} question(s), pass mark ${module.passMark}%`}
+                            {!module.required && ' · Optional'}
+                          </p>
+                          {module.description && <p className="text-sm text-gray-600 mt-1">{module.description}</p>}
+                        </div>
+                      </div>
+                      <div className="flex items-center space-x-4">
+                        {renderModuleResult(module)}
+                        <button
+                          onClick={() => openModule(module._id)}
+                          disabled={loadingModule}
+                          className="px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800 text-sm disabled:opacity-50"
+                        >
+                          {module.result?.attempted ? 'Retake' : 'Start'}
+                        </button>
+                      </div>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ))
+      )}
+
+      {/* Module taker */}
+      {activeModule && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">{activeModule.title}</h3>
+                <p className="text-sm text-gray-500">{activeModule.survey.surveyName} · {MODULE_TYPES[activeModule.type]?.label}</p>
+              </div>
+              <button onClick={closeModule} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="overflow-y-auto p-6 space-y-4">
+              {activeModule.description && (
+                <p className="text-sm text-gray-700 whitespace-pre-line">{activeModule.description}</p>
+              )}
+
+              {result && (
+                <div className={`p-4 rounded-lg ${result.passed ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'}`}>
+                  {activeModule.type === 'quiz'
+                    ? `You scored ${result.score}% (${result.correct} of ${result.total} correct). ${result.passed ? 'Passed.' : `The pass mark is ${activeModule.passMark}%.`}`
+                    : 'Module completed.'}
+                </div>
+              )}
+
+              {/* Walkthrough and mock interview */}
+              {activeModule.type !== 'quiz' && activeModule.questionnaire.map((question, index) => {
+                const previousSection = index > 0 ? activeModule.questionnaire[index - 1].section : undefined;
+                return (
+                  <div key={question.id}>
+                    {question.section && question.section !== previousSection && (
+                      <h4 className="text-sm font-semibold text-gray-500 uppercase mb-2">{question.section}</h4>
+                    )}
+                    <div className="p-4 border border-gray-200 rounded-lg space-y-2">
+                      <p className="text-sm text-gray-900">
+                        <span className="font-medium">{question.questionNumber || index + 1}.</span> {question.text}
+                      </p>
+                      {question.description && <p className="text-xs text-gray-500">{question.description}</p>}
+                      {activeModule.type === 'walkthrough' ? (
+                        <>
+                          {question.options.length > 0 && (
+                            <ul className="text-sm text-gray-600 list-disc list-inside">
+                              {question.options.map(option => <li key={option.id}>{option.text}</li>)}
+                            </ul>
+                          )}
+                          {question.trainerNote && (
+                            <p className="text-sm text-blue-900 bg-blue-50 rounded-lg p-3 whitespace-pre-line">{question.trainerNote}</p>
+                          )}
+                        </>
+                      ) : (
+                        <PracticeInput
+                          question={question}
+                          value={answers[question.id]}
+                          onChange={(value) => setAnswers(current => ({ ...current, [question.id]: value }))}
+                        />
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+
+              {/* Quiz */}
+              {activeModule.type === 'quiz' && activeModule.quizQuestions.map((question, index) => (
+                <div key={question._id} className="p-4 border border-gray-200 rounded-lg space-y-2">
+                  <p className="text-sm font-medium text-gray-900">{index + 1}. {question.question}</p>
+                  {question.options.map((option, optionIndex) => (
+                    <label key={optionIndex} className="flex items-center space-x-2 text-sm text-gray-700">
+                      <input
+                        type="radio"
+                        name={`quiz-${question._id}`}
+                        checked={answers[question._id] === optionIndex}
+                        onChange={() => setAnswers(current => ({ ...current, [question._id]: optionIndex }))}
+                        disabled={!!result}
+                      />
+                      <span>{option}</span>
+                    </label>
+                  ))}
+                </div>
+              ))}
+
+              {activeModule.type === 'walkthrough' && !result && (
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={acknowledged}
+                    onChange={(e) => setAcknowledged(e.target.checked)}
+                    className="h-4 w-4 text-[#001D48] border-gray-300 rounded"
+                  />
+                  <span>I have gone through every question and the notes</span>
+                </label>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-2 p-6 border-t border-gray-200">
+              <button
+                onClick={closeModule}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Close
+              </button>
+              {!result && (
+                <button
+                  onClick={handleSubmit}
+                  disabled={submitting || (activeModule.type === 'walkthrough' && !acknowledged) || (activeModule.type === 'quiz' && !quizComplete)}
+                  className="flex items-center px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800 disabled:opacity-50"
+                >
+                  {submitting && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                  {activeModule.type === 'quiz' ? 'Submit Answers' : 'Complete'}
+                </button>
+              )}
+              {result && !result.passed && (
+                <button
+                  onClick={() => openModule(activeModule._id)}
+                  className="px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800"
+                >
+                  Try Again
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MyTraining;
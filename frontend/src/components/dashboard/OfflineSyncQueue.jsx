@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import {
+  CloudUpload,
+  WifiOff,
+  AlertTriangle,
+  XCircle,
+  Clock,
+  Trash2,
+  RotateCcw,
+  Loader
+} from 'lucide-react';
+import { useToast } from '../../contexts/ToastContext';
+import {
+  OFFLINE_STATUS,
+  isOffline,
+  isNetworkError,
+  getQueuedInterviews,
+  syncOfflineInterviews,
+  resolveOfflineInterview
+} from '../../utils/offlineSync';
+
+const STATUS_STYLES = {
+  [OFFLINE_STATUS.PENDING]: { label: 'Waiting to sync', className: 'bg-[#E6F0F8] text-[#001D48]', icon: Clock },
+  [OFFLINE_STATUS.CONFLICT]: { label: 'Survey changed', className: 'bg-amber-100 text-amber-800', icon: AlertTriangle },
+  [OFFLINE_STATUS.ERROR]: { label: 'Sync failed', className: 'bg-red-100 text-red-800', icon: XCircle },
+  [OFFLINE_STATUS.DRAFT]: { label: 'Interrupted', className: 'bg-gray-100 text-gray-700', icon: WifiOff }
+};
+
+// Interviews captured offline and still on this device; syncs automatically when the connection returns
+const OfflineSyncQueue = ({ onSynced }) => {
+  const { showSuccess, showError } = useToast();
+  const [interviews, setInterviews] = useState([]);
+  const [syncing, setSyncing] = useState(false);
+  const [online, setOnline] = useState(!isOffline());
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [discardConfirm, setDiscardConfirm] = useState(null);
+  // Parent callbacks change every render; the sync listeners must not be re-registered for that
+  const onSyncedRef = useRef(onSynced);
+  onSyncedRef.current = onSynced;
+
+  const loadQueue = useCallback(async () => {
+    try {
+      setInterviews(await getQueuedInterviews());
+    } catch (error) {
+      // Browsers without IndexedDB simply have nothing queued
+      console.warn('Offline queue unavailable:', error);
+      setInterviews([]);
+    }
+  }, []);
+
+  const reportSync = useCallback((summary) => {
+    if (!summary) return;
+    const synced = summary.created + summary.duplicate;
+    if (synced > 0) {
+      showSuccess(`${synced} offline interview(s) submitted for quality approval`);
+      onSyncedRef.current && onSyncedRef.current();
+    }
+    if (summary.conflict > 0) {
+      showError(`${summary.conflict} interview(s) need review: the survey changed while you were offline`);
+    }
+  }, [showSuccess, showError]);
+
+  const runSync = useCallback(async () => {
+    if (isOffline()) return;
+    try {
+      setSyncing(true);
+      reportSync(await syncOfflineInterviews());
+    } catch (error) {
+      console.error('Error syncing offline interviews:', error);
+      if (!isNetworkError(error)) {
+        showError(error.response?.data?.message || 'Failed to sync offline interviews');
+      }
+    } finally {
+      setSyncing(false);
+      loadQueue();
+    }
+  }, [reportSync, showError, loadQueue]);
+
+  useEffect(() => {
+    getQueuedInterviews()
+      .then(queued => {
+        setInterviews(queued);
+        if (queued.some(interview => interview.status === OFFLINE_STATUS.PENDING)) {
+          runSync();
+        }
+      })
+      .catch(error => console.warn('Offline queue unavailable:', error));
+
+    const handleOnline = () => {
+      setOnline(true);
+      runSync();
+    };
+    const handleOffline = () => setOnline(false);
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [runSync]);
+
+  const handleResolve = async (clientInterviewId, action) => {
+    try {
+      setActionInProgress(clientInterviewId);
+      setDiscardConfirm(null);
+      const summary = await resolveOfflineInterview(clientInterviewId, action);
+      if (action === 'discard') {
+        showSuccess('Interview removed from this device');
+      } else {
+        reportSync(summary);
+      }
+    } catch (error) {
+      console.error('Error resolving offline interview:', error);
+      showError(isNetworkError(error) ? 'No connection. The interview will sync when you are back online.' : 'Failed to submit interview');
+    } finally {
+      setActionInProgress(null);
+      loadQueue();
+    }
+  };
+
+  if (interviews.length === 0) {
+    return null;
+  }
+
+  const pendingCount = interviews.filter(interview => interview.status === OFFLINE_STATUS.PENDING).length;
+
+  return (
+    <div className="bg-white rounded-xl p-6 shadow-sm border border-gray-100 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h2 className="text-lg font-semibold text-gray-900">Interviews on this device</h2>
+          <p className="text-sm text-gray-600">
+            {online
+              ? `${pendingCount} waiting to sync`
+              : 'You are offline. Interviews will sync when the connection returns.'}
+          </p>
+        </div>
+        <button
+          onClick={runSync}
+          disabled={!online || syncing || pendingCount === 0}
+          className="px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-[#002a6b] transition-colors text-sm flex items-center space-x-2 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {syncing ? <Loader className="w-4 h-4 animate-spin" /> : <CloudUpload className="w-4 h-4" />}
+          <span>{syncing ? 'Syncing...' : 'Sync now'}</span>
+        </button>
+      </div>
+
+      <div className="divide-y divide-gray-100">
+        {interviews.map(interview => {
+          const style = STATUS_STYLES[interview.status] || STATUS_STYLES[OFFLINE_STATUS.PENDING];
+          const StatusIcon = style.icon;
+          const busy = actionInProgress === interview.clientInterviewId;
+
+          return (
+            <div key={interview.clientInterviewId} className="py-3">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0">
+                  <p className="font-medium text-gray-900 truncate">{interview.surveyName || 'Survey'}</p>
+                  <p className="text-xs text-gray-500">
+                    Started {interview.startTime ? new Date(interview.startTime).toLocaleString() : '-'}
+                  </p>
+                </div>
+                <span className={`inline-flex items-center space-x-1 px-2 py-1 rounded-full text-xs font-medium ${style.className}`}>
+                  <StatusIcon className="w-3 h-3" />
+                  <span>{style.label}</span>
+                </span>
+              </div>
+
+              {interview.status === OFFLINE_STATUS.CONFLICT && interview.conflicts?.length > 0 && (
+                <ul className="mt-2 text-xs text-amber-800 list-disc list-inside space-y-0.5">
+                  {interview.conflicts.map((conflict, index) => (
+                    <li key={`${conflict.questionId}-${index}`}>{conflict.message}</li>
+                  ))}
+                </ul>
+              )}
+
+              {interview.lastError && (
+                <p className="mt-2 text-xs text-red-700">{interview.lastError}</p>
+              )}
+
+              {interview.status === OFFLINE_STATUS.DRAFT && (
+                <p className="mt-2 text-xs text-gray-600">This interview was not completed and cannot be submitted.</p>
+              )}
+
+              {interview.status !== OFFLINE_STATUS.PENDING && (
+                <div className="mt-2 flex items-center space-x-2">
+                  {interview.status === OFFLINE_STATUS.CONFLICT && (
+                    <button
+                      onClick={() => handleResolve(interview.clientInterviewId, 'submit')}
+                      disabled={busy || !online}
+                      className="px-3 py-1 bg-amber-500 text-white rounded-lg hover:bg-amber-600 transition-colors text-xs flex items-center space-x-1 disabled:opacity-50"
+                    >
+                      <CloudUpload className="w-3 h-3" />
+                      <span>Submit anyway</span>
+                    </button>
+                  )}
+                  {interview.status === OFFLINE_STATUS.ERROR && (
+                    <button
+                      onClick={() => handleResolve(interview.clientInterviewId, 'submit')}
+                      disabled={busy || !online}
+                      className="px-3 py-1 bg-[#001D48] text-white rounded-lg hover:bg-[#002a6b] transition-colors text-xs flex items-center space-x-1 disabled:opacity-50"
+                    >
+                      <RotateCcw className="w-3 h-3" />
+                      <span>Retry</span>
+                    </button>
+                  )}
+                  {discardConfirm === interview.clientInterviewId ? (
+                    <>
+                      <span className="text-xs text-gray-700">Discard this interview permanently?</span>
+                      <button
+                        onClick={() => handleResolve(interview.clientInterviewId, 'discard')}
+                        disabled={busy}
+                        className="px-3 py-1 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors text-xs"
+                      >
+                        Discard
+                      </button>
+                      <button
+                        onClick={() => setDiscardConfirm(null)}
+                        className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-xs"
+                      >
+                        Keep
+                      </button>
+                    </>
+                  ) : (
+                    <button
+                      onClick={() => setDiscardConfirm(interview.clientInterviewId)}
+                      disabled={busy}
+                      className="px-3 py-1 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-xs flex items-center space-x-1"
+                    >
+                      <Trash2 className="w-3 h-3" />
+                      <span>Discard</span>
+                    </button>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default OfflineSyncQueue;
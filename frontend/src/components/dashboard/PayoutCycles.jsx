@@ -0,0 +1,359 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Wallet, Download, CheckCircle, Eye, Loader, X, RefreshCw, Plus, AlertCircle } from 'lucide-react';
+import { earningsAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+
+const SCHEDULE_LABELS = {
+  daily: 'Daily',
+  weekly: 'Weekly',
+  'bi-weekly': 'Every two weeks',
+  monthly: 'Monthly'
+};
+
+const CYCLE_STATUS = {
+  open: { label: 'Ready to export', className: 'bg-yellow-100 text-yellow-800' },
+  exported: { label: 'Exported', className: 'bg-blue-100 text-blue-800' },
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-800' }
+};
+
+const LINE_STATUS = {
+  pending: { label: 'In file', className: 'bg-yellow-100 text-yellow-800' },
+  missing_bank_details: { label: 'No bank details', className: 'bg-red-100 text-red-800' },
+  paid: { label: 'Paid', className: 'bg-green-100 text-green-800' },
+  carried_forward: { label: 'Carried forward', className: 'bg-gray-100 text-gray-800' }
+};
+
+const formatAmount = (amount) => `₹${(amount || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '-');
+
+// Periods end at midnight, so the last day paid is the day before the period end
+const formatPeriod = (cycle) => `${formatDate(cycle.periodStart)} – ${formatDate(new Date(new Date(cycle.periodEnd).getTime() - 1))}`;
+
+const PayoutCycles = () => {
+  const { showSuccess, showError } = useToast();
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [generating, setGenerating] = useState(false);
+  const [busyCycleId, setBusyCycleId] = useState(null);
+  const [selectedCycle, setSelectedCycle] = useState(null);
+  const [payingCycle, setPayingCycle] = useState(null);
+  const [paymentReference, setPaymentReference] = useState('');
+
+  const fetchCycles = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await earningsAPI.getPayoutCycles();
+      if (response.success) {
+        setData(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching payout cycles:', error);
+      showError('Load Failed', error.response?.data?.message || 'Failed to load payout cycles');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  useEffect(() => {
+    fetchCycles();
+  }, [fetchCycles]);
+
+  const handleGenerate = async () => {
+    try {
+      setGenerating(true);
+      const response = await earningsAPI.generatePayoutCycle();
+      if (response.data?.cycle) {
+        showSuccess('Payout Cycle Generated', response.message);
+      } else {
+        showSuccess('Nothing To Pay', response.message);
+      }
+      fetchCycles();
+    } catch (error) {
+      showError('Generate Failed', error.response?.data?.message || 'Failed to generate the payout cycle');
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  const handleView = async (cycle) => {
+    try {
+      setBusyCycleId(cycle._id);
+      const response = await earningsAPI.getPayoutCycle(cycle._id);
+      if (response.success) {
+        setSelectedCycle(response.data.cycle);
+      }
+    } catch (error) {
+      showError('Load Failed', error.response?.data?.message || 'Failed to load the payout cycle');
+    } finally {
+      setBusyCycleId(null);
+    }
+  };
+
+  const handleExport = async (cycle) => {
+    try {
+      setBusyCycleId(cycle._id);
+      const blob = await earningsAPI.exportPayoutCycle(cycle._id);
+      const url = window.URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `payouts_${new Date(cycle.periodEnd).toLocaleDateString('en-CA')}.csv`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      window.URL.revokeObjectURL(url);
+      fetchCycles();
+    } catch (error) {
+      console.error('Error exporting payout cycle:', error);
+      showError('Export Failed', 'Failed to download the bank transfer file');
+    } finally {
+      setBusyCycleId(null);
+    }
+  };
+
+  const handleMarkPaid = async () => {
+    try {
+      setBusyCycleId(payingCycle._id);
+      const response = await earningsAPI.markPayoutCyclePaid(payingCycle._id, { paymentReference });
+      showSuccess('Payout Confirmed', response.message);
+      setPayingCycle(null);
+      setPaymentReference('');
+      fetchCycles();
+    } catch (error) {
+      showError('Update Failed', error.response?.data?.message || 'Failed to mark the cycle paid');
+    } finally {
+      setBusyCycleId(null);
+    }
+  };
+
+  const cycles = data?.cycles || [];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Payouts</h1>
+          <p className="text-gray-600 mt-1">Pay interviewers their approved-interview earnings and export bank transfer files</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={fetchCycles}
+            disabled={loading}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={handleGenerate}
+            disabled={generating}
+            className="flex items-center px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800 disabled:opacity-50"
+          >
+            {generating ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Plus className="w-4 h-4 mr-2" />}
+            Generate Cycle
+          </button>
+        </div>
+      </div>
+
+      {/* Summary */}
+      {data && (
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
+            <p className="text-sm text-gray-600">Payout schedule</p>
+            <p className="text-lg font-semibold text-gray-900">{SCHEDULE_LABELS[data.schedule] || data.schedule}</p>
+            <p className="text-xs text-gray-500 mt-1">Latest period ended {formatDate(data.latestPeriodEnd)}</p>
+          </div>
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
+            <p className="text-sm text-gray-600">Not yet in a cycle</p>
+            <p className="text-lg font-semibold text-gray-900">{formatAmount(data.unassigned.amount)}</p>
+            <p className="text-xs text-gray-500 mt-1">{data.unassigned.interviewerCount} interviewer(s)</p>
+          </div>
+          <div className="bg-white rounded-lg border border-gray-200 p-4">
+            <p className="text-sm text-gray-600">Awaiting payment</p>
+            <p className="text-lg font-semibold text-gray-900">
+              {formatAmount(cycles.filter(cycle => cycle.status !== 'paid').reduce((sum, cycle) => sum + cycle.totalAmount, 0))}
+            </p>
+            <p className="text-xs text-gray-500 mt-1">{cycles.filter(cycle => cycle.status !== 'paid').length} cycle(s)</p>
+          </div>
+        </div>
+      )}
+
+      {/* Cycles */}
+      <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+        {loading && !data ? (
+          <div className="p-12 text-center">
+            <Loader className="w-6 h-6 animate-spin text-[#001D48] mx-auto" />
+          </div>
+        ) : cycles.length === 0 ? (
+          <div className="p-12 text-center">
+            <Wallet className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+            <p className="text-gray-600">No payout cycles yet</p>
+            <p className="text-sm text-gray-500 mt-1">Cycles are generated nightly after each payout period ends</p>
+          </div>
+        ) : (
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Period</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Interviewers</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Amount</th>
+                <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {cycles.map(cycle => {
+                const status = CYCLE_STATUS[cycle.status] || CYCLE_STATUS.open;
+                const busy = busyCycleId === cycle._id;
+                return (
+                  <tr key={cycle._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 text-sm text-gray-900">{formatPeriod(cycle)}</td>
+                    <td className="px-6 py-4 text-sm text-gray-600">
+                      {cycle.interviewerCount}
+                      {cycle.missingBankDetails > 0 && cycle.status !== 'paid' && (
+                        <span className="ml-2 inline-flex items-center text-xs text-red-600">
+                          <AlertCircle className="w-3 h-3 mr-1" />
+                          {cycle.missingBankDetails} without bank details
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm font-medium text-gray-900">{formatAmount(cycle.totalAmount)}</td>
+                    <td className="px-6 py-4">
+                      <span className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${status.className}`}>
+                        {status.label}
+                      </span>
+                      {cycle.paymentReference && (
+                        <p className="text-xs text-gray-500 mt-1">Ref: {cycle.paymentReference}</p>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-right whitespace-nowrap">
+                      <button
+                        onClick={() => handleView(cycle)}
+                        disabled={busy}
+                        className="p-2 text-gray-500 hover:text-[#001D48] disabled:opacity-50"
+                        title="View interviewers"
+                      >
+                        <Eye className="w-4 h-4" />
+                      </button>
+                      <button
+                        onClick={() => handleExport(cycle)}
+                        disabled={busy}
+                        className="p-2 text-gray-500 hover:text-[#001D48] disabled:opacity-50"
+                        title="Download bank transfer file"
+                      >
+                        <Download className="w-4 h-4" />
+                      </button>
+                      {cycle.status === 'exported' && (
+                        <button
+                          onClick={() => setPayingCycle(cycle)}
+                          disabled={busy}
+                          className="p-2 text-gray-500 hover:text-green-600 disabled:opacity-50"
+                          title="Mark paid"
+                        >
+                          <CheckCircle className="w-4 h-4" />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Cycle lines */}
+      {selectedCycle && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Payout {formatPeriod(selectedCycle)}</h3>
+                <p className="text-sm text-gray-500">{formatAmount(selectedCycle.totalAmount)} to {selectedCycle.interviewerCount} interviewer(s)</p>
+              </div>
+              <button onClick={() => setSelectedCycle(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+            <div className="overflow-y-auto p-6">
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b border-gray-100">
+                    <th className="py-2 pr-4 font-medium">Interviewer</th>
+                    <th className="py-2 pr-4 font-medium">Bank</th>
+                    <th className="py-2 pr-4 font-medium">Entries</th>
+                    <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                    <th className="py-2 font-medium">Status</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {selectedCycle.lines.map(line => {
+                    const status = LINE_STATUS[line.status] || LINE_STATUS.pending;
+                    return (
+                      <tr key={line.interviewer} className="border-b border-gray-50">
+                        <td className="py-2 pr-4">
+                          <p className="text-gray-900">{line.name}</p>
+                          {line.memberId && <p className="text-xs text-gray-500">{line.memberId}</p>}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">
+                          {line.accountNumber ? `${line.bankName || ''} ${line.accountNumber} (${line.ifscCode || '-'})` : '-'}
+                        </td>
+                        <td className="py-2 pr-4 text-gray-600">{line.entryCount}</td>
+                        <td className="py-2 pr-4 text-right font-medium text-gray-900">{formatAmount(line.amount)}</td>
+                        <td className="py-2">
+                          <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>
+                            {status.label}
+                          </span>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Mark paid */}
+      {payingCycle && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-md w-full p-6">
+            <h3 className="text-lg font-semibold text-gray-900">Confirm payout</h3>
+            <p className="text-sm text-gray-600 mt-2">
+              Mark {formatAmount(payingCycle.totalAmount)} for {formatPeriod(payingCycle)} as transferred.
+              {payingCycle.missingBankDetails > 0 && ` ${payingCycle.missingBankDetails} interviewer(s) without bank details move to the next cycle.`}
+            </p>
+            <label className="block text-sm font-medium text-gray-700 mt-4 mb-1">Bank reference (optional)</label>
+            <input
+              type="text"
+              value={paymentReference}
+              onChange={(e) => setPaymentReference(e.target.value)}
+              placeholder="Batch ID or UTR"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+            <div className="flex justify-end space-x-2 mt-6">
+              <button
+                onClick={() => { setPayingCycle(null); setPaymentReference(''); }}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleMarkPaid}
+                disabled={busyCycleId === payingCycle._id}
+                className="flex items-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:opacity-50"
+              >
+                {busyCycleId === payingCycle._id && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                Mark Paid
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PayoutCycles;
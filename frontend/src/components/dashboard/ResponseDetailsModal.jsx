@@ -143,6 +143,26 @@ const ResponseDetailsModal = ({ response, survey, onClose, hideActions = false,
     }
   };
 
+  const formatTimestamp = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  };
+
+  // Jump the CAPI recording to where a question was asked and play from there
+  const handleSeekAudio = (seconds) => {
+    const responseKey = currentResponse._id || currentResponse.responseId;
+    const audioEl = document.querySelector(`audio[data-response-id="${responseKey}"]`);
+    if (!audioEl || !audioEl.src) {
+      showError('The recording is not available to play.');
+      return;
+    }
+    audioEl.currentTime = seconds;
+    audioEl.play().catch(error => {
+      console.error('Error playing audio from question:', error);
+      setAudioPlaying(false);
+    });
+  };
+
   // Helper function to get district from AC using assemblyConstituencies.json
   const getDistrictFromAC = (acName) => {
     if (!acName || acName === 'N/A' || !assemblyConstituencies.states) return 'N/A';
@@ -1662,6 +1682,19 @@ const ResponseDetailsModal = ({ response, survey, onClose, hideActions = false,
                             )}
                           </div>
                           <div className="flex items-center space-x-2 ml-4">
+                            {Number.isFinite(responseItem.audioOffsets?.entered ?? responseItem.audioOffsets?.answered) && currentResponse.audioRecording?.audioUrl && (
+                              <button
+                                type="button"
+                                onClick={() => handleSeekAudio(responseItem.audioOffsets.entered ?? responseItem.audioOffsets.answered)}
+                                className="inline-flex items-center px-2 py-1 rounded-full text-xs font-medium bg-[#E8E6F5] text-[#373177] hover:bg-[#373177] hover:text-white"
+                                title={Number.isFinite(responseItem.audioOffsets.answered)
+                                  ? `Play from this question (answered at ${formatTimestamp(responseItem.audioOffsets.answered)})`
+                                  : 'Play from this question'}
+                              >
+                                <Play className="w-3 h-3 mr-1" />
+                                {formatTimestamp(responseItem.audioOffsets.entered ?? responseItem.audioOffsets.answered)}
+                              </button>
+                            )}
                             {hasConditions && conditionsMet && (
                               <div className="flex items-center space-x-1 px-2 py-1 bg-green-100 text-green-800 rounded-md">
                                 <Zap className="w-3 h-3" />
@@ -1804,6 +1837,16 @@ const ResponseDetailsModal = ({ response, survey, onClose, hideActions = false,
                                   <div className="text-sm text-red-700 whitespace-pre-wrap">
                                     {currentResponse.verificationData.feedback}
                                   </div>
+                                  {currentResponse.verificationData.autoRejectionRuleVersion !== undefined &&
+                                   currentResponse.verificationData.autoRejectionRuleVersion !== null && (
+                                    <div className="text-xs text-red-600 mt-1">
+                                      Rule set {currentResponse.verificationData.autoRejectionRuleVersion === 0
+                                        ? 'v0 (built-in defaults)'
+                                        : `v${currentResponse.verificationData.autoRejectionRuleVersion}`}
+                                      {currentResponse.verificationData.autoRejectionRules?.length > 0 &&
+                                        ` · rules: ${currentResponse.verificationData.autoRejectionRules.map(rule => rule.ruleId).join(', ')}`}
+                                    </div>
+                                  )}
                                 </>
                               );
                             } else if (currentResponse.verificationData.reviewer) {
@@ -25,9 +25,8 @@ import {
   ChevronDown,
   ChevronUp
 } from 'lucide-react';
-import { authAPI } from '../../services/api';
+import { authAPI, kycDocumentsAPI } from '../../services/api';
 import { useToast } from '../../contexts/ToastContext';
-import { getFileUrl } from '../../utils/config';
 
 const SuperAdminDocumentVerification = () => {
   const [pendingProfiles, setPendingProfiles] = useState([]);
@@ -85,36 +84,16 @@ const SuperAdminDocumentVerification = () => {
     setPreviewBankDetails(null);
   };
 
-  const handleDocumentPreview = async (documentPath, documentType, documentNumber = '', bankDetails = null, signedUrl = null) => {
-    if (documentPath) {
-      let documentUrl = signedUrl;
-      
-      // If no signed URL provided, try to get it
-      if (!documentUrl) {
-        // Check if it's an S3 key
-        if (documentPath.startsWith('documents/') || documentPath.startsWith('audio/') || documentPath.startsWith('reports/')) {
-          try {
-            const isProduction = window.location.protocol === 'https:' || window.location.hostname !== 'localhost';
-            const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || (isProduction ? '' : 'http://localhost:5000');
-            const token = localStorage.getItem('token');
-            const response = await fetch(`${API_BASE_URL}/api/survey-responses/audio-signed-url?audioUrl=${encodeURIComponent(documentPath)}`, {
-              headers: { 'Authorization': `Bearer ${token}` }
-            });
-            if (response.ok) {
-              const data = await response.json();
-              if (data.signedUrl) {
-                documentUrl = data.signedUrl;
-              }
-            }
-          } catch (error) {
-            console.error('Error fetching signed URL:', error);
-          }
-        }
-      }
-      
-      // Fallback to getFileUrl if no signed URL
-      if (!documentUrl) {
-        documentUrl = getFileUrl(documentPath);
+  const handleDocumentPreview = async (documentPath, documentType, documentNumber = '', bankDetails = null, field = null) => {
+    if (documentPath && field) {
+      // KYC documents are only served through short-lived signed links
+      let documentUrl;
+      try {
+        documentUrl = await kycDocumentsAPI.getDocumentUrl(field, selectedProfile._id);
+      } catch (error) {
+        console.error('Error fetching document link:', error);
+        showError('Preview Failed', error.response?.data?.message || 'Could not load the document');
+        return;
       }
       
       setPreviewDocument(documentUrl);
@@ -804,7 +783,7 @@ const SuperAdminDocumentVerification = () => {
                               'CV Document',
                               '',
                               null,
-                              selectedProfile.interviewerProfile.cvUploadSignedUrl
+                              'cvUpload'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -827,7 +806,7 @@ const SuperAdminDocumentVerification = () => {
                               'Aadhaar Card', 
                               selectedProfile.interviewerProfile.aadhaarNumber,
                               null,
-                              selectedProfile.interviewerProfile.aadhaarDocumentSignedUrl
+                              'aadhaarDocument'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -850,7 +829,7 @@ const SuperAdminDocumentVerification = () => {
                               'PAN Card', 
                               selectedProfile.interviewerProfile.panNumber,
                               null,
-                              selectedProfile.interviewerProfile.panDocumentSignedUrl
+                              'panDocument'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -873,7 +852,7 @@ const SuperAdminDocumentVerification = () => {
                               'Passport Photo',
                               '',
                               null,
-                              selectedProfile.interviewerProfile.passportPhotoSignedUrl
+                              'passportPhoto'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
@@ -901,7 +880,7 @@ const SuperAdminDocumentVerification = () => {
                                 bankName: selectedProfile.interviewerProfile.bankName,
                                 ifscCode: selectedProfile.interviewerProfile.bankIfscCode
                               },
-                              selectedProfile.interviewerProfile.bankDocumentUploadSignedUrl
+                              'bankDocumentUpload'
                             )}
                             className="inline-flex items-center px-3 py-1.5 border border-transparent text-xs font-medium rounded-md text-blue-700 bg-[#E6F0F8] hover:bg-blue-200 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500 transition-colors duration-200"
                           >
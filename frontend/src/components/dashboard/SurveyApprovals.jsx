@@ -1011,6 +1011,45 @@ const SurveyApprovals = () => {
     return true;
   };
 
+  // Badge colours for a response's QC risk level
+  const getRiskStyle = (level) => {
+    switch (level) {
+      case 'high': return 'bg-red-100 text-red-800 border-red-200';
+      case 'medium': return 'bg-yellow-100 text-yellow-800 border-yellow-200';
+      default: return 'bg-green-100 text-green-800 border-green-200';
+    }
+  };
+
+  // What the background recording analysis flagged (backend utils/audioAnalysis.js)
+  const audioFlagLabels = {
+    no_voice: 'No voice detected',
+    mostly_silent: 'Mostly silent',
+    truncated: 'Recording cut short',
+    duration_mismatch: 'Length differs from interview'
+  };
+
+  // Recording position as m:ss
+  const formatTimestamp = (seconds) => {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  };
+
+  // Jump the interview's recording to a position and play from there
+  const handleSeekAudio = (interviewId, seconds) => {
+    const audioEl = document.querySelector(`audio[data-interview-id="${interviewId}"]`);
+    if (!audioEl || !audioEl.src) {
+      showError('Start the recording once before jumping to a segment.');
+      return;
+    }
+    audioEl.currentTime = seconds;
+    audioEl.play()
+      .then(() => setAudioPlaying(interviewId))
+      .catch(error => {
+        console.error('Error playing audio from segment:', error);
+        setAudioPlaying(null);
+      });
+  };
+
   // Helper function to format duration
   const formatDuration = (seconds) => {
     if (!seconds) return '0s';
@@ -2579,6 +2618,11 @@ const SurveyApprovals = () => {
                   <span className="px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
                     {currentAssignment.responseId}
                   </span>
+                  {currentAssignment.riskScore && (
+                    <span className={`px-2 py-1 text-xs font-medium rounded border ${getRiskStyle(currentAssignment.riskScore.level)}`}>
+                      Risk {currentAssignment.riskScore.score}
+                    </span>
+                  )}
                 </div>
                 <div className="flex items-center gap-4 text-sm text-gray-600">
                   <span className="flex items-center gap-1">
@@ -2639,6 +2683,11 @@ const SurveyApprovals = () => {
                       <span className="px-2 py-1 text-xs font-medium bg-blue-100 text-blue-800 rounded">
                         {currentAssignment.responseId}
                       </span>
+                      {currentAssignment.riskScore && (
+                        <span className={`px-2 py-1 text-xs font-medium rounded border ${getRiskStyle(currentAssignment.riskScore.level)}`}>
+                          Risk {currentAssignment.riskScore.score}
+                        </span>
+                      )}
                     </div>
                     <div className="flex items-center gap-4 text-sm text-gray-600">
                       <span className="flex items-center gap-1">
@@ -3986,6 +4035,22 @@ const SurveyApprovals = () => {
                               Q{index + 1}: {questionTextDisplay}
                             </h5>
                           <div className="flex items-center space-x-2">
+                            {Number.isFinite(response.audioOffsets?.entered ?? response.audioOffsets?.answered) && selectedInterview.audioRecording?.hasAudio && (
+                              <button
+                                type="button"
+                                onClick={() => handleSeekAudio(
+                                  selectedInterview._id,
+                                  response.audioOffsets.entered ?? response.audioOffsets.answered
+                                )}
+                                className="inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-[#E8E6F5] text-[#373177] hover:bg-[#373177] hover:text-white"
+                                title={Number.isFinite(response.audioOffsets.answered)
+                                  ? `Play from this question (answered at ${formatTimestamp(response.audioOffsets.answered)})`
+                                  : 'Play from this question'}
+                              >
+                                <Play className="w-3 h-3 mr-1" />
+                                {formatTimestamp(response.audioOffsets.entered ?? response.audioOffsets.answered)}
+                              </button>
+                            )}
                             {hasConditions && conditionsMet && (
                               <div className="flex items-center space-x-1 px-2 py-1 bg-green-100 text-green-800 rounded-md">
                                 <Zap className="w-3 h-3" />
@@ -4232,6 +4297,151 @@ const SurveyApprovals = () => {
                 </div>
               )}
 
+              {/* Recording Analysis */}
+              {selectedInterview.audioRecording?.hasAudio && selectedInterview.audioAnalysis && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <h4 className="font-medium text-gray-900 mb-3 flex items-center">
+                    <Volume2 className="w-4 h-4 mr-2" />
+                    Recording Analysis
+                  </h4>
+                  {selectedInterview.audioAnalysis.status === 'complete' ? (
+                    <div className="space-y-3 text-sm">
+                      {selectedInterview.audioAnalysis.flags?.length > 0 && (
+                        <div className="flex flex-wrap gap-2">
+                          {selectedInterview.audioAnalysis.flags.map(flag => (
+                            <span key={flag} className="px-2 py-1 text-xs font-medium rounded border bg-red-100 text-red-800 border-red-200">
+                              {audioFlagLabels[flag] || flag}
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                      <div className="space-y-1">
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Talk time:</span>
+                          <span className="font-medium">
+                            {formatDuration(selectedInterview.audioAnalysis.speechSeconds)} ({Math.round((selectedInterview.audioAnalysis.speechRatio || 0) * 100)}%)
+                          </span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Longest silence:</span>
+                          <span className="font-medium">{formatDuration(selectedInterview.audioAnalysis.longestSilenceSeconds)}</span>
+                        </div>
+                        <div className="flex justify-between">
+                          <span className="text-gray-600">Recording / interview:</span>
+                          <span className="font-medium">
+                            {formatDuration(selectedInterview.audioAnalysis.durationSeconds)} / {selectedInterview.audioAnalysis.interviewSeconds ? formatDuration(selectedInterview.audioAnalysis.interviewSeconds) : 'N/A'}
+                          </span>
+                        </div>
+                      </div>
+                      {selectedInterview.audioAnalysis.envelope?.length > 0 && (
+                        <div>
+                          <div className="flex items-end h-12 gap-px bg-white border border-gray-200 rounded px-1">
+                            {selectedInterview.audioAnalysis.envelope.map((level, index, envelope) => (
+                              <button
+                                key={index}
+                                type="button"
+                                onClick={() => handleSeekAudio(
+                                  selectedInterview._id,
+                                  (index / envelope.length) * selectedInterview.audioAnalysis.durationSeconds
+                                )}
+                                className="flex-1 bg-[#001D48] opacity-70 hover:opacity-100"
+                                style={{ height: `${Math.max(2, level)}%` }}
+                                title={formatTimestamp((index / envelope.length) * selectedInterview.audioAnalysis.durationSeconds)}
+                              />
+                            ))}
+                          </div>
+                          <p className="text-xs text-gray-400 mt-1">Click the waveform to jump there</p>
+                        </div>
+                      )}
+                      {selectedInterview.audioAnalysis.talkSegments?.length > 0 && (
+                        <div>
+                          <p className="text-xs font-medium text-gray-700 mb-1">
+                            Talk segments ({selectedInterview.audioAnalysis.talkSegments.length})
+                          </p>
+                          <div className="flex flex-wrap gap-1 max-h-24 overflow-y-auto">
+                            {selectedInterview.audioAnalysis.talkSegments.map(segment => (
+                              <button
+                                key={segment.start}
+                                type="button"
+                                onClick={() => handleSeekAudio(selectedInterview._id, segment.start)}
+                                className="px-2 py-0.5 text-xs rounded border border-gray-300 bg-white text-gray-700 hover:bg-blue-50 hover:border-blue-300"
+                              >
+                                {formatTimestamp(segment.start)}-{formatTimestamp(segment.end)}
+                              </button>
+                            ))}
+                          </div>
+                        </div>
+                      )}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-600">
+                      Analysis {selectedInterview.audioAnalysis.status === 'failed' ? 'failed' : 'not available'}
+                      {selectedInterview.audioAnalysis.error && `: ${selectedInterview.audioAnalysis.error}`}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Risk Score */}
+              {selectedInterview.riskScore && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <div className="flex items-center justify-between mb-3">
+                    <h4 className="font-medium text-gray-900 flex items-center">
+                      <AlertCircle className="w-4 h-4 mr-2" />
+                      Risk Score
+                    </h4>
+                    <span className={`px-2 py-1 text-xs font-semibold rounded border capitalize ${getRiskStyle(selectedInterview.riskScore.level)}`}>
+                      {selectedInterview.riskScore.score}/100 · {selectedInterview.riskScore.level}
+                    </span>
+                  </div>
+                  {selectedInterview.riskScore.factors?.length > 0 ? (
+                    <div className="space-y-2 text-sm">
+                      {selectedInterview.riskScore.factors.map((factor) => (
+                        <div key={factor.key} className="flex justify-between gap-3">
+                          <div>
+                            <p className="text-gray-900">{factor.label}</p>
+                            {factor.detail && <p className="text-xs text-gray-500">{factor.detail}</p>}
+                          </div>
+                          <span className="font-medium text-gray-900 whitespace-nowrap">+{factor.points}</span>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <p className="text-sm text-gray-600">No risk signals found</p>
+                  )}
+                  {selectedInterview.riskScore.computedAt && (
+                    <p className="text-xs text-gray-400 mt-3">
+                      Scored {new Date(selectedInterview.riskScore.computedAt).toLocaleString()}
+                    </p>
+                  )}
+                </div>
+              )}
+
+              {/* Back-Check */}
+              {selectedInterview.backCheck?.sampled && (
+                <div className="bg-gray-50 p-4 rounded-lg">
+                  <div className="flex items-center justify-between">
+                    <h4 className="font-medium text-gray-900 flex items-center">
+                      <PhoneCall className="w-4 h-4 mr-2" />
+                      Respondent Back-Check
+                    </h4>
+                    <span className={`px-2 py-1 text-xs font-semibold rounded border capitalize ${
+                      selectedInterview.backCheck.result === 'passed' ? 'bg-green-100 text-green-800 border-green-200'
+                        : selectedInterview.backCheck.result === 'failed' ? 'bg-red-100 text-red-800 border-red-200'
+                        : selectedInterview.backCheck.result === 'inconclusive' ? 'bg-orange-100 text-orange-800 border-orange-200'
+                        : 'bg-yellow-100 text-yellow-800 border-yellow-200'
+                    }`}>
+                      {selectedInterview.backCheck.result === 'pending' ? 'Call pending' : selectedInterview.backCheck.result}
+                    </span>
+                  </div>
+                  {selectedInterview.backCheck.reasons?.length > 0 && (
+                    <p className="text-sm text-gray-600 mt-2 capitalize">
+                      {selectedInterview.backCheck.reasons.join(', ').replace(/_/g, ' ')}
+                    </p>
+                  )}
+                </div>
+              )}
+
               {/* Quality Metrics */}
               {selectedInterview.qualityMetrics && (
                 <div className="bg-gray-50 p-4 rounded-lg">
@@ -45,6 +45,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
     questions: [],
     respondentContacts: [],
     sets: [],
+    languages: [], // Declared questionnaire languages; empty = brace-encoded translations
     // Separate AC settings for each step
     interviewerACSettings: {
       assignACs: false,
@@ -246,6 +247,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
         questions: editingSurvey.sections || editingSurvey.questions || [],
         respondentContacts: editingSurvey.respondentContacts || [],
         sets: editingSurvey.sets || [],
+        languages: editingSurvey.languages || [],
         // Initialize separate AC settings for each step
         // For backward compatibility, check if any interviewer has ACs assigned
         interviewerACSettings: {
@@ -545,7 +547,8 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
               id: opt.id || generateId(),
               text: opt.text || opt.value || '',
               value: opt.value || opt.text?.toLowerCase().replace(/\s+/g, '_') || '',
-              code: opt.code || String(idx + 1) // Preserve code or default to index + 1
+              code: opt.code || String(idx + 1), // Preserve code or default to index + 1
+              ...(opt.textVariants ? { textVariants: opt.textVariants } : {})
             };
           }) || [];
           
@@ -608,7 +611,8 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
                            surveyData.capiACSettings?.selectedState || 
                            surveyData.catiACSettings?.selectedState || 
                            surveyData.qualityAgentACSettings?.selectedState || '',
-        sets: surveyData.sets || []
+        sets: surveyData.sets || [],
+        languages: surveyData.languages || []
       };
       
       // Only include respondentContacts if they have been modified
@@ -913,7 +917,8 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
               id: opt.id || generateId(),
               text: opt.text || opt.value || '',
               value: opt.value || opt.text?.toLowerCase().replace(/\s+/g, '_') || '',
-              code: opt.code || String(idx + 1) // Preserve code or default to index + 1
+              code: opt.code || String(idx + 1), // Preserve code or default to index + 1
+              ...(opt.textVariants ? { textVariants: opt.textVariants } : {})
             };
           }) || [];
           
@@ -1003,7 +1008,8 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
                            surveyData.capiACSettings?.selectedState || 
                            surveyData.catiACSettings?.selectedState || 
                            surveyData.qualityAgentACSettings?.selectedState || '',
-        sets: surveyData.sets || []
+        sets: surveyData.sets || [],
+        languages: surveyData.languages || []
       };
       
       // Only include respondentContacts if they have been modified
@@ -1375,6 +1381,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
             return (
               <SurveyQuestionBuilder 
                 onUpdate={(data) => updateSurveyData('questions', data)}
+                onLanguagesChange={(languages) => updateSurveyData('languages', languages)}
                 initialData={surveyData.questions}
                 surveyData={surveyData}
               />
@@ -1410,6 +1417,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
             return (
               <SurveyQuestionBuilder 
                 onUpdate={(data) => updateSurveyData('questions', data)}
+                onLanguagesChange={(languages) => updateSurveyData('languages', languages)}
                 initialData={surveyData.questions}
                 surveyData={surveyData}
               />
@@ -1421,6 +1429,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
           return (
             <SurveyQuestionBuilder 
               onUpdate={(data) => updateSurveyData('questions', data)}
+              onLanguagesChange={(languages) => updateSurveyData('languages', languages)}
               initialData={surveyData.questions}
               surveyData={{ ...surveyData, _id: editingSurvey?._id || surveyData._id }}
             />
@@ -1631,6 +1640,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
           return (
             <SurveyQuestionBuilder 
               onUpdate={(data) => updateSurveyData('questions', data)}
+              onLanguagesChange={(languages) => updateSurveyData('languages', languages)}
               initialData={surveyData.questions}
               surveyData={{ ...surveyData, _id: editingSurvey?._id || surveyData._id }}
             />
@@ -1657,6 +1667,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
           return (
             <SurveyQuestionBuilder 
               onUpdate={(data) => updateSurveyData('questions', data)}
+              onLanguagesChange={(languages) => updateSurveyData('languages', languages)}
               initialData={surveyData.questions}
               surveyData={{ ...surveyData, _id: editingSurvey?._id || surveyData._id }}
             />
@@ -1668,6 +1679,7 @@ const SurveyBuilder = ({ onClose, onSave, editingSurvey }) => {
         return (
           <SurveyQuestionBuilder 
             onUpdate={(data) => updateSurveyData('questions', data)}
+            onLanguagesChange={(languages) => updateSurveyData('languages', languages)}
             initialData={surveyData.questions}
             surveyData={surveyData}
           />
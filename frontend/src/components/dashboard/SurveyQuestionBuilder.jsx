@@ -27,13 +27,16 @@ import {
   Zap,
   Lock,
   Shield,
-  Hash
+  Hash,
+  Languages,
+  X
 } from 'lucide-react';
 import ConditionalLogic from './ConditionalLogic';
 import SurveyResponse from './SurveyResponse';
 import { ensureFixedQuestionsInSurvey, isFixedQuestion } from '../../utils/fixedQuestions';
+import { SURVEY_LANGUAGE_OPTIONS } from '../../utils/translations';
 
-const SurveyQuestionBuilder = ({ onSave, onUpdate, initialData, surveyData }) => {
+const SurveyQuestionBuilder = ({ onSave, onUpdate, onLanguagesChange, initialData, surveyData }) => {
   
   // Utility function to generate unique IDs
   const generateUniqueId = (prefix = '') => {
@@ -84,6 +87,14 @@ const SurveyQuestionBuilder = ({ onSave, onUpdate, initialData, surveyData }) =>
   const [editingQuestionNumber, setEditingQuestionNumber] = useState(null); // {sectionIndex, questionIndex}
   const [editingQuestionNumberValue, setEditingQuestionNumberValue] = useState('');
   const [draggedQuestion, setDraggedQuestion] = useState(null); // {sectionIndex, questionIndex}
+  const [languageToAdd, setLanguageToAdd] = useState('');
+
+  // Declared languages: the first is the language of question text, the rest are translations
+  const surveyLanguages = surveyData?.languages || [];
+  const translationLanguages = surveyLanguages.slice(1);
+  const availableLanguageOptions = SURVEY_LANGUAGE_OPTIONS.filter(
+    option => !surveyLanguages.some(language => language.code === option.code)
+  );
   const hasInitialized = useRef(false);
 
   // Update sections when initialData changes (for edit mode)
@@ -335,6 +346,39 @@ const SurveyQuestionBuilder = ({ onSave, onUpdate, initialData, surveyData }) =>
 
   // Note: Parent updates are handled directly in input change handlers
 
+  const addSurveyLanguage = () => {
+    const option = SURVEY_LANGUAGE_OPTIONS.find(candidate => candidate.code === languageToAdd);
+    if (!option || !onLanguagesChange) return;
+    onLanguagesChange([...surveyLanguages, { code: option.code, label: option.label }]);
+    setLanguageToAdd('');
+  };
+
+  // Translations already entered stay on the questions, so re-adding a language restores them
+  const removeSurveyLanguage = (code) => {
+    if (!onLanguagesChange) return;
+    onLanguagesChange(surveyLanguages.filter(language => language.code !== code));
+  };
+
+  // Variant maps arrive as plain objects from the API
+  const getVariant = (variants, code) => (variants && variants[code]) || '';
+
+  const updateQuestionVariant = (questionIndex, field, code, value) => {
+    const question = sections[currentSection].questions[questionIndex];
+    updateQuestion(currentSection, questionIndex, {
+      [field]: { ...(question[field] || {}), [code]: value }
+    });
+  };
+
+  const updateOptionVariant = (questionIndex, optionIndex, code, value) => {
+    const question = sections[currentSection].questions[questionIndex];
+    const updatedOptions = question.options.map((option, index) => (
+      index === optionIndex
+        ? { ...option, textVariants: { ...(option.textVariants || {}), [code]: value } }
+        : option
+    ));
+    updateQuestion(currentSection, questionIndex, { options: updatedOptions });
+  };
+
   const deleteQuestion = (sectionIndex, questionIndex) => {
     const updatedSections = [...sections];
     
@@ -940,6 +984,58 @@ const SurveyQuestionBuilder = ({ onSave, onUpdate, initialData, surveyData }) =>
                   <span>Add Section</span>
                 </button>
               </div>
+
+              {/* Survey Languages */}
+              {onLanguagesChange && (
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <div className="flex items-center space-x-2 mb-2">
+                    <Languages className="w-4 h-4 text-[#001D48]" />
+                    <h4 className="text-sm font-semibold text-gray-900">Languages</h4>
+                  </div>
+                  <p className="text-xs text-gray-500 mb-3">
+                    {surveyLanguages.length > 0
+                      ? 'Questions are written in the first language. Interviewers can switch to any of these during the interview.'
+                      : 'No languages declared - translations written as "Text {Translation}" are used.'}
+                  </p>
+                  <div className="space-y-1 mb-3">
+                    {surveyLanguages.map((language, index) => (
+                      <div key={language.code} className="flex items-center justify-between px-2 py-1 bg-gray-50 rounded text-sm">
+                        <span className="text-gray-700">
+                          {language.label || language.code}
+                          <span className="ml-1 text-xs text-gray-400">({language.code}{index === 0 ? ', primary' : ''})</span>
+                        </span>
+                        <button
+                          onClick={() => removeSurveyLanguage(language.code)}
+                          className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Remove language"
+                        >
+                          <X className="w-3 h-3" />
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <select
+                      value={languageToAdd}
+                      onChange={(e) => setLanguageToAdd(e.target.value)}
+                      className="flex-1 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      <option value="">Add language...</option>
+                      {availableLanguageOptions.map(option => (
+                        <option key={option.code} value={option.code}>{option.label}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={addSurveyLanguage}
+                      disabled={!languageToAdd}
+                      className="p-1.5 text-[#001D48] border border-blue-200 rounded-lg hover:bg-blue-50 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Add language"
+                    >
+                      <Plus className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              )}
             </div>
           </div>
 
@@ -1471,6 +1567,54 @@ const SurveyQuestionBuilder = ({ onSave, onUpdate, initialData, surveyData }) =>
                               )}
                             </div>
 
+                            {/* Translations for the survey's declared languages */}
+                            {translationLanguages.length > 0 && (
+                              <div className="mt-6 pt-4 border-t border-gray-200 space-y-3">
+                                <div className="flex items-center space-x-2">
+                                  <Languages className="w-4 h-4 text-gray-600" />
+                                  <label className="text-sm font-medium text-gray-700">Translations</label>
+                                </div>
+                                {translationLanguages.map(language => (
+                                  <div key={language.code} className="p-3 bg-gray-50 rounded-lg space-y-2">
+                                    <div className="text-xs font-semibold text-gray-600">{language.label || language.code}</div>
+                                    <input
+                                      type="text"
+                                      value={getVariant(question.textVariants, language.code)}
+                                      onChange={(e) => !isFixed && updateQuestionVariant(questionIndex, 'textVariants', language.code, e.target.value)}
+                                      placeholder={question.text || 'Question text'}
+                                      className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isFixed ? 'border-gray-200 bg-gray-50 text-gray-600 cursor-not-allowed' : 'border-gray-300'}`}
+                                      disabled={isFixed}
+                                    />
+                                    {question.description && (
+                                      <textarea
+                                        value={getVariant(question.descriptionVariants, language.code)}
+                                        onChange={(e) => !isFixed && updateQuestionVariant(questionIndex, 'descriptionVariants', language.code, e.target.value)}
+                                        placeholder={question.description}
+                                        rows={2}
+                                        className={`w-full px-3 py-2 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isFixed ? 'border-gray-200 bg-gray-50 text-gray-600 cursor-not-allowed' : 'border-gray-300'}`}
+                                        disabled={isFixed}
+                                      />
+                                    )}
+                                    {Array.isArray(question.options) && question.options.map((option, optionIndex) => (
+                                      <div key={option.id || optionIndex} className="flex items-center space-x-2">
+                                        <span className="w-16 text-xs text-gray-500 truncate" title={option.text}>
+                                          {option.code || optionIndex + 1}
+                                        </span>
+                                        <input
+                                          type="text"
+                                          value={getVariant(option.textVariants, language.code)}
+                                          onChange={(e) => !isFixed && updateOptionVariant(questionIndex, optionIndex, language.code, e.target.value)}
+                                          placeholder={option.text || `Option ${optionIndex + 1}`}
+                                          className={`flex-1 px-3 py-1.5 text-sm border rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 ${isFixed ? 'border-gray-200 bg-gray-50 text-gray-600 cursor-not-allowed' : 'border-gray-300'}`}
+                                          disabled={isFixed}
+                                        />
+                                      </div>
+                                    ))}
+                                  </div>
+                                ))}
+                              </div>
+                            )}
+
                             {/* Conditional Logic - Disabled for fixed questions */}
                             {!isFixed && !question.isFixed && (
                               <div className="mt-6">
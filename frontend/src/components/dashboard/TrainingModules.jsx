@@ -0,0 +1,637 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { GraduationCap, Plus, Edit, Trash2, Loader, X, RefreshCw, CheckCircle, XCircle, Clock, Save } from 'lucide-react';
+import { trainingAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+
+const MODULE_TYPES = {
+  walkthrough: { label: 'Questionnaire walkthrough', description: 'Interviewers read through the questionnaire with your notes on each question' },
+  mock_interview: { label: 'Mock interview', description: 'Interviewers practise the whole questionnaire; answers are not kept' },
+  quiz: { label: 'Quiz', description: 'Multiple choice questions, passed at the pass mark' }
+};
+
+const EMPTY_QUIZ_QUESTION = { question: '', options: ['', ''], correctOption: 0, explanation: '' };
+
+const emptyModule = () => ({
+  title: '',
+  description: '',
+  type: 'walkthrough',
+  required: true,
+  status: 'draft',
+  questionNotes: {},
+  passMark: 70,
+  quizQuestions: [{ ...EMPTY_QUIZ_QUESTION, options: ['', ''] }]
+});
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }) : '-');
+
+/**
+ * Company admin view for building a survey's training modules, setting whether interviewers
+ * need a certification to start, and following their progress
+ */
+const TrainingModules = () => {
+  const { showSuccess, showError } = useToast();
+  const [surveys, setSurveys] = useState([]);
+  const [selectedSurveyId, setSelectedSurveyId] = useState('');
+  const [training, setTraining] = useState(null);
+  const [settings, setSettings] = useState({ requireCertification: false, certificationValidityDays: 180 });
+  const [loading, setLoading] = useState(true);
+  const [loadingTraining, setLoadingTraining] = useState(false);
+  const [savingSettings, setSavingSettings] = useState(false);
+  const [editingModule, setEditingModule] = useState(null);
+  const [savingModule, setSavingModule] = useState(false);
+
+  const fetchSurveys = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await trainingAPI.getSurveys();
+      if (response.success) {
+        setSurveys(response.data.surveys);
+        setSelectedSurveyId(current => current || response.data.surveys[0]?._id || '');
+      }
+    } catch (error) {
+      console.error('Error fetching training surveys:', error);
+      showError('Load Failed', error.response?.data?.message || 'Failed to load surveys');
+    } finally {
+      setLoading(false);
+    }
+  }, [showError]);
+
+  const fetchTraining = useCallback(async () => {
+    if (!selectedSurveyId) return;
+    try {
+      setLoadingTraining(true);
+      const response = await trainingAPI.getSurveyTraining(selectedSurveyId);
+      if (response.success) {
+        setTraining(response.data);
+        setSettings({
+          requireCertification: !!response.data.survey.training?.requireCertification,
+          certificationValidityDays: response.data.survey.training?.certificationValidityDays || 180
+        });
+      }
+    } catch (error) {
+      console.error('Error fetching survey training:', error);
+      showError('Load Failed', error.response?.data?.message || 'Failed to load training');
+    } finally {
+      setLoadingTraining(false);
+    }
+  }, [selectedSurveyId, showError]);
+
+  useEffect(() => {
+    fetchSurveys();
+  }, [fetchSurveys]);
+
+  useEffect(() => {
+    fetchTraining();
+  }, [fetchTraining]);
+
+  const handleSaveSettings = async () => {
+    try {
+      setSavingSettings(true);
+      const response = await trainingAPI.updateSettings(selectedSurveyId, {
+        requireCertification: settings.requireCertification,
+        certificationValidityDays: parseInt(settings.certificationValidityDays, 10)
+      });
+      showSuccess('Settings Saved', response.message);
+      fetchTraining();
+      fetchSurveys();
+    } catch (error) {
+      showError('Save Failed', error.response?.data?.message || 'Failed to save training settings');
+    } finally {
+      setSavingSettings(false);
+    }
+  };
+
+  const handleSaveModule = async () => {
+    const { _id, ...module } = editingModule;
+    const payload = {
+      title: module.title,
+      description: module.description,
+      type: module.type,
+      required: module.required,
+      status: module.status
+    };
+    if (module.type === 'walkthrough') {
+      payload.questionNotes = module.questionNotes;
+    }
+    if (module.type === 'quiz') {
+      payload.passMark = module.passMark;
+      payload.quizQuestions = module.quizQuestions;
+    }
+
+    try {
+      setSavingModule(true);
+      const response = _id
+        ? await trainingAPI.updateModule(_id, payload)
+        : await trainingAPI.createModule(selectedSurveyId, payload);
+      showSuccess(_id ? 'Module Updated' : 'Module Created', response.message);
+      setEditingModule(null);
+      fetchTraining();
+      fetchSurveys();
+    } catch (error) {
+      showError('Save Failed', error.response?.data?.message || 'Failed to save the module');
+    } finally {
+      setSavingModule(false);
+    }
+  };
+
+  const handleTogglePublished = async (module) => {
+    try {
+      const status = module.status === 'published' ? 'draft' : 'published';
+      await trainingAPI.updateModule(module._id, { status });
+      showSuccess(status === 'published' ? 'Module Published' : 'Module Unpublished', module.title);
+      fetchTraining();
+      fetchSurveys();
+    } catch (error) {
+      showError('Update Failed', error.response?.data?.message || 'Failed to update the module');
+    }
+  };
+
+  const handleDeleteModule = async (module) => {
+    if (!window.confirm(`Delete "${module.title}"? Interviewers keep the results and certifications they already have.`)) {
+      return;
+    }
+    try {
+      await trainingAPI.deleteModule(module._id);
+      showSuccess('Module Deleted', module.title);
+      fetchTraining();
+      fetchSurveys();
+    } catch (error) {
+      showError('Delete Failed', error.response?.data?.message || 'Failed to delete the module');
+    }
+  };
+
+  const openEditor = (module) => {
+    if (!module) {
+      setEditingModule(emptyModule());
+      return;
+    }
+    setEditingModule({
+      ...emptyModule(),
+      ...module,
+      questionNotes: module.questionNotes || {},
+      quizQuestions: module.quizQuestions?.length ? module.quizQuestions : emptyModule().quizQuestions
+    });
+  };
+
+  const updateModuleField = (field, value) => {
+    setEditingModule(current => ({ ...current, [field]: value }));
+  };
+
+  const updateQuizQuestion = (index, changes) => {
+    setEditingModule(current => ({
+      ...current,
+      quizQuestions: current.quizQuestions.map((question, i) => (i === index ? { ...question, ...changes } : question))
+    }));
+  };
+
+  const modules = training?.modules || [];
+  const publishedModules = modules.filter(module => module.status === 'published');
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Interviewer Training</h1>
+          <p className="text-gray-600 mt-1">Build training for each survey and certify interviewers before they start interviewing</p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <select
+            value={selectedSurveyId}
+            onChange={(e) => setSelectedSurveyId(e.target.value)}
+            disabled={loading || surveys.length === 0}
+            className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 min-w-[16rem]"
+          >
+            {surveys.length === 0 && <option value="">No surveys</option>}
+            {surveys.map(survey => (
+              <option key={survey._id} value={survey._id}>
+                {survey.surveyName} ({survey.publishedModules}/{survey.modules} published)
+              </option>
+            ))}
+          </select>
+          <button
+            onClick={fetchTraining}
+            disabled={loadingTraining || !selectedSurveyId}
+            className="p-2 border border-gray-300 rounded-lg text-gray-600 hover:bg-gray-50 disabled:opacity-50"
+            title="Refresh"
+          >
+            <RefreshCw className={`w-4 h-4 ${loadingTraining ? 'animate-spin' : ''}`} />
+          </button>
+        </div>
+      </div>
+
+      {loading || (loadingTraining && !training) ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+          <Loader className="w-6 h-6 animate-spin text-[#001D48] mx-auto" />
+        </div>
+      ) : !training ? (
+        <div className="bg-white rounded-lg border border-gray-200 p-12 text-center">
+          <GraduationCap className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+          <p className="text-gray-600">Create a survey to build its training</p>
+        </div>
+      ) : (
+        <>
+          {/* Certification settings */}
+          <div className="bg-white rounded-lg border border-gray-200 p-6">
+            <h3 className="text-lg font-semibold text-gray-900 mb-4">Certification</h3>
+            <div className="flex flex-col md:flex-row md:items-end gap-4">
+              <label className="flex items-start space-x-3 flex-1">
+                <input
+                  type="checkbox"
+                  checked={settings.requireCertification}
+                  onChange={(e) => setSettings({ ...settings, requireCertification: e.target.checked })}
+                  className="mt-1 h-4 w-4 text-[#001D48] border-gray-300 rounded"
+                />
+                <span>
+                  <span className="block text-sm font-medium text-gray-900">Require certification to start interviews</span>
+                  <span className="block text-xs text-gray-500">
+                    Assigned interviewers must pass every published required module first
+                  </span>
+                </span>
+              </label>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Certification valid for (days)</label>
+                <input
+                  type="number"
+                  min="1"
+                  max="730"
+                  value={settings.certificationValidityDays}
+                  onChange={(e) => setSettings({ ...settings, certificationValidityDays: e.target.value })}
+                  className="w-40 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+              <button
+                onClick={handleSaveSettings}
+                disabled={savingSettings}
+                className="flex items-center px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800 disabled:opacity-50"
+              >
+                {savingSettings ? <Loader className="w-4 h-4 mr-2 animate-spin" /> : <Save className="w-4 h-4 mr-2" />}
+                Save
+              </button>
+            </div>
+            {settings.requireCertification && publishedModules.filter(module => module.required).length === 0 && (
+              <p className="text-sm text-red-600 mt-3">
+                No required module is published yet, so no interviewer can be certified for this survey.
+              </p>
+            )}
+          </div>
+
+          {/* Modules */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Modules</h3>
+              <button
+                onClick={() => openEditor(null)}
+                className="flex items-center px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800"
+              >
+                <Plus className="w-4 h-4 mr-2" />
+                Add Module
+              </button>
+            </div>
+            {modules.length === 0 ? (
+              <div className="p-12 text-center">
+                <GraduationCap className="w-12 h-12 text-gray-300 mx-auto mb-3" />
+                <p className="text-gray-600">No training modules yet</p>
+                <p className="text-sm text-gray-500 mt-1">Start with a questionnaire walkthrough, then add a mock interview and a quiz</p>
+              </div>
+            ) : (
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Module</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Type</th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+                    <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {modules.map(module => (
+                    <tr key={module._id} className="hover:bg-gray-50">
+                      <td className="px-6 py-4">
+                        <p className="text-sm font-medium text-gray-900">{module.title}</p>
+                        <p className="text-xs text-gray-500">{module.required ? 'Required' : 'Optional'}</p>
+                      </td>
+                      <td className="px-6 py-4 text-sm text-gray-600">
+                        {MODULE_TYPES[module.type]?.label}
+                        {module.type === 'quiz' && (
+                          <span className="block text-xs text-gray-500">
+                            {module.quizQuestions.length} question(s), pass mark {module.passMark}%
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-6 py-4">
+                        <button
+                          onClick={() => handleTogglePublished(module)}
+                          className={`inline-flex px-2 py-1 rounded-full text-xs font-medium ${
+                            module.status === 'published' ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-800'
+                          }`}
+                          title={module.status === 'published' ? 'Unpublish' : 'Publish'}
+                        >
+                          {module.status === 'published' ? 'Published' : 'Draft'}
+                        </button>
+                      </td>
+                      <td className="px-6 py-4 text-right whitespace-nowrap">
+                        <button
+                          onClick={() => openEditor(module)}
+                          className="p-2 text-gray-500 hover:text-[#001D48]"
+                          title="Edit"
+                        >
+                          <Edit className="w-4 h-4" />
+                        </button>
+                        <button
+                          onClick={() => handleDeleteModule(module)}
+                          className="p-2 text-gray-500 hover:text-red-600"
+                          title="Delete"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          {/* Progress */}
+          <div className="bg-white rounded-lg border border-gray-200 overflow-hidden">
+            <div className="p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Interviewer Progress</h3>
+              <p className="text-sm text-gray-500">Assigned interviewers against the published modules</p>
+            </div>
+            {training.progress.length === 0 ? (
+              <p className="p-6 text-sm text-gray-500">No interviewers are assigned to this survey.</p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Interviewer</th>
+                      {publishedModules.map(module => (
+                        <th key={module._id} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase">
+                          {module.title}
+                        </th>
+                      ))}
+                      <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Certification</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {training.progress.map(row => (
+                      <tr key={row.interviewer._id}>
+                        <td className="px-6 py-3">
+                          <p className="text-sm text-gray-900">{row.interviewer.name}</p>
+                          {row.interviewer.memberId && <p className="text-xs text-gray-500">{row.interviewer.memberId}</p>}
+                        </td>
+                        {row.modules.map(result => (
+                          <td key={result.moduleId} className="px-4 py-3 text-sm">
+                            {result.current ? (
+                              <span className="inline-flex items-center text-green-700">
+                                <CheckCircle className="w-4 h-4 mr-1" />
+                                {result.score !== undefined && result.score !== null ? `${result.score}%` : 'Passed'}
+                              </span>
+                            ) : result.attempted ? (
+                              <span className="inline-flex items-center text-red-600">
+                                <XCircle className="w-4 h-4 mr-1" />
+                                {result.passed ? 'Lapsed' : `${result.score ?? 0}%`}
+                              </span>
+                            ) : (
+                              <span className="text-gray-400">-</span>
+                            )}
+                          </td>
+                        ))}
+                        <td className="px-6 py-3 text-sm">
+                          {row.certification.certified ? (
+                            <span className="text-green-700">Until {formatDate(row.certification.expiresAt)}</span>
+                          ) : row.certification.expiredAt ? (
+                            <span className="text-red-600">Expired {formatDate(row.certification.expiredAt)}</span>
+                          ) : (
+                            <span className="inline-flex items-center text-gray-500">
+                              <Clock className="w-4 h-4 mr-1" />
+                              Not certified
+                            </span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+
+      {/* Module editor */}
+      {editingModule && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">{editingModule._id ? 'Edit Module' : 'New Module'}</h3>
+              <button onClick={() => setEditingModule(null)} className="text-gray-400 hover:text-gray-600">
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="overflow-y-auto p-6 space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title</label>
+                <input
+                  type="text"
+                  value={editingModule.title}
+                  onChange={(e) => updateModuleField('title', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                <select
+                  value={editingModule.type}
+                  onChange={(e) => updateModuleField('type', e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                >
+                  {Object.entries(MODULE_TYPES).map(([value, type]) => (
+                    <option key={value} value={value}>{type.label}</option>
+                  ))}
+                </select>
+                <p className="text-xs text-gray-500 mt-1">{MODULE_TYPES[editingModule.type]?.description}</p>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Instructions</label>
+                <textarea
+                  value={editingModule.description || ''}
+                  onChange={(e) => updateModuleField('description', e.target.value)}
+                  rows={3}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+
+              <div className="flex items-center space-x-6">
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={editingModule.required}
+                    onChange={(e) => updateModuleField('required', e.target.checked)}
+                    className="h-4 w-4 text-[#001D48] border-gray-300 rounded"
+                  />
+                  <span>Required for certification</span>
+                </label>
+                <label className="flex items-center space-x-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={editingModule.status === 'published'}
+                    onChange={(e) => updateModuleField('status', e.target.checked ? 'published' : 'draft')}
+                    className="h-4 w-4 text-[#001D48] border-gray-300 rounded"
+                  />
+                  <span>Published</span>
+                </label>
+              </div>
+
+              {/* Walkthrough notes */}
+              {editingModule.type === 'walkthrough' && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-900 mb-2">Notes per question</h4>
+                  {training.questionnaire.length === 0 ? (
+                    <p className="text-sm text-gray-500">The survey has no questions yet.</p>
+                  ) : (
+                    <div className="space-y-3">
+                      {training.questionnaire.map((question, index) => (
+                        <div key={question.id} className="p-3 bg-gray-50 rounded-lg">
+                          <p className="text-sm text-gray-900 mb-2">
+                            <span className="font-medium">{question.questionNumber || index + 1}.</span> {question.text}
+                          </p>
+                          <textarea
+                            value={editingModule.questionNotes[question.id] || ''}
+                            onChange={(e) => updateModuleField('questionNotes', { ...editingModule.questionNotes, [question.id]: e.target.value })}
+                            rows={2}
+                            placeholder="How to ask it, what to watch for (optional)"
+                            className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+
+              {/* Quiz */}
+              {editingModule.type === 'quiz' && (
+                <div className="space-y-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Pass mark (%)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      max="100"
+                      value={editingModule.passMark}
+                      onChange={(e) => updateModuleField('passMark', e.target.value)}
+                      className="w-32 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    />
+                  </div>
+
+                  {editingModule.quizQuestions.map((question, index) => (
+                    <div key={index} className="p-4 border border-gray-200 rounded-lg space-y-2">
+                      <div className="flex items-center justify-between">
+                        <span className="text-sm font-medium text-gray-700">Question {index + 1}</span>
+                        {editingModule.quizQuestions.length > 1 && (
+                          <button
+                            onClick={() => updateModuleField('quizQuestions', editingModule.quizQuestions.filter((_, i) => i !== index))}
+                            className="p-1 text-gray-400 hover:text-red-600"
+                            title="Remove question"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
+                      </div>
+                      <input
+                        type="text"
+                        value={question.question}
+                        onChange={(e) => updateQuizQuestion(index, { question: e.target.value })}
+                        placeholder="Question"
+                        className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      {question.options.map((option, optionIndex) => (
+                        <div key={optionIndex} className="flex items-center space-x-2">
+                          <input
+                            type="radio"
+                            name={`correct-${index}`}
+                            checked={question.correctOption === optionIndex}
+                            onChange={() => updateQuizQuestion(index, { correctOption: optionIndex })}
+                            title="Correct answer"
+                          />
+                          <input
+                            type="text"
+                            value={option}
+                            onChange={(e) => updateQuizQuestion(index, {
+                              options: question.options.map((value, i) => (i === optionIndex ? e.target.value : value))
+                            })}
+                            placeholder={`Option ${optionIndex + 1}`}
+                            className="flex-1 px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                          />
+                          {question.options.length > 2 && (
+                            <button
+                              onClick={() => updateQuizQuestion(index, {
+                                options: question.options.filter((_, i) => i !== optionIndex),
+                                correctOption: question.correctOption === optionIndex
+                                  ? 0
+                                  : question.correctOption > optionIndex ? question.correctOption - 1 : question.correctOption
+                              })}
+                              className="p-1 text-gray-400 hover:text-red-600"
+                              title="Remove option"
+                            >
+                              <X className="w-4 h-4" />
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                      <button
+                        onClick={() => updateQuizQuestion(index, { options: [...question.options, ''] })}
+                        className="text-sm text-[#001D48] hover:underline"
+                      >
+                        Add option
+                      </button>
+                      <input
+                        type="text"
+                        value={question.explanation || ''}
+                        onChange={(e) => updateQuizQuestion(index, { explanation: e.target.value })}
+                        placeholder="Explanation (optional, for your reference)"
+                        className="w-full px-3 py-1.5 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                    </div>
+                  ))}
+                  <button
+                    onClick={() => updateModuleField('quizQuestions', [...editingModule.quizQuestions, { ...EMPTY_QUIZ_QUESTION, options: ['', ''] }])}
+                    className="flex items-center text-sm text-[#001D48] hover:underline"
+                  >
+                    <Plus className="w-4 h-4 mr-1" />
+                    Add question
+                  </button>
+                </div>
+              )}
+            </div>
+
+            <div className="flex justify-end space-x-2 p-6 border-t border-gray-200">
+              <button
+                onClick={() => setEditingModule(null)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-gray-700 hover:bg-gray-50"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={handleSaveModule}
+                disabled={savingModule}
+                className="flex items-center px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-800 disabled:opacity-50"
+              >
+                {savingModule && <Loader className="w-4 h-4 mr-2 animate-spin" />}
+                Save Module
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TrainingModules;
@@ -0,0 +1,493 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Search,
+  RotateCcw,
+  Trash2,
+  Eye,
+  ChevronLeft,
+  ChevronRight,
+  CheckCircle,
+  XCircle,
+  AlertCircle,
+  AlertTriangle,
+  Loader,
+  X,
+  Clock,
+  Copy
+} from 'lucide-react';
+import { catiAPI } from '../../services/api';
+import { useToast } from '../../contexts/ToastContext';
+
+const STATUS_TABS = [
+  { value: 'dead_letter', label: 'Dead Letters' },
+  { value: 'processed', label: 'Processed' },
+  { value: 'replayed', label: 'Replayed' },
+  { value: 'discarded', label: 'Discarded' },
+  { value: 'received', label: 'In Progress' },
+  { value: 'all', label: 'All' }
+];
+
+const WebhookEvents = () => {
+  const { showSuccess, showError } = useToast();
+  const [events, setEvents] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [pagination, setPagination] = useState({});
+
+  // Filter states
+  const [selectedStatus, setSelectedStatus] = useState('dead_letter');
+  const [callIdSearch, setCallIdSearch] = useState('');
+  const [currentPage, setCurrentPage] = useState(1);
+  const pageSize = 25;
+
+  // UI states
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [actionInProgress, setActionInProgress] = useState(null);
+  const [discardConfirm, setDiscardConfirm] = useState(null);
+
+  // Load webhook events
+  const loadEvents = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = {
+        status: selectedStatus,
+        page: currentPage,
+        limit: pageSize
+      };
+      if (callIdSearch.trim()) {
+        params.callId = callIdSearch.trim();
+      }
+
+      const response = await catiAPI.getWebhookEvents(params);
+
+      if (response.success) {
+        setEvents(response.data.events);
+        setCounts(response.data.counts || {});
+        setPagination(response.data.pagination);
+      }
+    } catch (error) {
+      console.error('WebhookEvents - Error loading events:', error);
+      setError('Failed to load webhook events');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadEvents();
+  }, [selectedStatus, currentPage, callIdSearch]);
+
+  const handleStatusChange = (status) => {
+    setSelectedStatus(status);
+    setCurrentPage(1);
+  };
+
+  const handleSearch = (e) => {
+    setCallIdSearch(e.target.value);
+    setCurrentPage(1);
+  };
+
+  const handleReplay = async (event) => {
+    try {
+      setActionInProgress(event._id);
+      const response = await catiAPI.replayWebhookEvent(event._id);
+      if (response.success) {
+        showSuccess('Webhook Replayed', `Call ${response.data.callId || event.callId || ''} was updated.`);
+      }
+    } catch (error) {
+      console.error('WebhookEvents - Error replaying event:', error);
+      showError('Replay Failed', error.response?.data?.message || 'Failed to replay webhook event');
+    } finally {
+      setActionInProgress(null);
+      setSelectedEvent(null);
+      loadEvents();
+    }
+  };
+
+  const handleDiscard = async (eventId) => {
+    try {
+      setActionInProgress(eventId);
+      const response = await catiAPI.discardWebhookEvent(eventId);
+      if (response.success) {
+        showSuccess('Webhook Discarded', 'The dead letter will no longer be replayed.');
+      }
+    } catch (error) {
+      console.error('WebhookEvents - Error discarding event:', error);
+      showError('Discard Failed', error.response?.data?.message || 'Failed to discard webhook event');
+    } finally {
+      setActionInProgress(null);
+      setDiscardConfirm(null);
+      setSelectedEvent(null);
+      loadEvents();
+    }
+  };
+
+  const copyRawBody = (rawBody) => {
+    navigator.clipboard.writeText(rawBody || '');
+    showSuccess('Copied', 'Raw payload copied to clipboard');
+  };
+
+  // Get status badge
+  const getStatusBadge = (status) => {
+    const statusConfig = {
+      received: { color: 'bg-blue-100 text-blue-800', icon: <Clock className="w-3 h-3" /> },
+      processed: { color: 'bg-green-100 text-green-800', icon: <CheckCircle className="w-3 h-3" /> },
+      replayed: { color: 'bg-green-100 text-green-800', icon: <RotateCcw className="w-3 h-3" /> },
+      dead_letter: { color: 'bg-red-100 text-red-800', icon: <AlertTriangle className="w-3 h-3" /> },
+      discarded: { color: 'bg-gray-100 text-gray-800', icon: <XCircle className="w-3 h-3" /> }
+    };
+
+    const config = statusConfig[status] || statusConfig.received;
+
+    return (
+      <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${config.color}`}>
+        {config.icon}
+        <span className="ml-1 capitalize">{status.replace('_', ' ')}</span>
+      </span>
+    );
+  };
+
+  // Format date
+  const formatDateTime = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+  };
+
+  const formatRawBody = (rawBody) => {
+    if (!rawBody) return '(empty body)';
+    try {
+      return JSON.stringify(JSON.parse(rawBody), null, 2);
+    } catch {
+      return rawBody;
+    }
+  };
+
+  const totalCount = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Webhook Events</h1>
+          <p className="text-gray-600 mt-1">Inspect DeepCall webhook deliveries and replay the ones that failed</p>
+        </div>
+      </div>
+
+      {/* Status Tabs and Search */}
+      <div className="bg-white p-6 rounded-lg shadow-sm border border-gray-200">
+        <div className="flex flex-col lg:flex-row lg:items-center gap-4">
+          <div className="flex flex-wrap gap-2 flex-1">
+            {STATUS_TABS.map(tab => {
+              const count = tab.value === 'all' ? totalCount : (counts[tab.value] || 0);
+              const isActive = selectedStatus === tab.value;
+              return (
+                <button
+                  key={tab.value}
+                  onClick={() => handleStatusChange(tab.value)}
+                  className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+                    isActive
+                      ? 'bg-[#001D48] text-white'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {tab.label}
+                  <span className={`ml-2 px-2 py-0.5 rounded-full text-xs ${
+                    isActive
+                      ? 'bg-white text-[#001D48]'
+                      : tab.value === 'dead_letter' && count > 0 ? 'bg-red-100 text-red-700' : 'bg-white text-gray-600'
+                  }`}>
+                    {count}
+                  </span>
+                </button>
+              );
+            })}
+          </div>
+
+          <div className="relative lg:w-72">
+            <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 w-4 h-4" />
+            <input
+              type="text"
+              placeholder="Search by call ID..."
+              value={callIdSearch}
+              onChange={handleSearch}
+              className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Events Table */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 overflow-hidden">
+        {loading ? (
+          <div className="flex items-center justify-center py-12">
+            <Loader className="w-6 h-6 animate-spin text-[#001D48]" />
+            <span className="ml-2 text-gray-600">Loading webhook events...</span>
+          </div>
+        ) : error ? (
+          <div className="flex items-center justify-center py-12 text-red-600">
+            <AlertCircle className="w-6 h-6 mr-2" />
+            {error}
+          </div>
+        ) : events.length === 0 ? (
+          <div className="flex items-center justify-center py-12 text-gray-500">
+            <CheckCircle className="w-6 h-6 mr-2" />
+            No webhook events found
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead className="bg-gray-50 border-b border-gray-200">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Received
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Call
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Status
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Error
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Duplicates
+                  </th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Actions
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {events.map(event => (
+                  <tr key={event._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {formatDateTime(event.createdAt)}
+                      <div className="text-xs text-gray-500">{event.sourceIp || 'unknown IP'}</div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="font-mono text-gray-900">{event.callId || '-'}</div>
+                      {event.callStatus && (
+                        <div className="text-xs text-gray-500">Call status: {event.callStatus}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      {getStatusBadge(event.status)}
+                      {event.failureStage && (
+                        <div className="text-xs text-gray-500 mt-1 capitalize">Failed at: {event.failureStage}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-red-700 max-w-xs">
+                      <div className="truncate" title={event.error}>{event.error || '-'}</div>
+                      {event.replayAttempts?.length > 0 && (
+                        <div className="text-xs text-gray-500">
+                          {event.replayAttempts.length} replay attempt{event.replayAttempts.length === 1 ? '' : 's'}
+                        </div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {event.duplicateCount || 0}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex items-center justify-end space-x-2">
+                        <button
+                          onClick={() => setSelectedEvent(event)}
+                          className="p-1 text-gray-400 hover:text-blue-600 transition-colors"
+                          title="View payload"
+                        >
+                          <Eye className="w-4 h-4" />
+                        </button>
+                        {event.status === 'dead_letter' && (
+                          <>
+                            <button
+                              onClick={() => handleReplay(event)}
+                              disabled={actionInProgress === event._id}
+                              className="p-1 text-gray-400 hover:text-green-600 transition-colors disabled:opacity-50"
+                              title="Replay"
+                            >
+                              {actionInProgress === event._id
+                                ? <Loader className="w-4 h-4 animate-spin" />
+                                : <RotateCcw className="w-4 h-4" />}
+                            </button>
+                            <button
+                              onClick={() => setDiscardConfirm(event._id)}
+                              disabled={actionInProgress === event._id}
+                              className="p-1 text-gray-400 hover:text-red-600 transition-colors disabled:opacity-50"
+                              title="Discard"
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Pagination */}
+      {pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <div className="text-sm text-gray-600">
+            Page {pagination.currentPage} of {pagination.totalPages} ({pagination.total} events)
+          </div>
+          <div className="flex items-center space-x-2">
+            <button
+              onClick={() => setCurrentPage(currentPage - 1)}
+              disabled={currentPage <= 1}
+              className="flex items-center px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              <ChevronLeft className="w-4 h-4 mr-1" />
+              Previous
+            </button>
+            <button
+              onClick={() => setCurrentPage(currentPage + 1)}
+              disabled={currentPage >= pagination.totalPages}
+              className="flex items-center px-3 py-2 text-sm border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Next
+              <ChevronRight className="w-4 h-4 ml-1" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Payload Modal */}
+      {selectedEvent && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl max-w-3xl w-full max-h-[90vh] flex flex-col">
+            <div className="flex items-center justify-between p-6 border-b border-gray-200">
+              <div>
+                <h3 className="text-lg font-semibold text-gray-900">Webhook Delivery</h3>
+                <p className="text-sm text-gray-500">
+                  {formatDateTime(selectedEvent.createdAt)} · {selectedEvent.contentType || 'unknown content type'}
+                </p>
+              </div>
+              <button
+                onClick={() => setSelectedEvent(null)}
+                className="p-1 text-gray-400 hover:text-gray-600"
+              >
+                <X className="w-5 h-5" />
+              </button>
+            </div>
+
+            <div className="p-6 space-y-4 overflow-y-auto">
+              <div className="flex items-center space-x-3">
+                {getStatusBadge(selectedEvent.status)}
+                {selectedEvent.idempotencyKey && (
+                  <span className="text-xs font-mono text-gray-500">{selectedEvent.idempotencyKey}</span>
+                )}
+              </div>
+
+              {selectedEvent.error && (
+                <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+                  {selectedEvent.error}
+                </div>
+              )}
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <span className="text-sm font-medium text-gray-700">Raw payload</span>
+                  <button
+                    onClick={() => copyRawBody(selectedEvent.rawBody)}
+                    className="flex items-center text-xs text-gray-500 hover:text-gray-700"
+                  >
+                    <Copy className="w-3 h-3 mr-1" />
+                    Copy
+                  </button>
+                </div>
+                <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg text-xs text-gray-800 overflow-x-auto whitespace-pre-wrap break-all">
+                  {formatRawBody(selectedEvent.rawBody)}
+                </pre>
+              </div>
+
+              {selectedEvent.replayAttempts?.length > 0 && (
+                <div>
+                  <span className="text-sm font-medium text-gray-700">Replay history</span>
+                  <ul className="mt-2 space-y-1">
+                    {selectedEvent.replayAttempts.map((attempt, index) => (
+                      <li key={index} className="text-xs text-gray-600 flex items-center">
+                        {attempt.success
+                          ? <CheckCircle className="w-3 h-3 mr-1 text-green-600" />
+                          : <XCircle className="w-3 h-3 mr-1 text-red-600" />}
+                        {formatDateTime(attempt.attemptedAt)}
+                        {attempt.attemptedBy && ` by ${attempt.attemptedBy.firstName} ${attempt.attemptedBy.lastName}`}
+                        {attempt.error && ` - ${attempt.error}`}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            {selectedEvent.status === 'dead_letter' && (
+              <div className="flex justify-end space-x-3 p-6 border-t border-gray-200">
+                <button
+                  onClick={() => setDiscardConfirm(selectedEvent._id)}
+                  className="px-4 py-2 text-sm text-red-600 border border-red-300 rounded-lg hover:bg-red-50 transition-colors"
+                >
+                  Discard
+                </button>
+                <button
+                  onClick={() => handleReplay(selectedEvent)}
+                  disabled={actionInProgress === selectedEvent._id}
+                  className="flex items-center px-4 py-2 text-sm text-white bg-[#001D48] rounded-lg hover:bg-blue-900 transition-colors disabled:opacity-50"
+                >
+                  <RotateCcw className="w-4 h-4 mr-2" />
+                  Replay
+                </button>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Discard Confirmation */}
+      {discardConfirm && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+          <div className="bg-white rounded-lg p-6 max-w-md w-full mx-4">
+            <div className="flex items-center mb-4">
+              <AlertTriangle className="w-6 h-6 text-red-600 mr-3" />
+              <h3 className="text-lg font-semibold text-gray-900">Discard Webhook Event</h3>
+            </div>
+            <p className="text-gray-600 mb-6">
+              The call update in this delivery will not be applied. This cannot be undone.
+            </p>
+            <div className="flex justify-end space-x-3">
+              <button
+                onClick={() => setDiscardConfirm(null)}
+                className="px-4 py-2 text-gray-600 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handleDiscard(discardConfirm)}
+                disabled={actionInProgress === discardConfirm}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors disabled:opacity-50"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookEvents;
@@ -0,0 +1,776 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Plus,
+  Trash2,
+  RefreshCw,
+  Save,
+  PlayCircle,
+  History,
+  RotateCcw,
+  ShieldAlert,
+  AlertCircle,
+  CheckCircle
+} from 'lucide-react';
+import { surveyAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import { useToast } from '../contexts/ToastContext';
+
+const TYPE_LABELS = {
+  duration: 'Interview duration',
+  answer: 'Answer to a question',
+  gps_distance: 'GPS distance from polling station',
+  duplicate_answer: 'Duplicate answer (e.g. phone number)',
+  audio: 'Recording check (audio analysis)'
+};
+
+// Checks the background recording analysis can flag (backend utils/audioAnalysis.js)
+const AUDIO_CHECK_LABELS = {
+  no_voice: 'No voice detected',
+  mostly_silent: 'Mostly silent recording',
+  truncated: 'Recording much shorter than the interview',
+  duration_mismatch: 'Recording length differs from interview length'
+};
+
+const OPERATOR_LABELS = {
+  lt: 'less than',
+  lte: 'at most',
+  gt: 'greater than',
+  gte: 'at least',
+  eq: 'equals',
+  neq: 'does not equal',
+  in: 'is one of',
+  not_in: 'is none of',
+  starts_with: 'starts with',
+  contains: 'contains'
+};
+
+const MATCH_ON_LABELS = {
+  value: 'Answer text',
+  code: 'Option code',
+  value_or_code: 'Answer text or option code'
+};
+
+const MODE_LABELS = {
+  capi: 'CAPI',
+  cati: 'CATI',
+  online: 'Online'
+};
+
+const DEFAULT_CONDITION = {
+  duration: 'duration',
+  answer: 'answer',
+  gps_distance: 'gps_distance',
+  duplicate_answer: 'duplicate_answer',
+  audio: 'audio'
+};
+
+const NUMERIC_OPERATORS = ['lt', 'lte', 'gt', 'gte'];
+
+// Rules are edited with their list fields as plain text; these convert to and from the API shape
+const toDraft = (rule) => ({
+  ...rule,
+  thresholdInput: Array.isArray(rule.threshold)
+    ? rule.threshold.join(', ')
+    : (rule.threshold === null || rule.threshold === undefined ? '' : String(rule.threshold)),
+  textMatchesInput: (rule.questionRef?.textMatches || []).join('\n'),
+  ignoreValuesInput: (rule.ignoreValues || []).join(', ')
+});
+
+const splitList = (value, separator) => String(value || '')
+  .split(separator)
+  .map(item => item.trim())
+  .filter(Boolean);
+
+const toPayload = (draft) => {
+  const { thresholdInput, textMatchesInput, ignoreValuesInput, ...rule } = draft;
+  const numeric = rule.type !== 'answer' || NUMERIC_OPERATORS.includes(rule.operator);
+  return {
+    ...rule,
+    threshold: rule.type === 'duplicate_answer'
+      ? null
+      : (numeric ? thresholdInput : splitList(thresholdInput, ',')),
+    ...((rule.type === 'answer' || rule.type === 'duplicate_answer') && {
+      questionRef: {
+        questionId: rule.questionRef?.questionId || null,
+        textMatches: splitList(textMatchesInput, '\n')
+      }
+    }),
+    ...(rule.type === 'duplicate_answer' && { ignoreValues: splitList(ignoreValuesInput, ',') })
+  };
+};
+
+const newRule = (type, operatorsByType) => toDraft({
+  ruleId: `rule_${Date.now().toString(36)}`,
+  name: '',
+  type,
+  questionRef: { questionId: null, textMatches: [] },
+  operator: operatorsByType[type]?.[0] || 'eq',
+  threshold: type === 'duration' ? 120 : (type === 'gps_distance' ? 100 : (type === 'audio' ? 'no_voice' : [])),
+  matchOn: type === 'answer' ? 'value' : undefined,
+  ignoreValues: [],
+  modes: type === 'gps_distance' || type === 'audio' ? ['capi'] : ['capi', 'cati'],
+  reason: '',
+  condition: DEFAULT_CONDITION[type],
+  enabled: true
+});
+
+const AutoRejectionRulesPage = () => {
+  const { surveyId } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { showError, showSuccess } = useToast();
+
+  const [survey, setSurvey] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [ruleSet, setRuleSet] = useState(null);
+  const [rules, setRules] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [defaults, setDefaults] = useState([]);
+  const [options, setOptions] = useState({ types: [], operatorsByType: {}, modes: [], matchOn: [] });
+  const [dirty, setDirty] = useState(false);
+  const [changeNote, setChangeNote] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [dryRun, setDryRun] = useState(null);
+  const [dryRunning, setDryRunning] = useState(false);
+  const [versions, setVersions] = useState([]);
+  const [newRuleType, setNewRuleType] = useState('answer');
+
+  const canEdit = user?.userType === 'company_admin';
+
+  // All questions of the survey, for the question picker
+  const questions = [
+    ...(survey?.sections || []).flatMap(section => section.questions || []),
+    ...(survey?.questions || [])
+  ].filter(question => question && question.id);
+
+  const applyRuleSet = (loadedRuleSet) => {
+    setRuleSet(loadedRuleSet);
+    setRules((loadedRuleSet.rules || []).map(toDraft));
+    setEnabled(loadedRuleSet.enabled !== false);
+    setDirty(false);
+    setDryRun(null);
+    setValidationErrors([]);
+  };
+
+  const fetchVersions = async () => {
+    try {
+      const response = await surveyAPI.getAutoRejectionRuleVersions(surveyId);
+      if (response.success) {
+        setVersions(response.data.versions || []);
+      }
+    } catch (error) {
+      console.error('Error fetching rule versions:', error);
+    }
+  };
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      const [surveyResponse, rulesResponse] = await Promise.all([
+        surveyAPI.getSurvey(surveyId),
+        surveyAPI.getAutoRejectionRules(surveyId)
+      ]);
+      if (surveyResponse.success) {
+        setSurvey(surveyResponse.data);
+      }
+      if (rulesResponse.success) {
+        applyRuleSet(rulesResponse.data.ruleSet);
+        setDefaults(rulesResponse.data.defaults || []);
+        setOptions(rulesResponse.data.options);
+      }
+      await fetchVersions();
+    } catch (error) {
+      console.error('Error fetching auto-rejection rules:', error);
+      showError('Failed to load auto-rejection rules');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    if (surveyId) {
+      fetchData();
+    }
+  }, [surveyId]);
+
+  const updateRule = (index, changes) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, ...changes } : rule)));
+    setDirty(true);
+    setDryRun(null);
+  };
+
+  const handleTypeChange = (index, type) => {
+    const fresh = newRule(type, options.operatorsByType);
+    const current = rules[index];
+    updateRule(index, {
+      ...fresh,
+      ruleId: current.ruleId,
+      name: current.name,
+      reason: current.reason,
+      modes: current.modes,
+      enabled: current.enabled
+    });
+  };
+
+  const toggleMode = (index, mode) => {
+    const modes = rules[index].modes || [];
+    updateRule(index, {
+      modes: modes.includes(mode) ? modes.filter(m => m !== mode) : [...modes, mode]
+    });
+  };
+
+  const handleAddRule = () => {
+    setRules(prev => [...prev, newRule(newRuleType, options.operatorsByType)]);
+    setDirty(true);
+    setDryRun(null);
+  };
+
+  const handleRemoveRule = (index) => {
+    setRules(prev => prev.filter((_, i) => i !== index));
+    setDirty(true);
+    setDryRun(null);
+  };
+
+  const handleResetToDefaults = () => {
+    setRules(defaults.map(toDraft));
+    setEnabled(true);
+    setDirty(true);
+    setDryRun(null);
+  };
+
+  const handleDryRun = async () => {
+    try {
+      setDryRunning(true);
+      setValidationErrors([]);
+      const response = await surveyAPI.dryRunAutoRejectionRules(surveyId, {
+        enabled,
+        rules: rules.map(toPayload)
+      });
+      if (response.success) {
+        setDryRun(response.data);
+      }
+    } catch (error) {
+      console.error('Error running dry run:', error);
+      setValidationErrors(error.response?.data?.errors || []);
+      showError(error.response?.data?.message || 'Dry run failed');
+    } finally {
+      setDryRunning(false);
+    }
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setValidationErrors([]);
+      const response = await surveyAPI.updateAutoRejectionRules(surveyId, {
+        enabled,
+        rules: rules.map(toPayload),
+        changeNote: changeNote.trim() || undefined,
+        expectedVersion: ruleSet?.version ?? 0
+      });
+      if (response.success) {
+        showSuccess(response.message || 'Auto-rejection rules saved');
+        applyRuleSet(response.data.ruleSet);
+        setChangeNote('');
+        await fetchVersions();
+      }
+    } catch (error) {
+      console.error('Error saving auto-rejection rules:', error);
+      setValidationErrors(error.response?.data?.errors || []);
+      showError(error.response?.data?.message || 'Failed to save auto-rejection rules');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const ruleLabel = (ruleId) => {
+    const rule = rules.find(r => r.ruleId === ruleId);
+    return rule?.name || rule?.reason || ruleId;
+  };
+
+  const formatDate = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#001D48] mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading auto-rejection rules...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!survey || !ruleSet) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-semibold text-gray-900 mb-4">Survey Not Found</h2>
+          <button
+            onClick={() => navigate('/company/surveys')}
+            className="px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Back to Surveys
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm disabled:bg-gray-100';
+
+  return (
+    <div className="min-h-screen bg-gray-50 w-full">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 w-full">
+        <div className="w-full px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center space-x-4 flex-1 min-w-0">
+              <button
+                onClick={() => navigate('/company/surveys')}
+                className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors flex-shrink-0"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                <span className="hidden sm:inline">Back to Surveys</span>
+              </button>
+              <div className="h-6 w-px bg-gray-300 flex-shrink-0 hidden sm:block"></div>
+              <div className="min-w-0 flex-1">
+                <h1 className="text-lg sm:text-xl font-semibold text-gray-900 truncate">
+                  Auto-Rejection Rules - {survey.surveyName || survey.title}
+                </h1>
+                <p className="text-sm text-gray-600">
+                  {ruleSet.isDefault ? 'Using built-in default rules' : `Version ${ruleSet.version}`}
+                  {dirty && ' · unsaved changes'}
+                </p>
+              </div>
+            </div>
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={enabled}
+                disabled={!canEdit}
+                onChange={(e) => { setEnabled(e.target.checked); setDirty(true); setDryRun(null); }}
+                className="rounded border-gray-300"
+              />
+              <span>Auto-rejection enabled</span>
+            </label>
+          </div>
+        </div>
+      </div>
+
+      <div className="w-full px-4 sm:px-6 lg:px-8 py-6 grid grid-cols-1 xl:grid-cols-3 gap-6">
+        {/* Rule builder */}
+        <div className="xl:col-span-2 space-y-4">
+          {!canEdit && (
+            <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 text-sm text-yellow-800">
+              Only company admins can change auto-rejection rules. You can still dry-run them.
+            </div>
+          )}
+
+          {validationErrors.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+              <div className="flex items-center space-x-2 text-red-800 font-medium mb-2">
+                <AlertCircle className="w-4 h-4" />
+                <span>Please fix these rules</span>
+              </div>
+              <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+                {validationErrors.map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {rules.length === 0 && (
+            <div className="bg-white border border-gray-200 rounded-lg p-8 text-center text-gray-500">
+              No rules. Completed interviews will never be auto-rejected.
+            </div>
+          )}
+
+          {rules.map((rule, index) => (
+            <div
+              key={rule.ruleId}
+              className={`bg-white border rounded-lg p-4 ${rule.enabled ? 'border-gray-200' : 'border-dashed border-gray-300 opacity-75'}`}
+            >
+              <div className="flex items-start justify-between mb-4 gap-4">
+                <div className="flex-1 grid grid-cols-1 md:grid-cols-2 gap-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Rule name</label>
+                    <input
+                      type="text"
+                      value={rule.name || ''}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { name: e.target.value })}
+                      placeholder="e.g. Interview too short"
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Rule type</label>
+                    <select
+                      value={rule.type}
+                      disabled={!canEdit}
+                      onChange={(e) => handleTypeChange(index, e.target.value)}
+                      className={inputClass}
+                    >
+                      {options.types.map(type => (
+                        <option key={type} value={type}>{TYPE_LABELS[type] || type}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3 pt-5">
+                  <label className="flex items-center space-x-1 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      checked={rule.enabled !== false}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { enabled: e.target.checked })}
+                      className="rounded border-gray-300"
+                    />
+                    <span>Active</span>
+                  </label>
+                  {canEdit && (
+                    <button
+                      onClick={() => handleRemoveRule(index)}
+                      className="p-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Remove rule"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Question reference */}
+              {(rule.type === 'answer' || rule.type === 'duplicate_answer') && (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Question</label>
+                    <select
+                      value={rule.questionRef?.questionId || ''}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, {
+                        questionRef: { ...(rule.questionRef || {}), questionId: e.target.value || null }
+                      })}
+                      className={inputClass}
+                    >
+                      <option value="">Match by question text</option>
+                      {questions.map(question => (
+                        <option key={question.id} value={question.id}>
+                          {question.questionNumber ? `Q${question.questionNumber}. ` : ''}
+                          {(question.text || '').split('{')[0].trim().slice(0, 90)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      Question text to match (one per line, tried in order; use &quot;a + b&quot; to require both)
+                    </label>
+                    <textarea
+                      rows="2"
+                      value={rule.textMatchesInput}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { textMatchesInput: e.target.value })}
+                      placeholder="registered voter + assembly constituency"
+                      className={inputClass}
+                    />
+                  </div>
+                </div>
+              )}
+
+              {/* Condition */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-3">
+                {rule.type === 'answer' && (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Compare</label>
+                    <select
+                      value={rule.matchOn || 'value'}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { matchOn: e.target.value })}
+                      className={inputClass}
+                    >
+                      {options.matchOn.map(matchOn => (
+                        <option key={matchOn} value={matchOn}>{MATCH_ON_LABELS[matchOn] || matchOn}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {rule.type !== 'duplicate_answer' && rule.type !== 'audio' && (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Reject when value is</label>
+                    <select
+                      value={rule.operator}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { operator: e.target.value })}
+                      className={inputClass}
+                    >
+                      {(options.operatorsByType[rule.type] || []).map(operator => (
+                        <option key={operator} value={operator}>{OPERATOR_LABELS[operator] || operator}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                {rule.type === 'audio' ? (
+                  <div className="md:col-span-2">
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      Reject when the recording analysis finds (checked after the recording uploads)
+                    </label>
+                    <select
+                      value={rule.thresholdInput}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { thresholdInput: e.target.value })}
+                      className={inputClass}
+                    >
+                      {Object.entries(AUDIO_CHECK_LABELS).map(([check, label]) => (
+                        <option key={check} value={check}>{label}</option>
+                      ))}
+                    </select>
+                  </div>
+                ) : rule.type !== 'duplicate_answer' ? (
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      {rule.type === 'duration' && 'Seconds'}
+                      {rule.type === 'gps_distance' && 'Metres (if the booster sets no radius)'}
+                      {rule.type === 'answer' && (NUMERIC_OPERATORS.includes(rule.operator) ? 'Number' : 'Values (comma separated)')}
+                    </label>
+                    <input
+                      type={rule.type === 'answer' && !NUMERIC_OPERATORS.includes(rule.operator) ? 'text' : 'number'}
+                      min="0"
+                      value={rule.thresholdInput}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { thresholdInput: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                ) : (
+                  <div className="md:col-span-2">
+                    <label className="block text-xs font-medium text-gray-700 mb-1">
+                      Ignore these answers (comma separated, e.g. 0 for &quot;did not answer&quot;)
+                    </label>
+                    <input
+                      type="text"
+                      value={rule.ignoreValuesInput}
+                      disabled={!canEdit}
+                      onChange={(e) => updateRule(index, { ignoreValuesInput: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                )}
+              </div>
+
+              {/* Outcome */}
+              <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Applies to</label>
+                  <div className="flex items-center space-x-3 py-2">
+                    {options.modes.map(mode => (
+                      <label key={mode} className="flex items-center space-x-1 text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={(rule.modes || []).includes(mode)}
+                          disabled={!canEdit}
+                          onChange={() => toggleMode(index, mode)}
+                          className="rounded border-gray-300"
+                        />
+                        <span>{MODE_LABELS[mode] || mode}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Rejection reason</label>
+                  <input
+                    type="text"
+                    value={rule.reason || ''}
+                    disabled={!canEdit}
+                    onChange={(e) => updateRule(index, { reason: e.target.value })}
+                    placeholder="Shown to reviewers and interviewers"
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Reason code (used in reports)</label>
+                  <input
+                    type="text"
+                    value={rule.condition || ''}
+                    disabled={!canEdit}
+                    onChange={(e) => updateRule(index, { condition: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+              </div>
+            </div>
+          ))}
+
+          {canEdit && (
+            <div className="flex flex-wrap items-center gap-3">
+              <select
+                value={newRuleType}
+                onChange={(e) => setNewRuleType(e.target.value)}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                {options.types.map(type => (
+                  <option key={type} value={type}>{TYPE_LABELS[type] || type}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleAddRule}
+                className="flex items-center space-x-2 px-3 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors text-sm"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add Rule</span>
+              </button>
+              <button
+                onClick={handleResetToDefaults}
+                className="flex items-center space-x-2 px-3 py-2 border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-100 transition-colors text-sm"
+              >
+                <RotateCcw className="w-4 h-4" />
+                <span>Reset to Defaults</span>
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Dry run, save and history */}
+        <div className="space-y-4">
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center justify-between mb-3">
+              <h2 className="text-base font-semibold text-gray-900">Dry Run</h2>
+              <button
+                onClick={handleDryRun}
+                disabled={dryRunning}
+                className="flex items-center space-x-2 px-3 py-1.5 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors text-sm disabled:opacity-50"
+              >
+                {dryRunning ? <RefreshCw className="w-4 h-4 animate-spin" /> : <PlayCircle className="w-4 h-4" />}
+                <span>{dryRunning ? 'Running...' : 'Run'}</span>
+              </button>
+            </div>
+            <p className="text-xs text-gray-500 mb-3">
+              Checks the rules above against existing completed responses. Nothing is changed.
+            </p>
+
+            {dryRun && (
+              <div className="space-y-3">
+                <div className="grid grid-cols-2 gap-2 text-sm">
+                  <div className="bg-gray-50 rounded p-2">
+                    <div className="text-gray-500 text-xs">Evaluated</div>
+                    <div className="font-semibold text-gray-900">{dryRun.evaluated}</div>
+                  </div>
+                  <div className="bg-red-50 rounded p-2">
+                    <div className="text-red-600 text-xs">Would reject</div>
+                    <div className="font-semibold text-red-700">{dryRun.wouldReject}</div>
+                  </div>
+                  <div className="bg-orange-50 rounded p-2">
+                    <div className="text-orange-600 text-xs">Not rejected today</div>
+                    <div className="font-semibold text-orange-700">{dryRun.newlyRejected}</div>
+                  </div>
+                  <div className="bg-green-50 rounded p-2">
+                    <div className="text-green-600 text-xs">Auto-rejected today, would pass</div>
+                    <div className="font-semibold text-green-700">{dryRun.noLongerRejected}</div>
+                  </div>
+                </div>
+
+                {dryRun.truncated && (
+                  <p className="text-xs text-yellow-700">Only the most recent {dryRun.evaluated + dryRun.skippedAbandoned} responses were checked.</p>
+                )}
+
+                <div>
+                  <h3 className="text-xs font-medium text-gray-700 mb-1">By rule</h3>
+                  <ul className="text-sm space-y-1">
+                    {Object.entries(dryRun.byRule).map(([ruleId, count]) => (
+                      <li key={ruleId} className="flex justify-between">
+                        <span className="text-gray-700 truncate mr-2">{ruleLabel(ruleId)}</span>
+                        <span className="font-medium text-gray-900">{count}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+
+                {dryRun.sample.length > 0 && (
+                  <div>
+                    <h3 className="text-xs font-medium text-gray-700 mb-1">Examples</h3>
+                    <ul className="text-xs space-y-1 max-h-48 overflow-y-auto">
+                      {dryRun.sample.map(item => (
+                        <li key={item._id} className="border-b border-gray-100 pb-1">
+                          <span className="font-mono text-gray-800">{item.responseId}</span>
+                          <span className="text-gray-500"> · {item.interviewMode?.toUpperCase()} · {item.status}</span>
+                          <div className="text-red-600">{item.reasons.join('; ')}</div>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+
+          {canEdit && (
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <h2 className="text-base font-semibold text-gray-900 mb-3">Save</h2>
+              <textarea
+                rows="2"
+                value={changeNote}
+                onChange={(e) => setChangeNote(e.target.value)}
+                maxLength={500}
+                placeholder="What changed? (optional, kept in the version history)"
+                className={inputClass}
+              />
+              <p className="text-xs text-gray-500 mt-2">
+                Saving creates version {(ruleSet.version || 0) + 1}. It applies to interviews completed from now on;
+                responses already reviewed are not re-checked.
+              </p>
+              <button
+                onClick={handleSave}
+                disabled={saving || !dirty}
+                className="mt-3 w-full flex items-center justify-center space-x-2 px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {saving ? <RefreshCw className="w-4 h-4 animate-spin" /> : <Save className="w-4 h-4" />}
+                <span>Save Rules</span>
+              </button>
+            </div>
+          )}
+
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <div className="flex items-center space-x-2 mb-3">
+              <History className="w-4 h-4 text-gray-600" />
+              <h2 className="text-base font-semibold text-gray-900">Version History</h2>
+            </div>
+            <ul className="space-y-3">
+              {versions.map(version => (
+                <li key={version.version} className="text-sm border-b border-gray-100 pb-2 last:border-0">
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium text-gray-900 flex items-center space-x-1">
+                      {version.version === (ruleSet.version || 0)
+                        ? <CheckCircle className="w-4 h-4 text-green-600" />
+                        : <ShieldAlert className="w-4 h-4 text-gray-400" />}
+                      <span>{version.isDefault ? 'v0 · Built-in defaults' : `v${version.version}`}</span>
+                    </span>
+                    <span className="text-xs text-gray-600">{version.rejectedCount} rejected</span>
+                  </div>
+                  {!version.isDefault && (
+                    <div className="text-xs text-gray-500 mt-1">
+                      {formatDate(version.createdAt)}
+                      {version.createdBy && ` · ${version.createdBy.firstName || ''} ${version.createdBy.lastName || ''}`.trimEnd()}
+                      {` · ${(version.rules || []).length} rules${version.enabled === false ? ' (disabled)' : ''}`}
+                    </div>
+                  )}
+                  {version.changeNote && (
+                    <div className="text-xs text-gray-700 mt-1 italic">{version.changeNote}</div>
+                  )}
+                  {version.lastRejectedAt && (
+                    <div className="text-xs text-gray-400 mt-1">Last rejection {formatDate(version.lastRejectedAt)}</div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AutoRejectionRulesPage;
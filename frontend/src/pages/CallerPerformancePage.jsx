@@ -21,6 +21,9 @@ import { getMainText } from '../utils/translations';
 import { getACByName } from '../utils/assemblyConstituencies';
 import assemblyConstituenciesData from '../data/assemblyConstituencies.json';
 
+// Report metrics (backend utils/reportMetrics.js) shown as interviewer performance columns
+const CALLER_METRIC_KEYS = ['dials', 'callsConnected', 'incomplete', 'interviewsCompleted', 'approved', 'underQCQueue', 'processingInBatch', 'rejected'];
+
 const CallerPerformancePage = () => {
   const { surveyId } = useParams();
   const navigate = useNavigate();
@@ -36,6 +39,7 @@ const CallerPerformancePage = () => {
   const [loading, setLoading] = useState(true);
   const [assignedInterviewers, setAssignedInterviewers] = useState(null);
   const [catiStats, setCatiStats] = useState(null);
+  const [metricDefinitions, setMetricDefinitions] = useState({});
   const [showCatiFilters, setShowCatiFilters] = useState(true);
   const { showError } = useToast();
 
@@ -314,6 +318,8 @@ const CallerPerformancePage = () => {
     return { startDate, endDate };
   };
 
+  const metricLabel = (key) => metricDefinitions[key]?.label || key;
+
   // Fetch survey and responses data
   const fetchSurveyData = async () => {
     try {
@@ -338,6 +344,18 @@ const CallerPerformancePage = () => {
         }
       }
 
+      // Column labels and descriptions, as the report metrics define them
+      try {
+        const metricsResponse = await surveyAPI.getSurveyMetrics(surveyId, { metrics: CALLER_METRIC_KEYS });
+        if (metricsResponse.success) {
+          setMetricDefinitions(Object.fromEntries(
+            metricsResponse.data.definitions.map(definition => [definition.key, definition])
+          ));
+        }
+      } catch (error) {
+        console.error('Error fetching metric definitions:', error);
+      }
+
       // Fetch CATI stats
       const { startDate, endDate } = calculateDatesFromRange(
         catiFilters.dateRange, 
@@ -492,9 +510,7 @@ const CallerPerformancePage = () => {
     const acMap = new Map();
 
     responses.forEach(response => {
-      if (response.status === 'Approved' || 
-          response.status === 'Rejected' || 
-          response.status === 'Pending_Approval') {
+      if (response.metricValues?.interviewsCompleted) {
         // Extract AC from response
         const acName = extractACFromResponse(response);
         
@@ -524,10 +540,7 @@ const CallerPerformancePage = () => {
     const interviewerMap = new Map();
 
     responses.forEach(response => {
-      if (response.interviewer && 
-          (response.status === 'Approved' || 
-           response.status === 'Rejected' || 
-           response.status === 'Pending_Approval')) {
+      if (response.interviewer && response.metricValues?.interviewsCompleted) {
         const interviewerName = `${response.interviewer.firstName} ${response.interviewer.lastName}`;
         
         if (!interviewerMap.has(response.interviewer._id)) {
@@ -1160,14 +1173,14 @@ const CallerPerformancePage = () => {
                       'Interviewer ID': stat.memberID || 'N/A',
                       'Caller Name': stat.interviewerName || 'N/A',
                       'Caller Mobile No.': stat.interviewerPhone || 'N/A',
-                      'Number of Dials': stat.numberOfDials || 0,
-                      'Calls Connected': stat.callsConnected || 0,
-                      'Incomplete': stat.incomplete || 0,
-                      'Completed': stat.completed || 0,
-                      'Approved': stat.approved || 0,
-                      'Under QC Queue': stat.underQCQueue || 0,
-                      'Processing in Batch': stat.processingInBatch || 0,
-                      'Rejected': stat.rejected || 0,
+                      [metricLabel('dials')]: stat.numberOfDials || 0,
+                      [metricLabel('callsConnected')]: stat.callsConnected || 0,
+                      [metricLabel('incomplete')]: stat.incomplete || 0,
+                      [metricLabel('interviewsCompleted')]: stat.completed || 0,
+                      [metricLabel('approved')]: stat.approved || 0,
+                      [metricLabel('underQCQueue')]: stat.underQCQueue || 0,
+                      [metricLabel('processingInBatch')]: stat.processingInBatch || 0,
+                      [metricLabel('rejected')]: stat.rejected || 0,
                       'Form Duration': stat.formDuration || '0:00:00',
                       'Call Not Received to Telecaller': stat.callNotReceivedToTelecaller || 0,
                       'Interviewer Picked up': stat.ringing || 0,
@@ -1206,14 +1219,14 @@ const CallerPerformancePage = () => {
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Interviewer ID</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Caller Name</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Caller Mobile No.</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Number of Dials</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Calls Connected</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Incomplete</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Completed</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Approved</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Under QC Queue</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Processing in Batch</th>
-                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Rejected</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.dials?.description}>{metricLabel('dials')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.callsConnected?.description}>{metricLabel('callsConnected')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.incomplete?.description}>{metricLabel('incomplete')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.interviewsCompleted?.description}>{metricLabel('interviewsCompleted')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.approved?.description}>{metricLabel('approved')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.underQCQueue?.description}>{metricLabel('underQCQueue')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.processingInBatch?.description}>{metricLabel('processingInBatch')}</th>
+                      <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider" title={metricDefinitions.rejected?.description}>{metricLabel('rejected')}</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Form Duration</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Call Not Received to Telecaller</th>
                       <th className="px-4 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">Interviewer Picked up</th>
@@ -1,9 +1,9 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import DashboardLayout from '../components/dashboard/DashboardLayout';
 import { useAuth } from '../contexts/AuthContext';
 import { useToast } from '../contexts/ToastContext';
-import { surveyAPI, surveyResponseAPI } from '../services/api';
+import { surveyAPI } from '../services/api';
 import {
   ArrowLeft,
   ChevronRight,
@@ -17,9 +17,14 @@ import {
   AlertCircle,
   Loader2,
   Menu,
-  X
+  X,
+  RefreshCw,
+  Scale
 } from 'lucide-react';
 
+// Weighted estimates refresh on their own while the page is open
+const ESTIMATES_REFRESH_INTERVAL_MS = 60000;
+
 const FindingsDashboard = () => {
   const { surveyId } = useParams();
   const navigate = useNavigate();
@@ -38,7 +43,7 @@ const FindingsDashboard = () => {
   // Stats for FieldWork Progress
   const [fieldworkStats, setFieldworkStats] = useState({
     targetSample: 0,
-    interviewsAttempted: 0,
+    interviewsCompleted: 0,
     interviewsAchieved: 0
   });
 
@@ -87,21 +92,16 @@ const FindingsDashboard = () => {
         fullSurvey: currentSurvey
       });
       
-      // Fetch all responses with status Approved, Rejected, or Pending_Approval
-      const params = {
-        page: 1,
-        limit: 10000, // Get all responses
-        status: 'approved_rejected_pending'
-      };
-      
-      const response = await surveyResponseAPI.getSurveyResponses(surveyId, params);
+      // Completed and Approved, as the shared report metrics define them
+      const response = await surveyAPI.getSurveyMetrics(surveyId, {
+        metrics: ['interviewsCompleted', 'approved']
+      });
       
       if (response.success) {
-        const responses = response.data.responses || [];
-        
-        // Calculate stats
-        const interviewsAttempted = responses.length; // All responses (Approved, Rejected, Pending_Approval)
-        const interviewsAchieved = responses.filter(r => r.status === 'Approved').length;
+        const { interviewsCompleted, approved: interviewsAchieved } = response.data.metrics;
+        const definitions = Object.fromEntries(
+          response.data.definitions.map(definition => [definition.key, definition])
+        );
         
         // Get target sample from survey - use sampleSize field (same as surveys page)
         // Try multiple possible field names
@@ -111,16 +111,11 @@ const FindingsDashboard = () => {
           ? Number(currentSurvey.targetSampleSize)
           : 0;
         
-        console.log('🔍 FindingsDashboard - Calculated stats:', {
-          targetSample,
-          interviewsAttempted,
-          interviewsAchieved
-        });
-        
         setFieldworkStats({
           targetSample,
-          interviewsAttempted,
-          interviewsAchieved
+          interviewsCompleted,
+          interviewsAchieved,
+          definitions
         });
       }
     } catch (error) {
@@ -183,9 +178,10 @@ const FindingsDashboard = () => {
     switch (activePage) {
       case 'fieldwork-progress':
         return <FieldWorkProgressPage stats={fieldworkStats} />;
+      case 'vote-share-estimates':
+        return <VoteShareEstimatesPage surveyId={surveyId} onConfigure={() => navigate(`/company/surveys/${surveyId}/weighting`)} />;
       case 'basic-demographics':
       case 'caste':
-      case 'vote-share-estimates':
       case 'gain-and-losses':
       case 'second-choice':
       case 'approval-ratings':
@@ -388,18 +384,16 @@ const FieldWorkProgressPage = ({ stats }) => {
           <p className="text-xs text-gray-500 mt-2">Target sample size for this survey</p>
         </div>
 
-        {/* Interviews Attempted */}
+        {/* Interviews Completed */}
         <div className="bg-gradient-to-br from-purple-50 to-purple-100 rounded-xl p-6 border border-purple-200">
           <div className="flex items-center justify-between mb-4">
             <div className="p-3 bg-[#E8E6F5]0 rounded-lg">
               <FileText className="w-6 h-6 text-white" />
             </div>
           </div>
-          <h3 className="text-sm font-medium text-gray-600 mb-1">Interviews Attempted</h3>
-          <p className="text-3xl font-bold text-gray-900">{stats.interviewsAttempted.toLocaleString()}</p>
-          <p className="text-xs text-gray-500 mt-2">
-            Total responses (Approved, Rejected, Pending)
-          </p>
+          <h3 className="text-sm font-medium text-gray-600 mb-1">Interviews Completed</h3>
+          <p className="text-3xl font-bold text-gray-900">{stats.interviewsCompleted.toLocaleString()}</p>
+          <p className="text-xs text-gray-500 mt-2">{stats.definitions?.interviewsCompleted?.description}</p>
         </div>
 
         {/* Interviews Achieved */}
@@ -411,7 +405,7 @@ const FieldWorkProgressPage = ({ stats }) => {
           </div>
           <h3 className="text-sm font-medium text-gray-600 mb-1">Interviews Achieved</h3>
           <p className="text-3xl font-bold text-gray-900">{stats.interviewsAchieved.toLocaleString()}</p>
-          <p className="text-xs text-gray-500 mt-2">Approved responses only</p>
+          <p className="text-xs text-gray-500 mt-2">{stats.definitions?.approved?.description}</p>
         </div>
       </div>
 
@@ -446,12 +440,166 @@ const FieldWorkProgressPage = ({ stats }) => {
   );
 };
 
+// Vote Share Estimates Page Component: weighted shares of the survey's outcome questions
+const VoteShareEstimatesPage = ({ surveyId, onConfigure }) => {
+  const [estimates, setEstimates] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchEstimates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await surveyAPI.getWeightedEstimates(surveyId);
+      if (response.success) {
+        setEstimates(response.data);
+        setError(null);
+      }
+    } catch (err) {
+      console.error('Error fetching weighted estimates:', err);
+      setError(err.response?.data?.message || 'Failed to load estimates');
+    } finally {
+      setLoading(false);
+    }
+  }, [surveyId]);
+
+  useEffect(() => {
+    fetchEstimates();
+    const interval = setInterval(fetchEstimates, ESTIMATES_REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchEstimates]);
+
+  if (!estimates) {
+    return (
+      <div className="flex items-center justify-center min-h-96">
+        {loading ? (
+          <Loader2 className="w-12 h-12 text-[#373177] animate-spin" />
+        ) : (
+          <p className="text-gray-600">{error}</p>
+        )}
+      </div>
+    );
+  }
+
+  const { weighting, sample } = estimates;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h2 className="text-2xl font-bold text-gray-900 mb-2">Vote Share Estimates</h2>
+          <p className="text-gray-600">
+            {weighting.applied
+              ? `Weighted (weighting version ${weighting.version}) over approved and pending interviews`
+              : 'Unweighted: weighting is not set up or not applied for this survey'}
+          </p>
+        </div>
+        <div className="flex items-center space-x-2">
+          <button
+            onClick={fetchEstimates}
+            disabled={loading}
+            className="p-2 text-gray-600 hover:text-gray-900 transition-colors"
+            title="Refresh estimates"
+          >
+            <RefreshCw className={`w-5 h-5 ${loading ? 'animate-spin' : ''}`} />
+          </button>
+          <button
+            onClick={onConfigure}
+            className="flex items-center space-x-2 px-3 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+          >
+            <Scale className="w-4 h-4" />
+            <span>Weighting</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+          <p className="text-xs text-gray-500">Respondents</p>
+          <p className="text-2xl font-semibold text-gray-900">{sample.respondents.toLocaleString()}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+          <p className="text-xs text-gray-500">Effective sample size</p>
+          <p className="text-2xl font-semibold text-gray-900">{sample.effectiveSampleSize.toLocaleString()}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+          <p className="text-xs text-gray-500">Design effect</p>
+          <p className="text-2xl font-semibold text-gray-900">{sample.designEffect}</p>
+        </div>
+        <div className="bg-gray-50 rounded-lg p-4 border border-gray-200">
+          <p className="text-xs text-gray-500">Raking</p>
+          <p className="text-2xl font-semibold text-gray-900">
+            {!weighting.applied ? '-' : weighting.converged ? 'Converged' : 'Not converged'}
+          </p>
+        </div>
+      </div>
+
+      {weighting.warnings.length > 0 && (
+        <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+          <ul className="list-disc list-inside text-sm text-amber-800 space-y-1">
+            {weighting.warnings.map(warning => <li key={warning}>{warning}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {estimates.estimates.length === 0 ? (
+        <div className="text-center py-12">
+          <BarChart3 className="w-16 h-16 text-gray-400 mx-auto mb-4" />
+          <p className="text-gray-600">No outcome questions selected. Choose them in the survey's weighting settings.</p>
+        </div>
+      ) : (
+        estimates.estimates.map(question => (
+          <div key={question.questionId} className="border border-gray-200 rounded-lg">
+            <div className="flex items-center justify-between p-4 border-b border-gray-200">
+              <h3 className="text-base font-semibold text-gray-900">{question.questionText}</h3>
+              <span className="text-sm text-gray-500">
+                n = {question.respondents.toLocaleString()} · effective n = {question.effectiveSampleSize.toLocaleString()} · deff {question.designEffect}
+              </span>
+            </div>
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium">Option</th>
+                    <th className="px-4 py-2 text-right font-medium">Respondents</th>
+                    <th className="px-4 py-2 text-right font-medium">Unweighted %</th>
+                    <th className="px-4 py-2 text-right font-medium">Weighted %</th>
+                    <th className="px-4 py-2 text-right font-medium">Margin of error (95%)</th>
+                    <th className="px-4 py-2 text-left font-medium w-64"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {question.options.map(option => (
+                    <tr key={option.key}>
+                      <td className="px-4 py-2 text-gray-900">{option.label}</td>
+                      <td className="px-4 py-2 text-right text-gray-600">{option.count.toLocaleString()}</td>
+                      <td className="px-4 py-2 text-right text-gray-600">{option.unweightedShare.toFixed(1)}%</td>
+                      <td className="px-4 py-2 text-right font-semibold text-gray-900">{option.weightedShare.toFixed(1)}%</td>
+                      <td className="px-4 py-2 text-right text-gray-600">±{option.marginOfError.toFixed(1)}</td>
+                      <td className="px-4 py-2">
+                        <div className="h-2 bg-gray-100 rounded-full overflow-hidden">
+                          <div
+                            className="h-2 bg-[#373177] rounded-full"
+                            style={{ width: `${Math.min(option.weightedShare, 100)}%` }}
+                          ></div>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        ))
+      )}
+    </div>
+  );
+};
+
 // Coming Soon Page Component
 const ComingSoonPage = ({ pageName }) => {
   const pageNames = {
     'basic-demographics': 'Basic Demographics',
     'caste': 'Caste',
-    'vote-share-estimates': 'Vote Share Estimates',
     'gain-and-losses': 'Gain and Losses',
     'second-choice': 'Second Choice',
     'approval-ratings': 'Approval Ratings',
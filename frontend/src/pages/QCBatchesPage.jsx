@@ -12,12 +12,22 @@ import {
   RefreshCw,
   Settings,
   Plus,
-  Trash2
+  Trash2,
+  AlertTriangle
 } from 'lucide-react';
 import { qcBatchAPI, surveyAPI, qcBatchConfigAPI } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
 import ResponseDetailsModal from '../components/dashboard/ResponseDetailsModal';
 
+const DEFAULT_BATCHING = { mode: 'day', batchSize: 100, windowHours: 4, maxOpenHours: 24 };
+
+const SAMPLING_STRATEGY_LABELS = {
+  random: 'Random',
+  stratified_ac: 'Stratified by AC',
+  stratified_time: 'Stratified by time of day',
+  risk_weighted: 'Risk-weighted'
+};
+
 const QCBatchesPage = () => {
   const { surveyId } = useParams();
   const navigate = useNavigate();
@@ -33,6 +43,7 @@ const QCBatchesPage = () => {
   const [config, setConfig] = useState(null);
   const [configLoading, setConfigLoading] = useState(false);
   const [savingConfig, setSavingConfig] = useState(false);
+  const [escalations, setEscalations] = useState([]);
   const { showError, showSuccess } = useToast();
 
   // Fetch survey and batches
@@ -78,9 +89,39 @@ const QCBatchesPage = () => {
     if (surveyId) {
       fetchData();
       fetchConfig();
+      fetchEscalations();
     }
   }, [surveyId]);
 
+  // Fetch interviewers on escalated (100%) QC
+  const fetchEscalations = async () => {
+    try {
+      const response = await qcBatchAPI.getEscalations(surveyId);
+      if (response.success) {
+        setEscalations(response.data.escalations || []);
+      }
+    } catch (error) {
+      console.error('Error fetching escalations:', error);
+    }
+  };
+
+  // Take an interviewer off escalated QC
+  const handleClearEscalation = async (escalation) => {
+    const name = escalation.interviewer ? `${escalation.interviewer.firstName} ${escalation.interviewer.lastName}` : 'this interviewer';
+    if (!window.confirm(`Take ${name} off 100% QC? Their next batches will use the normal sample size.`)) {
+      return;
+    }
+    try {
+      const response = await qcBatchAPI.clearEscalation(escalation._id);
+      if (response.success) {
+        showSuccess(response.message || 'Escalation cleared');
+        await fetchEscalations();
+      }
+    } catch (error) {
+      showError(error.response?.data?.message || 'Failed to clear escalation');
+    }
+  };
+
   // Fetch QC batch configuration
   const fetchConfig = async () => {
     try {
@@ -134,10 +175,24 @@ const QCBatchesPage = () => {
         }
       }
       
+      const batching = { ...DEFAULT_BATCHING, ...(config.batching || {}) };
+      if (batching.mode === 'time_window' && (batching.windowHours < 1 || batching.windowHours > 24)) {
+        showError('Time window must be between 1 and 24 hours');
+        return;
+      }
+      if (batching.batchSize < 1 || batching.batchSize > 5000) {
+        showError('Batch size must be between 1 and 5000 responses');
+        return;
+      }
+      
       const response = await qcBatchConfigAPI.createOrUpdateConfig({
         surveyId,
         samplePercentage: config.samplePercentage,
         approvalRules: rules,
+        batching,
+        sampling: { strategy: config.sampling?.strategy || 'random' },
+        escalationBatches: config.escalationBatches || 3,
+        trustedSamplePercentage: config.trustedSamplePercentage || 20,
         notes: config.notes || ''
       });
       
@@ -154,6 +209,18 @@ const QCBatchesPage = () => {
     }
   };
 
+  // Update a batch boundary setting
+  const handleUpdateBatching = (field, value) => {
+    setConfig({
+      ...config,
+      batching: {
+        ...DEFAULT_BATCHING,
+        ...(config.batching || {}),
+        [field]: value
+      }
+    });
+  };
+
   // Add new approval rule
   const handleAddRule = () => {
     setConfig({
@@ -299,6 +366,30 @@ const QCBatchesPage = () => {
     });
   };
 
+  // Format date with time (batches can close several times a day)
+  const formatDateTime = (date) => {
+    if (!date) return 'N/A';
+    return new Date(date).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    });
+  };
+
+  // How a collecting batch will close, from its batching snapshot
+  const describeBatchClosing = (batch) => {
+    const batching = { ...DEFAULT_BATCHING, ...(batch.batchConfig?.batching || {}) };
+    const closes = batch.closesAt ? formatDateTime(batch.closesAt) : 'midnight';
+    if (batching.mode === 'count') {
+      return `Closes at ${batching.batchSize} responses or at ${closes}, whichever comes first.`;
+    }
+    if (batching.mode === 'time_window') {
+      return `Closes at the end of its ${batching.windowHours}-hour window (${closes}), or earlier at ${batching.batchSize} responses.`;
+    }
+    return `Closes at ${closes}, or earlier at ${batching.batchSize} responses.`;
+  };
+
   if (loading) {
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -360,6 +451,10 @@ const QCBatchesPage = () => {
                     if (!config) {
                       setConfig({
                         samplePercentage: 40,
+                        batching: DEFAULT_BATCHING,
+                        sampling: { strategy: 'random' },
+                        escalationBatches: 3,
+                        trustedSamplePercentage: 20,
                         approvalRules: [
                           { minRate: 50, maxRate: 100, action: 'auto_approve', description: '50%+ approval rate - Auto approve remaining' },
                           { minRate: 0, maxRate: 50, action: 'send_to_qc', description: 'Below 50% approval rate - Send to QC' }
@@ -381,6 +476,45 @@ const QCBatchesPage = () => {
 
         {/* Content */}
         <div className="w-full px-4 sm:px-6 lg:px-8 py-8">
+          {/* Escalated interviewers */}
+          {escalations.length > 0 && (
+            <div className="bg-white rounded-lg shadow-sm border border-red-200 mb-6 w-full">
+              <div className="px-6 py-3 border-b border-red-200 bg-red-50 flex items-center space-x-2">
+                <AlertTriangle className="w-5 h-5 text-red-600" />
+                <h2 className="text-sm font-semibold text-red-900">
+                  Interviewers on 100% QC ({escalations.length})
+                </h2>
+              </div>
+              <div className="divide-y divide-gray-200">
+                {escalations.map((escalation) => (
+                  <div key={escalation._id} className="px-6 py-3 flex items-center justify-between">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {escalation.interviewer
+                          ? `${escalation.interviewer.firstName} ${escalation.interviewer.lastName}`
+                          : 'Unknown interviewer'}
+                        {escalation.interviewer?.memberId && (
+                          <span className="text-gray-500 font-normal"> ({escalation.interviewer.memberId})</span>
+                        )}
+                      </p>
+                      <p className="text-xs text-gray-600 mt-0.5">
+                        {escalation.batchesRemaining} batch{escalation.batchesRemaining !== 1 ? 'es' : ''} remaining
+                        {escalation.reason ? ` · ${escalation.reason}` : ''}
+                        {` · since ${formatDateTime(escalation.createdAt)}`}
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleClearEscalation(escalation)}
+                      className="px-3 py-1.5 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50 transition-colors"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           {batches.length === 0 ? (
             <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-12 text-center w-full">
               <FileText className="w-16 h-16 text-gray-400 mx-auto mb-4" />
@@ -416,10 +550,28 @@ const QCBatchesPage = () => {
                                 Interviewer: {batch.interviewer.firstName} {batch.interviewer.lastName}
                               </p>
                             )}
+                            {batch.sampling?.strategy && (
+                              <p className="text-sm text-gray-600">
+                                Sampling: {SAMPLING_STRATEGY_LABELS[batch.sampling.strategy] || batch.sampling.strategy}
+                                {batch.sampling.strata?.length > 0 && (
+                                  <span className="text-gray-500">
+                                    {' ('}
+                                    {batch.sampling.strata.map(stratum => `${stratum.key}: ${stratum.sampled}/${stratum.total}`).join(', ')}
+                                    {')'}
+                                  </span>
+                                )}
+                              </p>
+                            )}
                           </div>
                         </div>
                       </div>
                       <div className="flex items-center space-x-4">
+                        {batch.escalation && (
+                          <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                            <AlertTriangle className="w-3 h-3 mr-1" />
+                            Escalated QC
+                          </span>
+                        )}
                         {getStatusBadge(batch.status)}
                         {batch.status === 'collecting' && (
                           <button
@@ -627,19 +779,20 @@ const QCBatchesPage = () => {
                     {batch.status === 'collecting' && (() => {
                       const samplePercentage = batch.batchConfig?.samplePercentage || batch.config?.samplePercentage || 40;
                       const is100Percent = samplePercentage >= 100;
-                      const remainingTo100 = 100 - batch.totalResponses;
+                      const batchSize = batch.batchConfig?.batching?.batchSize || DEFAULT_BATCHING.batchSize;
+                      const strategy = SAMPLING_STRATEGY_LABELS[batch.batchConfig?.samplingStrategy] || 'Random';
                       
                       return (
                         <div className="mt-4 p-3 bg-blue-50 rounded-lg">
                           <p className="text-sm font-medium text-blue-900">
-                            Batch Status: Collecting Responses ({batch.totalResponses}/100)
+                            Batch Status: Collecting Responses ({batch.totalResponses}/{batchSize})
                           </p>
                           <p className="text-sm text-blue-700 mt-1">
-                            {batch.totalResponses >= 100 
-                              ? 'Batch has reached 100 responses and will be processed automatically.'
-                              : `This batch will automatically process when it reaches 100 responses (${remainingTo100} remaining). ${is100Percent 
+                            {batch.totalResponses >= batchSize 
+                              ? `Batch has reached ${batchSize} responses and will be processed automatically.`
+                              : `${describeBatchClosing(batch)} ${is100Percent 
                                 ? `All ${samplePercentage}% of responses will be sent to QC queue.`
-                                : `${samplePercentage}% of responses will be randomly selected and sent to QC queue.`
+                                : `${samplePercentage}% of responses will be selected (${strategy.toLowerCase()}) and sent to QC queue.`
                               }`
                             }
                           </p>
@@ -889,6 +1042,108 @@ const QCBatchesPage = () => {
                     </p>
                   </div>
 
+                  {/* Batch Boundaries */}
+                  {(() => {
+                    const batching = { ...DEFAULT_BATCHING, ...(config.batching || {}) };
+                    return (
+                      <div>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          Batch Boundaries
+                        </label>
+                        <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+                          <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">
+                              Close a batch
+                            </label>
+                            <select
+                              value={batching.mode}
+                              onChange={(e) => handleUpdateBatching('mode', e.target.value)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                            >
+                              <option value="day">At midnight (one per day)</option>
+                              <option value="time_window">At the end of a time window</option>
+                              <option value="count">On reaching the batch size</option>
+                            </select>
+                          </div>
+                          <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">
+                              Batch size (responses)
+                            </label>
+                            <input
+                              type="number"
+                              min="1"
+                              max="5000"
+                              value={batching.batchSize}
+                              onChange={(e) => handleUpdateBatching('batchSize', parseInt(e.target.value) || DEFAULT_BATCHING.batchSize)}
+                              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                            />
+                          </div>
+                          {batching.mode === 'time_window' && (
+                            <div>
+                              <label className="block text-xs font-medium text-gray-700 mb-1">
+                                Window (hours)
+                              </label>
+                              <input
+                                type="number"
+                                min="1"
+                                max="24"
+                                value={batching.windowHours}
+                                onChange={(e) => handleUpdateBatching('windowHours', parseInt(e.target.value) || DEFAULT_BATCHING.windowHours)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                              />
+                            </div>
+                          )}
+                          {batching.mode === 'count' && (
+                            <div>
+                              <label className="block text-xs font-medium text-gray-700 mb-1">
+                                Close anyway after (hours)
+                              </label>
+                              <input
+                                type="number"
+                                min="1"
+                                max="336"
+                                value={batching.maxOpenHours}
+                                onChange={(e) => handleUpdateBatching('maxOpenHours', parseInt(e.target.value) || DEFAULT_BATCHING.maxOpenHours)}
+                                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
+                              />
+                            </div>
+                          )}
+                        </div>
+                        <p className="text-sm text-gray-500 mt-1">
+                          {batching.mode === 'time_window'
+                            ? `Batches close every ${batching.windowHours} hours from midnight IST, or earlier on reaching ${batching.batchSize} responses.`
+                            : batching.mode === 'count'
+                              ? `Batches close on reaching ${batching.batchSize} responses, or ${batching.maxOpenHours} hours after they open.`
+                              : `Batches close at midnight IST, or earlier on reaching ${batching.batchSize} responses.`}
+                        </p>
+                      </div>
+                    );
+                  })()}
+
+                  {/* Sampling Strategy */}
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Sampling Strategy
+                    </label>
+                    <select
+                      value={config.sampling?.strategy || 'random'}
+                      onChange={(e) => setConfig({ ...config, sampling: { ...(config.sampling || {}), strategy: e.target.value } })}
+                      className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                    >
+                      {Object.entries(SAMPLING_STRATEGY_LABELS).map(([value, label]) => (
+                        <option key={value} value={value}>{label}</option>
+                      ))}
+                    </select>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {{
+                        random: 'Responses are picked at random.',
+                        stratified_ac: 'The sample is split across ACs in proportion to their share of the batch.',
+                        stratified_time: 'The sample is split across morning, afternoon, evening and night interviews in proportion to their share of the batch.',
+                        risk_weighted: 'Short interviews, missing audio or GPS and heavy skipping make a response more likely to be picked.'
+                      }[config.sampling?.strategy || 'random']}
+                    </p>
+                  </div>
+
                   {/* Approval Rules */}
                   <div>
                     <div className="flex items-center justify-between mb-4">
@@ -985,12 +1240,61 @@ const QCBatchesPage = () => {
                               className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm"
                             />
                           </div>
+                          <label className="mt-3 flex items-center space-x-2 text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={!!rule.escalateInterviewer}
+                              onChange={(e) => handleUpdateRule(index, 'escalateInterviewer', e.target.checked)}
+                              className="rounded border-gray-300"
+                            />
+                            <span>Put the interviewer on 100% QC for their next batches</span>
+                          </label>
                         </div>
                       ))}
                     </div>
                     )}
                   </div>
 
+                  {/* Escalation */}
+                  {config.samplePercentage < 100 && (config.approvalRules || []).some(rule => rule.escalateInterviewer) && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Escalated QC Length (batches)
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={config.escalationBatches || 3}
+                        onChange={(e) => setConfig({ ...config, escalationBatches: parseInt(e.target.value) || 3 })}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <p className="text-sm text-gray-500 mt-1">
+                        Number of batches an escalated interviewer has fully QCed before returning to the normal sample size
+                      </p>
+                    </div>
+                  )}
+
+                  {/* Trusted interviewers */}
+                  {config.samplePercentage > 1 && (
+                    <div>
+                      <label className="block text-sm font-medium text-gray-700 mb-2">
+                        Trusted Interviewer Sample (%)
+                      </label>
+                      <input
+                        type="number"
+                        min="1"
+                        max="100"
+                        value={config.trustedSamplePercentage || 20}
+                        onChange={(e) => setConfig({ ...config, trustedSamplePercentage: parseInt(e.target.value) || 20 })}
+                        className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      />
+                      <p className="text-sm text-gray-500 mt-1">
+                        Sample size for interviewers whose trust score has reached the company's auto-approval threshold. Used only when lower than the sample percentage above.
+                      </p>
+                    </div>
+                  )}
+
                   {/* Notes */}
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">
@@ -0,0 +1,638 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Plus,
+  Trash2,
+  RefreshCw,
+  Save,
+  Grid,
+  AlertCircle,
+  Target
+} from 'lucide-react';
+import { surveyAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+
+const SOURCE_LABELS = {
+  gender: 'Gender',
+  ac: 'Assembly constituency',
+  district: 'District',
+  question: 'Answer to a question'
+};
+
+const ACTION_LABELS = {
+  screen_out: 'Screen out (end interview, keep it as Terminated)',
+  terminate: 'Terminate (end interview, discard it)'
+};
+
+// Achieved counts refresh on their own while there are no unsaved edits
+const REFRESH_INTERVAL_MS = 60000;
+
+const toKey = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9_-]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64);
+
+// Bands are edited with their answer values as comma-separated text
+const toDraftDimension = (dimension) => ({
+  ...dimension,
+  bands: (dimension.bands || []).map(band => ({
+    ...band,
+    valuesInput: (band.values || []).join(', '),
+    min: band.min ?? '',
+    max: band.max ?? ''
+  }))
+});
+
+const toPayloadDimension = (dimension) => ({
+  key: dimension.key,
+  label: dimension.label,
+  source: dimension.source,
+  questionId: dimension.source === 'question' ? dimension.questionId : undefined,
+  bands: dimension.bands.map(band => ({
+    key: band.key,
+    label: band.label,
+    values: band.valuesInput.split(',').map(value => value.trim()).filter(Boolean),
+    min: band.min,
+    max: band.max
+  }))
+});
+
+const DEFAULT_DIMENSIONS = {
+  gender: () => ({
+    key: 'gender',
+    label: 'Gender',
+    source: 'gender',
+    bands: [
+      { key: 'male', label: 'Male', valuesInput: 'male', min: '', max: '' },
+      { key: 'female', label: 'Female', valuesInput: 'female', min: '', max: '' }
+    ]
+  }),
+  ac: () => ({ key: 'ac', label: 'AC', source: 'ac', bands: [] }),
+  district: () => ({ key: 'district', label: 'District', source: 'district', bands: [] }),
+  question: () => ({ key: `q${Date.now().toString(36)}`, label: '', source: 'question', questionId: '', bands: [] })
+};
+
+const SurveyQuotasPage = () => {
+  const { surveyId } = useParams();
+  const navigate = useNavigate();
+  const { showError, showSuccess } = useToast();
+
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [surveyName, setSurveyName] = useState('');
+  const [sampleSize, setSampleSize] = useState(0);
+  const [questions, setQuestions] = useState([]);
+  const [report, setReport] = useState(null);
+  const [enabled, setEnabled] = useState(false);
+  const [fullCellAction, setFullCellAction] = useState('screen_out');
+  const [dimensions, setDimensions] = useState([]);
+  const [cells, setCells] = useState([]);
+  const [dirty, setDirty] = useState(false);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [newDimensionSource, setNewDimensionSource] = useState('gender');
+
+  const applyConfig = useCallback((data) => {
+    setReport(data.report);
+    setEnabled(data.quotaManagement);
+    setFullCellAction(data.report.fullCellAction);
+    setDimensions(data.report.dimensions.map(toDraftDimension));
+    setCells(data.report.cells.map(cell => ({
+      key: cell.key,
+      label: cell.label,
+      criteria: cell.criteria,
+      target: cell.target
+    })));
+    setDirty(false);
+    setValidationErrors([]);
+  }, []);
+
+  const fetchQuotas = useCallback(async ({ silent = false } = {}) => {
+    try {
+      if (silent) {
+        setRefreshing(true);
+      } else {
+        setLoading(true);
+      }
+      const response = await surveyAPI.getSurveyQuotas(surveyId);
+      if (response.success) {
+        setSurveyName(response.data.surveyName);
+        setSampleSize(response.data.sampleSize || 0);
+        setQuestions(response.data.questions || []);
+        if (silent) {
+          setReport(response.data.report);
+        } else {
+          applyConfig(response.data);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching quotas:', error);
+      if (!silent) showError('Failed to load quotas');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, [surveyId, showError, applyConfig]);
+
+  useEffect(() => {
+    if (surveyId) {
+      fetchQuotas();
+    }
+  }, [surveyId, fetchQuotas]);
+
+  useEffect(() => {
+    if (dirty) return undefined;
+    const interval = setInterval(() => fetchQuotas({ silent: true }), REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [dirty, fetchQuotas]);
+
+  const markDirty = () => {
+    setDirty(true);
+    setValidationErrors([]);
+  };
+
+  const updateDimension = (index, changes) => {
+    setDimensions(prev => prev.map((dimension, i) => (i === index ? { ...dimension, ...changes } : dimension)));
+    markDirty();
+  };
+
+  const updateBand = (dimensionIndex, bandIndex, changes) => {
+    const bands = dimensions[dimensionIndex].bands.map((band, i) => {
+      if (i !== bandIndex) return band;
+      const updated = { ...band, ...changes };
+      // Keys follow labels until the key is edited by hand
+      if (changes.label !== undefined && (!band.key || band.key === toKey(band.label))) {
+        updated.key = toKey(changes.label);
+      }
+      return updated;
+    });
+    updateDimension(dimensionIndex, { bands });
+  };
+
+  const handleAddDimension = () => {
+    const dimension = DEFAULT_DIMENSIONS[newDimensionSource]();
+    if (dimensions.some(existing => existing.key === dimension.key)) {
+      dimension.key = `${dimension.key}-${dimensions.length + 1}`;
+    }
+    setDimensions(prev => [...prev, dimension]);
+    markDirty();
+  };
+
+  const handleQuestionChange = (index, questionId) => {
+    const question = questions.find(q => q.id === questionId);
+    const dimension = dimensions[index];
+    updateDimension(index, {
+      questionId,
+      label: dimension.label || question?.text || '',
+      // Choice questions start with one band per option
+      bands: dimension.bands.length > 0 || !question?.options?.length
+        ? dimension.bands
+        : question.options.map(option => ({ key: toKey(option), label: option, valuesInput: option, min: '', max: '' }))
+    });
+  };
+
+  // One cell per combination of bands; targets of cells that already exist are kept
+  const handleGenerateCells = () => {
+    const usable = dimensions.filter(dimension => dimension.bands.length > 0);
+    if (usable.length === 0) {
+      showError('Add at least one dimension with bands first');
+      return;
+    }
+    let combinations = [[]];
+    usable.forEach(dimension => {
+      combinations = combinations.flatMap(combo => dimension.bands.map(band => [...combo, { dimension, band }]));
+    });
+    if (combinations.length > 2000) {
+      showError(`That would create ${combinations.length} cells; at most 2000 are allowed`);
+      return;
+    }
+
+    const existing = new Map(cells.map(cell => [cell.key, cell]));
+    const evenTarget = Math.floor(sampleSize / combinations.length);
+    setCells(combinations.map(combo => {
+      const key = combo.map(({ band }) => band.key).join('|');
+      return {
+        key,
+        label: combo.map(({ band }) => band.label || band.key).join(' × '),
+        criteria: Object.fromEntries(combo.map(({ dimension, band }) => [dimension.key, band.key])),
+        target: existing.get(key)?.target ?? evenTarget
+      };
+    }));
+    markDirty();
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setValidationErrors([]);
+      const response = await surveyAPI.updateSurveyQuotas(surveyId, {
+        enabled,
+        fullCellAction,
+        dimensions: dimensions.map(toPayloadDimension),
+        cells: cells.map(cell => ({ ...cell, target: Number(cell.target) })),
+        expectedVersion: report?.version ?? 0
+      });
+      if (response.success) {
+        const { recomputed } = response.data;
+        showSuccess(`${response.message}. ${recomputed.placed} of ${recomputed.processed} responses placed in cells.`);
+        applyConfig(response.data);
+      }
+    } catch (error) {
+      console.error('Error saving quotas:', error);
+      setValidationErrors(error.response?.data?.errors || []);
+      showError(error.response?.data?.message || 'Failed to save quotas');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#001D48] mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading quotas...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!report) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-semibold text-gray-900 mb-4">Survey Not Found</h2>
+          <button
+            onClick={() => navigate('/company/surveys')}
+            className="px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Back to Surveys
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm';
+  const reportByKey = new Map(report.cells.map(cell => [cell.key, cell]));
+  const totalTarget = cells.reduce((sum, cell) => sum + (Number(cell.target) || 0), 0);
+
+  return (
+    <div className="min-h-screen bg-gray-50 w-full">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 w-full">
+        <div className="w-full px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center space-x-4 flex-1 min-w-0">
+              <button
+                onClick={() => navigate('/company/surveys')}
+                className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors flex-shrink-0"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                <span className="hidden sm:inline">Back to Surveys</span>
+              </button>
+              <div className="h-6 w-px bg-gray-300 flex-shrink-0 hidden sm:block"></div>
+              <div className="min-w-0 flex-1">
+                <h1 className="text-lg sm:text-xl font-semibold text-gray-900 truncate">
+                  Quotas - {surveyName}
+                </h1>
+                <p className="text-sm text-gray-600">
+                  {report.version > 0 ? `Version ${report.version}` : 'No quotas saved yet'}
+                  {dirty && ' · unsaved changes'}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  onChange={(e) => { setEnabled(e.target.checked); markDirty(); }}
+                  className="rounded border-gray-300"
+                />
+                <span>Enforce quotas</span>
+              </label>
+              <button
+                onClick={() => fetchQuotas({ silent: true })}
+                disabled={refreshing}
+                className="p-2 text-gray-600 hover:text-gray-900 transition-colors"
+                title="Refresh achieved counts"
+              >
+                <RefreshCw className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving || !dirty}
+                className="flex items-center space-x-2 px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                <span>{saving ? 'Saving...' : 'Save'}</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="w-full px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {/* Summary */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-xs text-gray-500">Cells</p>
+            <p className="text-2xl font-semibold text-gray-900">{report.summary.cells}</p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-xs text-gray-500">Full cells</p>
+            <p className="text-2xl font-semibold text-gray-900">{report.summary.fullCells}</p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-xs text-gray-500">Achieved / target</p>
+            <p className="text-2xl font-semibold text-gray-900">
+              {report.summary.totalAchieved} / {report.summary.totalTarget}
+            </p>
+          </div>
+          <div className="bg-white border border-gray-200 rounded-lg p-4">
+            <p className="text-xs text-gray-500">Completion</p>
+            <p className="text-2xl font-semibold text-gray-900">{report.summary.completion}%</p>
+          </div>
+        </div>
+
+        {validationErrors.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center space-x-2 text-red-800 font-medium mb-2">
+              <AlertCircle className="w-4 h-4" />
+              <span>Please fix these quotas</span>
+            </div>
+            <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+              {validationErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {/* Cells: achieved vs target */}
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="flex items-center justify-between p-4 border-b border-gray-200">
+            <div className="flex items-center space-x-2">
+              <Target className="w-5 h-5 text-[#001D48]" />
+              <h2 className="text-base font-semibold text-gray-900">Quota cells</h2>
+              <span className="text-sm text-gray-500">
+                Target total {totalTarget}{sampleSize ? ` (sample size ${sampleSize})` : ''}
+              </span>
+            </div>
+            <button
+              onClick={handleGenerateCells}
+              className="flex items-center space-x-2 px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+            >
+              <Grid className="w-4 h-4" />
+              <span>Generate cells from dimensions</span>
+            </button>
+          </div>
+
+          {cells.length === 0 ? (
+            <div className="p-8 text-center text-gray-500 text-sm">
+              No quota cells. Add dimensions below, then generate cells.
+            </div>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm">
+                <thead className="bg-gray-50 text-gray-600">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium">Cell</th>
+                    <th className="px-4 py-2 text-left font-medium w-28">Target</th>
+                    <th className="px-4 py-2 text-left font-medium">Achieved</th>
+                    <th className="px-4 py-2 text-left font-medium w-64">Progress</th>
+                    <th className="px-4 py-2 text-left font-medium">Over quota</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {cells.map((cell, index) => {
+                    const achieved = reportByKey.get(cell.key)?.achieved || 0;
+                    const overQuota = reportByKey.get(cell.key)?.overQuota || 0;
+                    const target = Number(cell.target) || 0;
+                    const percent = target > 0 ? Math.min(100, Math.round((achieved / target) * 100)) : 100;
+                    const isFull = achieved >= target;
+                    return (
+                      <tr key={cell.key}>
+                        <td className="px-4 py-2">
+                          <input
+                            type="text"
+                            value={cell.label || ''}
+                            onChange={(e) => {
+                              setCells(prev => prev.map((c, i) => (i === index ? { ...c, label: e.target.value } : c)));
+                              markDirty();
+                            }}
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            value={cell.target}
+                            onChange={(e) => {
+                              setCells(prev => prev.map((c, i) => (i === index ? { ...c, target: e.target.value } : c)));
+                              markDirty();
+                            }}
+                            className={inputClass}
+                          />
+                        </td>
+                        <td className="px-4 py-2 text-gray-900">{achieved}</td>
+                        <td className="px-4 py-2">
+                          <div className="flex items-center space-x-2">
+                            <div className="flex-1 h-2 bg-gray-100 rounded-full overflow-hidden">
+                              <div
+                                className={`h-2 rounded-full ${isFull ? 'bg-red-500' : 'bg-green-500'}`}
+                                style={{ width: `${percent}%` }}
+                              ></div>
+                            </div>
+                            <span className={`text-xs font-medium ${isFull ? 'text-red-600' : 'text-gray-600'}`}>
+                              {isFull ? 'Full' : `${percent}%`}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-4 py-2 text-gray-600">{overQuota || '-'}</td>
+                        <td className="px-4 py-2 text-right">
+                          <button
+                            onClick={() => { setCells(prev => prev.filter((_, i) => i !== index)); markDirty(); }}
+                            className="p-1 text-gray-400 hover:text-red-600 transition-colors"
+                            title="Remove cell"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Configuration */}
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+            <div className="md:w-1/2">
+              <label className="block text-xs font-medium text-gray-700 mb-1">When a respondent's cell is full</label>
+              <select
+                value={fullCellAction}
+                onChange={(e) => { setFullCellAction(e.target.value); markDirty(); }}
+                className={inputClass}
+              >
+                {Object.entries(ACTION_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div className="flex items-center space-x-2">
+              <select
+                value={newDimensionSource}
+                onChange={(e) => setNewDimensionSource(e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleAddDimension}
+                className="flex items-center space-x-1 px-3 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors text-sm whitespace-nowrap"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add dimension</span>
+              </button>
+            </div>
+          </div>
+
+          {dimensions.length === 0 && (
+            <p className="text-sm text-gray-500">
+              Dimensions decide which cell a respondent falls in, e.g. gender, an age question, or the AC.
+            </p>
+          )}
+
+          {dimensions.map((dimension, dimensionIndex) => (
+            <div key={dimensionIndex} className="border border-gray-200 rounded-lg p-4">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-3">
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Source</label>
+                  <p className="text-sm text-gray-900 py-2">{SOURCE_LABELS[dimension.source]}</p>
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Key</label>
+                  <input
+                    type="text"
+                    value={dimension.key}
+                    onChange={(e) => updateDimension(dimensionIndex, { key: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div>
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Label</label>
+                  <input
+                    type="text"
+                    value={dimension.label || ''}
+                    onChange={(e) => updateDimension(dimensionIndex, { label: e.target.value })}
+                    className={inputClass}
+                  />
+                </div>
+                <div className="flex items-end justify-end">
+                  <button
+                    onClick={() => { setDimensions(prev => prev.filter((_, i) => i !== dimensionIndex)); markDirty(); }}
+                    className="flex items-center space-x-1 px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors text-sm"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                    <span>Remove</span>
+                  </button>
+                </div>
+              </div>
+
+              {dimension.source === 'question' && (
+                <div className="mb-3">
+                  <label className="block text-xs font-medium text-gray-700 mb-1">Question</label>
+                  <select
+                    value={dimension.questionId || ''}
+                    onChange={(e) => handleQuestionChange(dimensionIndex, e.target.value)}
+                    className={inputClass}
+                  >
+                    <option value="">Select a question</option>
+                    {questions.map(question => (
+                      <option key={question.id} value={question.id}>{question.text}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-700">
+                  <span className="col-span-3">Band label</span>
+                  <span className="col-span-2">Key</span>
+                  <span className="col-span-4">Answers (comma-separated)</span>
+                  <span className="col-span-1">Min</span>
+                  <span className="col-span-1">Max</span>
+                </div>
+                {dimension.bands.map((band, bandIndex) => (
+                  <div key={bandIndex} className="grid grid-cols-12 gap-2">
+                    <input
+                      type="text"
+                      value={band.label || ''}
+                      onChange={(e) => updateBand(dimensionIndex, bandIndex, { label: e.target.value })}
+                      className={`${inputClass} col-span-3`}
+                    />
+                    <input
+                      type="text"
+                      value={band.key || ''}
+                      onChange={(e) => updateBand(dimensionIndex, bandIndex, { key: e.target.value })}
+                      className={`${inputClass} col-span-2`}
+                    />
+                    <input
+                      type="text"
+                      value={band.valuesInput}
+                      placeholder={dimension.source === 'ac' ? 'AC name' : dimension.source === 'district' ? 'District name' : 'Answer text'}
+                      onChange={(e) => updateBand(dimensionIndex, bandIndex, { valuesInput: e.target.value })}
+                      className={`${inputClass} col-span-4`}
+                    />
+                    <input
+                      type="number"
+                      value={band.min}
+                      disabled={dimension.source !== 'question'}
+                      onChange={(e) => updateBand(dimensionIndex, bandIndex, { min: e.target.value })}
+                      className={`${inputClass} col-span-1 disabled:bg-gray-100`}
+                    />
+                    <input
+                      type="number"
+                      value={band.max}
+                      disabled={dimension.source !== 'question'}
+                      onChange={(e) => updateBand(dimensionIndex, bandIndex, { max: e.target.value })}
+                      className={`${inputClass} col-span-1 disabled:bg-gray-100`}
+                    />
+                    <button
+                      onClick={() => updateDimension(dimensionIndex, { bands: dimension.bands.filter((_, i) => i !== bandIndex) })}
+                      className="col-span-1 p-2 text-gray-400 hover:text-red-600 transition-colors"
+                      title="Remove band"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  onClick={() => updateDimension(dimensionIndex, {
+                    bands: [...dimension.bands, { key: '', label: '', valuesInput: '', min: '', max: '' }]
+                  })}
+                  className="flex items-center space-x-1 text-sm text-[#001D48] hover:underline"
+                >
+                  <Plus className="w-4 h-4" />
+                  <span>Add band</span>
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SurveyQuotasPage;
@@ -33,6 +33,7 @@ import { useToast } from '../contexts/ToastContext';
 import { useAuth } from '../contexts/AuthContext';
 import { findGenderResponse, normalizeGenderResponse } from '../utils/genderUtils';
 import { getMainText } from '../utils/translations';
+import { loadVersionQuestions, getVersionQuestion } from '../utils/surveyVersions';
 import { getACByName } from '../utils/assemblyConstituencies';
 import assemblyConstituenciesData from '../data/assemblyConstituencies.json';
 import {
@@ -73,6 +74,7 @@ const SurveyReportsPage = () => {
   const backPath = isProjectManagerRoute ? '/project-manager/survey-reports' : '/company/surveys';
   const [survey, setSurvey] = useState(null);
   const [responses, setResponses] = useState([]);
+  const [versionQuestions, setVersionQuestions] = useState(null); // Survey version -> question id -> question, for the loaded responses
   const [analyticsFromBackend, setAnalyticsFromBackend] = useState(null); // Store analytics from backend aggregation
   const [loading, setLoading] = useState(true);
   const [assignedInterviewers, setAssignedInterviewers] = useState(null); // Store assigned interviewers for project managers (null = not loaded yet, [] = loaded but empty)
@@ -427,12 +429,22 @@ const SurveyReportsPage = () => {
         let hasCatiResponses = false;
         if (response.success) {
           setResponses(response.data.responses);
+          setVersionQuestions(await loadVersionQuestions(surveyId, response.data.responses));
           // Check if there are CATI responses
           hasCatiResponses = response.data?.responses?.some(r => 
             r.interviewMode?.toUpperCase() === 'CATI'
           );
         }
-        setAnalyticsFromBackend(null); // Ensure old analytics path is taken by useMemo
+
+        // Figures come from the backend analytics store; the responses above are still used for
+        // exports and filter options, and for the figures if the store cannot be read
+        try {
+          const analyticsResponse = await surveyAPI.getSurveyAnalytics(surveyId, filters);
+          setAnalyticsFromBackend(analyticsResponse.success ? analyticsResponse.data : null);
+        } catch (analyticsError) {
+          console.error('Error fetching survey analytics:', analyticsError);
+          setAnalyticsFromBackend(null);
+        }
 
 
         // Fetch AC Performance Stats
@@ -1300,7 +1312,128 @@ const SurveyReportsPage = () => {
 
   // Analytics calculations
   const analytics = useMemo(() => {
-    // If we have analytics from backend (optimized aggregation), use it directly
+    // Helper to normalize AC name for comparison (remove extra spaces, trim, lowercase)
+    const normalizeACName = (acName) => {
+      if (!acName || typeof acName !== 'string') return '';
+      return acName.trim().toLowerCase().replace(/\s+/g, ' ');
+    };
+
+    // Helper to get AC/PC data from AC name or AC code
+    // Match by AC code (numeric) - this is the reliable way to match
+    const getACPCData = (acName, acCodeFromMap = null) => {
+      // Use AC code from map if available (more reliable)
+      let numericACCode = acCodeFromMap || '';
+      
+      // If no AC code from map, try to get from AC name
+      if (!numericACCode) {
+        const acData = getACByName(acName);
+        if (acData?.acCode) {
+          numericACCode = getNumericACCode(acData.acCode);
+        }
+      }
+      
+      // Check cache by AC code first (most reliable)
+      if (numericACCode) {
+        for (const [cachedAcName, cachedData] of acPCMappingCache.entries()) {
+          if (cachedData.acCode === numericACCode) {
+            return {
+              acCode: numericACCode,
+              pcCode: cachedData.pcCode || '',
+              pcName: cachedData.pcName || ''
+            };
+          }
+        }
+      }
+      
+      // Check cache by AC name (fallback)
+      if (acPCMappingCache.has(acName)) {
+        const cached = acPCMappingCache.get(acName);
+        return {
+          acCode: numericACCode || cached.acCode || '',
+          pcCode: cached.pcCode || '',
+          pcName: cached.pcName || ''
+        };
+      }
+      
+      // Return AC code, PC data will be fetched async and cached
+      return {
+        acCode: numericACCode,
+        pcCode: '',
+        pcName: ''
+      };
+    };
+
+    // Append the state's ACs that have no responses (ACs with responses first), and keep the full
+    // AC list on the array for the AC modal
+    const addACsWithZeroResponses = (acStatsWithResponses) => {
+      // Get all ACs for the state
+      const allStateACs = getAllACsForState();
+      console.log('🔍 Analytics - allStateACs:', allStateACs.length, 'ACs');
+      console.log('🔍 Analytics - acStatsWithResponses:', acStatsWithResponses.length, 'ACs with responses');
+      console.log('🔍 Analytics - acStatsWithResponses details:', acStatsWithResponses);
+      
+      // Create a normalized set of ACs that already have responses (for comparison)
+      const acsWithResponsesNormalized = new Set(
+        acStatsWithResponses.map(stat => normalizeACName(stat.ac))
+      );
+      console.log('🔍 Analytics - acsWithResponsesNormalized set:', Array.from(acsWithResponsesNormalized));
+      
+      // Create a map of normalized AC names to original AC names from responses
+      const normalizedToOriginalMap = new Map();
+      acStatsWithResponses.forEach(stat => {
+        const normalized = normalizeACName(stat.ac);
+        if (!normalizedToOriginalMap.has(normalized)) {
+          normalizedToOriginalMap.set(normalized, stat.ac);
+        }
+      });
+      
+      // Add ACs with 0 responses - use normalized comparison to find missing ACs
+      const acsWithZeroResponses = allStateACs
+        .filter(acName => {
+          const normalized = normalizeACName(acName);
+          return !acsWithResponsesNormalized.has(normalized);
+        })
+        .map(acName => {
+          const acPCData = getACPCData(acName);
+          return {
+            ac: acName,
+            acCode: acPCData.acCode,
+            pcCode: acPCData.pcCode,
+            pcName: acPCData.pcName,
+            count: 0,
+            capi: 0,
+            cati: 0,
+            percentage: 0,
+            interviewersCount: 0,
+            approved: 0,
+            rejected: 0,
+            underQC: 0,
+            psCovered: 0,
+            femalePercentage: 0,
+            withoutPhonePercentage: 0,
+            scPercentage: 0,
+            muslimPercentage: 0,
+            age18to24Percentage: 0,
+            age50PlusPercentage: 0
+          };
+        })
+        .sort((a, b) => a.ac.localeCompare(b.ac));
+
+      console.log('🔍 Analytics - acsWithZeroResponses:', acsWithZeroResponses.length, 'ACs with 0 responses');
+      console.log('🔍 Analytics - acsWithZeroResponses sample:', acsWithZeroResponses.slice(0, 3));
+
+      // Combine and sort: ACs with responses first, then ACs with 0 responses
+      const acStats = [...acStatsWithResponses, ...acsWithZeroResponses];
+      console.log('🔍 Analytics - Final acStats:', acStats.length, 'total ACs');
+      console.log('🔍 Analytics - Final acStats sample:', acStats.slice(0, 5));
+      
+      // Store allStateACs for use in modal (to ensure all ACs are always shown)
+      acStats._allStateACs = allStateACs;
+      return acStats;
+    };
+
+    // Analytics from the backend store (same counting rules as the AC and interviewer
+    // performance endpoints) are used as they are; only display-side additions happen here
     if (analyticsFromBackend) {
       // Add assigned interviewers with 0 responses for project managers if needed
       let interviewerStats = analyticsFromBackend.interviewerStats || [];
@@ -1342,8 +1475,19 @@ const SurveyReportsPage = () => {
         ];
       }
       
+      const acStats = addACsWithZeroResponses((analyticsFromBackend.acStats || []).map(stat => {
+        const acPCData = getACPCData(stat.ac, stat.acCode);
+        return {
+          ...stat,
+          acCode: stat.acCode || acPCData.acCode,
+          pcCode: stat.pcCode || acPCData.pcCode,
+          pcName: stat.pcName || acPCData.pcName
+        };
+      }));
+      
       return {
         ...analyticsFromBackend,
+        acStats,
         interviewerStats
       };
     }
@@ -1569,18 +1713,7 @@ const SurveyReportsPage = () => {
         if (response.status === 'Approved') {
           currentCount.approved += 1;
         } else if (response.status === 'Rejected') {
-          // Check if it's auto-rejected
-          const isAutoRejected = response.verificationData?.autoRejected === true || 
-                                 (response.verificationData?.autoRejectionReasons && 
-                                  response.verificationData.autoRejectionReasons.length > 0) ||
-                                 (response.verificationData?.feedback && (
-                                   response.verificationData.feedback.includes('Interview Too Short') ||
-                                   response.verificationData.feedback.includes('Not Voter') ||
-                                   response.verificationData.feedback.includes('Not a Registered Voter') ||
-                                   response.verificationData.feedback.includes('Duplicate Response')
-                                 ));
-          
-          if (isAutoRejected) {
+          if (response.metricValues?.autoRejected) {
             currentCount.autoRejected = (currentCount.autoRejected || 0) + 1;
           } else {
             currentCount.manualRejected = (currentCount.manualRejected || 0) + 1;
@@ -1725,18 +1858,7 @@ const SurveyReportsPage = () => {
         if (response.status === 'Approved') {
           currentCount.approved += 1;
         } else if (response.status === 'Rejected') {
-          // Check if it's auto-rejected
-          const isAutoRejected = response.verificationData?.autoRejected === true || 
-                                 (response.verificationData?.autoRejectionReasons && 
-                                  response.verificationData.autoRejectionReasons.length > 0) ||
-                                 (response.verificationData?.feedback && (
-                                   response.verificationData.feedback.includes('Interview Too Short') ||
-                                   response.verificationData.feedback.includes('Not Voter') ||
-                                   response.verificationData.feedback.includes('Not a Registered Voter') ||
-                                   response.verificationData.feedback.includes('Duplicate Response')
-                                 ));
-          
-          if (isAutoRejected) {
+          if (response.metricValues?.autoRejected) {
             currentCount.autoRejected += 1;
           } else {
             currentCount.manualRejected += 1;
@@ -1819,8 +1941,8 @@ const SurveyReportsPage = () => {
       // Gender stats - convert option code to option text
       const gender = respondentInfo.gender;
       if (gender && gender !== 'N/A') {
-        // Find the gender question in the survey
-        const genderQuestion = findGenderQuestionInSurvey(survey);
+        // Find the gender question in the survey, as the response's version had it
+        const genderQuestion = getVersionQuestion(versionQuestions, response, findGenderQuestionInSurvey(survey));
         let genderText = gender;
         
         // If we found the gender question, try to get the option text
@@ -1847,57 +1969,6 @@ const SurveyReportsPage = () => {
       dailyMap.set(date, (dailyMap.get(date) || 0) + 1);
     });
 
-    // Helper to normalize AC name for comparison (remove extra spaces, trim, lowercase)
-    const normalizeACName = (acName) => {
-      if (!acName || typeof acName !== 'string') return '';
-      return acName.trim().toLowerCase().replace(/\s+/g, ' ');
-    };
-
-    // Helper to get AC/PC data from AC name or AC code
-    // Match by AC code (numeric) - this is the reliable way to match
-    const getACPCData = (acName, acCodeFromMap = null) => {
-      // Use AC code from map if available (more reliable)
-      let numericACCode = acCodeFromMap || '';
-      
-      // If no AC code from map, try to get from AC name
-      if (!numericACCode) {
-        const acData = getACByName(acName);
-        if (acData?.acCode) {
-          numericACCode = getNumericACCode(acData.acCode);
-        }
-      }
-      
-      // Check cache by AC code first (most reliable)
-      if (numericACCode) {
-        for (const [cachedAcName, cachedData] of acPCMappingCache.entries()) {
-          if (cachedData.acCode === numericACCode) {
-            return {
-              acCode: numericACCode,
-              pcCode: cachedData.pcCode || '',
-              pcName: cachedData.pcName || ''
-            };
-          }
-        }
-      }
-      
-      // Check cache by AC name (fallback)
-      if (acPCMappingCache.has(acName)) {
-        const cached = acPCMappingCache.get(acName);
-        return {
-          acCode: numericACCode || cached.acCode || '',
-          pcCode: cached.pcCode || '',
-          pcName: cached.pcName || ''
-        };
-      }
-      
-      // Return AC code, PC data will be fetched async and cached
-      return {
-        acCode: numericACCode,
-        pcCode: '',
-        pcName: ''
-      };
-    };
-
     // Convert maps to sorted arrays - First get ACs with responses
     const acStatsWithResponses = Array.from(acMap.entries())
       .map(([ac, data]) => {
@@ -1931,69 +2002,7 @@ const SurveyReportsPage = () => {
       })
       .sort((a, b) => b.count - a.count);
 
-    // Get all ACs for the state
-    const allStateACs = getAllACsForState();
-    console.log('🔍 Analytics - allStateACs:', allStateACs.length, 'ACs');
-    console.log('🔍 Analytics - acStatsWithResponses:', acStatsWithResponses.length, 'ACs with responses');
-    console.log('🔍 Analytics - acStatsWithResponses details:', acStatsWithResponses);
-    
-    // Create a normalized set of ACs that already have responses (for comparison)
-    const acsWithResponsesNormalized = new Set(
-      acStatsWithResponses.map(stat => normalizeACName(stat.ac))
-    );
-    console.log('🔍 Analytics - acsWithResponsesNormalized set:', Array.from(acsWithResponsesNormalized));
-    
-    // Create a map of normalized AC names to original AC names from responses
-    const normalizedToOriginalMap = new Map();
-    acStatsWithResponses.forEach(stat => {
-      const normalized = normalizeACName(stat.ac);
-      if (!normalizedToOriginalMap.has(normalized)) {
-        normalizedToOriginalMap.set(normalized, stat.ac);
-      }
-    });
-    
-    // Add ACs with 0 responses - use normalized comparison to find missing ACs
-    const acsWithZeroResponses = allStateACs
-      .filter(acName => {
-        const normalized = normalizeACName(acName);
-        return !acsWithResponsesNormalized.has(normalized);
-      })
-      .map(acName => {
-        const acPCData = getACPCData(acName);
-        return {
-          ac: acName,
-          acCode: acPCData.acCode,
-          pcCode: acPCData.pcCode,
-          pcName: acPCData.pcName,
-          count: 0,
-          capi: 0,
-          cati: 0,
-          percentage: 0,
-          interviewersCount: 0,
-          approved: 0,
-          rejected: 0,
-          underQC: 0,
-          psCovered: 0,
-          femalePercentage: 0,
-          withoutPhonePercentage: 0,
-          scPercentage: 0,
-          muslimPercentage: 0,
-          age18to24Percentage: 0,
-          age50PlusPercentage: 0
-        };
-      })
-      .sort((a, b) => a.ac.localeCompare(b.ac));
-
-    console.log('🔍 Analytics - acsWithZeroResponses:', acsWithZeroResponses.length, 'ACs with 0 responses');
-    console.log('🔍 Analytics - acsWithZeroResponses sample:', acsWithZeroResponses.slice(0, 3));
-
-    // Combine and sort: ACs with responses first, then ACs with 0 responses
-    const acStats = [...acStatsWithResponses, ...acsWithZeroResponses];
-    console.log('🔍 Analytics - Final acStats:', acStats.length, 'total ACs');
-    console.log('🔍 Analytics - Final acStats sample:', acStats.slice(0, 5));
-    
-    // Store allStateACs for use in modal (to ensure all ACs are always shown)
-    acStats._allStateACs = allStateACs;
+    const acStats = addACsWithZeroResponses(acStatsWithResponses);
 
     const districtStats = Array.from(districtMap.entries())
       .map(([district, count]) => ({ district, count, percentage: (count / totalResponses) * 100 }))
@@ -2170,7 +2179,7 @@ const SurveyReportsPage = () => {
         total: capiResponsesForStats.length
       }
     };
-  }, [analyticsFromBackend, filteredResponses, survey, isProjectManagerRoute, assignedInterviewers]);
+  }, [analyticsFromBackend, filteredResponses, survey, versionQuestions, isProjectManagerRoute, assignedInterviewers]);
 
   // Fetch PC data for ACs that don't have it cached (after analytics is defined)
   // Use AC code for matching - more reliable than AC name
@@ -2265,9 +2274,7 @@ const SurveyReportsPage = () => {
 
     responses.forEach(response => {
       // Only include responses with Approved, Rejected, or Pending_Approval status
-      if (response.status === 'Approved' || 
-          response.status === 'Rejected' || 
-          response.status === 'Pending_Approval') {
+      if (response.metricValues?.interviewsCompleted) {
         const respondentInfo = getRespondentInfo(response.responses, response);
         
         if (respondentInfo.ac && respondentInfo.ac !== 'N/A') {
@@ -2330,10 +2337,7 @@ const SurveyReportsPage = () => {
       // Only include responses with Approved, Rejected, or Pending_Approval status
       // The backend already filters responses for project managers, so this list
       // will only contain interviewers assigned to the project manager
-      if (response.interviewer && 
-          (response.status === 'Approved' || 
-           response.status === 'Rejected' || 
-           response.status === 'Pending_Approval')) {
+      if (response.interviewer && response.metricValues?.interviewsCompleted) {
         const interviewerName = `${response.interviewer.firstName} ${response.interviewer.lastName}`;
         
         // Store full interviewer object for search
@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft,
+  GitCompare,
+  History,
+  Plus,
+  Minus,
+  Edit
+} from 'lucide-react';
+import { surveyAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+import { getMainText } from '../utils/translations';
+
+const FIELD_LABELS = {
+  surveyName: 'Survey name',
+  description: 'Description',
+  languages: 'Languages',
+  sets: 'Sets',
+  title: 'Title',
+  text: 'Question text',
+  textVariants: 'Translations',
+  descriptionVariants: 'Description translations',
+  type: 'Type',
+  required: 'Required',
+  questionNumber: 'Question number',
+  enabledForCAPI: 'Shown in CAPI',
+  enabledForCATI: 'Shown in CATI',
+  setsForThisQuestion: 'Belongs to a set',
+  setNumber: 'Set number',
+  conditions: 'Conditions',
+  validation: 'Validation',
+  scale: 'Scale',
+  settings: 'Settings',
+  section: 'Section',
+  code: 'Code'
+};
+
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return getMainText(String(value));
+};
+
+const formatDate = (date) => (date ? new Date(date).toLocaleString() : '');
+
+const personName = (user) => (user ? `${user.firstName || ''} ${user.lastName || ''}`.trim() || user.email : '');
+
+const optionLabel = (option) => {
+  const text = getMainText(option.text || option.value || '');
+  return option.code ? `${text} (code ${option.code})` : text;
+};
+
+const FieldChanges = ({ changes }) => (
+  <ul className="space-y-1">
+    {changes.map(change => (
+      <li key={change.field} className="text-sm">
+        <span className="font-medium text-gray-700">{FIELD_LABELS[change.field] || change.field}: </span>
+        <span className="text-red-700 line-through break-all">{formatValue(change.from)}</span>
+        <span className="text-gray-400"> → </span>
+        <span className="text-green-700 break-all">{formatValue(change.to)}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+const QuestionLabel = ({ question }) => (
+  <span>
+    {question.questionNumber && <span className="font-medium text-gray-500 mr-1">Q{question.questionNumber}.</span>}
+    <span className="text-gray-900">{getMainText(question.text || question.id)}</span>
+    <span className="text-xs text-gray-400 ml-2">{question.type}</span>
+  </span>
+);
+
+const SurveyVersionsPage = () => {
+  const { surveyId } = useParams();
+  const navigate = useNavigate();
+  const { showError } = useToast();
+
+  const [loading, setLoading] = useState(true);
+  const [data, setData] = useState(null);
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+
+  const fetchVersions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await surveyAPI.getSurveyVersions(surveyId);
+      if (response.success) {
+        setData(response.data);
+        const current = response.data.currentVersion;
+        if (current > 1) {
+          setFrom(current - 1);
+          setTo(current);
+        }
+      }
+    } catch (error) {
+      console.error('Error fetching survey versions:', error);
+      showError('Failed to load survey versions');
+    } finally {
+      setLoading(false);
+    }
+  }, [surveyId, showError]);
+
+  useEffect(() => {
+    if (surveyId) {
+      fetchVersions();
+    }
+  }, [surveyId, fetchVersions]);
+
+  useEffect(() => {
+    if (!from || !to || from === to) {
+      setDiff(null);
+      return;
+    }
+    let cancelled = false;
+    const fetchDiff = async () => {
+      try {
+        setDiffLoading(true);
+        const response = await surveyAPI.getSurveyVersionDiff(surveyId, from, to);
+        if (!cancelled && response.success) {
+          setDiff(response.data.diff);
+        }
+      } catch (error) {
+        console.error('Error comparing survey versions:', error);
+        if (!cancelled) showError(error.response?.data?.message || 'Failed to compare versions');
+      } finally {
+        if (!cancelled) setDiffLoading(false);
+      }
+    };
+    fetchDiff();
+    return () => { cancelled = true; };
+  }, [surveyId, from, to, showError]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#001D48] mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading versions...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!data) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <h2 className="text-2xl font-semibold text-gray-900 mb-4">Survey Not Found</h2>
+          <button
+            onClick={() => navigate('/company/surveys')}
+            className="px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors"
+          >
+            Back to Surveys
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const selectClass = 'px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm';
+  const compareWithPrevious = (version) => {
+    setFrom(version - 1);
+    setTo(version);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 w-full">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 w-full">
+        <div className="w-full px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center h-16 space-x-4 min-w-0">
+            <button
+              onClick={() => navigate('/company/surveys')}
+              className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors flex-shrink-0"
+            >
+              <ArrowLeft className="w-5 h-5" />
+              <span className="hidden sm:inline">Back to Surveys</span>
+            </button>
+            <div className="h-6 w-px bg-gray-300 flex-shrink-0 hidden sm:block"></div>
+            <div className="min-w-0 flex-1">
+              <h1 className="text-lg sm:text-xl font-semibold text-gray-900 truncate">
+                Versions - {data.surveyName}
+              </h1>
+              <p className="text-sm text-gray-600">
+                {data.currentVersion > 0 ? `Current version ${data.currentVersion}` : 'Not published yet'}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="w-full px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {/* Versions */}
+        <div className="bg-white border border-gray-200 rounded-lg">
+          <div className="flex items-center space-x-2 p-4 border-b border-gray-200">
+            <History className="w-5 h-5 text-[#001D48]" />
+            <h2 className="text-base font-semibold text-gray-900">Published versions</h2>
+            {data.unpinnedResponses > 0 && (
+              <span className="text-sm text-gray-500">
+                {data.unpinnedResponses} response{data.unpinnedResponses === 1 ? '' : 's'} not pinned to a version yet
+              </span>
+            )}
+          </div>
+          {data.versions.length === 0 ? (
+            <p className="p-4 text-sm text-gray-600">
+              Versions are recorded when the survey is published and whenever a published survey's questionnaire is edited.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Version</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Published</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">By</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-600">Note</th>
+                    <th className="px-4 py-2 text-right font-medium text-gray-600">Responses</th>
+                    <th className="px-4 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {data.versions.map(version => (
+                    <tr key={version.version}>
+                      <td className="px-4 py-2 font-medium text-gray-900">
+                        v{version.version}
+                        {version.version === data.currentVersion && (
+                          <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-800">current</span>
+                        )}
+                      </td>
+                      <td className="px-4 py-2 text-gray-700">{formatDate(version.createdAt)}</td>
+                      <td className="px-4 py-2 text-gray-700">{personName(version.publishedBy)}</td>
+                      <td className="px-4 py-2 text-gray-700">{version.changeNote || ''}</td>
+                      <td className="px-4 py-2 text-right text-gray-900">{version.responseCount}</td>
+                      <td className="px-4 py-2 text-right">
+                        {version.version > 1 && (
+                          <button
+                            onClick={() => compareWithPrevious(version.version)}
+                            className="text-sm text-[#001D48] hover:underline"
+                          >
+                            Compare with v{version.version - 1}
+                          </button>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+
+        {/* Diff */}
+        {data.versions.length > 1 && (
+          <div className="bg-white border border-gray-200 rounded-lg">
+            <div className="flex flex-wrap items-center gap-3 p-4 border-b border-gray-200">
+              <GitCompare className="w-5 h-5 text-[#001D48]" />
+              <h2 className="text-base font-semibold text-gray-900">Compare</h2>
+              <select value={from || ''} onChange={(e) => setFrom(Number(e.target.value))} className={selectClass}>
+                {data.versions.map(version => (
+                  <option key={version.version} value={version.version}>v{version.version}</option>
+                ))}
+              </select>
+              <span className="text-gray-500">→</span>
+              <select value={to || ''} onChange={(e) => setTo(Number(e.target.value))} className={selectClass}>
+                {data.versions.map(version => (
+                  <option key={version.version} value={version.version}>v{version.version}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="p-4 space-y-6">
+              {from === to && <p className="text-sm text-gray-600">Pick two different versions.</p>}
+              {diffLoading && <p className="text-sm text-gray-600">Comparing...</p>}
+              {!diffLoading && diff && (
+                <>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <div className="border border-gray-200 rounded-lg p-3">
+                      <p className="text-xs text-gray-500">Questions added</p>
+                      <p className="text-xl font-semibold text-green-700">{diff.summary.questionsAdded}</p>
+                    </div>
+                    <div className="border border-gray-200 rounded-lg p-3">
+                      <p className="text-xs text-gray-500">Questions removed</p>
+                      <p className="text-xl font-semibold text-red-700">{diff.summary.questionsRemoved}</p>
+                    </div>
+                    <div className="border border-gray-200 rounded-lg p-3">
+                      <p className="text-xs text-gray-500">Questions changed</p>
+                      <p className="text-xl font-semibold text-amber-700">{diff.summary.questionsChanged}</p>
+                    </div>
+                    <div className="border border-gray-200 rounded-lg p-3">
+                      <p className="text-xs text-gray-500">Section changes</p>
+                      <p className="text-xl font-semibold text-gray-900">{diff.summary.sectionsChanged}</p>
+                    </div>
+                  </div>
+
+                  {diff.survey.length > 0 && (
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-900 mb-2">Survey</h3>
+                      <FieldChanges changes={diff.survey} />
+                    </div>
+                  )}
+
+                  {(diff.sections.added.length > 0 || diff.sections.removed.length > 0 || diff.sections.changed.length > 0) && (
+                    <div>
+                      <h3 className="text-sm font-semibold text-gray-900 mb-2">Sections</h3>
+                      <ul className="space-y-2 text-sm">
+                        {diff.sections.added.map(section => (
+                          <li key={`added-${section.id}`} className="flex items-center space-x-2 text-green-700">
+                            <Plus className="w-4 h-4" /><span>{getMainText(section.title)}</span>
+                          </li>
+                        ))}
+                        {diff.sections.removed.map(section => (
+                          <li key={`removed-${section.id}`} className="flex items-center space-x-2 text-red-700">
+                            <Minus className="w-4 h-4" /><span>{getMainText(section.title)}</span>
+                          </li>
+                        ))}
+                        {diff.sections.changed.map(section => (
+                          <li key={`changed-${section.id}`}>
+                            <div className="flex items-center space-x-2 text-amber-700">
+                              <Edit className="w-4 h-4" /><span>{getMainText(section.title)}</span>
+                            </div>
+                            <div className="ml-6 mt-1"><FieldChanges changes={section.changes} /></div>
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  <div>
+                    <h3 className="text-sm font-semibold text-gray-900 mb-2">Questions</h3>
+                    {diff.summary.questionsAdded + diff.summary.questionsRemoved + diff.summary.questionsChanged === 0 ? (
+                      <p className="text-sm text-gray-600">No question changes.</p>
+                    ) : (
+                      <ul className="space-y-3 text-sm">
+                        {diff.questions.added.map(question => (
+                          <li key={`added-${question.id}`} className="flex items-start space-x-2">
+                            <Plus className="w-4 h-4 mt-0.5 text-green-700 flex-shrink-0" />
+                            <QuestionLabel question={question} />
+                          </li>
+                        ))}
+                        {diff.questions.removed.map(question => (
+                          <li key={`removed-${question.id}`} className="flex items-start space-x-2">
+                            <Minus className="w-4 h-4 mt-0.5 text-red-700 flex-shrink-0" />
+                            <QuestionLabel question={question} />
+                          </li>
+                        ))}
+                        {diff.questions.changed.map(question => (
+                          <li key={`changed-${question.id}`} className="border border-gray-100 rounded-lg p-3">
+                            <div className="flex items-start space-x-2 mb-2">
+                              <Edit className="w-4 h-4 mt-0.5 text-amber-700 flex-shrink-0" />
+                              <QuestionLabel question={question} />
+                            </div>
+                            <div className="ml-6 space-y-1">
+                              {question.changes.length > 0 && <FieldChanges changes={question.changes} />}
+                              {question.options.added.map(option => (
+                                <p key={`opt-added-${option.value}`} className="text-green-700">+ Option {optionLabel(option)}</p>
+                              ))}
+                              {question.options.removed.map(option => (
+                                <p key={`opt-removed-${option.value}`} className="text-red-700">− Option {optionLabel(option)}</p>
+                              ))}
+                              {question.options.changed.map(option => (
+                                <div key={`opt-changed-${option.value}`}>
+                                  <p className="text-gray-700">Option “{option.value}”</p>
+                                  <div className="ml-4"><FieldChanges changes={option.changes} /></div>
+                                </div>
+                              ))}
+                            </div>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                </>
+              )}
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SurveyVersionsPage;
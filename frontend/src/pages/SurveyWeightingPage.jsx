@@ -0,0 +1,596 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  ArrowLeft,
+  Plus,
+  Trash2,
+  RefreshCw,
+  Save,
+  AlertCircle,
+  Scale
+} from 'lucide-react';
+import { surveyAPI } from '../services/api';
+import { useToast } from '../contexts/ToastContext';
+
+const SOURCE_LABELS = {
+  gender: 'Gender',
+  ac: 'Assembly constituency',
+  district: 'District',
+  question: 'Answer to a question'
+};
+
+const toKey = (value) => String(value || '')
+  .trim()
+  .toLowerCase()
+  .replace(/[^a-z0-9_-]+/g, '-')
+  .replace(/^-+|-+$/g, '')
+  .slice(0, 64);
+
+const emptyBand = () => ({ key: '', label: '', valuesInput: '', min: '', max: '', target: '', designWeight: '' });
+
+// Bands are edited with their answer values as comma-separated text
+const toDraftDimension = (dimension) => ({
+  ...dimension,
+  rake: dimension.rake !== false,
+  bands: (dimension.bands || []).map(band => ({
+    ...band,
+    valuesInput: (band.values || []).join(', '),
+    min: band.min ?? '',
+    max: band.max ?? '',
+    target: band.target ?? '',
+    designWeight: band.designWeight ?? ''
+  }))
+});
+
+const toPayloadDimension = (dimension) => ({
+  key: dimension.key,
+  label: dimension.label,
+  source: dimension.source,
+  questionId: dimension.source === 'question' ? dimension.questionId : undefined,
+  rake: dimension.rake,
+  bands: dimension.bands.map(band => ({
+    key: band.key,
+    label: band.label,
+    values: band.valuesInput.split(',').map(value => value.trim()).filter(Boolean),
+    min: band.min,
+    max: band.max,
+    target: band.target,
+    designWeight: band.designWeight
+  }))
+});
+
+const DEFAULT_DIMENSIONS = {
+  gender: () => ({
+    key: 'gender',
+    label: 'Gender',
+    source: 'gender',
+    rake: true,
+    bands: [
+      { ...emptyBand(), key: 'male', label: 'Male', valuesInput: 'male', target: 50 },
+      { ...emptyBand(), key: 'female', label: 'Female', valuesInput: 'female', target: 50 }
+    ]
+  }),
+  ac: () => ({ key: 'ac', label: 'AC', source: 'ac', rake: true, bands: [] }),
+  district: () => ({ key: 'district', label: 'District', source: 'district', rake: true, bands: [] }),
+  question: () => ({ key: `q${Date.now().toString(36)}`, label: '', source: 'question', questionId: '', rake: true, bands: [] })
+};
+
+const SurveyWeightingPage = () => {
+  const { surveyId } = useParams();
+  const navigate = useNavigate();
+  const { showError, showSuccess } = useToast();
+
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [surveyName, setSurveyName] = useState('');
+  const [questions, setQuestions] = useState([]);
+  const [version, setVersion] = useState(0);
+  const [enabled, setEnabled] = useState(false);
+  const [dimensions, setDimensions] = useState([]);
+  const [outcomeQuestions, setOutcomeQuestions] = useState([]);
+  const [settings, setSettings] = useState({ maxIterations: 50, tolerance: 0.1, trimMin: 0.2, trimMax: 5 });
+  const [estimates, setEstimates] = useState(null);
+  const [dirty, setDirty] = useState(false);
+  const [validationErrors, setValidationErrors] = useState([]);
+  const [newDimensionSource, setNewDimensionSource] = useState('gender');
+
+  const applyConfig = useCallback((weighting) => {
+    setVersion(weighting.version || 0);
+    setEnabled(!!weighting.enabled);
+    setDimensions((weighting.dimensions || []).map(toDraftDimension));
+    setOutcomeQuestions(weighting.outcomeQuestions || []);
+    setSettings({
+      maxIterations: weighting.maxIterations ?? 50,
+      tolerance: weighting.tolerance ?? 0.1,
+      trimMin: weighting.trimMin ?? 0.2,
+      trimMax: weighting.trimMax ?? 5
+    });
+    setDirty(false);
+    setValidationErrors([]);
+  }, []);
+
+  // Sample and weighted shares of each band, with the saved configuration
+  const fetchEstimates = useCallback(async () => {
+    try {
+      setRefreshing(true);
+      const response = await surveyAPI.getWeightedEstimates(surveyId);
+      if (response.success) {
+        setEstimates(response.data);
+      }
+    } catch (error) {
+      console.error('Error fetching weighted estimates:', error);
+    } finally {
+      setRefreshing(false);
+    }
+  }, [surveyId]);
+
+  const fetchWeighting = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await surveyAPI.getSurveyWeighting(surveyId);
+      if (response.success) {
+        setSurveyName(response.data.surveyName);
+        setQuestions(response.data.questions || []);
+        applyConfig(response.data.weighting);
+      }
+    } catch (error) {
+      console.error('Error fetching weighting:', error);
+      showError('Failed to load weighting');
+    } finally {
+      setLoading(false);
+    }
+  }, [surveyId, showError, applyConfig]);
+
+  useEffect(() => {
+    if (surveyId) {
+      fetchWeighting();
+      fetchEstimates();
+    }
+  }, [surveyId, fetchWeighting, fetchEstimates]);
+
+  const markDirty = () => {
+    setDirty(true);
+    setValidationErrors([]);
+  };
+
+  const updateDimension = (index, changes) => {
+    setDimensions(prev => prev.map((dimension, i) => (i === index ? { ...dimension, ...changes } : dimension)));
+    markDirty();
+  };
+
+  const updateBand = (dimensionIndex, bandIndex, changes) => {
+    const bands = dimensions[dimensionIndex].bands.map((band, i) => {
+      if (i !== bandIndex) return band;
+      const updated = { ...band, ...changes };
+      // Keys follow labels until the key is edited by hand
+      if (changes.label !== undefined && (!band.key || band.key === toKey(band.label))) {
+        updated.key = toKey(changes.label);
+      }
+      return updated;
+    });
+    updateDimension(dimensionIndex, { bands });
+  };
+
+  const handleAddDimension = () => {
+    const dimension = DEFAULT_DIMENSIONS[newDimensionSource]();
+    if (dimensions.some(existing => existing.key === dimension.key)) {
+      dimension.key = `${dimension.key}-${dimensions.length + 1}`;
+    }
+    setDimensions(prev => [...prev, dimension]);
+    markDirty();
+  };
+
+  const handleQuestionChange = (index, questionId) => {
+    const question = questions.find(q => q.id === questionId);
+    const dimension = dimensions[index];
+    updateDimension(index, {
+      questionId,
+      label: dimension.label || question?.text || '',
+      // Choice questions start with one band per option
+      bands: dimension.bands.length > 0 || !question?.options?.length
+        ? dimension.bands
+        : question.options.map(option => ({ ...emptyBand(), key: toKey(option), label: option, valuesInput: option }))
+    });
+  };
+
+  const toggleOutcomeQuestion = (questionId) => {
+    setOutcomeQuestions(prev => (prev.includes(questionId)
+      ? prev.filter(id => id !== questionId)
+      : [...prev, questionId]));
+    markDirty();
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setValidationErrors([]);
+      const response = await surveyAPI.updateSurveyWeighting(surveyId, {
+        enabled,
+        dimensions: dimensions.map(toPayloadDimension),
+        outcomeQuestions,
+        maxIterations: Number(settings.maxIterations),
+        tolerance: Number(settings.tolerance),
+        trimMin: Number(settings.trimMin),
+        trimMax: Number(settings.trimMax),
+        expectedVersion: version
+      });
+      if (response.success) {
+        showSuccess(response.message);
+        applyConfig(response.data.weighting);
+        fetchEstimates();
+      }
+    } catch (error) {
+      console.error('Error saving weighting:', error);
+      setValidationErrors(error.response?.data?.errors || []);
+      showError(error.response?.data?.message || 'Failed to save weighting');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-[#001D48] mx-auto"></div>
+          <p className="mt-4 text-gray-600">Loading weighting...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 text-sm';
+  const marginsByKey = new Map((estimates?.margins || []).map(margin => [margin.key, margin]));
+
+  return (
+    <div className="min-h-screen bg-gray-50 w-full">
+      {/* Header */}
+      <div className="bg-white border-b border-gray-200 w-full">
+        <div className="w-full px-4 sm:px-6 lg:px-8">
+          <div className="flex items-center justify-between h-16">
+            <div className="flex items-center space-x-4 flex-1 min-w-0">
+              <button
+                onClick={() => navigate('/company/surveys')}
+                className="flex items-center space-x-2 text-gray-600 hover:text-gray-900 transition-colors flex-shrink-0"
+              >
+                <ArrowLeft className="w-5 h-5" />
+                <span className="hidden sm:inline">Back to Surveys</span>
+              </button>
+              <div className="h-6 w-px bg-gray-300 flex-shrink-0 hidden sm:block"></div>
+              <div className="min-w-0 flex-1">
+                <h1 className="text-lg sm:text-xl font-semibold text-gray-900 truncate">
+                  Weighting - {surveyName}
+                </h1>
+                <p className="text-sm text-gray-600">
+                  {version > 0 ? `Version ${version}` : 'No weighting saved yet'}
+                  {dirty && ' · unsaved changes'}
+                </p>
+              </div>
+            </div>
+            <div className="flex items-center space-x-3">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={enabled}
+                  onChange={(e) => { setEnabled(e.target.checked); markDirty(); }}
+                  className="rounded border-gray-300"
+                />
+                <span>Apply weights</span>
+              </label>
+              <button
+                onClick={fetchEstimates}
+                disabled={refreshing}
+                className="p-2 text-gray-600 hover:text-gray-900 transition-colors"
+                title="Refresh sample and weighted shares"
+              >
+                <RefreshCw className={`w-5 h-5 ${refreshing ? 'animate-spin' : ''}`} />
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={saving || !dirty}
+                className="flex items-center space-x-2 px-4 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors text-sm disabled:opacity-50"
+              >
+                <Save className="w-4 h-4" />
+                <span>{saving ? 'Saving...' : 'Save'}</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="w-full px-4 sm:px-6 lg:px-8 py-6 space-y-6">
+        {/* Summary of the saved weighting over approved and pending responses */}
+        {estimates && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Respondents</p>
+              <p className="text-2xl font-semibold text-gray-900">{estimates.sample.respondents}</p>
+            </div>
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Effective sample size</p>
+              <p className="text-2xl font-semibold text-gray-900">{estimates.sample.effectiveSampleSize}</p>
+            </div>
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Design effect</p>
+              <p className="text-2xl font-semibold text-gray-900">{estimates.sample.designEffect}</p>
+            </div>
+            <div className="bg-white border border-gray-200 rounded-lg p-4">
+              <p className="text-xs text-gray-500">Weight range</p>
+              <p className="text-2xl font-semibold text-gray-900">
+                {estimates.sample.minWeight} – {estimates.sample.maxWeight}
+              </p>
+              {estimates.weighting.applied && (
+                <p className={`text-xs ${estimates.weighting.converged ? 'text-green-600' : 'text-amber-600'}`}>
+                  {estimates.weighting.converged ? 'Converged' : 'Not converged'} after {estimates.weighting.iterations} iteration(s)
+                </p>
+              )}
+            </div>
+          </div>
+        )}
+
+        {estimates?.weighting.warnings.length > 0 && (
+          <div className="bg-amber-50 border border-amber-200 rounded-lg p-4">
+            <ul className="list-disc list-inside text-sm text-amber-800 space-y-1">
+              {estimates.weighting.warnings.map(warning => <li key={warning}>{warning}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {validationErrors.length > 0 && (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+            <div className="flex items-center space-x-2 text-red-800 font-medium mb-2">
+              <AlertCircle className="w-4 h-4" />
+              <span>Please fix the weighting</span>
+            </div>
+            <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+              {validationErrors.map(error => <li key={error}>{error}</li>)}
+            </ul>
+          </div>
+        )}
+
+        {/* Outcome questions and raking settings */}
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="flex items-center space-x-2">
+            <Scale className="w-5 h-5 text-[#001D48]" />
+            <h2 className="text-base font-semibold text-gray-900">Estimates</h2>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-700 mb-1">
+              Outcome questions (shown as weighted shares in the findings dashboard)
+            </label>
+            <div className="max-h-48 overflow-y-auto border border-gray-200 rounded-lg divide-y divide-gray-100">
+              {questions.filter(question => question.options?.length > 0).map(question => (
+                <label key={question.id} className="flex items-center space-x-2 px-3 py-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={outcomeQuestions.includes(question.id)}
+                    onChange={() => toggleOutcomeQuestion(question.id)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{question.text}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+            {[
+              ['maxIterations', 'Max iterations', '1'],
+              ['tolerance', 'Tolerance (percentage points)', '0.01'],
+              ['trimMin', 'Minimum weight (× mean)', '0.05'],
+              ['trimMax', 'Maximum weight (× mean)', '0.5']
+            ].map(([key, label, step]) => (
+              <div key={key}>
+                <label className="block text-xs font-medium text-gray-700 mb-1">{label}</label>
+                <input
+                  type="number"
+                  step={step}
+                  value={settings[key]}
+                  onChange={(e) => { setSettings(prev => ({ ...prev, [key]: e.target.value })); markDirty(); }}
+                  className={inputClass}
+                />
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {/* Dimensions */}
+        <div className="bg-white border border-gray-200 rounded-lg p-4 space-y-4">
+          <div className="flex items-center justify-between">
+            <h2 className="text-base font-semibold text-gray-900">Weighting dimensions</h2>
+            <div className="flex items-center space-x-2">
+              <select
+                value={newDimensionSource}
+                onChange={(e) => setNewDimensionSource(e.target.value)}
+                className={inputClass}
+              >
+                {Object.entries(SOURCE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <button
+                onClick={handleAddDimension}
+                className="flex items-center space-x-1 px-3 py-2 bg-[#001D48] text-white rounded-lg hover:bg-blue-700 transition-colors text-sm whitespace-nowrap"
+              >
+                <Plus className="w-4 h-4" />
+                <span>Add dimension</span>
+              </button>
+            </div>
+          </div>
+
+          {dimensions.length === 0 && (
+            <p className="text-sm text-gray-500">
+              Dimensions group respondents into bands, e.g. gender or age groups. Give each band its population
+              share to rake the sample to it, or a design weight to correct for how it was sampled.
+            </p>
+          )}
+
+          {dimensions.map((dimension, dimensionIndex) => {
+            const margin = marginsByKey.get(dimension.key);
+            const targetTotal = dimension.bands.reduce((sum, band) => sum + (Number(band.target) || 0), 0);
+            return (
+              <div key={dimensionIndex} className="border border-gray-200 rounded-lg p-4">
+                <div className="grid grid-cols-1 md:grid-cols-5 gap-3 mb-3">
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Source</label>
+                    <p className="text-sm text-gray-900 py-2">{SOURCE_LABELS[dimension.source]}</p>
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Key</label>
+                    <input
+                      type="text"
+                      value={dimension.key}
+                      onChange={(e) => updateDimension(dimensionIndex, { key: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Label</label>
+                    <input
+                      type="text"
+                      value={dimension.label || ''}
+                      onChange={(e) => updateDimension(dimensionIndex, { label: e.target.value })}
+                      className={inputClass}
+                    />
+                  </div>
+                  <div className="flex items-end">
+                    <label className="flex items-center space-x-2 text-sm text-gray-700 py-2">
+                      <input
+                        type="checkbox"
+                        checked={dimension.rake}
+                        onChange={(e) => updateDimension(dimensionIndex, { rake: e.target.checked })}
+                        className="rounded border-gray-300"
+                      />
+                      <span>Rake to targets</span>
+                    </label>
+                  </div>
+                  <div className="flex items-end justify-end">
+                    <button
+                      onClick={() => { setDimensions(prev => prev.filter((_, i) => i !== dimensionIndex)); markDirty(); }}
+                      className="flex items-center space-x-1 px-3 py-2 text-red-600 hover:bg-red-50 rounded-lg transition-colors text-sm"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                      <span>Remove</span>
+                    </button>
+                  </div>
+                </div>
+
+                {dimension.source === 'question' && (
+                  <div className="mb-3">
+                    <label className="block text-xs font-medium text-gray-700 mb-1">Question</label>
+                    <select
+                      value={dimension.questionId || ''}
+                      onChange={(e) => handleQuestionChange(dimensionIndex, e.target.value)}
+                      className={inputClass}
+                    >
+                      <option value="">Select a question</option>
+                      {questions.map(question => (
+                        <option key={question.id} value={question.id}>{question.text}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
+                <div className="space-y-2">
+                  <div className="grid grid-cols-12 gap-2 text-xs font-medium text-gray-700">
+                    <span className="col-span-2">Band label</span>
+                    <span className="col-span-2">Key</span>
+                    <span className="col-span-2">Answers (comma-separated)</span>
+                    <span className="col-span-1">Min</span>
+                    <span className="col-span-1">Max</span>
+                    <span className="col-span-1">Target %</span>
+                    <span className="col-span-1">Design weight</span>
+                    <span className="col-span-1">Sample → weighted</span>
+                  </div>
+                  {dimension.bands.map((band, bandIndex) => {
+                    const shares = margin?.bands.find(row => row.key === band.key);
+                    return (
+                      <div key={bandIndex} className="grid grid-cols-12 gap-2 items-center">
+                        <input
+                          type="text"
+                          value={band.label || ''}
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { label: e.target.value })}
+                          className={`${inputClass} col-span-2`}
+                        />
+                        <input
+                          type="text"
+                          value={band.key || ''}
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { key: e.target.value })}
+                          className={`${inputClass} col-span-2`}
+                        />
+                        <input
+                          type="text"
+                          value={band.valuesInput}
+                          placeholder={dimension.source === 'ac' ? 'AC name' : dimension.source === 'district' ? 'District name' : 'Answer text'}
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { valuesInput: e.target.value })}
+                          className={`${inputClass} col-span-2`}
+                        />
+                        <input
+                          type="number"
+                          value={band.min}
+                          disabled={dimension.source !== 'question'}
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { min: e.target.value })}
+                          className={`${inputClass} col-span-1 disabled:bg-gray-100`}
+                        />
+                        <input
+                          type="number"
+                          value={band.max}
+                          disabled={dimension.source !== 'question'}
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { max: e.target.value })}
+                          className={`${inputClass} col-span-1 disabled:bg-gray-100`}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          max="100"
+                          value={band.target}
+                          disabled={!dimension.rake}
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { target: e.target.value })}
+                          className={`${inputClass} col-span-1 disabled:bg-gray-100`}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          step="0.1"
+                          value={band.designWeight}
+                          placeholder="1"
+                          onChange={(e) => updateBand(dimensionIndex, bandIndex, { designWeight: e.target.value })}
+                          className={`${inputClass} col-span-1`}
+                        />
+                        <span className="col-span-1 text-xs text-gray-600">
+                          {shares ? `${shares.unweightedShare}% → ${shares.weightedShare}%` : '-'}
+                        </span>
+                        <button
+                          onClick={() => updateDimension(dimensionIndex, { bands: dimension.bands.filter((_, i) => i !== bandIndex) })}
+                          className="col-span-1 p-2 text-gray-400 hover:text-red-600 transition-colors"
+                          title="Remove band"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      </div>
+                    );
+                  })}
+                  <div className="flex items-center justify-between">
+                    <button
+                      onClick={() => updateDimension(dimensionIndex, { bands: [...dimension.bands, emptyBand()] })}
+                      className="flex items-center space-x-1 text-sm text-[#001D48] hover:underline"
+                    >
+                      <Plus className="w-4 h-4" />
+                      <span>Add band</span>
+                    </button>
+                    <span className="text-xs text-gray-500">
+                      {dimension.rake && `Targets add up to ${Math.round(targetTotal * 100) / 100}%`}
+                      {margin?.unmatched > 0 && ` · ${margin.unmatched} respondent(s) in no band`}
+                    </span>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SurveyWeightingPage;
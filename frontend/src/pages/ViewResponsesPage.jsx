@@ -22,6 +22,7 @@ import { surveyResponseAPI, surveyAPI } from '../services/api';
 import { useToast } from '../contexts/ToastContext';
 import ResponseDetailsModal from '../components/dashboard/ResponseDetailsModal';
 import { getMainText } from '../utils/translations';
+import { loadVersionQuestions, getVersionQuestion } from '../utils/surveyVersions';
 import assemblyConstituenciesData from '../data/assemblyConstituencies.json';
 
 const ViewResponsesPage = () => {
@@ -2482,6 +2483,9 @@ const ViewResponsesPage = () => {
       pollingDataMap.set(acCode, data);
     });
 
+    // Question text and option codes of the survey versions these responses were collected against
+    const versionQuestions = await loadVersionQuestions(surveyId, filteredResponses);
+
     // Create CSV data rows
     const csvData = filteredResponses.map((response, rowIndex) => {
       // Extract AC and polling station from responses
@@ -2581,7 +2585,10 @@ const ViewResponsesPage = () => {
       // Extract answers for each question in the survey
       const answers = [];
       
-      regularQuestions.forEach((surveyQuestion, questionIndex) => {
+      regularQuestions.forEach((columnQuestion, questionIndex) => {
+        // Columns follow the current survey; text and option codes come from the response's own version
+        const surveyQuestion = getVersionQuestion(versionQuestions, response, columnQuestion);
+
         // Try to find matching answer by questionId first
         let matchingAnswer = null;
         
@@ -2797,8 +2804,8 @@ const ViewResponsesPage = () => {
           // Use the same questionNumber logic as in header generation (index + 1 from sorted array)
           // This ensures consistency between headers and data rows
           const questionNumber = questionIndex + 1;
-          const questionCode = getQuestionCodeFromTemplate(surveyQuestion, questionNumber);
-          const hasIndependentOption = surveyQuestion.options && surveyQuestion.options.some(opt => {
+          const questionCode = getQuestionCodeFromTemplate(columnQuestion, questionNumber);
+          const hasIndependentOption = columnQuestion.options && columnQuestion.options.some(opt => {
             const optText = typeof opt === 'object' ? opt.text : opt;
             const optLower = String(optText).toLowerCase();
             return optLower.includes('independent') && !optLower.includes('other');
@@ -445,6 +445,26 @@ export const surveyAPI = {
     }
   },
 
+  // Evaluate report metrics (see utils/reportMetrics.js) with the common report filter
+  getSurveyMetrics: async (surveyId, { metrics, groupBy, ...filters } = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (metrics && metrics.length > 0) params.append('metrics', [].concat(metrics).join(','));
+      if (groupBy) params.append('groupBy', groupBy);
+      ['dateRange', 'startDate', 'endDate', 'status', 'interviewMode', 'ac', 'interviewerMode'].forEach(key => {
+        if (filters[key]) params.append(key, filters[key]);
+      });
+      if (filters.interviewerIds && filters.interviewerIds.length > 0) {
+        params.append('interviewerIds', [].concat(filters.interviewerIds).join(','));
+      }
+
+      const response = await api.get(`/api/surveys/${surveyId}/metrics?${params.toString()}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Update an existing survey
   updateSurvey: async (id, surveyData) => {
     try {
@@ -609,6 +629,155 @@ export const surveyAPI = {
     } catch (error) {
       throw error;
     }
+  },
+
+  // Get CATI retry policy (callbacks, attempt limits, calling hours)
+  getCatiRetryPolicy: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/cati-retry-policy`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update CATI retry policy
+  updateCatiRetryPolicy: async (surveyId, policy) => {
+    try {
+      const response = await api.put(`/api/surveys/${surveyId}/cati-retry-policy`, policy);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get auto-rejection rules (current rule set, defaults and builder options)
+  getAutoRejectionRules: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/auto-rejection-rules`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save auto-rejection rules as a new version
+  updateAutoRejectionRules: async (surveyId, ruleSet) => {
+    try {
+      const response = await api.put(`/api/surveys/${surveyId}/auto-rejection-rules`, ruleSet);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Count how many existing responses the given (or saved) rules would reject
+  dryRunAutoRejectionRules: async (surveyId, ruleSet = {}) => {
+    try {
+      const response = await api.post(`/api/surveys/${surveyId}/auto-rejection-rules/dry-run`, ruleSet);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get saved auto-rejection rule versions with rejection counts
+  getAutoRejectionRuleVersions: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/auto-rejection-rules/versions`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get quota cells with achieved vs target per cell
+  getSurveyQuotas: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/quotas`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save quota dimensions and cells
+  updateSurveyQuotas: async (surveyId, quotas) => {
+    try {
+      const response = await api.put(`/api/surveys/${surveyId}/quotas`, quotas);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get the weighting configuration (dimensions, targets, design weights, outcome questions)
+  getSurveyWeighting: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/weighting`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Save the weighting configuration
+  updateSurveyWeighting: async (surveyId, weighting) => {
+    try {
+      const response = await api.put(`/api/surveys/${surveyId}/weighting`, weighting);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get weighted estimates for outcome questions with the common report filter
+  getWeightedEstimates: async (surveyId, { questionIds, ...filters } = {}) => {
+    try {
+      const params = new URLSearchParams();
+      if (questionIds && questionIds.length > 0) params.append('questionIds', [].concat(questionIds).join(','));
+      ['dateRange', 'startDate', 'endDate', 'status', 'interviewMode', 'ac', 'interviewerMode'].forEach(key => {
+        if (filters[key]) params.append(key, filters[key]);
+      });
+      if (filters.interviewerIds && filters.interviewerIds.length > 0) {
+        params.append('interviewerIds', [].concat(filters.interviewerIds).join(','));
+      }
+
+      const response = await api.get(`/api/surveys/${surveyId}/weighted-estimates?${params.toString()}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get published questionnaire versions with response counts
+  getSurveyVersions: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/versions`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get one questionnaire version with its snapshot
+  getSurveyVersion: async (surveyId, version) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/versions/${version}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Compare two questionnaire versions
+  getSurveyVersionDiff: async (surveyId, from, to) => {
+    try {
+      const response = await api.get(`/api/surveys/${surveyId}/versions/diff`, { params: { from, to } });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
   }
 };
 
@@ -870,6 +1039,16 @@ export const surveyResponseAPI = {
     }
   },
 
+  // Check the respondent against the survey's quota cells
+  checkQuota: async (sessionId, data) => {
+    try {
+      const response = await api.post(`/api/survey-responses/session/${sessionId}/quota-check`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
   // Get all interviews conducted by the logged-in interviewer
   getMyInterviews: async (params = {}) => {
     try {
@@ -1039,7 +1218,95 @@ export const surveyResponseAPI = {
       } catch (error) {
         throw error;
       }
+    },
+
+  // Download survey definition, polling stations and AC data for offline CAPI interviewing
+  getOfflineBundle: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/survey-responses/offline-bundle/${surveyId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Sync interviews captured offline (deduplicated on clientInterviewId, safe to retry)
+  syncOfflineInterviews: async (interviews) => {
+    try {
+      const response = await api.post('/api/survey-responses/offline-sync', { interviews });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Start (or resume, when uploadId is given) a chunked audio upload
+  startAudioUpload: async (data) => {
+    try {
+      const response = await api.post('/api/survey-responses/audio-uploads', data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get which chunks of an audio upload the server has received
+  getAudioUploadStatus: async (uploadId) => {
+    try {
+      const response = await api.get(`/api/survey-responses/audio-uploads/${uploadId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Send one chunk of an audio upload (safe to resend)
+  uploadAudioChunk: async (uploadId, index, chunk, checksum) => {
+    try {
+      const formData = new FormData();
+      formData.append('chunk', chunk, `chunk-${index}`);
+      if (checksum) {
+        formData.append('checksum', checksum);
+      }
+      const response = await api.put(`/api/survey-responses/audio-uploads/${uploadId}/chunks/${index}`, formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Assemble a chunked audio upload on the server
+  completeAudioUpload: async (uploadId, data) => {
+    try {
+      const response = await api.post(`/api/survey-responses/audio-uploads/${uploadId}/complete`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Upload the audio of an interview captured offline
+  uploadOfflineAudio: async (clientInterviewId, surveyId, audioBlob) => {
+    try {
+      const formData = new FormData();
+      formData.append('audio', audioBlob, `interview_offline-${clientInterviewId}.webm`);
+      formData.append('sessionId', `offline-${clientInterviewId}`);
+      formData.append('clientInterviewId', clientInterviewId);
+      formData.append('surveyId', surveyId);
+      const response = await api.post('/api/survey-responses/upload-audio', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        }
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
     }
+  }
 };
 
 // Performance API
@@ -1164,6 +1431,342 @@ export const qcBatchAPI = {
     } catch (error) {
       throw error;
     }
+  },
+
+  // Get interviewers on escalated (100%) QC for a survey
+  getEscalations: async (surveyId, params = {}) => {
+    try {
+      const response = await api.get(`/api/qc-batches/survey/${surveyId}/escalations`, { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Take an interviewer off escalated QC
+  clearEscalation: async (escalationId) => {
+    try {
+      const response = await api.post(`/api/qc-batches/escalations/${escalationId}/clear`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+// Duplicate Interview Review API
+export const duplicateFlagAPI = {
+  // Get the surveys the user can review, with open flag counts
+  getSurveys: async () => {
+    try {
+      const response = await api.get('/api/duplicate-flags/surveys');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a survey's flags (params: status, type)
+  getFlagsBySurvey: async (surveyId, params = {}) => {
+    try {
+      const response = await api.get(`/api/duplicate-flags/survey/${surveyId}`, { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a flag with its responses
+  getFlagById: async (flagId) => {
+    try {
+      const response = await api.get(`/api/duplicate-flags/${flagId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Confirm or dismiss a flag (data: { action, note, rejectResponseIds })
+  resolveFlag: async (flagId, data) => {
+    try {
+      const response = await api.post(`/api/duplicate-flags/${flagId}/resolve`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Queue duplicate detection for a survey now
+  runDetection: async (surveyId) => {
+    try {
+      const response = await api.post(`/api/duplicate-flags/survey/${surveyId}/detect`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+// Back-Check (Callback Verification) API
+export const backCheckAPI = {
+  // Get the surveys the user can back-check, with pending call counts
+  getSurveys: async () => {
+    try {
+      const response = await api.get('/api/back-checks/surveys');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get the company's sampling rate
+  getSettings: async () => {
+    try {
+      const response = await api.get('/api/back-checks/settings');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Set the share of CAPI interviews sampled (data: { callbackVerificationRate })
+  updateSettings: async (data) => {
+    try {
+      const response = await api.put('/api/back-checks/settings', data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a survey's back-checks (params: status)
+  getBySurvey: async (surveyId, params = {}) => {
+    try {
+      const response = await api.get(`/api/back-checks/survey/${surveyId}`, { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Take a back-check to call; returns the phone number
+  claim: async (backCheckId) => {
+    try {
+      const response = await api.post(`/api/back-checks/${backCheckId}/claim`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Record a call that did not reach the respondent (data: { outcome, note })
+  recordAttempt: async (backCheckId, data) => {
+    try {
+      const response = await api.post(`/api/back-checks/${backCheckId}/attempt`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Record the verification script (data: { answers, action })
+  complete: async (backCheckId, data) => {
+    try {
+      const response = await api.post(`/api/back-checks/${backCheckId}/complete`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Reject or reopen the interview of a failed or inconclusive back-check
+  takeAction: async (backCheckId, action) => {
+    try {
+      const response = await api.post(`/api/back-checks/${backCheckId}/action`, { action });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+export const earningsAPI = {
+  // Get the interviewer's earnings statement (params: page, limit)
+  getMyEarnings: async (params = {}) => {
+    try {
+      const response = await api.get('/api/earnings/me', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get the company's payout cycles and the balance not yet in one
+  getPayoutCycles: async () => {
+    try {
+      const response = await api.get('/api/earnings/payout-cycles');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a payout cycle with its lines
+  getPayoutCycle: async (id) => {
+    try {
+      const response = await api.get(`/api/earnings/payout-cycles/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Generate the cycle for the latest ended period now
+  generatePayoutCycle: async () => {
+    try {
+      const response = await api.post('/api/earnings/payout-cycles/generate');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Download a cycle's bank transfer file (CSV)
+  exportPayoutCycle: async (id) => {
+    try {
+      const response = await api.get(`/api/earnings/payout-cycles/${id}/export`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Confirm a cycle's bank transfer (data: { paymentReference })
+  markPayoutCyclePaid: async (id, data = {}) => {
+    try {
+      const response = await api.post(`/api/earnings/payout-cycles/${id}/mark-paid`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+// KYC Documents API
+export const kycDocumentsAPI = {
+  // Get a short-lived link to a KYC document, ready to open (userId defaults to the current user)
+  getDocumentUrl: async (field, userId) => {
+    try {
+      const response = await api.get('/api/kyc-documents/link', { params: { field, userId } });
+      return `${API_BASE_URL}${response.data.data.url}`;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get who asked for and opened a user's KYC documents
+  getAccessLog: async (userId, params = {}) => {
+    try {
+      const response = await api.get('/api/kyc-documents/access-log', { params: { userId, ...params } });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+// Training API
+export const trainingAPI = {
+  // Get the company's surveys with their training settings and module counts
+  getSurveys: async () => {
+    try {
+      const response = await api.get('/api/training/surveys');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a survey's modules, questionnaire and interviewer progress
+  getSurveyTraining: async (surveyId) => {
+    try {
+      const response = await api.get(`/api/training/surveys/${surveyId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update certification settings (data: { requireCertification, certificationValidityDays })
+  updateSettings: async (surveyId, data) => {
+    try {
+      const response = await api.put(`/api/training/surveys/${surveyId}/settings`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Create a training module for a survey
+  createModule: async (surveyId, data) => {
+    try {
+      const response = await api.post(`/api/training/surveys/${surveyId}/modules`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Update a training module
+  updateModule: async (id, data) => {
+    try {
+      const response = await api.put(`/api/training/modules/${id}`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Delete a training module
+  deleteModule: async (id) => {
+    try {
+      const response = await api.delete(`/api/training/modules/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get the interviewer's training for their assigned surveys
+  getMyTraining: async () => {
+    try {
+      const response = await api.get('/api/training/my');
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a module to take
+  getMyModule: async (id) => {
+    try {
+      const response = await api.get(`/api/training/my/modules/${id}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Submit a module (data: { answers } or { acknowledged: true })
+  submitMyModule: async (id, data) => {
+    try {
+      const response = await api.post(`/api/training/my/modules/${id}/submit`, data);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
   }
 };
 
@@ -1250,37 +1853,52 @@ export const pollingStationAPI = {
 
 // Report Generation API
 export const reportAPI = {
-  // Generate report from Excel file
-  generateReport: async (excelFile, referenceDate) => {
+  // Queue a report generated from live survey data
+  generateReport: async (reportData) => {
     try {
-      const formData = new FormData();
-      formData.append('excelFile', excelFile);
-      if (referenceDate) {
-        formData.append('referenceDate', referenceDate);
-      }
-      
-      const response = await api.post('/api/reports/generate', formData, {
-        headers: {
-          'Content-Type': 'multipart/form-data',
-        },
-        timeout: 7200000, // 2 hours timeout for very large file uploads and report generation (up to 800MB)
-        maxContentLength: Infinity,
-        maxBodyLength: Infinity,
-      });
+      const response = await api.post('/api/reports/generate', reportData);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // List report jobs (newest first)
+  getReportJobs: async (params = {}) => {
+    try {
+      const response = await api.get('/api/reports/jobs', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a report job with its progress, query and data snapshot
+  getReportJob: async (jobId) => {
+    try {
+      const response = await api.get(`/api/reports/jobs/${jobId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Cancel a queued or running report job
+  cancelReportJob: async (jobId) => {
+    try {
+      const response = await api.post(`/api/reports/jobs/${jobId}/cancel`);
       return response.data;
     } catch (error) {
       throw error;
     }
   },
 
-  // Generate audit trail
-  generateAuditTrail: async (excelPath, referenceDate) => {
+  // Download a report job's file (pptx, xlsx or audit)
+  downloadReportJobFile: async (jobId, kind) => {
     try {
-      const response = await api.post('/api/reports/audit', {
-        excelPath,
-        referenceDate
-      }, {
-        timeout: 7200000, // 2 hours timeout for large file processing
+      const response = await api.get(`/api/reports/jobs/${jobId}/files/${kind}`, {
+        responseType: 'blob',
+        timeout: 300000,
       });
       return response.data;
     } catch (error) {
@@ -1355,6 +1973,79 @@ export const catiAPI = {
     } catch (error) {
       throw error;
     }
+  },
+
+  // Get recorded webhook deliveries (dead letters by default)
+  getWebhookEvents: async (params = {}) => {
+    try {
+      const response = await api.get('/api/cati/webhook-events', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Re-process a dead-lettered webhook delivery
+  replayWebhookEvent: async (eventId) => {
+    try {
+      const response = await api.post(`/api/cati/webhook-events/${eventId}/replay`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Dismiss a dead-lettered webhook delivery
+  discardWebhookEvent: async (eventId) => {
+    try {
+      const response = await api.post(`/api/cati/webhook-events/${eventId}/discard`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  }
+};
+
+// Background Job Queue API (Super Admin)
+export const jobAPI = {
+  // List background jobs by status ('running', 'failed', 'scheduled', ...)
+  getJobs: async (params = {}) => {
+    try {
+      const response = await api.get('/api/jobs', { params });
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Get a job with its payload and attempt history
+  getJob: async (jobId) => {
+    try {
+      const response = await api.get(`/api/jobs/${jobId}`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Queue a finished job to run again
+  rerunJob: async (jobId) => {
+    try {
+      const response = await api.post(`/api/jobs/${jobId}/rerun`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
+  },
+
+  // Cancel a job that has not started
+  cancelJob: async (jobId) => {
+    try {
+      const response = await api.post(`/api/jobs/${jobId}/cancel`);
+      return response.data;
+    } catch (error) {
+      throw error;
+    }
   }
 };
 
@@ -0,0 +1,172 @@
+import { surveyResponseAPI } from '../services/api';
+
+/**
+ * Chunked, resumable upload of an interview recording
+ *
+ * Recorder data is grouped into ~256 KB chunks that are uploaded while the interview runs, so
+ * finishing the interview only has to send the last chunk. Failed chunks are retried in the
+ * background; finish() asks the server which chunks it has, resends the rest and has the server
+ * assemble and checksum the file.
+ */
+
+const CHUNK_BYTES = 256 * 1024;
+const RETRY_DELAY_MS = 5000;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+// SHA-256 of a blob; null where WebCrypto is unavailable (plain-http pages), the server then skips the check
+export const sha256Hex = async (blob) => {
+  if (typeof crypto === 'undefined' || !crypto.subtle) return null;
+  return toHex(await crypto.subtle.digest('SHA-256', await blob.arrayBuffer()));
+};
+
+/**
+ * @param {Object} options
+ * @param {String} options.sessionId
+ * @param {String} options.surveyId
+ * @param {String} [options.clientInterviewId]
+ * @returns {{addData: Function, finish: Function, abort: Function}}
+ */
+export const createChunkedAudioUploader = ({ sessionId, surveyId, clientInterviewId }) => {
+  const chunks = []; // { index, blob, checksum, uploaded }
+  let pending = [];
+  let pendingSize = 0;
+  let mimeType = null;
+  let uploadId = null;
+  let startPromise = null;
+  let pumpPromise = null;
+  let retryTimer = null;
+  let aborted = false;
+
+  const ensureStarted = () => {
+    if (!startPromise) {
+      startPromise = surveyResponseAPI.startAudioUpload({ sessionId, surveyId, clientInterviewId, mimeType })
+        .then(response => {
+          uploadId = response.data.uploadId;
+        })
+        .catch(error => {
+          startPromise = null;
+          throw error;
+        });
+    }
+    return startPromise;
+  };
+
+  const sendChunk = async (chunk) => {
+    if (chunk.checksum === undefined) {
+      chunk.checksum = await sha256Hex(chunk.blob);
+    }
+    await surveyResponseAPI.uploadAudioChunk(uploadId, chunk.index, chunk.blob, chunk.checksum);
+    chunk.uploaded = true;
+  };
+
+  const scheduleRetry = () => {
+    if (aborted || retryTimer) return;
+    retryTimer = setTimeout(() => {
+      retryTimer = null;
+      pump();
+    }, RETRY_DELAY_MS);
+  };
+
+  // Upload every sealed chunk in order; stops at the first failure and retries later
+  const pump = () => {
+    if (pumpPromise || aborted) return pumpPromise;
+    pumpPromise = (async () => {
+      try {
+        await ensureStarted();
+        for (const chunk of chunks) {
+          if (!chunk.uploaded && !aborted) {
+            await sendChunk(chunk);
+          }
+        }
+      } catch (error) {
+        console.warn('Audio chunk upload failed, will retry:', error.message);
+        scheduleRetry();
+      } finally {
+        pumpPromise = null;
+      }
+    })();
+    return pumpPromise;
+  };
+
+  const seal = () => {
+    if (pendingSize === 0) return;
+    chunks.push({ index: chunks.length, blob: new Blob(pending, { type: mimeType }), uploaded: false });
+    pending = [];
+    pendingSize = 0;
+    pump();
+  };
+
+  /**
+   * Add recorder data (MediaRecorder dataavailable blobs, in order)
+   * @param {Blob} blob
+   */
+  const addData = (blob) => {
+    if (aborted || !blob || blob.size === 0) return;
+    mimeType = mimeType || blob.type || 'audio/webm';
+    pending.push(blob);
+    pendingSize += blob.size;
+    if (pendingSize >= CHUNK_BYTES) {
+      seal();
+    }
+  };
+
+  /**
+   * Upload whatever is left and assemble the recording on the server
+   * @returns {Promise<{uploadId: String, audioUrl: String, checksum: String, size: Number}|null>} null if nothing was recorded
+   */
+  const finish = async () => {
+    seal();
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+    if (chunks.length === 0) return null;
+    if (pumpPromise) await pumpPromise;
+
+    await ensureStarted();
+
+    // Trust the server's list: a chunk whose response was lost may or may not have arrived
+    const status = await surveyResponseAPI.getAudioUploadStatus(uploadId);
+    const received = new Set(status.data.receivedChunks);
+    chunks.forEach(chunk => { chunk.uploaded = received.has(chunk.index); });
+
+    for (const chunk of chunks) {
+      if (!chunk.uploaded) await sendChunk(chunk);
+    }
+
+    const checksum = await sha256Hex(new Blob(chunks.map(chunk => chunk.blob), { type: mimeType }));
+    const complete = () => surveyResponseAPI.completeAudioUpload(uploadId, { totalChunks: chunks.length, checksum });
+
+    let result;
+    try {
+      result = await complete();
+    } catch (error) {
+      const missing = error.response?.status === 409 ? error.response.data?.data?.missingChunks : null;
+      if (!missing || missing.length === 0) throw error;
+      for (const index of missing) {
+        await sendChunk(chunks[index]);
+      }
+      result = await complete();
+    }
+
+    return {
+      uploadId,
+      audioUrl: result.data.audioUrl,
+      checksum: result.data.checksum,
+      size: result.data.size
+    };
+  };
+
+  const abort = () => {
+    aborted = true;
+    if (retryTimer) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  };
+
+  return { addData, finish, abort };
+};
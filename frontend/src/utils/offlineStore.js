@@ -0,0 +1,142 @@
+/**
+ * Device storage for offline CAPI interviewing (IndexedDB)
+ *
+ * - bundles:     survey definition + polling stations + AC data, keyed by surveyId
+ * - interviews:  drafts and completed interviews waiting to sync, keyed by clientInterviewId
+ * - audioChunks: recorder chunks, appended as they arrive so a crash loses at most one chunk
+ */
+
+const DB_NAME = 'opine-offline';
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+const openDatabase = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('Offline storage is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('bundles')) {
+        db.createObjectStore('bundles', { keyPath: 'surveyId' });
+      }
+      if (!db.objectStoreNames.contains('interviews')) {
+        const interviews = db.createObjectStore('interviews', { keyPath: 'clientInterviewId' });
+        interviews.createIndex('status', 'status');
+      }
+      if (!db.objectStoreNames.contains('audioChunks')) {
+        const audioChunks = db.createObjectStore('audioChunks', { autoIncrement: true });
+        audioChunks.createIndex('clientInterviewId', 'clientInterviewId');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => {
+      dbPromise = null;
+      reject(request.error);
+    };
+  });
+
+  return dbPromise;
+};
+
+// Run one request in its own transaction and resolve with its result
+const runRequest = async (storeName, mode, buildRequest) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = buildRequest(transaction.objectStore(storeName));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Save the offline bundle for a survey
+ * @param {Object} bundle - Bundle returned by the offline-bundle endpoint
+ */
+export const saveBundle = (bundle) =>
+  runRequest('bundles', 'readwrite', store => store.put({
+    ...bundle,
+    surveyId: String(bundle.survey._id),
+    downloadedAt: new Date().toISOString()
+  }));
+
+export const getBundle = (surveyId) =>
+  runRequest('bundles', 'readonly', store => store.get(String(surveyId)));
+
+/**
+ * Save (insert or replace) an interview record
+ * @param {Object} interview - Must include clientInterviewId
+ */
+export const saveInterview = (interview) =>
+  runRequest('interviews', 'readwrite', store => store.put({
+    ...interview,
+    updatedAt: new Date().toISOString()
+  }));
+
+export const getInterview = (clientInterviewId) =>
+  runRequest('interviews', 'readonly', store => store.get(clientInterviewId));
+
+export const getAllInterviews = () =>
+  runRequest('interviews', 'readonly', store => store.getAll());
+
+/**
+ * Delete an interview and its audio
+ * @param {String} clientInterviewId
+ */
+export const deleteInterview = async (clientInterviewId) => {
+  await runRequest('interviews', 'readwrite', store => store.delete(clientInterviewId));
+  await deleteAudioChunks(clientInterviewId);
+};
+
+export const appendAudioChunk = (clientInterviewId, chunk) =>
+  runRequest('audioChunks', 'readwrite', store => store.add({ clientInterviewId, chunk }));
+
+/**
+ * Reassemble the recorded audio of an interview
+ * @param {String} clientInterviewId
+ * @param {String} mimeType
+ * @returns {Promise<Blob|null>} null when nothing was recorded
+ */
+export const getAudioBlob = async (clientInterviewId, mimeType = 'audio/webm') => {
+  const records = await runRequest('audioChunks', 'readonly',
+    store => store.index('clientInterviewId').getAll(clientInterviewId));
+  if (!records || records.length === 0) return null;
+  return new Blob(records.map(record => record.chunk), { type: mimeType });
+};
+
+export const deleteAudioChunks = async (clientInterviewId) => {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction('audioChunks', 'readwrite');
+    const request = transaction.objectStore('audioChunks').index('clientInterviewId').openCursor(clientInterviewId);
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        cursor.delete();
+        cursor.continue();
+      }
+    };
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+/**
+ * Replace an interview's audio with a single recording (used when the full blob is already in memory)
+ * @param {String} clientInterviewId
+ * @param {Blob} blob
+ */
+export const replaceAudio = async (clientInterviewId, blob) => {
+  await deleteAudioChunks(clientInterviewId);
+  if (blob && blob.size > 0) {
+    await appendAudioChunk(clientInterviewId, blob);
+  }
+};
@@ -0,0 +1,290 @@
+import { surveyResponseAPI } from '../services/api';
+import {
+  saveBundle,
+  getBundle,
+  saveInterview,
+  getInterview,
+  getAllInterviews,
+  deleteInterview,
+  getAudioBlob
+} from './offlineStore';
+
+/**
+ * Offline CAPI interviewing
+ *
+ * Interviews get a client-generated ID when they start. Completed interviews are queued on the
+ * device and synced in batches; the backend dedupes on that ID, so a sync that times out after
+ * the server saved it can simply be retried. If the survey changed while the device was offline
+ * the backend answers "conflict" and the interviewer decides to submit anyway or discard.
+ */
+
+// Must match OFFLINE_SYNC_BATCH_LIMIT in surveyResponseController
+const SYNC_BATCH_SIZE = 20;
+
+// Statuses of queued interview records
+export const OFFLINE_STATUS = {
+  DRAFT: 'draft',         // Interview in progress (or interrupted before completion)
+  PENDING: 'pending',     // Completed, waiting to sync
+  CONFLICT: 'conflict',   // Survey changed while offline, needs a decision
+  ERROR: 'error'          // Rejected by the server, will not succeed on retry
+};
+
+export const generateClientInterviewId = () => {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+    return crypto.randomUUID().replace(/-/g, '');
+  }
+  return `${Date.now().toString(36)}${Math.random().toString(36).substring(2, 14)}`;
+};
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Axios errors without a response never reached the server
+export const isNetworkError = (error) => !!error && !error.response && (!!error.request || error.message === 'Network Error');
+
+/**
+ * Run an API request, answering from the offline bundle when the device is offline
+ * @param {Function} request - Online request
+ * @param {Function} fallback - Offline lookup returning the same shape
+ */
+export const withOfflineFallback = async (request, fallback) => {
+  if (isOffline()) {
+    return fallback();
+  }
+  try {
+    return await request();
+  } catch (error) {
+    if (isNetworkError(error)) {
+      return fallback();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Download and store everything needed to interview for a survey offline
+ * @param {String} surveyId
+ * @returns {Promise<Object>} The stored bundle
+ */
+export const downloadOfflineBundle = async (surveyId) => {
+  const response = await surveyResponseAPI.getOfflineBundle(surveyId);
+  if (!response.success) {
+    throw new Error(response.message || 'Failed to download survey for offline use');
+  }
+  await saveBundle(response.data);
+  return getBundle(surveyId);
+};
+
+export const getOfflineBundle = (surveyId) => getBundle(surveyId);
+
+// A downloaded bundle is reused for this long before an interview start refreshes it
+const BUNDLE_MAX_AGE_MS = 60 * 60 * 1000;
+
+/**
+ * Make sure the device has a recent offline bundle for a survey
+ * @param {String} surveyId
+ * @returns {Promise<Object>}
+ */
+export const ensureOfflineBundle = async (surveyId) => {
+  const bundle = await getBundle(surveyId);
+  if (bundle && Date.now() - new Date(bundle.downloadedAt).getTime() < BUNDLE_MAX_AGE_MS) {
+    return bundle;
+  }
+  return downloadOfflineBundle(surveyId);
+};
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Same matching order as the polling station helper: AC number, exact name, name without "(SC)"/"(ST)"
+const findBundleAC = (bundle, acIdentifier) => {
+  const acs = bundle?.pollingStations?.acs || {};
+  if (acs[acIdentifier]) return acs[acIdentifier];
+
+  const search = normalizeName(acIdentifier);
+  return Object.values(acs).find(ac => normalizeName(ac.ac_name) === search) ||
+    Object.values(acs).find(ac => normalizeName(ac.ac_name.replace(/\s*\([^)]*\)\s*/g, '')) === search) ||
+    null;
+};
+
+const notAvailableOffline = (what) => ({
+  success: false,
+  message: `${what} is not available offline. Download the survey for offline use while connected.`
+});
+
+export const getOfflineGroupsByAC = async (surveyId, acIdentifier) => {
+  const ac = findBundleAC(await getBundle(surveyId), acIdentifier);
+  if (!ac) return notAvailableOffline('This AC');
+  return {
+    success: true,
+    data: {
+      ac_name: ac.ac_name,
+      ac_no: ac.ac_no,
+      pc_no: ac.pc_no,
+      pc_name: ac.pc_name,
+      district: ac.district,
+      groups: Object.entries(ac.groups).map(([name, stations]) => ({
+        name,
+        polling_station_count: stations.length
+      }))
+    }
+  };
+};
+
+export const getOfflinePollingStationsByGroup = async (surveyId, acIdentifier, groupName) => {
+  const ac = findBundleAC(await getBundle(surveyId), acIdentifier);
+  if (!ac || !ac.groups[groupName]) return notAvailableOffline('This group');
+  return { success: true, data: { stations: ac.groups[groupName] } };
+};
+
+export const getOfflinePollingStationGPS = async (surveyId, acIdentifier, groupName, stationName) => {
+  const ac = findBundleAC(await getBundle(surveyId), acIdentifier);
+  const station = ac?.groups[groupName]?.find(entry => entry.name === stationName);
+  if (!station) return notAvailableOffline('This polling station');
+  return { success: true, data: station };
+};
+
+export const getOfflineACData = async (surveyId, acName) => {
+  const bundle = await getBundle(surveyId);
+  const masterData = bundle?.acMasterData || {};
+  const search = normalizeName(acName);
+  const key = Object.keys(masterData).find(name => name === acName) ||
+    Object.keys(masterData).find(name => normalizeName(name) === search) ||
+    Object.keys(masterData).find(name => normalizeName(name).includes(search) || search.includes(normalizeName(name)));
+  if (!key) return notAvailableOffline('AC data');
+  return { success: true, data: { acName: key, ...masterData[key] } };
+};
+
+/**
+ * Save an interview in progress so answers survive a reload or crash
+ * @param {Object} draft - { clientInterviewId, surveyId, surveyName, responses, startTime }
+ */
+export const saveOfflineDraft = async (draft) => {
+  const existing = await getInterview(draft.clientInterviewId);
+  if (existing && existing.status !== OFFLINE_STATUS.DRAFT) return;
+  await saveInterview({ ...existing, ...draft, status: OFFLINE_STATUS.DRAFT });
+};
+
+/**
+ * Queue a completed interview for sync
+ * @param {Object} interview - Sync payload plus surveyName / audioMimeType for display and upload
+ */
+export const queueOfflineInterview = (interview) =>
+  saveInterview({ ...interview, status: OFFLINE_STATUS.PENDING, queuedAt: new Date().toISOString() });
+
+export const getQueuedInterviews = async () => {
+  const interviews = await getAllInterviews();
+  return interviews.sort((a, b) => new Date(a.startTime) - new Date(b.startTime));
+};
+
+// Upload the recording first so the synced response points at it; the URL is kept so retries skip it
+const uploadQueuedAudio = async (interview) => {
+  if (interview.metadata?.audioRecording?.hasAudio) return interview;
+
+  const blob = await getAudioBlob(interview.clientInterviewId, interview.audioMimeType);
+  if (!blob || blob.size === 0) return interview;
+
+  const result = await surveyResponseAPI.uploadOfflineAudio(interview.clientInterviewId, interview.surveyId, blob);
+  const updated = {
+    ...interview,
+    metadata: {
+      ...interview.metadata,
+      audioRecording: {
+        ...interview.metadata?.audioRecording,
+        hasAudio: true,
+        audioUrl: result.data.audioUrl,
+        fileSize: blob.size,
+        uploadedAt: new Date().toISOString()
+      }
+    }
+  };
+  await saveInterview(updated);
+  return updated;
+};
+
+const toSyncPayload = ({ clientInterviewId, surveyId, surveyRevision, startTime, endTime, responses, qualityMetrics, metadata, acceptConflicts }) => ({
+  clientInterviewId,
+  surveyId,
+  surveyRevision,
+  startTime,
+  endTime,
+  responses,
+  qualityMetrics,
+  metadata,
+  acceptConflicts: !!acceptConflicts
+});
+
+/**
+ * Sync every queued interview. Safe to call repeatedly: synced interviews are removed from the
+ * device, and an interview the server already has comes back as "duplicate".
+ * @returns {Promise<{created: Number, duplicate: Number, conflict: Number, error: Number, remaining: Number}>}
+ */
+export const syncOfflineInterviews = async () => {
+  const summary = { created: 0, duplicate: 0, conflict: 0, error: 0, remaining: 0 };
+  const queued = (await getAllInterviews()).filter(interview => interview.status === OFFLINE_STATUS.PENDING);
+
+  const ready = [];
+  for (const interview of queued) {
+    try {
+      ready.push(await uploadQueuedAudio(interview));
+    } catch (error) {
+      if (isNetworkError(error)) throw error;
+      // Keep the interview queued; its audio is retried on the next sync
+      console.error('Error uploading offline audio:', error);
+      await saveInterview({ ...interview, lastError: 'Audio upload failed, will retry' });
+      summary.remaining++;
+    }
+  }
+
+  for (let start = 0; start < ready.length; start += SYNC_BATCH_SIZE) {
+    const batch = ready.slice(start, start + SYNC_BATCH_SIZE);
+    const response = await surveyResponseAPI.syncOfflineInterviews(batch.map(toSyncPayload));
+    const byId = new Map(batch.map(interview => [interview.clientInterviewId, interview]));
+
+    for (const result of response.data.results) {
+      const interview = byId.get(result.clientInterviewId);
+      if (!interview) continue;
+
+      if (result.status === 'created' || result.status === 'duplicate') {
+        await deleteInterview(interview.clientInterviewId);
+      } else if (result.status === 'conflict') {
+        await saveInterview({
+          ...interview,
+          status: OFFLINE_STATUS.CONFLICT,
+          conflicts: result.conflicts,
+          serverRevision: result.serverRevision
+        });
+      } else {
+        await saveInterview({
+          ...interview,
+          status: result.retryable ? OFFLINE_STATUS.PENDING : OFFLINE_STATUS.ERROR,
+          lastError: result.message
+        });
+        if (result.retryable) summary.remaining++;
+      }
+      summary[result.status] = (summary[result.status] || 0) + 1;
+    }
+  }
+
+  return summary;
+};
+
+/**
+ * Resolve a sync conflict or failed interview
+ * @param {String} clientInterviewId
+ * @param {'submit'|'discard'} action - submit keeps the answers as captured; discard deletes them from the device
+ */
+export const resolveOfflineInterview = async (clientInterviewId, action) => {
+  if (action === 'discard') {
+    await deleteInterview(clientInterviewId);
+    return null;
+  }
+
+  const interview = await getInterview(clientInterviewId);
+  if (!interview) return null;
+  await saveInterview({
+    ...interview,
+    status: OFFLINE_STATUS.PENDING,
+    acceptConflicts: interview.status === OFFLINE_STATUS.CONFLICT ? true : interview.acceptConflicts,
+    lastError: null
+  });
+  return syncOfflineInterviews();
+};
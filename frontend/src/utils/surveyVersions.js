@@ -0,0 +1,56 @@
+import { surveyAPI } from '../services/api';
+
+/**
+ * Questionnaire versions for reports and exports
+ *
+ * Every response records the survey version it was collected against (response.surveyVersion).
+ * Exports keep the current survey's columns, but read question text and option codes for each
+ * response from its own version, so a later edit to an option's text or code does not rewrite
+ * answers that were given under the old one.
+ */
+
+const collectQuestions = (snapshot) => {
+  const questions = [];
+  (snapshot?.sections || []).forEach(section => {
+    (section.questions || []).forEach(question => questions.push(question));
+  });
+  (snapshot?.questions || []).forEach(question => questions.push(question));
+  return questions;
+};
+
+/**
+ * Load the snapshots of the versions the given responses were collected against
+ * @param {String} surveyId
+ * @param {Array} responses
+ * @returns {Promise<Map<Number, Map<String, Object>>>} version -> question id -> question
+ */
+export const loadVersionQuestions = async (surveyId, responses = []) => {
+  const versions = [...new Set(responses.map(response => response.surveyVersion).filter(version => version > 0))];
+  const byVersion = new Map();
+
+  await Promise.all(versions.map(async (version) => {
+    try {
+      const result = await surveyAPI.getSurveyVersion(surveyId, version);
+      const questions = collectQuestions(result.data?.snapshot);
+      byVersion.set(version, new Map(questions.map(question => [question.id, question])));
+    } catch (error) {
+      // Fall back to the current survey for this version's responses
+      console.warn(`Could not load survey version ${version}:`, error.message);
+    }
+  }));
+
+  return byVersion;
+};
+
+/**
+ * The question as the response's version had it; the current question when the response
+ * is unversioned or the version did not have it
+ * @param {Map} versionQuestions - From loadVersionQuestions
+ * @param {Object} response
+ * @param {Object} question - Current survey question
+ * @returns {Object}
+ */
+export const getVersionQuestion = (versionQuestions, response, question) => {
+  if (!question?.id || !versionQuestions) return question;
+  return versionQuestions.get(response?.surveyVersion)?.get(question.id) || question;
+};
@@ -237,3 +237,111 @@ export const parseTranslationsArray = (items) => {
   });
 };
 
+
+/**
+ * Languages that can be declared on a survey (mirrors LANGUAGE_LABELS in backend/utils/languageVariants.js)
+ */
+export const SURVEY_LANGUAGE_OPTIONS = [
+  { code: 'en', label: 'English' },
+  { code: 'bn', label: 'বাংলা (Bengali)' },
+  { code: 'hi', label: 'हिन्दी (Hindi)' },
+  { code: 'as', label: 'অসমীয়া (Assamese)' },
+  { code: 'or', label: 'ଓଡ଼ିଆ (Odia)' },
+  { code: 'ta', label: 'தமிழ் (Tamil)' },
+  { code: 'te', label: 'తెలుగు (Telugu)' },
+  { code: 'kn', label: 'ಕನ್ನಡ (Kannada)' },
+  { code: 'ml', label: 'മലയാളം (Malayalam)' },
+  { code: 'mr', label: 'मराठी (Marathi)' },
+  { code: 'gu', label: 'ગુજરાતી (Gujarati)' },
+  { code: 'pa', label: 'ਪੰਜਾਬੀ (Punjabi)' },
+  { code: 'ur', label: 'اردو (Urdu)' },
+  { code: 'ne', label: 'नेपाली (Nepali)' }
+];
+
+/**
+ * Languages declared on a survey ([{ code, label }]); the first is the language of `text`.
+ * An empty list means the survey still uses brace-encoded translations.
+ * @param {object} survey - Survey object
+ * @returns {Array<{code: string, label: string}>}
+ */
+export const getSurveyLanguages = (survey) => {
+  if (!survey || !Array.isArray(survey.languages)) return [];
+  return survey.languages
+    .filter(language => language && language.code)
+    .map(language => ({ code: language.code, label: language.label || language.code }));
+};
+
+/**
+ * Get text for a language from a variants map (textVariants/descriptionVariants)
+ * Falls back to the main text when the language has no translation
+ * @param {string} text - Main text (first declared language)
+ * @param {object|Map} variants - Translations keyed by language code
+ * @param {string} languageCode - Language to show
+ * @returns {string} - Text in the requested language
+ */
+export const getVariantText = (text, variants, languageCode) => {
+  if (!variants || !languageCode) return text || '';
+  const translated = variants instanceof Map ? variants.get(languageCode) : variants[languageCode];
+  return translated && String(translated).trim() ? translated : (text || '');
+};
+
+/**
+ * Split brace-encoded text into main text and named variants, paragraph by paragraph
+ * Mirrors splitBraceVariants in backend/utils/languageVariants.js
+ * @param {string} text - Text that may contain translations in curly braces
+ * @param {Array<string>} languageCodes - Declared language codes, first is the main language
+ * @returns {object} - { text: string, variants: object }
+ */
+export const splitBraceVariants = (text, languageCodes = []) => {
+  if (!text || typeof text !== 'string' || !text.includes('{')) {
+    return { text, variants: {} };
+  }
+
+  const paragraphs = text.split('\n\n').map(paragraph => parseMultiTranslation(paragraph.trim()));
+  const textFor = (index) => paragraphs
+    .map(parts => parts[index] || parts[0] || '')
+    .filter(Boolean)
+    .join('\n\n');
+
+  const variants = {};
+  languageCodes.slice(1).forEach((code, offset) => {
+    if (paragraphs.some(parts => parts.length > offset + 1)) {
+      variants[code] = textFor(offset + 1);
+    }
+  });
+
+  return { text: textFor(0), variants };
+};
+
+/**
+ * Convert a brace-encoded question (text, description and options) to language variants
+ * Used for built-in questions shown inside surveys that declare languages
+ * @param {object} question - Question object
+ * @param {Array<string>} languageCodes - Declared language codes
+ * @returns {object} - Question with textVariants/descriptionVariants filled in
+ */
+export const toLanguageVariants = (question, languageCodes = []) => {
+  if (!question || languageCodes.length === 0) return question;
+
+  const text = splitBraceVariants(question.text, languageCodes);
+  const description = splitBraceVariants(question.description, languageCodes);
+
+  return {
+    ...question,
+    text: text.text,
+    textVariants: { ...text.variants, ...(question.textVariants || {}) },
+    description: description.text,
+    descriptionVariants: { ...description.variants, ...(question.descriptionVariants || {}) },
+    options: Array.isArray(question.options)
+      ? question.options.map(option => {
+          if (!option || typeof option !== 'object') return option;
+          const optionText = splitBraceVariants(option.text, languageCodes);
+          return {
+            ...option,
+            text: optionText.text,
+            textVariants: { ...optionText.variants, ...(option.textVariants || {}) }
+          };
+        })
+      : question.options
+  };
+};